@@ -1,10 +1,12 @@
 const config = require( '../../config.js' );
 const fs = require( 'fs' );
 const path = require( 'path' );
+const { COMMAND_LEVELS } = require( '../../lib/roleUtils' );
 
 // Set required role level for this command
 const requiredRole = 'OWNER';
 const description = 'Manage bot commands - list, enable, disable, or check status';
+const PERMISSION_ACTIONS = [ 'role', 'allow', 'deny', 'remove', 'reset' ];
 const example = 'command list';
 const hidden = false;
 
@@ -74,6 +76,102 @@ function updateDisabledCommands ( disabledCommands ) {
     fs.writeFileSync( dataPath, JSON.stringify( data, null, 2 ), 'utf8' );
 }
 
+/**
+ * Get a copy of the permission overrides from botConfig
+ * @param {Object} dataService - The data service holding botConfig
+ * @returns {Object} Overrides keyed by command name: { role, allow: [uuid], deny: [uuid] }
+ */
+function getCommandPermissions ( dataService ) {
+    const permissions = dataService.getValue( 'commandPermissions' );
+    return permissions && typeof permissions === 'object' ? { ...permissions } : {};
+}
+
+/**
+ * Describe a command's permission override for chat
+ * @param {Object} override - The command's override, if any
+ * @returns {string} Short description, or an empty string if nothing is overridden
+ */
+function describePermissions ( override ) {
+    if ( !override ) return '';
+    const parts = [];
+    if ( override.role ) parts.push( `role ${ override.role }` );
+    if ( override.allow?.length ) parts.push( `allowed: ${ override.allow.join( ', ' ) }` );
+    if ( override.deny?.length ) parts.push( `denied: ${ override.deny.join( ', ' ) }` );
+    return parts.join( ' • ' );
+}
+
+/**
+ * Change a command's permission override
+ * @param {Object} dataService - The data service holding botConfig
+ * @param {string} action - role, allow, deny, remove or reset
+ * @param {string} commandName - The command to change
+ * @param {string} value - The role, or the user's UUID
+ * @returns {Promise<string>} Response to send
+ */
+async function changePermissions ( dataService, action, commandName, value ) {
+    const cmdSwitch = config.COMMAND_SWITCH || '!';
+    await dataService.loadData();
+    const permissions = getCommandPermissions( dataService );
+    const override = { ...( permissions[ commandName ] || {} ) };
+    let response;
+
+    if ( action === 'reset' ) {
+        if ( !permissions[ commandName ] ) {
+            return `ℹ️ Command '${ commandName }' has no permission overrides`;
+        }
+        delete permissions[ commandName ];
+        await dataService.setValue( 'commandPermissions', permissions );
+        return `✅ Command '${ commandName }' is back to its default permissions`;
+    }
+
+    if ( !value ) {
+        return action === 'role'
+            ? `Please specify a role: ${ cmdSwitch }command role ${ commandName } <${ Object.keys( COMMAND_LEVELS ).join( '|' ) }|default>`
+            : `Please specify a user UUID: ${ cmdSwitch }command ${ action } ${ commandName } <uuid>`;
+    }
+
+    if ( action === 'role' ) {
+        const role = value.toUpperCase();
+        if ( role === 'DEFAULT' ) {
+            delete override.role;
+            response = `✅ Command '${ commandName }' uses its default role again`;
+        } else if ( COMMAND_LEVELS[ role ] ) {
+            override.role = role;
+            response = `✅ Command '${ commandName }' now requires role ${ role }`;
+        } else {
+            return `❌ Invalid role '${ value }'. Use: ${ Object.keys( COMMAND_LEVELS ).join( ', ' ) } or default`;
+        }
+    } else {
+        // Accept a pasted mention as well as a bare UUID
+        const uuid = value.replace( /^<@uid:(.+)>$/, '$1' );
+        const allow = ( override.allow || [] ).filter( entry => entry !== uuid );
+        const deny = ( override.deny || [] ).filter( entry => entry !== uuid );
+
+        if ( action === 'allow' ) {
+            allow.push( uuid );
+            response = `✅ ${ uuid } can now use '${ commandName }' whatever their role`;
+        } else if ( action === 'deny' ) {
+            deny.push( uuid );
+            response = `✅ ${ uuid } can no longer use '${ commandName }'`;
+        } else {
+            response = `✅ ${ uuid } removed from the '${ commandName }' allow and deny lists`;
+        }
+
+        override.allow = allow;
+        override.deny = deny;
+        if ( allow.length === 0 ) delete override.allow;
+        if ( deny.length === 0 ) delete override.deny;
+    }
+
+    if ( Object.keys( override ).length === 0 ) {
+        delete permissions[ commandName ];
+    } else {
+        permissions[ commandName ] = override;
+    }
+    await dataService.setValue( 'commandPermissions', permissions );
+    return response;
+}
+
 /**
  * Check if a command exists by looking for its file recursively
  * @param {string} commandName - The command name to check
@@ -116,7 +214,7 @@ function commandExists ( commandName ) {
 }
 
 /**
- * Handle command management - list, enable, disable, or check status
+ * Handle command management - list, enable, disable, check status, or change who can use a command
  * @param {Object} commandParams - The command parameters object
  * @param {string} commandParams.args - The command arguments
  * @param {Object} commandParams.services - The services object
@@ -124,11 +222,11 @@ function commandExists ( commandName ) {
  * @param {string} commandParams.responseChannel - The channel to send responses to
  */
 async function handleCommandCommand ( { args, services, context, responseChannel } ) {
-    const { messageService } = services;
+    const { messageService, dataService } = services;
 
     if ( !args || args.trim() === '' ) {
         await messageService.sendResponse(
-            'Please specify an action: list, enable <command>, disable <command>, or status <command>',
+            'Please specify an action: list, enable <command>, disable <command>, status <command>, role <command> <role>, allow|deny|remove <command> <uuid>, or reset <command>',
             {
                 responseChannel,
                 isPrivateMessage: context?.fullMessage?.isPrivateMessage,
@@ -139,11 +237,11 @@ async function handleCommandCommand ( { args, services, context, responseChannel
         return {
             success: false,
             shouldRespond: true,
-            response: 'Please specify an action: list, enable <command>, disable <command>, or status <command>'
+            response: 'Please specify an action: list, enable <command>, disable <command>, status <command>, role <command> <role>, allow|deny|remove <command> <uuid>, or reset <command>'
         };
     }
 
-    const [ action, commandName ] = args.split( ' ' );
+    const [ action, commandName, value ] = args.trim().split( /\s+/ );
 
     if ( action === 'list' ) {
         const allCommands = getAllCommands();
@@ -164,12 +262,14 @@ async function handleCommandCommand ( { args, services, context, responseChannel
             };
         }
 
+        const commandPermissions = getCommandPermissions( dataService );
         let response = '🔧 **Command Status:**\n\n';
         allCommands.forEach( command => {
             const isDisabled = disabledCommands.includes( command );
             const emoji = isDisabled ? '🔴' : '🟢';
             const status = isDisabled ? 'disabled' : 'enabled';
-            response += `${ emoji } **${ command }** - ${ status }\n`;
+            const permissions = describePermissions( commandPermissions[ command ] );
+            response += `${ emoji } **${ command }** - ${ status }${ permissions ? ` (${ permissions })` : '' }\n`;
         } );
 
         await messageService.sendResponse( response, {
@@ -240,7 +340,10 @@ async function handleCommandCommand ( { args, services, context, responseChannel
 
         if ( action === 'status' ) {
             const status = isCurrentlyDisabled ? 'disabled' : 'enabled';
-            response = `ℹ️ Command '${ commandName }' is currently ${ status }`;
+            const permissions = describePermissions( getCommandPermissions( dataService )[ commandName ] );
+            response = `ℹ️ Command '${ commandName }' is currently ${ status }${ permissions ? `\nPermissions: ${ permissions }` : '' }`;
+        } else if ( PERMISSION_ACTIONS.includes( action ) ) {
+            response = await changePermissions( dataService, action, commandName, value );
         } else if ( action === 'enable' ) {
             if ( !isCurrentlyDisabled ) {
                 response = `ℹ️ Command '${ commandName }' is already enabled`;
@@ -260,7 +363,7 @@ async function handleCommandCommand ( { args, services, context, responseChannel
                 response = `✅ Command '${ commandName }' has been disabled`;
             }
         } else {
-            response = `❌ Invalid action '${ action }'. Use: list, enable, disable, or status`;
+            response = `❌ Invalid action '${ action }'. Use: list, enable, disable, status, role, allow, deny, remove, or reset`;
         }
 
         await messageService.sendResponse( response, {
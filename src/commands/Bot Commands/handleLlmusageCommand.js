@@ -0,0 +1,91 @@
+'use strict';
+
+const config = require( '../../config' );
+const LlmUsageService = require( '../../services/llmUsageService' );
+
+const PERIOD_LABELS = {
+    today: 'Today',
+    month: 'This Month',
+    all: 'All Time'
+};
+
+async function respond ( response, services, context, responseChannel ) {
+    await services.messageService.sendResponse( response, {
+        responseChannel,
+        isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+        sender: context?.sender,
+        services
+    } );
+}
+
+function formatBreakdown ( title, rows ) {
+    if ( rows.length === 0 ) return [];
+    return [ `**${ title }:**` ].concat( rows.map( row =>
+        `• ${ row.name || 'unknown' }: ${ row.calls } call${ row.calls === 1 ? '' : 's' }` +
+        `${ row.failures ? ` (${ row.failures } failed)` : '' }, ${ row.tokens } tokens`
+    ) );
+}
+
+function formatLimit ( used, limit ) {
+    return limit ? `${ used }/${ limit }` : `${ used } (no limit)`;
+}
+
+/**
+ * Shows how much the bot has used its LLM backends and how close it is to its budget
+ * Usage: !llmusage [today|month|all]
+ */
+async function handleLlmusageCommand ( { args, services, context, responseChannel = 'request' } ) {
+    const { llmUsageService } = services;
+    const cmdSwitch = config.COMMAND_SWITCH || '!';
+
+    if ( !llmUsageService?.isAvailable() ) {
+        const response = '❌ LLM usage tracking is not available right now.';
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'LLM usage unavailable' };
+    }
+
+    const period = LlmUsageService.parsePeriod( ( args || '' ).trim() );
+    if ( !period ) {
+        const response =
+            `📋 **LLM Usage:**\n\n` +
+            `\`${ cmdSwitch }llmusage\` — Calls and tokens used today\n` +
+            `\`${ cmdSwitch }llmusage month\` — Calls and tokens used this month\n` +
+            `\`${ cmdSwitch }llmusage all\` — Calls and tokens used since records began`;
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'Unknown period' };
+    }
+
+    const totals = llmUsageService.getTotals( period );
+    const lines = [
+        `🤖 **LLM Usage — ${ PERIOD_LABELS[ period ] }**`,
+        `Calls: ${ totals.calls }${ totals.failures ? ` (${ totals.failures } failed)` : '' } • Tokens: ${ totals.tokens } • Avg latency: ${ totals.avgLatencyMs }ms`
+    ];
+
+    if ( totals.calls > 0 ) {
+        lines.push( ...formatBreakdown( 'By backend', llmUsageService.getBreakdown( period, 'backend' ) ) );
+        lines.push( ...formatBreakdown( 'By command', llmUsageService.getBreakdown( period, 'command' ) ) );
+    }
+
+    const limits = llmUsageService.getLimits();
+    const today = period === 'today' ? totals : llmUsageService.getTotals( 'today' );
+    const month = period === 'month' ? totals : llmUsageService.getTotals( 'month' );
+    lines.push( '**Budget:**' );
+    lines.push( `• Today: ${ formatLimit( today.calls, limits.today.calls ) } calls, ${ formatLimit( today.tokens, limits.today.tokens ) } tokens` );
+    lines.push( `• This month: ${ formatLimit( month.calls, limits.month.calls ) } calls, ${ formatLimit( month.tokens, limits.month.tokens ) } tokens` );
+
+    const budget = llmUsageService.checkBudget();
+    if ( budget.exceeded ) {
+        lines.push( `🪫 The ${ budget.period === 'today' ? 'daily' : 'monthly' } ${ budget.metric } budget is used up — AI commands are paused` );
+    }
+
+    const response = lines.join( '\n' );
+    await respond( response, services, context, responseChannel );
+    return { success: true, shouldRespond: true, response };
+}
+
+handleLlmusageCommand.requiredRole = 'MODERATOR';
+handleLlmusageCommand.description = 'Show LLM calls, tokens and budget';
+handleLlmusageCommand.example = 'llmusage month';
+handleLlmusageCommand.hidden = false;
+
+module.exports = handleLlmusageCommand;
@@ -0,0 +1,119 @@
+'use strict';
+
+const config = require( '../../config' );
+const SchedulerService = require( '../../services/schedulerService' );
+const { validateTemplate } = require( '../../lib/templateEngine.js' );
+
+async function respond ( response, services, context, responseChannel ) {
+    await services.messageService.sendResponse( response, {
+        responseChannel,
+        isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+        sender: context?.sender,
+        services
+    } );
+}
+
+function usage ( cmdSwitch ) {
+    return `📋 **Schedule Usage:**\n\n` +
+        `\`${ cmdSwitch }schedule list\` — Show the scheduled messages\n` +
+        `\`${ cmdSwitch }schedule add cron <min> <hour> <day> <month> <weekday> <message>\` — e.g. cron 0 20 * * fri Theme night starts now!\n` +
+        `\`${ cmdSwitch }schedule add every <45m|2h|1d> <message>\` — Repeat a message\n` +
+        `\`${ cmdSwitch }schedule add at [YYYY-MM-DD] <HH:MM> <message>\` — Post a message once\n` +
+        `\`${ cmdSwitch }schedule remove <id>\` — Delete a scheduled message\n` +
+        `\`${ cmdSwitch }schedule pause <id>\` / \`${ cmdSwitch }schedule resume <id>\` — Stop or restart one`;
+}
+
+function formatSchedule ( schedule ) {
+    const status = schedule.paused ? ' ⏸️ paused' : '';
+    return `**#${ schedule.id }** ${ SchedulerService.describeTiming( schedule ) }${ status } — ${ schedule.message }`;
+}
+
+/**
+ * Manages scheduled messages and announcements
+ * Usage: !schedule [list|add|remove|pause|resume]
+ */
+async function handleScheduleCommand ( { args, services, context, responseChannel = 'request' } ) {
+    const { schedulerService, dataService } = services;
+    const cmdSwitch = config.COMMAND_SWITCH || '!';
+
+    if ( !schedulerService ) {
+        const response = '❌ Scheduled messages are not available right now.';
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'Scheduler service unavailable' };
+    }
+
+    const argParts = ( args || '' ).trim().split( /\s+/ ).filter( Boolean );
+    const subCommand = argParts[ 0 ]?.toLowerCase() || 'list';
+
+    switch ( subCommand ) {
+        case 'list': {
+            const schedules = schedulerService.listSchedules();
+            const timezone = dataService?.getValue( 'configuration.timezone' ) || 'Europe/London';
+            const response = schedules.length
+                ? `📅 **Scheduled Messages** (${ timezone }):\n${ schedules.map( formatSchedule ).join( '\n' ) }`
+                : `📅 No scheduled messages. Add one with \`${ cmdSwitch }schedule add\``;
+            await respond( response, services, context, responseChannel );
+            return { success: true, shouldRespond: true, response };
+        }
+
+        case 'add': {
+            const parsed = schedulerService.parseTiming( argParts.slice( 1 ) );
+            const message = parsed.rest?.join( ' ' );
+            if ( parsed.error || !message ) {
+                const response = `❌ ${ parsed.error || 'Add the message to post after the timing' }\n\n${ usage( cmdSwitch ) }`;
+                await respond( response, services, context, responseChannel );
+                return { success: false, shouldRespond: true, response, error: 'Invalid schedule' };
+            }
+
+            const { valid, errors } = validateTemplate( message );
+            if ( !valid ) {
+                const response = `❌ Schedule not saved — the message has errors:\n${ errors.map( error => `• ${ error }` ).join( '\n' ) }`;
+                await respond( response, services, context, responseChannel );
+                return { success: false, shouldRespond: true, response, error: 'Invalid template' };
+            }
+
+            const schedule = schedulerService.addSchedule( parsed.timing, message, context?.sender || null );
+            const response = `✅ Scheduled message **#${ schedule.id }** added (${ SchedulerService.describeTiming( schedule ) })`;
+            await respond( response, services, context, responseChannel );
+            return { success: true, shouldRespond: true, response };
+        }
+
+        case 'remove':
+        case 'pause':
+        case 'resume': {
+            const id = Number( ( argParts[ 1 ] || '' ).replace( /^#/, '' ) );
+            const schedule = Number.isInteger( id ) ? schedulerService.getSchedule( id ) : null;
+            if ( !schedule ) {
+                const response = `❌ No scheduled message with that id. Use \`${ cmdSwitch }schedule list\` to see them.`;
+                await respond( response, services, context, responseChannel );
+                return { success: false, shouldRespond: true, response, error: 'Schedule not found' };
+            }
+
+            let response;
+            if ( subCommand === 'remove' ) {
+                schedulerService.removeSchedule( id );
+                response = `🗑️ Scheduled message #${ id } removed`;
+            } else {
+                schedulerService.setPaused( id, subCommand === 'pause' );
+                response = subCommand === 'pause'
+                    ? `⏸️ Scheduled message #${ id } paused`
+                    : `▶️ Scheduled message #${ id } resumed`;
+            }
+            await respond( response, services, context, responseChannel );
+            return { success: true, shouldRespond: true, response };
+        }
+
+        default: {
+            const response = usage( cmdSwitch );
+            await respond( response, services, context, responseChannel );
+            return { success: false, shouldRespond: true, response, error: 'Unknown subcommand' };
+        }
+    }
+}
+
+handleScheduleCommand.requiredRole = 'OWNER';
+handleScheduleCommand.description = 'Manage scheduled messages and announcements';
+handleScheduleCommand.example = 'schedule add every 45m Please read the rules';
+handleScheduleCommand.hidden = false;
+
+module.exports = handleScheduleCommand;
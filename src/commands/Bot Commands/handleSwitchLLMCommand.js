@@ -1,6 +1,6 @@
 // Set required role level for this command
 const requiredRole = 'OWNER';
-const description = 'Switch LLM backend (gemma or mistral)';
+const description = 'Switch LLM backend (gemma, mistral or local)';
 const example = 'switchllm mistral';
 const hidden = false;
 const config = require( '../../config' );
@@ -49,10 +49,12 @@ async function handleSwitchLLMCommand ( commandParams ) {
                 '🤖 **LLM Backend Switching:**\n\n' +
                 `\`${ cmdSwitch }switchllm gemma\` - Switch to Gemma backend\n` +
                 `\`${ cmdSwitch }switchllm mistral\` - Switch to Mistral backend\n` +
+                `\`${ cmdSwitch }switchllm local\` - Switch to your self-hosted model\n` +
                 `\`${ cmdSwitch }llmstatus\` - Check current backend status\n\n` +
                 '**Available backends:**\n' +
                 '• gemma - Google Gemma 4 models\n' +
-                '• mistral - Mistral AI models\n';
+                '• mistral - Mistral AI models\n' +
+                '• local - OpenAI-compatible server (Ollama, llama.cpp, vLLM)\n';
 
             await messageService.sendResponse( response, {
                 responseChannel,
@@ -69,7 +71,7 @@ async function handleSwitchLLMCommand ( commandParams ) {
         }
 
         // Validate backend name
-        const validBackends = [ 'gemma', 'mistral' ];
+        const validBackends = [ 'gemma', 'mistral', 'local' ];
         if ( !validBackends.includes( backendName ) ) {
             const response = `❌ Unknown backend: **${ backendName }**. Available backends: ${ validBackends.join( ', ' ) }`;
             await messageService.sendResponse( response, {
@@ -250,6 +250,77 @@ async function addMessage ( commandName, message, services, context ) {
     }
 }
 
+/**
+ * Sets the usage text shown by !help and when a required argument is missing
+ */
+async function setUsage ( commandName, usage, services, context ) {
+    try {
+        const chatPath = path.join( __dirname, '../../../data/chat.json' );
+
+        if ( !fs.existsSync( chatPath ) ) {
+            return await sendResponse( `❌ Chat command "${ commandName }" not found.`, services, context );
+        }
+
+        const chatData = JSON.parse( fs.readFileSync( chatPath, 'utf8' ) );
+
+        if ( !chatData[ commandName ] ) {
+            return await sendResponse( `❌ Chat command "${ commandName }" does not exist.`, services, context );
+        }
+
+        const trimmedUsage = ( usage || '' ).trim();
+        if ( trimmedUsage ) {
+            chatData[ commandName ].usage = trimmedUsage;
+        } else {
+            delete chatData[ commandName ].usage;
+        }
+
+        // Save to chat.json and rebuild documentation
+        await writeChatDataAndRebuild( chatPath, chatData, services );
+        logger.info( `Usage for command "${ commandName }" set by ${ context?.sender }` );
+
+        return await sendSuccessResponse( trimmedUsage
+            ? `✅ Usage for "${ commandName }" set to: !${ commandName } ${ trimmedUsage }`
+            : `✅ Usage for "${ commandName }" cleared.`, services, context );
+    } catch ( error ) {
+        logger.error( `Error setting chat command usage: ${ error.message }` );
+        return await sendResponse( `❌ Error setting usage: ${ error.message }`, services, context );
+    }
+}
+
+/**
+ * Sets whether a chat command needs an argument, e.g. someone to hug
+ */
+async function setArgRequired ( commandName, required, services, context ) {
+    try {
+        const chatPath = path.join( __dirname, '../../../data/chat.json' );
+
+        if ( !fs.existsSync( chatPath ) ) {
+            return await sendResponse( `❌ Chat command "${ commandName }" not found.`, services, context );
+        }
+
+        const chatData = JSON.parse( fs.readFileSync( chatPath, 'utf8' ) );
+
+        if ( !chatData[ commandName ] ) {
+            return await sendResponse( `❌ Chat command "${ commandName }" does not exist.`, services, context );
+        }
+
+        if ( required ) {
+            chatData[ commandName ].argRequired = true;
+        } else {
+            delete chatData[ commandName ].argRequired;
+        }
+
+        // Save to chat.json and rebuild documentation
+        await writeChatDataAndRebuild( chatPath, chatData, services );
+        logger.info( `Argument for command "${ commandName }" made ${ required ? 'required' : 'optional' } by ${ context?.sender }` );
+
+        return await sendSuccessResponse( `✅ "${ commandName }" ${ required ? 'now needs an argument' : 'no longer needs an argument' }.`, services, context );
+    } catch ( error ) {
+        logger.error( `Error setting chat command argument: ${ error.message }` );
+        return await sendResponse( `❌ Error updating command: ${ error.message }`, services, context );
+    }
+}
+
 /**
  * Removes a message from a chat command
  */
@@ -538,6 +609,10 @@ async function listSpecificCommand ( commandName, services, context ) {
         }
         response += '\n\n';
 
+        if ( commandData.usage || commandData.argRequired ) {
+            response += `**Usage:** !${ targetCommand }${ commandData.usage ? ` ${ commandData.usage }` : '' } (argument ${ commandData.argRequired ? 'required' : 'optional' })\n\n`;
+        }
+
         // Add images
         const images = commandData.pictures || [];
         const validImages = images.filter( img => img !== null && img !== undefined );
@@ -626,7 +701,7 @@ async function handleChatCommandCommand ( { command, args, services, context } )
         const subcommand = parts[ 0 ]?.toLowerCase();
 
         if ( !subcommand ) {
-            return await sendErrorResponse( `Usage: \`!chatCommand <subcommand> [args]\`\n\nSubcommands:\n\`list\` - List all chat commands\n\`list <command>\` - List specific command details\n\`add <command>\` - Create a new chat command\n\`remove <command>\` - Delete a chat command\n\`addMessage <command> <message>\` - Add a message\n\`removeMessage <command> <message>\` - Remove a message\n\`addImage <command> <url>\` - Add an image\n\`removeImage <command> <url>\` - Remove an image\n\`addAlias <command> <alias>\` - Create an alias\n\`removeAlias <alias>\` - Remove an alias` );
+            return await sendErrorResponse( `Usage: \`!chatCommand <subcommand> [args]\`\n\nSubcommands:\n\`list\` - List all chat commands\n\`list <command>\` - List specific command details\n\`add <command>\` - Create a new chat command\n\`remove <command>\` - Delete a chat command\n\`addMessage <command> <message>\` - Add a message\n\`removeMessage <command> <message>\` - Remove a message\n\`addImage <command> <url>\` - Add an image\n\`removeImage <command> <url>\` - Remove an image\n\`addAlias <command> <alias>\` - Create an alias\n\`removeAlias <alias>\` - Remove an alias\n\`setUsage <command> <usage>\` - Describe the arguments, e.g. \`<username>\`\n\`requireArg <command> on|off\` - Whether an argument must be given` );
         }
 
         if ( subcommand === 'list' ) {
@@ -706,6 +781,24 @@ async function handleChatCommandCommand ( { command, args, services, context } )
             return await removeAlias( alias, services, context );
         }
 
+        if ( subcommand === 'setusage' ) {
+            const commandName = parts[ 1 ]?.toLowerCase();
+            if ( !commandName ) {
+                return await sendErrorResponse( `❌ Usage: \`!chatCommand setUsage <command> <usage>\`` );
+            }
+            const usage = parts.slice( 2 ).join( ' ' );
+            return await setUsage( commandName, usage, services, context );
+        }
+
+        if ( subcommand === 'requirearg' ) {
+            const commandName = parts[ 1 ]?.toLowerCase();
+            const setting = parts[ 2 ]?.toLowerCase();
+            if ( !commandName || ![ 'on', 'off' ].includes( setting ) ) {
+                return await sendErrorResponse( `❌ Usage: \`!chatCommand requireArg <command> on|off\`` );
+            }
+            return await setArgRequired( commandName, setting === 'on', services, context );
+        }
+
         return await sendErrorResponse( `❌ Unknown subcommand "${ subcommand }". Use \`!chatCommand\` without args to see available subcommands.` );
     } catch ( error ) {
         logger.error( `Error in handleChatCommandCommand: ${ error.message }` );
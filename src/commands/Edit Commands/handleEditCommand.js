@@ -1,4 +1,5 @@
 const config = require( '../../config.js' );
+const { validateTemplate } = require( '../../lib/templateEngine.js' );
 
 // Set required role level for this command - requires moderator or higher
 const requiredRole = 'OWNER';
@@ -38,6 +39,12 @@ const EDITABLE_MESSAGES = {
         example: '{username} played...\n{trackName} by {artistName}\nStats: 👍 {likes} 👎 {dislikes} ❤️ {stars}',
         dataKey: 'editableMessages.justPlayedMessage'
     },
+    'personalitySwitchMessage': {
+        name: 'Personality Switch Message',
+        availableTokens: [ '{personality}', '{reason}', '{botName}' ],
+        example: '🎭 {botName} is switching to {personality} ({reason})',
+        dataKey: 'editableMessages.personalitySwitchMessage'
+    },
     'popfactsQuestion': {
         name: 'Popfacts AI Question Template',
         availableTokens: [ '{trackName}', '{artistName}', '{username}', '{hangoutName}', '{botName}' ],
@@ -68,6 +75,12 @@ const EDITABLE_MESSAGES = {
         example: 'Give me a brief introduction to {artistName}. What should I know about them?',
         dataKey: 'mlQuestions.introQuestion'
     },
+    'themeVerdictQuestion': {
+        name: 'Theme Verdict AI Question Template',
+        availableTokens: [ '{theme}', '{trackName}', '{artistName}', '{username}', '{hangoutName}', '{botName}' ],
+        example: 'The theme is "{theme}". In one sentence, does {trackName} by {artistName} fit the theme?',
+        dataKey: 'mlQuestions.themeVerdictQuestion'
+    },
     'MLInstructions': {
         name: 'AI System Instructions',
         availableTokens: [ '{hangoutName}', '{botName}' ],
@@ -383,6 +396,25 @@ async function handleEditCommand ( commandParams ) {
     }
 
     const messageInfo = EDITABLE_MESSAGES[ messageType ];
+
+    // Refuse templates with broken {if}/{random:}/filter syntax rather than storing them
+    const { valid, errors } = validateTemplate( newMessage );
+    if ( !valid ) {
+        const response = `❌ ${ messageInfo.name } not saved — the template has errors:\n${ errors.map( error => `• ${ error }` ).join( '\n' ) }`;
+        await messageService.sendResponse( response, {
+            responseChannel,
+            isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+            sender: context?.sender,
+            services
+        } );
+        return {
+            success: false,
+            shouldRespond: true,
+            response,
+            error: 'Invalid template'
+        };
+    }
+
     logger.info( `Starting ${ messageInfo.name.toLowerCase() } update process` );
 
     try {
@@ -1,9 +1,11 @@
 const config = require( '../../config.js' );
 const { hasPermission } = require( '../../lib/roleUtils' );
+const PersonalityService = require( '../../services/personalityService' );
+const TriggerService = require( '../../services/triggerService' );
 
 const requiredRole = 'MODERATOR';
 const description = 'Manage bot personality presets';
-const example = 'list | save "Name" "Description" | activate "Name" | delete "Name"';
+const example = 'list | save "Name" "Description" | activate "Name" | delete "Name" | schedule add monday 00:00 "Name"';
 const hidden = false;
 
 async function handleListPersonalities ( services, context, responseChannel ) {
@@ -272,7 +274,8 @@ async function handleSavePersonality ( personalityName, description, services, c
             disabledCommands: botConfig.disabledCommands || [],
             disabledFeatures: botConfig.disabledFeatures || [],
             triggers: botConfig.triggers || {},
-            customTokens: botConfig.customTokens || {}
+            customTokens: botConfig.customTokens || {},
+            author: context?.sender || null
         };
 
         await databaseService.savePersonality( personalityData );
@@ -385,7 +388,8 @@ async function handleUpdatePersonality ( personalityName, description, services,
             disabledCommands: botConfig.disabledCommands || [],
             disabledFeatures: botConfig.disabledFeatures || [],
             triggers: botConfig.triggers || {},
-            customTokens: botConfig.customTokens || {}
+            customTokens: botConfig.customTokens || {},
+            author: context?.sender || null
         };
 
         await databaseService.updatePersonality( personalityData );
@@ -415,21 +419,8 @@ async function handleUpdatePersonality ( personalityName, description, services,
     }
 }
 
-/**
- * Helper function to check if a value should be applied or skipped (keep existing)
- * @param {*} value - Value to check
- * @returns {boolean} - true if value should be applied, false if empty/should skip
- */
-function shouldApplyValue ( value ) {
-    if ( value === undefined || value === null ) return false;
-    if ( typeof value === 'string' && value.trim() === '' ) return false;
-    if ( Array.isArray( value ) && value.length === 0 ) return false;
-    if ( typeof value === 'object' && !Array.isArray( value ) && Object.keys( value ).length === 0 ) return false;
-    return true;
-}
-
 async function handleActivatePersonality ( personalityName, services, context, responseChannel ) {
-    const { messageService, dataService, databaseService, logger } = services;
+    const { messageService, databaseService, personalityService, logger } = services;
 
     try {
         if ( !databaseService.initialized ) {
@@ -473,109 +464,349 @@ async function handleActivatePersonality ( personalityName, services, context, r
             services
         } );
 
-        await dataService.loadData();
+        await personalityService.applyPersonality( personality, { reason: 'manual', by: context?.sender } );
+
+        const response = `✅ Activated personality "${ personality.name }"`;
+        await messageService.sendResponse( response, {
+            responseChannel,
+            isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+            sender: context?.sender,
+            services
+        } );
+
+        return { success: true, shouldRespond: true, response };
+
+    } catch ( error ) {
+        logger.error( `Error activating personality: ${ error.message }` );
+        const response = `❌ Failed to activate personality: ${ error.message }`;
+        await messageService.sendResponse( response, {
+            responseChannel,
+            isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+            sender: context?.sender,
+            services
+        } );
+        return { success: false, shouldRespond: true, response, error: error.message };
+    }
+}
+
+/**
+ * Returns a function that sends a response and builds the command result
+ */
+function responder ( services, context, responseChannel ) {
+    return async ( response, success, error ) => {
+        await services.messageService.sendResponse( response, {
+            responseChannel,
+            isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+            sender: context?.sender,
+            services
+        } );
+        return error ? { success, shouldRespond: true, response, error } : { success, shouldRespond: true, response };
+    };
+}
+
+function scheduleUsage () {
+    const cmd = `${ config.COMMAND_SWITCH }personality schedule`;
+    return `**Usage:**\n` +
+        `• \`${ cmd }\` - Show scheduled and theme switches\n` +
+        `• \`${ cmd } add <day|daily|weekdays|weekends> <HH:MM> "Name"\` - Switch at a time, e.g. monday 00:00\n` +
+        `• \`${ cmd } add cron <min> <hour> <day> <month> <weekday> "Name"\` - Switch on a cron schedule\n` +
+        `• \`${ cmd } remove <id>\` - Delete a scheduled switch\n` +
+        `• \`${ cmd } theme "Theme" "Name"\` - Switch when a theme is set (\`"Theme" none\` to stop)`;
+}
+
+function formatScheduleOverview ( personalityService ) {
+    const active = personalityService.getActivePersonality();
+    const next = personalityService.getNextScheduled();
+    const schedules = personalityService.listSchedules();
+    const themes = Object.entries( personalityService.getThemePersonalities() );
+
+    let response = `🎭 **Current:** ${ active || 'none' }\n`;
+    response += `⏭️ **Next:** ${ next ? `${ next.personality } at ${ next.at } (${ personalityService.getTimezone() })` : 'nothing scheduled' }\n\n`;
+
+    response += '📅 **Scheduled Switches:**\n';
+    response += schedules.length
+        ? schedules.map( entry => `**#${ entry.id }** ${ PersonalityService.describeSchedule( entry ) } → "${ entry.personality }"` ).join( '\n' )
+        : 'None';
+
+    response += '\n\n🎨 **Theme Switches:**\n';
+    response += themes.length
+        ? themes.map( ( [ theme, personality ] ) => `"${ theme }" → "${ personality }"` ).join( '\n' )
+        : 'None';
+
+    return response;
+}
+
+async function handleSchedulePersonality ( restArgs, services, context, responseChannel ) {
+    const { databaseService, personalityService, stateService, logger } = services;
+    const respond = responder( services, context, responseChannel );
+
+    try {
+        const words = restArgs.trim().split( /\s+/ ).filter( Boolean );
+        const action = ( words[ 0 ] || 'list' ).toLowerCase();
+
+        if ( action === 'list' ) {
+            return await respond( formatScheduleOverview( personalityService ), true );
+        }
 
-        // Only update instructions if they're set in the personality
-        if ( shouldApplyValue( personality.instructions.MLPersonality ) ) {
-            await dataService.setValue( 'Instructions.MLPersonality', personality.instructions.MLPersonality );
+        if ( ![ 'add', 'remove', 'theme' ].includes( action ) ) {
+            return await respond( `❌ Unknown schedule action: "${ action }"\n\n${ scheduleUsage() }`, false, 'Unknown schedule action' );
         }
-        if ( shouldApplyValue( personality.instructions.MLInstructions ) ) {
-            await dataService.setValue( 'Instructions.MLInstructions', personality.instructions.MLInstructions );
+
+        const senderRole = stateService.getUserRole( context.sender );
+        if ( !hasPermission( senderRole, 'OWNER' ) ) {
+            return await respond( '❌ Only the room owner can change personality schedules.', false, 'Insufficient permissions' );
         }
 
-        // Only update editable messages if they're set in the personality
-        for ( const [ key, value ] of Object.entries( personality.editableMessages ) ) {
-            if ( shouldApplyValue( value ) ) {
-                await dataService.setValue( `editableMessages.${ key }`, value );
+        if ( action === 'remove' ) {
+            const id = Number( ( words[ 1 ] || '' ).replace( /^#/, '' ) );
+            const removed = Number.isInteger( id ) ? await personalityService.removeSchedule( id ) : null;
+            if ( !removed ) {
+                return await respond( `❌ No scheduled switch with that id. Use \`${ config.COMMAND_SWITCH }personality schedule\` to see them.`, false, 'Schedule not found' );
             }
+            return await respond( `🗑️ Scheduled switch #${ id } to "${ removed.personality }" removed`, true );
         }
 
-        // Extract botName from configuration if it exists
-        const { botName, ...otherConfig } = personality.configuration;
-        if ( botName ) {
-            await dataService.setValue( 'botData.CHAT_NAME', botName );
-            // Update bot name on TT.fm platform
-            await services.hangUserService.updateHangNickname( botName );
-
-            // Leave and rejoin CometChat to refresh display name in chat window
-            try {
-                logger.debug( '🔄 Leaving CometChat to refresh display name...' );
-                await messageService.leaveChat( services.config.HANGOUT_ID );
-                logger.debug( '✅ Left CometChat group' );
-            } catch ( leaveError ) {
-                logger.warn( `⚠️ Failed to leave CometChat (will still try to rejoin): ${ leaveError.message }` );
+        if ( !databaseService.initialized ) {
+            throw new Error( 'Database not initialized' );
+        }
+
+        let timing = null;
+        let personalityName;
+        let theme;
+        if ( action === 'add' ) {
+            timing = personalityService.parseTiming( words.slice( 1 ) );
+            if ( timing.error ) {
+                return await respond( `❌ ${ timing.error }\n\n${ scheduleUsage() }`, false, 'Invalid schedule' );
+            }
+            personalityName = timing.rest.length ? parsePersonalityName( timing.rest.join( ' ' ) ) : '';
+        } else {
+            const themeArgs = restArgs.trim().slice( words[ 0 ].length ).trim();
+            const quoted = parseQuotedStrings( themeArgs );
+            if ( quoted ) {
+                theme = quoted.name;
+                personalityName = quoted.description;
+            } else {
+                const themeMatch = themeArgs.match( /^"([^"]+)"\s+(none|off)$/i );
+                if ( !themeMatch ) {
+                    return await respond( `❌ Please give the theme and personality in quotes.\n\n${ scheduleUsage() }`, false, 'Invalid theme switch' );
+                }
+                await personalityService.setThemePersonality( themeMatch[ 1 ], null );
+                return await respond( `✅ Setting the theme "${ themeMatch[ 1 ] }" no longer switches personality`, true );
             }
+        }
 
-            try {
-                logger.debug( '🔄 Rejoining CometChat with new display name...' );
-                await messageService.joinChat( services.config.HANGOUT_ID );
-                logger.debug( '✅ CometChat rejoin successful' );
-            } catch ( rejoinError ) {
-                // Don't fail the whole operation if rejoin fails
-                logger.warn( `⚠️ Failed to rejoin CometChat: ${ rejoinError.message }` );
+        if ( !personalityName || personalityName.trim().length === 0 ) {
+            return await respond( `❌ Please provide a personality name.\n\n${ scheduleUsage() }`, false, 'Missing personality name' );
+        }
+
+        const personality = await databaseService.getPersonalityByName( personalityName );
+        if ( !personality ) {
+            const allPersonalities = await databaseService.getAllPersonalities();
+            const suggestions = suggestSimilarNames( personalityName, allPersonalities.map( p => p.name ) );
+            let response = `❌ Personality "${ personalityName }" not found.`;
+            if ( suggestions.length > 0 ) {
+                response += `\n\nDid you mean: ${ suggestions.join( ', ' ) }?`;
             }
+            return await respond( response, false, 'Personality not found' );
         }
 
-        // Merge configuration with existing values (don't overwrite missing values)
-        const currentConfig = dataService.getValue( 'configuration' ) || {};
-        const mergedConfig = { ...currentConfig, ...otherConfig };
-        await dataService.setValue( 'configuration', mergedConfig );
+        if ( action === 'add' ) {
+            const entry = await personalityService.addSchedule( timing.expression, personality.name );
+            return await respond( `✅ Scheduled switch **#${ entry.id }**: ${ PersonalityService.describeSchedule( entry ) } → "${ personality.name }"`, true );
+        }
 
-        // Only update mlQuestions if they're set in the personality
-        if ( shouldApplyValue( personality.mlQuestions ) ) {
-            // Merge mlQuestions - only update questions that have non-empty values
-            const currentMlQuestions = dataService.getValue( 'mlQuestions' ) || {};
-            const mergedMlQuestions = { ...currentMlQuestions };
-            for ( const [ key, value ] of Object.entries( personality.mlQuestions ) ) {
-                if ( shouldApplyValue( value ) ) {
-                    mergedMlQuestions[ key ] = value;
-                }
+        await personalityService.setThemePersonality( theme, personality.name );
+        return await respond( `✅ Setting the theme "${ theme }" will switch to "${ personality.name }"`, true );
+
+    } catch ( error ) {
+        logger.error( `Error managing personality schedule: ${ error.message }` );
+        return await respond( `❌ Failed to update personality schedule: ${ error.message }`, false, error.message );
+    }
+}
+
+async function handleExportPersonality ( personalityName, services, context, responseChannel ) {
+    const { databaseService, personalityService, stateService, logger } = services;
+    const respond = responder( services, context, responseChannel );
+
+    try {
+        if ( !hasPermission( stateService.getUserRole( context.sender ), 'OWNER' ) ) {
+            return await respond( '❌ Only the room owner can export personalities.', false, 'Insufficient permissions' );
+        }
+        if ( !databaseService.initialized ) {
+            throw new Error( 'Database not initialized' );
+        }
+        if ( !personalityName ) {
+            return await respond( `❌ Please specify a personality name. Usage: \`${ config.COMMAND_SWITCH }personality export "Name"\``, false );
+        }
+
+        const result = await personalityService.exportPersonality( personalityName );
+        if ( !result.success ) {
+            return await respond( `❌ ${ result.error }`, false, result.error );
+        }
+        return await respond( `📦 Personality "${ result.personality }" exported to data/personalities/${ result.file }`, true );
+
+    } catch ( error ) {
+        logger.error( `Error exporting personality: ${ error.message }` );
+        return await respond( `❌ Failed to export personality: ${ error.message }`, false, error.message );
+    }
+}
+
+async function handleImportPersonality ( restArgs, services, context, responseChannel ) {
+    const { databaseService, personalityService, stateService, logger } = services;
+    const respond = responder( services, context, responseChannel );
+
+    try {
+        if ( !hasPermission( stateService.getUserRole( context.sender ), 'OWNER' ) ) {
+            return await respond( '❌ Only the room owner can import personalities.', false, 'Insufficient permissions' );
+        }
+        if ( !databaseService.initialized ) {
+            throw new Error( 'Database not initialized' );
+        }
+
+        const words = restArgs.split( /\s+/ ).filter( Boolean );
+        const replace = words[ words.length - 1 ]?.toLowerCase() === 'replace';
+        const fileName = ( replace ? words.slice( 0, -1 ) : words ).join( ' ' ).replace( /"/g, '' );
+        if ( !fileName ) {
+            const files = personalityService.listPackFiles();
+            const response = `❌ Please specify a file. Usage: \`${ config.COMMAND_SWITCH }personality import <file> [replace]\`\n\n` +
+                `📂 **Files in data/personalities:** ${ files.length ? files.join( ', ' ) : 'None' }`;
+            return await respond( response, false );
+        }
+
+        const result = await personalityService.importPersonality( fileName, { replace, author: context?.sender || null } );
+        if ( !result.success ) {
+            let response = `❌ ${ result.error }`;
+            if ( result.errors ) {
+                response += `:\n${ result.errors.map( error => `• ${ error }` ).join( '\n' ) }`;
+            } else if ( result.error.endsWith( 'already exists' ) ) {
+                response += `. Add \`replace\` to overwrite it: \`${ config.COMMAND_SWITCH }personality import ${ fileName } replace\``;
             }
-            await dataService.setValue( 'mlQuestions', mergedMlQuestions );
+            return await respond( response, false, result.error );
         }
 
-        // Only update disabled commands/features if they're set in the personality
-        if ( shouldApplyValue( personality.disabledCommands ) ) {
-            await dataService.setValue( 'disabledCommands', personality.disabledCommands );
+        const response = `✅ Personality "${ result.personality }" ${ result.replaced ? 'replaced' : 'imported' }. ` +
+            `Use \`${ config.COMMAND_SWITCH }personality activate "${ result.personality }"\` to switch to it.`;
+        return await respond( response, true );
+
+    } catch ( error ) {
+        logger.error( `Error importing personality: ${ error.message }` );
+        return await respond( `❌ Failed to import personality: ${ error.message }`, false, error.message );
+    }
+}
+
+const HISTORY_LIMIT = 10;
+
+function formatRevision ( revision ) {
+    const author = revision.author || ( revision.author_uuid ? revision.author_uuid.slice( 0, 8 ) : null );
+    return `**r${ revision.revision }** ${ revision.created_at.slice( 0, 16 ) } UTC — ${ revision.action }${ author ? ` by ${ author }` : '' }`;
+}
+
+async function handlePersonalityHistory ( personalityName, services, context, responseChannel ) {
+    const { databaseService, logger } = services;
+    const respond = responder( services, context, responseChannel );
+
+    try {
+        if ( !databaseService.initialized ) {
+            throw new Error( 'Database not initialized' );
         }
-        if ( shouldApplyValue( personality.disabledFeatures ) ) {
-            await dataService.setValue( 'disabledFeatures', personality.disabledFeatures );
+        if ( !personalityName ) {
+            return await respond( `❌ Please specify a personality name. Usage: \`${ config.COMMAND_SWITCH }personality history "Name"\``, false );
         }
 
-        // Only update triggers if they're set in the personality
-        if ( shouldApplyValue( personality.triggers ) ) {
-            await dataService.setValue( 'triggers', personality.triggers );
+        const personality = await databaseService.getPersonalityByName( personalityName );
+        if ( !personality ) {
+            return await respond( `❌ Personality "${ personalityName }" not found.`, false, 'Personality not found' );
         }
 
-        // Only update custom tokens if they're set in the personality
-        if ( shouldApplyValue( personality.customTokens ) ) {
-            await dataService.setValue( 'customTokens', personality.customTokens );
+        const revisions = await databaseService.getPersonalityRevisions( personality.name );
+        if ( revisions.length === 0 ) {
+            return await respond( `📜 "${ personality.name }" has no revisions yet. One is recorded each time it's saved or updated.`, true );
         }
 
-        await dataService.setValue( 'activePersonality', personality.name );
+        let response = `📜 **History for "${ personality.name }"** (newest first)\n`;
+        response += revisions.slice( 0, HISTORY_LIMIT ).map( formatRevision ).join( '\n' );
+        if ( revisions.length > HISTORY_LIMIT ) {
+            response += `\n...and ${ revisions.length - HISTORY_LIMIT } older`;
+        }
+        response += `\n\nUse \`${ config.COMMAND_SWITCH }personality rollback "${ personality.name }" <rev>\` to restore one.`;
+        return await respond( response, true );
 
-        const response = `✅ Activated personality "${ personality.name }"`;
-        await messageService.sendResponse( response, {
-            responseChannel,
-            isPrivateMessage: context?.fullMessage?.isPrivateMessage,
-            sender: context?.sender,
-            services
-        } );
+    } catch ( error ) {
+        logger.error( `Error getting personality history: ${ error.message }` );
+        return await respond( `❌ Failed to get personality history: ${ error.message }`, false, error.message );
+    }
+}
 
-        logger.info( `Personality "${ personality.name }" activated by ${ context?.sender }` );
+async function handleRollbackPersonality ( restArgs, services, context, responseChannel ) {
+    const { databaseService, stateService, dataService, logger } = services;
+    const respond = responder( services, context, responseChannel );
 
-        return { success: true, shouldRespond: true, response };
+    try {
+        if ( !hasPermission( stateService.getUserRole( context.sender ), 'OWNER' ) ) {
+            return await respond( '❌ Only the room owner can roll back personalities.', false, 'Insufficient permissions' );
+        }
+        if ( !databaseService.initialized ) {
+            throw new Error( 'Database not initialized' );
+        }
+
+        const revisionMatch = restArgs.match( /\s+[r#]?(\d+)$/i );
+        const personalityName = revisionMatch ? parsePersonalityName( restArgs.slice( 0, revisionMatch.index ) ) : '';
+        if ( !personalityName ) {
+            return await respond( `❌ Please specify a personality and revision. Usage: \`${ config.COMMAND_SWITCH }personality rollback "Name" <rev>\``, false );
+        }
+
+        const result = await databaseService.rollbackPersonality( personalityName, Number( revisionMatch[ 1 ] ), context?.sender || null );
+        if ( !result ) {
+            return await respond( `❌ No revision ${ revisionMatch[ 1 ] } for "${ personalityName }". Use \`${ config.COMMAND_SWITCH }personality history "${ personalityName }"\` to see them.`, false, 'Revision not found' );
+        }
+
+        const isActive = dataService.getValue( 'activePersonality' )?.toLowerCase() === result.name.toLowerCase();
+        const response = `⏪ Personality "${ result.name }" restored to revision ${ revisionMatch[ 1 ] } (saved as r${ result.revision }).` +
+            ( isActive ? ` Use \`${ config.COMMAND_SWITCH }personality activate "${ result.name }"\` to apply it.` : '' );
+        return await respond( response, true );
 
     } catch ( error ) {
-        logger.error( `Error activating personality: ${ error.message }` );
-        const response = `❌ Failed to activate personality: ${ error.message }`;
-        await messageService.sendResponse( response, {
-            responseChannel,
-            isPrivateMessage: context?.fullMessage?.isPrivateMessage,
-            sender: context?.sender,
-            services
-        } );
-        return { success: false, shouldRespond: true, response, error: error.message };
+        logger.error( `Error rolling back personality: ${ error.message }` );
+        return await respond( `❌ Failed to roll back personality: ${ error.message }`, false, error.message );
+    }
+}
+
+const CHANGE_SYMBOLS = { added: '+', removed: '−', changed: '~' };
+
+async function handleDiffPersonalities ( restArgs, services, context, responseChannel ) {
+    const { databaseService, personalityService, logger } = services;
+    const respond = responder( services, context, responseChannel );
+
+    try {
+        if ( !databaseService.initialized ) {
+            throw new Error( 'Database not initialized' );
+        }
+
+        const names = parseQuotedStrings( restArgs );
+        const [ nameA, nameB ] = names ? [ names.name, names.description ] : restArgs.split( /\s+/ ).filter( Boolean );
+        if ( !nameA || !nameB ) {
+            return await respond( `❌ Please specify two personalities. Usage: \`${ config.COMMAND_SWITCH }personality diff "A" "B"\``, false );
+        }
+
+        const result = await personalityService.diffPersonalities( nameA, nameB );
+        if ( !result.success ) {
+            return await respond( `❌ ${ result.error }`, false, result.error );
+        }
+
+        let response = `🔍 **"${ result.a }" → "${ result.b }"**\n`;
+        if ( result.sections.length === 0 ) {
+            response += 'No differences';
+        } else {
+            response += result.sections
+                .map( ( { section, changes } ) => `**${ section }:** ${ changes.map( change => `${ CHANGE_SYMBOLS[ change.type ] } ${ change.key }` ).join( ', ' ) }` )
+                .join( '\n' );
+            response += '\n\n(+ only in the second, − only in the first, ~ different)';
+        }
+        return await respond( response, true );
+
+    } catch ( error ) {
+        logger.error( `Error comparing personalities: ${ error.message }` );
+        return await respond( `❌ Failed to compare personalities: ${ error.message }`, false, error.message );
     }
 }
 
@@ -780,9 +1011,11 @@ function formatTriggers ( triggers ) {
     return Object.entries( triggers )
         .map( ( [ type, items ] ) => {
             const formattedItems = items.map( t => {
-                // Handle both string format (simple command) and object format (pattern/response)
+                // Handle string format (simple command), command entries with args or a condition, and pattern/response objects
                 if ( typeof t === 'string' ) {
                     return `    • "${ t }"`;
+                } else if ( t && typeof t === 'object' && t.command ) {
+                    return `    • "${ TriggerService.describeEntry( t ) }"`;
                 } else if ( t && typeof t === 'object' && t.pattern && t.response ) {
                     return `    • "${ t.pattern }" → "${ t.response }"`;
                 } else {
@@ -819,7 +1052,7 @@ async function handlePersonalityCommand ( commandParams ) {
     const { messageService } = services;
 
     if ( !args || args.trim().length === 0 ) {
-        const response = `❌ Please specify a command.\n\n**Usage:**\n• \`${ config.COMMAND_SWITCH }personality list\` - Show all saved personalities\n• \`${ config.COMMAND_SWITCH }personality show "Name"\` - Show personality overview\n• \`${ config.COMMAND_SWITCH }personality showall "Name"\` - Show full personality details\n• \`${ config.COMMAND_SWITCH }personality save "Name" "Description"\` - Save and activate current configuration\n• \`${ config.COMMAND_SWITCH }personality update ["Name"]\` - Update active or specified personality\n• \`${ config.COMMAND_SWITCH }personality activate "Name"\` - Load a saved personality\n• \`${ config.COMMAND_SWITCH }personality delete "Name"\` - Delete a saved personality`;
+        const response = `❌ Please specify a command.\n\n**Usage:**\n• \`${ config.COMMAND_SWITCH }personality list\` - Show all saved personalities\n• \`${ config.COMMAND_SWITCH }personality show "Name"\` - Show personality overview\n• \`${ config.COMMAND_SWITCH }personality showall "Name"\` - Show full personality details\n• \`${ config.COMMAND_SWITCH }personality save "Name" "Description"\` - Save and activate current configuration\n• \`${ config.COMMAND_SWITCH }personality update ["Name"]\` - Update active or specified personality\n• \`${ config.COMMAND_SWITCH }personality activate "Name"\` - Load a saved personality\n• \`${ config.COMMAND_SWITCH }personality delete "Name"\` - Delete a saved personality\n• \`${ config.COMMAND_SWITCH }personality schedule\` - Switch personality on a schedule or when a theme is set\n• \`${ config.COMMAND_SWITCH }personality export "Name"\` - Save a personality to a file\n• \`${ config.COMMAND_SWITCH }personality import <file> [replace]\` - Load a personality from a file\n• \`${ config.COMMAND_SWITCH }personality diff "A" "B"\` - Compare two personalities\n• \`${ config.COMMAND_SWITCH }personality history "Name"\` - List saved revisions\n• \`${ config.COMMAND_SWITCH }personality rollback "Name" <rev>\` - Restore an earlier revision`;
 
         await messageService.sendResponse( response, {
             responseChannel,
@@ -931,7 +1164,37 @@ async function handlePersonalityCommand ( commandParams ) {
         return await handleDeletePersonality( personalityName, services, context, responseChannel );
     }
 
-    const response = `❌ Unknown command: "${ subCommand }"\n\nAvailable commands: list, show, showall, save, update, activate, delete`;
+    if ( subCommand === 'export' ) {
+        const restArgs = args.substring( args.indexOf( subCommand ) + subCommand.length ).trim();
+        return await handleExportPersonality( restArgs ? parsePersonalityName( restArgs ) : '', services, context, responseChannel );
+    }
+
+    if ( subCommand === 'import' ) {
+        const restArgs = args.substring( args.indexOf( subCommand ) + subCommand.length ).trim();
+        return await handleImportPersonality( restArgs, services, context, responseChannel );
+    }
+
+    if ( subCommand === 'diff' ) {
+        const restArgs = args.substring( args.indexOf( subCommand ) + subCommand.length ).trim();
+        return await handleDiffPersonalities( restArgs, services, context, responseChannel );
+    }
+
+    if ( subCommand === 'history' ) {
+        const restArgs = args.substring( args.indexOf( subCommand ) + subCommand.length ).trim();
+        return await handlePersonalityHistory( restArgs ? parsePersonalityName( restArgs ) : '', services, context, responseChannel );
+    }
+
+    if ( subCommand === 'rollback' ) {
+        const restArgs = args.substring( args.indexOf( subCommand ) + subCommand.length ).trim();
+        return await handleRollbackPersonality( restArgs, services, context, responseChannel );
+    }
+
+    if ( subCommand === 'schedule' ) {
+        const restArgs = args.substring( args.indexOf( subCommand ) + subCommand.length ).trim();
+        return await handleSchedulePersonality( restArgs, services, context, responseChannel );
+    }
+
+    const response = `❌ Unknown command: "${ subCommand }"\n\nAvailable commands: list, show, showall, save, update, activate, delete, schedule, export, import, diff, history, rollback`;
     await messageService.sendResponse( response, {
         responseChannel,
         isPrivateMessage: context?.fullMessage?.isPrivateMessage,
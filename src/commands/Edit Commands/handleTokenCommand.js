@@ -34,6 +34,7 @@ async function handleListTokens ( services, context, responseChannel ) {
 
         // Group by type
         const builtInTokens = tokenList.filter( token => token.type === 'built-in' );
+        const computedTokens = tokenList.filter( token => token.type === 'computed' );
         const customTokens = tokenList.filter( token => token.type === 'custom' );
 
         if ( builtInTokens.length > 0 ) {
@@ -44,10 +45,19 @@ async function handleListTokens ( services, context, responseChannel ) {
             response += '\n';
         }
 
+        if ( computedTokens.length > 0 ) {
+            response += '**Computed Tokens:**\n';
+            computedTokens.forEach( token => {
+                response += `• \`${ token.name }\` - ${ token.description }\n`;
+            } );
+            response += '\n';
+        }
+
         if ( customTokens.length > 0 ) {
             response += '**Custom Tokens:**\n';
             customTokens.forEach( token => {
-                response += `• \`${ token.name }\` - ${ token.description }\n`;
+                const computedFrom = token.valueType === 'computed' ? ` (= ${ token.source }${ token.param ? `:${ token.param }` : '' })` : '';
+                response += `• \`${ token.name }\`${ computedFrom } - ${ token.description }\n`;
             } );
             response += '\n';
         }
@@ -60,6 +70,7 @@ async function handleListTokens ( services, context, responseChannel ) {
 
         response += `**Usage:**\n`;
         response += `• \`${ config.COMMAND_SWITCH }token add <name> <value>\`\n`;
+        response += `• \`${ config.COMMAND_SWITCH }token compute <name> <computed>[:<param>] ["description"]\`\n`;
         response += `• \`${ config.COMMAND_SWITCH }token remove <name>\`\n`;
         response += `• \`${ config.COMMAND_SWITCH }token test <text>\` - Test token replacement`;
 
@@ -202,6 +213,47 @@ async function handleAddToken ( tokenName, tokenValue, services, context, respon
     }
 }
 
+/**
+ * Handle adding a token built from a computed token
+ */
+async function handleComputeToken ( tokenName, spec, tokenDescription, services, context, responseChannel ) {
+    const { messageService, tokenService } = services;
+
+    try {
+        const separator = spec.indexOf( ':' );
+        const source = separator === -1 ? spec : spec.substring( 0, separator );
+        const param = separator === -1 ? null : spec.substring( separator + 1 ).trim() || null;
+
+        const result = await tokenService.setComputedToken( tokenName, source, param, tokenDescription || `Computed from ${ spec }` );
+        const response = result.success ? `✅ ${ result.message }` : `❌ ${ result.error }`;
+
+        await messageService.sendResponse( response, {
+            responseChannel,
+            isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+            sender: context?.sender,
+            services
+        } );
+
+        return result.success
+            ? { success: true, shouldRespond: true, response }
+            : { success: false, shouldRespond: true, response, error: result.error };
+    } catch ( error ) {
+        const response = `❌ Failed to add token: ${ error.message }`;
+        await messageService.sendResponse( response, {
+            responseChannel,
+            isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+            sender: context?.sender,
+            services
+        } );
+        return {
+            success: false,
+            shouldRespond: true,
+            response,
+            error: error.message
+        };
+    }
+}
+
 /**
  * Handle removing a token
  */
@@ -328,7 +380,7 @@ async function handleTokenCommand ( commandParams ) {
 
     // Parse arguments
     if ( !args || args.trim().length === 0 ) {
-        const response = `❌ Please specify a token command.\n\n**Usage:**\n• \`${ config.COMMAND_SWITCH }token list\` - Show all available tokens\n• \`${ config.COMMAND_SWITCH }token add <name> <value>\` - Add a custom token\n• \`${ config.COMMAND_SWITCH }token remove <name>\` - Remove a custom token\n• \`${ config.COMMAND_SWITCH }token test <text>\` - Test token replacement in text`;
+        const response = `❌ Please specify a token command.\n\n**Usage:**\n• \`${ config.COMMAND_SWITCH }token list\` - Show all available tokens\n• \`${ config.COMMAND_SWITCH }token add <name> <value>\` - Add a custom token\n• \`${ config.COMMAND_SWITCH }token compute <name> <computed>[:<param>]\` - Add a token that looks up room data\n• \`${ config.COMMAND_SWITCH }token remove <name>\` - Remove a custom token\n• \`${ config.COMMAND_SWITCH }token test <text>\` - Test token replacement in text`;
         await messageService.sendResponse( response, {
             responseChannel,
             isPrivateMessage: context?.fullMessage?.isPrivateMessage,
@@ -392,6 +444,34 @@ async function handleTokenCommand ( commandParams ) {
         return await handleAddToken( tokenName, tokenValue, services, context, responseChannel );
     }
 
+    // Handle compute command
+    if ( subCommand === 'compute' ) {
+        if ( argParts.length < 3 ) {
+            const response = `❌ Please specify token name and what it computes.\n\n**Usage:** \`${ config.COMMAND_SWITCH }token compute <name> <computed>[:<param>] ["description"]\`\n\n**Example:** \`${ config.COMMAND_SWITCH }token compute artistPlays plays:artistName "Plays of the current artist"\`\n\nSee \`${ config.COMMAND_SWITCH }token list\` for the computed tokens.`;
+            await messageService.sendResponse( response, {
+                responseChannel,
+                isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+                sender: context?.sender,
+                services
+            } );
+            return {
+                success: false,
+                shouldRespond: true,
+                response
+            };
+        }
+
+        const tokenName = argParts[ 1 ];
+        const restOfArgs = args.substring( args.indexOf( tokenName ) + tokenName.length ).trim();
+
+        // Everything up to an optional quoted description is the computed token and its parameter
+        const quoteStart = restOfArgs.indexOf( '"' );
+        const spec = ( quoteStart === -1 ? restOfArgs : restOfArgs.substring( 0, quoteStart ) ).trim();
+        const tokenDescription = quoteStart === -1 ? null : restOfArgs.substring( quoteStart + 1 ).replace( /"\s*$/, '' );
+
+        return await handleComputeToken( tokenName, spec, tokenDescription, services, context, responseChannel );
+    }
+
     // Handle remove command
     if ( subCommand === 'remove' ) {
         if ( argParts.length < 2 ) {
@@ -433,7 +513,7 @@ async function handleTokenCommand ( commandParams ) {
     }
 
     // Invalid subcommand
-    const response = `❌ Invalid subcommand: "${ subCommand }"\n\n**Available subcommands:** list, add, remove, test\n\n**Usage:**\n• \`${ config.COMMAND_SWITCH }token list\`\n• \`${ config.COMMAND_SWITCH }token add <name> <value>\`\n• \`${ config.COMMAND_SWITCH }token remove <name>\`\n• \`${ config.COMMAND_SWITCH }token test <text>\``;
+    const response = `❌ Invalid subcommand: "${ subCommand }"\n\n**Available subcommands:** list, add, compute, remove, test\n\n**Usage:**\n• \`${ config.COMMAND_SWITCH }token list\`\n• \`${ config.COMMAND_SWITCH }token add <name> <value>\`\n• \`${ config.COMMAND_SWITCH }token compute <name> <computed>[:<param>]\`\n• \`${ config.COMMAND_SWITCH }token remove <name>\`\n• \`${ config.COMMAND_SWITCH }token test <text>\``;
     await messageService.sendResponse( response, {
         responseChannel,
         isPrivateMessage: context?.fullMessage?.isPrivateMessage,
@@ -1,5 +1,6 @@
 const config = require( '../../config.js' );
 const { hasPermission } = require( '../../lib/roleUtils' );
+const TriggerService = require( '../../services/triggerService' );
 
 // Set required role level for this command - requires owner
 const requiredRole = 'OWNER';
@@ -7,7 +8,53 @@ const description = 'Manage command triggers for bot events';
 const example = 'trigger list | trigger add newSong intro | trigger remove newSong intro';
 const hidden = false;
 
+/**
+ * Builds the usage lines shared by the help and error responses
+ */
+function usageLines () {
+    const cmd = `${ config.COMMAND_SWITCH }trigger`;
+    return `• \`${ cmd } list\` - Show all configured triggers\n` +
+        `• \`${ cmd } add <triggerName> <commandName> [args]\` - Add command to trigger\n` +
+        `• \`${ cmd } add <triggerName> if <condition> run <commandName> [args]\` - Only run when the event matches\n` +
+        `• \`${ cmd } remove <triggerName> <commandName|number>\` - Remove command from trigger\n` +
+        `• \`${ cmd } clear <triggerName>\` - Remove all commands from trigger`;
+}
 
+/**
+ * Splits "add" arguments into the command to run, its arguments and an optional condition, e.g.
+ *   add newSong if artist matches /beatles/i run intro
+ *   add userJoined if firstVisit run say Welcome newbie {username}
+ * @param {Array<string>} words - Words after the trigger name
+ * @returns {{commandName: string, commandArgs: string, condition: string|null}|{error: string}}
+ */
+function parseAddArguments ( words ) {
+    let condition = null;
+    let commandWords = words;
+
+    if ( words[ 0 ]?.toLowerCase() === 'if' ) {
+        const runIndex = words.findIndex( ( word, index ) => index > 0 && word.toLowerCase() === 'run' );
+        if ( runIndex === -1 ) {
+            return { error: 'Put "run" between the condition and the command, e.g. if artist matches /beatles/i run intro' };
+        }
+        condition = words.slice( 1, runIndex ).join( ' ' );
+        commandWords = words.slice( runIndex + 1 );
+        if ( !condition ) {
+            return { error: 'Add a condition after "if", e.g. if firstVisit run intro' };
+        }
+    } else if ( words[ 0 ]?.toLowerCase() === 'run' ) {
+        commandWords = words.slice( 1 );
+    }
+
+    // Allow the command to be quoted in backticks and to start with the command switch
+    const commandText = commandWords.join( ' ' ).replace( /^`|`$/g, '' ).trim();
+    const [ rawCommand, ...commandArgs ] = commandText.split( ' ' );
+    const commandName = rawCommand?.startsWith( config.COMMAND_SWITCH ) ? rawCommand.slice( config.COMMAND_SWITCH.length ) : rawCommand;
+    if ( !commandName ) {
+        return { error: 'Please specify the command to run' };
+    }
+
+    return { commandName, commandArgs: commandArgs.join( ' ' ), condition };
+}
 
 /**
  * Handles listing all triggers and their configured commands
@@ -24,7 +71,8 @@ async function handleListTriggers ( services, context, responseChannel ) {
         // Show available trigger types
         response += '**Available Trigger Types:**\n';
         Object.entries( availableTriggers ).forEach( ( [ triggerName, description ] ) => {
-            response += `• **${ triggerName }** - ${ description }\n`;
+            const fields = triggerService.getTriggerFields?.( triggerName ) || [];
+            response += `• **${ triggerName }** - ${ description }${ fields.length ? ` (${ fields.join( ', ' ) })` : '' }\n`;
         } );
 
         response += '\n**Current Configuration:**\n';
@@ -34,12 +82,13 @@ async function handleListTriggers ( services, context, responseChannel ) {
             response += '*No triggers configured*\n';
         } else {
             Object.entries( allTriggers ).forEach( ( [ triggerName, commands ] ) => {
-                const commandList = Array.isArray( commands ) ? commands.join( ', ' ) : 'Invalid configuration';
+                const commandList = Array.isArray( commands ) ? commands.map( TriggerService.describeEntry ).join( ', ' ) : 'Invalid configuration';
                 response += `• **${ triggerName }**: ${ commandList }\n`;
             } );
         }
 
-        response += `\n**Usage:**\n• \`${ config.COMMAND_SWITCH }trigger add <triggerName> <commandName>\` - Add command to trigger\n• \`${ config.COMMAND_SWITCH }trigger remove <triggerName> <commandName>\` - Remove command from trigger\n• \`${ config.COMMAND_SWITCH }trigger clear <triggerName>\` - Remove all commands from trigger`;
+        response += '\n**Conditions:** `field`, `not field` or `field ==|!=|>|<|>=|<=|contains|matches value`, joined with `and`. Arguments can use tokens like {username}.\n';
+        response += `\n**Usage:**\n${ usageLines() }`;
 
         await messageService.sendResponse( response, {
             responseChannel,
@@ -73,11 +122,13 @@ async function handleListTriggers ( services, context, responseChannel ) {
 /**
  * Handles adding a command to a trigger
  */
-async function handleAddTrigger ( triggerName, commandName, services, context, responseChannel ) {
+async function handleAddTrigger ( triggerName, commandName, services, context, responseChannel, options = null ) {
     const { messageService, triggerService } = services;
 
     try {
-        const result = await triggerService.addTriggerCommand( triggerName, commandName );
+        const result = options
+            ? await triggerService.addTriggerCommand( triggerName, commandName, options )
+            : await triggerService.addTriggerCommand( triggerName, commandName );
 
         if ( !result.success ) {
             let response = `❌ ${ result.error }`;
@@ -298,7 +349,7 @@ async function handleTriggerCommand ( commandParams ) {
     // Parse arguments
     if ( !args || args.trim().length === 0 ) {
         const availableTriggers = Object.keys( services.triggerService.getAvailableTriggers() ).join( ', ' );
-        const response = `❌ Please specify a trigger command.\n\n**Usage:**\n• \`${ config.COMMAND_SWITCH }trigger list\` - Show all configured triggers\n• \`${ config.COMMAND_SWITCH }trigger add <triggerName> <commandName>\` - Add command to trigger\n• \`${ config.COMMAND_SWITCH }trigger remove <triggerName> <commandName>\` - Remove command from trigger\n• \`${ config.COMMAND_SWITCH }trigger clear <triggerName>\` - Remove all commands from trigger\n\n**Available triggers:** ${ availableTriggers }`;
+        const response = `❌ Please specify a trigger command.\n\n**Usage:**\n${ usageLines() }\n\n**Available triggers:** ${ availableTriggers }`;
 
         await messageService.sendResponse( response, {
             responseChannel,
@@ -314,7 +365,7 @@ async function handleTriggerCommand ( commandParams ) {
     }
 
     // Split args into subcommand and parameters
-    const argParts = args.split( ' ' );
+    const argParts = args.trim().split( /\s+/ );
     const subCommand = argParts[ 0 ].toLowerCase();
 
     // Handle list command
@@ -326,7 +377,7 @@ async function handleTriggerCommand ( commandParams ) {
     if ( subCommand === 'add' ) {
         if ( argParts.length < 3 ) {
             const availableTriggers = Object.keys( services.triggerService.getAvailableTriggers() ).join( ', ' );
-            const response = `❌ Please specify trigger name and command name.\n\n**Usage:** \`${ config.COMMAND_SWITCH }trigger add <triggerName> <commandName>\`\n\n**Available triggers:** ${ availableTriggers }`;
+            const response = `❌ Please specify trigger name and command name.\n\n**Usage:** \`${ config.COMMAND_SWITCH }trigger add <triggerName> [if <condition> run] <commandName> [args]\`\n\n**Available triggers:** ${ availableTriggers }`;
             await messageService.sendResponse( response, {
                 responseChannel,
                 isPrivateMessage: context?.fullMessage?.isPrivateMessage,
@@ -340,14 +391,31 @@ async function handleTriggerCommand ( commandParams ) {
             };
         }
         const triggerName = argParts[ 1 ];
-        const commandName = argParts[ 2 ];
-        return await handleAddTrigger( triggerName, commandName, services, context, responseChannel );
+        const parsed = parseAddArguments( argParts.slice( 2 ) );
+        if ( parsed.error ) {
+            const response = `❌ ${ parsed.error }\n\n**Usage:** \`${ config.COMMAND_SWITCH }trigger add <triggerName> [if <condition> run] <commandName> [args]\``;
+            await messageService.sendResponse( response, {
+                responseChannel,
+                isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+                sender: context?.sender,
+                services
+            } );
+            return {
+                success: false,
+                shouldRespond: true,
+                response,
+                error: parsed.error
+            };
+        }
+        const { commandName, commandArgs, condition } = parsed;
+        const options = ( commandArgs || condition ) ? { args: commandArgs, condition } : null;
+        return await handleAddTrigger( triggerName, commandName, services, context, responseChannel, options );
     }
 
     // Handle remove command
     if ( subCommand === 'remove' ) {
         if ( argParts.length < 3 ) {
-            const response = `❌ Please specify trigger name and command name.\n\n**Usage:** \`${ config.COMMAND_SWITCH }trigger remove <triggerName> <commandName>\``;
+            const response = `❌ Please specify trigger name and command name.\n\n**Usage:** \`${ config.COMMAND_SWITCH }trigger remove <triggerName> <commandName|number>\``;
             await messageService.sendResponse( response, {
                 responseChannel,
                 isPrivateMessage: context?.fullMessage?.isPrivateMessage,
@@ -388,7 +456,7 @@ async function handleTriggerCommand ( commandParams ) {
 
     // Invalid subcommand
     const availableTriggers = Object.keys( services.triggerService.getAvailableTriggers() ).join( ', ' );
-    const response = `❌ Invalid subcommand: "${ subCommand }"\n\n**Available subcommands:** list, add, remove, clear\n\n**Usage:**\n• \`${ config.COMMAND_SWITCH }trigger list\`\n• \`${ config.COMMAND_SWITCH }trigger add <triggerName> <commandName>\`\n• \`${ config.COMMAND_SWITCH }trigger remove <triggerName> <commandName>\`\n• \`${ config.COMMAND_SWITCH }trigger clear <triggerName>\`\n\n**Available triggers:** ${ availableTriggers }`;
+    const response = `❌ Invalid subcommand: "${ subCommand }"\n\n**Available subcommands:** list, add, remove, clear\n\n**Usage:**\n${ usageLines() }\n\n**Available triggers:** ${ availableTriggers }`;
 
     await messageService.sendResponse( response, {
         responseChannel,
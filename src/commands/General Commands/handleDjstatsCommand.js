@@ -0,0 +1,64 @@
+'use strict';
+
+const config = require( '../../config' );
+
+async function respond ( response, services, context, responseChannel ) {
+    await services.messageService.sendResponse( response, {
+        responseChannel,
+        isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+        sender: context?.sender,
+        services
+    } );
+}
+
+/**
+ * Find a DJ by name, checking the database first then users currently in the room
+ */
+function findDj ( name, services ) {
+    const dbMatch = services.statsService.findDj( name );
+    if ( dbMatch ) return dbMatch;
+
+    const lower = name.toLowerCase();
+    const entries = Object.entries( services.stateService?._getAllUserData?.() || {} );
+    const match = entries.find( ( [ , data ] ) => data?.userProfile?.nickname?.toLowerCase().includes( lower ) );
+    return match ? { uuid: match[ 0 ], nickname: match[ 1 ].userProfile.nickname } : null;
+}
+
+async function handleDjstatsCommand ( { args, services, context, responseChannel = 'request' } ) {
+    const { statsService } = services;
+    const cmdSwitch = config.COMMAND_SWITCH || '!';
+
+    if ( !statsService?.isAvailable() ) {
+        const response = '❌ Room statistics are not available right now.';
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'Stats unavailable' };
+    }
+
+    const name = ( args || '' ).trim();
+    if ( !name ) {
+        const response = `❌ Please specify a DJ name. Usage: \`${ cmdSwitch }djstats <name>\``;
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'Missing name' };
+    }
+
+    const dj = findDj( name, services );
+    if ( !dj ) {
+        const response = `❌ Could not find a DJ matching "${ name }".`;
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'User not found' };
+    }
+
+    const stats = statsService.getDjStats( dj.uuid );
+    const response = stats
+        ? statsService.formatDjStats( dj.nickname, stats )
+        : `📊 **${ dj.nickname }** hasn't played any songs here yet.`;
+    await respond( response, services, context, responseChannel );
+    return { success: true, shouldRespond: true, response };
+}
+
+handleDjstatsCommand.requiredRole = 'USER';
+handleDjstatsCommand.description = 'Show play statistics for a DJ';
+handleDjstatsCommand.example = 'djstats Alice';
+handleDjstatsCommand.hidden = false;
+
+module.exports = handleDjstatsCommand;
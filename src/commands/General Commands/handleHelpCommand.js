@@ -128,6 +128,37 @@ function findCommand ( commandsByFolder, commandName ) {
   return null;
 }
 
+/**
+ * Finds a chat command (or an alias for one) in data/chat.json
+ * @param {string} commandName - Name of the command or alias
+ * @returns {Object|null} Chat command details or null if not found
+ */
+function findChatCommand ( commandName ) {
+  try {
+    const chatPath = path.join( __dirname, '../../../data/chat.json' );
+    const aliasesPath = path.join( __dirname, '../../../data/aliases.json' );
+    if ( !fs.existsSync( chatPath ) ) return null;
+
+    const chatData = JSON.parse( fs.readFileSync( chatPath, 'utf8' ) );
+    let targetCommand = commandName;
+    if ( !chatData[ targetCommand ] && fs.existsSync( aliasesPath ) ) {
+      const aliasesData = JSON.parse( fs.readFileSync( aliasesPath, 'utf8' ) );
+      targetCommand = aliasesData[ commandName ]?.command;
+    }
+
+    const commandData = targetCommand && chatData[ targetCommand ];
+    if ( !commandData ) return null;
+
+    return {
+      name: targetCommand,
+      usage: commandData.usage || '',
+      argRequired: !!commandData.argRequired
+    };
+  } catch ( error ) {
+    return null;
+  }
+}
+
 /**
  * Shows available commands and their usage
  * @param {Object} commandParams - Standard command parameters
@@ -170,6 +201,33 @@ async function handleHelpCommand ( commandParams ) {
           shouldRespond: true
         };
       } else {
+        const chatCommand = findChatCommand( requestedCommand );
+        if ( chatCommand ) {
+          // Chat commands from chat.json describe their own arguments
+          let helpText = `🤖 Help for chat command: ${ config.COMMAND_SWITCH }${ requestedCommand }\n\n` +
+            `🎯 Usage: ${ config.COMMAND_SWITCH }${ requestedCommand }${ chatCommand.usage ? ` ${ chatCommand.usage }` : '' }\n`;
+          if ( chatCommand.usage || chatCommand.argRequired ) {
+            helpText += `📎 Argument: ${ chatCommand.argRequired ? 'required' : 'optional' }\n`;
+          }
+          if ( chatCommand.name !== requestedCommand ) {
+            helpText += `🔗 Alias of: ${ config.COMMAND_SWITCH }${ chatCommand.name }\n`;
+          }
+          helpText += `👤 Required Role: USER`;
+
+          await messageService.sendResponse( helpText, {
+            responseChannel,
+            isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+            sender: context?.sender,
+            services
+          } );
+
+          return {
+            success: true,
+            response: helpText,
+            shouldRespond: true
+          };
+        }
+
         // Check if command exists but is disabled
         if ( isCommandDisabled( requestedCommand ) ) {
           const errorText = `❌ Command "${ requestedCommand }" is currently disabled.`;
@@ -0,0 +1,39 @@
+'use strict';
+
+async function respond ( response, services, context, responseChannel ) {
+    await services.messageService.sendResponse( response, {
+        responseChannel,
+        isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+        sender: context?.sender,
+        services
+    } );
+}
+
+async function handleMystatsCommand ( { services, context, responseChannel = 'request' } ) {
+    const { statsService, stateService } = services;
+
+    if ( !statsService?.isAvailable() ) {
+        const response = '❌ Room statistics are not available right now.';
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'Stats unavailable' };
+    }
+
+    const stats = statsService.getDjStats( context?.sender );
+    if ( !stats ) {
+        const response = '📊 You haven\'t played any songs here yet — hop on the decks!';
+        await respond( response, services, context, responseChannel );
+        return { success: true, shouldRespond: true, response };
+    }
+
+    const nickname = stateService?._getAllUserData?.()?.[ context.sender ]?.userProfile?.nickname || 'you';
+    const response = statsService.formatDjStats( nickname, stats );
+    await respond( response, services, context, responseChannel );
+    return { success: true, shouldRespond: true, response };
+}
+
+handleMystatsCommand.requiredRole = 'USER';
+handleMystatsCommand.description = 'Show your DJ play statistics';
+handleMystatsCommand.example = 'mystats';
+handleMystatsCommand.hidden = false;
+
+module.exports = handleMystatsCommand;
@@ -0,0 +1,183 @@
+'use strict';
+
+const { hasPermission } = require( '../../lib/roleUtils' );
+const config = require( '../../config' );
+
+function getNickname ( uuid, stateService ) {
+    return stateService._getAllUserData()?.[ uuid ]?.userProfile?.nickname || uuid;
+}
+
+async function respond ( response, services, context, responseChannel ) {
+    await services.messageService.sendResponse( response, {
+        responseChannel,
+        isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+        sender: context?.sender,
+        services
+    } );
+}
+
+async function handleQCommand ( { args, services, context, responseChannel = 'request' } ) {
+    const { djQueueService, stateService } = services;
+    const cmdSwitch = config.COMMAND_SWITCH || '!';
+
+    if ( !djQueueService ) {
+        const response = '❌ The DJ queue is not available right now.';
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'Queue service unavailable' };
+    }
+
+    const argParts = ( args || '' ).trim().split( /\s+/ ).filter( Boolean );
+    const subCommand = argParts[ 0 ]?.toLowerCase() || '';
+    const senderRole = stateService.getUserRole( context.sender );
+
+    switch ( subCommand ) {
+        case 'add':
+            return handleAdd( services, context, responseChannel );
+
+        case 'remove': {
+            const name = argParts.slice( 1 ).join( ' ' );
+            if ( name && !hasPermission( senderRole, 'MODERATOR' ) ) {
+                const response = '❌ Only moderators can remove other people from the queue.';
+                await respond( response, services, context, responseChannel );
+                return { success: false, shouldRespond: true, response, error: 'Insufficient permissions' };
+            }
+            return handleRemove( name, services, context, responseChannel );
+        }
+
+        case 'list':
+            return handleList( services, context, responseChannel );
+
+        case 'next':
+            return handleNext( services, context, responseChannel );
+
+        case 'move': {
+            if ( !hasPermission( senderRole, 'MODERATOR' ) ) {
+                const response = '❌ Only moderators can reorder the queue.';
+                await respond( response, services, context, responseChannel );
+                return { success: false, shouldRespond: true, response, error: 'Insufficient permissions' };
+            }
+            const position = parseInt( argParts[ argParts.length - 1 ], 10 );
+            const name = argParts.slice( 1, -1 ).join( ' ' );
+            if ( !name || isNaN( position ) || position < 1 ) {
+                const response = `❌ Usage: \`${ cmdSwitch }q move <name> <position>\``;
+                await respond( response, services, context, responseChannel );
+                return { success: false, shouldRespond: true, response, error: 'Invalid arguments' };
+            }
+            return handleMove( name, position, services, context, responseChannel );
+        }
+
+        default: {
+            const response =
+                `📋 **DJ Queue Usage:**\n\n` +
+                `\`${ cmdSwitch }q add\` — Join the queue for a DJ spot\n` +
+                `\`${ cmdSwitch }q remove\` — Leave the queue\n` +
+                `\`${ cmdSwitch }q list\` — Show everyone waiting\n` +
+                `\`${ cmdSwitch }q next\` — Show who is up next\n` +
+                `\`${ cmdSwitch }q remove <name>\` — Remove someone from the queue (moderator)\n` +
+                `\`${ cmdSwitch }q move <name> <position>\` — Move someone in the queue (moderator)`;
+            await respond( response, services, context, responseChannel );
+            return { success: false, shouldRespond: true, response, error: 'Unknown subcommand' };
+        }
+    }
+}
+
+async function handleAdd ( services, context, responseChannel ) {
+    const { djQueueService, stateService } = services;
+    const uuid = context.sender;
+
+    if ( stateService._getDjs().some( dj => dj.uuid === uuid ) ) {
+        const response = '❌ You are already on the decks.';
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'Already DJing' };
+    }
+
+    const result = djQueueService.add( uuid, getNickname( uuid, stateService ) );
+    if ( !result.success ) {
+        const response = `ℹ️ You are already in the queue at position ${ result.position }.`;
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: result.error };
+    }
+
+    const response = `✅ You have been added to the DJ queue at position ${ result.position }.`;
+    await respond( response, services, context, responseChannel );
+    return { success: true, shouldRespond: true, response };
+}
+
+async function handleRemove ( name, services, context, responseChannel ) {
+    const { djQueueService } = services;
+
+    if ( !name ) {
+        const removed = djQueueService.remove( context.sender );
+        const response = removed
+            ? '✅ You have been removed from the DJ queue.'
+            : 'ℹ️ You are not in the DJ queue.';
+        await respond( response, services, context, responseChannel );
+        return { success: removed, shouldRespond: true, response, ...( removed ? {} : { error: 'Not queued' } ) };
+    }
+
+    const entry = djQueueService.findByName( name );
+    if ( !entry ) {
+        const response = `❌ Could not find anyone in the queue matching "${ name }".`;
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'User not found' };
+    }
+
+    djQueueService.remove( entry.uuid );
+    const response = `✅ **${ entry.nickname || entry.uuid }** has been removed from the DJ queue.`;
+    await respond( response, services, context, responseChannel );
+    return { success: true, shouldRespond: true, response };
+}
+
+async function handleList ( services, context, responseChannel ) {
+    const queue = services.djQueueService.getQueue();
+
+    if ( !queue.length ) {
+        const response = 'ℹ️ The DJ queue is empty.';
+        await respond( response, services, context, responseChannel );
+        return { success: true, shouldRespond: true, response };
+    }
+
+    const lines = [ `🎧 **DJ Queue** (${ queue.length })\n` ];
+    queue.forEach( ( entry, index ) => {
+        let status = '';
+        if ( entry.leftAt ) status = ' (away)';
+        else if ( entry.notifiedAt ) status = ' (up now)';
+        lines.push( `${ index + 1 }. ${ entry.nickname || entry.uuid }${ status }` );
+    } );
+
+    const response = lines.join( '\n' );
+    await respond( response, services, context, responseChannel );
+    return { success: true, shouldRespond: true, response };
+}
+
+async function handleNext ( services, context, responseChannel ) {
+    const next = services.djQueueService.peek();
+    const response = next
+        ? `🎧 Next up: **${ next.nickname || next.uuid }**`
+        : 'ℹ️ The DJ queue is empty.';
+    await respond( response, services, context, responseChannel );
+    return { success: true, shouldRespond: true, response };
+}
+
+async function handleMove ( name, position, services, context, responseChannel ) {
+    const { djQueueService } = services;
+    const entry = djQueueService.findByName( name );
+
+    if ( !entry ) {
+        const response = `❌ Could not find anyone in the queue matching "${ name }".`;
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'User not found' };
+    }
+
+    const newPosition = djQueueService.move( entry.uuid, position );
+    const response = `✅ **${ entry.nickname || entry.uuid }** moved to position ${ newPosition } in the DJ queue.`;
+    await respond( response, services, context, responseChannel );
+    return { success: true, shouldRespond: true, response };
+}
+
+handleQCommand.requiredRole = 'USER';
+handleQCommand.description = 'Join and manage the DJ queue';
+handleQCommand.example = 'q add | q list | q move Alice 1';
+handleQCommand.hidden = false;
+
+module.exports = handleQCommand;
@@ -0,0 +1,51 @@
+'use strict';
+
+async function respond ( response, services, context, responseChannel ) {
+    await services.messageService.sendResponse( response, {
+        responseChannel,
+        isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+        sender: context?.sender,
+        services
+    } );
+}
+
+async function handleSongstatsCommand ( { services, context, responseChannel = 'request' } ) {
+    const { statsService } = services;
+
+    if ( !statsService?.isAvailable() ) {
+        const response = '❌ Room statistics are not available right now.';
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'Stats unavailable' };
+    }
+
+    const song = services.hangoutState?.nowPlaying?.song;
+    if ( !song?.artistName || !song?.trackName ) {
+        const response = '🎵 Nothing is playing right now.';
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'No song playing' };
+    }
+
+    const currentDjUuid = services.hangoutState?.djs?.[ 0 ]?.uuid;
+    const stats = statsService.getSongStats( song.artistName, song.trackName, currentDjUuid );
+    let response;
+    if ( !stats.playCount ) {
+        response = `🆕 **${ song.trackName }** by ${ song.artistName } has never been played here before!`;
+    } else {
+        const djList = stats.djs
+            .map( dj => `${ dj.nickname }${ dj.playCount > 1 ? ` (${ dj.playCount })` : '' }` )
+            .join( ', ' );
+        response =
+            `📊 **${ song.trackName }** by ${ song.artistName } has been played ${ stats.playCount } time${ stats.playCount === 1 ? '' : 's' } before\n` +
+            `🎧 Played by: ${ djList }\n` +
+            `📅 Last played: ${ stats.lastPlayed.slice( 0, 10 ) }`;
+    }
+    await respond( response, services, context, responseChannel );
+    return { success: true, shouldRespond: true, response };
+}
+
+handleSongstatsCommand.requiredRole = 'USER';
+handleSongstatsCommand.description = 'Show play history for the current song';
+handleSongstatsCommand.example = 'songstats';
+handleSongstatsCommand.hidden = false;
+
+module.exports = handleSongstatsCommand;
@@ -0,0 +1,213 @@
+'use strict';
+
+const { hasPermission } = require( '../../lib/roleUtils' );
+const ThemeService = require( '../../services/themeService' );
+const config = require( '../../config' );
+
+const MODERATOR_SUBCOMMANDS = [ 'set', 'random', 'clear', 'add', 'remove', 'schedule', 'verdict' ];
+
+async function respond ( response, services, context, responseChannel ) {
+    await services.messageService.sendResponse( response, {
+        responseChannel,
+        isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+        sender: context?.sender,
+        services
+    } );
+}
+
+function capitalise ( word ) {
+    return word.charAt( 0 ).toUpperCase() + word.slice( 1 );
+}
+
+async function handleThemeCommand ( { args, services, context, responseChannel = 'request' } ) {
+    const { themeService, stateService } = services;
+    const cmdSwitch = config.COMMAND_SWITCH || '!';
+
+    if ( !themeService ) {
+        const response = '❌ Themes are not available right now.';
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'Theme service unavailable' };
+    }
+
+    const argParts = ( args || '' ).trim().split( /\s+/ ).filter( Boolean );
+    const subCommand = argParts[ 0 ]?.toLowerCase() || 'current';
+    const rest = argParts.slice( 1 ).join( ' ' );
+
+    if ( MODERATOR_SUBCOMMANDS.includes( subCommand ) ) {
+        const senderRole = stateService.getUserRole( context?.sender );
+        if ( !hasPermission( senderRole, 'MODERATOR' ) ) {
+            const response = '❌ Only moderators can change themes.';
+            await respond( response, services, context, responseChannel );
+            return { success: false, shouldRespond: true, response, error: 'Insufficient permissions' };
+        }
+    }
+
+    switch ( subCommand ) {
+        case 'current': {
+            const theme = themeService.getCurrentTheme();
+            const response = theme ? `🎨 The theme is currently **${ theme }**` : '🎨 There is no theme set right now.';
+            await respond( response, services, context, responseChannel );
+            return { success: true, shouldRespond: true, response };
+        }
+
+        case 'list': {
+            const themes = themeService.listThemes();
+            const response = themes.length
+                ? `🎨 **Theme Ideas (${ themes.length }):**\n${ themes.join( ', ' ) }`
+                : `🎨 No themes saved yet. Add one with \`${ cmdSwitch }theme add <theme>\``;
+            await respond( response, services, context, responseChannel );
+            return { success: true, shouldRespond: true, response };
+        }
+
+        case 'set': {
+            if ( !rest ) {
+                const response = `❌ Usage: \`${ cmdSwitch }theme set <theme>\``;
+                await respond( response, services, context, responseChannel );
+                return { success: false, shouldRespond: true, response, error: 'Missing theme' };
+            }
+            const theme = themeService.findTheme( rest ) || rest;
+            await themeService.setCurrentTheme( theme );
+            await themeService.announceTheme();
+            return { success: true, shouldRespond: false, response: theme };
+        }
+
+        case 'random': {
+            const theme = themeService.pickRandomTheme();
+            if ( !theme ) {
+                const response = `❌ No themes saved yet. Add one with \`${ cmdSwitch }theme add <theme>\``;
+                await respond( response, services, context, responseChannel );
+                return { success: false, shouldRespond: true, response, error: 'No themes' };
+            }
+            await themeService.setCurrentTheme( theme );
+            await themeService.announceTheme();
+            return { success: true, shouldRespond: false, response: theme };
+        }
+
+        case 'clear': {
+            await themeService.clearCurrentTheme();
+            const response = '✅ Theme cleared — play whatever you like!';
+            await respond( response, services, context, responseChannel );
+            return { success: true, shouldRespond: true, response };
+        }
+
+        case 'add': {
+            if ( !rest ) {
+                const response = `❌ Usage: \`${ cmdSwitch }theme add <theme>\``;
+                await respond( response, services, context, responseChannel );
+                return { success: false, shouldRespond: true, response, error: 'Missing theme' };
+            }
+            const added = themeService.addTheme( rest );
+            const response = added
+                ? `✅ Added "${ rest }" to the theme list.`
+                : `❌ "${ rest }" is already in the theme list.`;
+            await respond( response, services, context, responseChannel );
+            return added
+                ? { success: true, shouldRespond: true, response }
+                : { success: false, shouldRespond: true, response, error: 'Theme already exists' };
+        }
+
+        case 'remove': {
+            if ( !rest ) {
+                const response = `❌ Usage: \`${ cmdSwitch }theme remove <theme>\``;
+                await respond( response, services, context, responseChannel );
+                return { success: false, shouldRespond: true, response, error: 'Missing theme' };
+            }
+            const removed = themeService.removeTheme( rest );
+            const response = removed
+                ? `✅ Removed "${ rest }" from the theme list.`
+                : `❌ "${ rest }" is not in the theme list.`;
+            await respond( response, services, context, responseChannel );
+            return removed
+                ? { success: true, shouldRespond: true, response }
+                : { success: false, shouldRespond: true, response, error: 'Theme not found' };
+        }
+
+        case 'schedule':
+            return handleSchedule( argParts.slice( 1 ), services, context, responseChannel );
+
+        case 'verdict': {
+            const setting = argParts[ 1 ]?.toLowerCase();
+            if ( setting !== 'on' && setting !== 'off' ) {
+                const status = themeService.isVerdictEnabled() ? 'on' : 'off';
+                const response = `🤖 AI theme verdicts are **${ status }**. Usage: \`${ cmdSwitch }theme verdict on|off\``;
+                await respond( response, services, context, responseChannel );
+                return { success: true, shouldRespond: true, response };
+            }
+            await themeService.setVerdictEnabled( setting === 'on' );
+            const response = setting === 'on'
+                ? '✅ The AI will now give a verdict on whether each song fits the theme.'
+                : '✅ AI theme verdicts turned off.';
+            await respond( response, services, context, responseChannel );
+            return { success: true, shouldRespond: true, response };
+        }
+
+        default: {
+            const response =
+                `📋 **Theme Usage:**\n\n` +
+                `\`${ cmdSwitch }theme\` — Show the current theme\n` +
+                `\`${ cmdSwitch }theme list\` — List saved theme ideas\n` +
+                `\`${ cmdSwitch }theme set <theme>\` — Set and announce the theme (mod)\n` +
+                `\`${ cmdSwitch }theme random\` — Pick a random theme from the list (mod)\n` +
+                `\`${ cmdSwitch }theme clear\` — Clear the current theme (mod)\n` +
+                `\`${ cmdSwitch }theme add <theme>\` — Add a theme idea (mod)\n` +
+                `\`${ cmdSwitch }theme remove <theme>\` — Remove a theme idea (mod)\n` +
+                `\`${ cmdSwitch }theme schedule <day> <HH:MM> <theme>\` — Set a theme automatically each week (mod)\n` +
+                `\`${ cmdSwitch }theme schedule list\` — Show scheduled themes (mod)\n` +
+                `\`${ cmdSwitch }theme schedule remove <number>\` — Remove a scheduled theme (mod)\n` +
+                `\`${ cmdSwitch }theme verdict on|off\` — AI verdict on whether songs fit the theme (mod)`;
+            await respond( response, services, context, responseChannel );
+            return { success: false, shouldRespond: true, response, error: 'Unknown subcommand' };
+        }
+    }
+}
+
+async function handleSchedule ( scheduleArgs, services, context, responseChannel ) {
+    const { themeService } = services;
+    const cmdSwitch = config.COMMAND_SWITCH || '!';
+    const action = scheduleArgs[ 0 ]?.toLowerCase() || 'list';
+
+    if ( action === 'list' ) {
+        const schedule = themeService.getSchedule();
+        const timezone = services.dataService?.getValue( 'configuration.timezone' ) || 'Europe/London';
+        const response = schedule.length
+            ? `📅 **Scheduled Themes** (${ timezone }):\n` +
+            schedule.map( ( e, i ) => `${ i + 1 }. ${ capitalise( e.day ) } ${ e.time } — ${ e.theme }` ).join( '\n' )
+            : '📅 No themes are scheduled.';
+        await respond( response, services, context, responseChannel );
+        return { success: true, shouldRespond: true, response };
+    }
+
+    if ( action === 'remove' ) {
+        const index = parseInt( scheduleArgs[ 1 ], 10 );
+        const removed = isNaN( index ) ? null : themeService.removeSchedule( index );
+        if ( !removed ) {
+            const response = `❌ Usage: \`${ cmdSwitch }theme schedule remove <number>\` — see \`${ cmdSwitch }theme schedule list\``;
+            await respond( response, services, context, responseChannel );
+            return { success: false, shouldRespond: true, response, error: 'Invalid schedule entry' };
+        }
+        const response = `✅ Removed the ${ capitalise( removed.day ) } ${ removed.time } theme (${ removed.theme }).`;
+        await respond( response, services, context, responseChannel );
+        return { success: true, shouldRespond: true, response };
+    }
+
+    const day = ThemeService.parseDay( scheduleArgs[ 0 ] );
+    const time = ThemeService.parseTime( scheduleArgs[ 1 ] );
+    const theme = scheduleArgs.slice( 2 ).join( ' ' );
+    if ( !day || !time || !theme ) {
+        const response = `❌ Usage: \`${ cmdSwitch }theme schedule <day> <HH:MM> <theme>\` e.g. \`${ cmdSwitch }theme schedule friday 20:00 Disco\``;
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'Invalid arguments' };
+    }
+
+    themeService.addSchedule( day, time, theme );
+    const response = `✅ Every ${ capitalise( day ) } at ${ time } the theme will be set to **${ theme }**.`;
+    await respond( response, services, context, responseChannel );
+    return { success: true, shouldRespond: true, response };
+}
+
+handleThemeCommand.requiredRole = 'USER';
+handleThemeCommand.description = 'Show, set and schedule room themes';
+handleThemeCommand.example = 'theme schedule friday 20:00 Disco';
+handleThemeCommand.hidden = false;
+
+module.exports = handleThemeCommand;
@@ -0,0 +1,77 @@
+'use strict';
+
+const StatsService = require( '../../services/statsService' );
+const config = require( '../../config' );
+
+const PERIOD_LABELS = {
+    week: 'This Week',
+    month: 'This Month',
+    all: 'All Time'
+};
+
+async function respond ( response, services, context, responseChannel ) {
+    await services.messageService.sendResponse( response, {
+        responseChannel,
+        isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+        sender: context?.sender,
+        services
+    } );
+}
+
+function formatVotes ( row ) {
+    return `👍 ${ row.likes || 0 }`;
+}
+
+async function handleTopCommand ( { args, services, context, responseChannel = 'request' } ) {
+    const { statsService } = services;
+    const cmdSwitch = config.COMMAND_SWITCH || '!';
+
+    if ( !statsService?.isAvailable() ) {
+        const response = '❌ Room statistics are not available right now.';
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'Stats unavailable' };
+    }
+
+    const argParts = ( args || '' ).trim().split( /\s+/ ).filter( Boolean );
+    const category = argParts[ 0 ]?.toLowerCase() || 'djs';
+    const period = StatsService.parsePeriod( argParts[ 1 ] );
+
+    if ( ![ 'djs', 'songs', 'artists' ].includes( category ) || !period ) {
+        const response =
+            `📋 **Top Usage:**\n\n` +
+            `\`${ cmdSwitch }top djs [week|month|all]\` — DJs with the most plays\n` +
+            `\`${ cmdSwitch }top songs [week|month|all]\` — Most played songs\n` +
+            `\`${ cmdSwitch }top artists [week|month|all]\` — Most played artists`;
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'Unknown subcommand' };
+    }
+
+    let title;
+    let lines;
+    if ( category === 'djs' ) {
+        title = '👑 Top DJs';
+        lines = statsService.getTopDjs( period ).map( ( dj, i ) =>
+            `${ i + 1 }. **${ dj.nickname || 'Unknown DJ' }** — ${ dj.playCount } plays ${ formatVotes( dj ) }` );
+    } else if ( category === 'songs' ) {
+        title = '🎵 Top Songs';
+        lines = statsService.getTopSongs( period ).map( ( song, i ) =>
+            `${ i + 1 }. **${ song.track_name }** by ${ song.artist_name } — ${ song.playCount } plays ${ formatVotes( song ) }` );
+    } else {
+        title = '🎤 Top Artists';
+        lines = statsService.getTopArtists( period ).map( ( artist, i ) =>
+            `${ i + 1 }. **${ artist.artist_name }** — ${ artist.playCount } plays ${ formatVotes( artist ) }` );
+    }
+
+    const response = lines.length
+        ? `${ title } (${ PERIOD_LABELS[ period ] })\n${ lines.join( '\n' ) }`
+        : `${ title } (${ PERIOD_LABELS[ period ] })\nNo plays recorded yet.`;
+    await respond( response, services, context, responseChannel );
+    return { success: true, shouldRespond: true, response };
+}
+
+handleTopCommand.requiredRole = 'USER';
+handleTopCommand.description = 'Show the top DJs, songs or artists';
+handleTopCommand.example = 'top songs week';
+handleTopCommand.hidden = false;
+
+module.exports = handleTopCommand;
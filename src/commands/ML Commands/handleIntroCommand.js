@@ -24,6 +24,7 @@ async function handleIntroCommand ( commandParams ) {
         commandName: 'intro',
         errorMessage: '🎵 Sorry, I couldn\'t get an introduction to that artist right now. Please try again later.',
         noSongMessage: '🎵 No song is currently playing. Start a song first and try again!',
+        useTools: true,
         responseFormatter: ( trackName, artistName, aiResponse ) => {
             // Just return the AI response as-is since mention replacement is handled in songAICommandHelper
             return aiResponse;
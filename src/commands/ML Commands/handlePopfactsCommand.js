@@ -11,7 +11,7 @@ const hidden = false;
  * Gets interesting facts about the currently playing song using AI
  * @param {Object} commandParams - Standard command parameters
  * @param {string} commandParams.command - The command name
- * @param {string} commandParams.args - Command arguments (not used for this command)
+ * @param {string} commandParams.args - Command arguments ('fresh' skips the cached answer)
  * @param {Object} commandParams.services - Service container
  * @param {Object} commandParams.context - Command context
  * @param {string} commandParams.responseChannel - Response channel ('public' or 'request')
@@ -24,6 +24,7 @@ async function handlePopfactsCommand ( commandParams ) {
     commandName: 'popfacts',
     errorMessage: '🎵 Sorry, I couldn\'t get facts about the current song right now. Please try again later.',
     noSongMessage: '🎵 No song is currently playing. Start a song first and try again!',
+    cacheable: true,
     responseFormatter: ( trackName, artistName, aiResponse ) => {
       return `${aiResponse}`;
     }
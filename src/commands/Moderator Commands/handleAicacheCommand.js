@@ -0,0 +1,99 @@
+'use strict';
+
+const config = require( '../../config' );
+
+const PREVIEW_LENGTH = 120;
+
+async function respond ( response, services, context, responseChannel ) {
+    await services.messageService.sendResponse( response, {
+        responseChannel,
+        isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+        sender: context?.sender,
+        services
+    } );
+}
+
+function formatStats ( stats ) {
+    const lines = [ `🗃️ **AI Answer Cache** — answers kept for ${ stats.ttlHours ? `${ stats.ttlHours } hours` : 'no time (cache off)' }` ];
+    if ( stats.commands.length === 0 ) {
+        lines.push( 'No cached answers.' );
+    }
+    for ( const row of stats.commands ) {
+        lines.push( `• ${ row.command }: ${ row.entries } answer${ row.entries === 1 ? '' : 's' }, reused ${ row.hits } time${ row.hits === 1 ? '' : 's' }` );
+    }
+    lines.push( `Since startup: ${ stats.sessionHits } hits, ${ stats.sessionMisses } misses` );
+    return lines.join( '\n' );
+}
+
+async function handleAicacheCommand ( { args, services, context, responseChannel = 'request' } ) {
+    const { aiCacheService } = services;
+    const cmdSwitch = config.COMMAND_SWITCH || '!';
+
+    if ( !aiCacheService?.isAvailable() ) {
+        const response = '❌ The AI answer cache is not available right now.';
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'AI cache unavailable' };
+    }
+
+    const trimmedArgs = ( args || '' ).trim();
+    const subCommand = trimmedArgs.split( /\s+/ )[ 0 ]?.toLowerCase() || 'stats';
+    const rest = trimmedArgs.slice( subCommand.length ).trim();
+
+    if ( subCommand === 'stats' ) {
+        const response = formatStats( aiCacheService.getStats() );
+        await respond( response, services, context, responseChannel );
+        return { success: true, shouldRespond: true, response };
+    }
+
+    if ( subCommand === 'clear' ) {
+        let command = rest.toLowerCase() || null;
+        if ( command?.startsWith( cmdSwitch ) ) command = command.slice( cmdSwitch.length );
+        const removed = aiCacheService.clear( command );
+        const response = `🧹 Cleared ${ removed } cached answer${ removed === 1 ? '' : 's' }${ command ? ` for ${ cmdSwitch }${ command }` : '' }.`;
+        await respond( response, services, context, responseChannel );
+        return { success: true, shouldRespond: true, response };
+    }
+
+    if ( subCommand === 'show' ) {
+        let artistName;
+        let trackName;
+        if ( rest ) {
+            [ artistName, trackName ] = rest.split( ' - ' ).map( part => part?.trim() );
+        } else {
+            ( { artistName, trackName } = services.hangoutState?.nowPlaying?.song || {} );
+        }
+
+        if ( !artistName || !trackName ) {
+            const response = `❌ Nothing is playing — use \`${ cmdSwitch }aicache show <artist> - <track>\``;
+            await respond( response, services, context, responseChannel );
+            return { success: false, shouldRespond: true, response, error: 'No song given' };
+        }
+
+        const entries = aiCacheService.getEntriesForSong( artistName, trackName );
+        const response = entries.length
+            ? [ `🗃️ **Cached answers for ${ trackName } by ${ artistName }:**` ]
+                .concat( entries.map( entry => {
+                    const preview = entry.response.length > PREVIEW_LENGTH ? `${ entry.response.slice( 0, PREVIEW_LENGTH ) }…` : entry.response;
+                    return `• ${ cmdSwitch }${ entry.command } (${ entry.created_at }, reused ${ entry.hits }x): ${ preview }`;
+                } ) ).join( '\n' )
+            : `🗃️ No cached answers for ${ trackName } by ${ artistName }.`;
+        await respond( response, services, context, responseChannel );
+        return { success: true, shouldRespond: true, response };
+    }
+
+    const response =
+        `📋 **AI Cache Usage:**\n\n` +
+        `\`${ cmdSwitch }aicache stats\` — Show how many answers are cached and how often they're reused\n` +
+        `\`${ cmdSwitch }aicache show [artist - track]\` — Show the cached answers for the current or given song\n` +
+        `\`${ cmdSwitch }aicache clear [command]\` — Forget cached answers, for every command or just one\n\n` +
+        `Add \`fresh\` to a command (e.g. \`${ cmdSwitch }popfacts fresh\`) to get a new answer.`;
+    await respond( response, services, context, responseChannel );
+    return { success: false, shouldRespond: true, response, error: 'Unknown subcommand' };
+}
+
+handleAicacheCommand.requiredRole = 'MODERATOR';
+handleAicacheCommand.description = 'Manage cached AI answers';
+handleAicacheCommand.example = 'aicache clear popfacts';
+handleAicacheCommand.hidden = false;
+
+module.exports = handleAicacheCommand;
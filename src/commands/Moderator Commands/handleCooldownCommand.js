@@ -0,0 +1,107 @@
+'use strict';
+
+const CooldownService = require( '../../services/cooldownService' );
+const config = require( '../../config' );
+
+const SCOPE_DESCRIPTIONS = {
+    command: 'same command, anyone',
+    user: 'per person',
+    global: 'any command, anyone'
+};
+
+async function respond ( response, services, context, responseChannel ) {
+    await services.messageService.sendResponse( response, {
+        responseChannel,
+        isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+        sender: context?.sender,
+        services
+    } );
+}
+
+function formatSeconds ( seconds ) {
+    return seconds ? `${ seconds }s` : 'off';
+}
+
+function formatStatus ( settings ) {
+    const lines = [ '⏳ **Command Cooldowns**' ];
+    for ( const [ group, title ] of [ [ 'standard', 'Commands' ], [ 'ml', 'ML commands' ] ] ) {
+        lines.push( `**${ title }:** ` + CooldownService.SCOPES
+            .map( scope => `${ scope } ${ formatSeconds( settings[ group ][ scope ] ) }` )
+            .join( ' • ' ) );
+    }
+    const overrides = Object.entries( settings.commands );
+    if ( overrides.length > 0 ) {
+        lines.push( `**Per command:** ${ overrides.map( ( [ command, seconds ] ) => `${ command } ${ formatSeconds( seconds ) }` ).join( ' • ' ) }` );
+    }
+    lines.push( 'Moderators and owners skip cooldowns.' );
+    return lines.join( '\n' );
+}
+
+/**
+ * Shows and changes command cooldowns
+ * Usage: !cooldown [ml] <command|user|global> <seconds> | !cooldown <commandName> <seconds|default> | !cooldown reset
+ */
+async function handleCooldownCommand ( { args, services, context, responseChannel = 'request' } ) {
+    const { cooldownService } = services;
+    const cmdSwitch = config.COMMAND_SWITCH || '!';
+
+    if ( !cooldownService ) {
+        const response = '❌ Cooldowns are not available right now.';
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'Cooldown service unavailable' };
+    }
+
+    const argParts = ( args || '' ).trim().toLowerCase().split( /\s+/ ).filter( Boolean );
+
+    if ( argParts.length === 0 || argParts[ 0 ] === 'status' ) {
+        const response = formatStatus( cooldownService.getSettings() );
+        await respond( response, services, context, responseChannel );
+        return { success: true, shouldRespond: true, response };
+    }
+
+    if ( argParts[ 0 ] === 'reset' && argParts.length === 1 ) {
+        cooldownService.reset();
+        const response = '✅ Running cooldowns cleared — everyone can use commands again.';
+        await respond( response, services, context, responseChannel );
+        return { success: true, shouldRespond: true, response };
+    }
+
+    const group = argParts[ 0 ] === 'ml' ? 'ml' : 'standard';
+    const [ target, value ] = group === 'ml' ? argParts.slice( 1 ) : argParts;
+    const seconds = Number( value );
+    const validSeconds = value !== undefined && CooldownService.isValidSeconds( seconds );
+
+    if ( CooldownService.SCOPES.includes( target ) && validSeconds ) {
+        await cooldownService.setCooldown( group, target, seconds );
+        const response = `✅ ${ group === 'ml' ? 'ML command' : 'Command' } ${ target } cooldown (${ SCOPE_DESCRIPTIONS[ target ] }) set to ${ formatSeconds( seconds ) }.`;
+        await respond( response, services, context, responseChannel );
+        return { success: true, shouldRespond: true, response };
+    }
+
+    if ( group === 'standard' && target && !CooldownService.SCOPES.includes( target ) && ( validSeconds || value === 'default' ) ) {
+        const commandName = target.startsWith( cmdSwitch ) ? target.slice( cmdSwitch.length ) : target;
+        await cooldownService.setCommandCooldown( commandName, value === 'default' ? null : seconds );
+        const response = value === 'default'
+            ? `✅ ${ cmdSwitch }${ commandName } uses the normal cooldowns again.`
+            : `✅ ${ cmdSwitch }${ commandName } can now be used every ${ formatSeconds( seconds ) }.`;
+        await respond( response, services, context, responseChannel );
+        return { success: true, shouldRespond: true, response };
+    }
+
+    const response =
+        `📋 **Cooldown Usage:**\n\n` +
+        `\`${ cmdSwitch }cooldown\` — Show the current cooldowns\n` +
+        `\`${ cmdSwitch }cooldown command|user|global <seconds>\` — Set a cooldown for commands (0 = off)\n` +
+        `\`${ cmdSwitch }cooldown ml command|user|global <seconds>\` — Set a cooldown for ML commands\n` +
+        `\`${ cmdSwitch }cooldown <commandName> <seconds|default>\` — Give one command its own cooldown\n` +
+        `\`${ cmdSwitch }cooldown reset\` — Clear running cooldowns`;
+    await respond( response, services, context, responseChannel );
+    return { success: false, shouldRespond: true, response, error: 'Unknown subcommand' };
+}
+
+handleCooldownCommand.requiredRole = 'MODERATOR';
+handleCooldownCommand.description = 'Show or change command cooldowns';
+handleCooldownCommand.example = 'cooldown ml user 120';
+handleCooldownCommand.hidden = false;
+
+module.exports = handleCooldownCommand;
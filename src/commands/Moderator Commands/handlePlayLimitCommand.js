@@ -0,0 +1,146 @@
+'use strict';
+
+const config = require( '../../config' );
+
+async function respond ( response, services, context, responseChannel ) {
+    await services.messageService.sendResponse( response, {
+        responseChannel,
+        isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+        sender: context?.sender,
+        services
+    } );
+}
+
+function findUserByName ( name, stateService ) {
+    const lower = name.toLowerCase();
+    const entries = Object.entries( stateService._getAllUserData() || {} );
+    const match = entries.find( ( [ , data ] ) => data?.userProfile?.nickname?.toLowerCase() === lower )
+        || entries.find( ( [ , data ] ) => data?.userProfile?.nickname?.toLowerCase().includes( lower ) );
+    return match ? { uuid: match[ 0 ], nickname: match[ 1 ].userProfile.nickname } : null;
+}
+
+function describeLimit ( limit ) {
+    return limit > 0 ? `${ limit } song${ limit === 1 ? '' : 's' }` : 'unlimited';
+}
+
+async function handlePlayLimitCommand ( { args, services, context, responseChannel = 'request' } ) {
+    const { playLimitService } = services;
+    const cmdSwitch = config.COMMAND_SWITCH || '!';
+
+    if ( !playLimitService ) {
+        const response = '❌ Play limits are not available right now.';
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'Play limit service unavailable' };
+    }
+
+    const argParts = ( args || '' ).trim().split( /\s+/ ).filter( Boolean );
+    const subCommand = argParts[ 0 ]?.toLowerCase() || 'status';
+
+    switch ( subCommand ) {
+        case 'status':
+            return handleStatus( services, context, responseChannel );
+
+        case 'set': {
+            const minDjs = parseInt( argParts[ 1 ], 10 );
+            const limit = parseInt( argParts[ 2 ], 10 );
+            if ( isNaN( minDjs ) || minDjs < 1 || isNaN( limit ) || limit < 0 ) {
+                const response = `❌ Usage: \`${ cmdSwitch }playlimit set <minDjs> <songs>\` (use 0 songs for unlimited)`;
+                await respond( response, services, context, responseChannel );
+                return { success: false, shouldRespond: true, response, error: 'Invalid arguments' };
+            }
+            await playLimitService.setTier( minDjs, limit );
+            const response = `✅ With ${ minDjs }+ DJs on the decks, each DJ now gets ${ describeLimit( limit ) }.`;
+            await respond( response, services, context, responseChannel );
+            return { success: true, shouldRespond: true, response };
+        }
+
+        case 'clear': {
+            await playLimitService.clearTiers();
+            const response = '✅ All play limits cleared — DJs can play unlimited songs.';
+            await respond( response, services, context, responseChannel );
+            return { success: true, shouldRespond: true, response };
+        }
+
+        case 'exempt':
+        case 'unexempt':
+        case 'reset': {
+            const name = argParts.slice( 1 ).join( ' ' );
+            if ( !name ) {
+                const response = `❌ Please specify a DJ name. Usage: \`${ cmdSwitch }playlimit ${ subCommand } <name>\``;
+                await respond( response, services, context, responseChannel );
+                return { success: false, shouldRespond: true, response, error: 'Missing name' };
+            }
+            const user = findUserByName( name, services.stateService );
+            if ( !user ) {
+                const response = `❌ Could not find a user matching "${ name }".`;
+                await respond( response, services, context, responseChannel );
+                return { success: false, shouldRespond: true, response, error: 'User not found' };
+            }
+
+            let response;
+            if ( subCommand === 'exempt' ) {
+                playLimitService.setExempt( user.uuid );
+                response = `✅ **${ user.nickname }** is now exempt from play limits for this session.`;
+            } else if ( subCommand === 'unexempt' ) {
+                playLimitService.clearExempt( user.uuid );
+                response = `✅ **${ user.nickname }** is subject to play limits again.`;
+            } else {
+                playLimitService.resetPlayCount( user.uuid );
+                response = `✅ Play count reset for **${ user.nickname }**.`;
+            }
+            await respond( response, services, context, responseChannel );
+            return { success: true, shouldRespond: true, response };
+        }
+
+        default: {
+            const response =
+                `📋 **Play Limit Usage:**\n\n` +
+                `\`${ cmdSwitch }playlimit status\` — Show limits and current play counts\n` +
+                `\`${ cmdSwitch }playlimit set <minDjs> <songs>\` — Limit each DJ to <songs> plays when <minDjs>+ DJs are up (0 = unlimited)\n` +
+                `\`${ cmdSwitch }playlimit clear\` — Remove all limits\n` +
+                `\`${ cmdSwitch }playlimit exempt <name>\` — Exempt a DJ from limits this session\n` +
+                `\`${ cmdSwitch }playlimit unexempt <name>\` — Remove a DJ's exemption\n` +
+                `\`${ cmdSwitch }playlimit reset <name>\` — Reset a DJ's play count`;
+            await respond( response, services, context, responseChannel );
+            return { success: false, shouldRespond: true, response, error: 'Unknown subcommand' };
+        }
+    }
+}
+
+async function handleStatus ( services, context, responseChannel ) {
+    const { playLimitService, stateService } = services;
+    const tiers = playLimitService.getTiers();
+    const djs = stateService._getDjs();
+    const currentLimit = playLimitService.getLimit( djs.length );
+
+    const lines = [ `🎚️ **Play Limits** — currently ${ describeLimit( currentLimit ) } per DJ (${ djs.length } on decks)\n` ];
+
+    if ( tiers.length ) {
+        for ( const tier of tiers ) {
+            lines.push( `${ tier.minDjs }+ DJs: ${ describeLimit( tier.limit ) }` );
+        }
+    } else {
+        lines.push( 'No limits configured.' );
+    }
+
+    if ( djs.length ) {
+        lines.push( '' );
+        const allUserData = stateService._getAllUserData() || {};
+        for ( const dj of djs ) {
+            const nickname = allUserData[ dj.uuid ]?.userProfile?.nickname || dj.uuid;
+            const exemptTag = playLimitService.isExempt( dj.uuid ) ? ' (exempt)' : '';
+            lines.push( `**${ nickname }**${ exemptTag } — ${ playLimitService.getPlayCount( dj.uuid ) } played` );
+        }
+    }
+
+    const response = lines.join( '\n' );
+    await respond( response, services, context, responseChannel );
+    return { success: true, shouldRespond: true, response };
+}
+
+handlePlayLimitCommand.requiredRole = 'MODERATOR';
+handlePlayLimitCommand.description = 'Configure per-DJ song play limits';
+handlePlayLimitCommand.example = 'playlimit set 3 2';
+handlePlayLimitCommand.hidden = false;
+
+module.exports = handlePlayLimitCommand;
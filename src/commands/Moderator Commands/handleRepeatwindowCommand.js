@@ -0,0 +1,81 @@
+'use strict';
+
+const RepeatPlayService = require( '../../services/repeatPlayService' );
+const config = require( '../../config' );
+
+const POLICY_DESCRIPTIONS = {
+    warn: 'warn the DJ and the room',
+    skip: 'skip repeated songs',
+    ignore: 'ignore repeats'
+};
+
+async function respond ( response, services, context, responseChannel ) {
+    await services.messageService.sendResponse( response, {
+        responseChannel,
+        isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+        sender: context?.sender,
+        services
+    } );
+}
+
+async function handleRepeatwindowCommand ( { args, services, context, responseChannel = 'request' } ) {
+    const { repeatPlayService } = services;
+    const cmdSwitch = config.COMMAND_SWITCH || '!';
+
+    if ( !repeatPlayService ) {
+        const response = '❌ Repeat detection is not available right now.';
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'Repeat play service unavailable' };
+    }
+
+    const argParts = ( args || '' ).trim().split( /\s+/ ).filter( Boolean );
+    const subCommand = argParts[ 0 ]?.toLowerCase() || 'status';
+
+    if ( subCommand === 'status' ) {
+        const minutes = repeatPlayService.getWindowMinutes();
+        const policy = repeatPlayService.getPolicy();
+        const response = minutes
+            ? `🔁 **Repeat Window:** ${ minutes } minutes — policy: **${ policy }** (${ POLICY_DESCRIPTIONS[ policy ] })`
+            : `🔁 **Repeat Window:** off — policy: **${ policy }**`;
+        await respond( response, services, context, responseChannel );
+        return { success: true, shouldRespond: true, response };
+    }
+
+    if ( subCommand === 'policy' ) {
+        const policy = argParts[ 1 ]?.toLowerCase();
+        if ( !RepeatPlayService.POLICIES.includes( policy ) ) {
+            const response = `❌ Usage: \`${ cmdSwitch }repeatwindow policy ${ RepeatPlayService.POLICIES.join( '|' ) }\``;
+            await respond( response, services, context, responseChannel );
+            return { success: false, shouldRespond: true, response, error: 'Invalid policy' };
+        }
+        await repeatPlayService.setPolicy( policy );
+        const response = `✅ Repeat policy set to **${ policy }** — the bot will ${ POLICY_DESCRIPTIONS[ policy ] }.`;
+        await respond( response, services, context, responseChannel );
+        return { success: true, shouldRespond: true, response };
+    }
+
+    const minutes = Number( subCommand );
+    if ( Number.isInteger( minutes ) && minutes >= 0 ) {
+        await repeatPlayService.setWindowMinutes( minutes );
+        const response = minutes
+            ? `✅ Songs played in the last ${ minutes } minutes now count as repeats.`
+            : '✅ Repeat detection turned off.';
+        await respond( response, services, context, responseChannel );
+        return { success: true, shouldRespond: true, response };
+    }
+
+    const response =
+        `📋 **Repeat Window Usage:**\n\n` +
+        `\`${ cmdSwitch }repeatwindow\` — Show the current window and policy\n` +
+        `\`${ cmdSwitch }repeatwindow <minutes>\` — Count songs played within this many minutes as repeats (0 = off)\n` +
+        `\`${ cmdSwitch }repeatwindow policy warn|skip|ignore\` — Choose what happens when a repeat is played`;
+    await respond( response, services, context, responseChannel );
+    return { success: false, shouldRespond: true, response, error: 'Unknown subcommand' };
+}
+
+handleRepeatwindowCommand.requiredRole = 'MODERATOR';
+handleRepeatwindowCommand.description = 'Configure repeat-play detection';
+handleRepeatwindowCommand.example = 'repeatwindow 120';
+handleRepeatwindowCommand.hidden = false;
+
+module.exports = handleRepeatwindowCommand;
@@ -0,0 +1,89 @@
+'use strict';
+
+const config = require( '../../config' );
+const { formatVerifiedInformation } = require( '../../lib/songAICommandHelper.js' );
+
+async function respond ( response, services, context, responseChannel ) {
+    await services.messageService.sendResponse( response, {
+        responseChannel,
+        isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+        sender: context?.sender,
+        services
+    } );
+}
+
+function formatStats ( stats, library ) {
+    let response = `🔎 **Song Fact Cache** — facts kept for ${ stats.ttlHours ? `${ stats.ttlHours } hours` : 'no time (cache off)' }, ` +
+        `songs with nothing known for ${ stats.negativeTtlHours } hours\n` +
+        `• ${ stats.entries } song${ stats.entries === 1 ? '' : 's' } cached, ${ stats.found } with facts, ${ stats.expired } expired\n` +
+        `• Reused ${ stats.hits } time${ stats.hits === 1 ? '' : 's' }`;
+    if ( library ) {
+        response += `\n• Song library: ${ library.songs } song${ library.songs === 1 ? '' : 's' }, ` +
+            `${ library.withMetadata } with release year, album or genres, ${ library.verified } verified`;
+    }
+    return response;
+}
+
+/**
+ * Shows what the bot knows about a song from Wikipedia, Wikidata and MusicBrainz
+ * Usage: !verify [refresh] [artist - track] | !verify stats
+ */
+async function handleVerifyCommand ( { args, services, context, responseChannel = 'request' } ) {
+    const { verificationService } = services;
+    const cmdSwitch = config.COMMAND_SWITCH || '!';
+
+    if ( !verificationService ) {
+        const response = '❌ Song verification is not available right now.';
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'Verification service unavailable' };
+    }
+
+    let rest = ( args || '' ).trim();
+    const firstWord = rest.split( /\s+/ )[ 0 ]?.toLowerCase();
+
+    if ( firstWord === 'stats' ) {
+        const response = formatStats( verificationService.getCacheStats(), services.songMetadataService?.getStats() );
+        await respond( response, services, context, responseChannel );
+        return { success: true, shouldRespond: true, response };
+    }
+
+    const refresh = firstWord === 'refresh';
+    if ( refresh ) rest = rest.slice( firstWord.length ).trim();
+
+    let artistName;
+    let trackName;
+    if ( rest ) {
+        [ artistName, trackName ] = rest.split( ' - ' ).map( part => part?.trim() );
+    } else {
+        ( { artistName, trackName } = services.hangoutState?.nowPlaying?.song || {} );
+    }
+
+    if ( !artistName || !trackName ) {
+        const response = rest
+            ? `❌ Give the song as \`${ cmdSwitch }verify <artist> - <track>\``
+            : `❌ Nothing is playing — use \`${ cmdSwitch }verify <artist> - <track>\``;
+        await respond( response, services, context, responseChannel );
+        return { success: false, shouldRespond: true, response, error: 'No song given' };
+    }
+
+    const result = await verificationService.verify( `${ artistName } - ${ trackName }`, { artist: artistName, track: trackName, refresh } );
+
+    let response;
+    if ( !result.found ) {
+        response = `❌ Couldn't look up ${ trackName } by ${ artistName }: ${ result.error || 'unknown error' }`;
+    } else {
+        const source = result.cached ? `cached ${ result.cachedAt } UTC` : 'just looked up';
+        response = result.hasFacts
+            ? `🔎 **What I know about ${ trackName } by ${ artistName }** (${ source }):\n${ formatVerifiedInformation( result.data ) }`
+            : `🔎 I don't know anything about ${ trackName } by ${ artistName } (${ source })`;
+    }
+    await respond( response, services, context, responseChannel );
+    return { success: result.found, shouldRespond: true, response, ...( result.found ? {} : { error: result.error } ) };
+}
+
+handleVerifyCommand.requiredRole = 'MODERATOR';
+handleVerifyCommand.description = 'Show the facts the bot knows about a song';
+handleVerifyCommand.example = 'verify Chic - Le Freak';
+handleVerifyCommand.hidden = false;
+
+module.exports = handleVerifyCommand;
@@ -1,4 +1,5 @@
 const { logger } = require( '../lib/logging.js' );
+const config = require( '../config.js' );
 const fs = require( 'fs' );
 const path = require( 'path' );
 
@@ -110,6 +111,10 @@ function listSpecificCommand ( commandName, services, context ) {
         }
         response += '\n\n';
 
+        if ( commandData.usage || commandData.argRequired ) {
+            response += `**Usage:** ${ config.COMMAND_SWITCH }${ targetCommand }${ commandData.usage ? ` ${ commandData.usage }` : '' } (argument ${ commandData.argRequired ? 'required' : 'optional' })\n\n`;
+        }
+
         // Add images
         const images = commandData.pictures || [];
         const validImages = images.filter( img => img !== null && img !== undefined );
@@ -151,6 +156,57 @@ function listSpecificCommand ( commandName, services, context ) {
     }
 }
 
+/**
+ * Find a user in the room by nickname, ignoring case and a leading @
+ * @param {string} name - Nickname as typed
+ * @param {Object} services - Service container
+ * @returns {{uuid: string, nickname: string}|null} The user, or null if nobody matches
+ */
+function findUserByNickname ( name, services ) {
+    const wanted = ( name || '' ).replace( /^@/, '' ).trim().toLowerCase();
+    if ( !wanted || !services.stateService ) return null;
+
+    try {
+        const allUserData = services.stateService._getAllUserData() || {};
+        for ( const [ uuid, userData ] of Object.entries( allUserData ) ) {
+            const nickname = userData?.userProfile?.nickname;
+            if ( nickname && nickname.toLowerCase() === wanted ) {
+                return { uuid, nickname };
+            }
+        }
+    } catch ( error ) {
+        logger.warn( `[handleChatCommand] Could not look up user "${ name }": ${ error.message }` );
+    }
+    return null;
+}
+
+/**
+ * Build the argument tokens for a chat command: {args}, {arg1}, {arg2}... and
+ * {targetUsername}, which is a mention when the arguments name someone in the room
+ * (the whole text first, so nicknames with spaces work, then the first word)
+ * @param {string} args - Everything typed after the command
+ * @param {Object} services - Service container
+ * @returns {Object} Context values for tokenService
+ */
+function buildArgumentContext ( args, services ) {
+    const text = ( args || '' ).trim();
+    const argContext = { args: text };
+    if ( !text ) return argContext;
+
+    const words = text.split( /\s+/ );
+    words.forEach( ( word, index ) => {
+        argContext[ `arg${ index + 1 }` ] = word;
+    } );
+
+    const target = findUserByNickname( text, services ) || findUserByNickname( words[ 0 ], services );
+    if ( target && services.messageService?.formatMention ) {
+        argContext.targetUsername = services.messageService.formatMention( target.uuid );
+    } else {
+        argContext.targetUsername = target ? target.nickname : text.replace( /^@/, '' );
+    }
+    return argContext;
+}
+
 /**
  * Handles chat commands loaded from chat.json
  * @param {string} command - The command name
@@ -214,6 +270,24 @@ async function handleChatCommand ( command, args, services, context ) {
             };
         }
 
+        // Commands that need someone or something to act on say how to use them
+        if ( commandData.argRequired && !( args && args.trim() ) ) {
+            const usage = `${ config.COMMAND_SWITCH }${ command }${ commandData.usage ? ` ${ commandData.usage }` : ' <something>' }`;
+            const response = `❌ Usage: ${ usage }`;
+            await services.messageService.sendResponse( response, {
+                responseChannel: 'request',
+                isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+                sender: context?.sender,
+                services
+            } );
+            return {
+                success: false,
+                shouldRespond: true,
+                response,
+                error: 'Missing argument'
+            };
+        }
+
         // Select a random message from the command's messages array
         const messages = commandData.messages || [];
         if ( messages.length === 0 ) {
@@ -230,7 +304,7 @@ async function handleChatCommand ( command, args, services, context ) {
         // Use tokenService to replace tokens in the message
         let processedMessage = randomMessage;
         if ( services.tokenService ) {
-            processedMessage = await services.tokenService.replaceTokens( randomMessage, context );
+            processedMessage = await services.tokenService.replaceTokens( randomMessage, { ...context, ...buildArgumentContext( args, services ) } );
         }
 
         // Get a random picture from the command's pictures array (if available)
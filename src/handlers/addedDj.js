@@ -16,7 +16,23 @@ function addedDj ( message, state, services ) {
     services.afkService.recordActivity( uuid, 'joinedDecks' );
   }
 
+  if ( services.djQueueService ) {
+    services.djQueueService.handleDjAdded( uuid );
+  }
+
+  if ( services.playLimitService ) {
+    services.playLimitService.resetPlayCount( uuid );
+  }
+
   services.logger.debug( `addedDj handler: recorded joinedDecks activity for ${ uuid } (${ nickname })` );
+
+  if ( services.triggerService ) {
+    services.triggerService.executeTrigger( 'djAdded', {
+      eventData: { userUuid: uuid, nickname, triggerType: 'djAdded' }
+    } ).catch( error => {
+      services.logger.error( `addedDj handler: djAdded trigger failed: ${ error.message }` );
+    } );
+  }
 }
 
 module.exports = addedDj;
@@ -1,7 +1,19 @@
-const services = require('../services/serviceContainer.js');
+/**
+ * Handles chat messages that aren't commands. Public messages that mention the
+ * bot and private messages are passed to the conversation service for a reply.
+ * @param {string} chatMessage - The message text
+ * @param {string} sender - Sender UUID
+ * @param {Object} fullMessage - The raw message (isPrivateMessage is set for PMs)
+ * @param {Object} services - Services container
+ */
+async function message ( chatMessage, sender, fullMessage, services ) {
+  if ( typeof chatMessage !== 'string' || !services?.conversationService ) return;
 
-function message(...args) {
-  services.logger.debug('message.js handler called');
+  try {
+    await services.conversationService.handleMessage( chatMessage, sender, fullMessage );
+  } catch ( error ) {
+    services.logger.error( `message handler: failed to reply to ${ sender } - ${ error.message }` );
+  }
 }
 
 module.exports = message;
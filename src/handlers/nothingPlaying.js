@@ -1,7 +1,14 @@
 const services = require('../services/serviceContainer.js');
 
-function nothingPlaying(...args) {
+async function nothingPlaying(...args) {
   services.logger.debug('nothingPlaying.js handler called');
+
+  // Run any commands configured for the nothingPlaying trigger
+  if (services.triggerService) {
+    await services.triggerService.executeTrigger('nothingPlaying', {
+      eventData: { triggerType: 'nothingPlaying' }
+    });
+  }
 }
 
 module.exports = nothingPlaying;
@@ -197,6 +197,40 @@ async function announceSong ( songInfo, services ) {
 }
 
 
+/**
+ * Removes DJs whose last allowed song has just finished, then counts the new
+ * play against the current DJ and warns them if it is their last song
+ * @param {Object|null} songInfo - The song that has just started (null if nothing is playing)
+ * @param {Object} services - Services container
+ */
+async function enforcePlayLimits ( songInfo, services ) {
+  const { playLimitService } = services;
+
+  for ( const uuid of playLimitService.takePendingRemovals() ) {
+    try {
+      await services.hangSocketServices.removeDj( services.socket, uuid );
+      playLimitService.resetPlayCount( uuid );
+      await services.messageService.sendGroupMessage(
+        `🎚️ ${ services.messageService.formatMention( uuid ) } has reached the play limit and has been removed from the decks.`,
+        { services }
+      );
+    } catch ( err ) {
+      services.logger.error( `[playedSong] Failed to remove DJ ${ uuid } for play limit: ${ err.message }` );
+    }
+  }
+
+  if ( !songInfo?.djUuid ) return;
+
+  const djCount = services.hangoutState?.djs?.length || 0;
+  const { count, limit, lastSong } = playLimitService.recordPlay( songInfo.djUuid, djCount );
+
+  if ( lastSong ) {
+    await services.messageService.sendGroupMessage(
+      `⚠️ ${ services.messageService.formatMention( songInfo.djUuid ) } this is your last song (${ count }/${ limit }) — you'll be removed from the decks when it finishes.`,
+      { services }
+    );
+  }
+}
 
 async function playedSong ( message, state, services ) {
   try {
@@ -207,12 +241,26 @@ async function playedSong ( message, state, services ) {
     //   services.logger.debug( `[playedSong] State patches: ${ JSON.stringify( message.statePatch.map( p => ( { op: p.op, path: p.path, hasValue: !!p.value } ) ), null, 2 ) }` );
     // }
 
+    // A song the bot missed while disconnected, replayed after reconnecting. It's
+    // announced, but by now it's been playing for a while with votes the bot never
+    // saw, so it isn't recorded or used to enforce anything.
+    const replayed = !!message.synthetic;
+
     // Extract current song information from the patches
     const currentSongInfo = extractSongInfo( message, services );
     // services.logger.debug( `[playedSong] Current song info extracted: ${ !!currentSongInfo }` );
-    if ( currentSongInfo ) {
+    if ( currentSongInfo && !replayed ) {
       // services.logger.debug( `[playedSong] Current song data: ${ JSON.stringify( currentSongInfo, null, 2 ) }` );
 
+      // Check for a recent repeat before this play is recorded, otherwise it would match itself
+      if ( services.repeatPlayService ) {
+        try {
+          await services.repeatPlayService.checkPlayedSong( { ...currentSongInfo, songId: currentSongInfo.songShortId } );
+        } catch ( err ) {
+          services.logger.error( `[playedSong] Failed to check for repeat play: ${ err.message }` );
+        }
+      }
+
       // --- DATABASE LOGIC: Upsert DJ, upsert song, record play ---
       if ( services.databaseService && services.databaseService.initialized ) {
         try {
@@ -258,6 +306,18 @@ async function playedSong ( message, state, services ) {
             stars: voteCounts.stars || 0
           } );
           // services.logger.debug( `[playedSong] Recorded song play in database: songId=${ songId }, djUuid=${ currentSongInfo.djUuid }` );
+
+          // Store release year, album, genres etc. in the background
+          if ( services.songMetadataService ) {
+            services.songMetadataService.enrichSong( {
+              songId,
+              artistName: currentSongInfo.artistName,
+              trackName: currentSongInfo.trackName,
+              song: services.hangoutState?.nowPlaying?.song
+            } ).catch( err => {
+              services.logger.error( `[playedSong] Failed to enrich song metadata: ${ err.message }` );
+            } );
+          }
         } catch ( err ) {
           services.logger.error( `[playedSong] Failed to record song play in database: ${ err.message }` );
         }
@@ -287,7 +347,7 @@ async function playedSong ( message, state, services ) {
     // 1. Current song is different from previous, OR
     // 2. Song ended (nowPlaying became null), OR
     // 3. PlayId changed (indicating same song played again)
-    if ( previousSongInfo && justPlayedEnabled && ( currentSongInfo || nowPlayingBecameNull || playIdChanged ) ) {
+    if ( previousSongInfo && justPlayedEnabled && !replayed && ( currentSongInfo || nowPlayingBecameNull || playIdChanged ) ) {
       let shouldAnnounce = false;
 
       if ( nowPlayingBecameNull ) {
@@ -358,9 +418,9 @@ async function playedSong ( message, state, services ) {
     if ( currentSongInfo ) {
       let initialVoteCounts;
 
-      // If no previous song is stored (bot just started), initialize from hangout state
-      // Otherwise, reset vote counts to 0 for new song
-      if ( !global.previousPlayedSong ) {
+      // If no previous song is stored (bot just started) or the song was missed while
+      // disconnected, initialize from hangout state. Otherwise, reset vote counts to 0 for new song
+      if ( !global.previousPlayedSong || replayed ) {
         // Bot startup: use current vote counts from hangout state
         initialVoteCounts = services.hangoutState?.voteCounts || { likes: 0, dislikes: 0, stars: 0 };
         // services.logger.debug( '[playedSong] Bot startup: initializing vote counts from hangout state:', initialVoteCounts );
@@ -418,6 +478,14 @@ async function playedSong ( message, state, services ) {
       await services.triggerService.executeTrigger( 'newSong', triggerContext );
     }
 
+    // Ask the AI whether the new song fits the theme; runs in the background so a
+    // slow response doesn't hold up the rest of the song change handling
+    if ( services.themeService && songForProcessing && !replayed ) {
+      services.themeService.judgeSong( songForProcessing ).catch( error => {
+        services.logger.error( `Error getting theme verdict: ${ error.message }` );
+      } );
+    }
+
     // Execute any pending AFK removals — the song change confirms the pending DJ's
     // track has ended so it is now safe to remove them from the decks.
     if ( services.afkService && services.hangSocketServices ) {
@@ -438,6 +506,11 @@ async function playedSong ( message, state, services ) {
       }
     }
 
+    // Remove DJs who have finished their last allowed song, then count this play
+    if ( services.playLimitService && !replayed && ( songForProcessing || nowPlayingBecameNull ) ) {
+      await enforcePlayLimits( songForProcessing, services );
+    }
+
     const nowPlaying = services.hangoutState?.nowPlaying;
 
     // Cancel any existing timer
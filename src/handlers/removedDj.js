@@ -11,6 +11,25 @@ function removedDj ( message, state, services ) {
     services.afkService.recordActivity( uuid, 'leftDecks' );
   }
   services.logger.debug( `removedDj handler: recorded leftDecks activity for ${ uuid }` );
+
+  if ( services.playLimitService ) {
+    services.playLimitService.resetPlayCount( uuid );
+  }
+
+  if ( services.triggerService ) {
+    services.triggerService.executeTrigger( 'djRemoved', {
+      eventData: { userUuid: uuid, triggerType: 'djRemoved' }
+    } ).catch( error => {
+      services.logger.error( `removedDj handler: djRemoved trigger failed: ${ error.message }` );
+    } );
+  }
+
+  // A deck spot just opened up — ping whoever is next in the DJ queue
+  if ( services.djQueueService ) {
+    services.djQueueService.notifyNext().catch( error => {
+      services.logger.error( `removedDj handler: failed to notify next queued DJ: ${ error.message }` );
+    } );
+  }
 }
 
 module.exports = removedDj;
@@ -1,7 +1,65 @@
+/**
+ * Collect the queued song for each DJ index from either a whole-object replace
+ * (/djs/N/nextSong) or field-level patches (/djs/N/nextSong/trackName etc.)
+ */
+function extractNextSongs ( statePatch ) {
+    const songs = new Map();
+    for ( const p of statePatch ) {
+        const match = p.path.match( /^\/djs\/(\d+)\/nextSong(?:\/(\w+))?$/ );
+        if ( !match ) continue;
+
+        const djIndex = parseInt( match[ 1 ], 10 );
+        const song = songs.get( djIndex ) || {};
+        if ( match[ 2 ] ) {
+            song[ match[ 2 ] ] = p.value;
+        } else if ( p.value && typeof p.value === 'object' ) {
+            Object.assign( song, p.value );
+        }
+        songs.set( djIndex, song );
+    }
+    return songs;
+}
+
+function checkRepeatPlays ( statePatch, services ) {
+    const djs = services.stateService._getDjs();
+    for ( const [ djIndex, song ] of extractNextSongs( statePatch ) ) {
+        const uuid = djs[ djIndex ]?.uuid;
+        if ( !uuid || !song.artistName || !song.trackName ) continue;
+
+        services.repeatPlayService.checkNextSong( uuid, song ).catch( err => {
+            services.logger.error( `updatedNextSong handler: repeat check failed - ${ err.message }` );
+        } );
+    }
+}
+
+/**
+ * Look up facts about queued songs in the background, so AI commands have them
+ * ready once the song plays
+ */
+function prewarmVerification ( statePatch, services ) {
+    for ( const song of extractNextSongs( statePatch ).values() ) {
+        if ( !song.artistName || !song.trackName ) continue;
+
+        services.verificationService.prewarm( song.artistName, song.trackName ).catch( err => {
+            services.logger.error( `updatedNextSong handler: verification pre-warm failed - ${ err.message }` );
+        } );
+    }
+}
+
 function updatedNextSong ( message, state, services ) {
     services.logger.debug( 'updatedNextSong handler called' );
 
-    if ( !services.afkService || !services.stateService ) return;
+    if ( services.verificationService ) {
+        prewarmVerification( message.statePatch || [], services );
+    }
+
+    if ( !services.stateService ) return;
+
+    if ( services.repeatPlayService ) {
+        checkRepeatPlays( message.statePatch || [], services );
+    }
+
+    if ( !services.afkService ) return;
 
     const patch = ( message.statePatch || [] ).find(
         p => /^\/djs\/\d+\/nextSong\//.test( p.path )
@@ -36,6 +36,21 @@ async function updatedRoomSettings(message) {
       if (otherPatches.length > 0) {
         services.logger.debug(`Other room settings updated: ${otherPatches.map(p => p.path).join(', ')}`);
       }
+
+      // Run any commands configured for the roomSettingsChanged trigger
+      const changedSettings = message.statePatch
+        .filter(patch => patch.path.startsWith('/settings/'))
+        .map(patch => patch.path.split('/')[2]);
+
+      if (changedSettings.length > 0 && services.triggerService) {
+        await services.triggerService.executeTrigger('roomSettingsChanged', {
+          eventData: {
+            settings: [...new Set(changedSettings)].join(', '),
+            roomName: nameUpdatePatch?.value,
+            triggerType: 'roomSettingsChanged'
+          }
+        });
+      }
     }
   } catch (error) {
     services.logger.error('Error processing updatedRoomSettings message:', error);
@@ -212,6 +212,7 @@ async function userJoined ( message, state, services ) {
     }
 
     // Upsert DJ in database (only if databaseService is available and initialized)
+    let firstVisit = false;
     if ( services.databaseService && services.databaseService.initialized ) {
       try {
         const result = services.databaseService.insertOrUpdateDjNickname( {
@@ -219,6 +220,7 @@ async function userJoined ( message, state, services ) {
           nickname: userData.nickname
         } );
         if ( result.action === 'inserted' ) {
+          firstVisit = true;
           services.logger.debug( `Inserted new DJ in database: ${ userData.userUUID } (${ userData.nickname })` );
         } else if ( result.action === 'updated' ) {
           services.logger.debug( `Updated DJ nickname in database: ${ userData.userUUID } (${ result.oldNickname } → ${ result.newNickname })` );
@@ -237,19 +239,42 @@ async function userJoined ( message, state, services ) {
       services.afkService.recordActivity( userData.userUUID, 'joinedRoom' );
     }
 
+    // Keep their DJ queue spot if they came back within the grace period
+    if ( services.djQueueService ) {
+      services.djQueueService.markReturned( userData.userUUID );
+    }
+
     // Check if user should be welcomed (skip ghost users)
     if ( !shouldWelcomeUser( userData, services ) ) {
       return;
     }
 
+    // Joins missed while the bot was disconnected are replayed after it reconnects.
+    // By then the user may have been here a while, so don't greet them late.
+    if ( message.synthetic ) {
+      services.logger.debug( `Skipping welcome for ${ userData.userUUID } - joined while the bot was disconnected` );
+      return;
+    }
+
     // Check if welcome message feature is enabled
-    if ( !services.featuresService.isFeatureEnabled( 'welcomeMessage' ) ) {
+    if ( services.featuresService.isFeatureEnabled( 'welcomeMessage' ) ) {
+      // Send welcome message
+      await sendWelcomeMessage( userData, services );
+    } else {
       services.logger.debug( 'Welcome message feature is disabled, skipping welcome message' );
-      return;
     }
 
-    // Send welcome message
-    await sendWelcomeMessage( userData, services );
+    // Run any commands configured for the userJoined trigger
+    if ( services.triggerService ) {
+      await services.triggerService.executeTrigger( 'userJoined', {
+        eventData: {
+          userUuid: userData.userUUID,
+          nickname: userData.nickname,
+          firstVisit,
+          triggerType: 'userJoined'
+        }
+      } );
+    }
 
   } catch ( error ) {
     services.logger.error( `Error processing userJoined message: ${ error.message }` );
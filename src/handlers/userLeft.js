@@ -35,6 +35,11 @@ async function userLeft ( message, state, services ) {
         services.afkService.removeUser( userUUID );
       }
 
+      // Start the grace period before the user is dropped from the DJ queue
+      if ( services.djQueueService ) {
+        services.djQueueService.markLeft( userUUID );
+      }
+
       // Remove private message tracking for the user who left
       if ( services.bot && typeof services.bot.removePrivateMessageTrackingForUser === 'function' ) {
         try {
@@ -46,6 +51,13 @@ async function userLeft ( message, state, services ) {
       } else {
         services.logger.debug( 'Bot instance not available for private message tracking removal' );
       }
+
+      // Run any commands configured for the userLeft trigger
+      if ( services.triggerService ) {
+        await services.triggerService.executeTrigger( 'userLeft', {
+          eventData: { userUuid: userUUID, triggerType: 'userLeft' }
+        } );
+      }
     } else {
       services.logger.debug( 'No user data remove patch found in userLeft message' );
     }
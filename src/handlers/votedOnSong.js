@@ -37,11 +37,53 @@ function updatePreviousSongVoteCounts ( message, services ) {
   }
 }
 
+/**
+ * Fires the songLiked and songStarred triggers when the likes or stars go up.
+ * The counts from before the vote are passed along so a condition like
+ * "likes >= 5" only fires once, as the count reaches 5.
+ * @param {Object} message - The stateful message containing vote patches
+ * @param {Object} song - The current song and its vote counts before this message
+ * @param {Object} services - Services container
+ */
+function runVoteTriggers ( message, song, services ) {
+  if ( !services.triggerService ) return;
+
+  const previousCounts = { likes: 0, dislikes: 0, stars: 0, ...( song?.voteCounts || {} ) };
+  const counts = { ...previousCounts };
+  for ( const patch of message.statePatch || [] ) {
+    const match = patch.op === 'replace' && patch.path.match( /^\/voteCounts\/(likes|dislikes|stars)$/ );
+    if ( match ) counts[ match[ 1 ] ] = patch.value;
+  }
+
+  const eventData = {
+    ...counts,
+    djUuid: song?.djUuid,
+    artistName: song?.artistName,
+    trackName: song?.trackName
+  };
+
+  for ( const [ triggerName, field ] of [ [ 'songLiked', 'likes' ], [ 'songStarred', 'stars' ] ] ) {
+    if ( counts[ field ] > previousCounts[ field ] ) {
+      services.triggerService.executeTrigger( triggerName, {
+        eventData: { ...eventData, triggerType: triggerName },
+        previousEventData: previousCounts
+      } ).catch( error => {
+        services.logger.error( `[votedOnSong] ${ triggerName } trigger failed: ${ error.message }` );
+      } );
+    }
+  }
+}
+
 function votedOnSong ( message, state, services ) {
   services.logger.debug( 'votedOnSong handler called' );
 
   try {
+    const song = global.previousPlayedSong
+      ? { ...global.previousPlayedSong, voteCounts: { ...global.previousPlayedSong.voteCounts } }
+      : null;
+
     updatePreviousSongVoteCounts( message, services );
+    runVoteTriggers( message, song, services );
 
     if ( services.afkService ) {
       const voteOps = ( message.statePatch || [] ).filter(
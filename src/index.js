@@ -4,6 +4,11 @@ const path = require( 'node:path' );
 const services = require( './services/serviceContainer.js' );
 const { Bot } = require( './lib/bot.js' );
 const { runAfkMonitorTick, TICK_INTERVAL_MS } = require( './tasks/afkMonitorTask.js' );
+const { runDjQueueTick, TICK_INTERVAL_MS: DJ_QUEUE_TICK_INTERVAL_MS } = require( './tasks/djQueueTask.js' );
+const { runThemeScheduleTick, TICK_INTERVAL_MS: THEME_SCHEDULE_TICK_INTERVAL_MS } = require( './tasks/themeScheduleTask.js' );
+const { runScheduledMessagesTick, TICK_INTERVAL_MS: SCHEDULED_MESSAGES_TICK_INTERVAL_MS } = require( './tasks/scheduledMessagesTask.js' );
+const { runPersonalityScheduleTick, TICK_INTERVAL_MS: PERSONALITY_SCHEDULE_TICK_INTERVAL_MS } = require( './tasks/personalityScheduleTask.js' );
+const { runSongMetadataBackfillTick, TICK_INTERVAL_MS: SONG_METADATA_BACKFILL_TICK_INTERVAL_MS } = require( './tasks/songMetadataBackfillTask.js' );
 
 // Bind a minimal HTTP server with secure routing
 // The bot is a WebSocket client — there is no real HTTP API here.
@@ -234,6 +239,10 @@ services.logger.info( '======================================= Application Start
       services.logger.warn( '⚠️ Continuing without group membership - some features may not work' );
     }
 
+    // Receive chat messages pushed over the CometChat websocket; polling below
+    // only runs while push isn't connected
+    await roomBot.startPushIngestion();
+
     // Dynamic message processing with backoff support
     // Public messages use dynamic interval (1s-10s) with backoff
     // Private messages run at fixed 1s interval
@@ -241,10 +250,12 @@ services.logger.info( '======================================= Application Start
 
     // Self-adjusting public message processor
     const processPublicMessages = async () => {
-      try {
-        await roomBot.processNewPublicMessages();
-      } catch ( error ) {
-        services.logger.error( `Error in processNewPublicMessages: ${ error?.message || error?.toString() || 'Unknown error' }` );
+      if ( !roomBot.isPushConnected() ) {
+        try {
+          await roomBot.processNewPublicMessages();
+        } catch ( error ) {
+          services.logger.error( `Error in processNewPublicMessages: ${ error?.message || error?.toString() || 'Unknown error' }` );
+        }
       }
 
       // Schedule next run based on current interval (with backoff)
@@ -256,6 +267,7 @@ services.logger.info( '======================================= Application Start
 
     // Private message processing at fixed 1 second interval
     setInterval( async () => {
+      if ( roomBot.isPushConnected() ) return;
       try {
         await roomBot.processNewPrivateMessages();
       } catch ( error ) {
@@ -263,7 +275,7 @@ services.logger.info( '======================================= Application Start
       }
     }, 1000 );
 
-    services.logger.debug( `Started message processing with dynamic backoff (public: 1s-10s, private: 1s + 500ms/user delay)` );
+    services.logger.debug( `Started fallback message polling with dynamic backoff (public: 1s-10s, private: 1s + 500ms/user delay)` );
 
     // Start image validation background task (1 image per second when validation is active)
     setInterval( async () => {
@@ -287,6 +299,61 @@ services.logger.info( '======================================= Application Start
 
     services.logger.debug( '✅ AFK monitor background task started' );
 
+    // Start DJ queue background task (claim windows and leave grace periods)
+    setInterval( async () => {
+      try {
+        await runDjQueueTick( services );
+      } catch ( error ) {
+        services.logger.error( `Error in DJ queue tick: ${ error?.message || error?.toString() || 'Unknown error' }` );
+      }
+    }, DJ_QUEUE_TICK_INTERVAL_MS );
+
+    services.logger.debug( '✅ DJ queue background task started' );
+
+    // Start theme schedule background task
+    setInterval( async () => {
+      try {
+        await runThemeScheduleTick( services );
+      } catch ( error ) {
+        services.logger.error( `Error in theme schedule tick: ${ error?.message || error?.toString() || 'Unknown error' }` );
+      }
+    }, THEME_SCHEDULE_TICK_INTERVAL_MS );
+
+    services.logger.debug( '✅ Theme schedule background task started' );
+
+    // Start scheduled messages background task
+    setInterval( async () => {
+      try {
+        await runScheduledMessagesTick( services );
+      } catch ( error ) {
+        services.logger.error( `Error in scheduled messages tick: ${ error?.message || error?.toString() || 'Unknown error' }` );
+      }
+    }, SCHEDULED_MESSAGES_TICK_INTERVAL_MS );
+
+    services.logger.debug( '✅ Scheduled messages background task started' );
+
+    // Start personality schedule background task
+    setInterval( async () => {
+      try {
+        await runPersonalityScheduleTick( services );
+      } catch ( error ) {
+        services.logger.error( `Error in personality schedule tick: ${ error?.message || error?.toString() || 'Unknown error' }` );
+      }
+    }, PERSONALITY_SCHEDULE_TICK_INTERVAL_MS );
+
+    services.logger.debug( '✅ Personality schedule background task started' );
+
+    // Start song metadata backfill background task
+    setInterval( async () => {
+      try {
+        await runSongMetadataBackfillTick( services );
+      } catch ( error ) {
+        services.logger.error( `Error in song metadata backfill tick: ${ error?.message || error?.toString() || 'Unknown error' }` );
+      }
+    }, SONG_METADATA_BACKFILL_TICK_INTERVAL_MS );
+
+    services.logger.debug( '✅ Song metadata backfill background task started' );
+
     // Initialize validation cache on startup
     services.validationService.loadCache();
 
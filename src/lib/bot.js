@@ -2,6 +2,9 @@ const { ServerMessageName, SocketClient, StatefulServerMessageName, StatelessSer
 const { applyPatch } = require( 'fast-json-patch' );
 const fs = require( 'fs' ).promises;
 const path = require( 'path' );
+const ReconnectManager = require( './reconnectManager.js' );
+const MessageIngestion = require( './messageIngestion.js' );
+const CometChatPushTransport = require( './cometChatPushTransport.js' );
 
 class Bot {
   constructor ( slug, services ) {
@@ -21,6 +24,10 @@ class Bot {
     // Structure: { [userUUID]: { interval: 1000, backoffStep: 1000, maxInterval: 10000 } }
     this.privateMessageUserIntervals = {};
 
+    // Every chat message, pushed or polled, goes through one deduplicated queue
+    this.ingestion = new MessageIngestion( services, message => this._processSingleMessage( message ) );
+    this.pushTransport = null;
+
     // Initialize global state for playedSong handler
     if ( !global.previousPlayedSong ) global.previousPlayedSong = null;
     if ( !global.playedSongTimer ) global.playedSongTimer = null;
@@ -560,33 +567,111 @@ class Bot {
 
   async _joinRoomWithTimeout () {
     const timeoutMs = 1000 * 60; // 60 seconds
+    let timer;
 
-    return Promise.race( [
-      this.socket.joinRoom( this.services.config.BOT_USER_TOKEN, {
-        roomUuid: this.services.config.HANGOUT_ID
-      } ),
-      new Promise( ( _, reject ) =>
-        setTimeout( () => reject( new Error( `Socket join room timeout after ${ timeoutMs / 1000 } seconds` ) ), timeoutMs )
-      )
-    ] );
+    try {
+      return await Promise.race( [
+        this.socket.joinRoom( this.services.config.BOT_USER_TOKEN, {
+          roomUuid: this.services.config.HANGOUT_ID
+        } ),
+        new Promise( ( _, reject ) => {
+          timer = setTimeout( () => reject( new Error( `Socket join room timeout after ${ timeoutMs / 1000 } seconds` ) ), timeoutMs );
+        } )
+      ] );
+    } finally {
+      // Don't leave the timer running once the join has settled, it's reused on every reconnect
+      clearTimeout( timer );
+    }
   }
 
   _setupReconnectHandler () {
     this.services.logger.debug( '✅ Setting up reconnect handler...' );
 
-    this.socket.on( "reconnect", async () => {
-      this.services.logger.debug( '🔄 Reconnecting to room...' );
-      try {
-        const { state } = await this.socket.joinRoom( this.services.config.BOT_USER_TOKEN, {
-          roomUuid: this.services.config.HANGOUT_ID
-        } );
-        this.state = state;
-        this.services.hangoutState = state;
-        this.services.logger.debug( '🔄 Reconnected successfully' );
-      } catch ( error ) {
-        this.services.logger.error( `❌ Reconnection failed: ${ error }` );
-      }
-    } );
+    if ( !this.reconnectManager ) {
+      this.reconnectManager = new ReconnectManager( this.services, () => this._resyncAfterReconnect() );
+    }
+    this.reconnectManager.start();
+
+    this.socket.on( "reconnect", () => this.reconnectManager.reconnect( 'socket reconnected' ) );
+    this.socket.on( "disconnected", () => this.reconnectManager.handleDisconnect( 'socket closed' ) );
+    this.socket.on( "timeout", () => this.reconnectManager.handleDisconnect( 'socket timed out' ) );
+  }
+
+  /**
+   * Rejoin the room after the socket dropped and bring everything that was
+   * seeded from the initial state back in line with the room as it is now
+   * @returns {Promise<{joined: number, left: number, songs: number}>} What was missed while disconnected
+   */
+  async _resyncAfterReconnect () {
+    this.services.logger.debug( '🔄 Reconnecting to room...' );
+    const previousState = this.state;
+
+    // joinRoom opens a fresh connection, so patches can arrive before the new state
+    this._isInitialConnection = true;
+    try {
+      const { state } = await this._joinRoomWithTimeout();
+      this.state = state;
+      this.services.hangoutState = state;
+      await this._applyDeferredPatches();
+    } finally {
+      this._isInitialConnection = false;
+    }
+
+    this._seedAfkServiceFromState();
+    if ( this.services.stateService ) {
+      await this._initializePrivateMessageTrackingForAllUsers();
+    }
+
+    const missed = await this._replayMissedEvents( previousState, this.state );
+    this.services.logger.debug( '🔄 Reconnected successfully' );
+    return missed;
+  }
+
+  /**
+   * Fire userLeft, userJoined and playedSong for what changed while the socket
+   * was down, as if the server had sent them. The messages carry synthetic: true.
+   * @param {Object} previousState - State before the socket dropped
+   * @param {Object} currentState - State from the rejoin
+   * @returns {Promise<{joined: number, left: number, songs: number}>}
+   */
+  async _replayMissedEvents ( previousState, currentState ) {
+    const missed = { joined: 0, left: 0, songs: 0 };
+    if ( !previousState || !currentState ) return missed;
+
+    const { joined, left, nowPlayingChanged } = ReconnectManager.diffState( previousState, currentState );
+    const botUuid = this.services.config.BOT_UID;
+
+    for ( const uuid of left.filter( uuid => uuid !== botUuid ) ) {
+      await this._dispatchStatefulMessage( {
+        name: 'userLeft',
+        synthetic: true,
+        statePatch: [ { op: 'remove', path: `/allUserData/${ uuid }` } ]
+      } );
+      missed.left++;
+    }
+
+    for ( const { uuid, userData } of joined.filter( user => user.uuid !== botUuid ) ) {
+      await this._dispatchStatefulMessage( {
+        name: 'userJoined',
+        synthetic: true,
+        statePatch: [ { op: 'add', path: `/allUserData/${ uuid }`, value: userData } ]
+      } );
+      missed.joined++;
+    }
+
+    if ( nowPlayingChanged ) {
+      await this._dispatchStatefulMessage( {
+        name: 'playedSong',
+        synthetic: true,
+        statePatch: [ { op: 'replace', path: '/nowPlaying', value: currentState.nowPlaying || null } ]
+      } );
+      missed.songs++;
+    }
+
+    if ( missed.joined || missed.left || missed.songs ) {
+      this.services.logger.info( `🔄 Caught up after reconnect: ${ missed.joined } joined, ${ missed.left } left, ${ missed.songs ? 'new song' : 'same song' }` );
+    }
+    return missed;
   }
 
   // ========================================================
@@ -604,6 +689,7 @@ class Bot {
 
   _setupStatefulMessageListener () {
     this.socket.on( 'statefulMessage', async ( message ) => {
+      this.reconnectManager?.recordActivity();
       // this.services.logger.debug( `statefulMessage - ${ message.name }` );
 
       // Log payload to file
@@ -637,23 +723,28 @@ class Bot {
       }
 
       // Handler logic based on message.name
-      try {
-        const handlers = require( '../handlers' );
-        const handlerFn = handlers[ message.name ];
-        if ( typeof handlerFn === 'function' ) {
-          this.services.logger.debug( `Calling handler for statefulMessage: ${ message.name }` );
-          await handlerFn( message, this.state, this.services );
-        } else {
-          this.services.logger.debug( `No handler found for statefulMessage: ${ message.name }` );
-        }
-      } catch ( err ) {
-        this.services.logger.error( `Error calling handler for statefulMessage ${ message.name }: ${ err.message }` );
-      }
+      await this._dispatchStatefulMessage( message );
     } );
   }
 
+  async _dispatchStatefulMessage ( message ) {
+    try {
+      const handlers = require( '../handlers' );
+      const handlerFn = handlers[ message.name ];
+      if ( typeof handlerFn === 'function' ) {
+        this.services.logger.debug( `Calling handler for statefulMessage: ${ message.name }` );
+        await handlerFn( message, this.state, this.services );
+      } else {
+        this.services.logger.debug( `No handler found for statefulMessage: ${ message.name }` );
+      }
+    } catch ( err ) {
+      this.services.logger.error( `Error calling handler for statefulMessage ${ message.name }: ${ err.message }` );
+    }
+  }
+
   _setupStatelessMessageListener () {
     this.socket.on( "statelessMessage", async ( payload ) => {
+      this.reconnectManager?.recordActivity();
       this.services.logger.debug( `statelessMessage - ${ payload.name }` );
 
       // Log payload to file
@@ -665,6 +756,7 @@ class Bot {
 
   _setupServerMessageListener () {
     this.socket.on( "serverMessage", async ( payload ) => {
+      this.reconnectManager?.recordActivity();
       // this.services.logger.debug( `serverMessage - ${ payload.message.name }` );
 
       // Log payload to file
@@ -850,6 +942,16 @@ class Bot {
       services: this.services
     } );
 
+    return this._acceptPublicMessages( allMessages );
+  }
+
+  /**
+   * Move the public message tracking past every message received, record chat
+   * activity, and keep just the commands and mentions for processing
+   * @param {Array<Object>} allMessages - Formatted group messages, polled or pushed
+   * @returns {Array<Object>}
+   */
+  _acceptPublicMessages ( allMessages ) {
     // Update tracking with highest message received (not just processed)
     // This ensures pagination moves forward even if no commands are found
     if ( allMessages?.length > 0 ) {
@@ -869,9 +971,15 @@ class Bot {
       }
     }
 
-    // Return only command messages for the processing pipeline
+    // Return only command messages, plus messages that mention the bot, for the processing pipeline
     const commandMessages = this.services.messageService.filterMessagesForCommands( allMessages || [] );
-    return commandMessages;
+    const conversationService = this.services.conversationService;
+    if ( !conversationService ) {
+      return commandMessages;
+    }
+    return ( allMessages || [] ).filter( msg =>
+      commandMessages.includes( msg ) || conversationService.isMentioned( msg?.data?.text )
+    );
   }
 
   async _fetchNewPrivateMessages () {
@@ -927,7 +1035,7 @@ class Bot {
       const fetchDuration = Date.now() - fetchStartTime;
       // this.services.logger.debug( `✅ [_fetchNewPrivateMessages] Completed parallel fetch in ${ fetchDuration }ms - Total messages found: ${ allPrivateMessages.length }` );
 
-      return allPrivateMessages;
+      return this._acceptPrivateMessages( allPrivateMessages );
 
     } catch ( error ) {
       const fetchDuration = Date.now() - fetchStartTime;
@@ -1032,24 +1140,7 @@ class Bot {
       }
 
       // Transform messages to match the structure expected by _processMessageBatch
-      const transformedMessages = userMessages.map( ( msg ) => {
-        return {
-          id: msg.id,
-          sentAt: msg.sentAt,
-          sender: msg.sender,
-          data: {
-            metadata: {
-              chatMessage: {
-                message: msg.text,
-                userUuid: msg.sender
-              }
-            }
-          },
-          // Add metadata to distinguish private messages
-          isPrivateMessage: true,
-          recipientUUID: userUUID
-        };
-      } );
+      const transformedMessages = userMessages.map( msg => this._toPrivateBatchMessage( msg, userUUID ) );
 
       // this.services.logger.debug( `🔍 [_fetchMessagesBatchForUser] [${ userUUID }] Transformed ${ transformedMessages.length } messages` );
 
@@ -1061,14 +1152,57 @@ class Bot {
     }
   }
 
-  async _processMessageBatch ( messages ) {
-    for ( const message of messages ) {
-      await this._processSingleMessage( message );
+  /**
+   * Shape a simplified private message like the rest of the processing pipeline expects
+   * @param {Object} msg - From privateMessageService.simplifyPrivateMessage
+   * @param {string} userUUID - The user the conversation is with
+   * @returns {Object}
+   */
+  _toPrivateBatchMessage ( msg, userUUID ) {
+    return {
+      id: msg.id,
+      sentAt: msg.sentAt,
+      sender: msg.sender,
+      data: {
+        metadata: {
+          chatMessage: {
+            message: msg.text,
+            userUuid: msg.sender
+          }
+        }
+      },
+      // Add metadata to distinguish private messages
+      isPrivateMessage: true,
+      recipientUUID: userUUID
+    };
+  }
+
+  /**
+   * Move each sender's private message tracking past the messages received,
+   * dropping any that were already the last one handled. Like
+   * _acceptPublicMessages, this happens before they're queued, so polling picks
+   * up after pushed messages even if push drops before they've been handled.
+   * @param {Array<Object>} messages - From _toPrivateBatchMessage, oldest first
+   * @returns {Array<Object>}
+   */
+  _acceptPrivateMessages ( messages ) {
+    const accepted = messages.filter( msg => {
+      const sender = msg.sender?.uid || msg.sender || '';
+      return !sender || this.lastPrivateMessageTracking[ sender ]?.lastMessageId !== msg.id;
+    } );
+
+    for ( const msg of accepted ) {
+      this._updateMessageTracking( msg );
     }
+    return accepted;
+  }
+
+  async _processMessageBatch ( messages, source = 'poll' ) {
+    await this.ingestion.ingest( messages, source );
   }
 
   async _processSingleMessage ( message ) {
-    // Check for duplicate processing (additional safety check)
+    // Repeats were already dropped by _acceptPrivateMessages and the ingestion queue
     if ( message.isPrivateMessage ) {
       const sender = message.sender?.uid || message.sender || '';
 
@@ -1076,13 +1210,6 @@ class Bot {
       if ( !sender || sender === '' ) {
         return;
       }
-
-      const userTracking = this.lastPrivateMessageTracking[ sender ];
-
-      if ( userTracking && userTracking.lastMessageId === message.id ) {
-        // Silently skip duplicate messages
-        return;
-      }
     }
 
     this._updateMessageTracking( message );
@@ -1181,15 +1308,15 @@ class Bot {
           } else {
             this.services.logger.warn( `[_handleMessage] commandService is not available: ${ typeof this.services.commandService }` );
           }
+        } else {
+          // Non-command messages may be chat aimed at the bot (mentions and PMs)
+          const handlers = require( '../handlers' );
+          await handlers.message( chatMessage, sender, fullMessage, this.services );
         }
       } else {
         this.services.logger.warn( `[_handleMessage] parseCommands is not a function: ${ typeof this.services.parseCommands }` );
       }
 
-      // TODO: Add additional message handling logic here
-      // - Non-command message processing
-      // - Context management
-
       // AFK activity for chat is recorded upstream in _fetchNewMessages on the
       // full (unfiltered) message list, so all messages including non-commands are covered.
     } catch ( error ) {
@@ -1208,6 +1335,85 @@ class Bot {
     }
   }
 
+  // ========================================================
+  // Push Message Ingestion
+  // ========================================================
+
+  /**
+   * Start receiving chat messages over the CometChat websocket. Polling only
+   * runs while this isn't connected.
+   * @returns {Promise<boolean>} true if push started
+   */
+  async startPushIngestion () {
+    if ( !this.pushTransport ) {
+      this.pushTransport = new CometChatPushTransport( this.services, {
+        onMessage: ( message, isPrivate ) => this._receivePushedMessage( message, isPrivate ),
+        onConnectionChange: connected => this._onPushConnectionChange( connected )
+      } );
+    }
+    return this.pushTransport.start();
+  }
+
+  isPushConnected () {
+    return !!this.pushTransport?.connected;
+  }
+
+  async _onPushConnectionChange ( connected ) {
+    if ( !connected ) {
+      this.services.logger.warn( '📨 Push messages disconnected - polling until they reconnect' );
+      return;
+    }
+
+    // Catch up on anything sent while push was down; duplicates are dropped
+    this.services.logger.info( '📨 Push messages connected - catching up by polling once' );
+    try {
+      await this.processNewPublicMessages();
+      await this.processNewPrivateMessages();
+    } catch ( error ) {
+      this.services.logger.error( `❌ Catch-up poll after push connected failed: ${ error.message }` );
+    }
+  }
+
+  /**
+   * Queue a message pushed by CometChat, filtered the same way as polled messages
+   * @param {Object} raw - Raw CometChat message
+   * @param {boolean} isPrivate - Sent to the bot rather than the hangout group
+   */
+  async _receivePushedMessage ( raw, isPrivate ) {
+    try {
+      let messages;
+      if ( isPrivate ) {
+        const simplified = this.services.privateMessageService.simplifyPrivateMessage( raw );
+        // Like polling, only take private messages from users in the hangout
+        const inHangout = ( this.services.stateService?._getAllUsers() || [] ).some( user => user.uuid === simplified.sender );
+        if ( !inHangout || simplified.sender === this.services.config.BOT_UID ) return;
+        messages = this._acceptPrivateMessages( [ this._toPrivateBatchMessage( simplified, simplified.sender ) ] );
+      } else {
+        if ( raw.receiver && raw.receiver !== this.services.config.HANGOUT_ID ) return;
+        const formatted = this.services.messageService.formatGroupMessage( raw );
+        formatted.updatedAt = formatted.updatedAt || formatted.sentAt;
+        messages = this._acceptPublicMessages( [ formatted ] );
+      }
+
+      if ( messages.length > 0 ) {
+        await this._processMessageBatch( messages, 'push' );
+      }
+    } catch ( error ) {
+      this.services.logger.error( `❌ Error handling pushed message ${ raw?.id }: ${ error.message }` );
+    }
+  }
+
+  /**
+   * @returns {Object} Which transport is in use, message counts and latency
+   */
+  getIngestionStatus () {
+    return {
+      transport: this.isPushConnected() ? 'push' : 'polling',
+      pushEnabled: !!this.pushTransport?.started,
+      ...this.ingestion.getMetrics()
+    };
+  }
+
   // ========================================================
   // Public Methods for Handler Access
   // ========================================================
@@ -1264,6 +1470,10 @@ class Bot {
     };
   }
 
+  getReconnectStatus () {
+    return this.reconnectManager?.getStatus() || null;
+  }
+
   async disconnect () {
     this.services.logger.debug( 'Disconnecting bot...' );
 
@@ -1273,6 +1483,10 @@ class Bot {
       // this.services.logger.debug( 'Saved private message tracking state' );
     }
 
+    // Stop the reconnect manager first so the socket closing doesn't trigger a resync
+    this.reconnectManager?.stop();
+    await this.pushTransport?.stop();
+
     if ( this.socket ) {
       // TODO: Add proper socket cleanup
       this.socket = null;
@@ -0,0 +1,167 @@
+/**
+ * Receives chat messages as CometChat pushes them, instead of polling for them.
+ *
+ * Uses the CometChat SDK's websocket with the same app ID and auth token as the
+ * REST calls in openchatApi. Settings in botConfig.json under messageIngestion:
+ * transport ('polling' by default, 'push' turns this on), region (default 'us'),
+ * and clientHost/adminHost to point the SDK at a CometChat-compatible server.
+ *
+ * Push is off until it has proven itself in a live room. The SDK is built for
+ * browsers and reads window, navigator, WebSocket and localStorage as globals,
+ * so turning push on defines any of those that are missing for the whole
+ * process. Other libraries that sniff for a browser (axios, the ttfm socket
+ * client) may behave differently once they exist. With push off the SDK is
+ * never loaded and nothing is defined.
+ *
+ * start() never throws: if the SDK can't load or log in the bot keeps polling.
+ */
+
+const LISTENER_ID = 'mrroboto-message-ingestion';
+
+/**
+ * Define the browser globals the CometChat SDK expects, leaving any that
+ * already exist alone. These are process-wide, see the note at the top.
+ */
+function installBrowserGlobals () {
+    if ( typeof globalThis.window === 'undefined' ) globalThis.window = globalThis;
+    if ( typeof globalThis.navigator === 'undefined' ) {
+        globalThis.navigator = { userAgent: `Node.js/${ process.version }`, onLine: true };
+    }
+    if ( typeof globalThis.WebSocket === 'undefined' ) globalThis.WebSocket = require( 'ws' );
+    if ( typeof globalThis.localStorage === 'undefined' ) {
+        const items = new Map();
+        globalThis.localStorage = {
+            getItem: key => items.has( key ) ? items.get( key ) : null,
+            setItem: ( key, value ) => { items.set( key, String( value ) ); },
+            removeItem: key => { items.delete( key ); },
+            clear: () => items.clear(),
+            key: index => [ ...items.keys() ][ index ] ?? null,
+            get length () { return items.size; }
+        };
+    }
+}
+
+class CometChatPushTransport {
+    /**
+     * @param {Object} services - Services container
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onMessage - Called with each raw message and whether it's private
+     * @param {Function} callbacks.onConnectionChange - Called with true/false as the websocket connects and drops
+     */
+    constructor ( services, { onMessage, onConnectionChange } ) {
+        this.services = services;
+        this.onMessage = onMessage;
+        this.onConnectionChange = onConnectionChange;
+        this.connected = false;
+        this.started = false;
+        this.sdk = null;
+    }
+
+    getConfig ( key, fallback ) {
+        const value = this.services.dataService?.getValue( `messageIngestion.${ key }` );
+        return value === undefined || value === null || value === '' ? fallback : value;
+    }
+
+    isEnabled () {
+        return this.getConfig( 'transport', 'polling' ) === 'push';
+    }
+
+    /**
+     * Load the SDK. Kept separate so tests can swap the SDK out.
+     * @returns {Object} CometChat
+     */
+    loadSdk () {
+        installBrowserGlobals();
+        return require( '@cometchat/chat-sdk-javascript' ).CometChat;
+    }
+
+    /**
+     * Connect and start listening
+     * @returns {Promise<boolean>} true if push is running
+     */
+    async start () {
+        if ( this.started ) return true;
+        if ( !this.isEnabled() ) {
+            this.services.logger.debug( '📨 Push messages turned off - polling for chat messages' );
+            return false;
+        }
+
+        const { config } = this.services;
+        const authToken = this.services.openchatApi?.headers?.authtoken || config.COMETCHAT_AUTH_TOKEN;
+        if ( !config.COMETCHAT_API_KEY || !authToken ) {
+            this.services.logger.warn( '⚠️ Push messages need COMETCHAT_API_KEY and an auth token - polling for chat messages' );
+            return false;
+        }
+
+        try {
+            const CometChat = this.sdk || ( this.sdk = this.loadSdk() );
+
+            let settings = new CometChat.AppSettingsBuilder()
+                .setRegion( this.getConfig( 'region', 'us' ) )
+                .autoEstablishSocketConnection( true );
+            const clientHost = this.getConfig( 'clientHost' );
+            const adminHost = this.getConfig( 'adminHost' );
+            if ( clientHost ) settings = settings.overrideClientHost( clientHost );
+            if ( adminHost ) settings = settings.overrideAdminHost( adminHost );
+
+            await CometChat.init( config.COMETCHAT_API_KEY, settings.build() );
+            await CometChat.login( authToken );
+
+            CometChat.addConnectionListener( LISTENER_ID, new CometChat.ConnectionListener( {
+                onConnected: () => this._setConnected( true ),
+                inConnecting: () => { },
+                onDisconnected: () => this._setConnected( false )
+            } ) );
+
+            const receive = message => this._receive( message );
+            CometChat.addMessageListener( LISTENER_ID, new CometChat.MessageListener( {
+                onTextMessageReceived: receive,
+                onCustomMessageReceived: receive
+            } ) );
+
+            this.started = true;
+            this.services.logger.info( '✅ Push messages started' );
+            if ( CometChat.getConnectionStatus?.() === 'connected' ) this._setConnected( true );
+            return true;
+        } catch ( error ) {
+            const reason = error?.message || error?.code || JSON.stringify( error );
+            this.services.logger.warn( `⚠️ Push messages unavailable, polling for chat messages instead: ${ reason }` );
+            return false;
+        }
+    }
+
+    async stop () {
+        if ( !this.started ) return;
+        this.started = false;
+        try {
+            this.sdk.removeMessageListener( LISTENER_ID );
+            this.sdk.removeConnectionListener?.( LISTENER_ID );
+            await this.sdk.logout();
+        } catch ( error ) {
+            this.services.logger.debug( `Push messages did not stop cleanly: ${ error?.message || error }` );
+        }
+        this._setConnected( false );
+    }
+
+    _setConnected ( connected ) {
+        if ( this.connected === connected ) return;
+        this.connected = connected;
+        try {
+            this.onConnectionChange?.( connected );
+        } catch ( error ) {
+            this.services.logger.error( `❌ Push connection handler failed: ${ error.message }` );
+        }
+    }
+
+    _receive ( message ) {
+        try {
+            const raw = message?.getRawMessage?.() || message;
+            const isPrivate = ( raw.receiverType || message?.getReceiverType?.() ) === 'user';
+            this.onMessage( raw, isPrivate );
+        } catch ( error ) {
+            this.services.logger.error( `❌ Failed to read pushed message: ${ error.message }` );
+        }
+    }
+}
+
+module.exports = CometChatPushTransport;
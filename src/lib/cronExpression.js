@@ -0,0 +1,201 @@
+/**
+ * Cron expressions for scheduled messages.
+ *
+ * The usual five fields, in the bot's configured timezone:
+ *   minute (0-59)  hour (0-23)  day of month (1-31)  month (1-12 or jan-dec)  day of week (0-7 or sun-sat, 0 and 7 are Sunday)
+ *
+ * Each field takes `*`, a number, a range `1-5`, a step `0-59/15` or `9-17/2` (a
+ * step after `*` works too), or a comma separated list of those. As in cron, when
+ * both day fields are restricted a day matching either one counts.
+ */
+
+const MONTH_NAMES = [ 'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec' ];
+const DAY_NAMES = [ 'sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat' ];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+function parseValue ( text, field ) {
+    const lower = text.toLowerCase();
+    const nameIndex = field.names ? field.names.indexOf( lower ) : -1;
+    if ( nameIndex !== -1 ) return nameIndex + field.nameOffset;
+    if ( !/^\d+$/.test( text ) ) return null;
+    const value = Number( text );
+    return value >= field.min && value <= field.max ? value : null;
+}
+
+/**
+ * Parse one field into the set of values it matches
+ * @returns {Set<number>|null} null if the field isn't valid
+ */
+function parseField ( text, field ) {
+    const values = new Set();
+
+    for ( const part of text.split( ',' ) ) {
+        const [ rangeText, stepText, extra ] = part.split( '/' );
+        if ( extra !== undefined || rangeText === '' ) return null;
+
+        const step = stepText === undefined ? 1 : Number( stepText );
+        if ( !Number.isInteger( step ) || step < 1 ) return null;
+
+        let start;
+        let end;
+        if ( rangeText === '*' ) {
+            start = field.min;
+            end = field.max;
+        } else {
+            const [ startText, endText ] = rangeText.split( '-' );
+            start = parseValue( startText, field );
+            end = endText === undefined ? ( stepText === undefined ? start : field.max ) : parseValue( endText, field );
+            if ( start === null || end === null || start > end ) return null;
+        }
+
+        for ( let value = start; value <= end; value += step ) {
+            values.add( value );
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five space separated fields
+ * @returns {Object} Parsed expression for matchesCron
+ * @throws {Error} If the expression isn't valid
+ */
+function parseCron ( expression ) {
+    const parts = ( expression || '' ).trim().split( /\s+/ ).filter( Boolean );
+    if ( parts.length !== FIELDS.length ) {
+        throw new Error( `A cron expression needs ${ FIELDS.length } fields (minute hour day month weekday), e.g. "0 20 * * fri"` );
+    }
+
+    const sets = parts.map( ( part, index ) => {
+        const values = parseField( part, FIELDS[ index ] );
+        if ( !values ) {
+            throw new Error( `Can't understand the ${ FIELDS[ index ].name } field "${ part }"` );
+        }
+        return values;
+    } );
+
+    // 7 is another way of writing Sunday
+    if ( sets[ 4 ].delete( 7 ) ) sets[ 4 ].add( 0 );
+
+    return {
+        minute: sets[ 0 ],
+        hour: sets[ 1 ],
+        dayOfMonth: sets[ 2 ],
+        month: sets[ 3 ],
+        dayOfWeek: sets[ 4 ],
+        anyDayOfMonth: parts[ 2 ].startsWith( '*' ),
+        anyDayOfWeek: parts[ 4 ].startsWith( '*' )
+    };
+}
+
+/**
+ * Check a time against a parsed expression
+ * @param {Object} cron - From parseCron
+ * @param {{minute: number, hour: number, day: number, month: number, weekday: number}} time - Local time parts, month 1-12 and weekday 0-6 from Sunday
+ * @returns {boolean}
+ */
+function matchesCron ( cron, time ) {
+    if ( !cron.minute.has( time.minute ) || !cron.hour.has( time.hour ) || !cron.month.has( time.month ) ) {
+        return false;
+    }
+
+    const dayOfMonth = cron.dayOfMonth.has( time.day );
+    const dayOfWeek = cron.dayOfWeek.has( time.weekday );
+    if ( cron.anyDayOfMonth || cron.anyDayOfWeek ) {
+        return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Get the time parts in a timezone
+ * @param {Date} now - Time to convert
+ * @param {string} timezone - IANA timezone, e.g. "Europe/London"
+ * @returns {{minute: number, hour: number, day: number, month: number, year: number, weekday: number, date: string, key: string}}
+ *   key is "YYYY-MM-DD HH:MM", which sorts in time order
+ */
+function getLocalTime ( now, timezone ) {
+    const parts = new Intl.DateTimeFormat( 'en-GB', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    } ).formatToParts( now );
+    const get = type => parts.find( p => p.type === type )?.value;
+    const date = `${ get( 'year' ) }-${ get( 'month' ) }-${ get( 'day' ) }`;
+    const time = `${ get( 'hour' ) }:${ get( 'minute' ) }`;
+
+    return {
+        minute: Number( get( 'minute' ) ),
+        hour: Number( get( 'hour' ) ),
+        day: Number( get( 'day' ) ),
+        month: Number( get( 'month' ) ),
+        year: Number( get( 'year' ) ),
+        weekday: [ 'Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat' ].indexOf( get( 'weekday' ) ),
+        date,
+        key: `${ date } ${ time }`
+    };
+}
+
+/**
+ * Find the next minute after a local time that an expression matches. Works on
+ * local calendar time, so a clock change in between isn't allowed for.
+ * @param {Object} cron - From parseCron
+ * @param {{minute: number, hour: number, day: number, month: number, year: number}} from - Local time to start after
+ * @param {number} limitMinutes - How far ahead to look, a little over a week by default
+ * @returns {string|null} "YYYY-MM-DD HH:MM", or null if nothing matches in time
+ */
+function findNextMatch ( cron, from, limitMinutes = 8 * 24 * 60 ) {
+    // Date's UTC methods are only used as a calendar here, no timezone is involved
+    const cursor = new Date( Date.UTC( from.year, from.month - 1, from.day, from.hour, from.minute ) );
+    const pad = value => String( value ).padStart( 2, '0' );
+
+    for ( let step = 0; step < limitMinutes; step++ ) {
+        cursor.setUTCMinutes( cursor.getUTCMinutes() + 1 );
+        const time = {
+            minute: cursor.getUTCMinutes(),
+            hour: cursor.getUTCHours(),
+            day: cursor.getUTCDate(),
+            month: cursor.getUTCMonth() + 1,
+            weekday: cursor.getUTCDay()
+        };
+        if ( matchesCron( cron, time ) ) {
+            return `${ cursor.getUTCFullYear() }-${ pad( time.month ) }-${ pad( time.day ) } ${ pad( time.hour ) }:${ pad( time.minute ) }`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether a cron expression is valid
+ * @returns {{valid: boolean, error: string|null}}
+ */
+function validateCron ( expression ) {
+    try {
+        parseCron( expression );
+        return { valid: true, error: null };
+    } catch ( error ) {
+        return { valid: false, error: error.message };
+    }
+}
+
+module.exports = {
+    parseCron,
+    matchesCron,
+    validateCron,
+    getLocalTime,
+    findNextMatch
+};
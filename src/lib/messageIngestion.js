@@ -0,0 +1,166 @@
+/**
+ * One ordered queue for every chat message the bot handles.
+ *
+ * Messages arrive from the CometChat push transport and from polling, which
+ * still runs as a fallback while push is down and catches up after it comes
+ * back. Either can deliver a message the other already has, so messages are
+ * deduplicated by ID before they join the queue. The queue is worked one message
+ * at a time, so public and private commands are never handled side by side.
+ *
+ * Ingest latency (sent to received) and queue latency (received to handled) are
+ * kept per source for the /status page.
+ */
+
+const MAX_SEEN_IDS = 5000;
+const MAX_LATENCY_SAMPLES = 100;
+
+function emptySourceStats () {
+    return { received: 0, duplicates: 0, ingestLatencyMs: [], queueLatencyMs: [] };
+}
+
+function addSample ( samples, value ) {
+    samples.push( value );
+    if ( samples.length > MAX_LATENCY_SAMPLES ) samples.shift();
+}
+
+function summarise ( samples ) {
+    if ( samples.length === 0 ) return { samples: 0, avgMs: null, p95Ms: null, maxMs: null };
+    const sorted = [ ...samples ].sort( ( a, b ) => a - b );
+    return {
+        samples: sorted.length,
+        avgMs: Math.round( sorted.reduce( ( sum, value ) => sum + value, 0 ) / sorted.length ),
+        p95Ms: sorted[ Math.min( sorted.length - 1, Math.floor( sorted.length * 0.95 ) ) ],
+        maxMs: sorted[ sorted.length - 1 ]
+    };
+}
+
+class MessageIngestion {
+    /**
+     * @param {Object} services - Services container
+     * @param {Function} handle - Handles one message; called in queue order
+     */
+    constructor ( services, handle ) {
+        this.services = services;
+        this.handle = handle;
+        this.queue = [];
+        this.seen = new Set();
+        this.draining = null;
+        this.sources = {};
+        this.processed = 0;
+        this.failed = 0;
+        this.maxQueueLength = 0;
+        this.lastHandledAt = null;
+    }
+
+    /**
+     * Queue new messages, dropping any already seen
+     * @param {Array<Object>} messages - Messages in the order they should be handled
+     * @param {string} source - 'push' or 'poll'
+     * @returns {Promise<number>} Resolves with the number queued once they've all been handled
+     */
+    async ingest ( messages, source = 'poll' ) {
+        const stats = this.sources[ source ] || ( this.sources[ source ] = emptySourceStats() );
+        const receivedAt = Date.now();
+        let queued = 0;
+
+        for ( const message of messages || [] ) {
+            const key = MessageIngestion.messageKey( message );
+            if ( key && this.seen.has( key ) ) {
+                stats.duplicates++;
+                continue;
+            }
+            if ( key ) this.remember( key );
+
+            stats.received++;
+            const sentAtMs = MessageIngestion.toMs( message?.sentAt );
+            if ( sentAtMs ) addSample( stats.ingestLatencyMs, Math.max( 0, receivedAt - sentAtMs ) );
+
+            this.queue.push( { message, source, receivedAt } );
+            queued++;
+        }
+
+        this.maxQueueLength = Math.max( this.maxQueueLength, this.queue.length );
+        if ( this.queue.length > 0 ) await this.drain();
+        return queued;
+    }
+
+    remember ( key ) {
+        this.seen.add( key );
+        if ( this.seen.size > MAX_SEEN_IDS ) {
+            this.seen.delete( this.seen.values().next().value );
+        }
+    }
+
+    /**
+     * Work the queue until it's empty. Concurrent callers share the same run.
+     * @returns {Promise<void>}
+     */
+    drain () {
+        if ( !this.draining ) {
+            this.draining = this._drain().finally( () => {
+                this.draining = null;
+            } );
+        }
+        return this.draining;
+    }
+
+    async _drain () {
+        while ( this.queue.length > 0 ) {
+            const { message, source, receivedAt } = this.queue.shift();
+            addSample( this.sources[ source ].queueLatencyMs, Date.now() - receivedAt );
+
+            try {
+                await this.handle( message );
+                this.processed++;
+            } catch ( error ) {
+                this.failed++;
+                this.services.logger.error( `❌ [MessageIngestion] Failed to handle message ${ message?.id }: ${ error?.message || error }` );
+            }
+            this.lastHandledAt = Date.now();
+        }
+    }
+
+    /**
+     * @returns {Object} Counts and latency per source
+     */
+    getMetrics () {
+        const sources = {};
+        for ( const [ source, stats ] of Object.entries( this.sources ) ) {
+            sources[ source ] = {
+                received: stats.received,
+                duplicates: stats.duplicates,
+                ingestLatency: summarise( stats.ingestLatencyMs ),
+                queueLatency: summarise( stats.queueLatencyMs )
+            };
+        }
+        return {
+            processed: this.processed,
+            failed: this.failed,
+            queueLength: this.queue.length,
+            maxQueueLength: this.maxQueueLength,
+            lastHandledAt: this.lastHandledAt ? new Date( this.lastHandledAt ).toISOString() : null,
+            sources
+        };
+    }
+
+    /**
+     * CometChat message IDs are unique across group and private conversations
+     * @returns {string|null}
+     */
+    static messageKey ( message ) {
+        const id = message?.id;
+        return id === undefined || id === null || id === '' ? null : String( id );
+    }
+
+    /**
+     * CometChat timestamps are in seconds, but accept milliseconds too
+     * @returns {number|null}
+     */
+    static toMs ( timestamp ) {
+        const value = Number( timestamp );
+        if ( !value ) return null;
+        return value < 9999999999 ? value * 1000 : value;
+    }
+}
+
+module.exports = MessageIngestion;
@@ -0,0 +1,233 @@
+/**
+ * Keeps the bot's hang.fm socket connected.
+ *
+ * When the socket drops, the manager waits and then asks the bot to resync,
+ * doubling the wait after each failed attempt (reconnect.initialDelaySeconds,
+ * default 5, up to reconnect.maxDelaySeconds, default 300). If the socket
+ * reconnects by itself the resync runs straight away. A watchdog treats a
+ * socket that has sent nothing for reconnect.watchdogMinutes (default 10, 0 turns
+ * it off) as dead and resyncs it too.
+ *
+ * The last few disconnects, reconnects and failures are kept for the /status page.
+ */
+
+const DEFAULT_INITIAL_DELAY_SECONDS = 5;
+const DEFAULT_MAX_DELAY_SECONDS = 300;
+const DEFAULT_WATCHDOG_MINUTES = 10;
+const WATCHDOG_CHECK_MS = 30 * 1000;
+const MAX_EVENTS = 20;
+
+class ReconnectManager {
+    /**
+     * @param {Object} services - Services container
+     * @param {Function} resync - Rejoins the room; resolves to what was missed ({ joined, left, songs })
+     */
+    constructor ( services, resync ) {
+        this.services = services;
+        this.resync = resync;
+        this.status = 'stopped';
+        this.attempts = 0;
+        this.reconnects = 0;
+        this.events = [];
+        this.lastMessageAt = null;
+        this.connectedAt = null;
+        this.disconnectedAt = null;
+        this.nextAttemptAt = null;
+        this.retryTimer = null;
+        this.watchdogTimer = null;
+        this.pending = null;
+    }
+
+    getConfig ( key, fallback ) {
+        const value = this.services.dataService?.getValue( `reconnect.${ key }` );
+        return value === undefined || value === null ? fallback : Number( value );
+    }
+
+    /**
+     * Start watching a freshly joined socket
+     */
+    start () {
+        this.status = 'connected';
+        this.connectedAt = Date.now();
+        this.lastMessageAt = Date.now();
+
+        clearInterval( this.watchdogTimer );
+        this.watchdogTimer = null;
+        if ( this.getConfig( 'watchdogMinutes', DEFAULT_WATCHDOG_MINUTES ) > 0 ) {
+            this.watchdogTimer = setInterval( () => this.checkWatchdog(), WATCHDOG_CHECK_MS );
+            this.watchdogTimer.unref?.();
+        }
+    }
+
+    stop () {
+        this.status = 'stopped';
+        clearInterval( this.watchdogTimer );
+        clearTimeout( this.retryTimer );
+        this.watchdogTimer = null;
+        this.retryTimer = null;
+        this.nextAttemptAt = null;
+    }
+
+    /**
+     * Note that the socket is alive. Called for every socket message.
+     */
+    recordActivity () {
+        this.lastMessageAt = Date.now();
+    }
+
+    /**
+     * The socket dropped - schedule a resync unless one is already running
+     * @param {string} reason
+     */
+    handleDisconnect ( reason ) {
+        if ( this.status === 'stopped' || this.pending || this.retryTimer ) return;
+
+        this.services.logger.warn( `🔌 Socket disconnected: ${ reason }` );
+        this.status = 'disconnected';
+        this.disconnectedAt = Date.now();
+        this.recordEvent( 'disconnected', { reason } );
+        this.scheduleReconnect( reason );
+    }
+
+    /**
+     * Resync now. Concurrent calls share the same attempt.
+     * @param {string} reason
+     * @returns {Promise<boolean>} true once reconnected
+     */
+    reconnect ( reason ) {
+        if ( this.status === 'stopped' ) return Promise.resolve( false );
+        if ( !this.pending ) {
+            this.pending = this._attempt( reason ).finally( () => {
+                this.pending = null;
+            } );
+        }
+        return this.pending;
+    }
+
+    async _attempt ( reason ) {
+        clearTimeout( this.retryTimer );
+        this.retryTimer = null;
+        this.nextAttemptAt = null;
+        this.status = 'reconnecting';
+        this.attempts++;
+
+        try {
+            const missed = await this.resync( reason );
+            if ( this.status === 'stopped' ) return false;
+
+            const downtimeMs = this.disconnectedAt ? Date.now() - this.disconnectedAt : 0;
+            this.recordEvent( 'reconnected', {
+                reason,
+                attempts: this.attempts,
+                downtimeMs,
+                missed: missed || { joined: 0, left: 0, songs: 0 }
+            } );
+            this.reconnects++;
+            this.attempts = 0;
+            this.disconnectedAt = null;
+            this.start();
+            return true;
+        } catch ( error ) {
+            this.services.logger.error( `❌ Reconnection failed: ${ error }` );
+            if ( this.status === 'stopped' ) return false;
+
+            if ( !this.disconnectedAt ) this.disconnectedAt = Date.now();
+            this.recordEvent( 'failed', { reason, attempts: this.attempts, error: error?.message || String( error ) } );
+            this.scheduleReconnect( reason );
+            return false;
+        }
+    }
+
+    scheduleReconnect ( reason ) {
+        clearTimeout( this.retryTimer );
+        const delayMs = this.getDelayMs( this.attempts );
+        this.status = 'reconnecting';
+        this.nextAttemptAt = Date.now() + delayMs;
+        this.services.logger.info( `🔄 Reconnecting in ${ Math.round( delayMs / 1000 ) }s (attempt ${ this.attempts + 1 })` );
+
+        this.retryTimer = setTimeout( () => {
+            this.retryTimer = null;
+            this.reconnect( reason );
+        }, delayMs );
+        this.retryTimer.unref?.();
+    }
+
+    /**
+     * Exponential backoff: the initial delay, doubled for each failed attempt
+     * @param {number} attempts - Failed attempts so far
+     * @returns {number} Delay in ms
+     */
+    getDelayMs ( attempts ) {
+        const initialMs = this.getConfig( 'initialDelaySeconds', DEFAULT_INITIAL_DELAY_SECONDS ) * 1000;
+        const maxMs = this.getConfig( 'maxDelaySeconds', DEFAULT_MAX_DELAY_SECONDS ) * 1000;
+        return Math.min( initialMs * 2 ** attempts, maxMs );
+    }
+
+    /**
+     * Resync a connected socket that has been silent for too long
+     * @returns {boolean} true if the watchdog fired
+     */
+    checkWatchdog () {
+        const watchdogMinutes = this.getConfig( 'watchdogMinutes', DEFAULT_WATCHDOG_MINUTES );
+        if ( this.status !== 'connected' || !watchdogMinutes || this.pending ) return false;
+
+        const silentMs = Date.now() - this.lastMessageAt;
+        if ( silentMs < watchdogMinutes * 60 * 1000 ) return false;
+
+        const reason = `no socket messages for ${ Math.round( silentMs / 60000 ) } minutes`;
+        this.services.logger.warn( `🐕 Socket watchdog: ${ reason }` );
+        this.disconnectedAt = this.lastMessageAt;
+        this.recordEvent( 'watchdog', { reason } );
+        this.reconnect( reason );
+        return true;
+    }
+
+    recordEvent ( type, details = {} ) {
+        this.events.unshift( { type, at: new Date().toISOString(), ...details } );
+        this.events.length = Math.min( this.events.length, MAX_EVENTS );
+    }
+
+    /**
+     * @returns {Object} Connection state and recent events, newest first
+     */
+    getStatus () {
+        const toIso = time => time ? new Date( time ).toISOString() : null;
+        return {
+            status: this.status,
+            reconnects: this.reconnects,
+            attempts: this.attempts,
+            connectedAt: toIso( this.connectedAt ),
+            lastMessageAt: toIso( this.lastMessageAt ),
+            nextAttemptAt: toIso( this.nextAttemptAt ),
+            events: [ ...this.events ]
+        };
+    }
+
+    /**
+     * Compare the room before and after a reconnect
+     * @param {Object} previousState - State before the socket dropped
+     * @param {Object} currentState - State from the rejoin
+     * @returns {{joined: Array<{uuid: string, userData: Object}>, left: string[], nowPlayingChanged: boolean}}
+     */
+    static diffState ( previousState, currentState ) {
+        const before = previousState?.allUserData || {};
+        const after = currentState?.allUserData || {};
+
+        const joined = Object.keys( after )
+            .filter( uuid => !( uuid in before ) )
+            .map( uuid => ( { uuid, userData: after[ uuid ] } ) );
+        const left = Object.keys( before ).filter( uuid => !( uuid in after ) );
+
+        const playKey = nowPlaying => nowPlaying
+            ? nowPlaying.playId || nowPlaying.song?.songShortId || `${ nowPlaying.song?.artistName }|${ nowPlaying.song?.trackName }`
+            : null;
+
+        return {
+            joined,
+            left,
+            nowPlayingChanged: playKey( previousState?.nowPlaying ) !== playKey( currentState?.nowPlaying )
+        };
+    }
+}
+
+module.exports = ReconnectManager;
@@ -25,8 +25,35 @@ function hasPermission(userRole, requiredLevel) {
     return allowedRoles.includes(userRole);
 }
 
+/**
+ * Checks if a user can run a command, applying any override from botConfig.commandPermissions.
+ * Owners can always run commands so a deny list can't lock them out. Otherwise the deny list
+ * wins, then the allow list, then the (possibly overridden) required role.
+ * @param {string} userUuid - UUID of the user trying to execute the command
+ * @param {string} userRole - The role of the user
+ * @param {string} requiredLevel - The command's own required level
+ * @param {Object} [override] - Override for the command: { role, allow: [uuid], deny: [uuid] }
+ * @returns {{allowed: boolean, requiredLevel: string, reason: string|null}} reason is 'denied' or 'role' when not allowed
+ */
+function checkCommandAccess(userUuid, userRole, requiredLevel, override = {}) {
+    const level = COMMAND_LEVELS[override?.role] ? override.role : requiredLevel;
+
+    if (userRole === 'owner') {
+        return { allowed: true, requiredLevel: level, reason: null };
+    }
+    if (Array.isArray(override?.deny) && override.deny.includes(userUuid)) {
+        return { allowed: false, requiredLevel: level, reason: 'denied' };
+    }
+    if (Array.isArray(override?.allow) && override.allow.includes(userUuid)) {
+        return { allowed: true, requiredLevel: level, reason: null };
+    }
+    const allowed = hasPermission(userRole, level);
+    return { allowed, requiredLevel: level, reason: allowed ? null : 'role' };
+}
+
 module.exports = {
     ROLE_LEVELS,
     COMMAND_LEVELS,
-    hasPermission
+    hasPermission,
+    checkCommandAccess
 };
@@ -4,6 +4,7 @@
  */
 
 const appConfig = require( '../config' );
+const MachineLearningService = require( '../services/machineLearningService' );
 
 /**
  * Format verified information from VerificationService for inclusion in AI prompt
@@ -29,6 +30,9 @@ function formatVerifiedInformation ( verifiedData ) {
         if ( verifiedData.track.releaseDate ) {
             trackInfo.push( `Release Date: ${ verifiedData.track.releaseDate }` );
         }
+        if ( verifiedData.track.genres?.length > 0 ) {
+            trackInfo.push( `Genres: ${ verifiedData.track.genres.join( ', ' ) }` );
+        }
         if ( verifiedData.track.categories && verifiedData.track.categories.length > 0 ) {
             trackInfo.push( `Categories: ${ verifiedData.track.categories.join( ', ' ) }` );
         }
@@ -56,6 +60,9 @@ function formatVerifiedInformation ( verifiedData ) {
         if ( verifiedData.artist.country ) {
             artistInfo.push( `Country: ${ verifiedData.artist.country }` );
         }
+        if ( verifiedData.artist.genres?.length > 0 ) {
+            artistInfo.push( `Genres: ${ verifiedData.artist.genres.join( ', ' ) }` );
+        }
         if ( verifiedData.artist.categories && verifiedData.artist.categories.length > 0 ) {
             artistInfo.push( `Categories: ${ verifiedData.artist.categories.join( ', ' ) }` );
         }
@@ -154,6 +161,8 @@ function replaceAllUsernamesWithMentions ( text, hangoutState, logger ) {
  * @param {string} config.errorMessage - Custom error message for AI failures
  * @param {string} config.noSongMessage - Custom message when no song is playing
  * @param {Function} [config.responseFormatter] - Optional custom response formatter function
+ * @param {boolean} [config.cacheable] - Reuse cached answers from aiCacheService; `fresh` as the argument forces a new one
+ * @param {boolean} [config.useTools] - Let the AI look facts up with llmToolService tools instead of pre-fetching verified information
  * @returns {Promise<Object>} Command result
  */
 async function executeSongAICommand ( commandParams, config ) {
@@ -236,9 +245,9 @@ async function executeSongAICommand ( commandParams, config ) {
 
         // Get sender's actual username (plain text for AI, not formatted mention)
         let senderUsername = 'User';
+        const senderUuid = typeof context?.sender === 'string' ? context.sender : context?.sender?.uuid;
         if ( context?.sender ) {
             try {
-                const senderUuid = typeof context.sender === 'string' ? context.sender : context.sender?.uuid;
                 if ( senderUuid ) {
                     senderUsername = await services.hangUserService.getUserNicknameByUuid( senderUuid ) || 'User';
                 }
@@ -258,26 +267,59 @@ async function executeSongAICommand ( commandParams, config ) {
             senderUsername
         }, true );
 
-        // Get verified information from VerificationService if available
-        let verifiedInformationSection = '';
-        try {
-            if ( services.verificationService ) {
-                const verificationResult = await services.verificationService.verify( `${ artistName } - ${ trackName }` );
-                if ( verificationResult.found && verificationResult.data ) {
-                    verifiedInformationSection = formatVerifiedInformation( verificationResult.data );
+        // Cacheable commands reuse the last answer for this song unless a fresh one is asked for
+        const aiCacheService = config.cacheable ? services.aiCacheService : null;
+        const forceFresh = ( commandParams.args || '' ).trim().toLowerCase() === 'fresh';
+        const cachedResponse = aiCacheService && !forceFresh
+            ? aiCacheService.get( config.commandName, artistName, trackName, questionTemplate )
+            : null;
+
+        // Over budget: say so rather than caching or remembering the refusal as an answer
+        const budget = cachedResponse ? null : services.llmUsageService?.checkBudget();
+        if ( budget?.exceeded ) {
+            await messageService.sendResponse( budget.message, {
+                responseChannel,
+                isPrivateMessage: context?.fullMessage?.isPrivateMessage,
+                sender: context?.sender,
+                services
+            } );
+            return {
+                success: false,
+                shouldRespond: true,
+                response: budget.message,
+                error: 'LLM budget exceeded'
+            };
+        }
+
+        let aiResponse = cachedResponse;
+        if ( !cachedResponse ) {
+            // With tools the AI can verify the song itself, so only pre-fetch verified information without them
+            const tools = config.useTools ? services.llmToolService?.createToolSet( config.commandName ) : null;
+
+            // Get verified information from VerificationService if available
+            let verifiedInformationSection = '';
+            try {
+                if ( services.verificationService && !tools ) {
+                    const verificationResult = await services.verificationService.verify( `${ artistName } - ${ trackName }`, { artist: artistName, track: trackName } );
+                    if ( verificationResult.found && verificationResult.data ) {
+                        verifiedInformationSection = formatVerifiedInformation( verificationResult.data );
+                    }
                 }
+            } catch ( error ) {
+                logger.debug( `[${ config.commandName }] Could not get verified information: ${ error.message }` );
             }
-        } catch ( error ) {
-            logger.debug( `[${ config.commandName }] Could not get verified information: ${ error.message }` );
-        }
 
-        // Append verified information to the question if available
-        const fullQuestion = theQuestion + verifiedInformationSection;
+            // Append verified information to the question if available
+            const fullQuestion = theQuestion + verifiedInformationSection;
 
-        // logger.debug( `[${ config.commandName }] Asking AI about: ${ trackName } by ${ artistName }` );
+            // logger.debug( `[${ config.commandName }] Asking AI about: ${ trackName } by ${ artistName }` );
 
-        // Get response from the machine learning service
-        const aiResponse = await machineLearningService.askGoogleAI( fullQuestion );
+            // Get response from the machine learning service
+            aiResponse = await machineLearningService.askGoogleAI( fullQuestion, tools || undefined, {
+                command: config.commandName,
+                userUuid: senderUuid
+            } );
+        }
 
         // Store the task (question) and response in conversation history as a pair
         // Extract just the task section from the full question (everything after "## Task")
@@ -290,14 +332,15 @@ async function executeSongAICommand ( commandParams, config ) {
         // logger.debug( `[${ config.commandName }] AI response length: ${ aiResponse ? aiResponse.length : 'null/undefined' }` );
 
         // Check response validity
-        const isValidResponse = aiResponse && aiResponse !== "No response" && !aiResponse.includes( "error occurred" );
+        const isValidResponse = !MachineLearningService.isFailedResponse( aiResponse );
         // logger.debug( `[${ config.commandName }] Is valid response: ${ isValidResponse }` );
 
         if ( !isValidResponse ) {
             logger.warn( `[${ config.commandName }] Invalid AI response detected - aiResponse: "${ aiResponse }"` );
-        } else {
+        } else if ( !cachedResponse ) {
             // Store question and response together as a pair with shared timestamp
             await addToConversationHistory( taskOnly, aiResponse, dataService );
+            aiCacheService?.set( config.commandName, artistName, trackName, questionTemplate, aiResponse );
         }
 
         // Replace all user nicknames with mention format in AI response
@@ -392,6 +435,7 @@ async function executeSongAICommand ( commandParams, config ) {
 
 module.exports = {
     executeSongAICommand,
+    formatVerifiedInformation,
     addToConversationHistory,
     replaceAllUsernamesWithMentions
 };
\ No newline at end of file
@@ -0,0 +1,303 @@
+/**
+ * Template engine for message templates, chat.json messages and AI questions.
+ *
+ * Adds a small, safe syntax on top of plain `{token}` replacement:
+ *   {if likes > 5}...{else}...{/if}     conditionals (>, <, >=, <=, ==, !=, or just a token for "is set")
+ *   {random:one|two|three}               pick one option at random (options may contain tokens)
+ *   {likes|plural:vote:votes}            "1 vote" / "5 votes"
+ *   {username|upper} {trackName|truncate:30} {djUsername|default:someone}
+ *
+ * Tokens that take a parameter are written {name:param}, e.g. {plays:artistName},
+ * and work anywhere a token does, including conditions and filters.
+ *
+ * Plain `{token}` tags are left in place for tokenService's normal replacement,
+ * so templates without any of the above behave exactly as before. Nothing is
+ * evaluated as code.
+ */
+
+const NAME_PATTERN = /^([A-Za-z_]\w*)(?::([^\s{}|:][^{}|:]*))?$/;
+const CONDITION_PATTERN = /^(not\s+)?([A-Za-z_]\w*)(?::([^\s{}|:<>=!]+))?(?:\s*(>=|<=|==|!=|>|<)\s*(.+))?$/;
+const SYNTAX_HINT = /\{(?:if\s|else\}|\/if\}|random:|[A-Za-z_]\w*(?::[^{}|:]+)?\|)/;
+
+const FILTERS = {
+    upper: { args: [ 0, 0 ], apply: value => value.toUpperCase() },
+    lower: { args: [ 0, 0 ], apply: value => value.toLowerCase() },
+    capitalize: { args: [ 0, 0 ], apply: value => value.charAt( 0 ).toUpperCase() + value.slice( 1 ) },
+    title: { args: [ 0, 0 ], apply: value => value.replace( /\b\w/g, letter => letter.toUpperCase() ) },
+    trim: { args: [ 0, 0 ], apply: value => value.trim() },
+    truncate: {
+        args: [ 1, 1 ],
+        validate: ( [ length ] ) => /^\d+$/.test( length ) && Number( length ) > 0 ? null : 'truncate needs a length, e.g. {trackName|truncate:30}',
+        apply: ( value, [ length ] ) => value.length > Number( length ) ? `${ value.slice( 0, Number( length ) ).trimEnd() }…` : value
+    },
+    default: { args: [ 1, 1 ], apply: ( value, [ fallback ] ) => value === '' ? fallback : value },
+    plural: {
+        args: [ 1, 2 ],
+        apply: ( value, [ singular, plural = `${ singular }s` ] ) => `${ value } ${ Number( value ) === 1 ? singular : plural }`
+    }
+};
+
+/**
+ * Find the `}` that closes the tag opened at `start`, allowing nested tags
+ * @returns {number} Index of the closing brace, or -1 if there isn't one
+ */
+function findClosingBrace ( text, start ) {
+    let depth = 0;
+    for ( let i = start; i < text.length; i++ ) {
+        if ( text[ i ] === '{' ) depth++;
+        if ( text[ i ] === '}' && --depth === 0 ) return i;
+    }
+    return -1;
+}
+
+/**
+ * Split on `|` outside nested tags
+ */
+function splitOptions ( text ) {
+    const options = [];
+    let depth = 0;
+    let current = '';
+    for ( const char of text ) {
+        if ( char === '{' ) depth++;
+        if ( char === '}' ) depth--;
+        if ( char === '|' && depth === 0 ) {
+            options.push( current );
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    options.push( current );
+    return options;
+}
+
+function parseCondition ( expression, errors ) {
+    const match = expression.trim().match( CONDITION_PATTERN );
+    if ( !match ) {
+        errors.push( `Can't understand the condition "{if ${ expression }}" — use something like {if likes > 5}` );
+        return null;
+    }
+    const [ , negate, name, param, operator, rawValue ] = match;
+    let value = rawValue?.trim();
+    if ( value && /^(['"]).*\1$/.test( value ) ) {
+        value = value.slice( 1, -1 );
+    }
+    return { name, param: param ?? null, operator: operator || null, value: value ?? null, negate: !!negate };
+}
+
+function parseVariable ( raw, content, errors ) {
+    const [ head, ...filterParts ] = content.split( '|' );
+    const nameMatch = head.match( NAME_PATTERN );
+    if ( !nameMatch ) return null;
+    const [ , name, param = null ] = nameMatch;
+
+    const filters = [];
+    for ( const part of filterParts ) {
+        const [ filterName, ...args ] = part.split( ':' );
+        const filter = FILTERS[ filterName ];
+        if ( !filter ) {
+            errors.push( `Unknown filter "${ filterName }" in ${ raw } — available: ${ Object.keys( FILTERS ).join( ', ' ) }` );
+            continue;
+        }
+        const [ minArgs, maxArgs ] = filter.args;
+        if ( args.length < minArgs || args.length > maxArgs ) {
+            errors.push( `Wrong number of values for "${ filterName }" in ${ raw }` );
+            continue;
+        }
+        const argError = filter.validate?.( args );
+        if ( argError ) {
+            errors.push( argError );
+            continue;
+        }
+        filters.push( { name: filterName, args } );
+    }
+    return { type: 'var', name, param, filters, raw };
+}
+
+/**
+ * Parse a template into nodes
+ * @param {string} text - Template text
+ * @returns {{nodes: Array, errors: Array<string>}}
+ */
+function parseTemplate ( text ) {
+    const errors = [];
+    const root = { type: 'root', children: [] };
+    const stack = [ root ];
+    const current = () => {
+        const top = stack[ stack.length - 1 ];
+        if ( top.type === 'root' ) return top.children;
+        return top.inElse ? top.otherwise : top.then;
+    };
+    const pushText = value => {
+        const nodes = current();
+        const last = nodes[ nodes.length - 1 ];
+        if ( last?.type === 'text' ) {
+            last.value += value;
+        } else {
+            nodes.push( { type: 'text', value } );
+        }
+    };
+
+    let position = 0;
+    while ( position < text.length ) {
+        const open = text.indexOf( '{', position );
+        if ( open === -1 ) {
+            pushText( text.slice( position ) );
+            break;
+        }
+        if ( open > position ) pushText( text.slice( position, open ) );
+
+        const close = findClosingBrace( text, open );
+        if ( close === -1 ) {
+            pushText( text.slice( open ) );
+            break;
+        }
+
+        const raw = text.slice( open, close + 1 );
+        const content = raw.slice( 1, -1 );
+        const top = stack[ stack.length - 1 ];
+        position = close + 1;
+
+        if ( /^if\s/.test( content ) ) {
+            const node = { type: 'if', condition: parseCondition( content.slice( 3 ), errors ), then: [], otherwise: [], inElse: false, raw };
+            current().push( node );
+            stack.push( node );
+        } else if ( content === 'else' ) {
+            if ( top.type !== 'if' || top.inElse ) {
+                errors.push( '{else} without a matching {if}' );
+            } else {
+                top.inElse = true;
+            }
+        } else if ( content === '/if' ) {
+            if ( top.type !== 'if' ) {
+                errors.push( '{/if} without a matching {if}' );
+            } else {
+                stack.pop();
+            }
+        } else if ( content.startsWith( 'random:' ) ) {
+            const options = splitOptions( content.slice( 7 ) ).map( option => {
+                const parsed = parseTemplate( option );
+                errors.push( ...parsed.errors );
+                return parsed.nodes;
+            } );
+            if ( options.every( option => option.length === 0 ) ) {
+                errors.push( '{random:} needs some options, e.g. {random:Hi|Hello|Hey}' );
+            }
+            current().push( { type: 'random', options } );
+        } else {
+            // Anything that isn't template syntax is kept as written
+            const variable = parseVariable( raw, content, errors );
+            if ( variable ) {
+                current().push( variable );
+            } else {
+                pushText( raw );
+            }
+        }
+    }
+
+    for ( const unclosed of stack.slice( 1 ) ) {
+        errors.push( `${ unclosed.raw } is never closed with {/if}` );
+    }
+
+    return { nodes: root.children, errors };
+}
+
+/**
+ * Check a template for syntax errors
+ * @param {string} text - Template text
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
+function validateTemplate ( text ) {
+    if ( !text || typeof text !== 'string' ) return { valid: true, errors: [] };
+    const { errors } = parseTemplate( text );
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Whether the text uses anything beyond plain `{token}` replacement
+ */
+function hasTemplateSyntax ( text ) {
+    return typeof text === 'string' && SYNTAX_HINT.test( text );
+}
+
+function toText ( value ) {
+    return value === null || value === undefined ? '' : String( value );
+}
+
+function isTruthy ( value ) {
+    const text = toText( value ).trim().toLowerCase();
+    return text !== '' && text !== '0' && text !== 'false';
+}
+
+function compare ( left, operator, right ) {
+    const leftText = toText( left ).trim();
+    const bothNumbers = leftText !== '' && right !== '' && !isNaN( leftText ) && !isNaN( right );
+    const a = bothNumbers ? Number( leftText ) : leftText.toLowerCase();
+    const b = bothNumbers ? Number( right ) : right.toLowerCase();
+    switch ( operator ) {
+        case '>': return a > b;
+        case '<': return a < b;
+        case '>=': return a >= b;
+        case '<=': return a <= b;
+        case '==': return a === b;
+        case '!=': return a !== b;
+        default: return false;
+    }
+}
+
+/**
+ * Render parsed nodes
+ * @param {Array} nodes - Nodes from parseTemplate
+ * @param {Function} resolve - async (name, param) => value, or undefined if the token is unknown
+ * @returns {Promise<string>} Rendered text; plain {token} tags are left for normal replacement
+ */
+async function renderNodes ( nodes, resolve ) {
+    let output = '';
+    for ( const node of nodes ) {
+        if ( node.type === 'text' ) {
+            output += node.value;
+        } else if ( node.type === 'var' ) {
+            if ( node.filters.length === 0 ) {
+                output += node.raw;
+                continue;
+            }
+            const value = await resolve( node.name, node.param );
+            if ( ( value === undefined || value === null ) && !node.filters.some( filter => filter.name === 'default' ) ) {
+                output += node.raw;
+                continue;
+            }
+            output += node.filters.reduce( ( text, filter ) => FILTERS[ filter.name ].apply( text, filter.args ), toText( value ) );
+        } else if ( node.type === 'if' ) {
+            const { name, param, operator, value, negate } = node.condition;
+            const resolved = await resolve( name, param );
+            const result = operator ? compare( resolved, operator, value ) : isTruthy( resolved );
+            output += await renderNodes( result !== negate ? node.then : node.otherwise, resolve );
+        } else if ( node.type === 'random' ) {
+            output += await renderNodes( node.options[ Math.floor( Math.random() * node.options.length ) ], resolve );
+        }
+    }
+    return output;
+}
+
+/**
+ * Parse and render a template
+ * @param {string} text - Template text
+ * @param {Function} resolve - async (name, param) => value
+ * @returns {Promise<string>}
+ * @throws {Error} If the template has syntax errors
+ */
+async function renderTemplate ( text, resolve ) {
+    const { nodes, errors } = parseTemplate( text );
+    if ( errors.length > 0 ) {
+        throw new Error( errors.join( '; ' ) );
+    }
+    return renderNodes( nodes, resolve );
+}
+
+module.exports = {
+    FILTERS,
+    parseTemplate,
+    validateTemplate,
+    hasTemplateSyntax,
+    renderTemplate
+};
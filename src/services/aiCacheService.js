@@ -0,0 +1,153 @@
+const crypto = require( 'crypto' );
+const { logger } = require( '../lib/logging.js' );
+const { normalizeText } = require( '../lib/textUtils.js' );
+const MachineLearningService = require( './machineLearningService.js' );
+
+const DEFAULT_TTL_HOURS = 168;
+
+/**
+ * AiCacheService - Remembers answers to song AI commands (!popfacts, !whatyear,
+ * !meaning...) so asking again about the same track gives the same answer
+ * without another LLM call.
+ *
+ * Entries are keyed by command, artist + track and a hash of the question
+ * template, so editing a question invalidates its old answers. The TTL lives in
+ * botConfig under aiCache.ttlHours (0 turns the cache off).
+ */
+class AiCacheService {
+    constructor ( services ) {
+        this.services = services;
+        // Lookups since startup, for !aicache stats
+        this.sessionHits = 0;
+        this.sessionMisses = 0;
+    }
+
+    getTtlHours () {
+        const hours = this.services.dataService?.getValue( 'aiCache.ttlHours' );
+        return typeof hours === 'number' && hours >= 0 ? hours : DEFAULT_TTL_HOURS;
+    }
+
+    isAvailable () {
+        return !!this.services.databaseService?.initialized;
+    }
+
+    isEnabled () {
+        return this.isAvailable() && this.getTtlHours() > 0;
+    }
+
+    static hashTemplate ( template ) {
+        return crypto.createHash( 'sha1' ).update( template || '' ).digest( 'hex' ).slice( 0, 12 );
+    }
+
+    /**
+     * Build the cache key, ignoring case, fancy characters and punctuation in the song
+     * @returns {string}
+     */
+    static buildKey ( command, artistName, trackName, template ) {
+        const clean = text => normalizeText( text || '' ).toLowerCase().replace( /[^a-z0-9]+/g, ' ' ).trim();
+        return `${ command }|${ clean( artistName ) }|${ clean( trackName ) }|${ AiCacheService.hashTemplate( template ) }`;
+    }
+
+    /**
+     * Look up a cached answer
+     * @param {string} command - Command name, e.g. 'popfacts'
+     * @param {string} artistName - Artist of the song asked about
+     * @param {string} trackName - Track asked about
+     * @param {string} template - The question template before token replacement
+     * @returns {string|null} The cached response, or null on a miss
+     */
+    get ( command, artistName, trackName, template ) {
+        if ( !this.isEnabled() ) return null;
+
+        const cacheKey = AiCacheService.buildKey( command, artistName, trackName, template );
+        try {
+            const entry = this.services.databaseService.getAiCacheEntry( cacheKey, Math.round( this.getTtlHours() * 3600 ) );
+            if ( !entry ) {
+                this.sessionMisses++;
+                return null;
+            }
+
+            this.sessionHits++;
+            this.services.databaseService.recordAiCacheHit( cacheKey );
+            logger.debug( `[aiCacheService] Cache hit for ${ cacheKey }` );
+            return entry.response;
+        } catch ( error ) {
+            logger.error( `[aiCacheService] Failed to read cache: ${ error.message }` );
+            return null;
+        }
+    }
+
+    /**
+     * Store an answer
+     */
+    set ( command, artistName, trackName, template, response ) {
+        // Never keep a backend outage's fallback text as the answer for a song
+        if ( !this.isEnabled() || MachineLearningService.isFailedResponse( response ) ) return;
+
+        try {
+            this.services.databaseService.saveAiCacheEntry( {
+                cacheKey: AiCacheService.buildKey( command, artistName, trackName, template ),
+                command,
+                artistName,
+                trackName,
+                templateHash: AiCacheService.hashTemplate( template ),
+                response
+            } );
+        } catch ( error ) {
+            logger.error( `[aiCacheService] Failed to write cache: ${ error.message }` );
+        }
+    }
+
+    /**
+     * Remove cached answers
+     * @param {string|null} command - Only clear this command's answers
+     * @returns {number} Number of entries removed
+     */
+    clear ( command = null ) {
+        if ( !this.isAvailable() ) return 0;
+        try {
+            return this.services.databaseService.clearAiCache( command );
+        } catch ( error ) {
+            logger.error( `[aiCacheService] Failed to clear cache: ${ error.message }` );
+            return 0;
+        }
+    }
+
+    /**
+     * @returns {{ttlHours: number, sessionHits: number, sessionMisses: number, commands: Array}}
+     */
+    getStats () {
+        let commands = [];
+        if ( this.isAvailable() ) {
+            try {
+                commands = this.services.databaseService.getAiCacheStats();
+            } catch ( error ) {
+                logger.error( `[aiCacheService] Failed to read cache stats: ${ error.message }` );
+            }
+        }
+        return {
+            ttlHours: this.getTtlHours(),
+            sessionHits: this.sessionHits,
+            sessionMisses: this.sessionMisses,
+            commands
+        };
+    }
+
+    /**
+     * Get the cached answers for a song
+     * @returns {Array} Rows with command, response, created_at and hits
+     */
+    getEntriesForSong ( artistName, trackName ) {
+        if ( !this.isAvailable() || !artistName || !trackName ) return [];
+        try {
+            return this.services.databaseService.getAiCacheEntriesForSong( artistName, trackName );
+        } catch ( error ) {
+            logger.error( `[aiCacheService] Failed to read cache entries: ${ error.message }` );
+            return [];
+        }
+    }
+}
+
+AiCacheService.DEFAULT_TTL_HOURS = DEFAULT_TTL_HOURS;
+
+module.exports = AiCacheService;
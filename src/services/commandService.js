@@ -2,7 +2,7 @@ const { logger } = require( '../lib/logging.js' );
 const config = require( '../config.js' );
 const fs = require( 'fs' );
 const path = require( 'path' );
-const { hasPermission } = require( '../lib/roleUtils' );
+const { hasPermission, checkCommandAccess } = require( '../lib/roleUtils' );
 
 /**
  * Check if a command is disabled in botConfig.json
@@ -20,6 +20,16 @@ function isCommandDisabled ( commandName ) {
   }
 }
 
+/**
+ * Reads a command's permission override (role and allow/deny lists) from botConfig via the data service
+ * @param {string} commandName - The command name to look up
+ * @param {Object} dataService - The data service holding botConfig
+ * @returns {Object} The override, or an empty object if there isn't one
+ */
+function getCommandPermissions ( commandName, dataService ) {
+  return dataService?.getValue( 'commandPermissions' )?.[ commandName ] || {};
+}
+
 /**
  * Recursively loads command files from directories
  * @param {string} dirPath - Directory path to scan
@@ -107,6 +117,70 @@ const commands = {};
 const commandsDir = path.join( __dirname, '../commands' );
 loadCommandsFromDirectory( commandsDir, commands );
 
+// ML commands cost an LLM call each, so they have their own cooldowns
+const mlCommands = new Set();
+const mlCommandsDir = path.join( commandsDir, 'ML Commands' );
+if ( fs.existsSync( mlCommandsDir ) ) {
+  fs.readdirSync( mlCommandsDir ).forEach( item => {
+    const match = item.match( /^handle(.*)Command\.js$/ );
+    if ( match && match[ 1 ] ) {
+      mlCommands.add( match[ 1 ].toLowerCase() );
+    }
+  } );
+}
+
+/**
+ * Applies command cooldowns. Moderators and owners aren't held back.
+ * @param {string} commandName - Command (or chat command) being run
+ * @param {string} userRole - Sender's role
+ * @param {Object} services - Services container
+ * @param {Object} context - Context with sender info
+ * @returns {Promise<Object|null>} Result to return if the command must wait, otherwise null
+ */
+async function checkCooldown ( commandName, userRole, services, context ) {
+  // Commands run by a trigger are the bot's own, so they don't wait on cooldowns
+  if ( !services.cooldownService || hasPermission( userRole, 'MODERATOR' ) || context?.trigger ) {
+    return null;
+  }
+
+  const senderUuid = typeof context.sender === 'string' ? context.sender : context.sender?.uuid;
+  const cooldown = services.cooldownService.consume( commandName, senderUuid, { isMl: mlCommands.has( commandName ) } );
+  if ( cooldown.allowed ) {
+    return null;
+  }
+
+  // Tell just the sender, so waiting doesn't add to the noise in the room
+  const response = cooldown.scope === 'user'
+    ? `⏳ Slow down! You can use ${ config.COMMAND_SWITCH }${ commandName } again in ${ cooldown.remainingSeconds }s.`
+    : `⏳ ${ config.COMMAND_SWITCH }${ commandName } was used moments ago — try again in ${ cooldown.remainingSeconds }s.`;
+  await services.messageService.sendResponse( response, {
+    responseChannel: 'request',
+    isPrivateMessage: true,
+    sender: context?.sender,
+    services
+  } );
+  return {
+    success: false,
+    error: 'Cooldown active',
+    response,
+    shouldRespond: true
+  };
+}
+
+/**
+ * Looks up the sender's role, treating anyone not found as a regular user
+ * @returns {Promise<string>} The role
+ */
+async function getSenderRole ( services, context ) {
+  const senderUuid = typeof context.sender === 'string' ? context.sender : context.sender?.uuid;
+  try {
+    return await services.stateService.getUserRole( senderUuid );
+  } catch ( error ) {
+    logger.debug( `[commandService] Could not get role for ${ senderUuid }: ${ error.message }` );
+    return 'user';
+  }
+}
+
 /**
  * Processes bot commands and generates appropriate responses
  * @param {string} command - The command name (without the command switch)
@@ -161,10 +235,17 @@ async function processCommand ( command, messageRemainder, services, context = {
       // Check user's role and command permissions
       const senderUuid = typeof context.sender === 'string' ? context.sender : context.sender?.uuid;
       const userRole = await serviceContainer.stateService.getUserRole( senderUuid );
-      const commandLevel = commands[ trimmedCommand ].requiredRole || 'USER';
+      const access = checkCommandAccess(
+        senderUuid,
+        userRole,
+        commands[ trimmedCommand ].requiredRole || 'USER',
+        getCommandPermissions( trimmedCommand, serviceContainer.dataService )
+      );
 
-      if ( !hasPermission( userRole, commandLevel ) ) {
-        const response = `❌ You don't have permission to use the "${ trimmedCommand }" command. Required role: ${ commandLevel }`;
+      if ( !access.allowed ) {
+        const response = access.reason === 'denied'
+          ? `❌ You don't have permission to use the "${ trimmedCommand }" command.`
+          : `❌ You don't have permission to use the "${ trimmedCommand }" command. Required role: ${ access.requiredLevel }`;
         await serviceContainer.messageService.sendResponse( response, {
           responseChannel: 'request',
           isPrivateMessage: context?.fullMessage?.isPrivateMessage,
@@ -179,6 +260,11 @@ async function processCommand ( command, messageRemainder, services, context = {
         };
       }
 
+      const cooldownResult = await checkCooldown( trimmedCommand, userRole, serviceContainer, context );
+      if ( cooldownResult ) {
+        return cooldownResult;
+      }
+
       // Execute the main command
       return await commands[ trimmedCommand ]( commandParams );
     } else {
@@ -209,6 +295,14 @@ async function processCommand ( command, messageRemainder, services, context = {
       }
 
       if ( isChatCommand ) {
+        if ( serviceContainer.cooldownService ) {
+          const userRole = await getSenderRole( serviceContainer, context );
+          const cooldownResult = await checkCooldown( targetCommand, userRole, serviceContainer, context );
+          if ( cooldownResult ) {
+            return cooldownResult;
+          }
+        }
+
         // Handle as chat command - all chat commands have USER permission
         return await commands.chat( targetCommand, args, serviceContainer, context );
       }
@@ -0,0 +1,175 @@
+const { logger } = require( '../lib/logging.js' );
+const MachineLearningService = require( './machineLearningService.js' );
+
+const DEFAULT_RATE_LIMIT_MESSAGES = 5;
+const DEFAULT_RATE_LIMIT_WINDOW_SECONDS = 300;
+
+/**
+ * ConversationService - Free-form chat with the bot. Replies to public messages
+ * that mention the bot and to private messages that aren't commands, keeping a
+ * short per-user history in the database and rate limiting each user.
+ *
+ * Settings (all optional) live under conversation.* in botConfig:
+ * historyLength, retentionDays, maxEntriesPerUser, rateLimit.maxMessages and
+ * rateLimit.windowSeconds.
+ */
+class ConversationService {
+    constructor ( services ) {
+        this.services = services;
+        // uuid -> timestamps of recent messages answered for that user
+        this.recentMessages = new Map();
+        // uuid -> window start for which the user has already been told they're rate limited
+        this.rateLimitNotified = new Map();
+    }
+
+    getBotName () {
+        return this.services.getState?.( 'botNickname' ) || null;
+    }
+
+    /**
+     * Check whether a public message is addressed to the bot, either by its
+     * name prefixed with @ or a chat mention of its UUID
+     * @param {string} text - Message text
+     * @returns {boolean}
+     */
+    isMentioned ( text ) {
+        if ( !text || typeof text !== 'string' ) return false;
+
+        const botUid = this.services.config?.BOT_UID;
+        if ( botUid && text.includes( `<@uid:${ botUid }>` ) ) return true;
+
+        const botName = this.getBotName();
+        if ( !botName ) return false;
+        const escaped = botName.replace( /[.*+?^${}()|[\]\\]/g, '\\$&' );
+        return new RegExp( `@${ escaped }(?![\\w])`, 'i' ).test( text );
+    }
+
+    /**
+     * Remove mentions of the bot so the model only sees what the user said
+     */
+    _stripMentions ( text ) {
+        let stripped = text;
+        const botUid = this.services.config?.BOT_UID;
+        if ( botUid ) stripped = stripped.split( `<@uid:${ botUid }>` ).join( '' );
+        const botName = this.getBotName();
+        if ( botName ) {
+            const escaped = botName.replace( /[.*+?^${}()|[\]\\]/g, '\\$&' );
+            stripped = stripped.replace( new RegExp( `@${ escaped }(?![\\w])`, 'gi' ), '' );
+        }
+        return stripped.replace( /\s+/g, ' ' ).trim();
+    }
+
+    /**
+     * Record a message against the user's rate limit
+     * @param {string} uuid - User UUID
+     * @param {number} now - Current time in ms
+     * @returns {{allowed: boolean, retryAfterSeconds: number}}
+     */
+    checkRateLimit ( uuid, now = Date.now() ) {
+        const dataService = this.services.dataService;
+        const maxMessages = dataService?.getValue( 'conversation.rateLimit.maxMessages' ) ?? DEFAULT_RATE_LIMIT_MESSAGES;
+        const windowMs = ( dataService?.getValue( 'conversation.rateLimit.windowSeconds' ) ?? DEFAULT_RATE_LIMIT_WINDOW_SECONDS ) * 1000;
+
+        const timestamps = ( this.recentMessages.get( uuid ) || [] ).filter( t => now - t < windowMs );
+        if ( timestamps.length >= maxMessages ) {
+            this.recentMessages.set( uuid, timestamps );
+            return { allowed: false, retryAfterSeconds: Math.ceil( ( timestamps[ 0 ] + windowMs - now ) / 1000 ) };
+        }
+
+        timestamps.push( now );
+        this.recentMessages.set( uuid, timestamps );
+        return { allowed: true, retryAfterSeconds: 0 };
+    }
+
+    _getNickname ( uuid ) {
+        return this.services.stateService?._getAllUserData?.()?.[ uuid ]?.userProfile?.nickname || 'someone';
+    }
+
+    /**
+     * Build the question for the model from the user's history and new message
+     */
+    buildPrompt ( nickname, message, history ) {
+        const botName = this.getBotName() || 'the bot';
+        const lines = [];
+        if ( history.length ) {
+            lines.push( `## Recent conversation with ${ nickname }` );
+            for ( const entry of history ) {
+                lines.push( `${ nickname }: ${ entry.question }` );
+                lines.push( `${ botName }: ${ entry.response }` );
+            }
+            lines.push( '' );
+        }
+        lines.push( `## New message from ${ nickname }` );
+        lines.push( message );
+        lines.push( '' );
+        lines.push( '## Task' );
+        lines.push( `Reply to ${ nickname } in character as ${ botName }, taking the recent conversation into account.` );
+        lines.push( '- **Format:** Conversational, no more than 60 words' );
+        return lines.join( '\n' );
+    }
+
+    /**
+     * Answer a non-command chat message if it's a private message or mentions the bot
+     * @param {string} chatMessage - The message text
+     * @param {string} sender - Sender UUID
+     * @param {Object} fullMessage - The raw message (isPrivateMessage is set for PMs)
+     * @returns {Promise<string|null>} The reply sent, or null if the message was not answered
+     */
+    async handleMessage ( chatMessage, sender, fullMessage ) {
+        const isPrivateMessage = !!fullMessage?.isPrivateMessage;
+        if ( !sender || !chatMessage?.trim() ) return null;
+        if ( !isPrivateMessage && !this.isMentioned( chatMessage ) ) return null;
+
+        const { machineLearningService, messageService } = this.services;
+        if ( !machineLearningService?.activeBackend ) return null;
+
+        const message = this._stripMentions( chatMessage );
+        if ( !message ) return null;
+
+        const responseOptions = { responseChannel: 'request', isPrivateMessage, sender, services: this.services };
+
+        const { allowed, retryAfterSeconds } = this.checkRateLimit( sender );
+        if ( !allowed ) {
+            // Only tell the user once per window, privately, so the limit doesn't become spam itself
+            const windowStart = this.recentMessages.get( sender )[ 0 ];
+            if ( this.rateLimitNotified.get( sender ) !== windowStart ) {
+                this.rateLimitNotified.set( sender, windowStart );
+                await messageService.sendPrivateMessage(
+                    `⏳ You're chatting faster than I can keep up — try again in ${ retryAfterSeconds } seconds.`,
+                    sender,
+                    this.services
+                );
+            }
+            logger.debug( `[conversationService] Rate limited ${ sender }` );
+            return null;
+        }
+
+        const budget = this.services.llmUsageService?.checkBudget();
+        if ( budget?.exceeded ) {
+            await messageService.sendResponse( budget.message, responseOptions );
+            return budget.message;
+        }
+
+        const nickname = this._getNickname( sender );
+        const history = await machineLearningService.loadConversationHistory( sender );
+        const tools = this.services.llmToolService?.createToolSet( 'conversation' );
+        const reply = await machineLearningService.askGoogleAI( this.buildPrompt( nickname, message, history ), tools, {
+            command: 'conversation',
+            userUuid: sender
+        } );
+
+        // Fallback text from an outage must not end up in the history as something the bot said
+        if ( MachineLearningService.isFailedResponse( reply ) ) {
+            logger.warn( `[conversationService] No usable reply for ${ sender }` );
+            return null;
+        }
+
+        await machineLearningService.saveConversationEntry( message, reply, { userUuid: sender, nickname } );
+
+        const response = isPrivateMessage ? reply : `${ messageService.formatMention( sender ) } ${ reply }`;
+        await messageService.sendResponse( response, responseOptions );
+        return response;
+    }
+}
+
+module.exports = ConversationService;
@@ -0,0 +1,164 @@
+const { logger } = require( '../lib/logging.js' );
+
+// Seconds to wait, per group of commands. ML commands cost an LLM call each so wait longer.
+//   command - between uses of the same command by anyone
+//   user    - between one person's commands
+//   global  - between any commands from anyone
+const DEFAULT_COOLDOWNS = {
+    standard: { command: 0, user: 5, global: 0 },
+    ml: { command: 15, user: 60, global: 5 }
+};
+
+const GROUPS = Object.keys( DEFAULT_COOLDOWNS );
+const SCOPES = [ 'command', 'user', 'global' ];
+
+/**
+ * CooldownService - Stops people flooding the room (and the LLM bill) by making
+ * commands wait between uses. Settings live in botConfig under commandCooldowns:
+ * a standard and an ml group with command, user and global values in seconds,
+ * plus per-command overrides under commands. 0 turns a cooldown off.
+ *
+ * Last-use times are only kept in memory, so a restart clears them.
+ */
+class CooldownService {
+    constructor ( services ) {
+        this.services = services;
+        // key -> time of last use in ms
+        this.lastUsed = new Map();
+    }
+
+    static isValidSeconds ( value ) {
+        return Number.isInteger( value ) && value >= 0;
+    }
+
+    /**
+     * Current settings, with defaults filled in
+     * @returns {{standard: Object, ml: Object, commands: Object}}
+     */
+    getSettings () {
+        const configured = this.services.dataService?.getValue( 'commandCooldowns' ) || {};
+        const settings = { commands: {} };
+
+        for ( const group of GROUPS ) {
+            settings[ group ] = {};
+            for ( const scope of SCOPES ) {
+                const value = configured[ group ]?.[ scope ];
+                settings[ group ][ scope ] = CooldownService.isValidSeconds( value ) ? value : DEFAULT_COOLDOWNS[ group ][ scope ];
+            }
+        }
+
+        for ( const [ command, value ] of Object.entries( configured.commands || {} ) ) {
+            if ( CooldownService.isValidSeconds( value ) ) {
+                settings.commands[ command ] = value;
+            }
+        }
+
+        return settings;
+    }
+
+    /**
+     * Check whether a command can run now and, if it can, start its cooldowns
+     * @param {string} commandName - Command being run
+     * @param {string} userUuid - Who is running it
+     * @param {Object} options
+     * @param {boolean} options.isMl - Whether it's an ML command
+     * @returns {{allowed: boolean, scope?: string, remainingSeconds?: number}}
+     */
+    consume ( commandName, userUuid, { isMl = false } = {} ) {
+        const group = isMl ? 'ml' : 'standard';
+        const settings = this.getSettings();
+        const commandSeconds = settings.commands[ commandName ] ?? settings[ group ].command;
+        const now = Date.now();
+
+        const checks = [
+            [ 'command', `command:${ commandName }`, commandSeconds ],
+            [ 'user', `user:${ group }:${ userUuid }`, userUuid ? settings[ group ].user : 0 ],
+            [ 'global', `global:${ group }`, settings[ group ].global ]
+        ];
+
+        let blocked = null;
+        for ( const [ scope, key, seconds ] of checks ) {
+            if ( !seconds ) continue;
+            const remainingMs = ( this.lastUsed.get( key ) || 0 ) + seconds * 1000 - now;
+            if ( remainingMs > 0 && ( !blocked || remainingMs > blocked.remainingMs ) ) {
+                blocked = { scope, remainingMs };
+            }
+        }
+
+        if ( blocked ) {
+            logger.debug( `[cooldownService] ${ commandName } blocked for ${ userUuid } (${ blocked.scope } cooldown)` );
+            return { allowed: false, scope: blocked.scope, remainingSeconds: Math.ceil( blocked.remainingMs / 1000 ) };
+        }
+
+        for ( const [ , key, seconds ] of checks ) {
+            if ( seconds ) this.lastUsed.set( key, now );
+        }
+        this.pruneExpired( now );
+        return { allowed: true };
+    }
+
+    /**
+     * Forget last-use times that can no longer block anything
+     * @private
+     */
+    pruneExpired ( now = Date.now() ) {
+        const settings = this.getSettings();
+        const longestMs = Math.max(
+            ...GROUPS.flatMap( group => SCOPES.map( scope => settings[ group ][ scope ] ) ),
+            ...Object.values( settings.commands ),
+            0
+        ) * 1000;
+
+        for ( const [ key, usedAt ] of this.lastUsed ) {
+            if ( now - usedAt >= longestMs ) {
+                this.lastUsed.delete( key );
+            }
+        }
+    }
+
+    /**
+     * Change a group's cooldown
+     * @param {string} group - 'standard' or 'ml'
+     * @param {string} scope - 'command', 'user' or 'global'
+     * @param {number} seconds - Seconds to wait, 0 for none
+     */
+    async setCooldown ( group, scope, seconds ) {
+        if ( !GROUPS.includes( group ) || !SCOPES.includes( scope ) || !CooldownService.isValidSeconds( seconds ) ) {
+            throw new Error( 'Invalid cooldown setting' );
+        }
+        await this.services.dataService.setValue( `commandCooldowns.${ group }.${ scope }`, seconds );
+        logger.info( `[cooldownService] ${ group } ${ scope } cooldown set to ${ seconds }s` );
+    }
+
+    /**
+     * Give one command its own cooldown, replacing its group's command value
+     * @param {string} commandName - Command to change
+     * @param {number|null} seconds - Seconds to wait, or null to go back to the group's value
+     */
+    async setCommandCooldown ( commandName, seconds ) {
+        if ( seconds !== null && !CooldownService.isValidSeconds( seconds ) ) {
+            throw new Error( 'Invalid cooldown setting' );
+        }
+        const commands = { ...( this.services.dataService.getValue( 'commandCooldowns.commands' ) || {} ) };
+        if ( seconds === null ) {
+            delete commands[ commandName ];
+        } else {
+            commands[ commandName ] = seconds;
+        }
+        await this.services.dataService.setValue( 'commandCooldowns.commands', commands );
+        logger.info( `[cooldownService] ${ commandName } cooldown ${ seconds === null ? 'reset to default' : `set to ${ seconds }s` }` );
+    }
+
+    /**
+     * Clear running cooldowns so everyone can use commands straight away
+     */
+    reset () {
+        this.lastUsed.clear();
+    }
+}
+
+CooldownService.DEFAULT_COOLDOWNS = DEFAULT_COOLDOWNS;
+CooldownService.GROUPS = GROUPS;
+CooldownService.SCOPES = SCOPES;
+
+module.exports = CooldownService;
@@ -91,6 +91,135 @@ class DatabaseService {
 
         // Create personality tables
         this.createPersonalityTables();
+
+        // Create DJ queue table
+        this.createDjQueueTable();
+
+        // Create conversation history table
+        this.createConversationTable();
+
+        // Create AI response cache table
+        this.createAiCacheTable();
+
+        // Create song verification cache table
+        this.createVerificationCacheTable();
+
+        // Create song metadata table
+        this.createSongMetadataTable();
+
+        // Create LLM usage table
+        this.createLlmUsageTable();
+    }
+
+    createDjQueueTable () {
+        // Waitlist of users waiting for a deck spot, persisted so it survives restarts
+        this.db.exec( `
+            CREATE TABLE IF NOT EXISTS dj_queue (
+                uuid TEXT PRIMARY KEY,
+                nickname TEXT,
+                position INTEGER NOT NULL,
+                added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                notified_at INTEGER,
+                left_at INTEGER
+            )
+        ` );
+        this.db.exec( 'CREATE INDEX IF NOT EXISTS idx_dj_queue_position ON dj_queue(position)' );
+    }
+
+    createConversationTable () {
+        // Chat exchanges between users and the bot
+        this.db.exec( `
+            CREATE TABLE IF NOT EXISTS conversation_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                user_uuid TEXT,
+                nickname TEXT,
+                message TEXT NOT NULL,
+                response TEXT
+            )
+        ` );
+        this.db.exec( 'CREATE INDEX IF NOT EXISTS idx_conversation_history_timestamp ON conversation_history(timestamp)' );
+        this.db.exec( 'CREATE INDEX IF NOT EXISTS idx_conversation_history_user ON conversation_history(user_uuid)' );
+    }
+
+    createAiCacheTable () {
+        // Cached answers to song AI commands, keyed by command, song and question template
+        this.db.exec( `
+            CREATE TABLE IF NOT EXISTS ai_response_cache (
+                cache_key TEXT PRIMARY KEY,
+                command TEXT NOT NULL,
+                artist_name TEXT,
+                track_name TEXT,
+                template_hash TEXT,
+                response TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                hits INTEGER DEFAULT 0
+            )
+        ` );
+        this.db.exec( 'CREATE INDEX IF NOT EXISTS idx_ai_response_cache_created ON ai_response_cache(created_at)' );
+    }
+
+    createVerificationCacheTable () {
+        // Facts looked up from Wikipedia, Wikidata and MusicBrainz, keyed by normalized artist and track.
+        // found is 0 for lookups that came back empty, which are kept for a shorter time
+        this.db.exec( `
+            CREATE TABLE IF NOT EXISTS verification_cache (
+                cache_key TEXT PRIMARY KEY,
+                artist_name TEXT,
+                track_name TEXT,
+                found INTEGER NOT NULL,
+                data TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                hits INTEGER DEFAULT 0
+            )
+        ` );
+        this.db.exec( 'CREATE INDEX IF NOT EXISTS idx_verification_cache_expires ON verification_cache(expires_at)' );
+    }
+
+    createSongMetadataTable () {
+        // Release year, album, genres and ids for each song, filled in from the hang.fm
+        // payload when it plays and from verificationService. attempts counts
+        // verification lookups so the backfill gives up on songs nobody knows
+        this.db.exec( `
+            CREATE TABLE IF NOT EXISTS song_metadata (
+                song_id TEXT PRIMARY KEY,
+                release_year INTEGER,
+                release_date TEXT,
+                album TEXT,
+                genres TEXT,
+                duration INTEGER,
+                isrc TEXT,
+                musicbrainz_recording_id TEXT,
+                musicbrainz_artist_id TEXT,
+                verified_at DATETIME,
+                attempts INTEGER DEFAULT 0,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY(song_id) REFERENCES songs(song_id)
+            )
+        ` );
+        this.db.exec( 'CREATE INDEX IF NOT EXISTS idx_song_metadata_release_year ON song_metadata(release_year)' );
+    }
+
+    createLlmUsageTable () {
+        // One row per LLM backend call, for usage reporting and budgets
+        this.db.exec( `
+            CREATE TABLE IF NOT EXISTS llm_usage (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                backend TEXT NOT NULL,
+                model TEXT,
+                command TEXT,
+                user_uuid TEXT,
+                latency_ms INTEGER,
+                success INTEGER NOT NULL,
+                error TEXT,
+                prompt_tokens INTEGER,
+                completion_tokens INTEGER,
+                total_tokens INTEGER
+            )
+        ` );
+        this.db.exec( 'CREATE INDEX IF NOT EXISTS idx_llm_usage_timestamp ON llm_usage(timestamp)' );
     }
 
     createPersonalityTables () {
@@ -299,6 +428,22 @@ class DatabaseService {
             )
         ` );
         this.db.exec( 'CREATE INDEX IF NOT EXISTS idx_personality_custom_tokens ON personality_custom_tokens(personality_id)' );
+
+        // Revision history - a full JSON snapshot after every save, update or rollback.
+        // Snapshots don't reference the content tables, so cleanupOrphanedContent leaves them alone.
+        this.db.exec( `
+            CREATE TABLE IF NOT EXISTS personality_revisions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                personality_id INTEGER NOT NULL,
+                revision INTEGER NOT NULL,
+                action TEXT NOT NULL,
+                author_uuid TEXT,
+                snapshot TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (personality_id, revision),
+                FOREIGN KEY (personality_id) REFERENCES personalities(id) ON DELETE CASCADE
+            )
+        ` );
     }
 
     createViews () {
@@ -425,6 +570,592 @@ class DatabaseService {
         return this.db.prepare( 'SELECT uuid, nickname FROM djs ORDER BY nickname' ).all();
     }
 
+    // ===== Statistics Methods =====
+    // `since` is an SQLite datetime modifier such as '-7 days', or null for all time
+
+    /**
+     * Get the DJs with the most plays
+     * @param {number} limit - Number of DJs to return (default 10)
+     * @param {string|null} since - Only count plays newer than this modifier
+     * @returns {Array} Rows with uuid, nickname, playCount, likes, dislikes and stars
+     */
+    getTopDJs ( limit = 10, since = null ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            SELECT
+                sp.dj_uuid AS uuid,
+                d.nickname,
+                COUNT(*) AS playCount,
+                COALESCE(SUM(sp.likes), 0) AS likes,
+                COALESCE(SUM(sp.dislikes), 0) AS dislikes,
+                COALESCE(SUM(sp.stars), 0) AS stars
+            FROM songs_played sp
+            LEFT JOIN djs d ON sp.dj_uuid = d.uuid
+            WHERE sp.dj_uuid IS NOT NULL
+                AND (? IS NULL OR sp.timestamp >= datetime('now', ?))
+            GROUP BY sp.dj_uuid
+            ORDER BY playCount DESC, likes DESC
+            LIMIT ?
+        ` ).all( since, since, limit );
+    }
+
+    /**
+     * Get the most played songs, grouping plays of the same artist and track
+     * @param {number} limit - Number of songs to return (default 10)
+     * @param {string|null} since - Only count plays newer than this modifier
+     * @returns {Array} Rows with artist_name, track_name, playCount, likes, dislikes and stars
+     */
+    getTopSongs ( limit = 10, since = null ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            SELECT
+                s.artist_name,
+                s.track_name,
+                COUNT(*) AS playCount,
+                COALESCE(SUM(sp.likes), 0) AS likes,
+                COALESCE(SUM(sp.dislikes), 0) AS dislikes,
+                COALESCE(SUM(sp.stars), 0) AS stars
+            FROM songs_played sp
+            JOIN songs s ON sp.song_id = s.song_id
+            WHERE (? IS NULL OR sp.timestamp >= datetime('now', ?))
+            GROUP BY LOWER(s.artist_name), LOWER(s.track_name)
+            ORDER BY playCount DESC, likes DESC
+            LIMIT ?
+        ` ).all( since, since, limit );
+    }
+
+    /**
+     * Get the most played artists, optionally for a single DJ
+     * @param {number} limit - Number of artists to return (default 10)
+     * @param {string|null} since - Only count plays newer than this modifier
+     * @param {string|null} djUuid - Only count plays by this DJ
+     * @returns {Array} Rows with artist_name, playCount and likes
+     */
+    getTopArtists ( limit = 10, since = null, djUuid = null ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            SELECT
+                s.artist_name,
+                COUNT(*) AS playCount,
+                COALESCE(SUM(sp.likes), 0) AS likes
+            FROM songs_played sp
+            JOIN songs s ON sp.song_id = s.song_id
+            WHERE (? IS NULL OR sp.timestamp >= datetime('now', ?))
+                AND (? IS NULL OR sp.dj_uuid = ?)
+            GROUP BY LOWER(s.artist_name)
+            ORDER BY playCount DESC, likes DESC
+            LIMIT ?
+        ` ).all( since, since, djUuid, djUuid, limit );
+    }
+
+    /**
+     * Get play totals for a single DJ
+     * @param {string} djUuid - The DJ's UUID
+     * @returns {Object} playCount, uniqueSongs, likes, dislikes, stars, firstPlayed and lastPlayed
+     */
+    getDjStats ( djUuid ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            SELECT
+                COUNT(*) AS playCount,
+                COUNT(DISTINCT sp.song_id) AS uniqueSongs,
+                COALESCE(SUM(sp.likes), 0) AS likes,
+                COALESCE(SUM(sp.dislikes), 0) AS dislikes,
+                COALESCE(SUM(sp.stars), 0) AS stars,
+                MIN(sp.timestamp) AS firstPlayed,
+                MAX(sp.timestamp) AS lastPlayed
+            FROM songs_played sp
+            WHERE sp.dj_uuid = ?
+        ` ).get( djUuid );
+    }
+
+    /**
+     * Get every recorded play of a song (matched on artist and track, ignoring case), newest first
+     * @param {string} artistName - Artist name
+     * @param {string} trackName - Track name
+     * @returns {Array} Rows with timestamp, dj_uuid, nickname, likes, dislikes and stars
+     */
+    getSongPlays ( artistName, trackName ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            SELECT
+                sp.timestamp,
+                sp.dj_uuid,
+                d.nickname,
+                sp.likes,
+                sp.dislikes,
+                sp.stars
+            FROM songs_played sp
+            JOIN songs s ON sp.song_id = s.song_id
+            LEFT JOIN djs d ON sp.dj_uuid = d.uuid
+            WHERE LOWER(s.artist_name) = LOWER(?) AND LOWER(s.track_name) = LOWER(?)
+            ORDER BY sp.timestamp DESC, sp.id DESC
+        ` ).all( artistName, trackName );
+    }
+
+    /**
+     * Count the recorded plays of an artist (ignoring case)
+     * @param {string} artistName - Artist name
+     * @returns {number} Number of plays
+     */
+    getArtistPlayCount ( artistName ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            SELECT COUNT(*) AS playCount
+            FROM songs_played sp
+            JOIN songs s ON sp.song_id = s.song_id
+            WHERE LOWER(s.artist_name) = LOWER(?)
+        ` ).get( artistName )?.playCount || 0;
+    }
+
+    /**
+     * Get the most recent play of a track by any artist (ignoring case)
+     * @param {string} trackName - Track name
+     * @returns {Object|null} Row with timestamp, dj_uuid, nickname and artist_name, or null if never played
+     */
+    getLastPlayOfTrack ( trackName ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            SELECT
+                sp.timestamp,
+                sp.dj_uuid,
+                d.nickname,
+                s.artist_name
+            FROM songs_played sp
+            JOIN songs s ON sp.song_id = s.song_id
+            LEFT JOIN djs d ON sp.dj_uuid = d.uuid
+            WHERE LOWER(s.track_name) = LOWER(?)
+            ORDER BY sp.timestamp DESC
+            LIMIT 1
+        ` ).get( trackName ) || null;
+    }
+
+    /**
+     * Get all plays newer than the given SQLite datetime modifier, newest first
+     * @param {string} since - Modifier such as '-180 minutes'
+     * @returns {Array} Rows with timestamp, song_id, dj_uuid, nickname, artist_name and track_name
+     */
+    getPlaysSince ( since ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            SELECT
+                sp.timestamp,
+                sp.song_id,
+                sp.dj_uuid,
+                d.nickname,
+                s.artist_name,
+                s.track_name
+            FROM songs_played sp
+            LEFT JOIN songs s ON sp.song_id = s.song_id
+            LEFT JOIN djs d ON sp.dj_uuid = d.uuid
+            WHERE sp.timestamp >= datetime('now', ?)
+            ORDER BY sp.timestamp DESC
+        ` ).all( since );
+    }
+
+
+    // ===== Conversation History Methods =====
+
+    /**
+     * Log a chat exchange between a user and the bot
+     */
+    saveConversationEntry ( { userUuid, nickname, message, response } ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            INSERT INTO conversation_history (user_uuid, nickname, message, response)
+            VALUES (?, ?, ?, ?)
+        ` ).run( userUuid, nickname || null, message, response );
+    }
+
+    /**
+     * Get a user's most recent exchanges with the bot, oldest first
+     * @param {string} userUuid - The user's UUID
+     * @param {number} limit - Maximum number of exchanges to return
+     * @returns {Array} Rows with timestamp, message and response
+     */
+    getConversationHistory ( userUuid, limit = 5 ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            SELECT timestamp, message, response FROM (
+                SELECT id, timestamp, message, response
+                FROM conversation_history
+                WHERE user_uuid = ?
+                ORDER BY id DESC
+                LIMIT ?
+            ) ORDER BY id ASC
+        ` ).all( userUuid, limit );
+    }
+
+    /**
+     * Delete conversation entries older than the retention period, and all but
+     * the newest entries for the given user
+     * @param {Object} options
+     * @param {number} options.retentionDays - Delete entries older than this many days
+     * @param {string} options.userUuid - User whose history should be capped
+     * @param {number} options.maxEntriesPerUser - Number of entries to keep for that user
+     * @returns {number} Number of rows deleted
+     */
+    pruneConversationHistory ( { retentionDays, userUuid, maxEntriesPerUser } ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        let deleted = this.db.prepare( `
+            DELETE FROM conversation_history WHERE timestamp < datetime('now', ?)
+        ` ).run( `-${ retentionDays } days` ).changes;
+
+        if ( userUuid ) {
+            deleted += this.db.prepare( `
+                DELETE FROM conversation_history
+                WHERE user_uuid = ? AND id NOT IN (
+                    SELECT id FROM conversation_history WHERE user_uuid = ? ORDER BY id DESC LIMIT ?
+                )
+            ` ).run( userUuid, userUuid, maxEntriesPerUser ).changes;
+        }
+        return deleted;
+    }
+
+    /**
+     * Count the logged conversations with the bot
+     * @returns {number} Number of conversation entries
+     */
+    getConversationCount () {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( 'SELECT COUNT(*) AS count FROM conversation_history' ).get()?.count || 0;
+    }
+
+    // ===== AI Response Cache Methods =====
+
+    /**
+     * Get a cached AI response if it is younger than maxAgeSeconds
+     * @param {string} cacheKey - Key built from command, song and template hash
+     * @param {number} maxAgeSeconds - Maximum age of the entry
+     * @returns {Object|null} Row with response, created_at and hits, or null
+     */
+    getAiCacheEntry ( cacheKey, maxAgeSeconds ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            SELECT cache_key, command, artist_name, track_name, response, created_at, hits
+            FROM ai_response_cache
+            WHERE cache_key = ? AND created_at >= datetime('now', ?)
+        ` ).get( cacheKey, `-${ maxAgeSeconds } seconds` ) || null;
+    }
+
+    /**
+     * Store an AI response, replacing any previous answer for the same key
+     */
+    saveAiCacheEntry ( { cacheKey, command, artistName, trackName, templateHash, response } ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            INSERT OR REPLACE INTO ai_response_cache (cache_key, command, artist_name, track_name, template_hash, response)
+            VALUES (?, ?, ?, ?, ?, ?)
+        ` ).run( cacheKey, command, artistName, trackName, templateHash, response );
+    }
+
+    recordAiCacheHit ( cacheKey ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( 'UPDATE ai_response_cache SET hits = hits + 1 WHERE cache_key = ?' ).run( cacheKey );
+    }
+
+    /**
+     * Get the cached responses for a song, newest first
+     * @param {string} artistName - Artist name (case-insensitive)
+     * @param {string} trackName - Track name (case-insensitive)
+     * @returns {Array} Rows with command, response, created_at and hits
+     */
+    getAiCacheEntriesForSong ( artistName, trackName ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            SELECT command, response, created_at, hits
+            FROM ai_response_cache
+            WHERE LOWER(artist_name) = LOWER(?) AND LOWER(track_name) = LOWER(?)
+            ORDER BY created_at DESC
+        ` ).all( artistName, trackName );
+    }
+
+    /**
+     * Summarise the cache per command
+     * @returns {Array} Rows with command, entries, hits, oldest and newest
+     */
+    getAiCacheStats () {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            SELECT command, COUNT(*) AS entries, COALESCE(SUM(hits), 0) AS hits,
+                MIN(created_at) AS oldest, MAX(created_at) AS newest
+            FROM ai_response_cache
+            GROUP BY command
+            ORDER BY command
+        ` ).all();
+    }
+
+    /**
+     * Delete cached responses, for one command or all of them
+     * @param {string|null} command - Command to clear, or null for everything
+     * @returns {number} Number of rows deleted
+     */
+    clearAiCache ( command = null ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( 'DELETE FROM ai_response_cache WHERE (? IS NULL OR command = ?)' ).run( command, command ).changes;
+    }
+
+    // ===== Verification Cache Methods =====
+
+    /**
+     * Get cached song facts if they haven't expired
+     * @param {string} cacheKey - Normalized "artist|track" key
+     * @returns {Object|null} Row with found, data (parsed), created_at, expires_at and hits, or null
+     */
+    getVerificationCacheEntry ( cacheKey ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        const row = this.db.prepare( `
+            SELECT cache_key, artist_name, track_name, found, data, created_at, expires_at, hits
+            FROM verification_cache
+            WHERE cache_key = ? AND expires_at > datetime('now')
+        ` ).get( cacheKey );
+        if ( !row ) return null;
+        return { ...row, found: !!row.found, data: row.data ? JSON.parse( row.data ) : null };
+    }
+
+    /**
+     * Store song facts, replacing any previous lookup for the same key
+     * @param {Object} entry
+     * @param {number} entry.ttlSeconds - How long the entry is kept
+     */
+    saveVerificationCacheEntry ( { cacheKey, artistName, trackName, found, data, ttlSeconds } ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            INSERT OR REPLACE INTO verification_cache (cache_key, artist_name, track_name, found, data, expires_at)
+            VALUES (?, ?, ?, ?, ?, datetime('now', ?))
+        ` ).run( cacheKey, artistName, trackName, found ? 1 : 0, data ? JSON.stringify( data ) : null, `+${ ttlSeconds } seconds` );
+    }
+
+    recordVerificationCacheHit ( cacheKey ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( 'UPDATE verification_cache SET hits = hits + 1 WHERE cache_key = ?' ).run( cacheKey );
+    }
+
+    /**
+     * Summarise the verification cache
+     * @returns {{entries: number, found: number, hits: number, expired: number}}
+     */
+    getVerificationCacheStats () {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        const row = this.db.prepare( `
+            SELECT COUNT(*) AS entries, COALESCE(SUM(found), 0) AS found, COALESCE(SUM(hits), 0) AS hits,
+                COALESCE(SUM(CASE WHEN expires_at <= datetime('now') THEN 1 ELSE 0 END), 0) AS expired
+            FROM verification_cache
+        ` ).get();
+        return row || { entries: 0, found: 0, hits: 0, expired: 0 };
+    }
+
+    /**
+     * Delete cached song facts, either just the expired ones or everything
+     * @param {boolean} expiredOnly - Only remove entries past their expiry
+     * @returns {number} Number of rows deleted
+     */
+    clearVerificationCache ( expiredOnly = false ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        const sql = expiredOnly
+            ? "DELETE FROM verification_cache WHERE expires_at <= datetime('now')"
+            : 'DELETE FROM verification_cache';
+        return this.db.prepare( sql ).run().changes;
+    }
+
+    // ===== Song Metadata Methods =====
+
+    /**
+     * Get the stored metadata for a song
+     * @param {string} songId - Song ID
+     * @returns {Object|null} Metadata with genres parsed, or null if there's none
+     */
+    getSongMetadata ( songId ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        const row = this.db.prepare( 'SELECT * FROM song_metadata WHERE song_id = ?' ).get( songId );
+        if ( !row ) return null;
+        return { ...row, genres: row.genres ? JSON.parse( row.genres ) : [] };
+    }
+
+    /**
+     * Store metadata for a song. Fields left out keep whatever was stored before.
+     * The album, duration and ISRC first stored are kept, since the hang.fm payload
+     * describes the exact version played; release dates, genres and ids from later
+     * lookups replace earlier ones.
+     * @param {string} songId - Song ID
+     * @param {Object} metadata - releaseYear, releaseDate, album, genres, duration, isrc,
+     *   musicbrainzRecordingId and musicbrainzArtistId
+     * @param {Object} options
+     * @param {boolean} options.verified - The metadata came from a verification lookup
+     */
+    saveSongMetadata ( songId, metadata, { verified = false } = {} ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        const genres = metadata.genres?.length ? JSON.stringify( metadata.genres ) : null;
+        return this.db.prepare( `
+            INSERT INTO song_metadata (song_id, release_year, release_date, album, genres, duration, isrc,
+                musicbrainz_recording_id, musicbrainz_artist_id, verified_at, attempts)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CASE WHEN ? THEN CURRENT_TIMESTAMP END, ?)
+            ON CONFLICT(song_id) DO UPDATE SET
+                release_year = COALESCE(excluded.release_year, release_year),
+                release_date = COALESCE(excluded.release_date, release_date),
+                album = COALESCE(album, excluded.album),
+                genres = COALESCE(excluded.genres, genres),
+                duration = COALESCE(duration, excluded.duration),
+                isrc = COALESCE(isrc, excluded.isrc),
+                musicbrainz_recording_id = COALESCE(excluded.musicbrainz_recording_id, musicbrainz_recording_id),
+                musicbrainz_artist_id = COALESCE(excluded.musicbrainz_artist_id, musicbrainz_artist_id),
+                verified_at = COALESCE(excluded.verified_at, verified_at),
+                attempts = attempts + excluded.attempts,
+                updated_at = CURRENT_TIMESTAMP
+        ` ).run(
+            songId,
+            metadata.releaseYear ?? null,
+            metadata.releaseDate ?? null,
+            metadata.album ?? null,
+            genres,
+            metadata.duration ?? null,
+            metadata.isrc ?? null,
+            metadata.musicbrainzRecordingId ?? null,
+            metadata.musicbrainzArtistId ?? null,
+            verified ? 1 : 0,
+            verified ? 1 : 0
+        );
+    }
+
+    /**
+     * Count a verification lookup that found nothing for a song
+     * @param {string} songId - Song ID
+     */
+    recordSongMetadataAttempt ( songId ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            INSERT INTO song_metadata (song_id, attempts) VALUES (?, 1)
+            ON CONFLICT(song_id) DO UPDATE SET attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+        ` ).run( songId );
+    }
+
+    /**
+     * Songs that haven't been verified yet, least tried and then most played first
+     * @param {number} limit - Number of songs to return
+     * @param {number} maxAttempts - Skip songs that have already been tried this many times
+     * @returns {Array} Rows with song_id, artist_name and track_name
+     */
+    getSongsNeedingMetadata ( limit = 1, maxAttempts = 3 ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            SELECT s.song_id, s.artist_name, s.track_name
+            FROM songs s
+            LEFT JOIN song_metadata m ON m.song_id = s.song_id
+            WHERE s.artist_name IS NOT NULL AND s.track_name IS NOT NULL
+                AND (m.song_id IS NULL OR (m.verified_at IS NULL AND m.attempts < ?))
+            ORDER BY COALESCE(m.attempts, 0), (SELECT COUNT(*) FROM songs_played sp WHERE sp.song_id = s.song_id) DESC, s.song_id
+            LIMIT ?
+        ` ).all( maxAttempts, limit );
+    }
+
+    /**
+     * How much of the song library has metadata
+     * @returns {{songs: number, withMetadata: number, verified: number}}
+     */
+    getSongMetadataStats () {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            SELECT
+                (SELECT COUNT(*) FROM songs) AS songs,
+                (SELECT COUNT(*) FROM song_metadata WHERE release_year IS NOT NULL OR album IS NOT NULL OR genres IS NOT NULL) AS withMetadata,
+                (SELECT COUNT(*) FROM song_metadata WHERE verified_at IS NOT NULL) AS verified
+        ` ).get() || { songs: 0, withMetadata: 0, verified: 0 };
+    }
+
+    // ===== LLM Usage Methods =====
+    // `since` is an SQLite datetime modifier such as 'start of day', or null for all time
+
+    /**
+     * Record a single LLM backend call
+     */
+    recordLlmUsage ( { backend, model, command, userUuid, latencyMs, success, error, promptTokens, completionTokens, totalTokens } ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            INSERT INTO llm_usage (backend, model, command, user_uuid, latency_ms, success, error, prompt_tokens, completion_tokens, total_tokens)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ` ).run(
+            backend,
+            model || null,
+            command || null,
+            userUuid || null,
+            latencyMs ?? null,
+            success ? 1 : 0,
+            error || null,
+            promptTokens ?? null,
+            completionTokens ?? null,
+            totalTokens ?? null
+        );
+    }
+
+    /**
+     * Get call, failure, token and latency totals
+     * @param {string|null} since - SQLite datetime modifier, or null for all time
+     * @returns {Object} calls, failures, tokens and avgLatencyMs
+     */
+    getLlmUsageTotals ( since = null ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            SELECT COUNT(*) AS calls,
+                COALESCE(SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END), 0) AS failures,
+                COALESCE(SUM(total_tokens), 0) AS tokens,
+                CAST(COALESCE(AVG(latency_ms), 0) AS INTEGER) AS avgLatencyMs
+            FROM llm_usage
+            WHERE (? IS NULL OR timestamp >= datetime('now', ?))
+        ` ).get( since, since );
+    }
+
+    /**
+     * Break usage down by backend, model or command, busiest first
+     * @param {string|null} since - SQLite datetime modifier, or null for all time
+     * @param {string} groupBy - 'backend', 'model' or 'command'
+     * @returns {Array} Rows with name, calls, failures and tokens
+     */
+    getLlmUsageBreakdown ( since = null, groupBy = 'backend' ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        const column = { backend: 'backend', model: 'model', command: 'command' }[ groupBy ];
+        if ( !column ) throw new Error( `Invalid usage grouping: ${ groupBy }` );
+        return this.db.prepare( `
+            SELECT COALESCE(${ column }, 'unknown') AS name,
+                COUNT(*) AS calls,
+                COALESCE(SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END), 0) AS failures,
+                COALESCE(SUM(total_tokens), 0) AS tokens
+            FROM llm_usage
+            WHERE (? IS NULL OR timestamp >= datetime('now', ?))
+            GROUP BY ${ column }
+            ORDER BY calls DESC
+        ` ).all( since, since );
+    }
+
+    // ===== DJ Queue Methods =====
+
+    /**
+     * Get the persisted DJ queue in position order
+     * @returns {Array} Rows with uuid, nickname, position, added_at, notified_at and left_at
+     */
+    getDjQueue () {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( 'SELECT uuid, nickname, position, added_at, notified_at, left_at FROM dj_queue ORDER BY position' ).all();
+    }
+
+    /**
+     * Replace the persisted DJ queue with the given entries
+     * @param {Array} entries - Queue entries in order ({ uuid, nickname, notifiedAt, leftAt })
+     */
+    saveDjQueue ( entries ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        const transaction = this.db.transaction( () => {
+            this.db.prepare( 'DELETE FROM dj_queue' ).run();
+            const insert = this.db.prepare( `
+                INSERT INTO dj_queue (uuid, nickname, position, notified_at, left_at)
+                VALUES (?, ?, ?, ?, ?)
+            ` );
+            entries.forEach( ( entry, index ) => {
+                insert.run( entry.uuid, entry.nickname, index + 1, entry.notifiedAt || null, entry.leftAt || null );
+            } );
+        } );
+        transaction();
+    }
+
     // ===== Personality Store Helper Methods =====
 
     /**
@@ -787,8 +1518,11 @@ class DatabaseService {
 
     /**
      * Save a new personality with all components
+     * @param {Object} data - Personality components
+     * @param {string} data.author - UUID of whoever saved it, for the revision history
+     * @param {string} data.action - What to call the first revision, e.g. "save" or "import"
      */
-    savePersonality ( { name, description, mlPersonality, mlInstructions, editableMessages, configuration, mlQuestions, disabledCommands, disabledFeatures, triggers, customTokens } ) {
+    savePersonality ( { name, description, mlPersonality, mlInstructions, editableMessages, configuration, mlQuestions, disabledCommands, disabledFeatures, triggers, customTokens, author = null, action = 'save' } ) {
         if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
 
         // Validate description
@@ -868,9 +1602,14 @@ class DatabaseService {
                     const triggerList = triggers[ triggerType ];
                     if ( Array.isArray( triggerList ) ) {
                         triggerList.forEach( trigger => {
-                            // Handle both string format (command names) and object format (pattern/response)
-                            const pattern = typeof trigger === 'string' ? trigger : trigger.pattern;
-                            const response = typeof trigger === 'string' ? trigger : trigger.response;
+                            // Handle string format (command names), command entries with a condition or
+                            // arguments (kept whole as JSON) and object format (pattern/response)
+                            let pattern = typeof trigger === 'string' ? trigger : trigger.pattern;
+                            let response = typeof trigger === 'string' ? trigger : trigger.response;
+                            if ( trigger && typeof trigger === 'object' && trigger.command ) {
+                                pattern = [ trigger.command, trigger.args ].filter( Boolean ).join( ' ' );
+                                response = JSON.stringify( { command: trigger.command, args: trigger.args || '', condition: trigger.condition || null } );
+                            }
                             const contentId = this.findOrCreateTrigger( typeId, pattern, response );
                             this.linkPersonalityToContent( personalityId, 'triggers', contentId );
                         } );
@@ -887,6 +1626,8 @@ class DatabaseService {
                 } );
             }
 
+            this.recordPersonalityRevision( personalityId, name, action, author );
+
             return personalityId;
         } );
 
@@ -1010,6 +1751,8 @@ class DatabaseService {
             // If pattern and response are the same, it's a simple command trigger
             if ( row.pattern === row.response ) {
                 triggers[ row.type ].push( row.pattern );
+            } else if ( row.response?.startsWith( '{"command":' ) ) {
+                triggers[ row.type ].push( JSON.parse( row.response ) );
             } else {
                 // Preserve full object format for future pattern/response triggers
                 triggers[ row.type ].push( { pattern: row.pattern, response: row.response } );
@@ -1060,6 +1803,9 @@ class DatabaseService {
             const personality = this.db.prepare( 'SELECT id, name FROM personalities WHERE name = ? COLLATE NOCASE' ).get( name );
             if ( !personality ) return undefined;
 
+            // Foreign keys aren't switched on, so ON DELETE CASCADE never removes the revision history
+            this.db.prepare( 'DELETE FROM personality_revisions WHERE personality_id = ?' ).run( personality.id );
+
             // Delete personality (CASCADE will handle junction tables)
             this.db.prepare( 'DELETE FROM personalities WHERE id = ?' ).run( personality.id );
 
@@ -1078,8 +1824,11 @@ class DatabaseService {
 
     /**
      * Update a personality with smart content management
+     * @param {Object} data - Components to change; anything undefined is left as it is
+     * @param {string} data.author - UUID of whoever made the change, for the revision history
+     * @param {string} data.action - What to call the revision, e.g. "update" or "rollback to r3"
      */
-    updatePersonality ( { name, description, mlPersonality, mlInstructions, editableMessages, configuration, mlQuestions, disabledCommands, disabledFeatures, triggers, customTokens } ) {
+    updatePersonality ( { name, description, mlPersonality, mlInstructions, editableMessages, configuration, mlQuestions, disabledCommands, disabledFeatures, triggers, customTokens, author = null, action = 'update' } ) {
         if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
 
         // Validate description if provided
@@ -1096,6 +1845,11 @@ class DatabaseService {
 
             const personalityId = personality.id;
 
+            // Personalities saved before revisions existed get their current state kept first, so this update can be undone
+            if ( !this.db.prepare( 'SELECT 1 FROM personality_revisions WHERE personality_id = ?' ).get( personalityId ) ) {
+                this.recordPersonalityRevision( personalityId, name, 'baseline', null );
+            }
+
             // Update description if provided
             if ( description !== undefined ) {
                 this.db.prepare( 'UPDATE personalities SET description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?' ).run( description, personalityId );
@@ -1125,6 +1879,11 @@ class DatabaseService {
                         this.linkPersonalityToContent( personalityId, 'instructions', newContentId );
                     }
                 } );
+
+                // Nothing to update yet, so link new content
+                if ( currentLinks.length === 0 && mlPersonality ) {
+                    this.linkPersonalityToContent( personalityId, 'instructions', this.findOrCreateInstruction( typeId, mlPersonality ) );
+                }
             }
 
             // Update MLInstructions if provided
@@ -1147,6 +1906,11 @@ class DatabaseService {
                         this.linkPersonalityToContent( personalityId, 'instructions', newContentId );
                     }
                 } );
+
+                // Nothing to update yet, so link new content
+                if ( currentLinks.length === 0 && mlInstructions ) {
+                    this.linkPersonalityToContent( personalityId, 'instructions', this.findOrCreateInstruction( typeId, mlInstructions ) );
+                }
             }
 
             // For other components, we'll do a simpler approach: delete all links and re-add
@@ -1202,9 +1966,14 @@ class DatabaseService {
                     const triggerList = triggers[ triggerType ];
                     if ( Array.isArray( triggerList ) ) {
                         triggerList.forEach( trigger => {
-                            // Handle both string format (command names) and object format (pattern/response)
-                            const pattern = typeof trigger === 'string' ? trigger : trigger.pattern;
-                            const response = typeof trigger === 'string' ? trigger : trigger.response;
+                            // Handle string format (command names), command entries with a condition or
+                            // arguments (kept whole as JSON) and object format (pattern/response)
+                            let pattern = typeof trigger === 'string' ? trigger : trigger.pattern;
+                            let response = typeof trigger === 'string' ? trigger : trigger.response;
+                            if ( trigger && typeof trigger === 'object' && trigger.command ) {
+                                pattern = [ trigger.command, trigger.args ].filter( Boolean ).join( ' ' );
+                                response = JSON.stringify( { command: trigger.command, args: trigger.args || '', condition: trigger.condition || null } );
+                            }
                             const contentId = this.findOrCreateTrigger( typeId, pattern, response );
                             this.linkPersonalityToContent( personalityId, 'triggers', contentId );
                         } );
@@ -1224,6 +1993,8 @@ class DatabaseService {
             // Cleanup any orphaned content created during update
             this.cleanupOrphanedContent();
 
+            this.recordPersonalityRevision( personalityId, name, action, author );
+
             return personalityId;
         } );
 
@@ -1231,6 +2002,112 @@ class DatabaseService {
         this.logger.info( `Personality "${ name }" updated` );
         return result;
     }
+
+    // ===== Personality Revisions =====
+
+    /**
+     * Store a snapshot of a personality as its next revision. Called inside the
+     * save and update transactions.
+     * @private
+     */
+    recordPersonalityRevision ( personalityId, name, action, author ) {
+        const personality = this.getPersonalityByName( name );
+        const { next } = this.db.prepare( 'SELECT COALESCE(MAX(revision), 0) + 1 AS next FROM personality_revisions WHERE personality_id = ?' ).get( personalityId );
+        this.db.prepare( `
+            INSERT INTO personality_revisions (personality_id, revision, action, author_uuid, snapshot)
+            VALUES (?, ?, ?, ?, ?)
+        ` ).run( personalityId, next, action, author, JSON.stringify( DatabaseService.toPersonalityData( personality ) ) );
+        return next;
+    }
+
+    /**
+     * List a personality's revisions, newest first
+     * @param {string} name - Personality name, any case
+     * @returns {Array<{revision: number, action: string, author_uuid: string|null, author: string|null, created_at: string}>}
+     */
+    getPersonalityRevisions ( name ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            SELECT r.revision, r.action, r.author_uuid, d.nickname AS author, r.created_at
+            FROM personality_revisions r
+            JOIN personalities p ON r.personality_id = p.id
+            LEFT JOIN djs d ON d.uuid = r.author_uuid
+            WHERE p.name = ? COLLATE NOCASE
+            ORDER BY r.revision DESC
+        ` ).all( name );
+    }
+
+    /**
+     * Get one revision with its snapshot
+     * @returns {Object|undefined} The revision with snapshot parsed into personality data
+     */
+    getPersonalityRevision ( name, revision ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        const row = this.db.prepare( `
+            SELECT r.revision, r.action, r.author_uuid, r.created_at, r.snapshot
+            FROM personality_revisions r
+            JOIN personalities p ON r.personality_id = p.id
+            WHERE p.name = ? COLLATE NOCASE AND r.revision = ?
+        ` ).get( name, revision );
+        if ( !row ) return undefined;
+        return { ...row, snapshot: JSON.parse( row.snapshot ) };
+    }
+
+    /**
+     * Latest revisions across all personalities, for the /personality page
+     * @param {number} limit - How many to return
+     */
+    getRecentPersonalityRevisions ( limit = 15 ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        return this.db.prepare( `
+            SELECT p.name, r.revision, r.action, r.author_uuid, d.nickname AS author, r.created_at
+            FROM personality_revisions r
+            JOIN personalities p ON r.personality_id = p.id
+            LEFT JOIN djs d ON d.uuid = r.author_uuid
+            ORDER BY r.created_at DESC, r.id DESC
+            LIMIT ?
+        ` ).all( limit );
+    }
+
+    /**
+     * Restore a personality to an earlier revision. The rollback is itself recorded
+     * as a new revision, so it can be undone too.
+     * @param {string} name - Personality name, any case
+     * @param {number} revision - Revision to restore
+     * @param {string} author - UUID of whoever rolled it back
+     * @returns {{name: string, revision: number}|undefined} The new revision, or undefined if the revision doesn't exist
+     */
+    rollbackPersonality ( name, revision, author = null ) {
+        if ( !this.initialized ) throw new Error( 'DatabaseService not initialized' );
+        const target = this.getPersonalityRevision( name, revision );
+        if ( !target ) return undefined;
+
+        const personality = this.db.prepare( 'SELECT name FROM personalities WHERE name = ? COLLATE NOCASE' ).get( name );
+        this.updatePersonality( { ...target.snapshot, name: personality.name, author, action: `rollback to r${ revision }` } );
+        const [ latest ] = this.getPersonalityRevisions( personality.name );
+        this.logger.info( `Personality "${ personality.name }" rolled back to revision ${ revision }` );
+        return { name: personality.name, revision: latest.revision };
+    }
+
+    /**
+     * Turn a personality from getPersonalityByName into the fields savePersonality and updatePersonality take
+     * @param {Object} personality
+     * @returns {Object}
+     */
+    static toPersonalityData ( personality ) {
+        return {
+            description: personality.description,
+            mlPersonality: personality.instructions?.MLPersonality || '',
+            mlInstructions: personality.instructions?.MLInstructions || '',
+            editableMessages: personality.editableMessages || {},
+            configuration: personality.configuration || {},
+            mlQuestions: personality.mlQuestions || {},
+            disabledCommands: personality.disabledCommands || [],
+            disabledFeatures: personality.disabledFeatures || [],
+            triggers: personality.triggers || {},
+            customTokens: personality.customTokens || {}
+        };
+    }
 }
 
 module.exports = DatabaseService;
\ No newline at end of file
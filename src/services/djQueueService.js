@@ -0,0 +1,215 @@
+const { logger } = require( '../lib/logging.js' );
+
+const DEFAULT_CLAIM_WINDOW_MS = 60 * 1000;
+const DEFAULT_LEAVE_GRACE_MS = 5 * 60 * 1000;
+
+/**
+ * DjQueueService - Manages the waitlist of users waiting for a deck spot.
+ * The queue is held in memory and mirrored to SQLite through databaseService
+ * so that it survives restarts.
+ */
+class DjQueueService {
+    constructor ( services ) {
+        this.services = services;
+        this.queue = [];
+    }
+
+    /**
+     * Load the persisted queue from the database
+     */
+    load () {
+        const db = this.services.databaseService;
+        if ( !db?.initialized ) return;
+        try {
+            this.queue = db.getDjQueue().map( row => ( {
+                uuid: row.uuid,
+                nickname: row.nickname,
+                notifiedAt: row.notified_at || null,
+                leftAt: row.left_at || null
+            } ) );
+            logger.debug( `[djQueueService] loaded ${ this.queue.length } queued user(s) from database` );
+        } catch ( error ) {
+            logger.error( `[djQueueService] failed to load queue: ${ error.message }` );
+        }
+    }
+
+    _persist () {
+        const db = this.services.databaseService;
+        if ( !db?.initialized ) return;
+        try {
+            db.saveDjQueue( this.queue );
+        } catch ( error ) {
+            logger.error( `[djQueueService] failed to persist queue: ${ error.message }` );
+        }
+    }
+
+    getClaimWindowMs () {
+        return this.services.dataService?.getValue( 'djQueue.claimWindowMs' ) ?? DEFAULT_CLAIM_WINDOW_MS;
+    }
+
+    getLeaveGraceMs () {
+        return this.services.dataService?.getValue( 'djQueue.leaveGraceMs' ) ?? DEFAULT_LEAVE_GRACE_MS;
+    }
+
+    getQueue () {
+        return this.queue.map( entry => ( { ...entry } ) );
+    }
+
+    getPosition ( uuid ) {
+        const index = this.queue.findIndex( entry => entry.uuid === uuid );
+        return index === -1 ? null : index + 1;
+    }
+
+    isQueued ( uuid ) {
+        return this.getPosition( uuid ) !== null;
+    }
+
+    findByName ( name ) {
+        const lower = name.toLowerCase();
+        return this.queue.find( entry => entry.nickname?.toLowerCase() === lower )
+            || this.queue.find( entry => entry.nickname?.toLowerCase().includes( lower ) )
+            || null;
+    }
+
+    /**
+     * Add a user to the end of the queue
+     * @returns {{success: boolean, position?: number, error?: string}}
+     */
+    add ( uuid, nickname ) {
+        if ( this.isQueued( uuid ) ) {
+            return { success: false, position: this.getPosition( uuid ), error: 'Already queued' };
+        }
+        this.queue.push( { uuid, nickname, notifiedAt: null, leftAt: null } );
+        this._persist();
+        return { success: true, position: this.queue.length };
+    }
+
+    /**
+     * Remove a user from the queue
+     * @returns {boolean} True if the user was queued
+     */
+    remove ( uuid ) {
+        const index = this.queue.findIndex( entry => entry.uuid === uuid );
+        if ( index === -1 ) return false;
+        this.queue.splice( index, 1 );
+        this._persist();
+        return true;
+    }
+
+    /**
+     * Move a queued user to a new 1-based position (clamped to the queue bounds)
+     * @returns {number|null} The new position, or null if the user is not queued
+     */
+    move ( uuid, position ) {
+        const index = this.queue.findIndex( entry => entry.uuid === uuid );
+        if ( index === -1 ) return null;
+        const [ entry ] = this.queue.splice( index, 1 );
+        const target = Math.min( Math.max( position, 1 ), this.queue.length + 1 ) - 1;
+        this.queue.splice( target, 0, entry );
+        this._persist();
+        return target + 1;
+    }
+
+    peek () {
+        return this.queue[ 0 ] ? { ...this.queue[ 0 ] } : null;
+    }
+
+    clear () {
+        this.queue = [];
+        this._persist();
+    }
+
+    /**
+     * Mark a user as having left the hangout; they are dropped once the grace period expires
+     */
+    markLeft ( uuid ) {
+        const entry = this.queue.find( e => e.uuid === uuid );
+        if ( !entry ) return;
+        entry.leftAt = Date.now();
+        this._persist();
+        logger.debug( `[djQueueService] queued user left the hangout: ${ entry.nickname || uuid }` );
+    }
+
+    /**
+     * Clear the left marker when a queued user comes back within the grace period
+     */
+    markReturned ( uuid ) {
+        const entry = this.queue.find( e => e.uuid === uuid );
+        if ( !entry || !entry.leftAt ) return;
+        entry.leftAt = null;
+        this._persist();
+    }
+
+    /**
+     * Ping the first person in the queue that a spot is open and start their claim window.
+     * Does nothing if the queue is empty or the head of the queue has already been pinged.
+     * @returns {Promise<Object|null>} The notified entry, or null
+     */
+    async notifyNext () {
+        const entry = this.queue.find( e => !e.leftAt );
+        if ( !entry || entry.notifiedAt ) return null;
+
+        entry.notifiedAt = Date.now();
+        this._persist();
+
+        const { messageService } = this.services;
+        const windowSeconds = Math.round( this.getClaimWindowMs() / 1000 );
+        const mention = messageService.formatMention( entry.uuid );
+        await messageService.sendGroupMessage(
+            `🎧 ${ mention } a DJ spot is open — you're up next! You have ${ windowSeconds } seconds to step up to the decks.`,
+            { services: this.services }
+        );
+        logger.debug( `[djQueueService] notified ${ entry.nickname || entry.uuid } that a spot is open` );
+        return { ...entry };
+    }
+
+    /**
+     * Drop users whose claim window or leave grace period has expired.
+     * If a notified user missed their window, the next person is pinged.
+     * @returns {Promise<{expired: Array, departed: Array}>}
+     */
+    async processExpired ( now = Date.now() ) {
+        const claimWindowMs = this.getClaimWindowMs();
+        const leaveGraceMs = this.getLeaveGraceMs();
+
+        const expired = this.queue.filter( e => e.notifiedAt && now - e.notifiedAt >= claimWindowMs );
+        const departed = this.queue.filter( e => e.leftAt && now - e.leftAt >= leaveGraceMs && !expired.includes( e ) );
+
+        if ( !expired.length && !departed.length ) return { expired, departed };
+
+        this.queue = this.queue.filter( e => !expired.includes( e ) && !departed.includes( e ) );
+        this._persist();
+
+        for ( const entry of departed ) {
+            logger.debug( `[djQueueService] dropped ${ entry.nickname || entry.uuid } from the queue after leaving the hangout` );
+        }
+
+        if ( expired.length ) {
+            const { messageService } = this.services;
+            for ( const entry of expired ) {
+                await messageService.sendGroupMessage(
+                    `⏰ ${ messageService.formatMention( entry.uuid ) } missed their turn and has been removed from the queue.`,
+                    { services: this.services }
+                );
+            }
+            // The spot they were offered is still free, so offer it to the next person
+            await this.notifyNext();
+        }
+
+        return { expired, departed };
+    }
+
+    /**
+     * Called when a user steps up to the decks; removes them from the queue
+     */
+    handleDjAdded ( uuid ) {
+        if ( this.remove( uuid ) ) {
+            logger.debug( `[djQueueService] ${ uuid } stepped up to the decks and was removed from the queue` );
+        }
+    }
+}
+
+DjQueueService.DEFAULT_CLAIM_WINDOW_MS = DEFAULT_CLAIM_WINDOW_MS;
+DjQueueService.DEFAULT_LEAVE_GRACE_MS = DEFAULT_LEAVE_GRACE_MS;
+
+module.exports = DjQueueService;
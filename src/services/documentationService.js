@@ -1,6 +1,7 @@
 const { logger } = require( '../lib/logging.js' );
 const fs = require( 'fs' );
 const path = require( 'path' );
+const PersonalityService = require( './personalityService.js' );
 
 class DocumentationService {
     constructor ( { versionService, services } ) {
@@ -562,6 +563,21 @@ class DocumentationService {
         }
     }
 
+    /**
+     * Read the per-command permission overrides from botConfig.json
+     * @private
+     * @returns {Object} Overrides keyed by command name: { role, allow: [uuid], deny: [uuid] }
+     */
+    _getCommandPermissions () {
+        try {
+            const dataPath = path.join( __dirname, '../../data/botConfig.json' );
+            const data = JSON.parse( fs.readFileSync( dataPath, 'utf8' ) );
+            return data.commandPermissions && typeof data.commandPermissions === 'object' ? data.commandPermissions : {};
+        } catch ( error ) {
+            return {};
+        }
+    }
+
     /**
      * Discover all commands from file system with their metadata
      * @private
@@ -570,6 +586,7 @@ class DocumentationService {
     _discoverCommands () {
         const commandsByFolder = {};
         const baseDir = path.join( __dirname, '../commands' );
+        const commandPermissions = this._getCommandPermissions();
 
         // Define static folder structure (matching help command)
         const folders = [
@@ -606,6 +623,7 @@ class DocumentationService {
                             if ( commandModule.requiredRole && commandModule.description ) {
                                 const isDisabled = this._isCommandDisabled( commandName );
                                 const isHidden = commandModule.hidden || false;
+                                const override = commandPermissions[ commandName ] || {};
 
                                 if ( !commandsByFolder[ folderName ] ) {
                                     commandsByFolder[ folderName ] = [];
@@ -613,7 +631,10 @@ class DocumentationService {
 
                                 commandsByFolder[ folderName ].push( {
                                     name: commandName,
-                                    role: commandModule.requiredRole,
+                                    role: override.role || commandModule.requiredRole,
+                                    defaultRole: commandModule.requiredRole,
+                                    allow: Array.isArray( override.allow ) ? override.allow : [],
+                                    deny: Array.isArray( override.deny ) ? override.deny : [],
                                     description: commandModule.description,
                                     example: commandModule.example || commandName,
                                     hidden: isHidden,
@@ -717,10 +738,21 @@ class DocumentationService {
                     'OWNER': 'role-owner'
                 }[ cmd.role ] || 'role-user';
 
+                // Show where a command's permissions have been changed from its defaults
+                const permissionNotes = [];
+                if ( cmd.defaultRole && cmd.role !== cmd.defaultRole ) {
+                    permissionNotes.push( `default ${ this.escapeHtml( cmd.defaultRole ) }` );
+                }
+                if ( cmd.allow?.length ) permissionNotes.push( `${ cmd.allow.length } allowed` );
+                if ( cmd.deny?.length ) permissionNotes.push( `${ cmd.deny.length } denied` );
+                const permissionNote = permissionNotes.length
+                    ? ` <span class="permission-note">(${ permissionNotes.join( ', ' ) })</span>`
+                    : '';
+
                 commandRows += `
                     <tr data-command="${ this.escapeHtml( cmd.name ) }" data-category="${ this.escapeHtml( folder ) }">
                         <td><span class="command-name">${ this.escapeHtml( cmd.name ) }</span></td>
-                        <td><span class="role-badge ${ roleBadgeClass }">${ this.escapeHtml( cmd.role ) }</span></td>
+                        <td><span class="role-badge ${ roleBadgeClass }">${ this.escapeHtml( cmd.role ) }</span>${ permissionNote }</td>
                         <td>${ this.escapeHtml( cmd.description ) }</td>
                         <td><code class="example">${ this.escapeHtml( cmd.example ) }</code></td>
                         <td>${ statusBadges.join( ' ' ) }</td>
@@ -825,6 +857,10 @@ class DocumentationService {
                     background: rgba(244, 67, 54, 0.3);
                     color: #f44336;
                 }
+                .permission-note {
+                    color: #9e9e9e;
+                    font-size: 0.8rem;
+                }
                 .example {
                     background: rgba(0, 0, 0, 0.4);
                     padding: 4px 8px;
@@ -949,6 +985,101 @@ class DocumentationService {
         return this.generateHtmlWrapper( 'Commands Reference', content );
     }
 
+    /**
+     * Generate the socket connection card for the status page
+     * @param {Object|null} reconnect - Bot.getReconnectStatus()
+     * @returns {string} HTML card, or an empty string before the bot has connected
+     */
+    generateReconnectCard ( reconnect ) {
+        if ( !reconnect ) return '';
+
+        const formatSeconds = ms => `${ Math.round( ms / 1000 ) }s`;
+        const describeEvent = event => {
+            switch ( event.type ) {
+                case 'reconnected': {
+                    const { joined = 0, left = 0, songs = 0 } = event.missed || {};
+                    return `Reconnected after ${ event.attempts } attempt${ event.attempts === 1 ? '' : 's' }` +
+                        ` (down ${ formatSeconds( event.downtimeMs || 0 ) }; missed ${ joined } joined, ${ left } left, ${ songs } song${ songs === 1 ? '' : 's' })`;
+                }
+                case 'failed':
+                    return `Reconnect attempt ${ event.attempts } failed: ${ event.error }`;
+                case 'watchdog':
+                    return `Watchdog: ${ event.reason }`;
+                default:
+                    return `Disconnected: ${ event.reason }`;
+            }
+        };
+
+        const events = reconnect.events.slice( 0, 5 ).map( event =>
+            `<li><code>${ this.escapeHtml( event.at ) }</code> ${ this.escapeHtml( describeEvent( event ) ) }</li>`
+        ).join( '' );
+
+        return `
+                <div class="status-card">
+                    <h2>🔌 Socket Connection</h2>
+                    <div class="info-row">
+                        <span class="label">Socket:</span>
+                        <span class="value">${ this.escapeHtml( reconnect.status ) }</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="label">Reconnects:</span>
+                        <span class="value">${ reconnect.reconnects }</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="label">Last Message:</span>
+                        <span class="value">${ reconnect.lastMessageAt || 'N/A' }</span>
+                    </div>
+                    ${ reconnect.nextAttemptAt ? `<div class="info-row">
+                        <span class="label">Next Attempt:</span>
+                        <span class="value">${ reconnect.nextAttemptAt }</span>
+                    </div>` : '' }
+                    ${ events ? `<ul class="event-list">${ events }</ul>` : '<p class="event-list">No disconnects since the bot started</p>' }
+                </div>`;
+    }
+
+    /**
+     * Generate the chat message ingestion card for the status page
+     * @param {Object|null} ingestion - Bot.getIngestionStatus()
+     * @returns {string} HTML card, or an empty string before the bot has connected
+     */
+    generateIngestionCard ( ingestion ) {
+        if ( !ingestion ) return '';
+
+        const formatLatency = latency => latency.samples
+            ? `avg ${ latency.avgMs }ms, p95 ${ latency.p95Ms }ms, max ${ latency.maxMs }ms`
+            : 'N/A';
+        const sourceRows = Object.entries( ingestion.sources ).map( ( [ source, stats ] ) => `
+                    <div class="info-row">
+                        <span class="label">${ this.escapeHtml( source === 'push' ? 'Pushed' : 'Polled' ) }:</span>
+                        <span class="value">${ stats.received } received, ${ stats.duplicates } duplicate${ stats.duplicates === 1 ? '' : 's' } dropped</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="label">${ this.escapeHtml( source === 'push' ? 'Push' : 'Poll' ) } Latency:</span>
+                        <span class="value">${ formatLatency( stats.ingestLatency ) }</span>
+                    </div>` ).join( '' );
+
+        const transport = ingestion.transport === 'push'
+            ? 'Push (websocket)'
+            : `Polling${ ingestion.pushEnabled ? ' (push disconnected)' : '' }`;
+
+        return `
+                <div class="status-card">
+                    <h2>📨 Chat Messages</h2>
+                    <div class="info-row">
+                        <span class="label">Transport:</span>
+                        <span class="value">${ transport }</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="label">Handled:</span>
+                        <span class="value">${ ingestion.processed } (${ ingestion.failed } failed)</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="label">Queue:</span>
+                        <span class="value">${ ingestion.queueLength } waiting, most ${ ingestion.maxQueueLength }</span>
+                    </div>${ sourceRows }
+                </div>`;
+    }
+
     /**
      * Generate live status page with bot and hangout information
      * @returns {Promise<string>} HTML page
@@ -999,6 +1130,12 @@ class DocumentationService {
             // Get vote counts
             const voteCounts = state.voteCounts || { likes: 0, dislikes: 0, stars: 0 };
 
+            // Socket reconnects
+            const reconnectCard = this.generateReconnectCard( this.services.bot?.getReconnectStatus?.() );
+
+            // Chat message ingestion
+            const ingestionCard = this.generateIngestionCard( this.services.bot?.getIngestionStatus?.() );
+
             // Connection status
             const isConnected = hangoutName !== 'Not connected';
             const connectionStatus = isConnected
@@ -1078,6 +1215,8 @@ class DocumentationService {
                         </span>
                     </div>
                 </div>
+                ${ reconnectCard }
+                ${ ingestionCard }
             </div>
 
             <style>
@@ -1118,6 +1257,15 @@ class DocumentationService {
                     font-weight: 400;
                     text-align: right;
                 }
+                .event-list {
+                    list-style: none;
+                    margin-top: 10px;
+                    font-size: 0.9em;
+                    color: #bdbdbd;
+                }
+                .event-list li {
+                    padding: 4px 0;
+                }
                 .info-row code {
                     background: rgba(0, 0, 0, 0.3);
                     padding: 2px 6px;
@@ -1149,6 +1297,7 @@ class DocumentationService {
             const tokenList = await tokenService.getTokenList();
 
             const builtInTokens = tokenList.filter( t => t.type === 'built-in' );
+            const computedTokens = tokenList.filter( t => t.type === 'computed' );
             const customTokens = tokenList.filter( t => t.type === 'custom' );
 
             let content = `
@@ -1182,6 +1331,32 @@ class DocumentationService {
                 `;
             }
 
+            // Computed tokens section
+            if ( computedTokens.length > 0 ) {
+                content += `
+                <div class="token-section">
+                    <h2>🧮 Computed Tokens (${ computedTokens.length })</h2>
+                    <p>These look things up when the message is sent. Where a token takes a parameter, write it after a colon —
+                    another token such as <code>{plays:artistName}</code> or plain text such as <code>{plays:Queen}</code>.
+                    Use <code>!token compute</code> to save one under your own name.</p>
+                    <div class="token-grid">
+                `;
+
+                computedTokens.forEach( token => {
+                    content += `
+                        <div class="token-card">
+                            <div class="token-name"><code>${ this.escapeHtml( token.name ) }</code></div>
+                            <div class="token-description">${ this.escapeHtml( token.description ) }</div>
+                        </div>
+                    `;
+                } );
+
+                content += `
+                    </div>
+                </div>
+                `;
+            }
+
             // Custom tokens section
             if ( customTokens.length > 0 ) {
                 content += `
@@ -1195,6 +1370,7 @@ class DocumentationService {
                         <div class="token-card custom">
                             <div class="token-name"><code>${ this.escapeHtml( token.name ) }</code></div>
                             <div class="token-description">${ this.escapeHtml( token.description ) }</div>
+                            ${ token.valueType === 'computed' ? `<div class="token-meta">Computed: <code>${ this.escapeHtml( `{${ token.source }${ token.param ? `:${ token.param }` : '' }}` ) }</code></div>` : '' }
                             ${ token.createdAt ? `<div class="token-meta">Created: ${ new Date( token.createdAt ).toLocaleDateString() }</div>` : '' }
                         </div>
                     `;
@@ -1390,6 +1566,75 @@ class DocumentationService {
                 }
             }
 
+            // Revision timeline across all personalities, newest first
+            let revisionsHTML = '<p style="color: #888;">No revisions yet</p>';
+            if ( databaseService && databaseService.initialized ) {
+                try {
+                    const revisions = await databaseService.getRecentPersonalityRevisions( 15 );
+                    if ( revisions.length > 0 ) {
+                        revisionsHTML = revisions.map( r => {
+                            const author = r.author || ( r.author_uuid ? r.author_uuid.slice( 0, 8 ) : '' );
+                            return `
+                                <div class="revision-item">
+                                    <div class="personality-header">
+                                        <strong>${ this.escapeHtml( r.name ) }</strong>
+                                        <span class="revision-number">r${ r.revision }</span>
+                                    </div>
+                                    <div class="personality-desc">${ this.escapeHtml( r.action ) }${ author ? ` by ${ this.escapeHtml( author ) }` : '' }</div>
+                                    <div class="personality-date">${ this.escapeHtml( r.created_at ) } UTC</div>
+                                </div>
+                            `;
+                        } ).join( '' );
+                    }
+                } catch ( error ) {
+                    revisionsHTML = '<p style="color: #f44336;">Error loading revisions</p>';
+                }
+            }
+
+            // Scheduled and theme switches, with the current and next personality
+            let scheduleHTML = '';
+            const personalityService = this.services.personalityService;
+            if ( personalityService ) {
+                const next = personalityService.getNextScheduled();
+                const schedules = personalityService.listSchedules();
+                const themes = Object.entries( personalityService.getThemePersonalities() );
+                const switches = personalityService.getOptions().switchLog.slice( 0, 5 );
+
+                const row = ( label, value ) => `
+                            <div class="config-row">
+                                <span class="label">${ label }</span>
+                                <span class="value">${ value }</span>
+                            </div>`;
+
+                scheduleHTML = `
+                    <div class="personality-section">
+                        <h2>🗓️ Personality Schedule</h2>
+                        <div class="config-card">
+                            ${ row( 'Current:', this.escapeHtml( activePersonality || 'None' ) ) }
+                            ${ row( 'Next Scheduled:', next
+                                ? `${ this.escapeHtml( next.personality ) } at ${ this.escapeHtml( next.at ) }`
+                                : 'Nothing scheduled' ) }
+                            ${ schedules.map( entry => row(
+                                `#${ entry.id }:`,
+                                `${ this.escapeHtml( PersonalityService.describeSchedule( entry ) ) } → ${ this.escapeHtml( entry.personality ) }`
+                            ) ).join( '' ) }
+                            ${ themes.map( ( [ theme, personality ] ) => row(
+                                'Theme:',
+                                `${ this.escapeHtml( theme ) } → ${ this.escapeHtml( personality ) }`
+                            ) ).join( '' ) }
+                        </div>
+                        ${ switches.length ? `
+                        <h3>Recent Switches</h3>
+                        <div class="config-card">
+                            ${ switches.map( entry => row(
+                                `${ this.escapeHtml( new Date( entry.at ).toLocaleString( 'en-GB', { timeZone: personalityService.getTimezone() } ) ) }:`,
+                                `${ this.escapeHtml( entry.personality ) } (${ this.escapeHtml( entry.reason ) })`
+                            ) ).join( '' ) }
+                        </div>
+                        ` : '' }
+                    </div>`;
+            }
+
             const content = `
             <div class="personality-layout">
                 <div class="personality-main">
@@ -1430,6 +1675,8 @@ class DocumentationService {
                         </div>
                     </div>
 
+                    ${ scheduleHTML }
+
                     <div class="personality-section">
                         <h2>💭 AI Personality</h2>
                         <div class="instructions-card">
@@ -1450,6 +1697,11 @@ class DocumentationService {
                     <div class="personalities-list">
                         ${ personalitiesHTML }
                     </div>
+
+                    <h2>📜 Revision Timeline</h2>
+                    <div class="revision-timeline">
+                        ${ revisionsHTML }
+                    </div>
                 </div>
             </div>
 
@@ -1525,6 +1777,20 @@ class DocumentationService {
                     color: #666;
                     font-size: 0.75em;
                 }
+                .personalities-list + h2 {
+                    margin-top: 30px;
+                }
+                .revision-timeline {
+                    border-left: 2px solid rgba(100, 181, 246, 0.4);
+                    padding-left: 15px;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 10px;
+                }
+                .revision-number {
+                    color: #64b5f6;
+                    font-size: 0.8em;
+                }
                 .intro {
                     background: rgba(100, 181, 246, 0.1);
                     border-left: 4px solid #64b5f6;
@@ -1622,6 +1888,8 @@ class DocumentationService {
                 conversationCount = await databaseService.getConversationCount();
             }
 
+            const llmUsageSection = this.generateLlmUsageSection();
+
             let content = `
             <div class="stats-container">
                 <div class="intro">
@@ -1688,6 +1956,8 @@ class DocumentationService {
                     </div>
                 </div>
                 ` : '' }
+
+                ${ llmUsageSection }
             </div>
 
             <style>
@@ -1817,6 +2087,62 @@ class DocumentationService {
             return this.generateHtmlWrapper( 'Error', '<p>Failed to generate statistics page</p>' );
         }
     }
+
+    /**
+     * Build the LLM usage section of the stats page
+     * @returns {string} HTML, or an empty string if usage isn't being recorded
+     */
+    generateLlmUsageSection () {
+        const llmUsageService = this.services.llmUsageService;
+        if ( !llmUsageService?.isAvailable() ) {
+            return '';
+        }
+
+        const limits = llmUsageService.getLimits();
+        const periods = [
+            { label: 'Today', totals: llmUsageService.getTotals( 'today' ), limit: limits.today },
+            { label: 'This Month', totals: llmUsageService.getTotals( 'month' ), limit: limits.month }
+        ];
+        const backends = llmUsageService.getBreakdown( 'month', 'backend' );
+        const commands = llmUsageService.getBreakdown( 'month', 'command' );
+        const budget = llmUsageService.checkBudget();
+        const withLimit = ( used, limit ) => limit ? `${ used } / ${ limit }` : `${ used }`;
+        const breakdownRows = rows => rows.map( row => `
+                        <div class="dj-card">
+                            <div class="dj-info">
+                                <div class="dj-nickname">${ this.escapeHtml( row.name || 'unknown' ) }</div>
+                                <div class="dj-stats">${ row.calls } calls${ row.failures ? `, ${ row.failures } failed` : '' }, ${ row.tokens } tokens</div>
+                            </div>
+                        </div>
+                        ` ).join( '' );
+
+        return `
+                <div class="stats-section">
+                    <h2>🤖 LLM Usage</h2>
+                    ${ budget.exceeded ? `<p class="empty-state">🪫 The ${ budget.period === 'today' ? 'daily' : 'monthly' } ${ budget.metric } budget is used up — AI commands are paused</p>` : '' }
+                    <div class="stats-grid">
+                        ${ periods.map( ( { label, totals, limit } ) => `
+                        <div class="stat-card">
+                            <div class="stat-number">${ withLimit( totals.calls, limit.calls ) }</div>
+                            <div class="stat-label">LLM Calls ${ label }</div>
+                        </div>
+                        <div class="stat-card">
+                            <div class="stat-number">${ withLimit( totals.tokens, limit.tokens ) }</div>
+                            <div class="stat-label">Tokens ${ label }</div>
+                        </div>
+                        ` ).join( '' ) }
+                    </div>
+                    ${ backends.length > 0 ? `
+                    <h3>By backend this month</h3>
+                    <div class="djs-list">${ breakdownRows( backends ) }</div>
+                    ` : '' }
+                    ${ commands.length > 0 ? `
+                    <h3>By command this month</h3>
+                    <div class="djs-list">${ breakdownRows( commands ) }</div>
+                    ` : '' }
+                </div>
+        `;
+    }
 }
 
 module.exports = DocumentationService;
@@ -207,6 +207,71 @@ class GemmaBackend {
         return this.currentChat;
     }
 
+    /**
+     * Add a response's token counts to a running total
+     * @private
+     * @param {Object} usage - Running totals (promptTokens, completionTokens, totalTokens)
+     * @param {Object} response - Response from chat.sendMessage
+     */
+    addUsage ( usage, response ) {
+        const metadata = response?.usageMetadata;
+        if ( !metadata ) {
+            return;
+        }
+
+        usage.promptTokens += metadata.promptTokenCount || 0;
+        usage.completionTokens += metadata.candidatesTokenCount || 0;
+        usage.totalTokens += metadata.totalTokenCount || 0;
+    }
+
+    /**
+     * Describe the available tools and how to call them, for inclusion in the prompt
+     * @private
+     * @param {Array} definitions - Tool definitions from llmToolService
+     * @returns {string} Tool instructions
+     */
+    formatToolInstructions ( definitions ) {
+        const lines = [
+            '## Tools',
+            'You can look up facts with these tools. To use one, reply with nothing but a single line:',
+            'TOOL_CALL: {"name": "<tool name>", "arguments": {<arguments>}}',
+            'You will be sent a TOOL_RESULT; then either call another tool or give your final answer. Only call a tool when you need it.'
+        ];
+
+        for ( const definition of definitions ) {
+            const properties = Object.entries( definition.parameters?.properties || {} )
+                .map( ( [ name, schema ] ) => `${ name } (${ schema.type })` );
+            lines.push( `- ${ definition.name }(${ properties.join( ', ' ) }): ${ definition.description }` );
+        }
+
+        return lines.join( '\n' );
+    }
+
+    /**
+     * Pull a tool request out of a model response
+     * @private
+     * @param {string} text - Model response
+     * @returns {{name: string, arguments: Object}|null} The requested call, or null if the response is an answer
+     */
+    parseToolCall ( text ) {
+        if ( !text || typeof text !== 'string' ) {
+            return null;
+        }
+
+        const match = text.match( /TOOL_CALL:\s*(\{[\s\S]*\})/ );
+        if ( !match ) {
+            return null;
+        }
+
+        try {
+            const call = JSON.parse( match[ 1 ] );
+            return call?.name ? { name: call.name, arguments: call.arguments || {} } : null;
+        } catch ( error ) {
+            logger.debug( `🤖 [GemmaBackend] Could not parse tool call: ${ match[ 1 ] }` );
+            return null;
+        }
+    }
+
     /**
      * Query the Gemma backend with a prompt
      * @param {string} prompt - The prompt to send
@@ -288,6 +353,11 @@ class GemmaBackend {
             fullPrompt += systemInstruction.join( '\n\n' ) + '\n\n';
         }
 
+        const tools = options.tools?.definitions?.length ? options.tools : null;
+        if ( tools ) {
+            fullPrompt += this.formatToolInstructions( tools.definitions ) + '\n\n';
+        }
+
         fullPrompt += prompt + '<end_of_turn>\n<start_of_turn>model\n';
         promptToSend = normalizeText( fullPrompt );
 
@@ -295,20 +365,50 @@ class GemmaBackend {
 
         logger.debug( `🤖 [GemmaBackend] Trying model ${ model }` );
 
-        const response = await chat.sendMessage( {
+        let response = await chat.sendMessage( {
             message: promptToSend
         } );
+        const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+        this.addUsage( usage, response );
 
         let responseText = response.text;
         responseText = this.cleanGeminiTokens( responseText );
 
+        // Gemma has no native function calling, so tool requests come back as
+        // TOOL_CALL lines; answer each one and let the model carry on
+        for ( let round = 0; tools && round <= tools.maxCalls; round++ ) {
+            const toolCall = this.parseToolCall( responseText );
+            if ( !toolCall ) {
+                break;
+            }
+
+            logger.debug( `🤖 [GemmaBackend] Model ${ model } requested tool ${ toolCall.name }` );
+            const result = await tools.callTool( toolCall.name, toolCall.arguments );
+
+            response = await chat.sendMessage( {
+                message: `<start_of_turn>user\nTOOL_RESULT ${ toolCall.name }: ${ JSON.stringify( result ) }<end_of_turn>\n<start_of_turn>model\n`
+            } );
+            this.addUsage( usage, response );
+            responseText = this.cleanGeminiTokens( response.text );
+        }
+
+        if ( tools && this.parseToolCall( responseText ) ) {
+            logger.warn( `🤖 [GemmaBackend] Model ${ model } was still asking for tools after ${ tools.calls.length } calls` );
+            return {
+                success: false,
+                response: null,
+                error: "Tool call limit exceeded"
+            };
+        }
+
         if ( responseText && responseText !== "No response text available" ) {
             logger.info( `🤖 [GemmaBackend] Successfully used model: ${ model }` );
             return {
                 success: true,
                 response: responseText,
                 model: model,
-                tokens: null
+                tokens: usage.totalTokens || null,
+                usage: usage.totalTokens ? usage : null
             };
         }
 
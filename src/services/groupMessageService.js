@@ -56,6 +56,32 @@ function filterMessagesForCommands ( messages ) {
     } );
 }
 
+/**
+ * Format a raw CometChat group message the way the bot processes it
+ * @param {Object} msg - Message as returned by the messages API or pushed by the SDK
+ * @returns {Object} { id, text, sender, sentAt, updatedAt, data }
+ */
+function formatGroupMessage ( msg ) {
+    const text = msg.data?.text || '[No Text]';
+
+    // Extract sender UUID from nested structure
+    const senderFromData = msg.data?.entities?.sender?.entity?.uid;
+    const senderFromChatMessage = msg.data?.metadata?.chatMessage?.userUuid;
+    const senderFromCustomData = msg.data?.metadata?.message?.customData?.userUuid;
+
+    // Try multiple extraction paths in order of preference
+    const extractedSender = msg.sender?.uid || senderFromData || senderFromChatMessage || senderFromCustomData || 'Unknown';
+
+    return {
+        id: msg.id,
+        text: text,
+        sender: extractedSender,
+        sentAt: msg.sentAt,
+        updatedAt: msg.updatedAt,
+        data: msg.data // Include original data for backward compatibility
+    };
+}
+
 // ===============
 // Group Message Service
 // ===============
@@ -71,6 +97,7 @@ const groupMessageService = {
     getHighestProcessedMessageTimestamp,
     setHighestProcessedMessageTimestamp,
     filterMessagesForCommands,
+    formatGroupMessage,
 
     /**
      * Join a chat group
@@ -265,26 +292,7 @@ const groupMessageService = {
                 filteredMessages = filterMessagesForCommands( filteredMessages );
             }
 
-            const formattedMessages = filteredMessages.map( msg => {
-                const text = msg.data?.text || '[No Text]';
-
-                // Extract sender UUID from nested structure
-                const senderFromData = msg.data?.entities?.sender?.entity?.uid;
-                const senderFromChatMessage = msg.data?.metadata?.chatMessage?.userUuid;
-                const senderFromCustomData = msg.data?.metadata?.message?.customData?.userUuid;
-
-                // Try multiple extraction paths in order of preference
-                const extractedSender = msg.sender?.uid || senderFromData || senderFromChatMessage || senderFromCustomData || 'Unknown';
-
-                return {
-                    id: msg.id,
-                    text: text,
-                    sender: extractedSender,
-                    sentAt: msg.sentAt,
-                    updatedAt: msg.updatedAt,
-                    data: msg.data // Include original data for backward compatibility
-                };
-            } );
+            const formattedMessages = filteredMessages.map( formatGroupMessage );
 
             // Update highest processed ID and timestamp to the max we just processed
             if ( formattedMessages.length > 0 ) {
@@ -0,0 +1,236 @@
+const { logger } = require( '../lib/logging.js' );
+
+const DEFAULT_MAX_CALLS_PER_QUERY = 3;
+const MAX_RECENT_PLAYS = 20;
+const LOG_PREVIEW_LENGTH = 300;
+
+/**
+ * A set of tools handed to a single LLM query. Counts and logs every call so
+ * one question can't run away with lookups.
+ */
+class ToolSet {
+    constructor ( toolService, { label = 'query', maxCalls } = {} ) {
+        this.toolService = toolService;
+        this.label = label;
+        this.maxCalls = maxCalls;
+        this.definitions = toolService.getToolDefinitions();
+        this.calls = [];
+    }
+
+    get remaining () {
+        return Math.max( 0, this.maxCalls - this.calls.length );
+    }
+
+    get exhausted () {
+        return this.remaining === 0;
+    }
+
+    /**
+     * Run a tool requested by the model
+     * @param {string} name - Tool name
+     * @param {Object|string} args - Tool arguments, as an object or JSON string
+     * @returns {Promise<Object>} The tool result, or { error } if it couldn't be run
+     */
+    async callTool ( name, args ) {
+        if ( this.exhausted ) {
+            logger.warn( `[llmToolService] ${ this.label }: tool call limit (${ this.maxCalls }) reached, refusing ${ name }` );
+            return { error: 'Tool call limit reached. Answer with the information you already have.' };
+        }
+
+        let parsedArgs = args || {};
+        if ( typeof parsedArgs === 'string' ) {
+            try {
+                parsedArgs = parsedArgs.trim() ? JSON.parse( parsedArgs ) : {};
+            } catch ( error ) {
+                parsedArgs = {};
+            }
+        }
+
+        logger.info( `[llmToolService] ${ this.label }: calling ${ name }(${ JSON.stringify( parsedArgs ) })` );
+
+        let result;
+        try {
+            result = await this.toolService.runTool( name, parsedArgs );
+        } catch ( error ) {
+            result = { error: error.message };
+        }
+
+        this.calls.push( { name, args: parsedArgs, result } );
+        logger.info( `[llmToolService] ${ this.label }: ${ name } returned ${ JSON.stringify( result ).slice( 0, LOG_PREVIEW_LENGTH ) }` );
+        return result;
+    }
+}
+
+/**
+ * LlmToolService - Functions the LLM can call to look up room state and song
+ * history on demand rather than having everything stuffed into the prompt.
+ *
+ * The per-query call limit lives in botConfig under llmTools.maxCallsPerQuery.
+ */
+class LlmToolService {
+    constructor ( services ) {
+        this.services = services;
+        this.tools = {
+            get_current_song: {
+                description: 'Get the song that is playing in the room right now and the DJ who is playing it',
+                parameters: { type: 'object', properties: {} },
+                run: () => this.getCurrentSong()
+            },
+            list_djs: {
+                description: 'List the DJs currently on stage, in play order',
+                parameters: { type: 'object', properties: {} },
+                run: () => this.listDjs()
+            },
+            get_recent_plays: {
+                description: 'Get the most recently played songs in the room, newest first, with who played them and how they were received',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        count: { type: 'integer', description: `How many plays to return (1-${ MAX_RECENT_PLAYS })` }
+                    }
+                },
+                run: args => this.getRecentPlays( args.count )
+            },
+            get_user_stats: {
+                description: 'Look up a DJ\'s play history in the room: total plays, likes, stars, favourite artist and when they first and last played',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        nickname: { type: 'string', description: 'The DJ\'s nickname' }
+                    },
+                    required: [ 'nickname' ]
+                },
+                run: args => this.getUserStats( args.nickname )
+            },
+            verify_song: {
+                description: 'Check facts about a song (release date, album, genres, artist details) against Wikipedia, Wikidata and MusicBrainz',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        artist: { type: 'string', description: 'Artist name' },
+                        track: { type: 'string', description: 'Track name' }
+                    },
+                    required: [ 'artist', 'track' ]
+                },
+                run: args => this.verifySong( args.artist, args.track )
+            }
+        };
+    }
+
+    getMaxCallsPerQuery () {
+        const maxCalls = this.services.dataService?.getValue( 'llmTools.maxCallsPerQuery' );
+        return Number.isInteger( maxCalls ) && maxCalls >= 0 ? maxCalls : DEFAULT_MAX_CALLS_PER_QUERY;
+    }
+
+    /**
+     * Tool declarations in the JSON-schema form both backends understand
+     * @returns {Array<{name: string, description: string, parameters: Object}>}
+     */
+    getToolDefinitions () {
+        return Object.entries( this.tools ).map( ( [ name, tool ] ) => ( {
+            name,
+            description: tool.description,
+            parameters: tool.parameters
+        } ) );
+    }
+
+    /**
+     * Create the tool set for one query
+     * @param {string} label - What the query is for, used in the logs
+     * @returns {ToolSet}
+     */
+    createToolSet ( label ) {
+        return new ToolSet( this, { label, maxCalls: this.getMaxCallsPerQuery() } );
+    }
+
+    /**
+     * Run a tool by name
+     * @param {string} name - Tool name
+     * @param {Object} args - Parsed arguments
+     * @returns {Promise<Object>}
+     */
+    async runTool ( name, args = {} ) {
+        const tool = this.tools[ name ];
+        if ( !tool ) {
+            return { error: `Unknown tool: ${ name }` };
+        }
+        return await tool.run( args );
+    }
+
+    _getNickname ( uuid ) {
+        return this.services.stateService?._getAllUserData?.()?.[ uuid ]?.userProfile?.nickname || null;
+    }
+
+    getCurrentSong () {
+        const song = this.services.hangoutState?.nowPlaying?.song;
+        if ( !song?.trackName ) {
+            return { playing: false };
+        }
+
+        const djUuid = this.services.hangoutState?.djs?.[ 0 ]?.uuid;
+        return {
+            playing: true,
+            artistName: song.artistName,
+            trackName: song.trackName,
+            dj: djUuid ? this._getNickname( djUuid ) : null
+        };
+    }
+
+    listDjs () {
+        const djs = this.services.stateService?._getDjs?.() || [];
+        return {
+            djs: djs.map( ( dj, index ) => ( {
+                position: index + 1,
+                nickname: this._getNickname( dj.uuid ) || 'unknown'
+            } ) )
+        };
+    }
+
+    getRecentPlays ( count ) {
+        const databaseService = this.services.databaseService;
+        if ( !databaseService?.initialized ) {
+            return { error: 'Play history is not available' };
+        }
+
+        const limit = Math.min( Math.max( parseInt( count, 10 ) || 5, 1 ), MAX_RECENT_PLAYS );
+        return {
+            plays: databaseService.getRecentSongs( limit ).map( play => ( {
+                artistName: play.artist_name,
+                trackName: play.track_name,
+                dj: play.nickname || null,
+                playedAt: play.timestamp,
+                likes: play.likes,
+                dislikes: play.dislikes,
+                stars: play.stars
+            } ) )
+        };
+    }
+
+    getUserStats ( nickname ) {
+        const statsService = this.services.statsService;
+        if ( !nickname || !statsService?.isAvailable() ) {
+            return { error: 'Stats are not available' };
+        }
+
+        const dj = statsService.findDj( nickname );
+        const stats = dj ? statsService.getDjStats( dj.uuid ) : null;
+        if ( !stats ) {
+            return { found: false, nickname };
+        }
+        return { found: true, nickname: dj.nickname, ...stats };
+    }
+
+    async verifySong ( artist, track ) {
+        const verificationService = this.services.verificationService;
+        if ( !artist || !track || !verificationService ) {
+            return { error: 'Song verification is not available' };
+        }
+
+        const result = await verificationService.verify( `${ artist } - ${ track }`, { artist, track } );
+        return result.found ? { found: true, ...result.data } : { found: false };
+    }
+}
+
+LlmToolService.DEFAULT_MAX_CALLS_PER_QUERY = DEFAULT_MAX_CALLS_PER_QUERY;
+
+module.exports = LlmToolService;
@@ -0,0 +1,119 @@
+const { logger } = require( '../lib/logging.js' );
+
+// SQLite datetime modifiers for each reporting period (budgets reset at midnight UTC)
+const PERIODS = {
+    today: 'start of day',
+    month: 'start of month',
+    all: null
+};
+
+const BUDGET_MESSAGES = {
+    today: '🪫 I\'ve used up today\'s AI budget, so I can\'t answer that right now. Try again tomorrow!',
+    month: '🪫 I\'ve used up this month\'s AI budget, so I can\'t answer that right now.'
+};
+
+/**
+ * LlmUsageService - Records every LLM backend call (backend, model, command,
+ * user, latency, outcome and tokens) and enforces optional daily and monthly
+ * budgets so the bot degrades gracefully instead of running up a bill.
+ *
+ * Limits live in botConfig under llmBudget: dailyCalls, dailyTokens,
+ * monthlyCalls and monthlyTokens. Anything unset or 0 is unlimited.
+ */
+class LlmUsageService {
+    constructor ( services ) {
+        this.services = services;
+    }
+
+    isAvailable () {
+        return !!this.services.databaseService?.initialized;
+    }
+
+    static parsePeriod ( period ) {
+        const key = ( period || 'today' ).toLowerCase();
+        return Object.prototype.hasOwnProperty.call( PERIODS, key ) ? key : null;
+    }
+
+    /**
+     * Record one call to a backend. Never throws - accounting must not break answers.
+     * @param {Object} usage - backend, model, command, userUuid, latencyMs, success, error and token counts
+     */
+    record ( usage ) {
+        if ( !this.isAvailable() ) return;
+        try {
+            this.services.databaseService.recordLlmUsage( usage );
+        } catch ( error ) {
+            logger.error( `[llmUsageService] Failed to record usage: ${ error.message }` );
+        }
+    }
+
+    /**
+     * @param {string} period - 'today', 'month' or 'all'
+     * @returns {{calls: number, failures: number, tokens: number, avgLatencyMs: number}}
+     */
+    getTotals ( period = 'today' ) {
+        const empty = { calls: 0, failures: 0, tokens: 0, avgLatencyMs: 0 };
+        if ( !this.isAvailable() ) return empty;
+        try {
+            return this.services.databaseService.getLlmUsageTotals( PERIODS[ period ] ?? null ) || empty;
+        } catch ( error ) {
+            logger.error( `[llmUsageService] Failed to read usage totals: ${ error.message }` );
+            return empty;
+        }
+    }
+
+    /**
+     * @param {string} period - 'today', 'month' or 'all'
+     * @param {string} groupBy - 'backend', 'model' or 'command'
+     * @returns {Array<{name: string, calls: number, failures: number, tokens: number}>}
+     */
+    getBreakdown ( period = 'today', groupBy = 'backend' ) {
+        if ( !this.isAvailable() ) return [];
+        try {
+            return this.services.databaseService.getLlmUsageBreakdown( PERIODS[ period ] ?? null, groupBy );
+        } catch ( error ) {
+            logger.error( `[llmUsageService] Failed to read usage breakdown: ${ error.message }` );
+            return [];
+        }
+    }
+
+    /**
+     * The configured limits; 0 means unlimited
+     * @returns {{today: {calls: number, tokens: number}, month: {calls: number, tokens: number}}}
+     */
+    getLimits () {
+        const limit = key => {
+            const value = this.services.dataService?.getValue( `llmBudget.${ key }` );
+            return Number.isInteger( value ) && value > 0 ? value : 0;
+        };
+        return {
+            today: { calls: limit( 'dailyCalls' ), tokens: limit( 'dailyTokens' ) },
+            month: { calls: limit( 'monthlyCalls' ), tokens: limit( 'monthlyTokens' ) }
+        };
+    }
+
+    /**
+     * Check whether a daily or monthly budget has been used up
+     * @returns {{exceeded: boolean, period?: string, metric?: string, used?: number, limit?: number, message?: string}}
+     */
+    checkBudget () {
+        const limits = this.getLimits();
+        for ( const period of [ 'today', 'month' ] ) {
+            const { calls, tokens } = limits[ period ];
+            if ( !calls && !tokens ) continue;
+
+            const totals = this.getTotals( period );
+            for ( const [ metric, limit, used ] of [ [ 'calls', calls, totals.calls ], [ 'tokens', tokens, totals.tokens ] ] ) {
+                if ( limit && used >= limit ) {
+                    return { exceeded: true, period, metric, used, limit, message: BUDGET_MESSAGES[ period ] };
+                }
+            }
+        }
+        return { exceeded: false };
+    }
+}
+
+LlmUsageService.PERIODS = PERIODS;
+LlmUsageService.BUDGET_MESSAGES = BUDGET_MESSAGES;
+
+module.exports = LlmUsageService;
@@ -0,0 +1,314 @@
+const axios = require( "axios" );
+const { logger } = require( "../lib/logging" );
+const { normalizeText } = require( "../lib/textUtils" );
+
+const DEFAULT_BASE_URL = "http://localhost:11434/v1";
+const DEFAULT_TIMEOUT_MS = 120000;
+
+/**
+ * Local Backend for Machine Learning Service
+ * Talks to any self-hosted server with an OpenAI-compatible HTTP API
+ * (Ollama, llama.cpp server, vLLM, LM Studio...)
+ *
+ * Configured under llmBackend.local in botConfig:
+ *   baseUrl   - API root including the version, e.g. http://localhost:11434/v1
+ *   models    - Models to try, in order (defaults to whatever the server lists)
+ *   timeoutMs - Request timeout; local models can be slow to answer
+ * LOCAL_LLM_API_KEY is sent as a bearer token if the server needs one.
+ */
+class LocalBackend {
+    constructor () {
+        this.apiKey = process.env.LOCAL_LLM_API_KEY;
+        this.client = null;
+        this.baseUrl = null;
+        this.configuredModels = [];
+        this.availableModels = [];
+    }
+
+    /**
+     * Initialize the local backend
+     * @param {Object} config - Configuration object
+     * @returns {Promise<Object>} Initialization status
+     */
+    async initialize ( config = {} ) {
+        try {
+            const validation = this.validateConfig( config );
+            if ( !validation.valid ) {
+                return {
+                    success: false,
+                    error: validation.errors.join( ", " )
+                };
+            }
+
+            this.baseUrl = ( config.baseUrl || DEFAULT_BASE_URL ).replace( /\/+$/, "" );
+            this.configuredModels = Array.isArray( config.models ) ? config.models : [];
+
+            const headers = { "Content-Type": "application/json" };
+            if ( this.apiKey ) {
+                headers.Authorization = `Bearer ${ this.apiKey }`;
+            }
+
+            this.client = axios.create( {
+                baseURL: this.baseUrl,
+                timeout: config.timeoutMs || DEFAULT_TIMEOUT_MS,
+                headers
+            } );
+
+            await this.initializeAvailableModels();
+
+            if ( this.configuredModels.length === 0 && this.availableModels.length === 0 ) {
+                this.client = null;
+                return {
+                    success: false,
+                    error: `No models available at ${ this.baseUrl }`
+                };
+            }
+
+            return {
+                success: true,
+                message: "Local backend initialized successfully"
+            };
+        } catch ( error ) {
+            logger.error( `🤖 [LocalBackend] Initialization error: ${ error.message }` );
+            this.client = null;
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Validate configuration for the local backend
+     * @param {Object} config - Configuration to validate
+     * @returns {Object} Validation result
+     */
+    validateConfig ( config = {} ) {
+        const errors = [];
+
+        if ( config.baseUrl && !/^https?:\/\//.test( config.baseUrl ) ) {
+            errors.push( "llmBackend.local.baseUrl must start with http:// or https://" );
+        }
+
+        if ( config.models !== undefined && !Array.isArray( config.models ) ) {
+            errors.push( "llmBackend.local.models must be a list of model names" );
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Check backend health
+     * @returns {Promise<Object>} Health status
+     */
+    async healthCheck () {
+        try {
+            if ( !this.client ) {
+                return {
+                    healthy: false,
+                    status: "not_initialized",
+                    message: "Local backend not initialized"
+                };
+            }
+
+            // Listing models doubles as a connectivity check
+            await this.client.get( "/models" );
+
+            return {
+                healthy: true,
+                status: "operational",
+                message: `Local backend operational at ${ this.baseUrl } with ${ this.getModelsToTry().length } available models`
+            };
+        } catch ( error ) {
+            logger.error( `🤖 [LocalBackend] Health check error: ${ error.message }` );
+            return {
+                healthy: false,
+                status: "error",
+                message: error.message
+            };
+        }
+    }
+
+    /**
+     * Load the list of models the server offers
+     * @private
+     */
+    async initializeAvailableModels () {
+        try {
+            const response = await this.client.get( "/models" );
+            const modelList = response.data?.data || response.data?.models || [];
+
+            this.availableModels = modelList
+                .map( m => m.id || m.name )
+                .filter( m => m && !m.includes( 'embed' ) )
+                .sort();
+
+            logger.debug( `🤖 [LocalBackend] Available local models: ${ this.availableModels.join( ', ' ) }` );
+        } catch ( error ) {
+            logger.warn( `🤖 [LocalBackend] Could not load available models: ${ error.message }` );
+            this.availableModels = [];
+        }
+    }
+
+    /**
+     * Configured models first, then anything else the server offers
+     * @private
+     * @returns {Array<string>} Models in the order they should be tried
+     */
+    getModelsToTry () {
+        const modelsToTry = [ ...this.configuredModels ];
+        for ( const model of this.availableModels ) {
+            if ( !modelsToTry.includes( model ) ) {
+                modelsToTry.push( model );
+            }
+        }
+        return modelsToTry;
+    }
+
+    /**
+     * Query the local backend with a prompt
+     * @param {string} prompt - The prompt to send
+     * @param {Object} options - Query options
+     * @returns {Promise<Object>} Response object with success, response, and metadata
+     */
+    async queryLLM ( prompt, options = {} ) {
+        if ( !this.client ) {
+            return {
+                success: false,
+                response: null,
+                error: "Local backend not initialized"
+            };
+        }
+
+        const normalizedPrompt = normalizeText( prompt );
+        const modelsToTry = this.getModelsToTry();
+
+        for ( const model of modelsToTry ) {
+            try {
+                const result = await this.tryModel( model, normalizedPrompt, options );
+                if ( result ) {
+                    return result;
+                }
+            } catch ( error ) {
+                const status = error.response?.status;
+                if ( status === 429 ) {
+                    logger.error( `🤖 [LocalBackend] Server is rate limiting requests (429)` );
+                    return {
+                        success: false,
+                        response: null,
+                        error: "API quota exceeded"
+                    };
+                }
+
+                logger.warn( `🤖 [LocalBackend] Error with model ${ model }: ${ error.response?.data?.error?.message || error.message }` );
+            }
+        }
+
+        logger.error( `🤖 [LocalBackend] All models exhausted (${ modelsToTry.length } attempted)` );
+        return {
+            success: false,
+            response: null,
+            error: "All models exhausted"
+        };
+    }
+
+    /**
+     * Try a single model
+     * @private
+     * @param {string} model - Model name
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Query options
+     * @returns {Promise<Object|null>} Response object, or null if the model gave no answer
+     */
+    async tryModel ( model, prompt, options = {} ) {
+        const systemInstruction = options.systemInstruction || null;
+
+        logger.debug( `🤖 [LocalBackend] Trying model ${ model }` );
+
+        const messages = [];
+        if ( systemInstruction && systemInstruction.length > 0 ) {
+            messages.push( {
+                role: "system",
+                content: systemInstruction.join( '\n\n' )
+            } );
+        }
+        messages.push( {
+            role: "user",
+            content: prompt
+        } );
+
+        const tools = options.tools?.definitions?.length ? options.tools : null;
+        const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+        let hasUsage = false;
+        let responseText = null;
+
+        // Same tool loop as the Mistral backend, using the OpenAI field names
+        for ( let round = 0; ; round++ ) {
+            const offerTools = tools && !tools.exhausted && round <= tools.maxCalls;
+            const request = {
+                model: model,
+                messages: messages,
+                temperature: 0.8,
+                top_p: 0.8,
+                max_tokens: 1024,
+                stream: false
+            };
+            if ( offerTools ) {
+                request.tools = tools.definitions.map( definition => ( { type: "function", function: definition } ) );
+                request.tool_choice = "auto";
+            }
+
+            const response = await this.client.post( "/chat/completions", request );
+            const choices = response.data?.choices;
+
+            if ( !choices || choices.length === 0 ) {
+                logger.warn( `🤖 [LocalBackend] Model ${ model } returned no response` );
+                return null;
+            }
+
+            if ( response.data.usage ) {
+                hasUsage = true;
+                usage.promptTokens += response.data.usage.prompt_tokens || 0;
+                usage.completionTokens += response.data.usage.completion_tokens || 0;
+                usage.totalTokens += response.data.usage.total_tokens || 0;
+            }
+
+            const message = choices[ 0 ].message || {};
+            if ( !offerTools || !message.tool_calls || message.tool_calls.length === 0 ) {
+                responseText = message.content;
+                break;
+            }
+
+            messages.push( { role: "assistant", content: message.content || "", tool_calls: message.tool_calls } );
+            for ( const toolCall of message.tool_calls ) {
+                logger.debug( `🤖 [LocalBackend] Model ${ model } requested tool ${ toolCall.function?.name }` );
+                const result = await tools.callTool( toolCall.function?.name, toolCall.function?.arguments );
+                messages.push( {
+                    role: "tool",
+                    tool_call_id: toolCall.id,
+                    name: toolCall.function?.name,
+                    content: JSON.stringify( result )
+                } );
+            }
+        }
+
+        if ( responseText && responseText.trim() ) {
+            logger.info( `🤖 [LocalBackend] Successfully used model: ${ model }` );
+            return {
+                success: true,
+                response: responseText.trim(),
+                model: model,
+                tokens: hasUsage ? usage.totalTokens : null,
+                usage: hasUsage ? usage : null
+            };
+        }
+
+        logger.warn( `🤖 [LocalBackend] Model ${ model } returned empty response` );
+        return null;
+    }
+}
+
+module.exports = LocalBackend;
@@ -1,11 +1,21 @@
 const { logger } = require( "../lib/logging" );
 const GemmaBackend = require( "./gemmaBackend" );
 const MistralBackend = require( "./mistralBackend" );
+const LocalBackend = require( "./localBackend" );
+
+// Conversation history defaults, overridable under conversation.* in botConfig
+const DEFAULT_CONVERSATION_HISTORY_LENGTH = 5;
+const DEFAULT_CONVERSATION_RETENTION_DAYS = 7;
+const DEFAULT_CONVERSATION_MAX_ENTRIES = 20;
+
+// What askGoogleAI answers with when no backend could give a real answer
+const NOT_INITIALIZED_RESPONSE = "Machine learning service is not initialized. Please check your configuration.";
+const UNAVAILABLE_RESPONSE = "I'm unable to process your request at the moment. Please try again later.";
 
 /**
  * Machine Learning Service
  * Orchestrator for AI-powered functionality
- * Supports multiple backend implementations (Gemma, Mistral, etc.)
+ * Supports multiple backend implementations (Gemma, Mistral, local OpenAI-compatible servers)
  */
 class MachineLearningService {
   constructor ( services ) {
@@ -13,7 +23,8 @@ class MachineLearningService {
     this.activeBackend = null;
     this.backends = {
       gemma: new GemmaBackend(),
-      mistral: new MistralBackend()
+      mistral: new MistralBackend(),
+      local: new LocalBackend()
     };
     this.config = {
       active: "mistral",
@@ -23,6 +34,9 @@ class MachineLearningService {
       },
       mistral: {
         enabled: true
+      },
+      local: {
+        enabled: true
       }
     };
   }
@@ -175,13 +189,28 @@ class MachineLearningService {
   }
 
   /**
-   * Load conversation history from data service
-   * Currently returns empty array (mlConversationHistory removed)
-   * @deprecated - mlConversationHistory no longer sent with requests
-   * @returns {Array} Empty array
+   * Load a user's recent exchanges with the bot from the database, oldest first
+   * @param {string} userUuid - The user's UUID
+   * @param {number} limit - Maximum number of exchanges (defaults to conversation.historyLength)
+   * @returns {Promise<Array<{timestamp: string, question: string, response: string}>>}
    */
-  async loadConversationHistory ( skipDataLoad = false ) {
-    return [];
+  async loadConversationHistory ( userUuid, limit ) {
+    const databaseService = this.services?.databaseService;
+    if ( !userUuid || !databaseService?.initialized ) {
+      return [];
+    }
+
+    try {
+      const historyLength = limit ?? this.services.dataService?.getValue( 'conversation.historyLength' ) ?? DEFAULT_CONVERSATION_HISTORY_LENGTH;
+      return databaseService.getConversationHistory( userUuid, historyLength ).map( row => ( {
+        timestamp: row.timestamp,
+        question: row.message,
+        response: row.response
+      } ) );
+    } catch ( error ) {
+      logger.error( `🤖 [MachineLearningService] Failed to load conversation history: ${ error.message }` );
+      return [];
+    }
   }
 
   /**
@@ -195,13 +224,31 @@ class MachineLearningService {
   }
 
   /**
-   * Save conversation entry to data service
-   * Currently a no-op (mlConversationHistory no longer stored)
-   * @deprecated - mlConversationHistory no longer stored
+   * Save a user's exchange with the bot, then apply the retention limits
+   * (conversation.retentionDays overall and conversation.maxEntriesPerUser per user)
+   * @param {string} question - What the user said
+   * @param {string} response - The bot's reply
+   * @param {Object} user - { userUuid, nickname }
    * @returns {Promise<void>}
    */
-  async saveConversationEntry ( question, response, skipDataLoad = false ) {
-    return;
+  async saveConversationEntry ( question, response, { userUuid, nickname } = {} ) {
+    const databaseService = this.services?.databaseService;
+    if ( !userUuid || !databaseService?.initialized ) {
+      return;
+    }
+
+    try {
+      databaseService.saveConversationEntry( { userUuid, nickname, message: question, response } );
+
+      const dataService = this.services.dataService;
+      databaseService.pruneConversationHistory( {
+        retentionDays: dataService?.getValue( 'conversation.retentionDays' ) ?? DEFAULT_CONVERSATION_RETENTION_DAYS,
+        userUuid,
+        maxEntriesPerUser: dataService?.getValue( 'conversation.maxEntriesPerUser' ) ?? DEFAULT_CONVERSATION_MAX_ENTRIES
+      } );
+    } catch ( error ) {
+      logger.error( `🤖 [MachineLearningService] Failed to save conversation entry: ${ error.message }` );
+    }
   }
 
   /**
@@ -266,9 +313,9 @@ class MachineLearningService {
       return [];
     }
 
-    // Currently only Gemma backend has model listing
-    if ( this.activeBackend === "gemma" ) {
-      return this.backends.gemma.availableModels || [];
+    // Mistral doesn't expose its model list here
+    if ( this.activeBackend === "gemma" || this.activeBackend === "local" ) {
+      return this.backends[ this.activeBackend ].availableModels || [];
     }
 
     return [];
@@ -277,12 +324,19 @@ class MachineLearningService {
   /**
    * Query the active LLM backend with a question
    * @param {string} theQuestion - The question to ask
-   * @param {Object} chatFunctions - Optional chat functions (reserved for future use)
+   * @param {Object} chatFunctions - Optional tool set from llmToolService.createToolSet() the model may call
+   * @param {Object} usageContext - Optional { command, userUuid } recorded against the call for usage accounting
    * @returns {Promise<string>} The AI's response or error message
    */
-  async askGoogleAI ( theQuestion, chatFunctions ) {
+  async askGoogleAI ( theQuestion, chatFunctions, usageContext = {} ) {
     if ( !this.activeBackend ) {
-      return "Machine learning service is not initialized. Please check your configuration.";
+      return NOT_INITIALIZED_RESPONSE;
+    }
+
+    const budget = this.services?.llmUsageService?.checkBudget();
+    if ( budget?.exceeded ) {
+      logger.warn( `🤖 [MachineLearningService] LLM budget exceeded (${ budget.period } ${ budget.metric }: ${ budget.used }/${ budget.limit })` );
+      return budget.message;
     }
 
     try {
@@ -294,13 +348,11 @@ class MachineLearningService {
       // Create system instructions
       const systemInstruction = await this.createSystemInstruction( true );
 
-      // Get the active backend
-      const backend = this.backends[ this.activeBackend ];
-
       // Query the backend (without conversation history)
-      const result = await backend.queryLLM( theQuestion, {
-        systemInstruction: systemInstruction
-      } );
+      const result = await this.queryBackend( this.activeBackend, theQuestion, {
+        systemInstruction: systemInstruction,
+        tools: chatFunctions
+      }, usageContext );
 
       if ( result.success ) {
         return result.response;
@@ -308,10 +360,44 @@ class MachineLearningService {
 
       // If active backend fails, try fallback
       logger.warn( `🤖 [MachineLearningService] Active backend (${ this.activeBackend }) failed: ${ result.error }` );
-      return await this.tryFallbackQuery( theQuestion, systemInstruction );
+      return await this.tryFallbackQuery( theQuestion, systemInstruction, chatFunctions, usageContext );
     } catch ( error ) {
       logger.error( `🤖 [MachineLearningService] Error in askGoogleAI: ${ error.message }` );
-      return "I'm unable to process your request at the moment. Please try again later.";
+      return UNAVAILABLE_RESPONSE;
+    }
+  }
+
+  /**
+   * Query a backend and record the call with llmUsageService
+   * @private
+   * @param {string} backendName - Backend to query
+   * @param {string} question - Question to ask
+   * @param {Object} options - Options passed to the backend's queryLLM
+   * @param {Object} usageContext - { command, userUuid } for the usage record
+   * @returns {Promise<Object>} The backend's result
+   */
+  async queryBackend ( backendName, question, options, usageContext = {} ) {
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await this.backends[ backendName ].queryLLM( question, options );
+      return result;
+    } catch ( error ) {
+      result = { success: false, error: error.message };
+      throw error;
+    } finally {
+      this.services?.llmUsageService?.record( {
+        backend: backendName,
+        model: result?.model,
+        command: usageContext.command,
+        userUuid: usageContext.userUuid,
+        latencyMs: Date.now() - startedAt,
+        success: !!result?.success,
+        error: result?.success ? null : result?.error,
+        promptTokens: result?.usage?.promptTokens,
+        completionTokens: result?.usage?.completionTokens,
+        totalTokens: result?.usage?.totalTokens ?? result?.tokens
+      } );
     }
   }
 
@@ -320,9 +406,11 @@ class MachineLearningService {
    * @private
    * @param {string} question - Question to ask
    * @param {Array} systemInstruction - System instructions
+   * @param {Object} tools - Optional tool set the model may call
+   * @param {Object} usageContext - Optional { command, userUuid } for usage accounting
    * @returns {Promise<string>} Response or error message
    */
-  async tryFallbackQuery ( question, systemInstruction ) {
+  async tryFallbackQuery ( question, systemInstruction, tools, usageContext = {} ) {
     const current = this.activeBackend;
     const fallbackOrder = this.config.fallbackOrder || [ "gemma", "mistral" ];
 
@@ -341,9 +429,10 @@ class MachineLearningService {
           continue;
         }
 
-        const result = await backend.queryLLM( question, {
-          systemInstruction: systemInstruction
-        } );
+        const result = await this.queryBackend( backendName, question, {
+          systemInstruction: systemInstruction,
+          tools: tools
+        }, usageContext );
 
         if ( result.success ) {
           this.activeBackend = backendName;
@@ -355,7 +444,21 @@ class MachineLearningService {
       }
     }
 
-    return "I'm unable to process your request at the moment. Please try again later.";
+    return UNAVAILABLE_RESPONSE;
+  }
+
+  /**
+   * Whether an answer from askGoogleAI is one of its failure messages rather
+   * than something the model said, so callers don't cache or remember it
+   * @param {string} response - What askGoogleAI returned
+   * @returns {boolean}
+   */
+  static isFailedResponse ( response ) {
+    return !response ||
+      response === "No response" ||
+      response === NOT_INITIALIZED_RESPONSE ||
+      response === UNAVAILABLE_RESPONSE ||
+      response.includes( "error occurred" );
   }
 }
 
@@ -62,6 +62,8 @@ const messageService = {
   buildCustomData: groupMessageService.buildCustomData,
   buildPayload: groupMessageService.buildPayload,
   filterMessagesForCommands: groupMessageService.filterMessagesForCommands,
+  formatGroupMessage: groupMessageService.formatGroupMessage,
+  simplifyPrivateMessage: privateMessageService.simplifyPrivateMessage,
 
   // ===============
   // Additional Message Functions (if needed)
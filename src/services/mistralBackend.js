@@ -236,20 +236,62 @@ class MistralBackend {
         // Debug: Log the complete prompt being sent
         logger.debug( `🤖 [MistralBackend] Complete prompt for ${ model }:\n${ JSON.stringify( messages, null, 2 ) }` );
 
-        const response = await this.client.chat.complete( {
-            model: model,
-            messages: messages,
-            temperature: 0.8,
-            topP: 0.8,
-            maxTokens: 1024
-        } );
+        const tools = options.tools?.definitions?.length ? options.tools : null;
+        const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+        let hasUsage = false;
+        let responseText = null;
+
+        // Each round either answers or asks for tools; once the tool set is used up
+        // the tools are withdrawn so the model has to answer
+        for ( let round = 0; ; round++ ) {
+            const offerTools = tools && !tools.exhausted && round <= tools.maxCalls;
+            const request = {
+                model: model,
+                messages: messages,
+                temperature: 0.8,
+                topP: 0.8,
+                maxTokens: 1024
+            };
+            if ( offerTools ) {
+                request.tools = tools.definitions.map( definition => ( { type: "function", function: definition } ) );
+                request.toolChoice = "auto";
+            }
 
-        if ( !response || !response.choices || response.choices.length === 0 ) {
-            logger.warn( `🤖 [MistralBackend] Model ${ model } returned no response` );
-            return null;
-        }
+            const response = await this.client.chat.complete( request );
+
+            if ( !response || !response.choices || response.choices.length === 0 ) {
+                logger.warn( `🤖 [MistralBackend] Model ${ model } returned no response` );
+                return null;
+            }
 
-        const responseText = response.choices[ 0 ].message.content;
+            // The SDK reports camelCase usage; older responses used the raw API field names
+            if ( response.usage ) {
+                hasUsage = true;
+                usage.promptTokens += response.usage.promptTokens ?? response.usage.prompt_tokens ?? 0;
+                usage.completionTokens += response.usage.completionTokens ?? response.usage.completion_tokens ?? 0;
+                usage.totalTokens += response.usage.totalTokens ?? response.usage.total_tokens ?? 0;
+            }
+
+            const message = response.choices[ 0 ].message;
+            const toolCalls = message.toolCalls || message.tool_calls;
+
+            if ( !offerTools || !toolCalls || toolCalls.length === 0 ) {
+                responseText = message.content;
+                break;
+            }
+
+            messages.push( { role: "assistant", content: message.content || "", toolCalls: toolCalls } );
+            for ( const toolCall of toolCalls ) {
+                logger.debug( `🤖 [MistralBackend] Model ${ model } requested tool ${ toolCall.function?.name }` );
+                const result = await tools.callTool( toolCall.function?.name, toolCall.function?.arguments );
+                messages.push( {
+                    role: "tool",
+                    name: toolCall.function?.name,
+                    content: JSON.stringify( result ),
+                    toolCallId: toolCall.id
+                } );
+            }
+        }
 
         if ( responseText ) {
             logger.info( `🤖 [MistralBackend] Successfully used model: ${ model }` );
@@ -257,7 +299,8 @@ class MistralBackend {
                 success: true,
                 response: responseText,
                 model: model,
-                tokens: response.usage?.total_tokens || null
+                tokens: hasUsage ? usage.totalTokens : null,
+                usage: hasUsage ? usage : null
             };
         }
 
@@ -0,0 +1,702 @@
+const fs = require( 'node:fs' );
+const path = require( 'node:path' );
+const { logger } = require( '../lib/logging.js' );
+const { parseCron, matchesCron, getLocalTime, findNextMatch } = require( '../lib/cronExpression.js' );
+const { validateTemplate } = require( '../lib/templateEngine.js' );
+const DatabaseService = require( './databaseService.js' );
+
+const DEFAULT_SWITCH_MESSAGE = '🎭 Switching to the {personality} personality ({reason})';
+const DAYS = [ 'sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday' ];
+const DAY_GROUPS = { daily: '*', weekdays: '1-5', weekends: '0,6' };
+const SWITCH_LOG_SIZE = 20;
+
+const PACK_DIR = path.join( process.cwd(), 'data', 'personalities' );
+const PACK_FORMAT = 'mrroboto-personality';
+const PACK_VERSION = 1;
+
+// The parts of a personality pack, in the order they're compared and listed
+const PACK_SECTIONS = {
+    mlPersonality: { label: 'AI Personality', type: 'text' },
+    mlInstructions: { label: 'AI Instructions', type: 'text' },
+    editableMessages: { label: 'Editable Messages', type: 'messages' },
+    configuration: { label: 'Configuration', type: 'object' },
+    mlQuestions: { label: 'ML Questions', type: 'messages' },
+    disabledCommands: { label: 'Disabled Commands', type: 'list' },
+    disabledFeatures: { label: 'Disabled Features', type: 'list' },
+    triggers: { label: 'Triggers', type: 'object' },
+    customTokens: { label: 'Custom Tokens', type: 'object' }
+};
+
+/**
+ * Helper function to check if a value should be applied or skipped (keep existing)
+ * @param {*} value - Value to check
+ * @returns {boolean} - true if value should be applied, false if empty/should skip
+ */
+function shouldApplyValue ( value ) {
+    if ( value === undefined || value === null ) return false;
+    if ( typeof value === 'string' && value.trim() === '' ) return false;
+    if ( Array.isArray( value ) && value.length === 0 ) return false;
+    if ( typeof value === 'object' && !Array.isArray( value ) && Object.keys( value ).length === 0 ) return false;
+    return true;
+}
+
+function isPlainObject ( value ) {
+    return value !== null && typeof value === 'object' && !Array.isArray( value );
+}
+
+/**
+ * Check one section of a pack, adding any problems to errors
+ */
+function validateSection ( key, value, errors ) {
+    const { label, type } = PACK_SECTIONS[ key ];
+
+    if ( type === 'text' ) {
+        if ( typeof value !== 'string' ) errors.push( `${ label } must be text` );
+        return;
+    }
+    if ( type === 'list' ) {
+        if ( !Array.isArray( value ) || value.some( item => typeof item !== 'string' ) ) {
+            errors.push( `${ label } must be a list of names` );
+        }
+        return;
+    }
+    if ( !isPlainObject( value ) ) {
+        errors.push( `${ label } must be an object` );
+        return;
+    }
+    if ( type === 'messages' ) {
+        for ( const [ name, text ] of Object.entries( value ) ) {
+            if ( typeof text !== 'string' ) {
+                errors.push( `${ label }: ${ name } must be text` );
+                continue;
+            }
+            const { valid, errors: templateErrors } = validateTemplate( text );
+            if ( !valid ) errors.push( `${ label }: ${ name } - ${ templateErrors[ 0 ] }` );
+        }
+    }
+    if ( key === 'triggers' ) {
+        for ( const [ name, entries ] of Object.entries( value ) ) {
+            const validEntry = entry => typeof entry === 'string' || ( isPlainObject( entry ) && ( typeof entry.command === 'string' || typeof entry.pattern === 'string' ) );
+            if ( !Array.isArray( entries ) || !entries.every( validEntry ) ) {
+                errors.push( `Triggers: ${ name } must be a list of commands` );
+            }
+        }
+    }
+}
+
+function emptySection ( key ) {
+    const { type } = PACK_SECTIONS[ key ];
+    if ( type === 'text' ) return '';
+    if ( type === 'list' ) return [];
+    return {};
+}
+
+/**
+ * Compare one section of two packs
+ * @returns {Array<{type: string, key: string}>} added, removed and changed keys or items
+ */
+function diffSection ( key, a, b ) {
+    const { type } = PACK_SECTIONS[ key ];
+
+    if ( type === 'text' ) {
+        return ( a || '' ) === ( b || '' ) ? [] : [ { type: 'changed', key: PACK_SECTIONS[ key ].label } ];
+    }
+    if ( type === 'list' ) {
+        const before = new Set( a || [] );
+        const after = new Set( b || [] );
+        return [
+            ...[ ...after ].filter( item => !before.has( item ) ).map( item => ( { type: 'added', key: item } ) ),
+            ...[ ...before ].filter( item => !after.has( item ) ).map( item => ( { type: 'removed', key: item } ) )
+        ];
+    }
+
+    const before = a || {};
+    const after = b || {};
+    const changes = [];
+    for ( const name of new Set( [ ...Object.keys( before ), ...Object.keys( after ) ] ) ) {
+        if ( !( name in before ) ) {
+            changes.push( { type: 'added', key: name } );
+        } else if ( !( name in after ) ) {
+            changes.push( { type: 'removed', key: name } );
+        } else if ( JSON.stringify( before[ name ] ) !== JSON.stringify( after[ name ] ) ) {
+            changes.push( { type: 'changed', key: name } );
+        }
+    }
+    return changes;
+}
+
+/**
+ * PersonalityService - Activates saved personalities, either by hand with
+ * !personality activate or automatically. Automatic switches come from:
+ *   schedules - a cron expression in the configured timezone, e.g. "0 0 * * *" for after midnight
+ *   themes    - a personality linked to a theme, applied when that theme is set
+ *
+ * Settings live in botConfig under personalityOptions, which personalities don't
+ * save, so switching personality never changes the schedule itself.
+ *
+ * Personalities can also be exported to and imported from versioned JSON packs in
+ * data/personalities, so they can be shared between bots.
+ */
+class PersonalityService {
+    constructor ( services ) {
+        this.services = services;
+        this.logger = services.logger || logger;
+        this.checking = false;
+    }
+
+    getOptions () {
+        const options = this.services.dataService?.getValue( 'personalityOptions' ) || {};
+        return {
+            nextId: Number.isInteger( options.nextId ) ? options.nextId : 1,
+            schedule: Array.isArray( options.schedule ) ? options.schedule : [],
+            themes: options.themes && typeof options.themes === 'object' ? options.themes : {},
+            switchLog: Array.isArray( options.switchLog ) ? options.switchLog : []
+        };
+    }
+
+    async saveOptions ( options ) {
+        await this.services.dataService.setValue( 'personalityOptions', options );
+    }
+
+    getTimezone () {
+        return this.services.dataService?.getValue( 'configuration.timezone' ) || 'Europe/London';
+    }
+
+    getActivePersonality () {
+        return this.services.dataService?.getValue( 'activePersonality' ) || null;
+    }
+
+    // ===== Activation =====
+
+    /**
+     * Apply a saved personality's settings to the bot
+     * @param {Object} personality - Personality from databaseService.getPersonalityByName
+     * @param {Object} options
+     * @param {string} options.reason - Why it's switching, e.g. "manual", "schedule" or "theme: Metal Monday"
+     * @param {boolean} options.announce - Post the personalitySwitchMessage to the room
+     * @param {string} options.by - Who switched it, for the log
+     */
+    async applyPersonality ( personality, { reason = 'manual', announce = false, by = null } = {} ) {
+        const { dataService, messageService } = this.services;
+
+        await dataService.loadData();
+
+        // Only update instructions if they're set in the personality
+        if ( shouldApplyValue( personality.instructions.MLPersonality ) ) {
+            await dataService.setValue( 'Instructions.MLPersonality', personality.instructions.MLPersonality );
+        }
+        if ( shouldApplyValue( personality.instructions.MLInstructions ) ) {
+            await dataService.setValue( 'Instructions.MLInstructions', personality.instructions.MLInstructions );
+        }
+
+        // Only update editable messages if they're set in the personality. Automatic
+        // switches leave the room's theme alone, or a theme switch would undo itself.
+        for ( const [ key, value ] of Object.entries( personality.editableMessages ) ) {
+            if ( key === 'theme' && reason !== 'manual' ) continue;
+            if ( shouldApplyValue( value ) ) {
+                await dataService.setValue( `editableMessages.${ key }`, value );
+            }
+        }
+
+        // Extract botName from configuration if it exists
+        const { botName, ...otherConfig } = personality.configuration;
+        if ( botName ) {
+            await dataService.setValue( 'botData.CHAT_NAME', botName );
+            // Update bot name on TT.fm platform
+            await this.services.hangUserService.updateHangNickname( botName );
+
+            // Leave and rejoin CometChat to refresh display name in chat window
+            try {
+                this.logger.debug( '🔄 Leaving CometChat to refresh display name...' );
+                await messageService.leaveChat( this.services.config.HANGOUT_ID );
+                this.logger.debug( '✅ Left CometChat group' );
+            } catch ( leaveError ) {
+                this.logger.warn( `⚠️ Failed to leave CometChat (will still try to rejoin): ${ leaveError.message }` );
+            }
+
+            try {
+                this.logger.debug( '🔄 Rejoining CometChat with new display name...' );
+                await messageService.joinChat( this.services.config.HANGOUT_ID );
+                this.logger.debug( '✅ CometChat rejoin successful' );
+            } catch ( rejoinError ) {
+                // Don't fail the whole operation if rejoin fails
+                this.logger.warn( `⚠️ Failed to rejoin CometChat: ${ rejoinError.message }` );
+            }
+        }
+
+        // Merge configuration with existing values (don't overwrite missing values)
+        const currentConfig = dataService.getValue( 'configuration' ) || {};
+        const mergedConfig = { ...currentConfig, ...otherConfig };
+        await dataService.setValue( 'configuration', mergedConfig );
+
+        // Only update mlQuestions if they're set in the personality
+        if ( shouldApplyValue( personality.mlQuestions ) ) {
+            // Merge mlQuestions - only update questions that have non-empty values
+            const currentMlQuestions = dataService.getValue( 'mlQuestions' ) || {};
+            const mergedMlQuestions = { ...currentMlQuestions };
+            for ( const [ key, value ] of Object.entries( personality.mlQuestions ) ) {
+                if ( shouldApplyValue( value ) ) {
+                    mergedMlQuestions[ key ] = value;
+                }
+            }
+            await dataService.setValue( 'mlQuestions', mergedMlQuestions );
+        }
+
+        // Only update disabled commands/features if they're set in the personality
+        if ( shouldApplyValue( personality.disabledCommands ) ) {
+            await dataService.setValue( 'disabledCommands', personality.disabledCommands );
+        }
+        if ( shouldApplyValue( personality.disabledFeatures ) ) {
+            await dataService.setValue( 'disabledFeatures', personality.disabledFeatures );
+        }
+
+        // Only update triggers if they're set in the personality
+        if ( shouldApplyValue( personality.triggers ) ) {
+            await dataService.setValue( 'triggers', personality.triggers );
+        }
+
+        // Only update custom tokens if they're set in the personality
+        if ( shouldApplyValue( personality.customTokens ) ) {
+            await dataService.setValue( 'customTokens', personality.customTokens );
+        }
+
+        await dataService.setValue( 'activePersonality', personality.name );
+        await this.recordSwitch( personality.name, reason, by );
+
+        if ( announce ) {
+            await this.announceSwitch( personality.name, reason );
+        }
+    }
+
+    /**
+     * Look up a personality by name and apply it
+     * @param {string} name - Personality name, any case
+     * @param {Object} options - As for applyPersonality
+     * @returns {Promise<{success: boolean, personality?: Object, error?: string}>}
+     */
+    async activateByName ( name, options = {} ) {
+        const { databaseService } = this.services;
+        if ( !databaseService?.initialized ) {
+            return { success: false, error: 'Database not initialized' };
+        }
+
+        const personality = await databaseService.getPersonalityByName( name );
+        if ( !personality ) {
+            return { success: false, error: `Personality "${ name }" not found` };
+        }
+
+        await this.applyPersonality( personality, options );
+        return { success: true, personality };
+    }
+
+    /**
+     * Keep a short log of switches for the /personality page
+     * @private
+     */
+    async recordSwitch ( name, reason, by ) {
+        this.logger.info( `[personalityService] Switched to personality "${ name }" (${ reason })${ by ? ` by ${ by }` : '' }` );
+        const options = this.getOptions();
+        options.switchLog = [ { personality: name, reason, at: new Date().toISOString() }, ...options.switchLog ].slice( 0, SWITCH_LOG_SIZE );
+        await this.saveOptions( options );
+    }
+
+    /**
+     * Announce an automatic switch using the personalitySwitchMessage editable message
+     * @private
+     */
+    async announceSwitch ( name, reason ) {
+        const { dataService, tokenService, messageService } = this.services;
+        try {
+            const template = dataService.getValue( 'editableMessages.personalitySwitchMessage' ) || DEFAULT_SWITCH_MESSAGE;
+            const filled = template
+                .replace( /\{personality\}/g, name )
+                .replace( /\{reason\}/g, reason );
+            const message = tokenService ? await tokenService.replaceTokens( filled ) : filled;
+            if ( message && message.trim() ) {
+                await messageService.sendGroupMessage( message, { services: this.services } );
+            }
+        } catch ( error ) {
+            this.logger.error( `[personalityService] Failed to announce personality switch: ${ error.message }` );
+        }
+    }
+
+    // ===== Schedules =====
+
+    /**
+     * Work out a cron expression from the start of the !personality schedule add arguments.
+     * Takes "cron" and five fields, or a day ("monday", "daily", "weekdays", "weekends") and HH:MM.
+     * @param {string[]} words - Arguments split on spaces
+     * @returns {{expression: string, rest: string[]}|{error: string}} The expression and the words left over
+     */
+    parseTiming ( words ) {
+        const first = ( words[ 0 ] || '' ).toLowerCase();
+
+        if ( first === 'cron' ) {
+            const expression = words.slice( 1, 6 ).join( ' ' );
+            try {
+                parseCron( expression );
+            } catch ( error ) {
+                return { error: error.message };
+            }
+            return { expression, rest: words.slice( 6 ) };
+        }
+
+        const day = DAY_GROUPS[ first ] ?? DAYS.findIndex( d => d === first || d.slice( 0, 3 ) === first );
+        const timeMatch = ( words[ 1 ] || '' ).match( /^(\d{1,2}):(\d{2})$/ );
+        if ( day === -1 || !timeMatch || Number( timeMatch[ 1 ] ) > 23 || Number( timeMatch[ 2 ] ) > 59 ) {
+            return { error: 'Start with a day and time (monday 00:00, daily 23:30, weekdays 09:00, weekends 12:00) or cron and five fields' };
+        }
+        return { expression: `${ Number( timeMatch[ 2 ] ) } ${ Number( timeMatch[ 1 ] ) } * * ${ day }`, rest: words.slice( 2 ) };
+    }
+
+    listSchedules () {
+        return this.getOptions().schedule.map( entry => ( { ...entry } ) );
+    }
+
+    /**
+     * Add a scheduled switch
+     * @param {string} expression - Cron expression
+     * @param {string} personality - Personality to switch to
+     * @returns {Promise<Object>} The new entry
+     */
+    async addSchedule ( expression, personality ) {
+        const options = this.getOptions();
+        const entry = { id: options.nextId, expression, personality, lastRunKey: null };
+        options.nextId += 1;
+        options.schedule.push( entry );
+        await this.saveOptions( options );
+        this.logger.info( `[personalityService] Scheduled personality "${ personality }" (cron ${ expression })` );
+        return entry;
+    }
+
+    /**
+     * Remove a scheduled switch
+     * @returns {Promise<Object|null>} The removed entry
+     */
+    async removeSchedule ( id ) {
+        const options = this.getOptions();
+        const entry = options.schedule.find( e => e.id === id );
+        if ( !entry ) return null;
+        options.schedule = options.schedule.filter( e => e !== entry );
+        await this.saveOptions( options );
+        return entry;
+    }
+
+    /**
+     * Switch to any personality scheduled for the current minute. Called from the
+     * personality schedule task every 30 seconds.
+     * @param {Date} now - Current time
+     * @returns {Promise<string|null>} The personality switched to, or null
+     */
+    async checkSchedule ( now = new Date() ) {
+        if ( this.checking ) return null;
+        this.checking = true;
+
+        try {
+            const options = this.getOptions();
+            const local = getLocalTime( now, this.getTimezone() );
+
+            const due = options.schedule.filter( entry => {
+                if ( entry.lastRunKey === local.key ) return false;
+                try {
+                    return matchesCron( parseCron( entry.expression ), local );
+                } catch ( error ) {
+                    this.logger.warn( `[personalityService] Schedule #${ entry.id } has an invalid cron expression: ${ error.message }` );
+                    return false;
+                }
+            } );
+            if ( due.length === 0 ) return null;
+
+            // Saved before switching, so a reconnect in the same minute can't switch twice
+            due.forEach( entry => {
+                entry.lastRunKey = local.key;
+            } );
+            await this.saveOptions( options );
+
+            // If two land on the same minute the later one in the list wins
+            const entry = due[ due.length - 1 ];
+            if ( this.getActivePersonality()?.toLowerCase() === entry.personality.toLowerCase() ) {
+                this.logger.debug( `[personalityService] "${ entry.personality }" is already active` );
+                return null;
+            }
+
+            const result = await this.activateByName( entry.personality, { reason: 'schedule', announce: true } );
+            if ( !result.success ) {
+                this.logger.warn( `[personalityService] Scheduled switch #${ entry.id } failed: ${ result.error }` );
+                return null;
+            }
+            return result.personality.name;
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * Find the next scheduled switch
+     * @param {Date} now - Current time
+     * @returns {{personality: string, at: string, entry: Object}|null} at is a local "YYYY-MM-DD HH:MM"
+     */
+    getNextScheduled ( now = new Date() ) {
+        const local = getLocalTime( now, this.getTimezone() );
+        let next = null;
+
+        for ( const entry of this.getOptions().schedule ) {
+            let at;
+            try {
+                at = findNextMatch( parseCron( entry.expression ), local );
+            } catch ( error ) {
+                continue;
+            }
+            if ( at && ( !next || at < next.at ) ) {
+                next = { personality: entry.personality, at, entry };
+            }
+        }
+        return next;
+    }
+
+    // ===== Themes =====
+
+    getThemePersonalities () {
+        return { ...this.getOptions().themes };
+    }
+
+    getThemePersonality ( theme ) {
+        const lower = ( theme || '' ).trim().toLowerCase();
+        const match = Object.entries( this.getOptions().themes ).find( ( [ key ] ) => key.toLowerCase() === lower );
+        return match ? match[ 1 ] : null;
+    }
+
+    /**
+     * Link a personality to a theme, or unlink it
+     * @param {string} theme - Theme name
+     * @param {string|null} personality - Personality to switch to, or null to remove the link
+     */
+    async setThemePersonality ( theme, personality ) {
+        const options = this.getOptions();
+        const lower = theme.trim().toLowerCase();
+        for ( const key of Object.keys( options.themes ) ) {
+            if ( key.toLowerCase() === lower ) delete options.themes[ key ];
+        }
+        if ( personality ) {
+            options.themes[ theme.trim() ] = personality;
+        }
+        await this.saveOptions( options );
+    }
+
+    /**
+     * Switch personality when a theme with a linked personality is set.
+     * Called by ThemeService whenever the theme changes.
+     * @param {string} theme - The new theme
+     * @returns {Promise<string|null>} The personality switched to, or null
+     */
+    async handleThemeChange ( theme ) {
+        const personality = this.getThemePersonality( theme );
+        if ( !personality ) return null;
+        if ( this.getActivePersonality()?.toLowerCase() === personality.toLowerCase() ) return null;
+
+        const result = await this.activateByName( personality, { reason: `theme: ${ theme.trim() }`, announce: true } );
+        if ( !result.success ) {
+            this.logger.warn( `[personalityService] Couldn't switch to "${ personality }" for theme "${ theme }": ${ result.error }` );
+            return null;
+        }
+        return result.personality.name;
+    }
+
+    // ===== Files and diffs =====
+
+    /**
+     * Export a saved personality to data/personalities as a versioned JSON pack
+     * @param {string} name - Personality name, any case
+     * @returns {Promise<{success: boolean, file?: string, personality?: string, error?: string}>} file is the name to import it by
+     */
+    async exportPersonality ( name ) {
+        const personality = await this.services.databaseService.getPersonalityByName( name );
+        if ( !personality ) {
+            return { success: false, error: `Personality "${ name }" not found` };
+        }
+
+        const file = `${ PersonalityService.fileNameFor( personality.name ) }.json`;
+        try {
+            if ( !fs.existsSync( PACK_DIR ) ) {
+                fs.mkdirSync( PACK_DIR, { recursive: true } );
+            }
+            fs.writeFileSync( path.join( PACK_DIR, file ), JSON.stringify( PersonalityService.toPack( personality ), null, 2 ), 'utf8' );
+        } catch ( error ) {
+            this.logger.error( `[personalityService] Failed to export "${ personality.name }": ${ error.message }` );
+            return { success: false, error: error.message };
+        }
+
+        this.logger.info( `[personalityService] Exported "${ personality.name }" to ${ file }` );
+        return { success: true, file, personality: personality.name };
+    }
+
+    /**
+     * List the pack files in data/personalities
+     * @returns {string[]}
+     */
+    listPackFiles () {
+        try {
+            if ( !fs.existsSync( PACK_DIR ) ) return [];
+            return fs.readdirSync( PACK_DIR ).filter( file => file.endsWith( '.json' ) ).sort();
+        } catch ( error ) {
+            this.logger.error( `[personalityService] Failed to list personality files: ${ error.message }` );
+            return [];
+        }
+    }
+
+    /**
+     * Validate a pack file from data/personalities and save it as a personality
+     * @param {string} fileName - File name, with or without .json; no folders
+     * @param {Object} options
+     * @param {boolean} options.replace - Overwrite a saved personality with the same name
+     * @param {string} options.author - UUID of whoever imported it, for the revision history
+     * @returns {Promise<{success: boolean, personality?: string, replaced?: boolean, error?: string, errors?: string[]}>}
+     */
+    async importPersonality ( fileName, { replace = false, author = null } = {} ) {
+        const { databaseService } = this.services;
+        const file = path.basename( fileName.endsWith( '.json' ) ? fileName : `${ fileName }.json` );
+
+        let pack;
+        try {
+            pack = JSON.parse( fs.readFileSync( path.join( PACK_DIR, file ), 'utf8' ) );
+        } catch ( error ) {
+            return { success: false, error: error.code === 'ENOENT' ? `No personality file called ${ file }` : `${ file } isn't valid JSON` };
+        }
+
+        const { valid, errors } = PersonalityService.validatePack( pack );
+        if ( !valid ) {
+            return { success: false, error: `${ file } isn't a valid personality pack`, errors };
+        }
+
+        const data = { ...pack.personality };
+        for ( const key of Object.keys( PACK_SECTIONS ) ) {
+            if ( data[ key ] === undefined ) data[ key ] = emptySection( key );
+        }
+
+        const existing = await databaseService.getPersonalityByName( data.name );
+        if ( existing && !replace ) {
+            return { success: false, error: `Personality "${ existing.name }" already exists` };
+        }
+
+        if ( existing ) {
+            await databaseService.updatePersonality( { ...data, name: existing.name, author, action: `import ${ file }` } );
+        } else {
+            await databaseService.savePersonality( { ...data, author, action: `import ${ file }` } );
+        }
+
+        this.logger.info( `[personalityService] Imported "${ data.name }" from ${ file }${ existing ? ' (replaced)' : '' }` );
+        return { success: true, personality: existing ? existing.name : data.name, replaced: Boolean( existing ) };
+    }
+
+    /**
+     * Compare two saved personalities
+     * @returns {Promise<{success: boolean, a?: string, b?: string, sections?: Array, error?: string}>} sections from diffPacks
+     */
+    async diffPersonalities ( nameA, nameB ) {
+        const { databaseService } = this.services;
+        const [ a, b ] = await Promise.all( [ databaseService.getPersonalityByName( nameA ), databaseService.getPersonalityByName( nameB ) ] );
+        const missing = !a ? nameA : !b ? nameB : null;
+        if ( missing ) {
+            return { success: false, error: `Personality "${ missing }" not found` };
+        }
+
+        return {
+            success: true,
+            a: a.name,
+            b: b.name,
+            sections: PersonalityService.diffPacks( PersonalityService.toPack( a ).personality, PersonalityService.toPack( b ).personality )
+        };
+    }
+
+    /**
+     * Build a versioned pack from a personality loaded from the database
+     * @param {Object} personality - From databaseService.getPersonalityByName
+     * @returns {Object}
+     */
+    static toPack ( personality ) {
+        return {
+            format: PACK_FORMAT,
+            version: PACK_VERSION,
+            exportedAt: new Date().toISOString(),
+            personality: {
+                name: personality.name,
+                ...DatabaseService.toPersonalityData( personality )
+            }
+        };
+    }
+
+    /**
+     * Check a pack before it's imported. Missing sections are fine and import as empty.
+     * @param {Object} pack - Parsed pack file
+     * @returns {{valid: boolean, errors: string[]}}
+     */
+    static validatePack ( pack ) {
+        const errors = [];
+        if ( !isPlainObject( pack ) || pack.format !== PACK_FORMAT ) {
+            return { valid: false, errors: [ `Not a ${ PACK_FORMAT } file` ] };
+        }
+        if ( !Number.isInteger( pack.version ) || pack.version < 1 ) {
+            errors.push( 'Missing version' );
+        } else if ( pack.version > PACK_VERSION ) {
+            errors.push( `Version ${ pack.version } is newer than this bot understands (${ PACK_VERSION })` );
+        }
+
+        const personality = pack.personality;
+        if ( !isPlainObject( personality ) ) {
+            errors.push( 'Missing personality' );
+            return { valid: false, errors };
+        }
+        if ( typeof personality.name !== 'string' || !personality.name.trim() ) {
+            errors.push( 'Missing name' );
+        }
+        if ( typeof personality.description !== 'string' || !personality.description.trim() ) {
+            errors.push( 'Missing description' );
+        } else if ( personality.description.length > 50 ) {
+            errors.push( `Description must be 50 characters or less (currently: ${ personality.description.length })` );
+        }
+
+        for ( const key of Object.keys( PACK_SECTIONS ) ) {
+            if ( personality[ key ] !== undefined ) validateSection( key, personality[ key ], errors );
+        }
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Compare the personality part of two packs
+     * @returns {Array<{section: string, changes: Array<{type: string, key: string}>}>} Only sections that differ
+     */
+    static diffPacks ( a, b ) {
+        return Object.keys( PACK_SECTIONS )
+            .map( key => ( { section: PACK_SECTIONS[ key ].label, changes: diffSection( key, a[ key ], b[ key ] ) } ) )
+            .filter( section => section.changes.length > 0 );
+    }
+
+    /**
+     * File name for a personality's pack, e.g. "Late Night DJ" -> "late-night-dj"
+     */
+    static fileNameFor ( name ) {
+        return name.toLowerCase().replace( /[^a-z0-9]+/g, '-' ).replace( /^-|-$/g, '' ) || 'personality';
+    }
+
+    /**
+     * Describe a schedule entry's timing, e.g. "mondays at 00:00" or "cron 30 22 1 * *"
+     * @param {Object} entry
+     * @returns {string}
+     */
+    static describeSchedule ( entry ) {
+        const match = entry.expression.match( /^(\d+) (\d+) \* \* (\S+)$/ );
+        if ( match ) {
+            const time = `${ match[ 2 ].padStart( 2, '0' ) }:${ match[ 1 ].padStart( 2, '0' ) }`;
+            const group = Object.keys( DAY_GROUPS ).find( name => DAY_GROUPS[ name ] === match[ 3 ] );
+            if ( group ) return `${ group } at ${ time }`;
+            if ( /^[0-6]$/.test( match[ 3 ] ) ) return `${ DAYS[ Number( match[ 3 ] ) ] }s at ${ time }`;
+        }
+        return `cron ${ entry.expression }`;
+    }
+}
+
+PersonalityService.shouldApplyValue = shouldApplyValue;
+PersonalityService.DEFAULT_SWITCH_MESSAGE = DEFAULT_SWITCH_MESSAGE;
+PersonalityService.PACK_VERSION = PACK_VERSION;
+
+module.exports = PersonalityService;
@@ -0,0 +1,117 @@
+const { logger } = require( '../lib/logging.js' );
+
+/**
+ * PlayLimitService - Tracks how many songs each DJ has played in their current
+ * stint on the decks and works out whether they have reached the room's limit.
+ *
+ * Limits are configured as tiers in botConfig (`playLimit.tiers`), each tier
+ * applying once at least `minDjs` DJs are on the decks. A limit of 0 means
+ * unlimited, and no matching tier also means unlimited.
+ */
+class PlayLimitService {
+    constructor ( services ) {
+        this.services = services;
+        this.playCounts = new Map();
+        this.exemptedUuids = new Set();
+        this.pendingRemovalUuids = new Set();
+    }
+
+    /**
+     * Get the configured tiers sorted by minDjs (ascending)
+     * @returns {Array<{minDjs: number, limit: number}>}
+     */
+    getTiers () {
+        const tiers = this.services.dataService?.getValue( 'playLimit.tiers' ) || [];
+        return [ ...tiers ].sort( ( a, b ) => a.minDjs - b.minDjs );
+    }
+
+    /**
+     * Set (or replace) the limit for rooms with at least minDjs DJs
+     */
+    async setTier ( minDjs, limit ) {
+        const tiers = this.getTiers().filter( t => t.minDjs !== minDjs );
+        tiers.push( { minDjs, limit } );
+        tiers.sort( ( a, b ) => a.minDjs - b.minDjs );
+        await this.services.dataService.setValue( 'playLimit.tiers', tiers );
+        return tiers;
+    }
+
+    async clearTiers () {
+        await this.services.dataService.setValue( 'playLimit.tiers', [] );
+    }
+
+    /**
+     * Work out the play limit for the given number of DJs
+     * @param {number} djCount - Number of DJs currently on the decks
+     * @returns {number} Songs allowed per DJ, or 0 for unlimited
+     */
+    getLimit ( djCount ) {
+        let limit = 0;
+        for ( const tier of this.getTiers() ) {
+            if ( djCount >= tier.minDjs ) limit = tier.limit;
+        }
+        return limit;
+    }
+
+    getPlayCount ( uuid ) {
+        return this.playCounts.get( uuid ) || 0;
+    }
+
+    getPlayCounts () {
+        return Array.from( this.playCounts, ( [ uuid, count ] ) => ( { uuid, count } ) );
+    }
+
+    /**
+     * Start a fresh decks session for a DJ (called when they step up or down)
+     */
+    resetPlayCount ( uuid ) {
+        this.playCounts.delete( uuid );
+        this.pendingRemovalUuids.delete( uuid );
+    }
+
+    /**
+     * Count a play for a DJ and check it against the current limit
+     * @param {string} uuid - DJ UUID
+     * @param {number} djCount - Number of DJs currently on the decks
+     * @returns {{count: number, limit: number, lastSong: boolean}}
+     */
+    recordPlay ( uuid, djCount ) {
+        const count = this.getPlayCount( uuid ) + 1;
+        this.playCounts.set( uuid, count );
+
+        const limit = this.getLimit( djCount );
+        const lastSong = limit > 0 && count >= limit && !this.isExempt( uuid );
+        if ( lastSong ) {
+            this.pendingRemovalUuids.add( uuid );
+        }
+
+        logger.debug( `[playLimitService] ${ uuid } play ${ count }/${ limit || '∞' } (${ djCount } DJs)` );
+        return { count, limit, lastSong };
+    }
+
+    /**
+     * Return and clear the DJs due to be removed now their last song has finished
+     * @returns {string[]}
+     */
+    takePendingRemovals () {
+        const uuids = Array.from( this.pendingRemovalUuids );
+        this.pendingRemovalUuids.clear();
+        return uuids;
+    }
+
+    setExempt ( uuid ) {
+        this.exemptedUuids.add( uuid );
+        this.pendingRemovalUuids.delete( uuid );
+        logger.debug( `[playLimitService] user exempted from play limits: ${ uuid }` );
+    }
+
+    clearExempt ( uuid ) {
+        this.exemptedUuids.delete( uuid );
+    }
+
+    isExempt ( uuid ) {
+        return this.exemptedUuids.has( uuid );
+    }
+}
+
+module.exports = PlayLimitService;
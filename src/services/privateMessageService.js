@@ -16,6 +16,29 @@ const RECEIVER_TYPE = {
 
 // buildCustomData and buildPayload are now imported from openchatApi
 
+/**
+ * Simplify a raw CometChat private message the way the bot processes it
+ * @param {Object} msg - Message as returned by the messages API or pushed by the SDK
+ * @returns {Object} { id, text, sender, sentAt, customData }
+ */
+function simplifyPrivateMessage ( msg ) {
+    const customData = msg.data?.metadata?.chatMessage;
+
+    // Extract sender UUID from nested structure (same as groupMessageService)
+    const senderFromData = msg.data?.entities?.sender?.entity?.uid;
+    const senderFromChatMessage = msg.data?.metadata?.chatMessage?.userUuid;
+    const senderFromCustomData = msg.data?.metadata?.message?.customData?.userUuid;
+    const extractedSender = msg.sender?.uid || senderFromData || senderFromChatMessage || senderFromCustomData || 'Unknown';
+
+    return {
+        id: msg.id,
+        text: msg.data?.text || '[No content]',
+        sender: extractedSender,
+        sentAt: msg.sentAt,
+        customData: customData || null
+    };
+}
+
 // ===============
 // Private Message Service
 // ===============
@@ -24,6 +47,7 @@ const privateMessageService = {
     // Helper functions (exported for testing) - now from openchatApi
     buildCustomData: openchatApi.buildCustomData,
     buildPayload: openchatApi.buildPayload,
+    simplifyPrivateMessage,
 
     /**
      * Send a private message to a user
@@ -270,28 +294,7 @@ const privateMessageService = {
                 return [];
             }
 
-            const simplifiedMessages = filteredMessages.map( ( msg, index ) => {
-                // logger.debug( `🔍 [fetchNewPrivateUserMessages] Processing message ${index}: ${JSON.stringify(msg, null, 2)}` );
-
-                const customData = msg.data?.metadata?.chatMessage;
-
-                // Extract sender UUID from nested structure (same as groupMessageService)
-                const senderFromData = msg.data?.entities?.sender?.entity?.uid;
-                const senderFromChatMessage = msg.data?.metadata?.chatMessage?.userUuid;
-                const senderFromCustomData = msg.data?.metadata?.message?.customData?.userUuid;
-                const extractedSender = msg.sender?.uid || senderFromData || senderFromChatMessage || senderFromCustomData || 'Unknown';
-
-                const simplified = {
-                    id: msg.id,
-                    text: msg.data?.text || '[No content]',
-                    sender: extractedSender,
-                    sentAt: msg.sentAt,
-                    customData: customData || null
-                };
-
-                // logger.debug( `🔍 [fetchNewPrivateUserMessages] Simplified message ${index}: ${JSON.stringify(simplified, null, 2)}` );
-                return simplified;
-            } );
+            const simplifiedMessages = filteredMessages.map( simplifyPrivateMessage );
 
             // logger.debug( `🔍 [fetchNewPrivateUserMessages] Returning ${simplifiedMessages.length} simplified messages` );
             return simplifiedMessages;
@@ -0,0 +1,162 @@
+const { logger } = require( '../lib/logging.js' );
+const { normalizeText } = require( '../lib/textUtils.js' );
+
+const POLICIES = [ 'warn', 'skip', 'ignore' ];
+const DEFAULT_POLICY = 'warn';
+const DEFAULT_WINDOW_MINUTES = 180;
+
+/**
+ * RepeatPlayService - Spots songs that were already played within a configurable
+ * window and warns the DJ or skips them depending on the room's policy.
+ *
+ * Settings live in botConfig under repeatPlay.windowMinutes and repeatPlay.policy.
+ */
+class RepeatPlayService {
+    constructor ( services ) {
+        this.services = services;
+        // djUuid -> song key of the queued song they've already been warned about
+        this.warnedNextSongs = new Map();
+    }
+
+    getWindowMinutes () {
+        const minutes = this.services.dataService?.getValue( 'repeatPlay.windowMinutes' );
+        return Number.isInteger( minutes ) && minutes >= 0 ? minutes : DEFAULT_WINDOW_MINUTES;
+    }
+
+    async setWindowMinutes ( minutes ) {
+        await this.services.dataService.setValue( 'repeatPlay.windowMinutes', minutes );
+    }
+
+    getPolicy () {
+        const policy = this.services.dataService?.getValue( 'repeatPlay.policy' );
+        return POLICIES.includes( policy ) ? policy : DEFAULT_POLICY;
+    }
+
+    async setPolicy ( policy ) {
+        if ( !POLICIES.includes( policy ) ) {
+            throw new Error( `Invalid repeat policy: ${ policy }` );
+        }
+        await this.services.dataService.setValue( 'repeatPlay.policy', policy );
+    }
+
+    /**
+     * Build a comparison key from artist and track, ignoring case, fancy
+     * characters and punctuation
+     * @returns {string|null}
+     */
+    static songKey ( artistName, trackName ) {
+        if ( !artistName || !trackName ) return null;
+        const clean = text => normalizeText( text ).toLowerCase().replace( /[^a-z0-9]+/g, ' ' ).trim();
+        return `${ clean( artistName ) }|${ clean( trackName ) }`;
+    }
+
+    /**
+     * Find the most recent play of a song within the repeat window
+     * @param {Object} song - Song with songId and/or artistName and trackName
+     * @param {Date} now - Current time, used to work out how long ago it was played
+     * @returns {{nickname: string|null, djUuid: string, minutesAgo: number}|null}
+     */
+    findRecentPlay ( song, now = new Date() ) {
+        const databaseService = this.services.databaseService;
+        const windowMinutes = this.getWindowMinutes();
+        if ( !song || !windowMinutes || !databaseService?.initialized ) return null;
+
+        const key = RepeatPlayService.songKey( song.artistName, song.trackName );
+        if ( !song.songId && !key ) return null;
+
+        try {
+            const plays = databaseService.getPlaysSince( `-${ windowMinutes } minutes` );
+            const match = plays.find( play =>
+                ( song.songId && play.song_id === song.songId ) ||
+                ( key && RepeatPlayService.songKey( play.artist_name, play.track_name ) === key ) );
+            if ( !match ) return null;
+
+            // SQLite CURRENT_TIMESTAMP is UTC in 'YYYY-MM-DD HH:MM:SS' form
+            const playedAt = Date.parse( `${ match.timestamp.replace( ' ', 'T' ) }Z` );
+            return {
+                nickname: match.nickname || null,
+                djUuid: match.dj_uuid,
+                minutesAgo: Math.max( 0, Math.round( ( now.getTime() - playedAt ) / 60000 ) )
+            };
+        } catch ( error ) {
+            logger.error( `[repeatPlayService] Failed to look up recent plays: ${ error.message }` );
+            return null;
+        }
+    }
+
+    _describePlay ( song, recentPlay ) {
+        const who = recentPlay.nickname ? ` by ${ recentPlay.nickname }` : '';
+        return `**${ song.trackName }** by ${ song.artistName } was played ${ recentPlay.minutesAgo } minute${ recentPlay.minutesAgo === 1 ? '' : 's' } ago${ who }`;
+    }
+
+    /**
+     * Privately warn a DJ when the song at the top of their queue is a recent repeat
+     * @param {string} djUuid - The DJ whose next song changed
+     * @param {Object} song - The queued song (songId, artistName, trackName)
+     * @returns {Promise<Object|null>} The recent play that triggered a warning, or null
+     */
+    async checkNextSong ( djUuid, song ) {
+        if ( !djUuid || this.getPolicy() === 'ignore' ) return null;
+
+        const recentPlay = this.findRecentPlay( song );
+        if ( !recentPlay ) {
+            this.warnedNextSongs.delete( djUuid );
+            return null;
+        }
+
+        const key = RepeatPlayService.songKey( song.artistName, song.trackName ) || song.songId;
+        if ( this.warnedNextSongs.get( djUuid ) === key ) return null;
+        this.warnedNextSongs.set( djUuid, key );
+
+        const consequence = this.getPolicy() === 'skip'
+            ? 'It will be skipped if it plays, so please pick something else.'
+            : 'You might want to pick something else.';
+        await this.services.messageService.sendPrivateMessage(
+            `🔁 Heads up — your next song ${ this._describePlay( song, recentPlay ) }. ${ consequence }`,
+            djUuid,
+            this.services
+        );
+        return recentPlay;
+    }
+
+    /**
+     * Warn the room about, or skip, a song that has just started if it's a recent repeat.
+     * Must be called before the new play is recorded in the database.
+     * @param {Object} song - The song that started (djUuid, songId, artistName, trackName)
+     * @returns {Promise<string|null>} 'warned' or 'skipped' if a repeat was handled, otherwise null
+     */
+    async checkPlayedSong ( song ) {
+        if ( song?.djUuid ) this.warnedNextSongs.delete( song.djUuid );
+
+        const policy = this.getPolicy();
+        if ( policy === 'ignore' ) return null;
+
+        const recentPlay = this.findRecentPlay( song );
+        if ( !recentPlay ) return null;
+
+        const { messageService, hangSocketServices } = this.services;
+        if ( policy === 'skip' && hangSocketServices ) {
+            try {
+                await hangSocketServices.skipSong( this.services.socket );
+                await messageService.sendGroupMessage(
+                    `⏭️ Skipped — ${ this._describePlay( song, recentPlay ) }.`,
+                    { services: this.services }
+                );
+                return 'skipped';
+            } catch ( error ) {
+                logger.error( `[repeatPlayService] Failed to skip repeated song: ${ error.message }` );
+            }
+        }
+
+        await messageService.sendGroupMessage(
+            `🔁 Repeat alert — ${ this._describePlay( song, recentPlay ) }.`,
+            { services: this.services }
+        );
+        return 'warned';
+    }
+}
+
+RepeatPlayService.POLICIES = POLICIES;
+RepeatPlayService.DEFAULT_WINDOW_MINUTES = DEFAULT_WINDOW_MINUTES;
+
+module.exports = RepeatPlayService;
@@ -0,0 +1,296 @@
+const fs = require( 'node:fs' );
+const path = require( 'node:path' );
+const { logger } = require( '../lib/logging.js' );
+const { parseCron, matchesCron, getLocalTime } = require( '../lib/cronExpression.js' );
+
+const SCHEDULES_FILE = path.join( process.cwd(), 'data', 'schedules.json' );
+const INTERVAL_UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+/**
+ * SchedulerService - Posts scheduled messages to the room. Schedules are kept in
+ * data/schedules.json and come in three kinds:
+ *   cron     - a cron expression in the configured timezone, e.g. "0 20 * * fri"
+ *   interval - every so many minutes, e.g. a rules reminder every 45m
+ *   once     - a single post at a local date and time, removed once it has gone out
+ *
+ * Each schedule records when it last went out before the message is sent, so a
+ * reconnect or restart in the same minute can't post it twice.
+ */
+class SchedulerService {
+    constructor ( services ) {
+        this.services = services;
+        this.data = null;
+        this.checking = false;
+    }
+
+    /**
+     * Load schedules.json
+     * @param {boolean} forceReload - Force reload from disk even if cached
+     * @returns {{nextId: number, schedules: Array}}
+     */
+    load ( forceReload = false ) {
+        if ( this.data && !forceReload ) return this.data;
+
+        let data = {};
+        try {
+            if ( fs.existsSync( SCHEDULES_FILE ) ) {
+                data = JSON.parse( fs.readFileSync( SCHEDULES_FILE, 'utf8' ) );
+            }
+        } catch ( error ) {
+            logger.error( `[schedulerService] Failed to load schedules: ${ error.message }` );
+        }
+
+        const schedules = Array.isArray( data.schedules ) ? data.schedules : [];
+        this.data = {
+            nextId: Number.isInteger( data.nextId ) ? data.nextId : schedules.reduce( ( max, s ) => Math.max( max, s.id || 0 ), 0 ) + 1,
+            schedules
+        };
+        return this.data;
+    }
+
+    save () {
+        try {
+            const dirPath = path.dirname( SCHEDULES_FILE );
+            if ( !fs.existsSync( dirPath ) ) {
+                fs.mkdirSync( dirPath, { recursive: true } );
+            }
+            fs.writeFileSync( SCHEDULES_FILE, JSON.stringify( this.load(), null, 2 ), 'utf8' );
+            return true;
+        } catch ( error ) {
+            logger.error( `[schedulerService] Failed to save schedules: ${ error.message }` );
+            return false;
+        }
+    }
+
+    getTimezone () {
+        return this.services.dataService?.getValue( 'configuration.timezone' ) || 'Europe/London';
+    }
+
+    /**
+     * Get the time parts in the configured timezone
+     * @param {Date} now - Time to convert
+     * @returns {Object} Time parts from cronExpression's getLocalTime
+     */
+    getLocalTime ( now = new Date() ) {
+        return getLocalTime( now, this.getTimezone() );
+    }
+
+    /**
+     * Work out when a schedule runs from the start of the !schedule add arguments
+     * @param {string[]} words - Arguments split on spaces
+     * @param {Date} now - Current time, used to place "at HH:MM" today or tomorrow
+     * @returns {{timing: Object, rest: string[]}|{error: string}} The timing fields and the words left over for the message
+     */
+    parseTiming ( words, now = new Date() ) {
+        const kind = ( words[ 0 ] || '' ).toLowerCase();
+
+        if ( kind === 'cron' ) {
+            const expression = words.slice( 1, 6 ).join( ' ' );
+            try {
+                parseCron( expression );
+            } catch ( error ) {
+                return { error: error.message };
+            }
+            return { timing: { type: 'cron', expression }, rest: words.slice( 6 ) };
+        }
+
+        if ( kind === 'every' ) {
+            const match = ( words[ 1 ] || '' ).toLowerCase().match( /^(\d+)([mhd])$/ );
+            const minutes = match ? Number( match[ 1 ] ) * INTERVAL_UNITS[ match[ 2 ] ] : 0;
+            if ( !minutes ) {
+                return { error: 'Give the interval as minutes, hours or days, e.g. every 45m, every 2h or every 1d' };
+            }
+            return { timing: { type: 'interval', minutes }, rest: words.slice( 2 ) };
+        }
+
+        if ( kind === 'at' ) {
+            const hasDate = /^\d{4}-\d{2}-\d{2}$/.test( words[ 1 ] || '' );
+            const timeText = hasDate ? words[ 2 ] : words[ 1 ];
+            const timeMatch = ( timeText || '' ).match( /^(\d{1,2}):(\d{2})$/ );
+            if ( !timeMatch || Number( timeMatch[ 1 ] ) > 23 || Number( timeMatch[ 2 ] ) > 59 ) {
+                return { error: 'Give the time as HH:MM, optionally after a YYYY-MM-DD date, e.g. at 2025-10-31 20:00' };
+            }
+            const time = `${ timeMatch[ 1 ].padStart( 2, '0' ) }:${ timeMatch[ 2 ] }`;
+
+            const local = this.getLocalTime( now );
+            let date = hasDate ? words[ 1 ] : local.date;
+            if ( !hasDate && `${ date } ${ time }` <= local.key ) {
+                date = this.getLocalTime( new Date( now.getTime() + 24 * 60 * 60 * 1000 ) ).date;
+            }
+            if ( `${ date } ${ time }` <= local.key ) {
+                return { error: `${ date } ${ time } has already passed` };
+            }
+            return { timing: { type: 'once', at: `${ date } ${ time }` }, rest: words.slice( hasDate ? 3 : 2 ) };
+        }
+
+        return { error: 'Start with cron, every or at' };
+    }
+
+    /**
+     * Add a schedule
+     * @param {Object} timing - From parseTiming
+     * @param {string} message - Message to post; tokens are replaced when it goes out
+     * @param {string} createdBy - UUID of whoever added it
+     * @returns {Object} The new schedule
+     */
+    addSchedule ( timing, message, createdBy = null ) {
+        const data = this.load();
+        const schedule = {
+            id: data.nextId++,
+            ...timing,
+            message,
+            paused: false,
+            createdBy,
+            createdAt: new Date().toISOString(),
+            lastRunKey: null,
+            lastRunAt: timing.type === 'interval' ? Date.now() : null
+        };
+        data.schedules.push( schedule );
+        this.save();
+        logger.info( `[schedulerService] Added schedule #${ schedule.id } (${ SchedulerService.describeTiming( schedule ) })` );
+        return schedule;
+    }
+
+    listSchedules () {
+        return this.load().schedules.map( schedule => ( { ...schedule } ) );
+    }
+
+    getSchedule ( id ) {
+        return this.load().schedules.find( schedule => schedule.id === id ) || null;
+    }
+
+    /**
+     * Remove a schedule
+     * @returns {Object|null} The removed schedule
+     */
+    removeSchedule ( id ) {
+        const data = this.load();
+        const index = data.schedules.findIndex( schedule => schedule.id === id );
+        if ( index === -1 ) return null;
+        const [ removed ] = data.schedules.splice( index, 1 );
+        this.save();
+        return removed;
+    }
+
+    /**
+     * Pause or resume a schedule
+     * @returns {Object|null} The schedule
+     */
+    setPaused ( id, paused ) {
+        const schedule = this.getSchedule( id );
+        if ( !schedule ) return null;
+        schedule.paused = paused;
+        // An interval picks up from when it's resumed rather than firing straight away
+        if ( !paused && schedule.type === 'interval' ) {
+            schedule.lastRunAt = Date.now();
+        }
+        this.save();
+        return schedule;
+    }
+
+    /**
+     * Whether a schedule should go out now
+     * @private
+     */
+    isDue ( schedule, now, local ) {
+        if ( schedule.type === 'cron' ) {
+            try {
+                return schedule.lastRunKey !== local.key && matchesCron( parseCron( schedule.expression ), local );
+            } catch ( error ) {
+                logger.warn( `[schedulerService] Schedule #${ schedule.id } has an invalid cron expression: ${ error.message }` );
+                return false;
+            }
+        }
+        if ( schedule.type === 'interval' ) {
+            return now.getTime() - ( schedule.lastRunAt || 0 ) >= schedule.minutes * 60 * 1000;
+        }
+        if ( schedule.type === 'once' ) {
+            return schedule.at === local.key && schedule.lastRunKey !== local.key;
+        }
+        return false;
+    }
+
+    /**
+     * Post any schedules that are due. Called from the schedule task every 30 seconds.
+     * @param {Date} now - Current time
+     * @returns {Promise<Object[]>} The schedules that went out
+     */
+    async checkSchedules ( now = new Date() ) {
+        if ( this.checking ) return [];
+        this.checking = true;
+
+        try {
+            const data = this.load();
+            const local = this.getLocalTime( now );
+            const due = [];
+            let dropped = false;
+
+            for ( const schedule of [ ...data.schedules ] ) {
+                // One-off posts missed while the bot was offline are dropped rather than sent late
+                if ( schedule.type === 'once' && schedule.at < local.key ) {
+                    logger.warn( `[schedulerService] Schedule #${ schedule.id } was due at ${ schedule.at } and was missed` );
+                    data.schedules = data.schedules.filter( s => s !== schedule );
+                    dropped = true;
+                    continue;
+                }
+                if ( schedule.paused || !this.isDue( schedule, now, local ) ) continue;
+
+                schedule.lastRunKey = local.key;
+                schedule.lastRunAt = now.getTime();
+                if ( schedule.type === 'once' ) {
+                    data.schedules = data.schedules.filter( s => s !== schedule );
+                }
+                due.push( schedule );
+            }
+
+            if ( due.length === 0 ) {
+                if ( dropped ) this.save();
+                return [];
+            }
+
+            // Saved before sending, so a crash or restart mid-send can't post them twice
+            this.save();
+
+            for ( const schedule of due ) {
+                await this.postMessage( schedule );
+            }
+            return due;
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * Post a schedule's message to the room
+     * @private
+     */
+    async postMessage ( schedule ) {
+        const { tokenService, messageService } = this.services;
+        try {
+            const message = tokenService ? await tokenService.replaceTokens( schedule.message ) : schedule.message;
+            await messageService.sendGroupMessage( message, { services: this.services } );
+            logger.info( `[schedulerService] Posted schedule #${ schedule.id }` );
+        } catch ( error ) {
+            logger.error( `[schedulerService] Failed to post schedule #${ schedule.id }: ${ error.message }` );
+        }
+    }
+
+    /**
+     * Describe when a schedule runs, e.g. "every 45m" or "cron 0 20 * * fri"
+     * @param {Object} schedule
+     * @returns {string}
+     */
+    static describeTiming ( schedule ) {
+        if ( schedule.type === 'cron' ) return `cron ${ schedule.expression }`;
+        if ( schedule.type === 'interval' ) {
+            const minutes = schedule.minutes;
+            if ( minutes % INTERVAL_UNITS.d === 0 ) return `every ${ minutes / INTERVAL_UNITS.d }d`;
+            if ( minutes % INTERVAL_UNITS.h === 0 ) return `every ${ minutes / INTERVAL_UNITS.h }h`;
+            return `every ${ minutes }m`;
+        }
+        if ( schedule.type === 'once' ) return `once at ${ schedule.at }`;
+        return 'unknown';
+    }
+}
+
+module.exports = SchedulerService;
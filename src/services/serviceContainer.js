@@ -22,6 +22,19 @@ const VersionService = require( './versionService.js' );
 const DocumentationService = require( './documentationService.js' );
 const RateLimiterService = require( './rateLimiterService.js' );
 const VerificationService = require( './verificationService.js' );
+const DjQueueService = require( './djQueueService.js' );
+const PlayLimitService = require( './playLimitService.js' );
+const ThemeService = require( './themeService.js' );
+const StatsService = require( './statsService.js' );
+const RepeatPlayService = require( './repeatPlayService.js' );
+const ConversationService = require( './conversationService.js' );
+const LlmToolService = require( './llmToolService.js' );
+const AiCacheService = require( './aiCacheService.js' );
+const LlmUsageService = require( './llmUsageService.js' );
+const CooldownService = require( './cooldownService.js' );
+const SchedulerService = require( './schedulerService.js' );
+const PersonalityService = require( './personalityService.js' );
+const SongMetadataService = require( './songMetadataService.js' );
 
 // Shared state that all services can access and modify
 const sharedState = {
@@ -101,6 +114,19 @@ const services = {
   tokenService: null, // Will be initialized after services object is created
   documentationService: null, // Will be initialized after services object is created
   verificationService: null, // Will be initialized after services object is created
+  djQueueService: null, // Will be initialized after services object is created
+  playLimitService: null, // Will be initialized after services object is created
+  themeService: null, // Will be initialized after services object is created
+  statsService: null, // Will be initialized after services object is created
+  repeatPlayService: null, // Will be initialized after services object is created
+  conversationService: null, // Will be initialized after services object is created
+  llmToolService: null, // Will be initialized after services object is created
+  aiCacheService: null, // Will be initialized after services object is created
+  llmUsageService: null, // Will be initialized after services object is created
+  cooldownService: null, // Will be initialized after services object is created
+  schedulerService: null, // Will be initialized after services object is created
+  personalityService: null, // Will be initialized after services object is created
+  songMetadataService: null, // Will be initialized after services object is created
   openchatApi: null, // Will be initialized after services object is created
   data: {}, // Will be populated by initializeData()
 
@@ -177,6 +203,19 @@ services.documentationService = new DocumentationService( {
   services: services
 } );
 services.verificationService = new VerificationService( services );
+services.djQueueService = new DjQueueService( services );
+services.playLimitService = new PlayLimitService( services );
+services.themeService = new ThemeService( services );
+services.statsService = new StatsService( services );
+services.repeatPlayService = new RepeatPlayService( services );
+services.conversationService = new ConversationService( services );
+services.llmToolService = new LlmToolService( services );
+services.aiCacheService = new AiCacheService( services );
+services.llmUsageService = new LlmUsageService( services );
+services.cooldownService = new CooldownService( services );
+services.schedulerService = new SchedulerService( services );
+services.personalityService = new PersonalityService( services );
+services.songMetadataService = new SongMetadataService( services );
 
 // Initialize retry service connection to OpenChat API
 const openchatApi = require( './openchatApi.js' );
@@ -188,6 +227,9 @@ const initializeServices = async () => {
   await initializeData();
   await initializeDatabase();
 
+  // Restore the DJ queue persisted before the last restart
+  services.djQueueService.load();
+
   // Initialize verification service
   try {
     await services.verificationService.initialize();
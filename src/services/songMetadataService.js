@@ -0,0 +1,171 @@
+const { logger } = require( '../lib/logging.js' );
+
+const DEFAULT_BACKFILL_PER_TICK = 1;
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+/**
+ * SongMetadataService - Fills in the song_metadata table: release year, album,
+ * genres, duration, ISRC and MusicBrainz ids for each song.
+ *
+ * When a song plays, whatever the hang.fm nowPlaying payload carries is stored
+ * straight away and the rest is looked up through verificationService. Songs
+ * played before this existed are caught up by the backfill task, a few at a time
+ * (songMetadata.backfillPerTick, default 1 a minute) so the metadata APIs aren't
+ * hammered. A song nobody knows anything about is tried songMetadata.maxAttempts
+ * times (default 3). Set songMetadata.backfill to false to stop the backfill.
+ */
+class SongMetadataService {
+    constructor ( services ) {
+        this.services = services;
+        this.backfilling = false;
+    }
+
+    isAvailable () {
+        return !!this.services.databaseService?.initialized;
+    }
+
+    getConfig ( key, fallback ) {
+        const value = this.services.dataService?.getValue( `songMetadata.${ key }` );
+        return value === undefined || value === null ? fallback : value;
+    }
+
+    /**
+     * Store what the nowPlaying payload says about a song, then look up the rest
+     * @param {Object} params
+     * @param {string} params.songId - Song ID (songShortId)
+     * @param {string} params.artistName - Artist name
+     * @param {string} params.trackName - Track name
+     * @param {Object} [params.song] - hangoutState.nowPlaying.song
+     * @returns {Promise<Object|null>} The verified metadata, or null if nothing was found
+     */
+    async enrichSong ( { songId, artistName, trackName, song } ) {
+        if ( !this.isAvailable() || !songId ) return null;
+
+        if ( song ) {
+            try {
+                this.services.databaseService.saveSongMetadata( songId, SongMetadataService.fromNowPlaying( song ) );
+            } catch ( error ) {
+                logger.error( `[songMetadataService] Failed to save metadata for ${ songId }: ${ error.message }` );
+            }
+        }
+
+        return this.verifySong( songId, artistName, trackName );
+    }
+
+    /**
+     * Look a song up through verificationService and store what's found
+     * @returns {Promise<Object|null>} The verified metadata, or null if nothing was found
+     */
+    async verifySong ( songId, artistName, trackName ) {
+        const { verificationService, databaseService } = this.services;
+        if ( !verificationService || !artistName || !trackName ) return null;
+
+        try {
+            const result = await verificationService.verify( `${ artistName } - ${ trackName }`, { artist: artistName, track: trackName } );
+            // No source could be reached, so this doesn't count as an attempt
+            if ( !result.found ) return null;
+
+            if ( !result.hasFacts ) {
+                databaseService.recordSongMetadataAttempt( songId );
+                return null;
+            }
+
+            const metadata = SongMetadataService.fromVerification( result.data );
+            databaseService.saveSongMetadata( songId, metadata, { verified: true } );
+            return metadata;
+        } catch ( error ) {
+            logger.error( `[songMetadataService] Failed to verify ${ artistName } - ${ trackName }: ${ error.message }` );
+            return null;
+        }
+    }
+
+    /**
+     * Enrich the next few songs that don't have verified metadata yet. Called from
+     * the backfill task every minute.
+     * @returns {Promise<number>} Number of songs enriched
+     */
+    async runBackfill () {
+        if ( this.backfilling || !this.isAvailable() || this.getConfig( 'backfill', true ) === false ) return 0;
+        this.backfilling = true;
+
+        try {
+            const songs = this.services.databaseService.getSongsNeedingMetadata(
+                this.getConfig( 'backfillPerTick', DEFAULT_BACKFILL_PER_TICK ),
+                this.getConfig( 'maxAttempts', DEFAULT_MAX_ATTEMPTS )
+            );
+
+            let enriched = 0;
+            for ( const song of songs ) {
+                if ( await this.verifySong( song.song_id, song.artist_name, song.track_name ) ) {
+                    enriched++;
+                }
+            }
+            return enriched;
+        } catch ( error ) {
+            logger.error( `[songMetadataService] Backfill failed: ${ error.message }` );
+            return 0;
+        } finally {
+            this.backfilling = false;
+        }
+    }
+
+    /**
+     * @returns {{songs: number, withMetadata: number, verified: number}|null}
+     */
+    getStats () {
+        if ( !this.isAvailable() ) return null;
+        try {
+            return this.services.databaseService.getSongMetadataStats();
+        } catch ( error ) {
+            logger.error( `[songMetadataService] Failed to read stats: ${ error.message }` );
+            return null;
+        }
+    }
+
+    /**
+     * Metadata from the hang.fm nowPlaying song
+     * @param {Object} song - hangoutState.nowPlaying.song
+     * @returns {Object}
+     */
+    static fromNowPlaying ( song ) {
+        const duration = Number( song.duration );
+        return {
+            releaseDate: song.releaseDate || undefined,
+            releaseYear: SongMetadataService.yearOf( song.releaseDate ),
+            album: song.albumName || undefined,
+            genres: song.genre ? [ song.genre ] : [],
+            duration: duration > 0 ? Math.round( duration ) : undefined,
+            isrc: song.isrc || undefined
+        };
+    }
+
+    /**
+     * Metadata from a verified data summary
+     * @param {Object} data - verificationService.verify() data
+     * @returns {Object}
+     */
+    static fromVerification ( data ) {
+        const { track = {}, artist = {} } = data || {};
+        return {
+            releaseDate: track.releaseDate,
+            releaseYear: SongMetadataService.yearOf( track.releaseDate ),
+            album: track.album?.title,
+            genres: track.genres?.length ? track.genres : ( artist.genres || [] ),
+            duration: track.duration,
+            isrc: track.isrc,
+            musicbrainzRecordingId: track.musicbrainzId,
+            musicbrainzArtistId: artist.musicbrainzId
+        };
+    }
+
+    /**
+     * @param {string} date - e.g. "1978-09-21", "1978" or an ISO timestamp
+     * @returns {number|undefined}
+     */
+    static yearOf ( date ) {
+        const match = String( date || '' ).match( /^(\d{4})/ );
+        return match ? Number( match[ 1 ] ) : undefined;
+    }
+}
+
+module.exports = SongMetadataService;
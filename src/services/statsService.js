@@ -0,0 +1,141 @@
+const { logger } = require( '../lib/logging.js' );
+
+// SQLite datetime modifiers for each leaderboard period
+const PERIODS = {
+    week: '-7 days',
+    month: '-30 days',
+    all: null
+};
+
+/**
+ * StatsService - Room statistics and leaderboards built from the songs_played table
+ */
+class StatsService {
+    constructor ( services ) {
+        this.services = services;
+    }
+
+    /**
+     * Get the database service if it's ready to query
+     * @returns {Object|null}
+     */
+    _getDatabase () {
+        const databaseService = this.services.databaseService;
+        return databaseService?.initialized ? databaseService : null;
+    }
+
+    isAvailable () {
+        return !!this._getDatabase();
+    }
+
+    /**
+     * Normalise a period argument, returning null if it isn't recognised
+     * @param {string} period - week, month or all (defaults to all)
+     * @returns {string|null}
+     */
+    static parsePeriod ( period ) {
+        const key = ( period || 'all' ).toLowerCase();
+        return Object.prototype.hasOwnProperty.call( PERIODS, key ) ? key : null;
+    }
+
+    /**
+     * Run a database query, logging and returning a fallback if it fails
+     */
+    _query ( description, fallback, fn ) {
+        const db = this._getDatabase();
+        if ( !db ) return fallback;
+        try {
+            return fn( db );
+        } catch ( error ) {
+            logger.error( `[statsService] Failed to get ${ description }: ${ error.message }` );
+            return fallback;
+        }
+    }
+
+    getTopDjs ( period = 'all', limit = 5 ) {
+        return this._query( 'top DJs', [], db => db.getTopDJs( limit, PERIODS[ period ] ?? null ) );
+    }
+
+    getTopSongs ( period = 'all', limit = 5 ) {
+        return this._query( 'top songs', [], db => db.getTopSongs( limit, PERIODS[ period ] ?? null ) );
+    }
+
+    getTopArtists ( period = 'all', limit = 5 ) {
+        return this._query( 'top artists', [], db => db.getTopArtists( limit, PERIODS[ period ] ?? null ) );
+    }
+
+    /**
+     * Get play totals and favourite artist for a DJ
+     * @param {string} uuid - The DJ's UUID
+     * @returns {Object|null} Stats, or null if the DJ has no recorded plays
+     */
+    getDjStats ( uuid ) {
+        return this._query( 'DJ stats', null, db => {
+            const stats = db.getDjStats( uuid );
+            if ( !stats || !stats.playCount ) return null;
+            const [ topArtist ] = db.getTopArtists( 1, null, uuid );
+            return { ...stats, topArtist: topArtist?.artist_name || null };
+        } );
+    }
+
+    /**
+     * Get how often a song has been played and by whom
+     * @param {string} artistName - Artist name
+     * @param {string} trackName - Track name
+     * @param {string} [currentDjUuid] - DJ playing the song now; playedSong records a play when it starts,
+     *   so their newest play is the one in progress and is left out
+     * @returns {{playCount: number, lastPlayed: string|null, djs: Array<{uuid: string, nickname: string, playCount: number}>}}
+     */
+    getSongStats ( artistName, trackName, currentDjUuid = null ) {
+        const empty = { playCount: 0, lastPlayed: null, djs: [] };
+        return this._query( 'song stats', empty, db => {
+            let plays = db.getSongPlays( artistName, trackName );
+            if ( currentDjUuid && plays[ 0 ]?.dj_uuid === currentDjUuid ) {
+                plays = plays.slice( 1 );
+            }
+            if ( !plays.length ) return empty;
+
+            const byDj = new Map();
+            for ( const play of plays ) {
+                const entry = byDj.get( play.dj_uuid ) || { uuid: play.dj_uuid, nickname: play.nickname || 'Unknown DJ', playCount: 0 };
+                entry.playCount++;
+                byDj.set( play.dj_uuid, entry );
+            }
+
+            return {
+                playCount: plays.length,
+                lastPlayed: plays[ 0 ].timestamp,
+                djs: [ ...byDj.values() ].sort( ( a, b ) => b.playCount - a.playCount )
+            };
+        } );
+    }
+
+    /**
+     * Format a DJ's stats for chat
+     * @param {string} nickname - Name to show in the heading
+     * @param {Object} stats - Result of getDjStats
+     * @returns {string}
+     */
+    formatDjStats ( nickname, stats ) {
+        const lines = [
+            `📊 **Stats for ${ nickname }**`,
+            `🎵 ${ stats.playCount } play${ stats.playCount === 1 ? '' : 's' } (${ stats.uniqueSongs } different song${ stats.uniqueSongs === 1 ? '' : 's' })`,
+            `👍 ${ stats.likes } 👎 ${ stats.dislikes } ❤️ ${ stats.stars }`
+        ];
+        if ( stats.topArtist ) lines.push( `🎤 Most played artist: ${ stats.topArtist }` );
+        if ( stats.firstPlayed ) lines.push( `📅 First play: ${ stats.firstPlayed.slice( 0, 10 ) }, last play: ${ stats.lastPlayed.slice( 0, 10 ) }` );
+        return lines.join( '\n' );
+    }
+
+    /**
+     * Find a DJ in the database by nickname
+     * @returns {{uuid: string, nickname: string}|null}
+     */
+    findDj ( nickname ) {
+        return this._query( 'DJ by nickname', null, db => db.findDjByNickname( nickname ) );
+    }
+}
+
+StatsService.PERIODS = PERIODS;
+
+module.exports = StatsService;
@@ -0,0 +1,279 @@
+const fs = require( 'node:fs' );
+const path = require( 'node:path' );
+const { logger } = require( '../lib/logging.js' );
+const MachineLearningService = require( './machineLearningService.js' );
+
+const THEMES_FILE = path.join( process.cwd(), 'data', 'themes.json' );
+const DAYS = [ 'sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday' ];
+
+const DEFAULT_VERDICT_QUESTION = '## Task\nThe theme in the room is currently "{theme}". Give a one line verdict on whether {trackName} by {artistName} fits the theme.\n- **Format:** One sentence, no more than 25 words';
+
+/**
+ * ThemeService - Manages the list of theme ideas in data/themes.json, the
+ * current session theme (stored as editableMessages.theme so the {theme} and
+ * {readTheme} tokens keep working) and weekly theme schedules.
+ */
+class ThemeService {
+    constructor ( services ) {
+        this.services = services;
+        this.data = null;
+    }
+
+    /**
+     * Load themes.json, creating it from the example template if it doesn't exist
+     * @param {boolean} forceReload - Force reload from disk even if cached
+     * @returns {{themes: string[], schedule: Array}}
+     */
+    load ( forceReload = false ) {
+        if ( this.data && !forceReload ) return this.data;
+
+        let data = {};
+        try {
+            if ( fs.existsSync( THEMES_FILE ) ) {
+                data = JSON.parse( fs.readFileSync( THEMES_FILE, 'utf8' ) );
+            } else {
+                const exampleFile = path.join( process.cwd(), 'data', 'themes.json_example' );
+                if ( fs.existsSync( exampleFile ) ) {
+                    data = JSON.parse( fs.readFileSync( exampleFile, 'utf8' ) );
+                    logger.info( '[themeService] themes.json not found, using the example template' );
+                }
+            }
+        } catch ( error ) {
+            logger.error( `[themeService] Failed to load themes: ${ error.message }` );
+        }
+
+        this.data = {
+            themes: Array.isArray( data.themes ) ? data.themes : [],
+            schedule: Array.isArray( data.schedule ) ? data.schedule : []
+        };
+        return this.data;
+    }
+
+    save () {
+        try {
+            const dirPath = path.dirname( THEMES_FILE );
+            if ( !fs.existsSync( dirPath ) ) {
+                fs.mkdirSync( dirPath, { recursive: true } );
+            }
+            fs.writeFileSync( THEMES_FILE, JSON.stringify( this.load(), null, 2 ), 'utf8' );
+            return true;
+        } catch ( error ) {
+            logger.error( `[themeService] Failed to save themes: ${ error.message }` );
+            return false;
+        }
+    }
+
+    listThemes () {
+        return [ ...this.load().themes ];
+    }
+
+    findTheme ( name ) {
+        const lower = name.trim().toLowerCase();
+        return this.load().themes.find( t => t.toLowerCase() === lower ) || null;
+    }
+
+    addTheme ( name ) {
+        const theme = name.trim();
+        if ( !theme || this.findTheme( theme ) ) return false;
+        this.load().themes.push( theme );
+        this.save();
+        return true;
+    }
+
+    removeTheme ( name ) {
+        const existing = this.findTheme( name );
+        if ( !existing ) return false;
+        const data = this.load();
+        data.themes = data.themes.filter( t => t !== existing );
+        this.save();
+        return true;
+    }
+
+    getCurrentTheme () {
+        const theme = this.services.dataService?.getValue( 'editableMessages.theme' );
+        return theme && theme.trim() ? theme : null;
+    }
+
+    async setCurrentTheme ( theme ) {
+        await this.services.dataService.setValue( 'editableMessages.theme', theme );
+        logger.debug( `[themeService] theme set to "${ theme }"` );
+
+        // A personality linked to this theme switches in; setting the theme still succeeds if it can't
+        try {
+            await this.services.personalityService?.handleThemeChange( theme );
+        } catch ( error ) {
+            logger.error( `[themeService] Personality switch for theme "${ theme }" failed: ${ error.message }` );
+        }
+    }
+
+    async clearCurrentTheme () {
+        await this.services.dataService.setValue( 'editableMessages.theme', '' );
+    }
+
+    /**
+     * Pick a random theme from the list, avoiding the current one where possible
+     * @returns {string|null}
+     */
+    pickRandomTheme () {
+        const current = this.getCurrentTheme()?.toLowerCase();
+        const themes = this.listThemes();
+        const candidates = themes.filter( t => t.toLowerCase() !== current );
+        const pool = candidates.length ? candidates : themes;
+        if ( !pool.length ) return null;
+        return pool[ Math.floor( Math.random() * pool.length ) ];
+    }
+
+    // ===== Scheduling =====
+
+    /**
+     * Parse a day name (full or three-letter) into its lowercase full name
+     * @returns {string|null}
+     */
+    static parseDay ( day ) {
+        const lower = ( day || '' ).toLowerCase();
+        return DAYS.find( d => d === lower || d.slice( 0, 3 ) === lower ) || null;
+    }
+
+    /**
+     * Parse a HH:MM 24 hour time, returning it zero padded
+     * @returns {string|null}
+     */
+    static parseTime ( time ) {
+        const match = ( time || '' ).match( /^(\d{1,2}):(\d{2})$/ );
+        if ( !match ) return null;
+        const hours = parseInt( match[ 1 ], 10 );
+        const minutes = parseInt( match[ 2 ], 10 );
+        if ( hours > 23 || minutes > 59 ) return null;
+        return `${ String( hours ).padStart( 2, '0' ) }:${ match[ 2 ] }`;
+    }
+
+    getSchedule () {
+        return this.load().schedule.map( entry => ( { ...entry } ) );
+    }
+
+    addSchedule ( day, time, theme ) {
+        const data = this.load();
+        data.schedule = data.schedule.filter( e => !( e.day === day && e.time === time ) );
+        data.schedule.push( { day, time, theme } );
+        data.schedule.sort( ( a, b ) => DAYS.indexOf( a.day ) - DAYS.indexOf( b.day ) || a.time.localeCompare( b.time ) );
+        this.save();
+    }
+
+    /**
+     * Remove a schedule entry by its 1-based position in the list
+     * @returns {Object|null} The removed entry
+     */
+    removeSchedule ( index ) {
+        const data = this.load();
+        if ( index < 1 || index > data.schedule.length ) return null;
+        const [ removed ] = data.schedule.splice( index - 1, 1 );
+        this.save();
+        return removed;
+    }
+
+    /**
+     * Get the day and HH:MM time in the configured timezone
+     */
+    _getLocalDayAndTime ( now ) {
+        const timezone = this.services.dataService?.getValue( 'configuration.timezone' ) || 'Europe/London';
+        const parts = new Intl.DateTimeFormat( 'en-GB', {
+            timeZone: timezone,
+            weekday: 'long',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        } ).formatToParts( now );
+        const get = type => parts.find( p => p.type === type )?.value;
+        return {
+            day: get( 'weekday' ).toLowerCase(),
+            time: `${ get( 'hour' ) }:${ get( 'minute' ) }`,
+            date: now.toISOString().slice( 0, 10 )
+        };
+    }
+
+    /**
+     * Apply and announce any theme scheduled for the current minute
+     * @param {Date} now - Current time
+     * @returns {Promise<string|null>} The theme that was applied, or null
+     */
+    async checkSchedule ( now = new Date() ) {
+        const { day, time, date } = this._getLocalDayAndTime( now );
+        const entry = this.load().schedule.find( e => e.day === day && e.time === time );
+        if ( !entry ) return null;
+
+        // Kept in botConfig and stored before the theme changes, so a restart
+        // within the same minute doesn't announce it again
+        const key = `${ date } ${ day } ${ time }`;
+        if ( this.services.dataService.getValue( 'themeOptions.lastScheduleKey' ) === key ) return null;
+        await this.services.dataService.setValue( 'themeOptions.lastScheduleKey', key );
+
+        await this.setCurrentTheme( entry.theme );
+        await this.announceTheme();
+        return entry.theme;
+    }
+
+    /**
+     * Announce the current theme to the room using the readTheme message
+     */
+    async announceTheme () {
+        const { tokenService, messageService } = this.services;
+        const announcement = tokenService
+            ? tokenService.getReadTheme()
+            : `The theme is currently ${ this.getCurrentTheme() }`;
+        if ( !announcement ) return;
+        await messageService.sendGroupMessage( `🎨 ${ announcement }`, { services: this.services } );
+    }
+
+    // ===== AI verdict =====
+
+    isVerdictEnabled () {
+        return this.services.dataService?.getValue( 'themeOptions.aiVerdict' ) === true;
+    }
+
+    async setVerdictEnabled ( enabled ) {
+        await this.services.dataService.setValue( 'themeOptions.aiVerdict', enabled );
+    }
+
+    /**
+     * Ask the AI whether a song fits the current theme and post its one line verdict
+     * @param {Object} songInfo - Song info with artistName, trackName and djUuid
+     * @returns {Promise<string|null>} The verdict posted, or null if skipped
+     */
+    async judgeSong ( songInfo ) {
+        const theme = this.getCurrentTheme();
+        if ( !theme || !this.isVerdictEnabled() || !songInfo?.artistName || !songInfo?.trackName ) return null;
+
+        const { machineLearningService, tokenService, messageService, dataService } = this.services;
+        if ( !machineLearningService?.activeBackend ) return null;
+        // Verdicts are a nice-to-have, so they stop quietly once the budget is spent
+        if ( this.services.llmUsageService?.checkBudget().exceeded ) return null;
+
+        const template = dataService.getValue( 'mlQuestions.themeVerdictQuestion' ) || DEFAULT_VERDICT_QUESTION;
+        const tokenContext = {
+            trackName: songInfo.trackName,
+            artistName: songInfo.artistName,
+            username: songInfo.djUuid ? messageService.formatMention( songInfo.djUuid ) : ''
+        };
+        const question = tokenService
+            ? await tokenService.replaceTokens( template, tokenContext, true )
+            : template
+                .replace( /\{theme\}/g, theme )
+                .replace( /\{trackName\}/g, songInfo.trackName )
+                .replace( /\{artistName\}/g, songInfo.artistName );
+
+        const response = await machineLearningService.askGoogleAI( question, undefined, { command: 'themeVerdict' } );
+        if ( MachineLearningService.isFailedResponse( response ) ) {
+            logger.debug( '[themeService] No usable theme verdict from the AI' );
+            return null;
+        }
+
+        const verdict = response.trim().split( '\n' )[ 0 ];
+        await messageService.sendGroupMessage( `🎨 ${ verdict }`, { services: this.services } );
+        return verdict;
+    }
+}
+
+ThemeService.DAYS = DAYS;
+ThemeService.DEFAULT_VERDICT_QUESTION = DEFAULT_VERDICT_QUESTION;
+
+module.exports = ThemeService;
@@ -1,4 +1,14 @@
 const { logger } = require( '../lib/logging.js' );
+const { hasTemplateSyntax, renderTemplate, validateTemplate } = require( '../lib/templateEngine.js' );
+
+// Values supplied by the caller rather than by a token resolver
+const CONTEXT_TOKENS = [ 'trackName', 'artistName', 'username', 'likes', 'dislikes', 'stars', 'senderUsername', 'args', 'targetUsername' ];
+
+// Chat command arguments {arg1}, {arg2}... are supplied by the caller too
+const ARG_TOKEN_PATTERN = /^arg\d+$/;
+
+// {name} or {name:param}, for computed tokens
+const COMPUTED_TOKEN_PATTERN = /\{([A-Za-z_]\w*)(?::([^\s{}|:][^{}|:]*))?\}/g;
 
 /**
  * Token Service - Manages dynamic tokens for messages and AI instructions
@@ -14,6 +24,7 @@ class TokenService {
             '{botName}': () => this.services.getState?.( 'botNickname' ) || 'DJ Bot',
             '{theme}': () => this.services.dataService?.getValue( 'editableMessages.theme' ) || '',
             '{readTheme}': () => this.getReadTheme(),
+            '{currentTheme}': () => this.services.dataService?.getValue( 'editableMessages.theme' ) || 'no theme',
             '{currentTime}': () => this.getCurrentTime(),
             '{currentDate}': () => this.getCurrentDate(),
             '{currentDayOfWeek}': () => this.getCurrentDayOfWeek(),
@@ -28,6 +39,44 @@ class TokenService {
             '{timeFormat}': () => this.getConfigValue( 'timeFormat', '24' ),
             '{documentation}': () => this.services.config?.WEB_DOCS_URL || 'http://localhost:8080'
         };
+
+        // Computed tokens look things up in the room or the play history. Ones that take a
+        // parameter are written {name:param}, where param is another token or plain text,
+        // e.g. {plays:artistName} or {lastPlayedBy:Bohemian Rhapsody}
+        this.computedTokens = {
+            plays: {
+                param: 'artist',
+                defaultParam: 'artistName',
+                description: 'Number of times an artist has been played here (defaults to the current artist)',
+                resolve: artist => this.getArtistPlays( artist )
+            },
+            lastPlayedBy: {
+                param: 'track',
+                defaultParam: 'trackName',
+                description: 'Who last played a track (defaults to the current track)',
+                resolve: track => this.getLastPlayedBy( track )
+            },
+            userCount: {
+                description: 'Number of people in the hangout',
+                resolve: () => this.services.stateService?._getAllUsers?.()?.length ?? 0
+            },
+            djCount: {
+                description: 'Number of DJs on stage',
+                resolve: () => this.services.stateService?._getDjs?.()?.length ?? 0
+            },
+            vibe: {
+                description: 'Current vibe meter reading',
+                resolve: () => this.services.stateService?._getVibeMeter?.() ?? 0
+            },
+            songLength: {
+                description: 'Length of the current song (m:ss)',
+                resolve: () => this.getSongLength()
+            },
+            uptime: {
+                description: 'How long the bot has been running (e.g. 1d 4h 12m)',
+                resolve: () => this.getUptime()
+            }
+        };
     }
 
     /**
@@ -339,6 +388,132 @@ class TokenService {
         }
     }
 
+    /**
+     * Count how often an artist has been played
+     * @param {string} artistName - Artist to count
+     * @returns {number} Number of plays
+     */
+    getArtistPlays ( artistName ) {
+        try {
+            if ( !artistName || !this.services?.databaseService?.initialized ) {
+                return 0;
+            }
+            return this.services.databaseService.getArtistPlayCount( artistName );
+        } catch ( error ) {
+            this.logger.debug( `[TokenService] Error counting plays: ${ error.message }` );
+            return 0;
+        }
+    }
+
+    /**
+     * Get the nickname of whoever last played a track
+     * @param {string} trackName - Track to look up
+     * @returns {string} DJ nickname, or 'nobody yet' if it hasn't been played
+     */
+    getLastPlayedBy ( trackName ) {
+        try {
+            if ( !trackName || !this.services?.databaseService?.initialized ) {
+                return 'nobody yet';
+            }
+            const play = this.services.databaseService.getLastPlayOfTrack( trackName );
+            return play ? ( play.nickname || 'an unknown DJ' ) : 'nobody yet';
+        } catch ( error ) {
+            this.logger.debug( `[TokenService] Error getting last play: ${ error.message }` );
+            return 'nobody yet';
+        }
+    }
+
+    /**
+     * Get the length of the song that's playing
+     * @returns {string} Length as m:ss, or empty string if nothing is playing
+     */
+    getSongLength () {
+        const duration = Number( this.services.stateService?._getNowPlaying?.()?.song?.duration );
+        if ( !duration || duration < 0 ) {
+            return '';
+        }
+        const seconds = Math.round( duration );
+        return `${ Math.floor( seconds / 60 ) }:${ String( seconds % 60 ).padStart( 2, '0' ) }`;
+    }
+
+    /**
+     * Get how long the bot has been running
+     * @returns {string} Uptime formatted as days, hours and minutes
+     */
+    getUptime () {
+        const uptimeSeconds = Math.floor( process.uptime() );
+        const days = Math.floor( uptimeSeconds / 86400 );
+        const hours = Math.floor( ( uptimeSeconds % 86400 ) / 3600 );
+        const minutes = Math.floor( ( uptimeSeconds % 3600 ) / 60 );
+        return `${ days }d ${ hours }h ${ minutes }m`;
+    }
+
+    /**
+     * Work out the value a computed token's parameter stands for. Song tokens fall
+     * back to the song that's playing, other token names are resolved, and anything
+     * else is used as plain text.
+     * @param {string|null} param - Parameter as written in the token
+     * @param {Object} context - Context for token resolution
+     * @returns {Promise<string|null>} The parameter's value
+     */
+    async resolveComputedParam ( param, context = {} ) {
+        if ( !param ) {
+            return null;
+        }
+        if ( CONTEXT_TOKENS.includes( param ) ) {
+            if ( context[ param ] !== undefined ) {
+                return context[ param ];
+            }
+            const song = this.services.stateService?._getNowPlaying?.()?.song;
+            return song?.[ param ] ?? null;
+        }
+        const builtIn = this.builtInTokens[ `{${ param }}` ];
+        if ( builtIn ) {
+            return await builtIn( context );
+        }
+        return param;
+    }
+
+    /**
+     * Resolve a computed token
+     * @param {string} source - Computed token name, e.g. 'plays'
+     * @param {string|null} param - Parameter as written, e.g. 'artistName'
+     * @param {Object} context - Context for token resolution
+     * @returns {Promise<*>} The value, or undefined if there's no such computed token
+     */
+    async resolveComputedToken ( source, param, context = {} ) {
+        const computed = this.computedTokens[ source ];
+        if ( !computed ) {
+            return undefined;
+        }
+        try {
+            const value = await this.resolveComputedParam( param || computed.defaultParam, context );
+            return await computed.resolve( value, context );
+        } catch ( error ) {
+            this.logger.debug( `[TokenService] Error resolving computed token ${ source }: ${ error.message }` );
+            return '';
+        }
+    }
+
+    /**
+     * Replace computed tokens such as {userCount} and {plays:artistName}
+     * @param {string} text - Text containing tokens
+     * @param {Object} context - Context for token resolution
+     * @param {Object} allTokens - Result of getAllTokens(), whose tokens take precedence
+     * @returns {Promise<string>} Text with computed tokens replaced
+     */
+    async replaceComputedTokens ( text, context, allTokens ) {
+        const values = new Map();
+        for ( const [ tag, source, param ] of text.matchAll( COMPUTED_TOKEN_PATTERN ) ) {
+            if ( values.has( tag ) || !this.computedTokens[ source ] || ( !param && allTokens[ tag ] !== undefined ) ) {
+                continue;
+            }
+            const value = await this.resolveComputedToken( source, param, context );
+            values.set( tag, value !== null && value !== undefined ? String( value ) : '' );
+        }
+        return values.size === 0 ? text : text.replace( COMPUTED_TOKEN_PATTERN, tag => values.has( tag ) ? values.get( tag ) : tag );
+    }
+
     /**
      * Get all available tokens (built-in + custom)
      * @param {boolean} skipDataLoad - Skip calling loadData() if data is already loaded
@@ -410,6 +585,56 @@ class TokenService {
         }
     }
 
+    /**
+     * Add or update a custom token built from a computed token, so owners can make
+     * their own without writing code, e.g. {artistPlays} = plays:artistName
+     * @param {string} tokenName - Token name (with or without braces)
+     * @param {string} source - Computed token to use, e.g. 'plays'
+     * @param {string|null} param - Parameter for the computed token, e.g. 'artistName'
+     * @param {string} description - Human-readable description of the token
+     * @param {boolean} skipDataLoad - Skip calling loadData() if data is already loaded
+     * @returns {Promise<Object>} Result object
+     */
+    async setComputedToken ( tokenName, source, param = null, description = 'Computed token', skipDataLoad = false ) {
+        try {
+            if ( !this.services?.dataService ) {
+                return { success: false, error: 'DataService not available' };
+            }
+
+            if ( !this.computedTokens[ source ] ) {
+                return { success: false, error: `Unknown computed token "${ source }" — available: ${ Object.keys( this.computedTokens ).join( ', ' ) }` };
+            }
+
+            if ( !skipDataLoad ) {
+                await this.services.dataService.loadData();
+            }
+
+            const normalizedTokenName = tokenName.startsWith( '{' ) ? tokenName : `{${ tokenName }}`;
+            const customTokens = this.services.dataService.getValue( 'customTokens' ) || {};
+
+            customTokens[ normalizedTokenName ] = {
+                source,
+                param: param || null,
+                description,
+                createdAt: new Date().toISOString(),
+                type: 'computed'
+            };
+
+            await this.services.dataService.setValue( 'customTokens', customTokens );
+
+            this.logger.info( `[TokenService] Added computed token: ${ normalizedTokenName } = ${ source }${ param ? `:${ param }` : '' }` );
+
+            return {
+                success: true,
+                message: `Token ${ normalizedTokenName } added successfully`,
+                tokenName: normalizedTokenName
+            };
+        } catch ( error ) {
+            this.logger.error( `[TokenService] Error setting computed token: ${ error.message }` );
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Remove a custom token
      * @param {string} tokenName - Token name to remove
@@ -471,6 +696,15 @@ class TokenService {
             const allTokens = await this.getAllTokens( skipDataLoad );
             let processedText = text;
 
+            // Conditionals, random choices and filters are rendered first; plain tokens are left for below
+            if ( hasTemplateSyntax( processedText ) ) {
+                try {
+                    processedText = await renderTemplate( processedText, ( name, param ) => this.resolveToken( name, context, allTokens, param ) );
+                } catch ( error ) {
+                    this.logger.warn( `[TokenService] Template not rendered (${ error.message }), replacing plain tokens only` );
+                }
+            }
+
             // Replace each token found in the text
             for ( const [ tokenName, tokenConfig ] of Object.entries( allTokens ) ) {
                 if ( processedText.includes( tokenName ) ) {
@@ -480,22 +714,7 @@ class TokenService {
                         continue;
                     }
 
-                    let resolvedValue;
-
-                    if ( typeof tokenConfig === 'function' ) {
-                        // Built-in token (function)
-                        resolvedValue = await tokenConfig( context );
-                    } else if ( tokenConfig?.value ) {
-                        // Custom token with config object
-                        if ( typeof tokenConfig.value === 'function' ) {
-                            resolvedValue = await tokenConfig.value( context );
-                        } else {
-                            resolvedValue = tokenConfig.value;
-                        }
-                    } else {
-                        // Direct value
-                        resolvedValue = tokenConfig;
-                    }
+                    const resolvedValue = await this.resolveTokenConfig( tokenConfig, context );
 
                     // Ensure resolvedValue is a string
                     const resolvedString = resolvedValue !== null && resolvedValue !== undefined ? String( resolvedValue ) : '';
@@ -505,6 +724,8 @@ class TokenService {
                 }
             }
 
+            processedText = await this.replaceComputedTokens( processedText, context, allTokens );
+
             // Handle context-specific tokens (like track/artist info)
             if ( context.trackName ) {
                 processedText = processedText.replace( /\{trackName\}/g, context.trackName );
@@ -525,6 +746,13 @@ class TokenService {
                 processedText = processedText.replace( /\{stars\}/g, context.stars );
             }
 
+            // Chat command arguments; missing numbered arguments are left empty
+            if ( context.args !== undefined ) {
+                processedText = processedText.replace( /\{args\}/g, () => context.args );
+                processedText = processedText.replace( /\{(arg\d+)\}/g, ( tag, name ) => context[ name ] ?? '' );
+                processedText = processedText.replace( /\{targetUsername\}/g, () => context.targetUsername ?? '' );
+            }
+
             // Handle context-provided senderUsername first (plain text for AI usage)
             if ( context.senderUsername ) {
                 processedText = processedText.replace( /\{senderUsername\}/g, context.senderUsername );
@@ -548,6 +776,59 @@ class TokenService {
         }
     }
 
+    /**
+     * Resolve a built-in or custom token's value
+     * @param {Function|Object|string} tokenConfig - Entry from getAllTokens()
+     * @param {Object} context - Context for token resolution
+     * @returns {Promise<*>} The token's value
+     */
+    async resolveTokenConfig ( tokenConfig, context = {} ) {
+        if ( typeof tokenConfig === 'function' ) {
+            // Built-in token (function)
+            return await tokenConfig( context );
+        }
+        if ( tokenConfig?.type === 'computed' ) {
+            // Custom token built from a computed token
+            return await this.resolveComputedToken( tokenConfig.source, tokenConfig.param, context );
+        }
+        if ( tokenConfig?.value ) {
+            // Custom token with config object
+            return typeof tokenConfig.value === 'function' ? await tokenConfig.value( context ) : tokenConfig.value;
+        }
+        // Direct value
+        return tokenConfig;
+    }
+
+    /**
+     * Resolve a token by name for template conditions and filters
+     * @param {string} name - Token name without braces
+     * @param {Object} context - Context for token resolution
+     * @param {Object} allTokens - Result of getAllTokens()
+     * @param {string|null} param - Parameter for computed tokens, e.g. 'artistName' in {plays:artistName}
+     * @returns {Promise<*>} The value, or undefined for an unknown token
+     */
+    async resolveToken ( name, context, allTokens, param = null ) {
+        if ( !param ) {
+            if ( ( CONTEXT_TOKENS.includes( name ) || ARG_TOKEN_PATTERN.test( name ) ) && context[ name ] !== undefined ) {
+                return context[ name ];
+            }
+            const tokenConfig = allTokens[ `{${ name }}` ];
+            if ( tokenConfig !== undefined ) {
+                return await this.resolveTokenConfig( tokenConfig, context );
+            }
+        }
+        return await this.resolveComputedToken( name, param, context );
+    }
+
+    /**
+     * Check a template for syntax errors before it is saved
+     * @param {string} text - Template text
+     * @returns {{valid: boolean, errors: Array<string>}}
+     */
+    validateTemplate ( text ) {
+        return validateTemplate( text );
+    }
+
     /**
      * Get a list of all available tokens with their descriptions
      * @param {boolean} skipDataLoad - Skip calling loadData() if data is already loaded
@@ -567,6 +848,15 @@ class TokenService {
                 } );
             }
 
+            // Add computed tokens, showing the parameter where they take one
+            for ( const [ source, computed ] of Object.entries( this.computedTokens ) ) {
+                tokenList.push( {
+                    name: computed.param ? `{${ source }:${ computed.param }}` : `{${ source }}`,
+                    type: 'computed',
+                    description: computed.description
+                } );
+            }
+
             // Add custom tokens
             if ( this.services?.dataService ) {
                 const customTokens = this.services.dataService.getValue( 'customTokens' ) || {};
@@ -576,7 +866,8 @@ class TokenService {
                         type: 'custom',
                         description: tokenConfig.description || 'Custom token',
                         createdAt: tokenConfig.createdAt,
-                        valueType: tokenConfig.type
+                        valueType: tokenConfig.type,
+                        ...( tokenConfig.type === 'computed' && { source: tokenConfig.source, param: tokenConfig.param } )
                     } );
                 }
             }
@@ -610,7 +901,8 @@ class TokenService {
             '{dateFormat}': 'Configured date format (e.g., DD/MM/YYYY)',
             '{timeFormat}': 'Configured time format (24 or 12 hour)',
             '{theme}': 'Current session theme set by the owner',
-            '{readTheme}': 'Outputs the readTheme message (with {theme} filled in) only when a theme is set; empty otherwise'
+            '{readTheme}': 'Outputs the readTheme message (with {theme} filled in) only when a theme is set; empty otherwise',
+            '{currentTheme}': 'Current session theme, or "no theme" when none is set'
         };
         return descriptions[ tokenName ] || 'Built-in token';
     }
@@ -1,10 +1,156 @@
 /**
  * Trigger Service - Manages and executes user-configurable command triggers
  * Allows OWNER users to configure commands to automatically execute when certain events occur
+ *
+ * Each trigger holds a list of entries. An entry is either a command name (optionally
+ * followed by its arguments, e.g. "echo welcome!") or an object:
+ *   { command: 'say', args: 'Welcome newbie {username}', condition: 'firstVisit' }
+ * The condition is checked against the event's data before the command runs.
  */
 
 const { logger } = require( '../lib/logging.js' );
 
+// Event data fields each trigger provides to conditions and argument tokens
+const TRIGGER_FIELDS = {
+    'newSong': [ 'artist', 'track', 'username', 'djUuid' ],
+    'userJoined': [ 'username', 'nickname', 'userUuid', 'firstVisit' ],
+    'userLeft': [ 'username', 'userUuid' ],
+    'djAdded': [ 'username', 'nickname', 'userUuid' ],
+    'djRemoved': [ 'username', 'userUuid' ],
+    'songLiked': [ 'likes', 'dislikes', 'stars', 'artist', 'track', 'username' ],
+    'songStarred': [ 'stars', 'likes', 'artist', 'track', 'username' ],
+    'roomSettingsChanged': [ 'settings', 'roomName' ],
+    'nothingPlaying': [],
+    'afkWarning': [ 'username', 'nickname', 'userUuid', 'warningLevel', 'inactiveMinutes' ]
+};
+
+// Friendlier names that can be used in conditions
+const FIELD_ALIASES = {
+    artist: 'artistName',
+    track: 'trackName',
+    user: 'username'
+};
+
+const CONDITION_OPERATORS = [ '>=', '<=', '!=', '==', '>', '<', 'matches', 'contains' ];
+
+/**
+ * Parse a trigger condition such as "artist matches /beatles/i" or "likes >= 5 and not firstVisit"
+ * @param {string} text - Clauses joined by "and"; each is "[not] field [operator value]"
+ * @returns {Array<Object>} Parsed clauses
+ * @throws {Error} If the condition can't be understood
+ */
+function parseCondition ( text ) {
+    const clauses = String( text || '' ).trim().split( /\s+and\s+/i ).filter( Boolean );
+    if ( clauses.length === 0 ) {
+        throw new Error( 'The condition is empty' );
+    }
+
+    return clauses.map( clauseText => {
+        const match = clauseText.trim().match( /^(not\s+)?([A-Za-z_][\w.]*)(?:\s*(>=|<=|!=|==|>|<|\s+matches\s+|\s+contains\s+)\s*(?![<>=!])(.+))?$/i );
+        if ( !match ) {
+            throw new Error( `Can't understand "${ clauseText.trim() }" — use field, not field, or field ${ CONDITION_OPERATORS.join( '|' ) } value` );
+        }
+
+        const clause = {
+            negate: Boolean( match[ 1 ] ),
+            field: FIELD_ALIASES[ match[ 2 ].toLowerCase() ] || match[ 2 ],
+            operator: match[ 3 ] ? match[ 3 ].trim().toLowerCase() : null,
+            value: match[ 4 ] !== undefined ? match[ 4 ].trim().replace( /^(["'])(.*)\1$/, '$2' ) : null
+        };
+
+        if ( clause.operator === 'matches' ) {
+            const regexMatch = clause.value.match( /^\/(.+)\/([a-z]*)$/ );
+            try {
+                clause.regex = regexMatch ? new RegExp( regexMatch[ 1 ], regexMatch[ 2 ] ) : new RegExp( clause.value, 'i' );
+            } catch ( error ) {
+                throw new Error( `Invalid pattern ${ clause.value }: ${ error.message }` );
+            }
+        }
+
+        return clause;
+    } );
+}
+
+function compareValues ( actual, operator, expected ) {
+    const bothNumbers = actual !== '' && actual !== null && actual !== undefined &&
+        !isNaN( Number( actual ) ) && !isNaN( Number( expected ) );
+    const left = bothNumbers ? Number( actual ) : String( actual ?? '' ).toLowerCase();
+    const right = bothNumbers ? Number( expected ) : String( expected ).toLowerCase();
+
+    switch ( operator ) {
+        case '==': return left === right;
+        case '!=': return left !== right;
+        case '>': return left > right;
+        case '<': return left < right;
+        case '>=': return left >= right;
+        case '<=': return left <= right;
+        case 'contains': return String( left ).includes( String( right ) );
+        default: return false;
+    }
+}
+
+/**
+ * Check parsed clauses against an event's values
+ * @param {Array<Object>} clauses - From parseCondition
+ * @param {Object} values - Flattened event data
+ * @returns {boolean} True when every clause holds
+ */
+function evaluateCondition ( clauses, values ) {
+    return clauses.every( clause => {
+        const actual = values[ clause.field ];
+        let result;
+        if ( !clause.operator ) {
+            result = Boolean( actual ) && actual !== 'false';
+        } else if ( clause.operator === 'matches' ) {
+            clause.regex.lastIndex = 0;
+            result = clause.regex.test( String( actual ?? '' ) );
+        } else {
+            result = compareValues( actual, clause.operator, clause.value );
+        }
+        return clause.negate ? !result : result;
+    } );
+}
+
+/**
+ * Flatten an event's data so conditions and tokens can use its fields directly.
+ * Song details from eventData.songInfo are lifted to the top level.
+ * @param {Object} eventData
+ * @returns {Object}
+ */
+function getEventValues ( eventData = {} ) {
+    const { songInfo, ...rest } = eventData || {};
+    return { ...( songInfo || {} ), ...rest };
+}
+
+/**
+ * Normalise a stored trigger entry
+ * @param {string|Object} entry - A command string like "echo welcome!" or an entry object
+ * @returns {{command: string, args: string, condition: string|null}}
+ */
+function normaliseEntry ( entry ) {
+    if ( entry && typeof entry === 'object' ) {
+        return {
+            command: String( entry.command || '' ),
+            args: entry.args ? String( entry.args ) : '',
+            condition: entry.condition || null
+        };
+    }
+    const [ command, ...args ] = String( entry || '' ).trim().split( /\s+/ );
+    return { command, args: args.join( ' ' ), condition: null };
+}
+
+/**
+ * Describe a trigger entry for chat, e.g. "say Welcome newbie (if firstVisit)"
+ * @param {string|Object} entry
+ * @returns {string}
+ */
+function describeEntry ( entry ) {
+    if ( typeof entry === 'string' ) return entry;
+    const { command, args, condition } = normaliseEntry( entry );
+    const commandText = args ? `${ command } ${ args }` : command;
+    return condition ? `${ commandText } (if ${ condition })` : commandText;
+}
+
 class TriggerService {
     constructor ( services ) {
         this.services = services;
@@ -21,10 +167,24 @@ class TriggerService {
             'userJoined': 'Fires when a user joins the hangout',
             'userLeft': 'Fires when a user leaves the hangout',
             'djAdded': 'Fires when a DJ is added to the booth',
-            'djRemoved': 'Fires when a DJ is removed from the booth'
+            'djRemoved': 'Fires when a DJ is removed from the booth',
+            'songLiked': 'Fires when the current song gets a like',
+            'songStarred': 'Fires when the current song gets a star',
+            'roomSettingsChanged': 'Fires when the room settings are changed',
+            'nothingPlaying': 'Fires when the music stops and nobody is playing',
+            'afkWarning': 'Fires when a DJ is warned for being AFK'
         };
     }
 
+    /**
+     * Gets the event data fields a trigger offers to conditions and argument tokens
+     * @param {string} triggerName - The trigger name
+     * @returns {Array<string>} Field names
+     */
+    getTriggerFields( triggerName ) {
+        return TRIGGER_FIELDS[ triggerName ] || [];
+    }
+
     /**
      * Gets all configured triggers from the data service
      * @returns {Object} Triggers configuration object
@@ -41,7 +201,7 @@ class TriggerService {
     /**
      * Gets commands configured for a specific trigger
      * @param {string} triggerName - The trigger name to get commands for
-     * @returns {Array} Array of command names, or empty array if none configured
+     * @returns {Array} Array of trigger entries, or empty array if none configured
      */
     getTriggerCommands( triggerName ) {
         try {
@@ -63,9 +223,12 @@ class TriggerService {
      * Adds a command to a trigger
      * @param {string} triggerName - The trigger name
      * @param {string} commandName - The command to add
+     * @param {Object} options - Optional arguments and condition
+     * @param {string} options.args - Arguments passed to the command; tokens like {username} use the event's data
+     * @param {string} options.condition - Only run when the event matches, e.g. "artist matches /beatles/i"
      * @returns {Object} Result object with success status and message
      */
-    async addTriggerCommand( triggerName, commandName ) {
+    async addTriggerCommand( triggerName, commandName, options = {} ) {
         try {
             const availableTriggers = this.getAvailableTriggers();
             
@@ -78,6 +241,25 @@ class TriggerService {
                 };
             }
 
+            const args = ( options.args || '' ).trim();
+            const condition = ( options.condition || '' ).trim() || null;
+
+            // Validate condition before saving it
+            if ( condition ) {
+                try {
+                    parseCondition( condition );
+                } catch ( error ) {
+                    return {
+                        success: false,
+                        error: `Invalid condition: ${ error.message }`
+                    };
+                }
+            }
+
+            // Plain commands are stored as strings, as they always have been
+            const entry = ( args || condition ) ? { command: commandName, args, condition } : commandName;
+            const description = describeEntry( entry );
+
             // Load current data
             await this.services.dataService.loadData();
             
@@ -90,25 +272,25 @@ class TriggerService {
             }
             
             // Check if command is already in the trigger
-            if ( triggers[ triggerName ].includes( commandName ) ) {
+            if ( triggers[ triggerName ].some( existing => describeEntry( existing ) === description ) ) {
                 return {
                     success: false,
-                    error: `Command "${ commandName }" is already configured for trigger "${ triggerName }"`
+                    error: `Command "${ description }" is already configured for trigger "${ triggerName }"`
                 };
             }
             
             // Add command to trigger
-            triggers[ triggerName ].push( commandName );
+            triggers[ triggerName ].push( entry );
             
             // Save updated triggers
             await this.services.dataService.setValue( 'triggers', triggers );
             
-            this.logger.info( `[TriggerService] Added command "${ commandName }" to trigger "${ triggerName }"` );
+            this.logger.info( `[TriggerService] Added command "${ description }" to trigger "${ triggerName }"` );
             
             return {
                 success: true,
-                message: `Added command "${ commandName }" to trigger "${ triggerName }"`,
-                currentCommands: triggers[ triggerName ]
+                message: `Added command "${ description }" to trigger "${ triggerName }"`,
+                currentCommands: triggers[ triggerName ].map( describeEntry )
             };
         } catch ( error ) {
             this.logger.error( `[TriggerService] Error adding command to trigger: ${ error.message }` );
@@ -122,7 +304,7 @@ class TriggerService {
     /**
      * Removes a command from a trigger
      * @param {string} triggerName - The trigger name
-     * @param {string} commandName - The command to remove
+     * @param {string} commandName - The command to remove, or its position in the list (1 is the first)
      * @returns {Object} Result object with success status and message
      */
     async removeTriggerCommand( triggerName, commandName ) {
@@ -152,18 +334,25 @@ class TriggerService {
                 };
             }
             
-            // Check if command exists in trigger
-            const commandIndex = triggers[ triggerName ].indexOf( commandName );
+            // Check if command exists in trigger, by its full text, its command name or its position
+            const entries = triggers[ triggerName ];
+            let commandIndex = entries.findIndex( entry => describeEntry( entry ) === commandName );
+            if ( commandIndex === -1 ) {
+                commandIndex = entries.findIndex( entry => normaliseEntry( entry ).command === commandName );
+            }
+            if ( commandIndex === -1 && /^\d+$/.test( String( commandName ) ) && Number( commandName ) <= entries.length ) {
+                commandIndex = Number( commandName ) - 1;
+            }
             if ( commandIndex === -1 ) {
                 return {
                     success: false,
                     error: `Command "${ commandName }" is not configured for trigger "${ triggerName }"`,
-                    currentCommands: triggers[ triggerName ]
+                    currentCommands: entries.map( describeEntry )
                 };
             }
             
             // Remove command from trigger
-            triggers[ triggerName ].splice( commandIndex, 1 );
+            const [ removed ] = entries.splice( commandIndex, 1 );
             
             // If trigger is now empty, remove it entirely
             if ( triggers[ triggerName ].length === 0 ) {
@@ -173,12 +362,12 @@ class TriggerService {
             // Save updated triggers
             await this.services.dataService.setValue( 'triggers', triggers );
             
-            this.logger.info( `[TriggerService] Removed command "${ commandName }" from trigger "${ triggerName }"` );
+            this.logger.info( `[TriggerService] Removed command "${ describeEntry( removed ) }" from trigger "${ triggerName }"` );
             
             return {
                 success: true,
-                message: `Removed command "${ commandName }" from trigger "${ triggerName }"`,
-                currentCommands: triggers[ triggerName ] || []
+                message: `Removed command "${ describeEntry( removed ) }" from trigger "${ triggerName }"`,
+                currentCommands: ( triggers[ triggerName ] || [] ).map( describeEntry )
             };
         } catch ( error ) {
             this.logger.error( `[TriggerService] Error removing command from trigger: ${ error.message }` );
@@ -221,7 +410,7 @@ class TriggerService {
                 };
             }
             
-            const clearedCommands = triggers[ triggerName ].slice(); // Copy array
+            const clearedCommands = triggers[ triggerName ].map( describeEntry ); // Copy array
             
             // Remove trigger entirely
             delete triggers[ triggerName ];
@@ -249,7 +438,10 @@ class TriggerService {
      * Executes all commands configured for a specific trigger
      * @param {string} triggerName - The trigger name to execute
      * @param {Object} context - Context object with information about the triggering event
-     * @param {Object} context.eventData - Data specific to the triggering event
+     * @param {Object} context.eventData - Data specific to the triggering event, checked by conditions
+     *   and passed to each command as context.trigger.eventData
+     * @param {Object} context.previousEventData - The same values before the event. An entry whose
+     *   condition already held for these is skipped, so "likes >= 5" fires once as the count passes 5
      * @param {Object} context.sender - Optional sender information (defaults to system)
      * @returns {Promise<Object>} Result object with execution details
      */
@@ -269,7 +461,38 @@ class TriggerService {
                 };
             }
 
-            this.logger.info( `[TriggerService] Executing ${ commands.length } command(s) for trigger '${ triggerName }': ${ commands.join( ', ' ) }` );
+            const eventData = context.eventData || {};
+            const values = getEventValues( eventData );
+            const mentionUuid = values.userUuid || values.djUuid;
+            if ( !values.username && mentionUuid && this.services.messageService?.formatMention ) {
+                values.username = this.services.messageService.formatMention( mentionUuid );
+            }
+            const previousValues = context.previousEventData ? { ...values, ...getEventValues( context.previousEventData ) } : null;
+
+            // Work out which entries this event matches
+            const entries = commands.map( normaliseEntry ).filter( entry => {
+                if ( !entry.command ) return false;
+                if ( !entry.condition ) return true;
+                try {
+                    const clauses = parseCondition( entry.condition );
+                    if ( !evaluateCondition( clauses, values ) ) return false;
+                    return !previousValues || !evaluateCondition( clauses, previousValues );
+                } catch ( error ) {
+                    this.logger.warn( `[TriggerService] Skipping '${ entry.command }' on trigger '${ triggerName }': ${ error.message }` );
+                    return false;
+                }
+            } );
+
+            if ( entries.length === 0 ) {
+                this.logger.debug( `[TriggerService] No conditions matched for trigger: ${ triggerName }` );
+                return {
+                    success: true,
+                    executed: 0,
+                    results: []
+                };
+            }
+
+            this.logger.info( `[TriggerService] Executing ${ entries.length } command(s) for trigger '${ triggerName }': ${ entries.map( entry => entry.command ).join( ', ' ) }` );
 
             // Create a system context for executing commands if none provided
             const botContext = {
@@ -280,21 +503,29 @@ class TriggerService {
                 fullMessage: context.fullMessage || {
                     isPrivateMessage: false
                 },
-                chatMessage: context.chatMessage || null
+                chatMessage: context.chatMessage || null,
+                trigger: {
+                    name: triggerName,
+                    eventData
+                }
             };
 
             const results = [];
 
             // Execute each command in the trigger
-            for ( const commandName of commands ) {
+            for ( const { command: commandName, args } of entries ) {
                 try {
                     this.logger.debug( `[TriggerService] Executing triggered command: ${ commandName }` );
-                    
+
+                    // Tokens in the arguments, like {username} or {artistName}, are filled from the event
+                    const commandArgs = args && this.services.tokenService
+                        ? await this.services.tokenService.replaceTokens( args, values )
+                        : args;
+
                     // Execute the command using the command service
-                    // Use empty args since triggers don't have arguments by default
                     const result = await this.services.commandService( 
                         commandName, 
-                        '', 
+                        commandArgs, 
                         this.services, 
                         botContext 
                     );
@@ -343,4 +574,8 @@ class TriggerService {
     }
 }
 
+TriggerService.parseCondition = parseCondition;
+TriggerService.evaluateCondition = evaluateCondition;
+TriggerService.describeEntry = describeEntry;
+
 module.exports = TriggerService;
\ No newline at end of file
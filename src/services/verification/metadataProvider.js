@@ -0,0 +1,126 @@
+/**
+ * Base class for the music metadata sources used by VerificationService.
+ *
+ * A provider has a unique name and a priority (lower runs and wins first when two
+ * providers report the same fact), and implements:
+ *   search( term, options ) - raw results from the source, for the provider's own use
+ *   lookup( { artist, track } ) - facts about the song, shaped like the verified data
+ *     summary, e.g. { track: { releaseDate }, artist: { country } }. Anything left out
+ *     is simply not known. Throw if the source couldn't be reached.
+ *
+ * Requests made through fetchJson() are spaced at least minIntervalMs apart for
+ * each provider and give up after timeoutMs. VerificationService applies the same
+ * timeout to a whole lookup and runs it through retryService, so a source that
+ * keeps failing is skipped until its circuit breaker closes again.
+ */
+class MetadataProvider {
+    /**
+     * @param {Object} services - Service container
+     * @param {Object} options
+     * @param {string} options.name - Unique provider name, e.g. 'musicbrainz'
+     * @param {number} options.priority - Lower runs first and wins when facts overlap
+     * @param {number} options.minIntervalMs - Minimum gap between this provider's requests
+     * @param {number} options.timeoutMs - How long a request or lookup may take
+     * @param {number} options.maxRetries - Retries for a failed lookup
+     */
+    constructor ( services = {}, { name, priority = 100, minIntervalMs = 1000, timeoutMs = 10000, maxRetries = 1 } = {} ) {
+        if ( !name ) {
+            throw new Error( 'A metadata provider needs a name' );
+        }
+        this.services = services;
+        this.logger = services.logger || console;
+        this.name = name;
+        this.priority = priority;
+        this.minIntervalMs = minIntervalMs;
+        this.timeoutMs = timeoutMs;
+        this.maxRetries = maxRetries;
+        this.enabled = true;
+        this.nextRequestAt = 0;
+    }
+
+    get userAgent () {
+        return MetadataProvider.buildUserAgent( this.services.config );
+    }
+
+    /**
+     * Whether the provider can be used at all, e.g. its library is installed
+     * @returns {boolean}
+     */
+    isAvailable () {
+        return true;
+    }
+
+    /**
+     * Search the source
+     * @returns {Promise<*>}
+     */
+    async search () {
+        throw new Error( `${ this.name } does not support search` );
+    }
+
+    /**
+     * Look up facts about a song
+     * @param {{artist: string, track: string}} song
+     * @returns {Promise<{track?: Object, artist?: Object}>}
+     */
+    async lookup () {
+        throw new Error( `${ this.name } does not implement lookup` );
+    }
+
+    /**
+     * Wait for this provider's next request slot. Slots are handed out as they're
+     * asked for, so lookups running side by side still keep their distance.
+     * @returns {Promise<void>}
+     */
+    async throttle () {
+        const now = Date.now();
+        const wait = Math.max( 0, this.nextRequestAt - now );
+        this.nextRequestAt = Math.max( now, this.nextRequestAt ) + this.minIntervalMs;
+        if ( wait > 0 ) {
+            await new Promise( resolve => setTimeout( resolve, wait ) );
+        }
+    }
+
+    /**
+     * Fetch and parse JSON, respecting the rate limit and timeout
+     * @param {string} url
+     * @returns {Promise<Object>}
+     * @throws {Error} On a timeout or a non-2xx response; error.response.status is set for the latter
+     */
+    async fetchJson ( url ) {
+        await this.throttle();
+
+        let response;
+        try {
+            response = await fetch( url, {
+                headers: { 'User-Agent': this.userAgent },
+                signal: AbortSignal.timeout( this.timeoutMs )
+            } );
+        } catch ( err ) {
+            if ( err.name === 'TimeoutError' || err.name === 'AbortError' ) {
+                throw new Error( `${ this.name } request timeout after ${ this.timeoutMs }ms` );
+            }
+            throw err;
+        }
+
+        if ( !response.ok ) {
+            const error = new Error( `${ this.name } API error: ${ response.status } ${ response.statusText || '' }`.trim() );
+            error.response = { status: response.status };
+            throw error;
+        }
+        return response.json();
+    }
+
+    /**
+     * User agent sent to the metadata APIs, built from the current hangout URL or slug
+     * @param {Object} config - App config
+     * @returns {string}
+     */
+    static buildUserAgent ( config ) {
+        // If full URL not available yet, use the slug (which must be present)
+        const hangoutUrl = config?.HANGOUT_URL || `Hangout.fm ${ config?.HANGOUT_SLUG }`;
+        return `mrRoboto/1.4.1 (${ hangoutUrl })`;
+    }
+}
+
+module.exports = MetadataProvider;
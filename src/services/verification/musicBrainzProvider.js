@@ -0,0 +1,70 @@
+const MetadataProvider = require( './metadataProvider.js' );
+
+const API_URL = 'https://musicbrainz.org/ws/2';
+const MAX_TAGS = 5;
+
+/**
+ * MusicBrainz - credited artist, first release date, length, ISRC, tags and ids
+ * of a recording, and when and where the artist started
+ */
+class MusicBrainzProvider extends MetadataProvider {
+    constructor ( services ) {
+        // MusicBrainz allows one request a second
+        super( services, { name: 'musicbrainz', priority: 10, minIntervalMs: 1100, timeoutMs: 10000 } );
+    }
+
+    /**
+     * Search the MusicBrainz web service
+     * @param {string} query - Lucene query, e.g. artist:"Chic" recording:"Le Freak"
+     * @param {Object} options
+     * @param {string} options.type - Entity to search, 'recording' or 'artist'
+     * @returns {Promise<Array>} Up to three matches, best first
+     */
+    async search ( query, { type = 'recording' } = {} ) {
+        const data = await this.fetchJson( `${ API_URL }/${ type }?query=${ encodeURIComponent( query ) }&fmt=json&limit=5` );
+        return ( type === 'artist' ? data.artists : data.recordings )?.slice( 0, 3 ) || [];
+    }
+
+    async lookup ( { artist, track } ) {
+        const facts = {};
+
+        const [ recording ] = await this.search( `artist:"${ artist }" recording:"${ track }"`, { type: 'recording' } );
+        if ( recording ) {
+            facts.track = {
+                artist: recording[ 'artist-credit' ]?.[ 0 ]?.artist?.name || artist,
+                releaseDate: recording[ 'first-release-date' ],
+                duration: recording.length ? Math.round( recording.length / 1000 ) : undefined,
+                isrc: recording.isrcs?.[ 0 ],
+                genres: MusicBrainzProvider.topTags( recording.tags ),
+                musicbrainzId: recording.id
+            };
+        }
+
+        const [ match ] = await this.search( artist, { type: 'artist' } );
+        if ( match ) {
+            facts.artist = {
+                founded: match[ 'life-span' ]?.begin,
+                country: match.country,
+                genres: MusicBrainzProvider.topTags( match.tags ),
+                musicbrainzId: match.id
+            };
+        }
+
+        return facts;
+    }
+
+    /**
+     * The most used tags, which on MusicBrainz are mostly genres
+     * @param {Array<{name: string, count: number}>} tags
+     * @returns {string[]}
+     */
+    static topTags ( tags ) {
+        return ( tags || [] )
+            .filter( tag => tag.name && ( tag.count ?? 1 ) > 0 )
+            .sort( ( a, b ) => ( b.count || 0 ) - ( a.count || 0 ) )
+            .slice( 0, MAX_TAGS )
+            .map( tag => tag.name );
+    }
+}
+
+module.exports = MusicBrainzProvider;
@@ -0,0 +1,63 @@
+/**
+ * ProviderRegistry - The music metadata sources VerificationService can use,
+ * kept in priority order. See metadataProvider.js for the provider interface.
+ */
+class ProviderRegistry {
+    constructor () {
+        this.providers = new Map();
+    }
+
+    /**
+     * Add a provider, replacing any provider with the same name
+     * @param {MetadataProvider} provider
+     * @returns {MetadataProvider}
+     */
+    register ( provider ) {
+        if ( !provider?.name || typeof provider.lookup !== 'function' ) {
+            throw new Error( 'A metadata provider needs a name and a lookup() method' );
+        }
+        this.providers.set( provider.name, provider );
+        return provider;
+    }
+
+    /**
+     * @returns {boolean} Whether a provider was removed
+     */
+    unregister ( name ) {
+        return this.providers.delete( name );
+    }
+
+    get ( name ) {
+        return this.providers.get( name ) || null;
+    }
+
+    /**
+     * Every registered provider, lowest priority number first
+     * @returns {MetadataProvider[]}
+     */
+    list () {
+        return [ ...this.providers.values() ].sort( ( a, b ) => ( a.priority ?? 100 ) - ( b.priority ?? 100 ) );
+    }
+
+    /**
+     * Pick the providers for a lookup
+     * @param {string[]} [names] - Only use these providers; by default every enabled one is used
+     * @returns {MetadataProvider[]} Usable providers in priority order
+     * @throws {Error} If a named provider isn't registered
+     */
+    select ( names ) {
+        if ( names?.length ) {
+            const unknown = names.filter( name => !this.providers.has( name ) );
+            if ( unknown.length ) {
+                throw new Error( `Unknown metadata provider: ${ unknown.join( ', ' ) }` );
+            }
+        }
+
+        return this.list().filter( provider => {
+            if ( names?.length ? !names.includes( provider.name ) : provider.enabled === false ) return false;
+            return typeof provider.isAvailable !== 'function' || provider.isAvailable();
+        } );
+    }
+}
+
+module.exports = ProviderRegistry;
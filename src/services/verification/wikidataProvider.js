@@ -0,0 +1,110 @@
+const MetadataProvider = require( './metadataProvider.js' );
+
+const API_URL = 'https://www.wikidata.org/w/api.php';
+const ENTITY_URL = 'https://www.wikidata.org/wiki/Special:EntityData';
+
+/**
+ * Wikidata - entity ids, images and the album a track was released on
+ */
+class WikidataProvider extends MetadataProvider {
+    constructor ( services ) {
+        // Wikidata recommends 1-2s between requests
+        super( services, { name: 'wikidata', priority: 20, minIntervalMs: 1500, timeoutMs: 10000 } );
+    }
+
+    /**
+     * Search entities by label
+     * @param {string} term - Text to search for
+     * @param {Object} options
+     * @param {boolean} options.filterMusic - Only keep songs, recordings, tracks and albums
+     * @returns {Promise<Array>} Matching entities from wbsearchentities, best first
+     */
+    async search ( term, { filterMusic = true } = {} ) {
+        const data = await this.fetchJson( `${ API_URL }?action=wbsearchentities&search=${ encodeURIComponent( term ) }&format=json&language=en` );
+        const results = data.search || [];
+        if ( !filterMusic ) return results;
+
+        return results.filter( item => {
+            const desc = item.description?.toLowerCase() || '';
+            return !desc.includes( 'film' ) && !desc.includes( 'episode' ) &&
+                ( desc.includes( 'song' ) || desc.includes( 'recording' ) || desc.includes( 'track' ) || desc.includes( 'album' ) );
+        } ).slice( 0, 5 );
+    }
+
+    /**
+     * @returns {Promise<Object|null>} The entity with its claims, or null if it couldn't be fetched
+     */
+    async fetchEntity ( qid ) {
+        try {
+            const data = await this.fetchJson( `${ ENTITY_URL }/${ qid }.json` );
+            return data.entities?.[ qid ] || null;
+        } catch ( err ) {
+            this.logger.debug( `[VerificationService] Entity fetch error: ${ err.message }` );
+            return null;
+        }
+    }
+
+    /**
+     * Find the album a track entity was published in or is part of
+     * @returns {Promise<{title: string, wikidata_id: string, imageUrl: string}|undefined>}
+     */
+    async findAlbum ( entity ) {
+        const albumQid = entity.claims.P4650?.[ 0 ]?.mainsnak?.datavalue?.value?.id ||
+            entity.claims.P361?.[ 0 ]?.mainsnak?.datavalue?.value?.id;
+        if ( !albumQid ) return undefined;
+
+        const album = await this.fetchEntity( albumQid );
+        if ( !album ) return undefined;
+        return {
+            title: album.labels?.en?.value,
+            wikidata_id: albumQid,
+            imageUrl: WikidataProvider.extractImageUrl( album )
+        };
+    }
+
+    async lookup ( { artist, track } ) {
+        const facts = {};
+
+        const [ trackMatch ] = await this.search( track, { filterMusic: true } );
+        const trackEntity = trackMatch ? await this.fetchEntity( trackMatch.id ) : null;
+        if ( trackEntity?.claims ) {
+            facts.track = {
+                wikidata: {
+                    qid: trackMatch.id,
+                    properties: Object.keys( trackEntity.claims ).length,
+                    imageUrl: WikidataProvider.extractImageUrl( trackEntity )
+                },
+                album: await this.findAlbum( trackEntity )
+            };
+        }
+
+        const [ artistMatch ] = await this.search( artist, { filterMusic: false } );
+        const artistEntity = artistMatch ? await this.fetchEntity( artistMatch.id ) : null;
+        if ( artistEntity?.claims ) {
+            facts.artist = {
+                wikidata: {
+                    qid: artistMatch.id,
+                    properties: Object.keys( artistEntity.claims ).length
+                }
+            };
+        }
+
+        return facts;
+    }
+
+    /**
+     * Extract image URL from Wikidata entity
+     * @returns {string|undefined}
+     */
+    static extractImageUrl ( entity ) {
+        if ( !entity?.claims?.P18 || entity.claims.P18.length === 0 ) {
+            return undefined;
+        }
+        const imageFileName = entity.claims.P18[ 0 ]?.mainsnak?.datavalue?.value;
+        if ( !imageFileName ) return undefined;
+        const encoded = encodeURIComponent( imageFileName );
+        return `https://commons.wikimedia.org/wiki/Special:FilePath/${ encoded }`;
+    }
+}
+
+module.exports = WikidataProvider;
@@ -0,0 +1,53 @@
+const MetadataProvider = require( './metadataProvider.js' );
+
+/**
+ * Wikipedia - page categories for the track, via wtf_wikipedia
+ */
+class WikipediaProvider extends MetadataProvider {
+    constructor ( services ) {
+        super( services, { name: 'wikipedia', priority: 30, minIntervalMs: 1000, timeoutMs: 10000 } );
+    }
+
+    /**
+     * wtf_wikipedia is optional; without it this provider is skipped
+     * @returns {Object|null} The library, or null if it isn't installed
+     */
+    getLibrary () {
+        if ( this.library === undefined ) {
+            try {
+                this.library = require( 'wtf_wikipedia' );
+            } catch ( e ) {
+                this.logger.debug( '[VerificationService] wtf_wikipedia not installed, skipping Wikipedia search' );
+                this.library = null;
+            }
+        }
+        return this.library;
+    }
+
+    isAvailable () {
+        return !!this.getLibrary();
+    }
+
+    /**
+     * Fetch a page by title
+     * @param {string} title
+     * @returns {Promise<{title: string, categories: string[], infobox: Object}|null>} null when there's no such page
+     */
+    async search ( title ) {
+        await this.throttle();
+        const page = await this.getLibrary().fetch( title, { userAgent: this.userAgent } );
+        if ( !page ) return null;
+        return {
+            title: page.title(),
+            categories: page.categories().slice( 0, 5 ),
+            infobox: page.infobox()
+        };
+    }
+
+    async lookup ( { track } ) {
+        const page = await this.search( track );
+        return page?.categories?.length ? { track: { categories: page.categories.slice( 0, 3 ) } } : {};
+    }
+}
+
+module.exports = WikipediaProvider;
@@ -1,13 +1,36 @@
+const { normalizeText } = require( '../lib/textUtils.js' );
+const MetadataProvider = require( './verification/metadataProvider.js' );
+const ProviderRegistry = require( './verification/providerRegistry.js' );
+const WikipediaProvider = require( './verification/wikipediaProvider.js' );
+const WikidataProvider = require( './verification/wikidataProvider.js' );
+const MusicBrainzProvider = require( './verification/musicBrainzProvider.js' );
+
+const DEFAULT_TTL_HOURS = 720;
+const DEFAULT_NEGATIVE_TTL_HOURS = 24;
+
 /**
  * Verification Service
- * Aggregates metadata from Wikipedia, Wikidata, and MusicBrainz
- * Returns verified data summary as structured JSON
+ * Aggregates metadata from the registered providers (MusicBrainz, Wikidata and
+ * Wikipedia out of the box) and returns a verified data summary as structured JSON.
+ * Further sources are added with registerProvider(); see verification/metadataProvider.js.
+ *
+ * Lookups are cached in SQLite by normalized artist and track. Songs the sources
+ * know nothing about are cached too, for verificationCache.negativeTtlHours, so
+ * they aren't searched for again on every command. Lookups where every source
+ * failed aren't cached at all. Queued songs are looked up in the background by
+ * prewarm() so the facts are ready before the song plays.
  */
 class VerificationService {
     constructor ( services = {} ) {
         this.services = services;
         this.logger = services.logger || console;
-        this.delayMs = 2000; // Delay between requests to avoid rate limiting (Wikidata recommends 1-2s between requests)
+        this.providers = new ProviderRegistry();
+        [ MusicBrainzProvider, WikidataProvider, WikipediaProvider ].forEach( Provider => this.providers.register( new Provider( services ) ) );
+        // Lookups in progress by cache key, so the same song is only searched for once at a time
+        this.pending = new Map();
+        // Background lookups run one after another to keep the APIs happy
+        this.prewarmQueue = Promise.resolve();
+        this.prewarmKeys = new Set();
     }
 
     /**
@@ -17,16 +40,20 @@ class VerificationService {
      * @returns {string}
      */
     get userAgent () {
-        const config = this.services.config;
-        let hangoutUrl = config?.HANGOUT_URL;
+        return MetadataProvider.buildUserAgent( this.services.config );
+    }
 
-        // If full URL not available yet, use the slug (which must be present)
-        if ( !hangoutUrl ) {
-            const slug = config?.HANGOUT_SLUG;
-            hangoutUrl = `Hangout.fm ${ slug }`;
-        }
+    /**
+     * Add a metadata source, replacing any registered under the same name
+     * @param {MetadataProvider} provider
+     * @returns {MetadataProvider}
+     */
+    registerProvider ( provider ) {
+        return this.providers.register( provider );
+    }
 
-        return `mrRoboto/1.4.1 (${ hangoutUrl })`;
+    unregisterProvider ( name ) {
+        return this.providers.unregister( name );
     }
 
     /**
@@ -35,6 +62,12 @@ class VerificationService {
      */
     async initialize () {
         try {
+            if ( this.isCacheEnabled() ) {
+                const removed = this.services.databaseService.clearVerificationCache( true );
+                if ( removed ) {
+                    this.logger.debug( `[VerificationService] Removed ${ removed } expired cache entries` );
+                }
+            }
             this.logger.info( `✅ [VerificationService] Initialized` );
         } catch ( err ) {
             this.logger.error( `❌ [VerificationService] Initialization failed: ${ err.message }` );
@@ -42,252 +75,99 @@ class VerificationService {
         }
     }
 
-    /**
-     * Extract image URL from Wikidata entity
-     * @private
-     */
-    _extractImageUrl ( entity ) {
-        if ( !entity?.claims?.P18 || entity.claims.P18.length === 0 ) {
-            return undefined;
-        }
-        const imageFileName = entity.claims.P18[ 0 ]?.mainsnak?.datavalue?.value;
-        if ( !imageFileName ) return undefined;
-        const encoded = encodeURIComponent( imageFileName );
-        return `https://commons.wikimedia.org/wiki/Special:FilePath/${ encoded }`;
+    getTtlHours () {
+        const hours = this.services.dataService?.getValue( 'verificationCache.ttlHours' );
+        return typeof hours === 'number' && hours >= 0 ? hours : DEFAULT_TTL_HOURS;
     }
 
-    /**
-     * Search Wikipedia for artist/track
-     * @private
-     */
-    async _searchWikipedia ( searchTerm ) {
-        try {
-            let wtf;
-            try {
-                wtf = require( 'wtf_wikipedia' );
-            } catch ( e ) {
-                this.logger.debug( '[VerificationService] wtf_wikipedia not installed, skipping Wikipedia search' );
-                return { available: false };
-            }
+    getNegativeTtlHours () {
+        const hours = this.services.dataService?.getValue( 'verificationCache.negativeTtlHours' );
+        return typeof hours === 'number' && hours >= 0 ? hours : DEFAULT_NEGATIVE_TTL_HOURS;
+    }
 
-            const results = { searches: {} };
+    isCacheEnabled () {
+        return !!this.services.databaseService?.initialized && this.getTtlHours() > 0;
+    }
 
+    /**
+     * @returns {{ttlHours: number, negativeTtlHours: number, entries: number, found: number, hits: number, expired: number}}
+     */
+    getCacheStats () {
+        let counts = { entries: 0, found: 0, hits: 0, expired: 0 };
+        if ( this.services.databaseService?.initialized ) {
             try {
-                const page = await wtf.fetch( searchTerm );
-                results.searches[ searchTerm ] = {
-                    success: true,
-                    data: {
-                        title: page.title(),
-                        categories: page.categories().slice( 0, 5 ),
-                        infobox: page.infobox()
-                    }
-                };
+                counts = this.services.databaseService.getVerificationCacheStats();
             } catch ( err ) {
-                results.searches[ searchTerm ] = {
-                    success: false,
-                    error: err.message
-                };
+                this.logger.error( `❌ [VerificationService] Failed to read cache stats: ${ err.message }` );
             }
-
-            return results;
-        } catch ( err ) {
-            this.logger.debug( `[VerificationService] Wikipedia search error: ${ err.message }` );
-            return { searches: {} };
         }
+        return { ttlHours: this.getTtlHours(), negativeTtlHours: this.getNegativeTtlHours(), ...counts };
     }
 
     /**
-     * Search Wikidata for artist/track
-     * @private
+     * Build the cache key, ignoring case, fancy characters, punctuation and remaster notes
+     * @returns {string}
      */
-    async _searchWikidata ( searchTerm, filterMusic = true ) {
-        try {
-            const results = { searches: {} };
-            const encodedTerm = encodeURIComponent( searchTerm );
-            const searchUrl = `https://www.wikidata.org/w/api.php?action=wbsearchentities&search=${ encodedTerm }&format=json&language=en`;
-
-            const response = await fetch( searchUrl, {
-                headers: { 'User-Agent': this.userAgent }
-            } );
-
-            if ( !response.ok ) {
-                throw new Error( `Wikidata API error: ${ response.status } ${ response.statusText }` );
-            }
-
-            const data = await response.json();
-
-            let filteredResults = data.search || [];
-
-            // Filter for music entities if requested
-            if ( filterMusic ) {
-                filteredResults = filteredResults.filter( item => {
-                    const desc = item.description?.toLowerCase() || '';
-                    return !desc.includes( 'film' ) && !desc.includes( 'episode' ) &&
-                        ( desc.includes( 'song' ) || desc.includes( 'recording' ) || desc.includes( 'track' ) || desc.includes( 'album' ) );
-                } ).slice( 0, 5 );
-            }
+    static buildKey ( artistName, trackName ) {
+        const clean = text => normalizeText( text || '' )
+            .toLowerCase()
+            .replace( /[([][^)\]]*remaster[^)\]]*[)\]]/g, ' ' )
+            .replace( /[^a-z0-9]+/g, ' ' )
+            .trim();
+        return `${ clean( artistName ) }|${ clean( trackName ) }`;
+    }
 
-            results.searches[ searchTerm ] = {
-                success: true,
-                totalResults: data.search ? data.search.length : 0,
-                filteredResults: filteredResults.length,
-                data: filteredResults
-            };
-
-            // Get detailed data for first result
-            if ( filteredResults.length > 0 ) {
-                const selectedResult = filteredResults[ 0 ];
-                const selectedQid = selectedResult.id;
-
-                // Add delay to avoid rate limiting
-                await new Promise( resolve => setTimeout( resolve, this.delayMs ) );
-
-                try {
-                    const entityUrl = `https://www.wikidata.org/wiki/Special:EntityData/${ selectedQid }.json`;
-                    const entityResponse = await fetch( entityUrl, {
-                        headers: { 'User-Agent': this.userAgent }
-                    } );
-
-                    if ( !entityResponse.ok ) {
-                        throw new Error( `Entity fetch error: ${ entityResponse.status } ${ entityResponse.statusText }` );
-                    }
-
-                    const entityData = await entityResponse.json();
-                    const entity = entityData.entities[ selectedQid ];
-
-                    if ( entity && entity.claims ) {
-                        const songData = {
-                            qid: selectedQid,
-                            propertyCount: Object.keys( entity.claims ).length,
-                            hasImage: entity.claims.P18 ? true : false,
-                            imageUrl: this._extractImageUrl( entity ),
-                            publishedIn: undefined,
-                            album: undefined
-                        };
-
-                        // Check for album relationships
-                        let albumQid;
-                        let foundVia = '';
-
-                        if ( entity.claims.P4650 ) {
-                            const publishedInClaim = entity.claims.P4650[ 0 ];
-                            if ( publishedInClaim?.mainsnak?.datavalue?.value?.id ) {
-                                albumQid = publishedInClaim.mainsnak.datavalue.value.id;
-                                foundVia = 'P4650 (Published In)';
-                            }
-                        }
-
-                        if ( !albumQid && entity.claims.P361 ) {
-                            const partOfClaim = entity.claims.P361[ 0 ];
-                            if ( partOfClaim?.mainsnak?.datavalue?.value?.id ) {
-                                albumQid = partOfClaim.mainsnak.datavalue.value.id;
-                                foundVia = 'P361 (Part Of)';
-                            }
-                        }
-
-                        if ( albumQid ) {
-                            songData.publishedIn = albumQid;
-
-                            await new Promise( resolve => setTimeout( resolve, this.delayMs ) );
-                            try {
-                                const albumUrl = `https://www.wikidata.org/wiki/Special:EntityData/${ albumQid }.json`;
-                                const albumResponse = await fetch( albumUrl, {
-                                    headers: { 'User-Agent': this.userAgent }
-                                } );
-
-                                if ( !albumResponse.ok ) {
-                                    throw new Error( `Album fetch error: ${ albumResponse.status } ${ albumResponse.statusText }` );
-                                }
-
-                                const albumData = await albumResponse.json();
-                                const album = albumData.entities[ albumQid ];
-
-                                if ( album ) {
-                                    const albumImageUrl = this._extractImageUrl( album );
-                                    songData.album = {
-                                        qid: albumQid,
-                                        label: album.labels?.en?.value,
-                                        hasImage: album.claims?.P18 ? true : false,
-                                        imageUrl: albumImageUrl
-                                    };
-                                }
-                            } catch ( err ) {
-                                this.logger.debug( `[VerificationService] Album fetch error: ${ err.message }` );
-                            }
-                        }
-
-                        results.searches[ searchTerm ].detailedData = songData;
-                    }
-                } catch ( err ) {
-                    this.logger.debug( `[VerificationService] Entity fetch error: ${ err.message }` );
-                }
-            }
+    /**
+     * Whether a verified data summary holds anything beyond the names searched for
+     * @param {Object} data - Summary built by verify()
+     * @returns {boolean}
+     */
+    static hasFacts ( data ) {
+        const { track = {}, artist = {} } = data || {};
+        return !!(
+            track.categories?.length || track.releaseDate || track.wikidata?.qid || track.album || track.genres?.length ||
+            artist.categories?.length || artist.founded || artist.country || artist.wikidata?.qid || artist.genres?.length
+        );
+    }
 
-            return results;
+    /**
+     * Look up a song in the cache
+     * @private
+     * @returns {Object|null} A verify() result, or null on a miss
+     */
+    _readCache ( cacheKey ) {
+        if ( !this.isCacheEnabled() ) return null;
+        try {
+            const entry = this.services.databaseService.getVerificationCacheEntry( cacheKey );
+            if ( !entry ) return null;
+            this.services.databaseService.recordVerificationCacheHit( cacheKey );
+            this.logger.debug( `[VerificationService] Cache hit for ${ cacheKey }` );
+            return { found: true, data: entry.data, hasFacts: entry.found, cached: true, cachedAt: entry.created_at };
         } catch ( err ) {
-            this.logger.debug( `[VerificationService] Wikidata search error: ${ err.message }` );
-            return { searches: {} };
+            this.logger.error( `❌ [VerificationService] Failed to read cache: ${ err.message }` );
+            return null;
         }
     }
 
     /**
-     * Search MusicBrainz for recordings and artist
+     * Store a lookup, for the shorter negative TTL when nothing was found
      * @private
      */
-    async _searchMusicBrainz ( artist, track ) {
+    _writeCache ( cacheKey, artist, track, result ) {
+        if ( !this.isCacheEnabled() || !result.found ) return;
+        const hours = result.hasFacts ? this.getTtlHours() : this.getNegativeTtlHours();
+        if ( hours <= 0 ) return;
         try {
-            const results = { searches: {} };
-
-            // Combined search with Lucene syntax
-            try {
-                const encodedQuery = encodeURIComponent( `artist:"${ artist }" recording:"${ track }"` );
-                const searchUrl = `https://musicbrainz.org/ws/2/recording?query=${ encodedQuery }&fmt=json&limit=5`;
-                const response = await fetch( searchUrl, {
-                    headers: { 'User-Agent': this.userAgent }
-                } );
-                if ( !response.ok ) {
-                    throw new Error( `MusicBrainz API error: ${ response.status }` );
-                }
-                const data = await response.json();
-                results.searches[ `${ artist } - ${ track }` ] = {
-                    success: true,
-                    count: data.count || 0,
-                    data: data.recordings?.slice( 0, 3 ) || []
-                };
-            } catch ( err ) {
-                results.searches[ `${ artist } - ${ track }` ] = {
-                    success: false,
-                    error: err.message
-                };
-            }
-
-            // Artist metadata search
-            try {
-                const encodedArtist = encodeURIComponent( artist );
-                const searchUrl = `https://musicbrainz.org/ws/2/artist?query=${ encodedArtist }&fmt=json&limit=5`;
-                const response = await fetch( searchUrl, {
-                    headers: { 'User-Agent': this.userAgent }
-                } );
-                if ( !response.ok ) {
-                    throw new Error( `MusicBrainz artist API error: ${ response.status }` );
-                }
-                const data = await response.json();
-                results.searches[ `${ artist } artist` ] = {
-                    success: true,
-                    count: data[ 'artist-count' ] || 0,
-                    data: data.artists?.slice( 0, 3 ) || []
-                };
-            } catch ( err ) {
-                results.searches[ `${ artist } artist` ] = {
-                    success: false,
-                    error: err.message
-                };
-            }
-
-            return results;
+            this.services.databaseService.saveVerificationCacheEntry( {
+                cacheKey,
+                artistName: artist,
+                trackName: track,
+                found: result.hasFacts,
+                data: result.data,
+                ttlSeconds: Math.round( hours * 3600 )
+            } );
         } catch ( err ) {
-            this.logger.debug( `[VerificationService] MusicBrainz search error: ${ err.message }` );
-            return { searches: {} };
+            this.logger.error( `❌ [VerificationService] Failed to write cache: ${ err.message }` );
         }
     }
 
@@ -297,121 +177,203 @@ class VerificationService {
      * @param {Object} options - Query options
      *   - artist: Artist name (required if not in "artist - track" format)
      *   - track: Track name (required if not in "artist - track" format)
-     * @returns {Promise<Object>} Verified data summary: { found: boolean, data: Object|null, error: string|null }
+     *   - refresh: Ignore any cached result and search again
+     *   - providers: Only use these providers, e.g. [ 'musicbrainz' ]. Such lookups bypass the cache
+     * @returns {Promise<Object>} Verified data summary: { found: boolean, data: Object|null, error: string|null },
+     *   plus hasFacts, and cached/cachedAt when it came from the cache
      */
     async verify ( query, options = {} ) {
         if ( !query || typeof query !== 'string' ) {
             throw new Error( 'Query must be a non-empty string' );
         }
 
-        try {
-            let artist = options.artist;
-            let track = options.track;
-
-            // Parse "artist - track" format if options not provided
-            if ( !artist || !track ) {
-                const parts = query.split( ' - ' );
-                if ( parts.length === 2 ) {
-                    [ artist, track ] = parts.map( p => p.trim() );
-                } else {
-                    artist = artist || query;
-                    track = track || query;
-                }
+        let artist = options.artist;
+        let track = options.track;
+
+        // Parse "artist - track" format if options not provided
+        if ( !artist || !track ) {
+            const parts = query.split( ' - ' );
+            if ( parts.length === 2 ) {
+                [ artist, track ] = parts.map( p => p.trim() );
+            } else {
+                artist = artist || query;
+                track = track || query;
             }
+        }
 
-            this.logger.debug( `🔍 [VerificationService] Verifying: ${ artist } - ${ track }` );
-
-            // Run searches sequentially to avoid rate limiting
-            const wikipediaResults = await this._searchWikipedia( track );
-            await new Promise( resolve => setTimeout( resolve, this.delayMs ) );
-
-            const wikidataTrackResults = await this._searchWikidata( track, true );
-            await new Promise( resolve => setTimeout( resolve, this.delayMs ) );
-
-            const wikidataArtistResults = await this._searchWikidata( artist, false );
-            await new Promise( resolve => setTimeout( resolve, this.delayMs ) );
-
-            const musicbrainzResults = await this._searchMusicBrainz( artist, track );
-
-            // Build verified data summary
-            const verifiedDataSummary = {
-                track: {
-                    title: track,
-                    categories: [],
-                    artist: undefined,
-                    releaseDate: undefined,
-                    wikidata: {
-                        qid: undefined,
-                        properties: undefined,
-                        imageUrl: undefined
-                    },
-                    album: undefined
-                },
-                artist: {
-                    title: artist,
-                    categories: [],
-                    founded: undefined,
-                    country: undefined,
-                    wikidata: {
-                        qid: undefined,
-                        properties: []
-                    }
-                }
-            };
+        const providers = this.providers.select( options.providers );
+        const partial = !!options.providers?.length;
+        const cacheKey = VerificationService.buildKey( artist, track );
+        if ( !options.refresh && !partial ) {
+            const cached = this._readCache( cacheKey );
+            if ( cached ) return cached;
+        }
 
-            // Extract track data from all sources
-            if ( wikipediaResults.searches?.[ track ]?.success ) {
-                verifiedDataSummary.track.categories = wikipediaResults.searches[ track ].data.categories?.slice( 0, 3 ) || [];
-            }
+        const pendingKey = partial ? `${ cacheKey }|${ providers.map( provider => provider.name ).join( ',' ) }` : cacheKey;
+        if ( this.pending.has( pendingKey ) ) {
+            return this.pending.get( pendingKey );
+        }
 
-            if ( musicbrainzResults.searches?.[ `${ artist } - ${ track }` ]?.data?.length > 0 ) {
-                const mb = musicbrainzResults.searches[ `${ artist } - ${ track }` ].data[ 0 ];
-                verifiedDataSummary.track.artist = mb[ 'artist-credit' ]?.[ 0 ]?.artist?.name || artist;
-                verifiedDataSummary.track.releaseDate = mb[ 'first-release-date' ];
-            }
+        const lookup = this._lookup( artist, track, providers )
+            .then( result => {
+                if ( !partial ) this._writeCache( cacheKey, artist, track, result );
+                return result;
+            } )
+            .finally( () => this.pending.delete( pendingKey ) );
+        this.pending.set( pendingKey, lookup );
+        return lookup;
+    }
 
-            if ( wikidataTrackResults.searches?.[ track ]?.detailedData ) {
-                const wd = wikidataTrackResults.searches[ track ];
-                verifiedDataSummary.track.wikidata.qid = wd.detailedData.qid;
-                verifiedDataSummary.track.wikidata.properties = wd.detailedData.propertyCount;
-                verifiedDataSummary.track.wikidata.imageUrl = wd.detailedData.imageUrl;
-                if ( wd.detailedData.album ) {
-                    verifiedDataSummary.track.album = {
-                        title: wd.detailedData.album.label,
-                        wikidata_id: wd.detailedData.album.qid,
-                        imageUrl: wd.detailedData.album.imageUrl
-                    };
-                }
-            }
+    /**
+     * Queue a background lookup so a song's facts are cached before it plays.
+     * Songs already cached or being looked up are skipped. Never rejects.
+     * @param {string} artist - Artist name
+     * @param {string} track - Track name
+     * @returns {Promise<boolean>} Whether a lookup was made
+     */
+    prewarm ( artist, track ) {
+        if ( !artist || !track || !this.isCacheEnabled() ) return Promise.resolve( false );
 
-            // Extract artist data from all sources
-            if ( wikipediaResults.searches?.[ artist ]?.success ) {
-                verifiedDataSummary.artist.categories = wikipediaResults.searches[ artist ].data.categories?.slice( 0, 3 ) || [];
-            }
+        const cacheKey = VerificationService.buildKey( artist, track );
+        if ( this.pending.has( cacheKey ) || this.prewarmKeys.has( cacheKey ) ) return Promise.resolve( false );
+        try {
+            if ( this.services.databaseService.getVerificationCacheEntry( cacheKey ) ) return Promise.resolve( false );
+        } catch ( err ) {
+            this.logger.error( `❌ [VerificationService] Failed to read cache: ${ err.message }` );
+            return Promise.resolve( false );
+        }
 
-            if ( musicbrainzResults.searches?.[ `${ artist } artist` ]?.data?.length > 0 ) {
-                const mb = musicbrainzResults.searches[ `${ artist } artist` ].data[ 0 ];
-                verifiedDataSummary.artist.founded = mb[ 'life-span' ]?.begin;
-                verifiedDataSummary.artist.country = mb.country;
+        this.prewarmKeys.add( cacheKey );
+        const run = this.prewarmQueue.then( async () => {
+            try {
+                this.logger.debug( `[VerificationService] Pre-warming ${ artist } - ${ track }` );
+                await this.verify( `${ artist } - ${ track }`, { artist, track } );
+                return true;
+            } catch ( err ) {
+                this.logger.error( `❌ [VerificationService] Pre-warm failed for ${ artist } - ${ track }: ${ err.message }` );
+                return false;
+            } finally {
+                this.prewarmKeys.delete( cacheKey );
             }
+        } );
+        this.prewarmQueue = run;
+        return run;
+    }
 
-            if ( wikidataArtistResults.searches?.[ artist ]?.detailedData ) {
-                const wd = wikidataArtistResults.searches[ artist ];
-                verifiedDataSummary.artist.wikidata.qid = wd.detailedData.qid;
-                verifiedDataSummary.artist.wikidata.properties = wd.detailedData.musicProperties;
+    /**
+     * Run one provider's lookup with its timeout, retries and circuit breaker
+     * @private
+     */
+    async _runProvider ( provider, song ) {
+        const attempt = () => {
+            let timer;
+            const timeout = new Promise( ( resolve, reject ) => {
+                timer = setTimeout( () => reject( new Error( `${ provider.name } lookup timeout after ${ provider.timeoutMs }ms` ) ), provider.timeoutMs );
+            } );
+            return Promise.race( [ provider.lookup( song ), timeout ] ).finally( () => clearTimeout( timer ) );
+        };
+
+        const retryService = this.services.retryService;
+        if ( !retryService ) return attempt();
+        return retryService.executeWithRetry( attempt, { maxRetries: provider.maxRetries ?? 1 }, `metadata-${ provider.name }` );
+    }
+
+    /**
+     * Ask every provider about a song and build the verified data summary
+     * @private
+     * @returns {Promise<Object>} verify() result; found is false only when no provider answered
+     */
+    async _lookup ( artist, track, providers ) {
+        this.logger.debug( `🔍 [VerificationService] Verifying: ${ artist } - ${ track }` );
+
+        if ( providers.length === 0 ) {
+            return { found: false, error: 'No metadata providers available' };
+        }
+
+        // Each provider keeps to its own rate limit, so they can run side by side
+        const outcomes = await Promise.allSettled( providers.map( provider => this._runProvider( provider, { artist, track } ) ) );
+
+        const summary = VerificationService.emptySummary( artist, track );
+        const errors = [];
+        outcomes.forEach( ( outcome, index ) => {
+            if ( outcome.status === 'fulfilled' ) {
+                VerificationService.mergeFacts( summary, outcome.value );
+            } else {
+                errors.push( `${ providers[ index ].name }: ${ outcome.reason?.message }` );
+                this.logger.debug( `[VerificationService] ${ providers[ index ].name } lookup failed: ${ outcome.reason?.message }` );
             }
+        } );
 
-            return {
-                found: true,
-                data: verifiedDataSummary
-            };
-        } catch ( error ) {
-            this.logger.error( `❌ [VerificationService] Verification error: ${ error.message }` );
-            return {
-                found: false,
-                error: error.message
-            };
+        if ( errors.length === providers.length ) {
+            const error = errors.join( '; ' );
+            this.logger.error( `❌ [VerificationService] Verification error: ${ error }` );
+            return { found: false, error };
         }
+
+        return {
+            found: true,
+            data: summary,
+            hasFacts: VerificationService.hasFacts( summary )
+        };
+    }
+
+    /**
+     * The verified data summary before any provider has filled it in
+     * @returns {Object}
+     */
+    static emptySummary ( artist, track ) {
+        return {
+            track: {
+                title: track,
+                categories: [],
+                artist: undefined,
+                releaseDate: undefined,
+                duration: undefined,
+                isrc: undefined,
+                genres: [],
+                musicbrainzId: undefined,
+                wikidata: {
+                    qid: undefined,
+                    properties: undefined,
+                    imageUrl: undefined
+                },
+                album: undefined
+            },
+            artist: {
+                title: artist,
+                categories: [],
+                founded: undefined,
+                country: undefined,
+                genres: [],
+                musicbrainzId: undefined,
+                wikidata: {
+                    qid: undefined,
+                    properties: []
+                }
+            }
+        };
+    }
+
+    /**
+     * Copy a provider's facts into the summary. Providers are merged in priority
+     * order, so a fact already filled in by an earlier provider is kept.
+     * @param {Object} summary - Summary from emptySummary(), updated in place
+     * @param {{track?: Object, artist?: Object}} facts - From a provider's lookup()
+     */
+    static mergeFacts ( summary, facts ) {
+        const isEmpty = value => value === undefined || value === null || ( Array.isArray( value ) && value.length === 0 );
+        const merge = ( target, source ) => {
+            for ( const [ key, value ] of Object.entries( source || {} ) ) {
+                if ( isEmpty( value ) ) continue;
+                if ( value && typeof value === 'object' && !Array.isArray( value ) && target[ key ] && typeof target[ key ] === 'object' && !Array.isArray( target[ key ] ) ) {
+                    merge( target[ key ], value );
+                } else if ( isEmpty( target[ key ] ) ) {
+                    target[ key ] = value;
+                }
+            }
+        };
+        merge( summary.track, facts?.track );
+        merge( summary.artist, facts?.artist );
     }
 }
 
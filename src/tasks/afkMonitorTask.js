@@ -4,6 +4,13 @@ const TICK_INTERVAL_MS = 30 * 1000;
 const DEFAULT_FIRST_WARNING_MS = 15 * 60 * 1000;
 const DEFAULT_INTERVAL_MS = 60 * 1000;
 
+async function runAfkWarningTrigger ( services, dj, nickname, warningLevel, inactiveMinutes ) {
+    if ( !services.triggerService ) return;
+    await services.triggerService.executeTrigger( 'afkWarning', {
+        eventData: { userUuid: dj.uuid, nickname, warningLevel, inactiveMinutes, triggerType: 'afkWarning' }
+    } );
+}
+
 async function runAfkMonitorTick ( services ) {
     if ( !services.featuresService?.isFeatureEnabled( 'afkMonitor' ) ) return;
     if ( !services.stateService || !services.afkService ) return;
@@ -74,18 +81,21 @@ async function runAfkMonitorTick ( services ) {
                 `⚠️ ${ mention }, third AFK warning — inactive for ${ inactiveMinutes } minutes. Moderators may remove you from the decks shortly.`,
                 { responseChannel: 'public', services }
             );
+            await runAfkWarningTrigger( services, dj, nickname, 3, inactiveMinutes );
         } else if ( entry.warningLevel < 2 && inactiveMs >= warn2Ms ) {
             services.afkService.setWarningLevel( dj.uuid, 2 );
             await services.messageService.sendResponse(
                 `⚠️ ${ mention }, second AFK warning — inactive for ${ inactiveMinutes } minutes. Please show some activity.`,
                 { responseChannel: 'public', services }
             );
+            await runAfkWarningTrigger( services, dj, nickname, 2, inactiveMinutes );
         } else if ( entry.warningLevel < 1 && inactiveMs >= warn1Ms ) {
             services.afkService.setWarningLevel( dj.uuid, 1 );
             await services.messageService.sendResponse(
                 `⚠️ ${ mention }, you have been inactive for ${ inactiveMinutes } minutes. Please show some activity to stay on the decks.`,
                 { responseChannel: 'public', services }
             );
+            await runAfkWarningTrigger( services, dj, nickname, 1, inactiveMinutes );
         }
     }
 }
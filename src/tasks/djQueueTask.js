@@ -0,0 +1,15 @@
+'use strict';
+
+const TICK_INTERVAL_MS = 15 * 1000;
+
+async function runDjQueueTick ( services ) {
+    if ( !services.djQueueService ) return;
+
+    const { expired, departed } = await services.djQueueService.processExpired();
+
+    if ( expired.length || departed.length ) {
+        services.logger.debug( `[djQueue] tick — ${ expired.length } missed turn(s), ${ departed.length } departed user(s) dropped` );
+    }
+}
+
+module.exports = { runDjQueueTick, TICK_INTERVAL_MS };
@@ -0,0 +1,16 @@
+'use strict';
+
+// Every 30 seconds so no minute is skipped; schedule entries remember the minute they last ran
+const TICK_INTERVAL_MS = 30 * 1000;
+
+async function runPersonalityScheduleTick ( services ) {
+    if ( !services.personalityService ) return;
+
+    const personality = await services.personalityService.checkSchedule();
+
+    if ( personality ) {
+        services.logger.info( `[personalitySchedule] switched to "${ personality }"` );
+    }
+}
+
+module.exports = { runPersonalityScheduleTick, TICK_INTERVAL_MS };
@@ -0,0 +1,16 @@
+'use strict';
+
+// Every 30 seconds so no minute is skipped; schedules remember the minute they last ran
+const TICK_INTERVAL_MS = 30 * 1000;
+
+async function runScheduledMessagesTick ( services ) {
+    if ( !services.schedulerService ) return;
+
+    const posted = await services.schedulerService.checkSchedules();
+
+    if ( posted.length > 0 ) {
+        services.logger.info( `[scheduledMessages] posted schedule${ posted.length === 1 ? '' : 's' } ${ posted.map( schedule => `#${ schedule.id }` ).join( ', ' ) }` );
+    }
+}
+
+module.exports = { runScheduledMessagesTick, TICK_INTERVAL_MS };
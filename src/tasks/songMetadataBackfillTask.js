@@ -0,0 +1,16 @@
+'use strict';
+
+// Once a minute, so catching up on old songs stays well inside the metadata APIs' limits
+const TICK_INTERVAL_MS = 60 * 1000;
+
+async function runSongMetadataBackfillTick ( services ) {
+    if ( !services.songMetadataService ) return;
+
+    const enriched = await services.songMetadataService.runBackfill();
+
+    if ( enriched > 0 ) {
+        services.logger.debug( `[songMetadataBackfill] enriched ${ enriched } song${ enriched === 1 ? '' : 's' }` );
+    }
+}
+
+module.exports = { runSongMetadataBackfillTick, TICK_INTERVAL_MS };
@@ -0,0 +1,15 @@
+'use strict';
+
+const TICK_INTERVAL_MS = 30 * 1000;
+
+async function runThemeScheduleTick ( services ) {
+    if ( !services.themeService ) return;
+
+    const theme = await services.themeService.checkSchedule();
+
+    if ( theme ) {
+        services.logger.info( `[themeSchedule] scheduled theme applied: ${ theme }` );
+    }
+}
+
+module.exports = { runThemeScheduleTick, TICK_INTERVAL_MS };
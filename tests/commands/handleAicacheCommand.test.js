@@ -0,0 +1,86 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const handleAicacheCommand = require( '../../src/commands/Moderator Commands/handleAicacheCommand' );
+
+function makeServices ( cacheOverrides = {} ) {
+    return {
+        aiCacheService: {
+            isAvailable: jest.fn().mockReturnValue( true ),
+            getStats: jest.fn().mockReturnValue( {
+                ttlHours: 168,
+                sessionHits: 4,
+                sessionMisses: 2,
+                commands: [ { command: 'popfacts', entries: 3, hits: 5 }, { command: 'whatyear', entries: 1, hits: 1 } ]
+            } ),
+            clear: jest.fn().mockReturnValue( 3 ),
+            getEntriesForSong: jest.fn().mockReturnValue( [
+                { command: 'popfacts', response: 'Chic formed in 1976.', created_at: '2026-03-01 20:00:00', hits: 2 }
+            ] ),
+            ...cacheOverrides
+        },
+        hangoutState: { nowPlaying: { song: { artistName: 'Chic', trackName: 'Le Freak' } } },
+        messageService: { sendResponse: jest.fn().mockResolvedValue( undefined ) }
+    };
+}
+
+const context = { sender: 'uuid-mod', fullMessage: { isPrivateMessage: false } };
+
+describe( 'handleAicacheCommand', () => {
+    describe( 'metadata', () => {
+        it( 'has requiredRole MODERATOR', () => expect( handleAicacheCommand.requiredRole ).toBe( 'MODERATOR' ) );
+        it( 'has a description under 50 chars', () => expect( handleAicacheCommand.description.length ).toBeLessThanOrEqual( 50 ) );
+        it( 'has an example', () => expect( handleAicacheCommand.example ).toBeTruthy() );
+    } );
+
+    it( 'shows stats by default', async () => {
+        const services = makeServices();
+        const result = await handleAicacheCommand( { args: '', services, context } );
+        expect( result.success ).toBe( true );
+        expect( result.response ).toContain( '168 hours' );
+        expect( result.response ).toContain( 'popfacts: 3 answers, reused 5 times' );
+        expect( result.response ).toContain( 'whatyear: 1 answer, reused 1 time' );
+        expect( result.response ).toContain( '4 hits, 2 misses' );
+    } );
+
+    it( 'clears everything or a single command', async () => {
+        const services = makeServices();
+        let result = await handleAicacheCommand( { args: 'clear', services, context } );
+        expect( services.aiCacheService.clear ).toHaveBeenCalledWith( null );
+        expect( result.response ).toContain( 'Cleared 3 cached answers' );
+
+        result = await handleAicacheCommand( { args: 'clear !popfacts', services, context } );
+        expect( services.aiCacheService.clear ).toHaveBeenCalledWith( 'popfacts' );
+        expect( result.response ).toContain( 'for !popfacts' );
+    } );
+
+    it( 'shows the cached answers for the current song', async () => {
+        const services = makeServices();
+        const result = await handleAicacheCommand( { args: 'show', services, context } );
+        expect( services.aiCacheService.getEntriesForSong ).toHaveBeenCalledWith( 'Chic', 'Le Freak' );
+        expect( result.response ).toContain( '!popfacts (2026-03-01 20:00:00, reused 2x): Chic formed in 1976.' );
+    } );
+
+    it( 'shows the cached answers for a named song', async () => {
+        const services = makeServices( { getEntriesForSong: jest.fn().mockReturnValue( [] ) } );
+        const result = await handleAicacheCommand( { args: 'show Bee Gees - Stayin Alive', services, context } );
+        expect( services.aiCacheService.getEntriesForSong ).toHaveBeenCalledWith( 'Bee Gees', 'Stayin Alive' );
+        expect( result.response ).toContain( 'No cached answers for Stayin Alive by Bee Gees' );
+    } );
+
+    it( 'reports when the cache is unavailable', async () => {
+        const services = makeServices( { isAvailable: jest.fn().mockReturnValue( false ) } );
+        const result = await handleAicacheCommand( { args: 'stats', services, context } );
+        expect( result.success ).toBe( false );
+    } );
+
+    it( 'shows usage for unknown subcommands', async () => {
+        const services = makeServices();
+        const result = await handleAicacheCommand( { args: 'explode', services, context } );
+        expect( result.error ).toBe( 'Unknown subcommand' );
+        expect( result.response ).toContain( 'popfacts fresh' );
+    } );
+} );
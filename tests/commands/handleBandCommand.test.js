@@ -96,7 +96,9 @@ describe( 'handleBandCommand', () => {
 
             // Check that AI was called with correct question (template with substitutions)
             expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
-                "I'm currently listening to Queen. Tell me about them. Include facts such as when and where they formed, when their first and most notable or recent releases were, how well these releases performed in the charts in both the UK and USA, and about any notable former band members. Keep your response under 300 words"
+                "I'm currently listening to Queen. Tell me about them. Include facts such as when and where they formed, when their first and most notable or recent releases were, how well these releases performed in the charts in both the UK and USA, and about any notable former band members. Keep your response under 300 words",
+                undefined,
+                expect.objectContaining( { command: 'band' } )
             );
 
             // Check that one response was sent
@@ -344,7 +346,9 @@ describe( 'handleBandCommand', () => {
             expect( result.success ).toBe( true );
             // Should use the default template from the command
             expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
-                'I\'m currently listening to Queen. Tell me about them. Include facts such as when and where they formed, when their first and most notable or recent releases were, how well these releases performed in the charts in both the UK and USA, and about any notable former band members. Keep your response under 300 words'
+                'I\'m currently listening to Queen. Tell me about them. Include facts such as when and where they formed, when their first and most notable or recent releases were, how well these releases performed in the charts in both the UK and USA, and about any notable former band members. Keep your response under 300 words',
+                undefined,
+                expect.objectContaining( { command: 'band' } )
             );
         } );
     } );
@@ -108,7 +108,7 @@ describe( 'handleChatCommand', () => {
             expect( result.shouldRespond ).toBe( true );
             expect( mockServices.tokenService.replaceTokens ).toHaveBeenCalledWith(
                 expect.any( String ),
-                mockContext
+                { ...mockContext, args: '' }
             );
             expect( mockServices.messageService.sendResponse ).toHaveBeenCalledWith(
                 expect.stringContaining( '<@uid:' ),
@@ -210,7 +210,7 @@ describe( 'handleChatCommand', () => {
             expect( result.success ).toBe( true );
             expect( mockServices.tokenService.replaceTokens ).toHaveBeenCalledWith(
                 'single test message {djUsername}',
-                mockContext
+                { ...mockContext, args: '' }
             );
         } );
 
@@ -286,6 +286,66 @@ describe( 'handleChatCommand', () => {
         } );
     } );
 
+    describe( 'arguments', () => {
+        beforeEach( () => {
+            fs.existsSync.mockReturnValue( false );
+            fs.readFileSync.mockReturnValue( JSON.stringify( {
+                hug: {
+                    messages: [ '{senderUsername} hugs {targetUsername}' ],
+                    pictures: [],
+                    usage: '<username>',
+                    argRequired: true
+                }
+            } ) );
+            mockServices.stateService = {
+                _getAllUserData: jest.fn().mockReturnValue( {
+                    'bob-uuid': { userProfile: { nickname: 'Bob' } },
+                    'dj-uuid': { userProfile: { nickname: 'DJ Mary Jane' } }
+                } )
+            };
+        } );
+
+        it( 'passes arguments and a target mention to the token service', async () => {
+            await handleChatCommand( 'hug', '@bob and friends', mockServices, mockContext );
+
+            expect( mockServices.tokenService.replaceTokens ).toHaveBeenCalledWith( expect.any( String ), expect.objectContaining( {
+                sender: 'sender-123',
+                args: '@bob and friends',
+                arg1: '@bob',
+                arg2: 'and',
+                arg3: 'friends',
+                targetUsername: '<@uid:bob-uuid>'
+            } ) );
+        } );
+
+        it( 'matches nicknames with spaces', async () => {
+            await handleChatCommand( 'hug', 'dj mary jane', mockServices, mockContext );
+
+            expect( mockServices.tokenService.replaceTokens ).toHaveBeenCalledWith( expect.any( String ), expect.objectContaining( {
+                targetUsername: '<@uid:dj-uuid>'
+            } ) );
+        } );
+
+        it( 'uses the text as typed when nobody matches', async () => {
+            await handleChatCommand( 'hug', 'the whole room', mockServices, mockContext );
+
+            expect( mockServices.tokenService.replaceTokens ).toHaveBeenCalledWith( expect.any( String ), expect.objectContaining( {
+                targetUsername: 'the whole room'
+            } ) );
+        } );
+
+        it( 'replies with usage when a required argument is missing', async () => {
+            const result = await handleChatCommand( 'hug', '  ', mockServices, mockContext );
+
+            expect( result.success ).toBe( false );
+            expect( result.response ).toBe( '❌ Usage: !hug <username>' );
+            expect( mockServices.tokenService.replaceTokens ).not.toHaveBeenCalled();
+            expect( mockServices.messageService.sendResponse ).toHaveBeenCalledWith( '❌ Usage: !hug <username>', expect.objectContaining( {
+                responseChannel: 'request'
+            } ) );
+        } );
+    } );
+
     describe( 'list subcommand', () => {
         it( 'should list all commands when "list" is passed', async () => {
             fs.readFileSync.mockImplementation( ( filePath ) => {
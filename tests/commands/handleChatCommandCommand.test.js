@@ -539,6 +539,75 @@ describe( 'handleChatCommandCommand', () => {
         } );
     } );
 
+    describe( 'arguments', () => {
+        beforeEach( () => {
+            fs.existsSync.mockReturnValue( true );
+            fs.readFileSync.mockImplementation( ( filePath ) => {
+                if ( filePath.includes( 'chat.json' ) ) {
+                    return JSON.stringify( { hug: { messages: [], pictures: [], usage: '<old>' } } );
+                }
+                return JSON.stringify( {} );
+            } );
+        } );
+
+        it( 'should set the usage text', async () => {
+            const result = await handleChatCommandCommand( {
+                command: 'chatcommand',
+                args: 'setUsage hug <username> [message]',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            expect( result.success ).toBe( true );
+            const saved = JSON.parse( fs.writeFileSync.mock.calls[ 0 ][ 1 ] );
+            expect( saved.hug.usage ).toBe( '<username> [message]' );
+        } );
+
+        it( 'should clear the usage text when none is given', async () => {
+            await handleChatCommandCommand( {
+                command: 'chatcommand',
+                args: 'setUsage hug',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            const saved = JSON.parse( fs.writeFileSync.mock.calls[ 0 ][ 1 ] );
+            expect( saved.hug ).not.toHaveProperty( 'usage' );
+        } );
+
+        it( 'should make an argument required or optional', async () => {
+            await handleChatCommandCommand( {
+                command: 'chatcommand',
+                args: 'requireArg hug on',
+                services: mockServices,
+                context: mockContext
+            } );
+            expect( JSON.parse( fs.writeFileSync.mock.calls[ 0 ][ 1 ] ).hug.argRequired ).toBe( true );
+
+            const result = await handleChatCommandCommand( {
+                command: 'chatcommand',
+                args: 'requireArg hug maybe',
+                services: mockServices,
+                context: mockContext
+            } );
+            expect( result.success ).toBe( false );
+            expect( result.response ).toContain( 'requireArg <command> on|off' );
+        } );
+
+        it( 'should reject unknown commands', async () => {
+            const result = await handleChatCommandCommand( {
+                command: 'chatcommand',
+                args: 'requireArg nope off',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            expect( result.success ).toBe( false );
+            expect( result.response ).toContain( 'does not exist' );
+            expect( fs.writeFileSync ).not.toHaveBeenCalled();
+        } );
+    } );
+
     describe( 'help', () => {
         it( 'should show help when no subcommand provided', async () => {
             const result = await handleChatCommandCommand( {
@@ -13,13 +13,20 @@ const fs = require('fs');
 describe('handleCommandCommand', () => {
     let mockServices;
     let mockCommandParams;
+    let botConfig;
 
     beforeEach(() => {
         jest.clearAllMocks();
         
+        botConfig = {};
         mockServices = {
             messageService: {
                 sendResponse: jest.fn()
+            },
+            dataService: {
+                loadData: jest.fn().mockResolvedValue(),
+                getValue: jest.fn(key => botConfig[key]),
+                setValue: jest.fn(async (key, value) => { botConfig[key] = value; })
             }
         };
 
@@ -101,4 +108,64 @@ describe('handleCommandCommand', () => {
         expect(result.response).toContain('🟢 **command** - enabled');
         expect(result.response).toContain('🟢 **unknown** - enabled');
     });
+    describe('permissions', () => {
+        const savedPermissions = () => mockServices.dataService.setValue.mock.calls[mockServices.dataService.setValue.mock.calls.length - 1];
+
+        test('should override a command\'s role', async () => {
+            mockCommandParams.args = 'role ping moderator';
+
+            const result = await handleCommandCommand(mockCommandParams);
+            expect(result.success).toBe(true);
+            expect(result.response).toContain('now requires role MODERATOR');
+            expect(mockServices.dataService.loadData).toHaveBeenCalled();
+            expect(savedPermissions()).toEqual(['commandPermissions', { ping: { role: 'MODERATOR' } }]);
+            expect(fs.writeFileSync).not.toHaveBeenCalled();
+        });
+
+        test('should reject an unknown role', async () => {
+            mockCommandParams.args = 'role ping admin';
+
+            const result = await handleCommandCommand(mockCommandParams);
+            expect(result.response).toContain('Invalid role');
+            expect(mockServices.dataService.setValue).not.toHaveBeenCalled();
+        });
+
+        test('should add users to the allow and deny lists', async () => {
+            mockCommandParams.args = 'allow help <@uid:helper-1>';
+            botConfig.commandPermissions = { help: { deny: ['helper-1', 'other'] } };
+
+            const result = await handleCommandCommand(mockCommandParams);
+            expect(result.response).toContain('helper-1 can now use');
+            expect(savedPermissions()).toEqual(['commandPermissions', { help: { allow: ['helper-1'], deny: ['other'] } }]);
+        });
+
+        test('should remove an override once it is empty', async () => {
+            mockCommandParams.args = 'remove help helper-1';
+            botConfig.commandPermissions = { help: { allow: ['helper-1'] } };
+
+            await handleCommandCommand(mockCommandParams);
+            expect(savedPermissions()).toEqual(['commandPermissions', {}]);
+        });
+
+        test('should reset a command to its default permissions', async () => {
+            mockCommandParams.args = 'reset help';
+            botConfig.commandPermissions = { help: { role: 'OWNER' }, ping: { deny: ['x'] } };
+
+            const result = await handleCommandCommand(mockCommandParams);
+            expect(result.response).toContain('back to its default permissions');
+            expect(savedPermissions()).toEqual(['commandPermissions', { ping: { deny: ['x'] } }]);
+        });
+
+        test('should show overrides in the list and status', async () => {
+            botConfig.commandPermissions = { help: { role: 'MODERATOR', allow: ['helper-1'] } };
+
+            mockCommandParams.args = 'list';
+            const list = await handleCommandCommand(mockCommandParams);
+            expect(list.response).toContain('🟢 **help** - enabled (role MODERATOR • allowed: helper-1)');
+
+            mockCommandParams.args = 'status help';
+            const status = await handleCommandCommand(mockCommandParams);
+            expect(status.response).toContain('Permissions: role MODERATOR • allowed: helper-1');
+        });
+    });
 });
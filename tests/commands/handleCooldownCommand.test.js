@@ -0,0 +1,79 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const handleCooldownCommand = require( '../../src/commands/Moderator Commands/handleCooldownCommand' );
+const CooldownService = require( '../../src/services/cooldownService' );
+
+function makeServices ( cooldowns = {} ) {
+    const data = { commandCooldowns: cooldowns };
+    const services = {
+        dataService: {
+            getValue: jest.fn( key => key.split( '.' ).reduce( ( obj, k ) => obj?.[ k ], data ) ),
+            setValue: jest.fn( async ( key, value ) => {
+                const parts = key.split( '.' );
+                const last = parts.pop();
+                parts.reduce( ( obj, k ) => ( obj[ k ] = obj[ k ] || {} ), data )[ last ] = value;
+            } )
+        },
+        messageService: { sendResponse: jest.fn().mockResolvedValue( undefined ) }
+    };
+    services.cooldownService = new CooldownService( services );
+    return services;
+}
+
+const context = { sender: 'uuid-mod', fullMessage: { isPrivateMessage: false } };
+
+describe( 'handleCooldownCommand', () => {
+    describe( 'metadata', () => {
+        it( 'has requiredRole MODERATOR', () => expect( handleCooldownCommand.requiredRole ).toBe( 'MODERATOR' ) );
+        it( 'has a description under 50 chars', () => expect( handleCooldownCommand.description.length ).toBeLessThanOrEqual( 50 ) );
+        it( 'has an example', () => expect( handleCooldownCommand.example ).toBeTruthy() );
+    } );
+
+    it( 'shows the current cooldowns', async () => {
+        const services = makeServices( { commands: { props: 30 } } );
+        const result = await handleCooldownCommand( { args: '', services, context } );
+        expect( result.success ).toBe( true );
+        expect( result.response ).toContain( '**Commands:** command off • user 5s • global off' );
+        expect( result.response ).toContain( '**ML commands:** command 15s • user 60s • global 5s' );
+        expect( result.response ).toContain( '**Per command:** props 30s' );
+    } );
+
+    it( 'sets standard and ML cooldowns', async () => {
+        const services = makeServices();
+        await handleCooldownCommand( { args: 'user 10', services, context } );
+        expect( services.dataService.setValue ).toHaveBeenCalledWith( 'commandCooldowns.standard.user', 10 );
+
+        const result = await handleCooldownCommand( { args: 'ml global 0', services, context } );
+        expect( services.dataService.setValue ).toHaveBeenCalledWith( 'commandCooldowns.ml.global', 0 );
+        expect( result.response ).toContain( 'set to off' );
+    } );
+
+    it( 'gives one command its own cooldown and resets it', async () => {
+        const services = makeServices();
+        const result = await handleCooldownCommand( { args: '!popfacts 120', services, context } );
+        expect( result.response ).toContain( '!popfacts can now be used every 120s' );
+        expect( services.cooldownService.getSettings().commands ).toEqual( { popfacts: 120 } );
+
+        await handleCooldownCommand( { args: 'popfacts default', services, context } );
+        expect( services.cooldownService.getSettings().commands ).toEqual( {} );
+    } );
+
+    it( 'clears running cooldowns', async () => {
+        const services = makeServices();
+        services.cooldownService.consume( 'props', 'alice' );
+        await handleCooldownCommand( { args: 'reset', services, context } );
+        expect( services.cooldownService.consume( 'props', 'alice' ).allowed ).toBe( true );
+    } );
+
+    it( 'shows usage for bad input', async () => {
+        const services = makeServices();
+        const result = await handleCooldownCommand( { args: 'user lots', services, context } );
+        expect( result.success ).toBe( false );
+        expect( result.response ).toContain( 'Cooldown Usage' );
+        expect( services.dataService.setValue ).not.toHaveBeenCalled();
+    } );
+} );
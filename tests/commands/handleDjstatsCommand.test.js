@@ -0,0 +1,55 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const handleDjstatsCommand = require( '../../src/commands/General Commands/handleDjstatsCommand' );
+
+function makeServices ( { dbMatch = null, stats = null } = {} ) {
+    return {
+        messageService: { sendResponse: jest.fn().mockResolvedValue( undefined ) },
+        stateService: {
+            _getAllUserData: jest.fn().mockReturnValue( { 'uuid-bob': { userProfile: { nickname: 'Bobby' } } } ),
+        },
+        statsService: {
+            isAvailable: jest.fn().mockReturnValue( true ),
+            findDj: jest.fn().mockReturnValue( dbMatch ),
+            getDjStats: jest.fn().mockReturnValue( stats ),
+            formatDjStats: jest.fn( nickname => `stats for ${ nickname }` ),
+        },
+    };
+}
+
+const context = { sender: 'uuid-user', fullMessage: { isPrivateMessage: false } };
+
+describe( 'handleDjstatsCommand', () => {
+    it( 'has requiredRole USER', () => expect( handleDjstatsCommand.requiredRole ).toBe( 'USER' ) );
+
+    it( 'shows stats for a DJ found in the database', async () => {
+        const services = makeServices( { dbMatch: { uuid: 'uuid-alice', nickname: 'Alice' }, stats: { playCount: 3 } } );
+        const result = await handleDjstatsCommand( { args: 'alice', services, context } );
+        expect( result.success ).toBe( true );
+        expect( services.statsService.getDjStats ).toHaveBeenCalledWith( 'uuid-alice' );
+        expect( result.response ).toBe( 'stats for Alice' );
+    } );
+
+    it( 'falls back to users in the room', async () => {
+        const services = makeServices();
+        const result = await handleDjstatsCommand( { args: 'bob', services, context } );
+        expect( result.success ).toBe( true );
+        expect( result.response ).toContain( '**Bobby** hasn\'t played any songs' );
+    } );
+
+    it( 'requires a name', async () => {
+        const services = makeServices();
+        const result = await handleDjstatsCommand( { args: '', services, context } );
+        expect( result.error ).toBe( 'Missing name' );
+    } );
+
+    it( 'reports unknown DJs', async () => {
+        const services = makeServices();
+        const result = await handleDjstatsCommand( { args: 'zed', services, context } );
+        expect( result.error ).toBe( 'User not found' );
+    } );
+} );
@@ -173,6 +173,38 @@ describe( 'handleEditCommand', () => {
     } );
   } );
 
+  describe( 'template syntax check', () => {
+    it( 'should refuse to save a template with syntax errors', async () => {
+      const result = await handleEditCommand( {
+        args: 'justPlayedMessage {if likes > 5}🔥 {trackName} {likes|shout}',
+        services: mockServices,
+        context: mockContext,
+        responseChannel: 'public'
+      } );
+
+      expect( result.success ).toBe( false );
+      expect( result.error ).toBe( 'Invalid template' );
+      expect( result.response ).toContain( 'never closed with {/if}' );
+      expect( result.response ).toContain( 'Unknown filter "shout"' );
+      expect( mockServices.dataService.setValue ).not.toHaveBeenCalled();
+    } );
+
+    it( 'should save templates that use conditionals and filters', async () => {
+      const template = '{username|default:someone} played {trackName}{if likes > 5} 🔥{/if} ({likes|plural:like:likes})';
+      mockServices.dataService.getValue.mockImplementation( ( key ) => key === 'editableMessages.justPlayedMessage' ? template : undefined );
+
+      const result = await handleEditCommand( {
+        args: `justPlayedMessage ${ template }`,
+        services: mockServices,
+        context: mockContext,
+        responseChannel: 'public'
+      } );
+
+      expect( result.success ).toBe( true );
+      expect( mockServices.dataService.setValue ).toHaveBeenCalledWith( 'editableMessages.justPlayedMessage', template );
+    } );
+  } );
+
   describe( 'successful updates with new structure', () => {
     beforeEach( () => {
       // Mock existing new structure data
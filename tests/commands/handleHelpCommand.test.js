@@ -273,6 +273,38 @@ describe( 'handleHelpCommand', () => {
         expect( mockServices.messageService.sendResponse ).toHaveBeenCalled();
     } );
 
+    it( 'should show usage for chat commands and their aliases', async () => {
+        const fs = require( 'fs' );
+        const originalReadFileSync = fs.readFileSync.getMockImplementation();
+        fs.readFileSync.mockImplementation( filePath => {
+            if ( filePath.includes( 'chat.json' ) ) {
+                return JSON.stringify( { hug: { messages: [], pictures: [], usage: '<username>', argRequired: true } } );
+            }
+            if ( filePath.includes( 'aliases.json' ) ) {
+                return JSON.stringify( { cuddle: { command: 'hug' } } );
+            }
+            return originalReadFileSync( filePath );
+        } );
+
+        try {
+            mockCommandParams.args = 'hug';
+            const result = await handleHelpCommand( mockCommandParams );
+
+            expect( result.success ).toBe( true );
+            expect( result.response ).toContain( 'Help for chat command: !hug' );
+            expect( result.response ).toContain( 'Usage: !hug <username>' );
+            expect( result.response ).toContain( 'Argument: required' );
+
+            mockCommandParams.args = 'cuddle';
+            const aliasResult = await handleHelpCommand( mockCommandParams );
+
+            expect( aliasResult.response ).toContain( 'Usage: !cuddle <username>' );
+            expect( aliasResult.response ).toContain( 'Alias of: !hug' );
+        } finally {
+            fs.readFileSync.mockImplementation( originalReadFileSync );
+        }
+    } );
+
     it( 'should show error message for non-existent command', async () => {
         mockCommandParams.args = 'nonexistent';
 
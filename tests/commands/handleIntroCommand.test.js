@@ -96,7 +96,9 @@ describe( 'handleIntroCommand', () => {
 
             // Check that AI was called with correct question (template with substitutions)
             expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
-                "I'm listening to Queen. Give me a brief introduction to this artist. Include when they started, their genre, and why they're notable. Keep it under 150 words."
+                "I'm listening to Queen. Give me a brief introduction to this artist. Include when they started, their genre, and why they're notable. Keep it under 150 words.",
+                undefined,
+                expect.objectContaining( { command: 'intro' } )
             );
 
             // Check that one response was sent
@@ -169,7 +171,9 @@ describe( 'handleIntroCommand', () => {
 
             // Check that AI was called with correct question including actual DJ name
             expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
-                "I'm listening to Alice In Chains with DJ 𝖓𝖎𝖓𝖆🌙. Give me a brief introduction to this artist. Include when they started, their genre, and why they're notable. Keep it under 150 words."
+                "I'm listening to Alice In Chains with DJ 𝖓𝖎𝖓𝖆🌙. Give me a brief introduction to this artist. Include when they started, their genre, and why they're notable. Keep it under 150 words.",
+                undefined,
+                expect.objectContaining( { command: 'intro' } )
             );
 
             // Check that getUserNicknameByUuid was called to get the actual name
@@ -384,7 +388,9 @@ describe( 'handleIntroCommand', () => {
             expect( result.success ).toBe( true );
             // Should use the default template from the command
             expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
-                'I\'m listening to Queen. Give me a brief introduction to this artist. Include when they started, their genre, and why they\'re notable. Keep it under 150 words.'
+                'I\'m listening to Queen. Give me a brief introduction to this artist. Include when they started, their genre, and why they\'re notable. Keep it under 150 words.',
+                undefined,
+                expect.objectContaining( { command: 'intro' } )
             );
         } );
     } );
@@ -0,0 +1,80 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const handleLlmusageCommand = require( '../../src/commands/Bot Commands/handleLlmusageCommand' );
+
+function makeServices ( usageOverrides = {} ) {
+    return {
+        llmUsageService: {
+            isAvailable: jest.fn().mockReturnValue( true ),
+            getTotals: jest.fn( period => ( {
+                today: { calls: 12, failures: 1, tokens: 3400, avgLatencyMs: 900 },
+                month: { calls: 250, failures: 4, tokens: 81000, avgLatencyMs: 950 },
+                all: { calls: 900, failures: 10, tokens: 300000, avgLatencyMs: 1000 }
+            }[ period ] ) ),
+            getBreakdown: jest.fn( ( period, groupBy ) => ( groupBy === 'backend'
+                ? [ { name: 'gemma', calls: 11, failures: 1, tokens: 3000 }, { name: 'mistral', calls: 1, failures: 0, tokens: 400 } ]
+                : [ { name: 'popfacts', calls: 12, failures: 1, tokens: 3400 } ] ) ),
+            getLimits: jest.fn().mockReturnValue( { today: { calls: 100, tokens: 0 }, month: { calls: 0, tokens: 100000 } } ),
+            checkBudget: jest.fn().mockReturnValue( { exceeded: false } ),
+            ...usageOverrides
+        },
+        messageService: { sendResponse: jest.fn().mockResolvedValue( undefined ) }
+    };
+}
+
+const context = { sender: 'uuid-mod', fullMessage: { isPrivateMessage: false } };
+
+describe( 'handleLlmusageCommand', () => {
+    describe( 'metadata', () => {
+        it( 'has requiredRole MODERATOR', () => expect( handleLlmusageCommand.requiredRole ).toBe( 'MODERATOR' ) );
+        it( 'has a description under 50 chars', () => expect( handleLlmusageCommand.description.length ).toBeLessThanOrEqual( 50 ) );
+        it( 'has an example', () => expect( handleLlmusageCommand.example ).toBeTruthy() );
+    } );
+
+    it( 'shows today\'s usage, breakdowns and budget by default', async () => {
+        const services = makeServices();
+        const result = await handleLlmusageCommand( { args: '', services, context } );
+
+        expect( result.success ).toBe( true );
+        expect( result.response ).toContain( 'LLM Usage — Today' );
+        expect( result.response ).toContain( 'Calls: 12 (1 failed) • Tokens: 3400 • Avg latency: 900ms' );
+        expect( result.response ).toContain( '• gemma: 11 calls (1 failed), 3000 tokens' );
+        expect( result.response ).toContain( '• popfacts: 12 calls (1 failed), 3400 tokens' );
+        expect( result.response ).toContain( '• Today: 12/100 calls, 3400 (no limit) tokens' );
+        expect( result.response ).toContain( '• This month: 250 (no limit) calls, 81000/100000 tokens' );
+        expect( services.llmUsageService.getBreakdown ).toHaveBeenCalledWith( 'today', 'backend' );
+    } );
+
+    it( 'reports other periods', async () => {
+        const services = makeServices();
+        const result = await handleLlmusageCommand( { args: 'all', services, context } );
+        expect( result.response ).toContain( 'LLM Usage — All Time' );
+        expect( result.response ).toContain( 'Calls: 900' );
+    } );
+
+    it( 'says when the budget has run out', async () => {
+        const services = makeServices( {
+            checkBudget: jest.fn().mockReturnValue( { exceeded: true, period: 'today', metric: 'calls' } )
+        } );
+        const result = await handleLlmusageCommand( { args: '', services, context } );
+        expect( result.response ).toContain( 'daily calls budget is used up' );
+    } );
+
+    it( 'shows usage help for an unknown period', async () => {
+        const services = makeServices();
+        const result = await handleLlmusageCommand( { args: 'yesterday', services, context } );
+        expect( result.success ).toBe( false );
+        expect( result.response ).toContain( 'LLM Usage:' );
+    } );
+
+    it( 'reports when usage tracking is unavailable', async () => {
+        const services = makeServices( { isAvailable: jest.fn().mockReturnValue( false ) } );
+        const result = await handleLlmusageCommand( { args: '', services, context } );
+        expect( result.success ).toBe( false );
+        expect( services.messageService.sendResponse ).toHaveBeenCalled();
+    } );
+} );
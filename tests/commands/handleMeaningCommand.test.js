@@ -96,7 +96,9 @@ describe( 'handleMeaningCommand', () => {
 
             // Check that AI was called with correct question (template with substitutions)
             expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
-                "Tell me the meaning of the lyrics of the song Bohemian Rhapsody by Queen in less than 200 words."
+                "Tell me the meaning of the lyrics of the song Bohemian Rhapsody by Queen in less than 200 words.",
+                undefined,
+                expect.objectContaining( { command: 'meaning' } )
             );
 
             // Check that one response was sent
@@ -341,7 +343,9 @@ describe( 'handleMeaningCommand', () => {
             expect( result.success ).toBe( true );
             // Should use the default template from the command
             expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
-                'Tell me the meaning of the lyrics of the song Bohemian Rhapsody by Queen in less than 200 words.'
+                'Tell me the meaning of the lyrics of the song Bohemian Rhapsody by Queen in less than 200 words.',
+                undefined,
+                expect.objectContaining( { command: 'meaning' } )
             );
         } );
     } );
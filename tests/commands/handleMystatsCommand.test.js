@@ -0,0 +1,45 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const handleMystatsCommand = require( '../../src/commands/General Commands/handleMystatsCommand' );
+const StatsService = require( '../../src/services/statsService' );
+
+function makeServices ( djStats ) {
+    const services = {
+        messageService: { sendResponse: jest.fn().mockResolvedValue( undefined ) },
+        stateService: {
+            _getAllUserData: jest.fn().mockReturnValue( { 'uuid-alice': { userProfile: { nickname: 'Alice' } } } ),
+        },
+        databaseService: {
+            initialized: true,
+            getDjStats: jest.fn().mockReturnValue( djStats ),
+            getTopArtists: jest.fn().mockReturnValue( [] ),
+        },
+    };
+    services.statsService = new StatsService( services );
+    return services;
+}
+
+const context = { sender: 'uuid-alice', fullMessage: { isPrivateMessage: false } };
+
+describe( 'handleMystatsCommand', () => {
+    it( 'has requiredRole USER', () => expect( handleMystatsCommand.requiredRole ).toBe( 'USER' ) );
+
+    it( 'shows the sender\'s stats', async () => {
+        const services = makeServices( { playCount: 2, uniqueSongs: 2, likes: 3, dislikes: 0, stars: 1 } );
+        const result = await handleMystatsCommand( { args: '', services, context } );
+        expect( result.success ).toBe( true );
+        expect( services.databaseService.getDjStats ).toHaveBeenCalledWith( 'uuid-alice' );
+        expect( result.response ).toContain( '**Stats for Alice**' );
+        expect( result.response ).toContain( '2 plays' );
+    } );
+
+    it( 'encourages users with no plays', async () => {
+        const services = makeServices( { playCount: 0 } );
+        const result = await handleMystatsCommand( { args: '', services, context } );
+        expect( result.response ).toContain( 'haven\'t played any songs' );
+    } );
+} );
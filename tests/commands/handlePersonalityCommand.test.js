@@ -1,4 +1,5 @@
 const handlePersonalityCommand = require( '../../src/commands/Edit Commands/handlePersonalityCommand' );
+const PersonalityService = require( '../../src/services/personalityService' );
 
 describe( 'handlePersonalityCommand', () => {
     let mockServices;
@@ -44,6 +45,8 @@ describe( 'handlePersonalityCommand', () => {
             }
         };
 
+        mockServices.personalityService = new PersonalityService( mockServices );
+
         mockContext = {
             sender: 'testuser',
             fullMessage: { isPrivateMessage: false }
@@ -715,6 +718,262 @@ describe( 'handlePersonalityCommand', () => {
         } );
     } );
 
+    describe( 'schedule subcommand', () => {
+        let options;
+
+        beforeEach( () => {
+            options = {};
+            mockServices.dataService.getValue.mockImplementation( key => {
+                if ( key === 'personalityOptions' ) return options;
+                if ( key === 'activePersonality' ) return 'Daytime';
+                return undefined;
+            } );
+            mockServices.dataService.setValue.mockImplementation( async ( key, value ) => {
+                if ( key === 'personalityOptions' ) options = value;
+            } );
+            mockServices.databaseService.getPersonalityByName.mockResolvedValue( { name: 'Late Night DJ' } );
+        } );
+
+        it( 'should add a day and time schedule', async () => {
+            const result = await handlePersonalityCommand( {
+                args: 'schedule add daily 00:00 "late night dj"',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            expect( result.success ).toBe( true );
+            expect( result.response ).toContain( 'daily at 00:00' );
+            expect( options.schedule ).toEqual( [ expect.objectContaining( { id: 1, expression: '0 0 * * *', personality: 'Late Night DJ' } ) ] );
+        } );
+
+        it( 'should not schedule a personality that does not exist', async () => {
+            mockServices.databaseService.getPersonalityByName.mockResolvedValue( null );
+            mockServices.databaseService.getAllPersonalities.mockResolvedValue( [ { name: 'Metal Monday' } ] );
+
+            const result = await handlePersonalityCommand( {
+                args: 'schedule add monday 00:00 "Metal Mondy"',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            expect( result.success ).toBe( false );
+            expect( result.response ).toContain( 'Did you mean: Metal Monday' );
+            expect( options.schedule ).toBeUndefined();
+        } );
+
+        it( 'should reject a bad timing', async () => {
+            const result = await handlePersonalityCommand( {
+                args: 'schedule add someday 25:00 "Late Night DJ"',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            expect( result.success ).toBe( false );
+            expect( result.response ).toContain( 'Usage' );
+        } );
+
+        it( 'should link and unlink a theme', async () => {
+            await handlePersonalityCommand( {
+                args: 'schedule theme "Metal Monday" "Late Night DJ"',
+                services: mockServices,
+                context: mockContext
+            } );
+            expect( options.themes ).toEqual( { 'Metal Monday': 'Late Night DJ' } );
+
+            const result = await handlePersonalityCommand( {
+                args: 'schedule theme "metal monday" none',
+                services: mockServices,
+                context: mockContext
+            } );
+            expect( result.success ).toBe( true );
+            expect( options.themes ).toEqual( {} );
+        } );
+
+        it( 'should list schedules with the current and next personality', async () => {
+            options = { nextId: 2, schedule: [ { id: 1, expression: '0 0 * * 1', personality: 'Metal Monday' } ], themes: { Disco: 'Glitter' } };
+
+            const result = await handlePersonalityCommand( {
+                args: 'schedule',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            expect( result.success ).toBe( true );
+            expect( result.response ).toContain( '**Current:** Daytime' );
+            expect( result.response ).toContain( 'Metal Monday at' );
+            expect( result.response ).toContain( '**#1** mondays at 00:00' );
+            expect( result.response ).toContain( '"Disco" → "Glitter"' );
+        } );
+
+        it( 'should remove a schedule', async () => {
+            options = { nextId: 2, schedule: [ { id: 1, expression: '0 0 * * 1', personality: 'Metal Monday' } ] };
+
+            const result = await handlePersonalityCommand( {
+                args: 'schedule remove #1',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            expect( result.success ).toBe( true );
+            expect( options.schedule ).toEqual( [] );
+        } );
+
+        it( 'should only let owners change schedules', async () => {
+            mockServices.stateService.getUserRole.mockReturnValue( 'moderator' );
+
+            const result = await handlePersonalityCommand( {
+                args: 'schedule add daily 00:00 "Late Night DJ"',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            expect( result.success ).toBe( false );
+            expect( result.response ).toContain( 'Only the room owner' );
+        } );
+    } );
+
+    describe( 'export, import and diff subcommands', () => {
+        it( 'should export a personality', async () => {
+            mockServices.personalityService.exportPersonality = jest.fn().mockResolvedValue( { success: true, file: 'late-night-dj.json', personality: 'Late Night DJ' } );
+
+            const result = await handlePersonalityCommand( {
+                args: 'export "late night dj"',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            expect( result.success ).toBe( true );
+            expect( mockServices.personalityService.exportPersonality ).toHaveBeenCalledWith( 'late night dj' );
+            expect( result.response ).toContain( 'data/personalities/late-night-dj.json' );
+        } );
+
+        it( 'should list validation errors from an import', async () => {
+            mockServices.personalityService.importPersonality = jest.fn().mockResolvedValue( {
+                success: false,
+                error: 'pack.json isn\'t a valid personality pack',
+                errors: [ 'Missing name', 'Missing description' ]
+            } );
+
+            const result = await handlePersonalityCommand( {
+                args: 'import pack.json',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            expect( result.success ).toBe( false );
+            expect( result.response ).toContain( '• Missing name' );
+        } );
+
+        it( 'should pass replace through to an import', async () => {
+            mockServices.personalityService.importPersonality = jest.fn().mockResolvedValue( { success: true, personality: 'Disco', replaced: true } );
+
+            const result = await handlePersonalityCommand( {
+                args: 'import disco.json replace',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            expect( mockServices.personalityService.importPersonality ).toHaveBeenCalledWith( 'disco.json', { replace: true, author: 'testuser' } );
+            expect( result.response ).toContain( 'Personality "Disco" replaced' );
+        } );
+
+        it( 'should only let owners import personalities', async () => {
+            mockServices.stateService.getUserRole.mockReturnValue( 'moderator' );
+
+            const result = await handlePersonalityCommand( {
+                args: 'import disco.json',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            expect( result.success ).toBe( false );
+            expect( result.response ).toContain( 'Only the room owner' );
+        } );
+
+        it( 'should show the differences between two personalities', async () => {
+            mockServices.stateService.getUserRole.mockReturnValue( 'moderator' );
+            mockServices.personalityService.diffPersonalities = jest.fn().mockResolvedValue( {
+                success: true,
+                a: 'Metal Monday',
+                b: 'Late Night DJ',
+                sections: [ { section: 'Disabled Commands', changes: [ { type: 'added', key: 'dice' }, { type: 'removed', key: 'poll' } ] } ]
+            } );
+
+            const result = await handlePersonalityCommand( {
+                args: 'diff "Metal Monday" "Late Night DJ"',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            expect( result.success ).toBe( true );
+            expect( mockServices.personalityService.diffPersonalities ).toHaveBeenCalledWith( 'Metal Monday', 'Late Night DJ' );
+            expect( result.response ).toContain( '**Disabled Commands:** + dice, − poll' );
+        } );
+    } );
+
+    describe( 'history and rollback subcommands', () => {
+        beforeEach( () => {
+            mockServices.databaseService.getPersonalityByName.mockResolvedValue( { name: 'Late Night DJ' } );
+            mockServices.databaseService.getPersonalityRevisions = jest.fn().mockResolvedValue( [
+                { revision: 2, action: 'update', author_uuid: 'mod-uuid-1234', author: 'DJ Mod', created_at: '2026-10-19 20:15:00' },
+                { revision: 1, action: 'save', author_uuid: 'owner-uuid-5678', author: null, created_at: '2026-10-18 09:00:00' }
+            ] );
+            mockServices.databaseService.rollbackPersonality = jest.fn().mockResolvedValue( { name: 'Late Night DJ', revision: 3 } );
+        } );
+
+        it( 'should list revisions newest first', async () => {
+            mockServices.stateService.getUserRole.mockReturnValue( 'moderator' );
+
+            const result = await handlePersonalityCommand( {
+                args: 'history "late night dj"',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            expect( result.success ).toBe( true );
+            expect( result.response ).toContain( '**r2** 2026-10-19 20:15 UTC — update by DJ Mod' );
+            expect( result.response ).toContain( '**r1** 2026-10-18 09:00 UTC — save by owner-u' );
+        } );
+
+        it( 'should roll back to a revision', async () => {
+            const result = await handlePersonalityCommand( {
+                args: 'rollback "Late Night DJ" r1',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            expect( result.success ).toBe( true );
+            expect( mockServices.databaseService.rollbackPersonality ).toHaveBeenCalledWith( 'Late Night DJ', 1, 'testuser' );
+            expect( result.response ).toContain( 'restored to revision 1 (saved as r3)' );
+        } );
+
+        it( 'should report a missing revision', async () => {
+            mockServices.databaseService.rollbackPersonality.mockResolvedValue( undefined );
+
+            const result = await handlePersonalityCommand( {
+                args: 'rollback "Late Night DJ" 9',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            expect( result.success ).toBe( false );
+            expect( result.response ).toContain( 'No revision 9' );
+        } );
+
+        it( 'should only let owners roll back', async () => {
+            mockServices.stateService.getUserRole.mockReturnValue( 'moderator' );
+
+            const result = await handlePersonalityCommand( {
+                args: 'rollback "Late Night DJ" 1',
+                services: mockServices,
+                context: mockContext
+            } );
+
+            expect( result.success ).toBe( false );
+            expect( mockServices.databaseService.rollbackPersonality ).not.toHaveBeenCalled();
+        } );
+    } );
+
     describe( 'database error handling', () => {
         it( 'should handle database not initialized', async () => {
             mockServices.databaseService.initialized = false;
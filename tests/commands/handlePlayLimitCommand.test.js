@@ -0,0 +1,132 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const handlePlayLimitCommand = require( '../../src/commands/Moderator Commands/handlePlayLimitCommand' );
+const PlayLimitService = require( '../../src/services/playLimitService' );
+
+function makeServices ( { tiers = [], djs = [] } = {} ) {
+    const data = { playLimit: { tiers } };
+    const services = {
+        stateService: {
+            getUserRole: jest.fn().mockReturnValue( 'moderator' ),
+            _getDjs: jest.fn().mockReturnValue( djs ),
+            _getAllUserData: jest.fn().mockReturnValue( {
+                'uuid-alice': { userProfile: { nickname: 'Alice' } },
+                'uuid-bob': { userProfile: { nickname: 'Bob' } },
+            } ),
+        },
+        dataService: {
+            getValue: jest.fn( key => key.split( '.' ).reduce( ( obj, k ) => obj?.[ k ], data ) ),
+            setValue: jest.fn( async ( key, value ) => { data.playLimit.tiers = value; } ),
+        },
+        messageService: {
+            sendResponse: jest.fn().mockResolvedValue( undefined ),
+        },
+    };
+    services.playLimitService = new PlayLimitService( services );
+    return services;
+}
+
+function makeContext ( sender = 'uuid-mod' ) {
+    return { sender, fullMessage: { isPrivateMessage: false } };
+}
+
+describe( 'handlePlayLimitCommand', () => {
+    describe( 'metadata', () => {
+        it( 'has requiredRole MODERATOR', () => expect( handlePlayLimitCommand.requiredRole ).toBe( 'MODERATOR' ) );
+        it( 'has a description under 50 chars', () => expect( handlePlayLimitCommand.description.length ).toBeLessThanOrEqual( 50 ) );
+        it( 'has an example', () => expect( handlePlayLimitCommand.example ).toBeTruthy() );
+        it( 'is not hidden', () => expect( handlePlayLimitCommand.hidden ).toBe( false ) );
+    } );
+
+    describe( 'status', () => {
+        it( 'is the default subcommand', async () => {
+            const services = makeServices();
+            const result = await handlePlayLimitCommand( { args: '', services, context: makeContext() } );
+            expect( result.success ).toBe( true );
+            expect( result.response ).toContain( 'No limits configured' );
+        } );
+
+        it( 'shows tiers and DJ play counts', async () => {
+            const services = makeServices( { tiers: [ { minDjs: 3, limit: 2 } ], djs: [ { uuid: 'uuid-alice' }, { uuid: 'uuid-bob' }, { uuid: 'x' } ] } );
+            services.playLimitService.recordPlay( 'uuid-alice', 3 );
+            services.playLimitService.setExempt( 'uuid-bob' );
+            const result = await handlePlayLimitCommand( { args: 'status', services, context: makeContext() } );
+            expect( result.response ).toContain( 'currently 2 songs per DJ' );
+            expect( result.response ).toContain( '3+ DJs: 2 songs' );
+            expect( result.response ).toContain( '**Alice** — 1 played' );
+            expect( result.response ).toContain( '**Bob** (exempt)' );
+        } );
+    } );
+
+    describe( 'set', () => {
+        it( 'stores a tier', async () => {
+            const services = makeServices();
+            const result = await handlePlayLimitCommand( { args: 'set 3 2', services, context: makeContext() } );
+            expect( result.success ).toBe( true );
+            expect( services.dataService.setValue ).toHaveBeenCalledWith( 'playLimit.tiers', [ { minDjs: 3, limit: 2 } ] );
+        } );
+
+        it( 'rejects invalid numbers', async () => {
+            const services = makeServices();
+            const result = await handlePlayLimitCommand( { args: 'set three 2', services, context: makeContext() } );
+            expect( result.error ).toBe( 'Invalid arguments' );
+            expect( services.dataService.setValue ).not.toHaveBeenCalled();
+        } );
+    } );
+
+    describe( 'clear', () => {
+        it( 'removes all tiers', async () => {
+            const services = makeServices( { tiers: [ { minDjs: 3, limit: 2 } ] } );
+            await handlePlayLimitCommand( { args: 'clear', services, context: makeContext() } );
+            expect( services.playLimitService.getTiers() ).toEqual( [] );
+        } );
+    } );
+
+    describe( 'exempt / unexempt / reset', () => {
+        it( 'exempts a DJ by name', async () => {
+            const services = makeServices();
+            const result = await handlePlayLimitCommand( { args: 'exempt alice', services, context: makeContext() } );
+            expect( result.success ).toBe( true );
+            expect( services.playLimitService.isExempt( 'uuid-alice' ) ).toBe( true );
+        } );
+
+        it( 'removes an exemption', async () => {
+            const services = makeServices();
+            services.playLimitService.setExempt( 'uuid-alice' );
+            await handlePlayLimitCommand( { args: 'unexempt Alice', services, context: makeContext() } );
+            expect( services.playLimitService.isExempt( 'uuid-alice' ) ).toBe( false );
+        } );
+
+        it( 'resets a play count', async () => {
+            const services = makeServices();
+            services.playLimitService.recordPlay( 'uuid-bob', 1 );
+            await handlePlayLimitCommand( { args: 'reset Bob', services, context: makeContext() } );
+            expect( services.playLimitService.getPlayCount( 'uuid-bob' ) ).toBe( 0 );
+        } );
+
+        it( 'requires a name', async () => {
+            const services = makeServices();
+            const result = await handlePlayLimitCommand( { args: 'exempt', services, context: makeContext() } );
+            expect( result.error ).toBe( 'Missing name' );
+        } );
+
+        it( 'reports unknown users', async () => {
+            const services = makeServices();
+            const result = await handlePlayLimitCommand( { args: 'exempt Zed', services, context: makeContext() } );
+            expect( result.error ).toBe( 'User not found' );
+        } );
+    } );
+
+    describe( 'unknown subcommand', () => {
+        it( 'returns usage text', async () => {
+            const services = makeServices();
+            const result = await handlePlayLimitCommand( { args: 'blah', services, context: makeContext() } );
+            expect( result.error ).toBe( 'Unknown subcommand' );
+            expect( result.response ).toContain( 'playlimit set' );
+        } );
+    } );
+} );
@@ -96,7 +96,9 @@ describe( 'handlePopfactsCommand', () => {
 
       // Check that AI was called with correct question (template with substitutions)
       expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
-        "The song I'm currently listening to is Bohemian Rhapsody by Queen. Tell me three short interesting facts about the song and/or the artist. When searching note that it may or may not be a cover version. Do not tell me that you're giving me three facts as part of the reply"
+        "The song I'm currently listening to is Bohemian Rhapsody by Queen. Tell me three short interesting facts about the song and/or the artist. When searching note that it may or may not be a cover version. Do not tell me that you're giving me three facts as part of the reply",
+        undefined,
+        expect.objectContaining( { command: 'popfacts' } )
       );
 
       // Check that one response was sent (just facts)
@@ -310,7 +312,9 @@ describe( 'handlePopfactsCommand', () => {
       } );
 
       expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
-        "The song I'm currently listening to is Imagine by John Lennon. Tell me three short interesting facts about the song and/or the artist. When searching note that it may or may not be a cover version. Do not tell me that you're giving me three facts as part of the reply"
+        "The song I'm currently listening to is Imagine by John Lennon. Tell me three short interesting facts about the song and/or the artist. When searching note that it may or may not be a cover version. Do not tell me that you're giving me three facts as part of the reply",
+        undefined,
+        expect.objectContaining( { command: 'popfacts' } )
       );
 
       expect( mockServices.messageService.sendResponse ).toHaveBeenCalledWith(
@@ -339,7 +343,9 @@ describe( 'handlePopfactsCommand', () => {
 
       // Should still work with the default fallback template
       expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
-        "The song I'm currently listening to is Test Song by Test Artist. Tell me three short interesting facts about the song and/or the artist. When searching note that it may or may not be a cover version. Do not tell me that you're giving me three facts as part of the reply"
+        "The song I'm currently listening to is Test Song by Test Artist. Tell me three short interesting facts about the song and/or the artist. When searching note that it may or may not be a cover version. Do not tell me that you're giving me three facts as part of the reply",
+        undefined,
+        expect.objectContaining( { command: 'popfacts' } )
       );
     } );
   } );
@@ -0,0 +1,170 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const handleQCommand = require( '../../src/commands/General Commands/handleQCommand' );
+const DjQueueService = require( '../../src/services/djQueueService' );
+
+function makeServices ( { role = 'user', djs = [], users = {} } = {} ) {
+    const services = {
+        stateService: {
+            getUserRole: jest.fn().mockReturnValue( role ),
+            _getDjs: jest.fn().mockReturnValue( djs ),
+            _getAllUserData: jest.fn().mockReturnValue( users ),
+        },
+        messageService: {
+            sendResponse: jest.fn().mockResolvedValue( undefined ),
+            sendGroupMessage: jest.fn().mockResolvedValue( undefined ),
+            formatMention: jest.fn( uuid => `<@uid:${ uuid }>` ),
+        },
+        dataService: { getValue: jest.fn() },
+        databaseService: null,
+    };
+    services.djQueueService = new DjQueueService( services );
+    return services;
+}
+
+function makeContext ( sender = 'uuid-alice' ) {
+    return { sender, fullMessage: { isPrivateMessage: false } };
+}
+
+const users = {
+    'uuid-alice': { userProfile: { nickname: 'Alice' } },
+    'uuid-bob': { userProfile: { nickname: 'Bob' } },
+};
+
+describe( 'handleQCommand', () => {
+    describe( 'metadata', () => {
+        it( 'has requiredRole USER', () => expect( handleQCommand.requiredRole ).toBe( 'USER' ) );
+        it( 'has a description under 50 chars', () => expect( handleQCommand.description.length ).toBeLessThanOrEqual( 50 ) );
+        it( 'has an example', () => expect( handleQCommand.example ).toBeTruthy() );
+        it( 'is not hidden', () => expect( handleQCommand.hidden ).toBe( false ) );
+    } );
+
+    describe( 'usage', () => {
+        it( 'shows usage for an unknown subcommand', async () => {
+            const services = makeServices();
+            const result = await handleQCommand( { args: '', services, context: makeContext() } );
+            expect( result.success ).toBe( false );
+            expect( result.error ).toBe( 'Unknown subcommand' );
+            expect( result.response ).toContain( 'q add' );
+        } );
+    } );
+
+    describe( 'add', () => {
+        it( 'adds the sender with their nickname', async () => {
+            const services = makeServices( { users } );
+            const result = await handleQCommand( { args: 'add', services, context: makeContext() } );
+            expect( result.success ).toBe( true );
+            expect( result.response ).toContain( 'position 1' );
+            expect( services.djQueueService.getQueue()[ 0 ] ).toEqual( expect.objectContaining( { uuid: 'uuid-alice', nickname: 'Alice' } ) );
+        } );
+
+        it( 'refuses users already on the decks', async () => {
+            const services = makeServices( { users, djs: [ { uuid: 'uuid-alice' } ] } );
+            const result = await handleQCommand( { args: 'add', services, context: makeContext() } );
+            expect( result.success ).toBe( false );
+            expect( result.error ).toBe( 'Already DJing' );
+        } );
+
+        it( 'reports the existing position for duplicates', async () => {
+            const services = makeServices( { users } );
+            await handleQCommand( { args: 'add', services, context: makeContext() } );
+            const result = await handleQCommand( { args: 'add', services, context: makeContext() } );
+            expect( result.success ).toBe( false );
+            expect( result.response ).toContain( 'already in the queue at position 1' );
+        } );
+    } );
+
+    describe( 'remove', () => {
+        it( 'removes the sender', async () => {
+            const services = makeServices( { users } );
+            services.djQueueService.add( 'uuid-alice', 'Alice' );
+            const result = await handleQCommand( { args: 'remove', services, context: makeContext() } );
+            expect( result.success ).toBe( true );
+            expect( services.djQueueService.isQueued( 'uuid-alice' ) ).toBe( false );
+        } );
+
+        it( 'reports when the sender is not queued', async () => {
+            const services = makeServices( { users } );
+            const result = await handleQCommand( { args: 'remove', services, context: makeContext() } );
+            expect( result.success ).toBe( false );
+            expect( result.error ).toBe( 'Not queued' );
+        } );
+
+        it( 'stops regular users removing someone else', async () => {
+            const services = makeServices( { users } );
+            services.djQueueService.add( 'uuid-bob', 'Bob' );
+            const result = await handleQCommand( { args: 'remove Bob', services, context: makeContext() } );
+            expect( result.error ).toBe( 'Insufficient permissions' );
+            expect( services.djQueueService.isQueued( 'uuid-bob' ) ).toBe( true );
+        } );
+
+        it( 'lets moderators remove someone by name', async () => {
+            const services = makeServices( { users, role: 'moderator' } );
+            services.djQueueService.add( 'uuid-bob', 'Bob' );
+            const result = await handleQCommand( { args: 'remove bob', services, context: makeContext() } );
+            expect( result.success ).toBe( true );
+            expect( services.djQueueService.isQueued( 'uuid-bob' ) ).toBe( false );
+        } );
+    } );
+
+    describe( 'list and next', () => {
+        it( 'reports an empty queue', async () => {
+            const services = makeServices();
+            const list = await handleQCommand( { args: 'list', services, context: makeContext() } );
+            const next = await handleQCommand( { args: 'next', services, context: makeContext() } );
+            expect( list.response ).toContain( 'empty' );
+            expect( next.response ).toContain( 'empty' );
+        } );
+
+        it( 'lists queued users in order with their status', async () => {
+            const services = makeServices();
+            services.djQueueService.add( 'uuid-alice', 'Alice' );
+            services.djQueueService.add( 'uuid-bob', 'Bob' );
+            services.djQueueService.markLeft( 'uuid-bob' );
+            const result = await handleQCommand( { args: 'list', services, context: makeContext() } );
+            expect( result.response ).toContain( '1. Alice' );
+            expect( result.response ).toContain( '2. Bob (away)' );
+        } );
+
+        it( 'shows who is next', async () => {
+            const services = makeServices();
+            services.djQueueService.add( 'uuid-bob', 'Bob' );
+            const result = await handleQCommand( { args: 'next', services, context: makeContext() } );
+            expect( result.response ).toContain( 'Bob' );
+        } );
+    } );
+
+    describe( 'move', () => {
+        it( 'requires moderator permissions', async () => {
+            const services = makeServices();
+            const result = await handleQCommand( { args: 'move Bob 1', services, context: makeContext() } );
+            expect( result.error ).toBe( 'Insufficient permissions' );
+        } );
+
+        it( 'validates the arguments', async () => {
+            const services = makeServices( { role: 'moderator' } );
+            const result = await handleQCommand( { args: 'move Bob', services, context: makeContext() } );
+            expect( result.error ).toBe( 'Invalid arguments' );
+        } );
+
+        it( 'moves a user to a new position', async () => {
+            const services = makeServices( { role: 'moderator' } );
+            services.djQueueService.add( 'uuid-alice', 'Alice' );
+            services.djQueueService.add( 'uuid-bob', 'Bob Smith' );
+            const result = await handleQCommand( { args: 'move Bob Smith 1', services, context: makeContext() } );
+            expect( result.success ).toBe( true );
+            expect( result.response ).toContain( 'position 1' );
+            expect( services.djQueueService.getPosition( 'uuid-bob' ) ).toBe( 1 );
+        } );
+
+        it( 'reports unknown users', async () => {
+            const services = makeServices( { role: 'moderator' } );
+            const result = await handleQCommand( { args: 'move Zed 1', services, context: makeContext() } );
+            expect( result.error ).toBe( 'User not found' );
+        } );
+    } );
+} );
@@ -0,0 +1,70 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const handleRepeatwindowCommand = require( '../../src/commands/Moderator Commands/handleRepeatwindowCommand' );
+const RepeatPlayService = require( '../../src/services/repeatPlayService' );
+
+function makeServices ( config = {} ) {
+    const data = { repeatPlay: { ...config } };
+    const services = {
+        dataService: {
+            getValue: jest.fn( key => key.split( '.' ).reduce( ( obj, k ) => obj?.[ k ], data ) ),
+            setValue: jest.fn( async ( key, value ) => { data.repeatPlay[ key.split( '.' )[ 1 ] ] = value; } ),
+        },
+        messageService: { sendResponse: jest.fn().mockResolvedValue( undefined ) },
+    };
+    services.repeatPlayService = new RepeatPlayService( services );
+    return services;
+}
+
+const context = { sender: 'uuid-mod', fullMessage: { isPrivateMessage: false } };
+
+describe( 'handleRepeatwindowCommand', () => {
+    describe( 'metadata', () => {
+        it( 'has requiredRole MODERATOR', () => expect( handleRepeatwindowCommand.requiredRole ).toBe( 'MODERATOR' ) );
+        it( 'has a description under 50 chars', () => expect( handleRepeatwindowCommand.description.length ).toBeLessThanOrEqual( 50 ) );
+        it( 'has an example', () => expect( handleRepeatwindowCommand.example ).toBeTruthy() );
+    } );
+
+    it( 'shows the current settings', async () => {
+        const services = makeServices();
+        const result = await handleRepeatwindowCommand( { args: '', services, context } );
+        expect( result.response ).toContain( '180 minutes' );
+        expect( result.response ).toContain( '**warn**' );
+    } );
+
+    it( 'sets the window in minutes', async () => {
+        const services = makeServices();
+        const result = await handleRepeatwindowCommand( { args: '90', services, context } );
+        expect( result.success ).toBe( true );
+        expect( services.dataService.setValue ).toHaveBeenCalledWith( 'repeatPlay.windowMinutes', 90 );
+    } );
+
+    it( 'turns detection off with 0', async () => {
+        const services = makeServices();
+        const result = await handleRepeatwindowCommand( { args: '0', services, context } );
+        expect( result.response ).toContain( 'turned off' );
+    } );
+
+    it( 'sets the policy', async () => {
+        const services = makeServices();
+        await handleRepeatwindowCommand( { args: 'policy SKIP', services, context } );
+        expect( services.dataService.setValue ).toHaveBeenCalledWith( 'repeatPlay.policy', 'skip' );
+    } );
+
+    it( 'rejects invalid policies', async () => {
+        const services = makeServices();
+        const result = await handleRepeatwindowCommand( { args: 'policy ban', services, context } );
+        expect( result.error ).toBe( 'Invalid policy' );
+    } );
+
+    it( 'returns usage for unknown arguments', async () => {
+        const services = makeServices();
+        const result = await handleRepeatwindowCommand( { args: 'soon', services, context } );
+        expect( result.error ).toBe( 'Unknown subcommand' );
+        expect( result.response ).toContain( 'repeatwindow policy' );
+    } );
+} );
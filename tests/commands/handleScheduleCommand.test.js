@@ -0,0 +1,97 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const handleScheduleCommand = require( '../../src/commands/Bot Commands/handleScheduleCommand' );
+
+function makeServices ( schedules = [] ) {
+    const schedulerService = {
+        listSchedules: jest.fn( () => schedules ),
+        parseTiming: jest.fn( words => words[ 0 ] === 'every'
+            ? { timing: { type: 'interval', minutes: 45 }, rest: words.slice( 2 ) }
+            : { error: 'Start with cron, every or at' } ),
+        addSchedule: jest.fn( ( timing, message ) => ( { id: 3, ...timing, message } ) ),
+        getSchedule: jest.fn( id => schedules.find( s => s.id === id ) || null ),
+        removeSchedule: jest.fn(),
+        setPaused: jest.fn()
+    };
+    return {
+        schedulerService,
+        dataService: { getValue: jest.fn( () => 'Europe/London' ) },
+        messageService: { sendResponse: jest.fn().mockResolvedValue( undefined ) }
+    };
+}
+
+const context = { sender: 'owner-1', fullMessage: { isPrivateMessage: false } };
+
+describe( 'handleScheduleCommand', () => {
+    describe( 'metadata', () => {
+        it( 'has requiredRole OWNER', () => expect( handleScheduleCommand.requiredRole ).toBe( 'OWNER' ) );
+        it( 'has a description under 50 chars', () => expect( handleScheduleCommand.description.length ).toBeLessThanOrEqual( 50 ) );
+        it( 'has an example', () => expect( handleScheduleCommand.example ).toBeTruthy() );
+    } );
+
+    it( 'lists schedules by default', async () => {
+        const services = makeServices( [
+            { id: 1, type: 'cron', expression: '0 20 * * fri', message: 'Theme night!' },
+            { id: 2, type: 'interval', minutes: 45, message: 'Rules', paused: true }
+        ] );
+        const result = await handleScheduleCommand( { args: '', services, context } );
+        expect( result.response ).toContain( '📅 **Scheduled Messages** (Europe/London)' );
+        expect( result.response ).toContain( '**#1** cron 0 20 * * fri — Theme night!' );
+        expect( result.response ).toContain( '**#2** every 45m ⏸️ paused — Rules' );
+    } );
+
+    it( 'says when there are no schedules', async () => {
+        const result = await handleScheduleCommand( { args: 'list', services: makeServices(), context } );
+        expect( result.response ).toContain( 'No scheduled messages' );
+    } );
+
+    it( 'adds a schedule', async () => {
+        const services = makeServices();
+        const result = await handleScheduleCommand( { args: 'add every 45m Please read the rules', services, context } );
+        expect( services.schedulerService.addSchedule ).toHaveBeenCalledWith( { type: 'interval', minutes: 45 }, 'Please read the rules', 'owner-1' );
+        expect( result.response ).toContain( '**#3** added (every 45m)' );
+    } );
+
+    it( 'explains a bad timing', async () => {
+        const services = makeServices();
+        const result = await handleScheduleCommand( { args: 'add tomorrow Hello', services, context } );
+        expect( result.success ).toBe( false );
+        expect( result.response ).toContain( 'Start with cron, every or at' );
+        expect( services.schedulerService.addSchedule ).not.toHaveBeenCalled();
+    } );
+
+    it( 'needs a message', async () => {
+        const result = await handleScheduleCommand( { args: 'add every 45m', services: makeServices(), context } );
+        expect( result.error ).toBe( 'Invalid schedule' );
+    } );
+
+    it( 'refuses messages with broken template syntax', async () => {
+        const services = makeServices();
+        const result = await handleScheduleCommand( { args: 'add every 45m {if likes > 2}Nice', services, context } );
+        expect( result.error ).toBe( 'Invalid template' );
+        expect( services.schedulerService.addSchedule ).not.toHaveBeenCalled();
+    } );
+
+    it( 'pauses, resumes and removes schedules by id', async () => {
+        const services = makeServices( [ { id: 2, type: 'interval', minutes: 45, message: 'Rules' } ] );
+
+        await handleScheduleCommand( { args: 'pause 2', services, context } );
+        expect( services.schedulerService.setPaused ).toHaveBeenCalledWith( 2, true );
+
+        const resumed = await handleScheduleCommand( { args: 'resume #2', services, context } );
+        expect( services.schedulerService.setPaused ).toHaveBeenCalledWith( 2, false );
+        expect( resumed.response ).toContain( 'resumed' );
+
+        await handleScheduleCommand( { args: 'remove 2', services, context } );
+        expect( services.schedulerService.removeSchedule ).toHaveBeenCalledWith( 2 );
+    } );
+
+    it( 'reports unknown ids', async () => {
+        const result = await handleScheduleCommand( { args: 'remove 9', services: makeServices(), context } );
+        expect( result.error ).toBe( 'Schedule not found' );
+    } );
+} );
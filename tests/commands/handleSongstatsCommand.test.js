@@ -0,0 +1,100 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+// jest.config maps better-sqlite3 to a stub; these tests need real queries
+jest.mock( 'better-sqlite3', () => jest.requireActual( 'better-sqlite3/lib/index.js' ) );
+
+const handleSongstatsCommand = require( '../../src/commands/General Commands/handleSongstatsCommand' );
+const DatabaseService = require( '../../src/services/databaseService' );
+const StatsService = require( '../../src/services/statsService' );
+
+function makeServices ( { song = { artistName: 'Chic', trackName: 'Le Freak' }, stats } = {} ) {
+    return {
+        messageService: { sendResponse: jest.fn().mockResolvedValue( undefined ) },
+        hangoutState: { nowPlaying: song ? { song } : null, djs: [ { uuid: 'uuid-dj' } ] },
+        statsService: {
+            isAvailable: jest.fn().mockReturnValue( true ),
+            getSongStats: jest.fn().mockReturnValue( stats || { playCount: 0, lastPlayed: null, djs: [] } ),
+        },
+    };
+}
+
+const context = { sender: 'uuid-user', fullMessage: { isPrivateMessage: false } };
+
+describe( 'handleSongstatsCommand', () => {
+    it( 'has requiredRole USER', () => expect( handleSongstatsCommand.requiredRole ).toBe( 'USER' ) );
+
+    it( 'shows how often the current song was played and by whom', async () => {
+        const services = makeServices( {
+            stats: {
+                playCount: 3,
+                lastPlayed: '2026-03-02 20:00:00',
+                djs: [ { uuid: 'a', nickname: 'Alice', playCount: 2 }, { uuid: 'b', nickname: 'Bob', playCount: 1 } ]
+            }
+        } );
+        const result = await handleSongstatsCommand( { args: '', services, context } );
+        expect( services.statsService.getSongStats ).toHaveBeenCalledWith( 'Chic', 'Le Freak', 'uuid-dj' );
+        expect( result.response ).toContain( 'played 3 times before' );
+        expect( result.response ).toContain( 'Played by: Alice (2), Bob' );
+        expect( result.response ).toContain( 'Last played: 2026-03-02' );
+    } );
+
+    it( 'celebrates songs that have never been played', async () => {
+        const services = makeServices();
+        const result = await handleSongstatsCommand( { args: '', services, context } );
+        expect( result.response ).toContain( 'never been played here before' );
+    } );
+
+    describe( 'with the room database', () => {
+        let databaseService;
+        let services;
+
+        // Record a play the way playedSong does when a song starts
+        function play ( djUuid ) {
+            databaseService.upsertSong( { songId: 'song-1', artistName: 'Chic', trackName: 'Le Freak' } );
+            databaseService.recordSongPlay( { songId: 'song-1', djUuid } );
+        }
+
+        beforeEach( async () => {
+            databaseService = new DatabaseService( { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } );
+            databaseService.dbPath = ':memory:';
+            await databaseService.initialize();
+            databaseService.upsertDj( { uuid: 'uuid-alice', nickname: 'Alice' } );
+            databaseService.upsertDj( { uuid: 'uuid-bob', nickname: 'Bob' } );
+
+            services = makeServices();
+            services.statsService = new StatsService( { databaseService } );
+            services.hangoutState.djs = [ { uuid: 'uuid-alice' } ];
+        } );
+
+        afterEach( () => databaseService.close() );
+
+        it( 'leaves the play in progress out', async () => {
+            play( 'uuid-bob' );
+            play( 'uuid-alice' );
+
+            const result = await handleSongstatsCommand( { args: '', services, context } );
+
+            expect( result.response ).toContain( 'played 1 time before' );
+            expect( result.response ).toContain( 'Played by: Bob' );
+            expect( result.response ).not.toContain( 'Alice' );
+        } );
+
+        it( 'says a song is new on its first play', async () => {
+            play( 'uuid-alice' );
+
+            const result = await handleSongstatsCommand( { args: '', services, context } );
+
+            expect( result.response ).toContain( 'never been played here before' );
+        } );
+    } );
+
+    it( 'reports when nothing is playing', async () => {
+        const services = makeServices( { song: null } );
+        const result = await handleSongstatsCommand( { args: '', services, context } );
+        expect( result.error ).toBe( 'No song playing' );
+    } );
+} );
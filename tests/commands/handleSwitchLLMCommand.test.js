@@ -45,7 +45,7 @@ describe( 'handleSwitchLLMCommand', () => {
     describe( 'metadata', () => {
         it( 'should have correct metadata properties', () => {
             expect( handleSwitchLLMCommand.requiredRole ).toBe( 'OWNER' );
-            expect( handleSwitchLLMCommand.description ).toBe( 'Switch LLM backend (gemma or mistral)' );
+            expect( handleSwitchLLMCommand.description ).toBe( 'Switch LLM backend (gemma, mistral or local)' );
             expect( handleSwitchLLMCommand.example ).toBe( 'switchllm mistral' );
             expect( handleSwitchLLMCommand.hidden ).toBe( false );
         } );
@@ -163,6 +163,16 @@ describe( 'handleSwitchLLMCommand', () => {
             expect( result.response ).toContain( '(from mistral)' );
         } );
 
+        it( 'should successfully switch to the local backend', async () => {
+            commandParams.args = 'local';
+            services.machineLearningService.switchBackend.mockResolvedValue( { success: true } );
+
+            const result = await handleSwitchLLMCommand( commandParams );
+
+            expect( result.success ).toBe( true );
+            expect( services.machineLearningService.switchBackend ).toHaveBeenCalledWith( 'local' );
+        } );
+
         it( 'should include notification when switching', async () => {
             commandParams.args = 'mistral';
             services.machineLearningService.switchBackend.mockResolvedValue( { success: true } );
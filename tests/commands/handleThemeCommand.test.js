@@ -0,0 +1,193 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const handleThemeCommand = require( '../../src/commands/General Commands/handleThemeCommand' );
+
+function makeServices ( { role = 'moderator', theme = '', themes = [ 'Love', 'Metal' ] } = {} ) {
+    let currentTheme = theme;
+    const themeList = [ ...themes ];
+    const schedule = [];
+    const services = {
+        stateService: {
+            getUserRole: jest.fn().mockReturnValue( role ),
+        },
+        dataService: {
+            getValue: jest.fn().mockReturnValue( 'Europe/London' ),
+        },
+        messageService: {
+            sendResponse: jest.fn().mockResolvedValue( undefined ),
+        },
+        themeService: {
+            getCurrentTheme: jest.fn( () => currentTheme || null ),
+            setCurrentTheme: jest.fn( async t => { currentTheme = t; } ),
+            clearCurrentTheme: jest.fn( async () => { currentTheme = ''; } ),
+            announceTheme: jest.fn().mockResolvedValue( undefined ),
+            listThemes: jest.fn( () => [ ...themeList ] ),
+            findTheme: jest.fn( name => themeList.find( t => t.toLowerCase() === name.toLowerCase() ) || null ),
+            pickRandomTheme: jest.fn( () => themeList[ 0 ] || null ),
+            addTheme: jest.fn( name => {
+                if ( themeList.includes( name ) ) return false;
+                themeList.push( name );
+                return true;
+            } ),
+            removeTheme: jest.fn( () => true ),
+            getSchedule: jest.fn( () => schedule ),
+            addSchedule: jest.fn( ( day, time, t ) => schedule.push( { day, time, theme: t } ) ),
+            removeSchedule: jest.fn( index => ( index === 1 ? { day: 'friday', time: '20:00', theme: 'Disco' } : null ) ),
+            isVerdictEnabled: jest.fn().mockReturnValue( false ),
+            setVerdictEnabled: jest.fn().mockResolvedValue( undefined ),
+        },
+    };
+    return services;
+}
+
+function makeContext ( sender = 'uuid-mod' ) {
+    return { sender, fullMessage: { isPrivateMessage: false } };
+}
+
+describe( 'handleThemeCommand', () => {
+    describe( 'metadata', () => {
+        it( 'has requiredRole USER', () => expect( handleThemeCommand.requiredRole ).toBe( 'USER' ) );
+        it( 'has a description under 50 chars', () => expect( handleThemeCommand.description.length ).toBeLessThanOrEqual( 50 ) );
+        it( 'has an example', () => expect( handleThemeCommand.example ).toBeTruthy() );
+        it( 'is not hidden', () => expect( handleThemeCommand.hidden ).toBe( false ) );
+    } );
+
+    describe( 'viewing', () => {
+        it( 'shows the current theme by default', async () => {
+            const services = makeServices( { role: 'user', theme: 'Disco' } );
+            const result = await handleThemeCommand( { args: '', services, context: makeContext() } );
+            expect( result.success ).toBe( true );
+            expect( result.response ).toContain( '**Disco**' );
+        } );
+
+        it( 'lists saved themes for any user', async () => {
+            const services = makeServices( { role: 'user' } );
+            const result = await handleThemeCommand( { args: 'list', services, context: makeContext() } );
+            expect( result.response ).toContain( 'Love, Metal' );
+        } );
+    } );
+
+    describe( 'permissions', () => {
+        it( 'blocks users from setting the theme', async () => {
+            const services = makeServices( { role: 'user' } );
+            const result = await handleThemeCommand( { args: 'set Disco', services, context: makeContext() } );
+            expect( result.error ).toBe( 'Insufficient permissions' );
+            expect( services.themeService.setCurrentTheme ).not.toHaveBeenCalled();
+        } );
+    } );
+
+    describe( 'set / random / clear', () => {
+        it( 'sets and announces a theme, matching saved theme casing', async () => {
+            const services = makeServices();
+            const result = await handleThemeCommand( { args: 'set metal', services, context: makeContext() } );
+            expect( result.success ).toBe( true );
+            expect( services.themeService.setCurrentTheme ).toHaveBeenCalledWith( 'Metal' );
+            expect( services.themeService.announceTheme ).toHaveBeenCalled();
+        } );
+
+        it( 'accepts themes that are not in the list', async () => {
+            const services = makeServices();
+            await handleThemeCommand( { args: 'set Songs about trains', services, context: makeContext() } );
+            expect( services.themeService.setCurrentTheme ).toHaveBeenCalledWith( 'Songs about trains' );
+        } );
+
+        it( 'picks a random theme', async () => {
+            const services = makeServices();
+            const result = await handleThemeCommand( { args: 'random', services, context: makeContext() } );
+            expect( result.response ).toBe( 'Love' );
+            expect( services.themeService.announceTheme ).toHaveBeenCalled();
+        } );
+
+        it( 'reports an empty list for random', async () => {
+            const services = makeServices( { themes: [] } );
+            const result = await handleThemeCommand( { args: 'random', services, context: makeContext() } );
+            expect( result.error ).toBe( 'No themes' );
+        } );
+
+        it( 'clears the theme', async () => {
+            const services = makeServices( { theme: 'Disco' } );
+            await handleThemeCommand( { args: 'clear', services, context: makeContext() } );
+            expect( services.themeService.clearCurrentTheme ).toHaveBeenCalled();
+        } );
+    } );
+
+    describe( 'add / remove', () => {
+        it( 'adds a theme idea', async () => {
+            const services = makeServices();
+            const result = await handleThemeCommand( { args: 'add Body parts', services, context: makeContext() } );
+            expect( result.success ).toBe( true );
+            expect( services.themeService.addTheme ).toHaveBeenCalledWith( 'Body parts' );
+        } );
+
+        it( 'reports duplicates', async () => {
+            const services = makeServices();
+            const result = await handleThemeCommand( { args: 'add Love', services, context: makeContext() } );
+            expect( result.error ).toBe( 'Theme already exists' );
+        } );
+
+        it( 'removes a theme idea', async () => {
+            const services = makeServices();
+            const result = await handleThemeCommand( { args: 'remove Love', services, context: makeContext() } );
+            expect( result.success ).toBe( true );
+        } );
+    } );
+
+    describe( 'schedule', () => {
+        it( 'adds a weekly schedule entry', async () => {
+            const services = makeServices();
+            const result = await handleThemeCommand( { args: 'schedule Fri 20:00 Disco Night', services, context: makeContext() } );
+            expect( result.success ).toBe( true );
+            expect( services.themeService.addSchedule ).toHaveBeenCalledWith( 'friday', '20:00', 'Disco Night' );
+        } );
+
+        it( 'rejects an invalid day or time', async () => {
+            const services = makeServices();
+            const result = await handleThemeCommand( { args: 'schedule someday 25:00 Disco', services, context: makeContext() } );
+            expect( result.error ).toBe( 'Invalid arguments' );
+            expect( services.themeService.addSchedule ).not.toHaveBeenCalled();
+        } );
+
+        it( 'lists schedule entries', async () => {
+            const services = makeServices();
+            services.themeService.addSchedule( 'friday', '20:00', 'Disco' );
+            const result = await handleThemeCommand( { args: 'schedule list', services, context: makeContext() } );
+            expect( result.response ).toContain( '1. Friday 20:00 — Disco' );
+        } );
+
+        it( 'removes a schedule entry by number', async () => {
+            const services = makeServices();
+            const result = await handleThemeCommand( { args: 'schedule remove 1', services, context: makeContext() } );
+            expect( result.success ).toBe( true );
+            const missing = await handleThemeCommand( { args: 'schedule remove 5', services, context: makeContext() } );
+            expect( missing.error ).toBe( 'Invalid schedule entry' );
+        } );
+    } );
+
+    describe( 'verdict', () => {
+        it( 'turns AI verdicts on', async () => {
+            const services = makeServices();
+            await handleThemeCommand( { args: 'verdict on', services, context: makeContext() } );
+            expect( services.themeService.setVerdictEnabled ).toHaveBeenCalledWith( true );
+        } );
+
+        it( 'shows the current verdict setting without an argument', async () => {
+            const services = makeServices();
+            const result = await handleThemeCommand( { args: 'verdict', services, context: makeContext() } );
+            expect( result.response ).toContain( '**off**' );
+            expect( services.themeService.setVerdictEnabled ).not.toHaveBeenCalled();
+        } );
+    } );
+
+    describe( 'unknown subcommand', () => {
+        it( 'returns usage text', async () => {
+            const services = makeServices();
+            const result = await handleThemeCommand( { args: 'blah', services, context: makeContext() } );
+            expect( result.error ).toBe( 'Unknown subcommand' );
+            expect( result.response ).toContain( 'theme schedule' );
+        } );
+    } );
+} );
@@ -25,7 +25,8 @@ describe( 'handleTokenCommand', () => {
                 getTokenList: jest.fn(),
                 setCustomToken: jest.fn(),
                 removeCustomToken: jest.fn(),
-                replaceTokens: jest.fn()
+                replaceTokens: jest.fn(),
+                setComputedToken: jest.fn()
             }
         };
     } );
@@ -246,6 +247,40 @@ describe( 'handleTokenCommand', () => {
             );
         } );
 
+        it( 'should add a computed token with a description', async () => {
+            mockServices.tokenService.setComputedToken.mockResolvedValue( { success: true, message: 'Token {artistPlays} added successfully' } );
+
+            const result = await handleTokenCommand( {
+                command: 'token',
+                args: 'compute artistPlays plays:artistName "Plays of the current artist"',
+                services: mockServices,
+                context: defaultContext,
+                responseChannel: 'public'
+            } );
+
+            expect( result.success ).toBe( true );
+            expect( mockServices.tokenService.setComputedToken ).toHaveBeenCalledWith( 'artistPlays', 'plays', 'artistName', 'Plays of the current artist' );
+        } );
+
+        it( 'should report an unknown computed token', async () => {
+            mockServices.tokenService.setComputedToken.mockResolvedValue( { success: false, error: 'Unknown computed token "nope"' } );
+
+            const result = await handleTokenCommand( {
+                command: 'token',
+                args: 'compute thing nope',
+                services: mockServices,
+                context: defaultContext,
+                responseChannel: 'public'
+            } );
+
+            expect( result.success ).toBe( false );
+            expect( mockServices.tokenService.setComputedToken ).toHaveBeenCalledWith( 'thing', 'nope', null, 'Computed from nope' );
+            expect( mockServices.messageService.sendResponse ).toHaveBeenCalledWith(
+                expect.stringContaining( 'Unknown computed token' ),
+                expect.any( Object )
+            );
+        } );
+
         it( 'should handle invalid subcommands', async () => {
             const result = await handleTokenCommand( {
                 command: 'token',
@@ -0,0 +1,66 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const handleTopCommand = require( '../../src/commands/General Commands/handleTopCommand' );
+
+function makeServices ( { available = true } = {} ) {
+    return {
+        messageService: { sendResponse: jest.fn().mockResolvedValue( undefined ) },
+        statsService: {
+            isAvailable: jest.fn().mockReturnValue( available ),
+            getTopDjs: jest.fn().mockReturnValue( [ { nickname: 'Alice', playCount: 12, likes: 30 } ] ),
+            getTopSongs: jest.fn().mockReturnValue( [ { track_name: 'Le Freak', artist_name: 'Chic', playCount: 4, likes: 9 } ] ),
+            getTopArtists: jest.fn().mockReturnValue( [] ),
+        },
+    };
+}
+
+const context = { sender: 'uuid-user', fullMessage: { isPrivateMessage: false } };
+
+describe( 'handleTopCommand', () => {
+    describe( 'metadata', () => {
+        it( 'has requiredRole USER', () => expect( handleTopCommand.requiredRole ).toBe( 'USER' ) );
+        it( 'has a description under 50 chars', () => expect( handleTopCommand.description.length ).toBeLessThanOrEqual( 50 ) );
+        it( 'has an example', () => expect( handleTopCommand.example ).toBeTruthy() );
+        it( 'is not hidden', () => expect( handleTopCommand.hidden ).toBe( false ) );
+    } );
+
+    it( 'shows all-time top DJs by default', async () => {
+        const services = makeServices();
+        const result = await handleTopCommand( { args: '', services, context } );
+        expect( result.success ).toBe( true );
+        expect( services.statsService.getTopDjs ).toHaveBeenCalledWith( 'all' );
+        expect( result.response ).toContain( 'Top DJs (All Time)' );
+        expect( result.response ).toContain( '1. **Alice** — 12 plays 👍 30' );
+    } );
+
+    it( 'shows top songs for a period', async () => {
+        const services = makeServices();
+        const result = await handleTopCommand( { args: 'songs week', services, context } );
+        expect( services.statsService.getTopSongs ).toHaveBeenCalledWith( 'week' );
+        expect( result.response ).toContain( '**Le Freak** by Chic — 4 plays' );
+    } );
+
+    it( 'handles empty leaderboards', async () => {
+        const services = makeServices();
+        const result = await handleTopCommand( { args: 'artists month', services, context } );
+        expect( result.response ).toContain( 'Top Artists (This Month)' );
+        expect( result.response ).toContain( 'No plays recorded yet' );
+    } );
+
+    it( 'returns usage for unknown categories or periods', async () => {
+        const services = makeServices();
+        const result = await handleTopCommand( { args: 'djs year', services, context } );
+        expect( result.error ).toBe( 'Unknown subcommand' );
+        expect( result.response ).toContain( 'top songs' );
+    } );
+
+    it( 'reports when stats are unavailable', async () => {
+        const services = makeServices( { available: false } );
+        const result = await handleTopCommand( { args: 'djs', services, context } );
+        expect( result.error ).toBe( 'Stats unavailable' );
+    } );
+} );
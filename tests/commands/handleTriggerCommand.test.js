@@ -257,6 +257,76 @@ describe( 'handleTriggerCommand', () => {
       );
     } );
 
+    it( 'should add a command with a condition and arguments', async () => {
+      mockServices.triggerService.addTriggerCommand.mockResolvedValue( {
+        success: true,
+        message: 'Added command "say Welcome newbie (if firstVisit)" to trigger "userJoined"',
+        currentCommands: [ 'say Welcome newbie (if firstVisit)' ]
+      } );
+
+      const result = await handleTriggerCommand( {
+        command: 'trigger',
+        args: 'add userJoined if firstVisit run `say Welcome newbie`',
+        services: mockServices,
+        context: defaultContext,
+        responseChannel: 'public'
+      } );
+
+      expect( result.success ).toBe( true );
+      expect( mockServices.triggerService.addTriggerCommand ).toHaveBeenCalledWith(
+        'userJoined', 'say', { args: 'Welcome newbie', condition: 'firstVisit' }
+      );
+    } );
+
+    it( 'should keep a regex condition intact', async () => {
+      mockServices.triggerService.addTriggerCommand.mockResolvedValue( { success: true, message: 'ok', currentCommands: [] } );
+
+      await handleTriggerCommand( {
+        command: 'trigger',
+        args: 'add newSong if artist matches /the beatles/i run intro',
+        services: mockServices,
+        context: defaultContext,
+        responseChannel: 'public'
+      } );
+
+      expect( mockServices.triggerService.addTriggerCommand ).toHaveBeenCalledWith(
+        'newSong', 'intro', { args: '', condition: 'artist matches /the beatles/i' }
+      );
+    } );
+
+    it( 'should ask for "run" after a condition', async () => {
+      const result = await handleTriggerCommand( {
+        command: 'trigger',
+        args: 'add newSong if artist matches /beatles/i intro',
+        services: mockServices,
+        context: defaultContext,
+        responseChannel: 'public'
+      } );
+
+      expect( result.success ).toBe( false );
+      expect( mockServices.triggerService.addTriggerCommand ).not.toHaveBeenCalled();
+      expect( mockServices.messageService.sendResponse ).toHaveBeenCalledWith(
+        expect.stringContaining( 'Put "run" between the condition and the command' ),
+        expect.any( Object )
+      );
+    } );
+
+    it( 'should show conditions in the list', async () => {
+      mockServices.triggerService.getAllTriggers.mockReturnValue( {
+        'newSong': [ 'intro', { command: 'intro', args: '', condition: 'artist matches /beatles/i' } ]
+      } );
+
+      const result = await handleTriggerCommand( {
+        command: 'trigger',
+        args: 'list',
+        services: mockServices,
+        context: defaultContext,
+        responseChannel: 'public'
+      } );
+
+      expect( result.response ).toContain( '• **newSong**: intro, intro (if artist matches /beatles/i)' );
+    } );
+
     it( 'should handle service errors gracefully', async () => {
       mockServices.triggerService.addTriggerCommand.mockRejectedValue( new Error( 'Service error' ) );
 
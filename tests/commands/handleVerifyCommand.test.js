@@ -0,0 +1,92 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const handleVerifyCommand = require( '../../src/commands/Moderator Commands/handleVerifyCommand' );
+
+const facts = {
+    track: { title: 'Le Freak', releaseDate: '1978-09-21', categories: [], wikidata: {} },
+    artist: { title: 'Chic', country: 'US', categories: [], wikidata: {} }
+};
+
+function makeServices ( verifyResult = { found: true, data: facts, hasFacts: true, cached: true, cachedAt: '2026-03-01 20:00:00' } ) {
+    return {
+        verificationService: {
+            verify: jest.fn().mockResolvedValue( verifyResult ),
+            getCacheStats: jest.fn().mockReturnValue( { ttlHours: 720, negativeTtlHours: 24, entries: 3, found: 2, hits: 1, expired: 0 } )
+        },
+        hangoutState: { nowPlaying: { song: { artistName: 'Chic', trackName: 'Le Freak' } } },
+        messageService: { sendResponse: jest.fn().mockResolvedValue( undefined ) }
+    };
+}
+
+const context = { sender: 'uuid-mod', fullMessage: { isPrivateMessage: false } };
+
+describe( 'handleVerifyCommand', () => {
+    describe( 'metadata', () => {
+        it( 'has requiredRole MODERATOR', () => expect( handleVerifyCommand.requiredRole ).toBe( 'MODERATOR' ) );
+        it( 'has a description under 50 chars', () => expect( handleVerifyCommand.description.length ).toBeLessThanOrEqual( 50 ) );
+        it( 'has an example', () => expect( handleVerifyCommand.example ).toBeTruthy() );
+    } );
+
+    it( 'shows what is known about the current song', async () => {
+        const services = makeServices();
+        const result = await handleVerifyCommand( { args: '', services, context } );
+        expect( services.verificationService.verify ).toHaveBeenCalledWith( 'Chic - Le Freak', { artist: 'Chic', track: 'Le Freak', refresh: false } );
+        expect( result.success ).toBe( true );
+        expect( result.response ).toContain( 'What I know about Le Freak by Chic' );
+        expect( result.response ).toContain( 'cached 2026-03-01 20:00:00 UTC' );
+        expect( result.response ).toContain( 'Release Date: 1978-09-21' );
+        expect( result.response ).toContain( 'Country: US' );
+    } );
+
+    it( 'looks up a given song again on refresh', async () => {
+        const services = makeServices( { found: true, data: facts, hasFacts: true } );
+        const result = await handleVerifyCommand( { args: 'refresh Sister Sledge - We Are Family', services, context } );
+        expect( services.verificationService.verify ).toHaveBeenCalledWith(
+            'Sister Sledge - We Are Family',
+            { artist: 'Sister Sledge', track: 'We Are Family', refresh: true }
+        );
+        expect( result.response ).toContain( 'just looked up' );
+    } );
+
+    it( 'says when nothing is known', async () => {
+        const services = makeServices( { found: true, data: { track: {}, artist: {} }, hasFacts: false } );
+        const result = await handleVerifyCommand( { args: 'Nobody - Nothing', services, context } );
+        expect( result.response ).toContain( "I don't know anything about Nothing by Nobody" );
+    } );
+
+    it( 'reports lookup errors', async () => {
+        const services = makeServices( { found: false, error: 'offline' } );
+        const result = await handleVerifyCommand( { args: 'Chic - Le Freak', services, context } );
+        expect( result.success ).toBe( false );
+        expect( result.error ).toBe( 'offline' );
+        expect( result.response ).toContain( 'offline' );
+    } );
+
+    it( 'needs a song when nothing is playing', async () => {
+        const services = makeServices();
+        services.hangoutState = {};
+        const result = await handleVerifyCommand( { args: '', services, context } );
+        expect( result.success ).toBe( false );
+        expect( result.response ).toContain( 'Nothing is playing' );
+        expect( services.verificationService.verify ).not.toHaveBeenCalled();
+    } );
+
+    it( 'shows cache stats', async () => {
+        const services = makeServices();
+        const result = await handleVerifyCommand( { args: 'stats', services, context } );
+        expect( result.response ).toContain( '720 hours' );
+        expect( result.response ).toContain( '3 songs cached, 2 with facts' );
+        expect( result.response ).not.toContain( 'Song library' );
+    } );
+
+    it( 'shows how much of the song library has metadata', async () => {
+        const services = makeServices();
+        services.songMetadataService = { getStats: jest.fn().mockReturnValue( { songs: 120, withMetadata: 80, verified: 64 } ) };
+        const result = await handleVerifyCommand( { args: 'stats', services, context } );
+        expect( result.response ).toContain( 'Song library: 120 songs, 80 with release year, album or genres, 64 verified' );
+    } );
+} );
@@ -90,7 +90,9 @@ describe( 'handleWhatyearCommand', () => {
             expect( result.response ).toContain( 'Bohemian Rhapsody' );
 
             expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
-                'In what year was the song Bohemian Rhapsody by Queen originally released?'
+                'In what year was the song Bohemian Rhapsody by Queen originally released?',
+                undefined,
+                expect.objectContaining( { command: 'whatyear' } )
             );
 
             expect( mockServices.messageService.sendResponse ).toHaveBeenCalledWith(
@@ -319,7 +321,9 @@ describe( 'handleWhatyearCommand', () => {
             expect( result.response ).toBe( '1971' );
 
             expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
-                'In what year was the song Imagine by John Lennon originally released?'
+                'In what year was the song Imagine by John Lennon originally released?',
+                undefined,
+                expect.objectContaining( { command: 'whatyear' } )
             );
         } );
 
@@ -336,7 +340,9 @@ describe( 'handleWhatyearCommand', () => {
             expect( result.success ).toBe( true );
 
             expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
-                'In what year was the song Bohemian Rhapsody by Queen originally released?'
+                'In what year was the song Bohemian Rhapsody by Queen originally released?',
+                undefined,
+                expect.objectContaining( { command: 'whatyear' } )
             );
         } );
     } );
@@ -0,0 +1,29 @@
+const message = require( '../../src/handlers/message' );
+
+describe( 'message handler', () => {
+  let services;
+
+  beforeEach( () => {
+    services = {
+      logger: { debug: jest.fn(), error: jest.fn() },
+      conversationService: { handleMessage: jest.fn().mockResolvedValue( null ) }
+    };
+  } );
+
+  test( 'passes chat messages to the conversation service', async () => {
+    const fullMessage = { isPrivateMessage: true };
+    await message( 'hello', 'uuid-alice', fullMessage, services );
+    expect( services.conversationService.handleMessage ).toHaveBeenCalledWith( 'hello', 'uuid-alice', fullMessage );
+  } );
+
+  test( 'ignores calls without a text message', async () => {
+    await message( { name: 'message' }, {}, services );
+    expect( services.conversationService.handleMessage ).not.toHaveBeenCalled();
+  } );
+
+  test( 'logs errors without throwing', async () => {
+    services.conversationService.handleMessage.mockRejectedValue( new Error( 'boom' ) );
+    await expect( message( 'hello', 'uuid-alice', {}, services ) ).resolves.toBeUndefined();
+    expect( services.logger.error ).toHaveBeenCalledWith( expect.stringContaining( 'boom' ) );
+  } );
+} );
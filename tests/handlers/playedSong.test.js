@@ -882,4 +882,229 @@ describe( 'playedSong handler', () => {
       expect( services.hangSocketServices.removeDj ).not.toHaveBeenCalled();
     } );
   } );
+
+  describe( 'play limits', () => {
+    const PlayLimitService = require( '../../src/services/playLimitService' );
+
+    const songMessage = ( djUuid ) => ( {
+      statePatch: [
+        { op: 'replace', path: '/djs/0/uuid', value: djUuid },
+        { op: 'replace', path: '/nowPlaying/song/artistName', value: 'Artist' },
+        { op: 'replace', path: '/nowPlaying/song/trackName', value: `Track ${ Math.random() }` },
+        { op: 'replace', path: '/nowPlaying/song/songShortId', value: 'short' }
+      ]
+    } );
+
+    beforeEach( () => {
+      services.hangSocketServices.removeDj = jest.fn().mockResolvedValue();
+      services.hangoutState.djs = [ { uuid: 'dj-a' }, { uuid: 'dj-b' }, { uuid: 'dj-c' } ];
+      services.dataService.getValue.mockImplementation( ( key ) =>
+        key === 'playLimit.tiers' ? [ { minDjs: 3, limit: 1 } ] : null
+      );
+      services.playLimitService = new PlayLimitService( services );
+    } );
+
+    test( 'warns the DJ on their last song', async () => {
+      await playedSong( songMessage( 'dj-a' ), {}, services );
+
+      expect( services.messageService.sendGroupMessage ).toHaveBeenCalledWith(
+        expect.stringContaining( '<@uid:dj-a> this is your last song (1/1)' ),
+        { services }
+      );
+      expect( services.hangSocketServices.removeDj ).not.toHaveBeenCalled();
+    } );
+
+    test( 'removes the DJ once their last song has finished', async () => {
+      await playedSong( songMessage( 'dj-a' ), {}, services );
+      await playedSong( songMessage( 'dj-b' ), {}, services );
+
+      expect( services.hangSocketServices.removeDj ).toHaveBeenCalledTimes( 1 );
+      expect( services.hangSocketServices.removeDj ).toHaveBeenCalledWith( services.socket, 'dj-a' );
+      expect( services.messageService.sendGroupMessage ).toHaveBeenCalledWith(
+        expect.stringContaining( 'reached the play limit' ),
+        { services }
+      );
+    } );
+
+    test( 'does not enforce limits when the room is under the threshold', async () => {
+      services.hangoutState.djs = [ { uuid: 'dj-a' }, { uuid: 'dj-b' } ];
+
+      await playedSong( songMessage( 'dj-a' ), {}, services );
+      await playedSong( songMessage( 'dj-b' ), {}, services );
+
+      expect( services.hangSocketServices.removeDj ).not.toHaveBeenCalled();
+    } );
+
+    test( 'does not remove exempt DJs', async () => {
+      services.playLimitService.setExempt( 'dj-a' );
+
+      await playedSong( songMessage( 'dj-a' ), {}, services );
+      await playedSong( songMessage( 'dj-b' ), {}, services );
+
+      expect( services.hangSocketServices.removeDj ).not.toHaveBeenCalledWith( services.socket, 'dj-a' );
+    } );
+  } );
+
+  describe( 'repeat plays', () => {
+    const songMessage = {
+      statePatch: [
+        { op: 'replace', path: '/djs/0/uuid', value: 'dj-a' },
+        { op: 'replace', path: '/nowPlaying/song/artistName', value: 'Chic' },
+        { op: 'replace', path: '/nowPlaying/song/trackName', value: 'Le Freak' },
+        { op: 'replace', path: '/nowPlaying/song/songShortId', value: 'short-1' }
+      ]
+    };
+
+    beforeEach( () => {
+      services.databaseService = {
+        initialized: true,
+        upsertSong: jest.fn(),
+        recordSongPlay: jest.fn()
+      };
+      services.repeatPlayService = {
+        checkPlayedSong: jest.fn().mockResolvedValue( null )
+      };
+    } );
+
+    test( 'checks for a repeat before the play is recorded', async () => {
+      services.repeatPlayService.checkPlayedSong.mockImplementation( async () => {
+        expect( services.databaseService.recordSongPlay ).not.toHaveBeenCalled();
+        return 'warned';
+      } );
+
+      await playedSong( songMessage, {}, services );
+
+      expect( services.repeatPlayService.checkPlayedSong ).toHaveBeenCalledWith(
+        expect.objectContaining( { djUuid: 'dj-a', artistName: 'Chic', trackName: 'Le Freak', songId: 'short-1' } )
+      );
+      expect( services.databaseService.recordSongPlay ).toHaveBeenCalled();
+    } );
+
+    test( 'keeps processing the song if the repeat check fails', async () => {
+      services.repeatPlayService.checkPlayedSong.mockRejectedValue( new Error( 'db locked' ) );
+
+      await playedSong( songMessage, {}, services );
+
+      expect( services.logger.error ).toHaveBeenCalledWith( expect.stringContaining( 'Failed to check for repeat play: db locked' ) );
+      expect( services.databaseService.recordSongPlay ).toHaveBeenCalled();
+    } );
+  } );
+
+  describe( 'song metadata', () => {
+    const songMessage = {
+      statePatch: [
+        { op: 'replace', path: '/djs/0/uuid', value: 'dj-a' },
+        { op: 'replace', path: '/nowPlaying/song/artistName', value: 'Chic' },
+        { op: 'replace', path: '/nowPlaying/song/trackName', value: 'Le Freak' },
+        { op: 'replace', path: '/nowPlaying/song/songShortId', value: 'short-1' }
+      ]
+    };
+
+    beforeEach( () => {
+      services.databaseService = {
+        initialized: true,
+        upsertSong: jest.fn(),
+        recordSongPlay: jest.fn()
+      };
+      services.songMetadataService = {
+        enrichSong: jest.fn().mockResolvedValue( null )
+      };
+    } );
+
+    test( 'enriches the song once the play is recorded', async () => {
+      const nowPlayingSong = { artistName: 'Chic', trackName: 'Le Freak', songShortId: 'short-1', albumName: 'C\'est Chic' };
+      services.hangoutState = { nowPlaying: { song: nowPlayingSong } };
+
+      await playedSong( songMessage, {}, services );
+
+      expect( services.songMetadataService.enrichSong ).toHaveBeenCalledWith( {
+        songId: 'short-1',
+        artistName: 'Chic',
+        trackName: 'Le Freak',
+        song: nowPlayingSong
+      } );
+    } );
+
+    test( 'logs enrichment failures without stopping the handler', async () => {
+      services.songMetadataService.enrichSong.mockRejectedValue( new Error( 'offline' ) );
+
+      await playedSong( songMessage, {}, services );
+      await Promise.resolve();
+
+      expect( services.logger.error ).toHaveBeenCalledWith( expect.stringContaining( 'Failed to enrich song metadata: offline' ) );
+    } );
+  } );
+
+  describe( 'songs replayed after a reconnect', () => {
+    const PlayLimitService = require( '../../src/services/playLimitService' );
+
+    const replayedSong = {
+      name: 'playedSong',
+      synthetic: true,
+      statePatch: [ {
+        op: 'replace',
+        path: '/nowPlaying',
+        value: { playId: 'play-2', song: { artistName: 'Chic', trackName: 'Le Freak', songShortId: 'short-1' } }
+      } ]
+    };
+
+    beforeEach( () => {
+      services.hangoutState = {
+        djs: [ { uuid: 'dj-a' }, { uuid: 'dj-b' }, { uuid: 'dj-c' } ],
+        nowPlaying: replayedSong.statePatch[ 0 ].value,
+        voteCounts: { likes: 4, dislikes: 0, stars: 1 }
+      };
+      services.databaseService = { initialized: true, upsertSong: jest.fn(), recordSongPlay: jest.fn() };
+      services.repeatPlayService = { checkPlayedSong: jest.fn().mockResolvedValue( null ) };
+      services.songMetadataService = { enrichSong: jest.fn().mockResolvedValue( null ) };
+      services.themeService = { judgeSong: jest.fn().mockResolvedValue( null ) };
+      services.hangSocketServices.removeDj = jest.fn().mockResolvedValue();
+      services.dataService.getValue.mockImplementation( ( key ) =>
+        key === 'playLimit.tiers' ? [ { minDjs: 3, limit: 1 } ] : null
+      );
+      services.playLimitService = new PlayLimitService( services );
+      global.previousPlayedSong = {
+        djUuid: 'dj-b', artistName: 'Sister Sledge', trackName: 'We Are Family', voteCounts: { likes: 2, dislikes: 0, stars: 0 }
+      };
+    } );
+
+    test( 'announces the song', async () => {
+      await playedSong( replayedSong, {}, services );
+
+      expect( services.messageService.sendGroupMessage ).toHaveBeenCalledWith( '<@uid:dj-a> is now playing Le Freak by Chic', { services } );
+    } );
+
+    test( 'does not record, check or judge it', async () => {
+      await playedSong( replayedSong, {}, services );
+
+      expect( services.repeatPlayService.checkPlayedSong ).not.toHaveBeenCalled();
+      expect( services.databaseService.recordSongPlay ).not.toHaveBeenCalled();
+      expect( services.songMetadataService.enrichSong ).not.toHaveBeenCalled();
+      expect( services.themeService.judgeSong ).not.toHaveBeenCalled();
+    } );
+
+    test( 'does not count it against the play limit', async () => {
+      await playedSong( replayedSong, {}, services );
+
+      expect( services.playLimitService.getPlayCount( 'dj-a' ) ).toBe( 0 );
+      expect( services.messageService.sendGroupMessage ).not.toHaveBeenCalledWith( expect.stringContaining( 'last song' ), { services } );
+      expect( services.hangSocketServices.removeDj ).not.toHaveBeenCalled();
+    } );
+
+    test( 'does not announce the missed end of the previous song', async () => {
+      await playedSong( replayedSong, {}, services );
+
+      expect( services.messageService.sendGroupMessage ).not.toHaveBeenCalledWith( expect.stringContaining( 'We Are Family' ), expect.anything() );
+    } );
+
+    test( 'keeps the room\'s vote counts for the song', async () => {
+      await playedSong( replayedSong, {}, services );
+
+      expect( global.previousPlayedSong ).toEqual( expect.objectContaining( {
+        trackName: 'Le Freak',
+        voteCounts: { likes: 4, dislikes: 0, stars: 1 }
+      } ) );
+      expect( services.hangoutState.voteCounts ).toEqual( { likes: 4, dislikes: 0, stars: 1 } );
+    } );
+  } );
 } );
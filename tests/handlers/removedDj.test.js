@@ -88,4 +88,16 @@ describe( 'removedDj handler', () => {
         removedDj( message, {}, services );
         expect( services.afkService.recordActivity ).toHaveBeenCalledWith( 'user-999', 'leftDecks' );
     } );
+
+    it( 'pings the next queued user when a spot opens', () => {
+        services.djQueueService = { notifyNext: jest.fn().mockResolvedValue( null ) };
+        const message = {
+            statePatch: [
+                { op: 'remove', path: '/djs/0' },
+                { op: 'add', path: '/audienceUsers/0', value: { uuid: 'user-123' } },
+            ],
+        };
+        removedDj( message, {}, services );
+        expect( services.djQueueService.notifyNext ).toHaveBeenCalled();
+    } );
 } );
@@ -88,6 +88,77 @@ describe( 'updatedNextSong handler', () => {
         expect( () => updatedNextSong( makeFieldLevelMessage( 0 ), {}, services ) ).not.toThrow();
     } );
 
+    describe( 'repeat play checks', () => {
+        beforeEach( () => {
+            services.repeatPlayService = { checkNextSong: jest.fn().mockResolvedValue( null ) };
+        } );
+
+        test( 'checks a song queued by field-level patches', () => {
+            updatedNextSong( makeFieldLevelMessage( 0 ), {}, services );
+            expect( services.repeatPlayService.checkNextSong ).toHaveBeenCalledWith(
+                uuid,
+                { songId: '999', artistName: 'Fatboy Slim', trackName: 'Right Here, Right Now' }
+            );
+        } );
+
+        test( 'checks a song from a whole-object replace, ignoring visibleDjs', () => {
+            updatedNextSong( makeAutoAdvanceMessage( 0 ), {}, services );
+            expect( services.repeatPlayService.checkNextSong ).toHaveBeenCalledTimes( 1 );
+            expect( services.repeatPlayService.checkNextSong ).toHaveBeenCalledWith(
+                uuid,
+                { songId: '123', artistName: 'U2', trackName: 'One' }
+            );
+        } );
+
+        test( 'skips patches without artist and track', () => {
+            const message = { statePatch: [ { op: 'replace', path: '/djs/0/nextSong/songId', value: '1' } ] };
+            updatedNextSong( message, {}, services );
+            expect( services.repeatPlayService.checkNextSong ).not.toHaveBeenCalled();
+        } );
+
+        test( 'still checks repeats when afkService is absent', () => {
+            delete services.afkService;
+            updatedNextSong( makeFieldLevelMessage( 0 ), {}, services );
+            expect( services.repeatPlayService.checkNextSong ).toHaveBeenCalled();
+        } );
+
+        test( 'logs failed checks without throwing', async () => {
+            services.repeatPlayService.checkNextSong.mockRejectedValue( new Error( 'boom' ) );
+            updatedNextSong( makeFieldLevelMessage( 0 ), {}, services );
+            await new Promise( resolve => setImmediate( resolve ) );
+            expect( services.logger.error ).toHaveBeenCalledWith( expect.stringContaining( 'repeat check failed - boom' ) );
+        } );
+    } );
+
+    describe( 'verification pre-warm', () => {
+        beforeEach( () => {
+            services.verificationService = { prewarm: jest.fn().mockResolvedValue( true ) };
+        } );
+
+        test( 'looks up queued songs in the background', () => {
+            updatedNextSong( makeFieldLevelMessage( 0 ), {}, services );
+            expect( services.verificationService.prewarm ).toHaveBeenCalledWith( 'Fatboy Slim', 'Right Here, Right Now' );
+        } );
+
+        test( 'looks up songs on automatic advance too', () => {
+            updatedNextSong( makeAutoAdvanceMessage( 0 ), {}, services );
+            expect( services.verificationService.prewarm ).toHaveBeenCalledWith( 'U2', 'One' );
+        } );
+
+        test( 'skips patches without artist and track', () => {
+            const message = { statePatch: [ { op: 'replace', path: '/djs/0/nextSong/songId', value: '1' } ] };
+            updatedNextSong( message, {}, services );
+            expect( services.verificationService.prewarm ).not.toHaveBeenCalled();
+        } );
+
+        test( 'logs failed lookups without throwing', async () => {
+            services.verificationService.prewarm.mockRejectedValue( new Error( 'offline' ) );
+            updatedNextSong( makeFieldLevelMessage( 0 ), {}, services );
+            await new Promise( resolve => setImmediate( resolve ) );
+            expect( services.logger.error ).toHaveBeenCalledWith( expect.stringContaining( 'verification pre-warm failed - offline' ) );
+        } );
+    } );
+
     test( 'does nothing when stateService is absent', () => {
         delete services.stateService;
         expect( () => updatedNextSong( makeFieldLevelMessage( 0 ), {}, services ) ).not.toThrow();
@@ -246,6 +246,25 @@ describe( 'userJoined handler', () => {
         expect( services.logger.debug ).toHaveBeenCalledWith( 'Welcome message feature is disabled, skipping welcome message' );
     } );
 
+    it( 'should not greet a user whose join was missed while disconnected', async () => {
+        const executeTrigger = jest.fn().mockResolvedValue( {} );
+        const message = {
+            name: 'userJoined',
+            synthetic: true,
+            statePatch: [ {
+                op: 'add',
+                path: '/allUserData/123-456',
+                value: { userProfile: { nickname: 'TestUser' } }
+            } ]
+        };
+
+        await userJoined( message, {}, { ...services, triggerService: { executeTrigger } } );
+
+        expect( services.messageService.sendGroupMessage ).not.toHaveBeenCalled();
+        expect( executeTrigger ).not.toHaveBeenCalled();
+        expect( services.afkService.addUser ).toHaveBeenCalledWith( '123-456', 'TestUser' );
+    } );
+
     describe( 'per-user personalized welcome', () => {
         const mockUuid = 'a1b2c3d4-e5f6-7890-abcd-ef1234567890';
         const baseMessage = {
@@ -358,4 +377,40 @@ describe( 'userJoined handler', () => {
             await expect( userJoined( message, {}, servicesWithoutAfk ) ).resolves.not.toThrow();
         } );
     } );
+    describe( 'userJoined trigger', () => {
+        const uuid = 'tr-1g-00-00-000000000001';
+        const message = {
+            statePatch: [ {
+                op: 'add',
+                path: `/allUserData/${ uuid }`,
+                value: { userProfile: { nickname: 'Newbie' } }
+            } ]
+        };
+
+        it( 'should fire with firstVisit when the user is new to the database', async () => {
+            const executeTrigger = jest.fn().mockResolvedValue( {} );
+            const triggerServices = {
+                ...services,
+                triggerService: { executeTrigger },
+                databaseService: { initialized: true, insertOrUpdateDjNickname: jest.fn().mockReturnValue( { action: 'inserted' } ) }
+            };
+
+            await userJoined( message, {}, triggerServices );
+
+            expect( executeTrigger ).toHaveBeenCalledWith( 'userJoined', {
+                eventData: { userUuid: uuid, nickname: 'Newbie', firstVisit: true, triggerType: 'userJoined' }
+            } );
+        } );
+
+        it( 'should still fire when welcome messages are turned off', async () => {
+            services.featuresService.isFeatureEnabled.mockReturnValue( false );
+            const executeTrigger = jest.fn().mockResolvedValue( {} );
+
+            await userJoined( message, {}, { ...services, triggerService: { executeTrigger } } );
+
+            expect( executeTrigger ).toHaveBeenCalledWith( 'userJoined', expect.objectContaining( {
+                eventData: expect.objectContaining( { firstVisit: false } )
+            } ) );
+        } );
+    } );
 } );
@@ -237,4 +237,12 @@ describe( 'userLeft handler', () => {
       await expect( userLeft( mockMessage, mockState, servicesWithoutAfk ) ).resolves.not.toThrow();
     } );
   } );
-} );
\ No newline at end of file
+
+  describe( 'djQueueService integration', () => {
+    test( 'should start the queue grace period for the user who left', async () => {
+      mockServices.djQueueService = { markLeft: jest.fn() };
+      await userLeft( mockMessage, mockState, mockServices );
+      expect( mockServices.djQueueService.markLeft ).toHaveBeenCalledWith( 'user-123' );
+    } );
+  } );
+} );
@@ -48,4 +48,30 @@ describe( 'votedOnSong handler', () => {
             stars: 2
         } );
     } );
+    test( 'should fire songLiked with the counts from before the vote', () => {
+        services.triggerService = { executeTrigger: jest.fn().mockResolvedValue( {} ) };
+        global.previousPlayedSong = {
+            djUuid: 'test-dj',
+            artistName: 'Test Artist',
+            trackName: 'Test Song',
+            voteCounts: { likes: 4, dislikes: 0, stars: 1 }
+        };
+
+        votedOnSong( { statePatch: [ { op: 'replace', path: '/voteCounts/likes', value: 5 } ] }, {}, services );
+
+        expect( services.triggerService.executeTrigger ).toHaveBeenCalledTimes( 1 );
+        expect( services.triggerService.executeTrigger ).toHaveBeenCalledWith( 'songLiked', {
+            eventData: expect.objectContaining( { likes: 5, stars: 1, artistName: 'Test Artist', djUuid: 'test-dj' } ),
+            previousEventData: { likes: 4, dislikes: 0, stars: 1 }
+        } );
+    } );
+
+    test( 'should not fire songLiked when a like is taken away', () => {
+        services.triggerService = { executeTrigger: jest.fn().mockResolvedValue( {} ) };
+        global.previousPlayedSong = { voteCounts: { likes: 4, dislikes: 0, stars: 0 } };
+
+        votedOnSong( { statePatch: [ { op: 'replace', path: '/voteCounts/likes', value: 3 } ] }, {}, services );
+
+        expect( services.triggerService.executeTrigger ).not.toHaveBeenCalled();
+    } );
 } );
\ No newline at end of file
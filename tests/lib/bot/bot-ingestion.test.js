@@ -0,0 +1,191 @@
+// Mock ttfm-socket
+jest.mock( 'ttfm-socket', () => ( {
+  SocketClient: jest.fn(),
+  ServerMessageName: {},
+  StatefulServerMessageName: {},
+  StatelessServerMessageName: {}
+} ), { virtual: true } );
+
+jest.mock( 'fs', () => ( {
+  promises: {
+    appendFile: jest.fn()
+  }
+} ) );
+
+const { Bot } = require( '../../../src/lib/bot' );
+
+describe( 'Bot - Message Ingestion', () => {
+  let bot;
+  let mockServices;
+
+  function groupMessage ( id, text, sender = 'user-1' ) {
+    return { id, receiver: 'test-hangout', receiverType: 'group', sender: { uid: sender }, sentAt: 1772395200, data: { text } };
+  }
+
+  function privateMessage ( id, text, sender = 'user-1' ) {
+    return { id, receiver: 'bot-123', receiverType: 'user', sender: { uid: sender }, sentAt: 1772395200, data: { text } };
+  }
+
+  beforeEach( () => {
+    jest.clearAllMocks();
+
+    mockServices = {
+      logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      config: {
+        HANGOUT_ID: 'test-hangout',
+        BOT_USER_TOKEN: 'test-token',
+        BOT_UID: 'bot-123',
+        SOCKET_MESSAGE_LOG_LEVEL: 'OFF'
+      },
+      messageService: {
+        formatGroupMessage: jest.fn( msg => ( { id: msg.id, text: msg.data.text, sender: msg.sender.uid, sentAt: msg.sentAt, updatedAt: msg.updatedAt, data: msg.data } ) ),
+        filterMessagesForCommands: jest.fn( messages => messages.filter( msg => msg.text.startsWith( '!' ) ) )
+      },
+      privateMessageService: {
+        simplifyPrivateMessage: jest.fn( msg => ( { id: msg.id, text: msg.data.text, sender: msg.sender.uid, sentAt: msg.sentAt } ) ),
+        fetchNewPrivateUserMessages: jest.fn().mockResolvedValue( [] )
+      },
+      stateService: {
+        _getAllUsers: jest.fn( () => [ { uuid: 'bot-123' }, { uuid: 'user-1' } ] )
+      },
+      afkService: { recordActivity: jest.fn() },
+      updateLastMessageId: jest.fn(),
+      setState: jest.fn()
+    };
+
+    bot = new Bot( 'test-slug', mockServices );
+    jest.spyOn( bot, '_processSingleMessage' ).mockResolvedValue();
+  } );
+
+  describe( '_receivePushedMessage', () => {
+    it( 'queues pushed hangout commands and moves the public message tracking on', async () => {
+      await bot._receivePushedMessage( groupMessage( '501', '!ping' ), false );
+
+      expect( bot._processSingleMessage ).toHaveBeenCalledWith( expect.objectContaining( { id: '501', text: '!ping', updatedAt: 1772395200 } ) );
+      expect( bot.lastMessageIDs.id ).toBe( 501 );
+      expect( mockServices.updateLastMessageId ).toHaveBeenCalledWith( 501, 1772395200 );
+      expect( mockServices.afkService.recordActivity ).toHaveBeenCalledWith( 'user-1', 'chat' );
+    } );
+
+    it( 'records chat but does not queue pushed messages that are not commands', async () => {
+      await bot._receivePushedMessage( groupMessage( '502', 'hello' ), false );
+
+      expect( bot._processSingleMessage ).not.toHaveBeenCalled();
+      expect( mockServices.afkService.recordActivity ).toHaveBeenCalledWith( 'user-1', 'chat' );
+    } );
+
+    it( 'ignores pushed messages for other groups', async () => {
+      await bot._receivePushedMessage( { ...groupMessage( '503', '!ping' ), receiver: 'another-hangout' }, false );
+
+      expect( bot._processSingleMessage ).not.toHaveBeenCalled();
+      expect( mockServices.updateLastMessageId ).not.toHaveBeenCalled();
+    } );
+
+    it( 'queues private messages from users in the hangout', async () => {
+      await bot._receivePushedMessage( privateMessage( '601', 'help' ), true );
+
+      expect( bot._processSingleMessage ).toHaveBeenCalledWith( {
+        id: '601',
+        sentAt: 1772395200,
+        sender: 'user-1',
+        data: { metadata: { chatMessage: { message: 'help', userUuid: 'user-1' } } },
+        isPrivateMessage: true,
+        recipientUUID: 'user-1'
+      } );
+    } );
+
+    it( 'moves the private message tracking on before the message is handled', async () => {
+      let trackingWhenHandled;
+      bot._processSingleMessage.mockImplementation( async () => {
+        trackingWhenHandled = { ...bot.lastPrivateMessageTracking[ 'user-1' ] };
+      } );
+
+      await bot._receivePushedMessage( privateMessage( '603', 'help' ), true );
+
+      expect( trackingWhenHandled ).toEqual( { lastMessageId: '603', lastTimestamp: 1772395200 } );
+      expect( mockServices.setState ).toHaveBeenCalledWith( 'lastPrivateMessageTracking', expect.objectContaining( {
+        'user-1': { lastMessageId: '603', lastTimestamp: 1772395200 }
+      } ) );
+    } );
+
+    it( 'polls for private messages after the last pushed one', async () => {
+      await bot._receivePushedMessage( privateMessage( '604', 'help' ), true );
+
+      await bot._fetchMessagesBatchForUser( 'user-1' );
+
+      expect( mockServices.privateMessageService.fetchNewPrivateUserMessages ).toHaveBeenCalledWith( 'user-1', expect.objectContaining( {
+        lastMessageId: '604',
+        lastTimestamp: 1772395200
+      } ) );
+    } );
+
+    it( 'drops a pushed private message that was the last one handled', async () => {
+      bot.lastPrivateMessageTracking[ 'user-1' ] = { lastMessageId: '605', lastTimestamp: 1772395200 };
+
+      await bot._receivePushedMessage( privateMessage( '605', 'help' ), true );
+
+      expect( bot._processSingleMessage ).not.toHaveBeenCalled();
+    } );
+
+    it( 'ignores private messages from users not in the hangout', async () => {
+      await bot._receivePushedMessage( privateMessage( '602', 'help', 'stranger' ), true );
+
+      expect( bot._processSingleMessage ).not.toHaveBeenCalled();
+    } );
+
+    it( 'handles a message only once when polling also finds it', async () => {
+      await bot._receivePushedMessage( groupMessage( '504', '!ping' ), false );
+      await bot._processMessageBatch( [ { id: '504', text: '!ping' }, { id: '505', text: '!pong' } ] );
+
+      expect( bot._processSingleMessage ).toHaveBeenCalledTimes( 2 );
+      expect( bot._processSingleMessage ).toHaveBeenLastCalledWith( { id: '505', text: '!pong' } );
+    } );
+
+    it( 'logs rather than throws when a pushed message cannot be read', async () => {
+      await expect( bot._receivePushedMessage( { id: '700', receiverType: 'group' }, false ) ).resolves.toBeUndefined();
+
+      expect( mockServices.logger.error ).toHaveBeenCalledWith( expect.stringContaining( 'Error handling pushed message 700' ) );
+    } );
+  } );
+
+  describe( '_onPushConnectionChange', () => {
+    it( 'polls once to catch up when push connects', async () => {
+      bot.processNewPublicMessages = jest.fn().mockResolvedValue();
+      bot.processNewPrivateMessages = jest.fn().mockResolvedValue();
+
+      await bot._onPushConnectionChange( true );
+
+      expect( bot.processNewPublicMessages ).toHaveBeenCalled();
+      expect( bot.processNewPrivateMessages ).toHaveBeenCalled();
+    } );
+
+    it( 'leaves polling to take over when push drops', async () => {
+      bot.processNewPublicMessages = jest.fn();
+
+      await bot._onPushConnectionChange( false );
+
+      expect( bot.processNewPublicMessages ).not.toHaveBeenCalled();
+      expect( mockServices.logger.warn ).toHaveBeenCalledWith( expect.stringContaining( 'polling until they reconnect' ) );
+    } );
+  } );
+
+  describe( 'getIngestionStatus', () => {
+    it( 'reports polling until push connects', async () => {
+      await bot._processMessageBatch( [ { id: '1' } ] );
+
+      expect( bot.isPushConnected() ).toBe( false );
+      expect( bot.getIngestionStatus() ).toEqual( expect.objectContaining( {
+        transport: 'polling',
+        pushEnabled: false,
+        processed: 1,
+        sources: { poll: expect.objectContaining( { received: 1, duplicates: 0 } ) }
+      } ) );
+    } );
+
+    it( 'reports push while the transport is connected', () => {
+      bot.pushTransport = { started: true, connected: true };
+
+      expect( bot.getIngestionStatus() ).toEqual( expect.objectContaining( { transport: 'push', pushEnabled: true } ) );
+    } );
+  } );
+} );
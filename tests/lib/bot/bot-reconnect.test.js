@@ -0,0 +1,209 @@
+// Mock ttfm-socket
+jest.mock( 'ttfm-socket', () => ( {
+  SocketClient: jest.fn(),
+  ServerMessageName: {},
+  StatefulServerMessageName: {},
+  StatelessServerMessageName: {}
+} ), { virtual: true } );
+
+jest.mock( 'fs', () => ( {
+  promises: {
+    appendFile: jest.fn()
+  }
+} ) );
+
+const mockHandlers = {
+  userJoined: jest.fn(),
+  userLeft: jest.fn(),
+  playedSong: jest.fn()
+};
+jest.mock( '../../../src/handlers', () => mockHandlers );
+
+const { Bot } = require( '../../../src/lib/bot' );
+
+describe( 'Bot - Reconnect', () => {
+  let bot;
+  let mockServices;
+  let previousState;
+  let currentState;
+
+  beforeEach( () => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+
+    previousState = {
+      allUserData: {
+        'bot-123': { userProfile: { nickname: 'Bot' } },
+        'user-1': { userProfile: { nickname: 'Stays' } },
+        'user-2': { userProfile: { nickname: 'Leaves' } }
+      },
+      djs: [],
+      nowPlaying: { playId: 'play-1', song: { artistName: 'Chic', trackName: 'Le Freak' } }
+    };
+    currentState = {
+      allUserData: {
+        'bot-123': { userProfile: { nickname: 'Bot' } },
+        'user-1': { userProfile: { nickname: 'Stays' } },
+        'user-3': { userProfile: { nickname: 'Arrives' } }
+      },
+      djs: [ { uuid: 'user-1' } ],
+      nowPlaying: { playId: 'play-2', song: { artistName: 'Sister Sledge', trackName: 'We Are Family' } }
+    };
+
+    mockServices = {
+      logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      config: {
+        HANGOUT_ID: 'test-hangout',
+        BOT_USER_TOKEN: 'test-token',
+        BOT_UID: 'bot-123',
+        SOCKET_MESSAGE_LOG_LEVEL: 'OFF'
+      },
+      afkService: { addUser: jest.fn(), recordActivity: jest.fn() },
+      stateService: {
+        _getDjs: jest.fn( () => mockServices.hangoutState.djs ),
+        _getAllUsers: jest.fn( () => Object.keys( mockServices.hangoutState.allUserData ).map( uuid => ( { uuid } ) ) )
+      },
+      privateMessageService: { returnLastUserMessage: jest.fn().mockResolvedValue( null ) },
+      setState: jest.fn(),
+      hangoutState: previousState
+    };
+
+    bot = new Bot( 'test-slug', mockServices );
+    bot.socket = {
+      on: jest.fn(),
+      joinRoom: jest.fn().mockResolvedValue( { state: currentState } )
+    };
+    bot.state = previousState;
+  } );
+
+  afterEach( () => {
+    bot.reconnectManager?.stop();
+    jest.useRealTimers();
+  } );
+
+  describe( '_resyncAfterReconnect', () => {
+    it( 'rejoins the room and reseeds what was built from the initial state', async () => {
+      bot.lastPrivateMessageTracking = { 'user-1': { lastMessageId: 'msg-1', lastTimestamp: 100 } };
+
+      await bot._resyncAfterReconnect();
+
+      expect( bot.socket.joinRoom ).toHaveBeenCalledWith( 'test-token', { roomUuid: 'test-hangout' } );
+      expect( bot.state ).toBe( currentState );
+      expect( mockServices.hangoutState ).toBe( currentState );
+      expect( mockServices.afkService.addUser ).toHaveBeenCalledWith( 'user-3', 'Arrives' );
+      expect( mockServices.afkService.recordActivity ).toHaveBeenCalledWith( 'user-1', 'joinedDecks' );
+      expect( mockServices.privateMessageService.returnLastUserMessage ).toHaveBeenCalledWith( 'user-3' );
+      expect( mockServices.privateMessageService.returnLastUserMessage ).not.toHaveBeenCalledWith( 'user-1' );
+    } );
+
+    it( 'does not leave the join timeout running', async () => {
+      await bot._resyncAfterReconnect();
+
+      expect( jest.getTimerCount() ).toBe( 0 );
+    } );
+
+    it( 'gives up on a rejoin that never answers', async () => {
+      bot.socket.joinRoom.mockReturnValue( new Promise( () => { } ) );
+
+      const resync = bot._resyncAfterReconnect();
+      jest.advanceTimersByTime( 60 * 1000 );
+
+      await expect( resync ).rejects.toThrow( 'Socket join room timeout after 60 seconds' );
+      expect( bot.state ).toBe( previousState );
+    } );
+
+    it( 'applies patches that arrived during the rejoin', async () => {
+      bot._setupStatefulMessageListener();
+      const statefulHandler = bot.socket.on.mock.calls.find( call => call[ 0 ] === 'statefulMessage' )[ 1 ];
+      bot.socket.joinRoom.mockImplementation( async () => {
+        await statefulHandler( { name: 'votedOnSong', statePatch: [ { op: 'add', path: '/voteCounts', value: { likes: 3 } } ] } );
+        return { state: currentState };
+      } );
+
+      await bot._resyncAfterReconnect();
+
+      expect( bot.state.voteCounts ).toEqual( { likes: 3 } );
+      expect( bot.deferredPatches ).toEqual( [] );
+      expect( bot._isInitialConnection ).toBe( false );
+    } );
+
+    it( 'fires the events missed while disconnected', async () => {
+      const missed = await bot._resyncAfterReconnect();
+
+      expect( missed ).toEqual( { joined: 1, left: 1, songs: 1 } );
+      expect( mockHandlers.userLeft ).toHaveBeenCalledWith(
+        { name: 'userLeft', synthetic: true, statePatch: [ { op: 'remove', path: '/allUserData/user-2' } ] },
+        currentState,
+        mockServices
+      );
+      expect( mockHandlers.userJoined ).toHaveBeenCalledWith(
+        {
+          name: 'userJoined',
+          synthetic: true,
+          statePatch: [ { op: 'add', path: '/allUserData/user-3', value: { userProfile: { nickname: 'Arrives' } } } ]
+        },
+        currentState,
+        mockServices
+      );
+      expect( mockHandlers.playedSong ).toHaveBeenCalledWith(
+        { name: 'playedSong', synthetic: true, statePatch: [ { op: 'replace', path: '/nowPlaying', value: currentState.nowPlaying } ] },
+        currentState,
+        mockServices
+      );
+    } );
+
+    it( 'fires nothing when the room did not change', async () => {
+      bot.socket.joinRoom.mockResolvedValue( { state: previousState } );
+
+      expect( await bot._resyncAfterReconnect() ).toEqual( { joined: 0, left: 0, songs: 0 } );
+      expect( mockHandlers.userJoined ).not.toHaveBeenCalled();
+      expect( mockHandlers.userLeft ).not.toHaveBeenCalled();
+      expect( mockHandlers.playedSong ).not.toHaveBeenCalled();
+    } );
+
+    it( 'leaves the state alone when the rejoin fails', async () => {
+      bot.socket.joinRoom.mockRejectedValue( new Error( 'join failed' ) );
+
+      await expect( bot._resyncAfterReconnect() ).rejects.toThrow( 'join failed' );
+      expect( bot.state ).toBe( previousState );
+      expect( bot._isInitialConnection ).toBe( false );
+    } );
+  } );
+
+  describe( 'reconnect handling', () => {
+    it( 'records the reconnect for the status page', async () => {
+      bot._setupReconnectHandler();
+      const reconnectHandler = bot.socket.on.mock.calls.find( call => call[ 0 ] === 'reconnect' )[ 1 ];
+
+      await reconnectHandler();
+
+      const status = bot.getReconnectStatus();
+      expect( status.reconnects ).toBe( 1 );
+      expect( status.events[ 0 ] ).toEqual( expect.objectContaining( {
+        type: 'reconnected',
+        reason: 'socket reconnected',
+        missed: { joined: 1, left: 1, songs: 1 }
+      } ) );
+    } );
+
+    it( 'counts socket messages as activity for the watchdog', async () => {
+      bot._setupReconnectHandler();
+      bot._setupStatelessMessageListener();
+      bot.reconnectManager.lastMessageAt = 0;
+      const statelessHandler = bot.socket.on.mock.calls.find( call => call[ 0 ] === 'statelessMessage' )[ 1 ];
+
+      await statelessHandler( { name: 'ping' } );
+
+      expect( bot.reconnectManager.lastMessageAt ).toBeGreaterThan( 0 );
+    } );
+
+    it( 'stops reconnecting once the bot disconnects', async () => {
+      mockServices.getState = jest.fn();
+      bot._setupReconnectHandler();
+
+      await bot.disconnect();
+
+      expect( bot.getReconnectStatus().status ).toBe( 'stopped' );
+    } );
+  } );
+} );
@@ -493,11 +493,17 @@ describe( 'Bot', () => {
       bot.socket = mockSocketInstance;
     } );
 
+    afterEach( () => {
+      bot.reconnectManager?.stop();
+    } );
+
     test( 'should register reconnect event handler', () => {
       bot._setupReconnectHandler();
 
       expect( mockServices.logger.debug ).toHaveBeenCalledWith( '✅ Setting up reconnect handler...' );
       expect( mockSocketInstance.on ).toHaveBeenCalledWith( 'reconnect', expect.any( Function ) );
+      expect( mockSocketInstance.on ).toHaveBeenCalledWith( 'disconnected', expect.any( Function ) );
+      expect( bot.getReconnectStatus().status ).toBe( 'connected' );
     } );
 
     test( 'should handle successful reconnect', async () => {
@@ -531,6 +537,7 @@ describe( 'Bot', () => {
       await reconnectHandler();
 
       expect( mockServices.logger.error ).toHaveBeenCalledWith( `❌ Reconnection failed: ${ reconnectError }` );
+      expect( bot.getReconnectStatus().events[ 0 ] ).toEqual( expect.objectContaining( { type: 'failed', error: 'Reconnect failed' } ) );
     } );
   } );
 
@@ -0,0 +1,133 @@
+const CometChatPushTransport = require( '../../src/lib/cometChatPushTransport' );
+
+function makeSdk () {
+    const builder = {
+        setRegion: jest.fn().mockReturnThis(),
+        autoEstablishSocketConnection: jest.fn().mockReturnThis(),
+        overrideClientHost: jest.fn().mockReturnThis(),
+        overrideAdminHost: jest.fn().mockReturnThis(),
+        build: jest.fn().mockReturnValue( { settings: true } )
+    };
+    return {
+        builder,
+        AppSettingsBuilder: jest.fn( () => builder ),
+        ConnectionListener: jest.fn( handlers => handlers ),
+        MessageListener: jest.fn( handlers => handlers ),
+        init: jest.fn().mockResolvedValue( true ),
+        login: jest.fn().mockResolvedValue( { uid: 'bot-123' } ),
+        logout: jest.fn().mockResolvedValue(),
+        addConnectionListener: jest.fn(),
+        removeConnectionListener: jest.fn(),
+        addMessageListener: jest.fn(),
+        removeMessageListener: jest.fn(),
+        getConnectionStatus: jest.fn().mockReturnValue( 'connecting' )
+    };
+}
+
+function makeTransport ( { config = {}, sdk = makeSdk(), authToken = 'auth-token' } = {} ) {
+    const services = {
+        logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+        config: { COMETCHAT_API_KEY: 'app-id' },
+        openchatApi: { headers: { authtoken: authToken } },
+        dataService: { getValue: jest.fn( key => ( { 'messageIngestion.transport': 'push', ...config } )[ key ] ) }
+    };
+    const callbacks = { onMessage: jest.fn(), onConnectionChange: jest.fn() };
+    const transport = new CometChatPushTransport( services, callbacks );
+    transport.loadSdk = jest.fn( () => sdk );
+    return { transport, services, callbacks, sdk };
+}
+
+describe( 'CometChatPushTransport', () => {
+    it( 'logs in with the OpenChat app ID and auth token and listens for messages', async () => {
+        const { transport, sdk } = makeTransport();
+
+        expect( await transport.start() ).toBe( true );
+
+        expect( sdk.builder.setRegion ).toHaveBeenCalledWith( 'us' );
+        expect( sdk.init ).toHaveBeenCalledWith( 'app-id', { settings: true } );
+        expect( sdk.login ).toHaveBeenCalledWith( 'auth-token' );
+        expect( sdk.addMessageListener ).toHaveBeenCalledWith( 'mrroboto-message-ingestion', expect.objectContaining( {
+            onTextMessageReceived: expect.any( Function ),
+            onCustomMessageReceived: expect.any( Function )
+        } ) );
+        expect( sdk.builder.overrideClientHost ).not.toHaveBeenCalled();
+    } );
+
+    it( 'can point the SDK at another host', async () => {
+        const { transport, sdk } = makeTransport( { config: { 'messageIngestion.clientHost': 'https://chat.example.com/v3.0', 'messageIngestion.region': 'eu' } } );
+
+        await transport.start();
+
+        expect( sdk.builder.setRegion ).toHaveBeenCalledWith( 'eu' );
+        expect( sdk.builder.overrideClientHost ).toHaveBeenCalledWith( 'https://chat.example.com/v3.0' );
+    } );
+
+    it( 'is off unless push is turned on', async () => {
+        const { transport } = makeTransport( { config: { 'messageIngestion.transport': undefined } } );
+
+        expect( await transport.start() ).toBe( false );
+        expect( transport.loadSdk ).not.toHaveBeenCalled();
+    } );
+
+    it( 'can be turned off', async () => {
+        const { transport } = makeTransport( { config: { 'messageIngestion.transport': 'polling' } } );
+
+        expect( await transport.start() ).toBe( false );
+        expect( transport.loadSdk ).not.toHaveBeenCalled();
+    } );
+
+    it( 'needs an auth token', async () => {
+        const { transport, services } = makeTransport( { authToken: '' } );
+
+        expect( await transport.start() ).toBe( false );
+        expect( services.logger.warn ).toHaveBeenCalledWith( expect.stringContaining( 'need COMETCHAT_API_KEY and an auth token' ) );
+    } );
+
+    it( 'falls back to polling when the SDK cannot log in', async () => {
+        const sdk = makeSdk();
+        sdk.login.mockRejectedValue( { code: 'ERR_AUTH_TOKEN_NOT_FOUND' } );
+        const { transport, services } = makeTransport( { sdk } );
+
+        expect( await transport.start() ).toBe( false );
+        expect( transport.started ).toBe( false );
+        expect( services.logger.warn ).toHaveBeenCalledWith( '⚠️ Push messages unavailable, polling for chat messages instead: ERR_AUTH_TOKEN_NOT_FOUND' );
+    } );
+
+    it( 'reports the websocket connecting and dropping', async () => {
+        const { transport, callbacks, sdk } = makeTransport();
+        await transport.start();
+        const listener = sdk.addConnectionListener.mock.calls[ 0 ][ 1 ];
+
+        listener.onConnected();
+        listener.onConnected();
+        listener.onDisconnected();
+
+        expect( callbacks.onConnectionChange.mock.calls ).toEqual( [ [ true ], [ false ] ] );
+        expect( transport.connected ).toBe( false );
+    } );
+
+    it( 'passes on pushed messages and whether they are private', async () => {
+        const { transport, callbacks, sdk } = makeTransport();
+        await transport.start();
+        const listener = sdk.addMessageListener.mock.calls[ 0 ][ 1 ];
+        const groupRaw = { id: '1', receiverType: 'group', receiver: 'hangout' };
+        const privateRaw = { id: '2', receiverType: 'user', receiver: 'bot-123' };
+
+        listener.onTextMessageReceived( { getRawMessage: () => groupRaw } );
+        listener.onCustomMessageReceived( { getRawMessage: () => privateRaw } );
+
+        expect( callbacks.onMessage ).toHaveBeenNthCalledWith( 1, groupRaw, false );
+        expect( callbacks.onMessage ).toHaveBeenNthCalledWith( 2, privateRaw, true );
+    } );
+
+    it( 'stops listening and logs out', async () => {
+        const { transport, sdk } = makeTransport();
+        await transport.start();
+
+        await transport.stop();
+
+        expect( sdk.removeMessageListener ).toHaveBeenCalledWith( 'mrroboto-message-ingestion' );
+        expect( sdk.logout ).toHaveBeenCalled();
+        expect( transport.started ).toBe( false );
+    } );
+} );
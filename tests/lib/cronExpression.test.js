@@ -0,0 +1,73 @@
+const { parseCron, matchesCron, validateCron, getLocalTime, findNextMatch } = require( '../../src/lib/cronExpression' );
+
+// Friday 31 October 2025, 20:00
+const FRIDAY_EVENING = { minute: 0, hour: 20, day: 31, month: 10, weekday: 5, year: 2025 };
+
+describe( 'cronExpression', () => {
+    describe( 'parseCron', () => {
+        test( 'should expand wildcards, ranges, steps and lists', () => {
+            const cron = parseCron( '*/15 9-17/4 1,15 * *' );
+            expect( [ ...cron.minute ] ).toEqual( [ 0, 15, 30, 45 ] );
+            expect( [ ...cron.hour ] ).toEqual( [ 9, 13, 17 ] );
+            expect( [ ...cron.dayOfMonth ] ).toEqual( [ 1, 15 ] );
+            expect( cron.month.size ).toBe( 12 );
+        } );
+
+        test( 'should accept month and day names, and 7 for Sunday', () => {
+            const cron = parseCron( '0 20 * oct-dec fri,7' );
+            expect( [ ...cron.month ] ).toEqual( [ 10, 11, 12 ] );
+            expect( [ ...cron.dayOfWeek ].sort() ).toEqual( [ 0, 5 ] );
+        } );
+
+        test( 'should reject the wrong number of fields', () => {
+            expect( () => parseCron( '0 20 * *' ) ).toThrow( 'needs 5 fields' );
+        } );
+
+        test( 'should reject values out of range', () => {
+            expect( () => parseCron( '60 * * * *' ) ).toThrow( 'minute field "60"' );
+            expect( () => parseCron( '0 20 * * 5-1' ) ).toThrow( 'day of week field' );
+            expect( () => parseCron( '*/0 * * * *' ) ).toThrow( 'minute field' );
+        } );
+    } );
+
+    describe( 'matchesCron', () => {
+        test( 'should match a weekly time', () => {
+            expect( matchesCron( parseCron( '0 20 * * fri' ), FRIDAY_EVENING ) ).toBe( true );
+            expect( matchesCron( parseCron( '0 20 * * sat' ), FRIDAY_EVENING ) ).toBe( false );
+            expect( matchesCron( parseCron( '1 20 * * fri' ), FRIDAY_EVENING ) ).toBe( false );
+        } );
+
+        test( 'should match either day field when both are restricted', () => {
+            expect( matchesCron( parseCron( '0 20 1 * fri' ), FRIDAY_EVENING ) ).toBe( true );
+            expect( matchesCron( parseCron( '0 20 31 * mon' ), FRIDAY_EVENING ) ).toBe( true );
+            expect( matchesCron( parseCron( '0 20 1 * mon' ), FRIDAY_EVENING ) ).toBe( false );
+        } );
+
+        test( 'should need both day fields when one is a wildcard step', () => {
+            expect( matchesCron( parseCron( '0 20 */2 * mon' ), FRIDAY_EVENING ) ).toBe( false );
+        } );
+    } );
+
+    describe( 'getLocalTime', () => {
+        test( 'should give the time parts in the timezone', () => {
+            const local = getLocalTime( new Date( '2025-07-01T23:30:00Z' ), 'Europe/London' );
+            expect( local ).toEqual( expect.objectContaining( { hour: 0, minute: 30, day: 2, month: 7, weekday: 3, key: '2025-07-02 00:30' } ) );
+        } );
+    } );
+
+    describe( 'findNextMatch', () => {
+        test( 'should find the next matching minute after a time', () => {
+            expect( findNextMatch( parseCron( '0 0 * * mon' ), FRIDAY_EVENING ) ).toBe( '2025-11-03 00:00' );
+            expect( findNextMatch( parseCron( '0 20 * * fri' ), FRIDAY_EVENING ) ).toBe( '2025-11-07 20:00' );
+        } );
+
+        test( 'should give up past the limit', () => {
+            expect( findNextMatch( parseCron( '0 0 1 1 *' ), FRIDAY_EVENING ) ).toBeNull();
+        } );
+    } );
+
+    test( 'validateCron should report errors without throwing', () => {
+        expect( validateCron( '0 20 * * fri' ) ).toEqual( { valid: true, error: null } );
+        expect( validateCron( 'nonsense' ).valid ).toBe( false );
+    } );
+} );
@@ -0,0 +1,103 @@
+const MessageIngestion = require( '../../src/lib/messageIngestion' );
+
+function makeIngestion ( handle = jest.fn().mockResolvedValue() ) {
+    const services = { logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() } };
+    return { ingestion: new MessageIngestion( services, handle ), services, handle };
+}
+
+describe( 'MessageIngestion', () => {
+    it( 'handles messages in the order they arrive', async () => {
+        const { ingestion, handle } = makeIngestion();
+
+        expect( await ingestion.ingest( [ { id: '1' }, { id: '2' } ], 'poll' ) ).toBe( 2 );
+
+        expect( handle ).toHaveBeenNthCalledWith( 1, { id: '1' } );
+        expect( handle ).toHaveBeenNthCalledWith( 2, { id: '2' } );
+    } );
+
+    it( 'drops a message already received from either source', async () => {
+        const { ingestion, handle } = makeIngestion();
+
+        await ingestion.ingest( [ { id: 101 } ], 'push' );
+        expect( await ingestion.ingest( [ { id: '101' }, { id: '102' } ], 'poll' ) ).toBe( 1 );
+
+        expect( handle ).toHaveBeenCalledTimes( 2 );
+        const { sources } = ingestion.getMetrics();
+        expect( sources.push ).toEqual( expect.objectContaining( { received: 1, duplicates: 0 } ) );
+        expect( sources.poll ).toEqual( expect.objectContaining( { received: 1, duplicates: 1 } ) );
+    } );
+
+    it( 'handles one message at a time across concurrent batches', async () => {
+        let active = 0;
+        let mostActive = 0;
+        const order = [];
+        const handle = jest.fn( async message => {
+            active++;
+            mostActive = Math.max( mostActive, active );
+            await new Promise( resolve => setImmediate( resolve ) );
+            order.push( message.id );
+            active--;
+        } );
+        const { ingestion } = makeIngestion( handle );
+
+        await Promise.all( [
+            ingestion.ingest( [ { id: 'a' }, { id: 'b' } ], 'poll' ),
+            ingestion.ingest( [ { id: 'c' } ], 'push' )
+        ] );
+
+        expect( mostActive ).toBe( 1 );
+        expect( order ).toEqual( [ 'a', 'b', 'c' ] );
+    } );
+
+    it( 'keeps going after a message fails', async () => {
+        const handle = jest.fn()
+            .mockRejectedValueOnce( new Error( 'boom' ) )
+            .mockResolvedValue();
+        const { ingestion, services } = makeIngestion( handle );
+
+        await ingestion.ingest( [ { id: '1' }, { id: '2' } ] );
+
+        expect( handle ).toHaveBeenCalledTimes( 2 );
+        expect( services.logger.error ).toHaveBeenCalledWith( '❌ [MessageIngestion] Failed to handle message 1: boom' );
+        expect( ingestion.getMetrics() ).toEqual( expect.objectContaining( { processed: 1, failed: 1, queueLength: 0 } ) );
+    } );
+
+    it( 'measures how long messages took to arrive', async () => {
+        jest.useFakeTimers().setSystemTime( new Date( '2026-03-01T20:00:10Z' ) );
+        try {
+            const { ingestion } = makeIngestion();
+            const sentAt = Date.parse( '2026-03-01T20:00:00Z' ) / 1000;
+
+            await ingestion.ingest( [ { id: '1', sentAt: sentAt + 8 }, { id: '2', sentAt } ], 'poll' );
+
+            expect( ingestion.getMetrics().sources.poll.ingestLatency ).toEqual( { samples: 2, avgMs: 6000, p95Ms: 10000, maxMs: 10000 } );
+        } finally {
+            jest.useRealTimers();
+        }
+    } );
+
+    it( 'still handles messages without an ID', async () => {
+        const { ingestion, handle } = makeIngestion();
+
+        await ingestion.ingest( [ { text: 'a' }, { text: 'a' } ] );
+
+        expect( handle ).toHaveBeenCalledTimes( 2 );
+    } );
+
+    it( 'forgets the oldest IDs once it has seen enough', async () => {
+        const { ingestion, handle } = makeIngestion();
+
+        await ingestion.ingest( Array.from( { length: 5001 }, ( _, index ) => ( { id: index } ) ) );
+        await ingestion.ingest( [ { id: 0 }, { id: 5000 } ] );
+
+        expect( handle ).toHaveBeenCalledTimes( 5002 );
+    } );
+
+    describe( 'toMs', () => {
+        it( 'reads CometChat seconds and plain milliseconds', () => {
+            expect( MessageIngestion.toMs( 1772395200 ) ).toBe( 1772395200000 );
+            expect( MessageIngestion.toMs( 1772395200000 ) ).toBe( 1772395200000 );
+            expect( MessageIngestion.toMs( undefined ) ).toBeNull();
+        } );
+    } );
+} );
@@ -0,0 +1,198 @@
+const ReconnectManager = require( '../../src/lib/reconnectManager' );
+
+function makeManager ( { config = {}, resync = jest.fn().mockResolvedValue( { joined: 1, left: 0, songs: 1 } ) } = {} ) {
+    const services = {
+        logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+        dataService: { getValue: jest.fn( key => config[ key ] ) }
+    };
+    return { manager: new ReconnectManager( services, resync ), services, resync };
+}
+
+describe( 'ReconnectManager', () => {
+    beforeEach( () => {
+        jest.useFakeTimers();
+    } );
+
+    afterEach( () => {
+        jest.useRealTimers();
+    } );
+
+    describe( 'getDelayMs', () => {
+        it( 'doubles the delay for each failed attempt up to the maximum', () => {
+            const { manager } = makeManager();
+            expect( manager.getDelayMs( 0 ) ).toBe( 5000 );
+            expect( manager.getDelayMs( 1 ) ).toBe( 10000 );
+            expect( manager.getDelayMs( 3 ) ).toBe( 40000 );
+            expect( manager.getDelayMs( 10 ) ).toBe( 300000 );
+        } );
+
+        it( 'reads the delays from config', () => {
+            const { manager } = makeManager( { config: { 'reconnect.initialDelaySeconds': 1, 'reconnect.maxDelaySeconds': 3 } } );
+            expect( manager.getDelayMs( 0 ) ).toBe( 1000 );
+            expect( manager.getDelayMs( 2 ) ).toBe( 3000 );
+        } );
+    } );
+
+    describe( 'handleDisconnect', () => {
+        it( 'resyncs after the backoff delay', async () => {
+            const { manager, resync } = makeManager();
+            manager.start();
+
+            manager.handleDisconnect( 'socket closed' );
+            expect( manager.getStatus().status ).toBe( 'reconnecting' );
+            expect( manager.getStatus().events[ 0 ] ).toEqual( expect.objectContaining( { type: 'disconnected', reason: 'socket closed' } ) );
+
+            await jest.advanceTimersByTimeAsync( 5000 );
+
+            expect( resync ).toHaveBeenCalledWith( 'socket closed' );
+            const status = manager.getStatus();
+            expect( status.status ).toBe( 'connected' );
+            expect( status.reconnects ).toBe( 1 );
+            expect( status.events[ 0 ] ).toEqual( expect.objectContaining( {
+                type: 'reconnected',
+                attempts: 1,
+                downtimeMs: 5000,
+                missed: { joined: 1, left: 0, songs: 1 }
+            } ) );
+            manager.stop();
+        } );
+
+        it( 'backs off further after each failure', async () => {
+            const resync = jest.fn()
+                .mockRejectedValueOnce( new Error( 'join timeout' ) )
+                .mockResolvedValue( { joined: 0, left: 0, songs: 0 } );
+            const { manager, services } = makeManager( { resync } );
+            manager.start();
+
+            manager.handleDisconnect( 'socket closed' );
+            await jest.advanceTimersByTimeAsync( 5000 );
+
+            expect( services.logger.error ).toHaveBeenCalledWith( '❌ Reconnection failed: Error: join timeout' );
+            expect( manager.getStatus().events[ 0 ] ).toEqual( expect.objectContaining( { type: 'failed', attempts: 1, error: 'join timeout' } ) );
+            expect( manager.getStatus().nextAttemptAt ).toBeTruthy();
+
+            await jest.advanceTimersByTimeAsync( 9999 );
+            expect( resync ).toHaveBeenCalledTimes( 1 );
+            await jest.advanceTimersByTimeAsync( 1 );
+            expect( resync ).toHaveBeenCalledTimes( 2 );
+            expect( manager.getStatus() ).toEqual( expect.objectContaining( { status: 'connected', attempts: 0, reconnects: 1 } ) );
+            manager.stop();
+        } );
+
+        it( 'ignores disconnects while a resync is running', async () => {
+            let finish;
+            const resync = jest.fn( () => new Promise( resolve => { finish = resolve; } ) );
+            const { manager } = makeManager( { resync } );
+            manager.start();
+
+            const reconnecting = manager.reconnect( 'socket reconnected' );
+            manager.handleDisconnect( 'socket closed' );
+            finish();
+            await reconnecting;
+
+            expect( manager.getStatus().events.map( event => event.type ) ).toEqual( [ 'reconnected' ] );
+            manager.stop();
+        } );
+
+        it( 'does nothing once stopped', () => {
+            const { manager } = makeManager();
+            manager.handleDisconnect( 'socket closed' );
+            expect( manager.getStatus().events ).toEqual( [] );
+        } );
+    } );
+
+    describe( 'reconnect', () => {
+        it( 'shares one resync between concurrent calls', async () => {
+            const { manager, resync } = makeManager();
+            manager.start();
+
+            await Promise.all( [ manager.reconnect( 'a' ), manager.reconnect( 'b' ) ] );
+
+            expect( resync ).toHaveBeenCalledTimes( 1 );
+            manager.stop();
+        } );
+
+        it( 'cancels a scheduled attempt', async () => {
+            const { manager, resync } = makeManager();
+            manager.start();
+            manager.handleDisconnect( 'socket closed' );
+
+            await manager.reconnect( 'socket reconnected' );
+            await jest.advanceTimersByTimeAsync( 5000 );
+
+            expect( resync ).toHaveBeenCalledTimes( 1 );
+            manager.stop();
+        } );
+    } );
+
+    describe( 'watchdog', () => {
+        it( 'resyncs a socket that has been silent too long', async () => {
+            const { manager, resync, services } = makeManager();
+            manager.start();
+
+            await jest.advanceTimersByTimeAsync( 10 * 60 * 1000 );
+
+            expect( services.logger.warn ).toHaveBeenCalledWith( '🐕 Socket watchdog: no socket messages for 10 minutes' );
+            expect( resync ).toHaveBeenCalledWith( 'no socket messages for 10 minutes' );
+            expect( manager.getStatus().events.map( event => event.type ) ).toEqual( [ 'reconnected', 'watchdog' ] );
+            manager.stop();
+        } );
+
+        it( 'leaves a socket that is still sending alone', async () => {
+            const { manager, resync } = makeManager();
+            manager.start();
+
+            for ( let minute = 0; minute < 15; minute++ ) {
+                await jest.advanceTimersByTimeAsync( 60 * 1000 );
+                manager.recordActivity();
+            }
+
+            expect( resync ).not.toHaveBeenCalled();
+            manager.stop();
+        } );
+
+        it( 'can be turned off', () => {
+            const { manager } = makeManager( { config: { 'reconnect.watchdogMinutes': 0 } } );
+            manager.start();
+            expect( manager.watchdogTimer ).toBeNull();
+            expect( manager.checkWatchdog() ).toBe( false );
+        } );
+    } );
+
+    it( 'keeps the most recent events', () => {
+        const { manager } = makeManager();
+        for ( let i = 0; i < 25; i++ ) manager.recordEvent( 'disconnected', { reason: `drop ${ i }` } );
+
+        const { events } = manager.getStatus();
+        expect( events ).toHaveLength( 20 );
+        expect( events[ 0 ].reason ).toBe( 'drop 24' );
+    } );
+
+    describe( 'diffState', () => {
+        const before = {
+            allUserData: { a: { userProfile: { nickname: 'A' } }, b: { userProfile: { nickname: 'B' } } },
+            nowPlaying: { playId: 'play-1', song: { songShortId: 'song-1' } }
+        };
+
+        it( 'finds who joined and left and whether the song changed', () => {
+            const after = {
+                allUserData: { b: { userProfile: { nickname: 'B' } }, c: { userProfile: { nickname: 'C' } } },
+                nowPlaying: { playId: 'play-2', song: { songShortId: 'song-2' } }
+            };
+
+            expect( ReconnectManager.diffState( before, after ) ).toEqual( {
+                joined: [ { uuid: 'c', userData: { userProfile: { nickname: 'C' } } } ],
+                left: [ 'a' ],
+                nowPlayingChanged: true
+            } );
+        } );
+
+        it( 'sees nothing when the room is unchanged', () => {
+            expect( ReconnectManager.diffState( before, { ...before } ) ).toEqual( { joined: [], left: [], nowPlayingChanged: false } );
+        } );
+
+        it( 'notices the song ending', () => {
+            expect( ReconnectManager.diffState( before, { ...before, nowPlaying: null } ).nowPlayingChanged ).toBe( true );
+        } );
+    } );
+} );
@@ -0,0 +1,45 @@
+const { hasPermission, checkCommandAccess } = require( '../../src/lib/roleUtils' );
+
+describe( 'roleUtils', () => {
+    describe( 'hasPermission', () => {
+        test( 'should allow roles at or above the required level', () => {
+            expect( hasPermission( 'moderator', 'MODERATOR' ) ).toBe( true );
+            expect( hasPermission( 'coOwner', 'OWNER' ) ).toBe( true );
+            expect( hasPermission( 'user', 'MODERATOR' ) ).toBe( false );
+        } );
+
+        test( 'should throw for an unknown level', () => {
+            expect( () => hasPermission( 'user', 'ADMIN' ) ).toThrow( 'Invalid required level: ADMIN' );
+        } );
+    } );
+
+    describe( 'checkCommandAccess', () => {
+        test( 'should use the command\'s own level when there is no override', () => {
+            expect( checkCommandAccess( 'u1', 'user', 'MODERATOR' ) ).toEqual( { allowed: false, requiredLevel: 'MODERATOR', reason: 'role' } );
+            expect( checkCommandAccess( 'u1', 'moderator', 'MODERATOR' ).allowed ).toBe( true );
+        } );
+
+        test( 'should apply a role override', () => {
+            const result = checkCommandAccess( 'u1', 'user', 'USER', { role: 'MODERATOR' } );
+            expect( result ).toEqual( { allowed: false, requiredLevel: 'MODERATOR', reason: 'role' } );
+            expect( checkCommandAccess( 'u1', 'user', 'OWNER', { role: 'USER' } ).allowed ).toBe( true );
+        } );
+
+        test( 'should ignore an invalid role override', () => {
+            expect( checkCommandAccess( 'u1', 'user', 'MODERATOR', { role: 'ADMIN' } ).requiredLevel ).toBe( 'MODERATOR' );
+        } );
+
+        test( 'should let allowed users in whatever their role', () => {
+            expect( checkCommandAccess( 'helper', 'user', 'MODERATOR', { allow: [ 'helper' ] } ).allowed ).toBe( true );
+        } );
+
+        test( 'should keep denied users out even when their role is high enough', () => {
+            const result = checkCommandAccess( 'mod1', 'moderator', 'USER', { allow: [ 'mod1' ], deny: [ 'mod1' ] } );
+            expect( result ).toEqual( { allowed: false, requiredLevel: 'USER', reason: 'denied' } );
+        } );
+
+        test( 'should never lock out owners', () => {
+            expect( checkCommandAccess( 'boss', 'owner', 'OWNER', { deny: [ 'boss' ] } ).allowed ).toBe( true );
+        } );
+    } );
+} );
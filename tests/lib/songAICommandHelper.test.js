@@ -133,10 +133,36 @@ describe( 'songAICommandHelper', () => {
             expect( result.response ).toContain( 'AI response' );
 
             expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
-                'Custom template: Test Song by Test Artist'
+                'Custom template: Test Song by Test Artist',
+                undefined,
+                expect.any( Object )
             );
         } );
 
+        it( 'should hand the AI a tool set instead of pre-fetching verified information when useTools is set', async () => {
+            const config = {
+                templateKey: 'editableMessages.testMessage',
+                defaultTemplate: 'Introduce {trackName} by {artistName}',
+                commandName: 'intro',
+                useTools: true
+            };
+            const toolSet = { definitions: [] };
+            mockServices.llmToolService = { createToolSet: jest.fn().mockReturnValue( toolSet ) };
+            mockServices.verificationService = { verify: jest.fn() };
+            mockServices.dataService.getValue.mockImplementation( () => null );
+            mockServices.machineLearningService.askGoogleAI.mockResolvedValue( 'AI response' );
+
+            const result = await executeSongAICommand( mockCommandParams, config );
+
+            expect( result.success ).toBe( true );
+            expect( mockServices.llmToolService.createToolSet ).toHaveBeenCalledWith( 'intro' );
+            expect( mockServices.verificationService.verify ).not.toHaveBeenCalled();
+            expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith( 'Introduce Test Song by Test Artist', toolSet, expect.any( Object ) );
+
+            delete mockServices.llmToolService;
+            delete mockServices.verificationService;
+        } );
+
         it( 'should use default template when dataService returns null', async () => {
             const config = {
                 templateKey: 'editableMessages.testMessage',
@@ -155,7 +181,9 @@ describe( 'songAICommandHelper', () => {
 
             expect( result.success ).toBe( true );
             expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
-                'Default template: Test Song by Test Artist'
+                'Default template: Test Song by Test Artist',
+                undefined,
+                expect.any( Object )
             );
         } );
 
@@ -252,7 +280,9 @@ describe( 'songAICommandHelper', () => {
             expect( result.success ).toBe( true );
             // Verify that the AI was called with plain username, NOT mention format
             expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
-                'The user AliceUser wants to know the meaning of Test Song by Test Artist'
+                'The user AliceUser wants to know the meaning of Test Song by Test Artist',
+                undefined,
+                expect.any( Object )
             );
             // Ensure it does NOT contain the mention format
             expect( mockServices.machineLearningService.askGoogleAI.mock.calls[ 0 ][ 0 ] ).not.toContain( '<@uid:' );
@@ -284,7 +314,9 @@ describe( 'songAICommandHelper', () => {
 
             expect( result.success ).toBe( true );
             expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
-                'Question from BobUser'
+                'Question from BobUser',
+                undefined,
+                expect.any( Object )
             );
         } );
 
@@ -375,6 +407,117 @@ describe( 'songAICommandHelper', () => {
         } );
     } );
 
+    describe( 'response cache', () => {
+        const config = {
+            templateKey: 'editableMessages.testMessage',
+            defaultTemplate: 'Facts about {trackName} by {artistName}',
+            commandName: 'popfacts',
+            cacheable: true
+        };
+
+        beforeEach( () => {
+            mockServices.dataService.getValue.mockImplementation( () => null );
+            mockServices.aiCacheService = {
+                get: jest.fn().mockReturnValue( null ),
+                set: jest.fn()
+            };
+        } );
+
+        afterEach( () => {
+            delete mockServices.aiCacheService;
+            mockCommandParams.args = undefined;
+        } );
+
+        it( 'answers from the cache without asking the AI', async () => {
+            mockServices.aiCacheService.get.mockReturnValue( 'Cached facts' );
+
+            const result = await executeSongAICommand( mockCommandParams, config );
+
+            expect( result.response ).toBe( 'Cached facts' );
+            expect( mockServices.aiCacheService.get ).toHaveBeenCalledWith( 'popfacts', 'Test Artist', 'Test Song', 'Facts about {trackName} by {artistName}' );
+            expect( mockServices.machineLearningService.askGoogleAI ).not.toHaveBeenCalled();
+            expect( mockServices.aiCacheService.set ).not.toHaveBeenCalled();
+        } );
+
+        it( 'caches new answers on a miss', async () => {
+            mockServices.machineLearningService.askGoogleAI.mockResolvedValue( 'Fresh facts' );
+
+            await executeSongAICommand( mockCommandParams, config );
+
+            expect( mockServices.aiCacheService.set ).toHaveBeenCalledWith( 'popfacts', 'Test Artist', 'Test Song', 'Facts about {trackName} by {artistName}', 'Fresh facts' );
+        } );
+
+        it( 'skips the cache lookup with the fresh argument', async () => {
+            mockCommandParams.args = 'fresh';
+            mockServices.aiCacheService.get.mockReturnValue( 'Cached facts' );
+            mockServices.machineLearningService.askGoogleAI.mockResolvedValue( 'Fresh facts' );
+
+            const result = await executeSongAICommand( mockCommandParams, config );
+
+            expect( mockServices.aiCacheService.get ).not.toHaveBeenCalled();
+            expect( result.response ).toBe( 'Fresh facts' );
+            expect( mockServices.aiCacheService.set ).toHaveBeenCalled();
+        } );
+
+        it.each( [
+            "I'm unable to process your request at the moment. Please try again later.",
+            'Machine learning service is not initialized. Please check your configuration.'
+        ] )( 'does not cache failed answers: %s', async failure => {
+            mockServices.machineLearningService.askGoogleAI.mockResolvedValue( failure );
+
+            await executeSongAICommand( mockCommandParams, config );
+
+            expect( mockServices.aiCacheService.set ).not.toHaveBeenCalled();
+        } );
+
+        it( 'ignores the cache for commands that are not cacheable', async () => {
+            mockServices.machineLearningService.askGoogleAI.mockResolvedValue( 'Fresh facts' );
+
+            await executeSongAICommand( mockCommandParams, { ...config, cacheable: false } );
+
+            expect( mockServices.aiCacheService.get ).not.toHaveBeenCalled();
+            expect( mockServices.aiCacheService.set ).not.toHaveBeenCalled();
+        } );
+    } );
+
+    describe( 'usage and budget', () => {
+        const config = {
+            templateKey: 'editableMessages.testMessage',
+            defaultTemplate: 'Facts about {trackName} by {artistName}',
+            commandName: 'popfacts'
+        };
+
+        beforeEach( () => {
+            mockServices.dataService.getValue.mockImplementation( () => null );
+        } );
+
+        afterEach( () => {
+            delete mockServices.llmUsageService;
+        } );
+
+        it( 'tells the AI which command and user the call is for', async () => {
+            await executeSongAICommand( mockCommandParams, config );
+
+            expect( mockServices.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
+                'Facts about Test Song by Test Artist',
+                undefined,
+                { command: 'popfacts', userUuid: 'test-user-uuid' }
+            );
+        } );
+
+        it( 'replies with the budget message instead of asking the AI once the budget is spent', async () => {
+            mockServices.llmUsageService = {
+                checkBudget: jest.fn().mockReturnValue( { exceeded: true, message: 'Out of AI budget' } )
+            };
+
+            const result = await executeSongAICommand( mockCommandParams, config );
+
+            expect( result ).toEqual( expect.objectContaining( { success: false, response: 'Out of AI budget', error: 'LLM budget exceeded' } ) );
+            expect( mockServices.machineLearningService.askGoogleAI ).not.toHaveBeenCalled();
+            expect( mockServices.messageService.sendResponse ).toHaveBeenCalledWith( 'Out of AI budget', expect.any( Object ) );
+        } );
+    } );
+
     describe( 'replaceAllUsernamesWithMentions', () => {
         const mockLogger = { warn: jest.fn() };
 
@@ -0,0 +1,120 @@
+const { parseTemplate, validateTemplate, hasTemplateSyntax, renderTemplate } = require( '../../src/lib/templateEngine.js' );
+
+const values = {
+    likes: 6,
+    dislikes: 1,
+    stars: 0,
+    trackName: 'Le Freak (Extended 12" Version)',
+    username: 'alice',
+    theme: ''
+};
+const resolve = async name => values[ name ];
+
+describe( 'templateEngine', () => {
+    describe( 'hasTemplateSyntax', () => {
+        it( 'ignores plain tokens', () => {
+            expect( hasTemplateSyntax( 'Welcome {username} to {hangoutName}!' ) ).toBe( false );
+        } );
+
+        it( 'spots conditionals, random choices and filters', () => {
+            expect( hasTemplateSyntax( '{if likes > 5}hot{/if}' ) ).toBe( true );
+            expect( hasTemplateSyntax( '{random:a|b}' ) ).toBe( true );
+            expect( hasTemplateSyntax( '{username|upper}' ) ).toBe( true );
+            expect( hasTemplateSyntax( '{plays:artistName|plural:play}' ) ).toBe( true );
+            expect( hasTemplateSyntax( '{plays:artistName}' ) ).toBe( false );
+        } );
+    } );
+
+    describe( 'renderTemplate', () => {
+        it( 'leaves plain tokens for normal replacement', async () => {
+            expect( await renderTemplate( '{if likes}{username} scored{/if}', resolve ) ).toBe( '{username} scored' );
+        } );
+
+        it( 'picks the branch of a numeric comparison', async () => {
+            expect( await renderTemplate( '{if likes > 5}🔥{else}👍{/if}', resolve ) ).toBe( '🔥' );
+            expect( await renderTemplate( '{if dislikes >= 2}ouch{else}fine{/if}', resolve ) ).toBe( 'fine' );
+        } );
+
+        it( 'compares text case-insensitively and supports "not"', async () => {
+            expect( await renderTemplate( '{if username == "Alice"}hi Alice{/if}', resolve ) ).toBe( 'hi Alice' );
+            expect( await renderTemplate( '{if not theme}no theme{else}theme set{/if}', resolve ) ).toBe( 'no theme' );
+            expect( await renderTemplate( '{if stars}starred{else}no stars{/if}', resolve ) ).toBe( 'no stars' );
+        } );
+
+        it( 'nests conditionals', async () => {
+            const template = '{if likes > 5}{if dislikes == 0}flawless{else}popular{/if}{else}quiet{/if}';
+            expect( await renderTemplate( template, resolve ) ).toBe( 'popular' );
+        } );
+
+        it( 'picks a random option, including ones with tags in', async () => {
+            const spy = jest.spyOn( Math, 'random' ).mockReturnValue( 0.99 );
+            expect( await renderTemplate( '{random:Hi|Hello|Hey {username|capitalize}}', resolve ) ).toBe( 'Hey Alice' );
+            spy.mockRestore();
+        } );
+
+        it( 'pluralises counts', async () => {
+            expect( await renderTemplate( '{likes|plural:vote:votes}', resolve ) ).toBe( '6 votes' );
+            expect( await renderTemplate( '{dislikes|plural:vote:votes}', resolve ) ).toBe( '1 vote' );
+            expect( await renderTemplate( '{stars|plural:star}', resolve ) ).toBe( '0 stars' );
+        } );
+
+        it( 'applies case and truncate filters in order', async () => {
+            expect( await renderTemplate( '{username|upper}', resolve ) ).toBe( 'ALICE' );
+            expect( await renderTemplate( '{trackName|truncate:8|lower}', resolve ) ).toBe( 'le freak…' );
+            expect( await renderTemplate( '{trackName|truncate:100}', resolve ) ).toBe( values.trackName );
+        } );
+
+        it( 'falls back to defaults for missing or empty values', async () => {
+            expect( await renderTemplate( '{djUsername|default:someone}', resolve ) ).toBe( 'someone' );
+            expect( await renderTemplate( '{theme|default:anything goes}', resolve ) ).toBe( 'anything goes' );
+            expect( await renderTemplate( '{username|default:someone}', resolve ) ).toBe( 'alice' );
+        } );
+
+        it( 'keeps unknown tokens with filters as written', async () => {
+            expect( await renderTemplate( '{mystery|upper}', resolve ) ).toBe( '{mystery|upper}' );
+        } );
+
+        it( 'keeps braces that are not template syntax', async () => {
+            expect( await renderTemplate( 'JSON {"a": 1} and {not a token} {if likes}!{/if}', resolve ) ).toBe( 'JSON {"a": 1} and {not a token} !' );
+        } );
+
+        it( 'passes token parameters to the resolver', async () => {
+            const plays = { Chic: 12, 'Le Freak': 1 };
+            const resolveWithParam = async ( name, param ) => name === 'plays' ? plays[ param ] : values[ name ];
+            expect( await renderTemplate( '{if plays:Chic > 10}Chic again!{/if}', resolveWithParam ) ).toBe( 'Chic again!' );
+            expect( await renderTemplate( '{plays:Le Freak|plural:play}', resolveWithParam ) ).toBe( '1 play' );
+            expect( await renderTemplate( '{plays:Chic} plays', resolveWithParam ) ).toBe( '{plays:Chic} plays' );
+        } );
+
+        it( 'throws on syntax errors', async () => {
+            await expect( renderTemplate( '{if likes > 5}hot', resolve ) ).rejects.toThrow( 'never closed' );
+        } );
+    } );
+
+    describe( 'validateTemplate', () => {
+        it( 'accepts plain text and valid templates', () => {
+            expect( validateTemplate( 'Hello {username}' ) ).toEqual( { valid: true, errors: [] } );
+            expect( validateTemplate( '{if likes > 5}{random:a|b}{else}{likes|plural:vote:votes}{/if}' ).valid ).toBe( true );
+        } );
+
+        it( 'reports unbalanced conditionals', () => {
+            expect( validateTemplate( '{if likes}hot' ).errors ).toEqual( [ '{if likes} is never closed with {/if}' ] );
+            expect( validateTemplate( 'hot{/if}' ).errors ).toEqual( [ '{/if} without a matching {if}' ] );
+            expect( validateTemplate( '{else}' ).errors ).toEqual( [ '{else} without a matching {if}' ] );
+            expect( validateTemplate( '{if likes}a{else}b{else}c{/if}' ).errors ).toEqual( [ '{else} without a matching {if}' ] );
+        } );
+
+        it( 'reports bad conditions, filters and random choices', () => {
+            expect( validateTemplate( '{if likes >}x{/if}' ).errors[ 0 ] ).toContain( 'Can\'t understand the condition' );
+            expect( validateTemplate( '{username|shout}' ).errors[ 0 ] ).toContain( 'Unknown filter "shout"' );
+            expect( validateTemplate( '{trackName|truncate:lots}' ).errors[ 0 ] ).toContain( 'truncate needs a length' );
+            expect( validateTemplate( '{likes|plural}' ).errors[ 0 ] ).toContain( 'Wrong number of values for "plural"' );
+            expect( validateTemplate( '{random:}' ).errors[ 0 ] ).toContain( 'needs some options' );
+        } );
+
+        it( 'parses random options separately', () => {
+            const { nodes } = parseTemplate( '{random:a {if likes}b{/if}|c}' );
+            expect( nodes[ 0 ].options ).toHaveLength( 2 );
+        } );
+    } );
+} );
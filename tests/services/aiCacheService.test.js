@@ -0,0 +1,102 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const AiCacheService = require( '../../src/services/aiCacheService' );
+
+function makeService ( { config = {}, databaseOverrides = {} } = {} ) {
+    const databaseService = {
+        initialized: true,
+        getAiCacheEntry: jest.fn().mockReturnValue( null ),
+        saveAiCacheEntry: jest.fn(),
+        recordAiCacheHit: jest.fn(),
+        clearAiCache: jest.fn().mockReturnValue( 2 ),
+        getAiCacheStats: jest.fn().mockReturnValue( [] ),
+        getAiCacheEntriesForSong: jest.fn().mockReturnValue( [] ),
+        ...databaseOverrides
+    };
+    const dataService = { getValue: jest.fn( key => config[ key ] ) };
+    return { service: new AiCacheService( { databaseService, dataService } ), databaseService };
+}
+
+describe( 'AiCacheService', () => {
+    describe( 'buildKey', () => {
+        it( 'ignores case and punctuation in the song', () => {
+            expect( AiCacheService.buildKey( 'popfacts', 'Chic', 'Le Freak!', 'tpl' ) )
+                .toBe( AiCacheService.buildKey( 'popfacts', 'CHIC', 'le freak', 'tpl' ) );
+        } );
+
+        it( 'changes with the command and the template', () => {
+            const key = AiCacheService.buildKey( 'popfacts', 'Chic', 'Le Freak', 'tpl' );
+            expect( AiCacheService.buildKey( 'meaning', 'Chic', 'Le Freak', 'tpl' ) ).not.toBe( key );
+            expect( AiCacheService.buildKey( 'popfacts', 'Chic', 'Le Freak', 'tpl v2' ) ).not.toBe( key );
+        } );
+    } );
+
+    describe( 'get', () => {
+        it( 'returns cached responses within the TTL and counts the hit', () => {
+            const { service, databaseService } = makeService( {
+                config: { 'aiCache.ttlHours': 2 },
+                databaseOverrides: { getAiCacheEntry: jest.fn().mockReturnValue( { response: 'Cached facts' } ) }
+            } );
+
+            expect( service.get( 'popfacts', 'Chic', 'Le Freak', 'tpl' ) ).toBe( 'Cached facts' );
+            expect( databaseService.getAiCacheEntry ).toHaveBeenCalledWith( expect.stringMatching( /^popfacts\|chic\|le freak\|/ ), 7200 );
+            expect( databaseService.recordAiCacheHit ).toHaveBeenCalled();
+            expect( service.getStats() ).toEqual( expect.objectContaining( { sessionHits: 1, sessionMisses: 0 } ) );
+        } );
+
+        it( 'counts misses', () => {
+            const { service } = makeService();
+            expect( service.get( 'popfacts', 'Chic', 'Le Freak', 'tpl' ) ).toBeNull();
+            expect( service.getStats().sessionMisses ).toBe( 1 );
+        } );
+
+        it( 'is off when the TTL is 0', () => {
+            const { service, databaseService } = makeService( { config: { 'aiCache.ttlHours': 0 } } );
+            expect( service.get( 'popfacts', 'Chic', 'Le Freak', 'tpl' ) ).toBeNull();
+            service.set( 'popfacts', 'Chic', 'Le Freak', 'tpl', 'Facts' );
+            expect( databaseService.getAiCacheEntry ).not.toHaveBeenCalled();
+            expect( databaseService.saveAiCacheEntry ).not.toHaveBeenCalled();
+        } );
+
+        it( 'treats database errors as a miss', () => {
+            const { service } = makeService( { databaseOverrides: { getAiCacheEntry: jest.fn( () => { throw new Error( 'locked' ); } ) } } );
+            expect( service.get( 'popfacts', 'Chic', 'Le Freak', 'tpl' ) ).toBeNull();
+        } );
+    } );
+
+    it( 'stores responses with the template hash', () => {
+        const { service, databaseService } = makeService();
+        service.set( 'whatyear', 'Chic', 'Le Freak', 'tpl', '1978' );
+        expect( databaseService.saveAiCacheEntry ).toHaveBeenCalledWith( expect.objectContaining( {
+            command: 'whatyear',
+            artistName: 'Chic',
+            trackName: 'Le Freak',
+            templateHash: AiCacheService.hashTemplate( 'tpl' ),
+            response: '1978'
+        } ) );
+    } );
+
+    it( 'does not store the AI service fallback messages', () => {
+        const { service, databaseService } = makeService();
+        service.set( 'whatyear', 'Chic', 'Le Freak', 'tpl', "I'm unable to process your request at the moment. Please try again later." );
+        service.set( 'whatyear', 'Chic', 'Le Freak', 'tpl', 'Machine learning service is not initialized. Please check your configuration.' );
+        expect( databaseService.saveAiCacheEntry ).not.toHaveBeenCalled();
+    } );
+
+    it( 'clears entries for a command', () => {
+        const { service, databaseService } = makeService();
+        expect( service.clear( 'popfacts' ) ).toBe( 2 );
+        expect( databaseService.clearAiCache ).toHaveBeenCalledWith( 'popfacts' );
+    } );
+
+    it( 'does nothing when the database is unavailable', () => {
+        const { service } = makeService( { databaseOverrides: { initialized: false } } );
+        expect( service.isAvailable() ).toBe( false );
+        expect( service.clear() ).toBe( 0 );
+        expect( service.getEntriesForSong( 'Chic', 'Le Freak' ) ).toEqual( [] );
+    } );
+} );
@@ -343,6 +343,56 @@ describe( 'commandService', () => {
       expect( result.error ).toBe( 'Insufficient permissions' );
       expect( result.response ).toContain( 'don\'t have permission' );
     } );
+
+    test( 'should apply role overrides and allow lists from botConfig', async () => {
+      const dataService = {
+        ...mockServices.dataService,
+        getValue: jest.fn( key => key === 'commandPermissions'
+          ? { ping: { role: 'MODERATOR' }, state: { allow: [ 'testUser' ] } }
+          : undefined )
+      };
+      const services = { ...mockServices, dataService };
+
+      const denied = await commandService( 'ping', '', services, mockContext );
+      expect( denied.error ).toBe( 'Insufficient permissions' );
+      expect( denied.response ).toContain( 'Required role: MODERATOR' );
+
+      const allowed = await commandService( 'state', '', services, mockContext );
+      expect( allowed.success ).toBe( true );
+    } );
+
+    test( 'should keep users on a command\'s deny list out', async () => {
+      const dataService = {
+        ...mockServices.dataService,
+        getValue: jest.fn( key => key === 'commandPermissions' ? { ping: { deny: [ 'testUser' ] } } : undefined )
+      };
+
+      const result = await commandService( 'ping', '', { ...mockServices, dataService }, mockContext );
+      expect( result.error ).toBe( 'Insufficient permissions' );
+      expect( result.response ).not.toContain( 'Required role' );
+    } );
+
+    test( 'should hold back a command that is cooling down', async () => {
+      const cooldownService = { consume: jest.fn().mockReturnValue( { allowed: false, scope: 'user', remainingSeconds: 12 } ) };
+      const result = await commandService( 'ping', '', { ...mockServices, cooldownService }, mockContext );
+
+      expect( cooldownService.consume ).toHaveBeenCalledWith( 'ping', 'testUser', { isMl: false } );
+      expect( result.success ).toBe( false );
+      expect( result.error ).toBe( 'Cooldown active' );
+      expect( mockMessageService.sendResponse ).toHaveBeenCalledWith(
+        expect.stringContaining( 'Slow down' ),
+        expect.objectContaining( { isPrivateMessage: true, sender: 'testUser' } )
+      );
+    } );
+
+    test( 'should let moderators skip cooldowns', async () => {
+      mockStateService.getUserRole.mockReturnValue( 'moderator' );
+      const cooldownService = { consume: jest.fn().mockReturnValue( { allowed: false, scope: 'user', remainingSeconds: 12 } ) };
+      const result = await commandService( 'ping', '', { ...mockServices, cooldownService }, mockContext );
+
+      expect( cooldownService.consume ).not.toHaveBeenCalled();
+      expect( result.success ).toBe( true );
+    } );
   } );
 
   describe( 'formatUptime utility (via status command)', () => {
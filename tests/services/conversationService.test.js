@@ -0,0 +1,169 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const ConversationService = require( '../../src/services/conversationService' );
+
+function makeService ( { reply = 'Hey Alice, great to see you!', config = {}, history = [] } = {} ) {
+    const services = {
+        config: { BOT_UID: 'bot-uuid' },
+        getState: jest.fn( key => ( key === 'botNickname' ? 'Mr. Roboto' : undefined ) ),
+        dataService: {
+            getValue: jest.fn( key => config[ key ] )
+        },
+        stateService: {
+            _getAllUserData: jest.fn().mockReturnValue( { 'uuid-alice': { userProfile: { nickname: 'Alice' } } } )
+        },
+        messageService: {
+            formatMention: jest.fn( uuid => `<@uid:${ uuid }>` ),
+            sendResponse: jest.fn().mockResolvedValue( undefined ),
+            sendPrivateMessage: jest.fn().mockResolvedValue( undefined )
+        },
+        machineLearningService: {
+            activeBackend: 'gemma',
+            askGoogleAI: jest.fn().mockResolvedValue( reply ),
+            loadConversationHistory: jest.fn().mockResolvedValue( history ),
+            saveConversationEntry: jest.fn().mockResolvedValue( undefined )
+        }
+    };
+    return { service: new ConversationService( services ), services };
+}
+
+const publicMessage = { isPrivateMessage: false };
+const privateMessage = { isPrivateMessage: true };
+
+describe( 'ConversationService', () => {
+    describe( 'isMentioned', () => {
+        it( 'matches @name case-insensitively, including names with punctuation', () => {
+            const { service } = makeService();
+            expect( service.isMentioned( 'hey @mr. roboto how are you' ) ).toBe( true );
+            expect( service.isMentioned( '@Mr. Roboto!' ) ).toBe( true );
+        } );
+
+        it( 'matches a chat mention of the bot UUID', () => {
+            const { service } = makeService();
+            expect( service.isMentioned( '<@uid:bot-uuid> hello' ) ).toBe( true );
+        } );
+
+        it( 'ignores messages that don\'t mention the bot', () => {
+            const { service } = makeService();
+            expect( service.isMentioned( 'Mr. Roboto is great' ) ).toBe( false );
+            expect( service.isMentioned( '@Mr. Robotoooo' ) ).toBe( false );
+            expect( service.isMentioned( undefined ) ).toBe( false );
+        } );
+    } );
+
+    describe( 'checkRateLimit', () => {
+        it( 'allows up to the configured number of messages per window', () => {
+            const { service } = makeService( { config: { 'conversation.rateLimit.maxMessages': 2, 'conversation.rateLimit.windowSeconds': 60 } } );
+            expect( service.checkRateLimit( 'u', 0 ).allowed ).toBe( true );
+            expect( service.checkRateLimit( 'u', 1000 ).allowed ).toBe( true );
+            expect( service.checkRateLimit( 'u', 2000 ) ).toEqual( { allowed: false, retryAfterSeconds: 58 } );
+            expect( service.checkRateLimit( 'u', 60000 ).allowed ).toBe( true );
+        } );
+
+        it( 'tracks users separately', () => {
+            const { service } = makeService( { config: { 'conversation.rateLimit.maxMessages': 1 } } );
+            expect( service.checkRateLimit( 'a', 0 ).allowed ).toBe( true );
+            expect( service.checkRateLimit( 'b', 0 ).allowed ).toBe( true );
+        } );
+    } );
+
+    describe( 'buildPrompt', () => {
+        it( 'includes previous exchanges and the new message', () => {
+            const { service } = makeService();
+            const prompt = service.buildPrompt( 'Alice', 'what next?', [ { question: 'hi', response: 'hello' } ] );
+            expect( prompt ).toContain( 'Alice: hi\nMr. Roboto: hello' );
+            expect( prompt ).toContain( '## New message from Alice\nwhat next?' );
+        } );
+    } );
+
+    describe( 'handleMessage', () => {
+        it( 'lets the model use the room lookup tools', async () => {
+            const { service, services } = makeService();
+            const toolSet = { definitions: [] };
+            services.llmToolService = { createToolSet: jest.fn().mockReturnValue( toolSet ) };
+            await service.handleMessage( 'what has been played tonight?', 'uuid-alice', privateMessage );
+
+            expect( services.llmToolService.createToolSet ).toHaveBeenCalledWith( 'conversation' );
+            expect( services.machineLearningService.askGoogleAI ).toHaveBeenCalledWith( expect.any( String ), toolSet, expect.objectContaining( { command: 'conversation' } ) );
+        } );
+
+        it( 'replies publicly with a mention when the bot is mentioned', async () => {
+            const { service, services } = makeService();
+            const response = await service.handleMessage( '@Mr. Roboto how are you?', 'uuid-alice', publicMessage );
+
+            expect( services.machineLearningService.askGoogleAI ).toHaveBeenCalledWith(
+                expect.stringContaining( 'how are you?' ),
+                undefined,
+                { command: 'conversation', userUuid: 'uuid-alice' }
+            );
+            expect( services.machineLearningService.askGoogleAI.mock.calls[ 0 ][ 0 ] ).not.toContain( '@Mr. Roboto' );
+            expect( response ).toBe( '<@uid:uuid-alice> Hey Alice, great to see you!' );
+            expect( services.messageService.sendResponse ).toHaveBeenCalledWith( response, expect.objectContaining( { isPrivateMessage: false } ) );
+            expect( services.machineLearningService.saveConversationEntry ).toHaveBeenCalledWith(
+                'how are you?',
+                'Hey Alice, great to see you!',
+                { userUuid: 'uuid-alice', nickname: 'Alice' }
+            );
+        } );
+
+        it( 'replies to private messages without a mention', async () => {
+            const { service, services } = makeService();
+            const response = await service.handleMessage( 'tell me a joke', 'uuid-alice', privateMessage );
+            expect( response ).toBe( 'Hey Alice, great to see you!' );
+            expect( services.messageService.sendResponse ).toHaveBeenCalledWith( response, expect.objectContaining( { isPrivateMessage: true, sender: 'uuid-alice' } ) );
+        } );
+
+        it( 'ignores public messages that don\'t mention the bot', async () => {
+            const { service, services } = makeService();
+            expect( await service.handleMessage( 'great tune', 'uuid-alice', publicMessage ) ).toBeNull();
+            expect( services.machineLearningService.askGoogleAI ).not.toHaveBeenCalled();
+        } );
+
+        it( 'sends the user\'s history to the model', async () => {
+            const { service, services } = makeService( { history: [ { question: 'my name is Alice', response: 'Nice to meet you' } ] } );
+            await service.handleMessage( 'what is my name?', 'uuid-alice', privateMessage );
+            expect( services.machineLearningService.loadConversationHistory ).toHaveBeenCalledWith( 'uuid-alice' );
+            expect( services.machineLearningService.askGoogleAI ).toHaveBeenCalledWith( expect.stringContaining( 'Alice: my name is Alice' ), undefined, expect.objectContaining( { command: 'conversation' } ) );
+        } );
+
+        it.each( [
+            "I'm unable to process your request at the moment. Please try again later.",
+            'Machine learning service is not initialized. Please check your configuration.',
+            'An error occurred'
+        ] )( 'does not save or send unusable replies: %s', async reply => {
+            const { service, services } = makeService( { reply } );
+            expect( await service.handleMessage( 'hello', 'uuid-alice', privateMessage ) ).toBeNull();
+            expect( services.machineLearningService.saveConversationEntry ).not.toHaveBeenCalled();
+            expect( services.messageService.sendResponse ).not.toHaveBeenCalled();
+        } );
+
+        it( 'tells rate limited users once per window', async () => {
+            const { service, services } = makeService( { config: { 'conversation.rateLimit.maxMessages': 1 } } );
+            await service.handleMessage( 'one', 'uuid-alice', privateMessage );
+            await service.handleMessage( 'two', 'uuid-alice', privateMessage );
+            await service.handleMessage( 'three', 'uuid-alice', privateMessage );
+
+            expect( services.machineLearningService.askGoogleAI ).toHaveBeenCalledTimes( 1 );
+            expect( services.messageService.sendPrivateMessage ).toHaveBeenCalledTimes( 1 );
+            expect( services.messageService.sendPrivateMessage ).toHaveBeenCalledWith( expect.stringContaining( 'try again in' ), 'uuid-alice', services );
+        } );
+
+        it( 'replies with the budget message without asking the AI once the budget is spent', async () => {
+            const { service, services } = makeService();
+            services.llmUsageService = { checkBudget: jest.fn().mockReturnValue( { exceeded: true, message: 'Out of AI budget' } ) };
+            expect( await service.handleMessage( 'hello', 'uuid-alice', privateMessage ) ).toBe( 'Out of AI budget' );
+            expect( services.machineLearningService.askGoogleAI ).not.toHaveBeenCalled();
+            expect( services.machineLearningService.saveConversationEntry ).not.toHaveBeenCalled();
+        } );
+
+        it( 'does nothing when the AI is not available', async () => {
+            const { service, services } = makeService();
+            services.machineLearningService.activeBackend = null;
+            expect( await service.handleMessage( 'hello', 'uuid-alice', privateMessage ) ).toBeNull();
+        } );
+    } );
+} );
@@ -0,0 +1,114 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const CooldownService = require( '../../src/services/cooldownService' );
+
+function makeService ( cooldowns = {} ) {
+    const data = { commandCooldowns: cooldowns };
+    const dataService = {
+        getValue: jest.fn( key => key.split( '.' ).reduce( ( obj, k ) => obj?.[ k ], data ) ),
+        setValue: jest.fn( async ( key, value ) => {
+            const parts = key.split( '.' );
+            const last = parts.pop();
+            const target = parts.reduce( ( obj, k ) => ( obj[ k ] = obj[ k ] || {} ), data );
+            target[ last ] = value;
+        } )
+    };
+    return { service: new CooldownService( { dataService } ), dataService };
+}
+
+describe( 'CooldownService', () => {
+    let now;
+
+    beforeEach( () => {
+        now = 1700000000000;
+        jest.spyOn( Date, 'now' ).mockImplementation( () => now );
+    } );
+
+    afterEach( () => {
+        jest.restoreAllMocks();
+    } );
+
+    describe( 'getSettings', () => {
+        it( 'fills in defaults and ignores invalid values', () => {
+            const { service } = makeService( { standard: { user: 10, global: -1 }, commands: { props: 30, bad: 'x' } } );
+            const settings = service.getSettings();
+            expect( settings.standard ).toEqual( { command: 0, user: 10, global: 0 } );
+            expect( settings.ml ).toEqual( CooldownService.DEFAULT_COOLDOWNS.ml );
+            expect( settings.commands ).toEqual( { props: 30 } );
+        } );
+    } );
+
+    describe( 'consume', () => {
+        it( 'holds back the same user until their cooldown passes', () => {
+            const { service } = makeService( { standard: { command: 0, user: 5, global: 0 } } );
+            expect( service.consume( 'props', 'alice' ).allowed ).toBe( true );
+
+            now += 2000;
+            expect( service.consume( 'ping', 'alice' ) ).toEqual( { allowed: false, scope: 'user', remainingSeconds: 3 } );
+            expect( service.consume( 'props', 'bob' ).allowed ).toBe( true );
+
+            now += 3000;
+            expect( service.consume( 'ping', 'alice' ).allowed ).toBe( true );
+        } );
+
+        it( 'holds back a command for everyone and uses per-command overrides', () => {
+            const { service } = makeService( { standard: { command: 0, user: 0, global: 0 }, commands: { props: 30 } } );
+            service.consume( 'props', 'alice' );
+            now += 10000;
+            expect( service.consume( 'props', 'bob' ) ).toEqual( { allowed: false, scope: 'command', remainingSeconds: 20 } );
+            expect( service.consume( 'ping', 'bob' ).allowed ).toBe( true );
+        } );
+
+        it( 'keeps ML commands separate with their own values', () => {
+            const { service } = makeService( { standard: { command: 0, user: 5, global: 0 }, ml: { command: 0, user: 60, global: 0 } } );
+            service.consume( 'popfacts', 'alice', { isMl: true } );
+            now += 10000;
+            expect( service.consume( 'props', 'alice' ).allowed ).toBe( true );
+            expect( service.consume( 'meaning', 'alice', { isMl: true } ) ).toEqual( { allowed: false, scope: 'user', remainingSeconds: 50 } );
+        } );
+
+        it( 'applies the global cooldown to everyone', () => {
+            const { service } = makeService( { ml: { command: 0, user: 0, global: 5 } } );
+            service.consume( 'popfacts', 'alice', { isMl: true } );
+            expect( service.consume( 'meaning', 'bob', { isMl: true } ).scope ).toBe( 'global' );
+        } );
+
+        it( 'does not start cooldowns for a blocked attempt', () => {
+            const { service } = makeService( { standard: { command: 10, user: 0, global: 0 } } );
+            service.consume( 'props', 'alice' );
+            now += 5000;
+            service.consume( 'props', 'bob' );
+            now += 5000;
+            expect( service.consume( 'props', 'bob' ).allowed ).toBe( true );
+        } );
+
+        it( 'clears running cooldowns on reset', () => {
+            const { service } = makeService();
+            service.consume( 'props', 'alice' );
+            service.reset();
+            expect( service.consume( 'props', 'alice' ).allowed ).toBe( true );
+        } );
+    } );
+
+    describe( 'changing settings', () => {
+        it( 'saves group values', async () => {
+            const { service, dataService } = makeService();
+            await service.setCooldown( 'ml', 'user', 120 );
+            expect( dataService.setValue ).toHaveBeenCalledWith( 'commandCooldowns.ml.user', 120 );
+            expect( service.getSettings().ml.user ).toBe( 120 );
+            await expect( service.setCooldown( 'ml', 'nonsense', 1 ) ).rejects.toThrow( 'Invalid cooldown setting' );
+        } );
+
+        it( 'saves and removes per-command values', async () => {
+            const { service } = makeService();
+            await service.setCommandCooldown( 'props', 45 );
+            expect( service.getSettings().commands ).toEqual( { props: 45 } );
+            await service.setCommandCooldown( 'props', null );
+            expect( service.getSettings().commands ).toEqual( {} );
+        } );
+    } );
+} );
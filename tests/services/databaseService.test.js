@@ -197,6 +197,372 @@ describe( 'DatabaseService', () => {
     } );
   } );
 
+  describe( 'DJ queue', () => {
+    beforeEach( async () => {
+      await databaseService.initialize();
+      jest.clearAllMocks();
+      mockDatabase.transaction = jest.fn( fn => fn );
+    } );
+
+    afterEach( () => {
+      delete mockDatabase.transaction;
+    } );
+
+    test( 'should get the queue ordered by position', () => {
+      const rows = [ { uuid: 'a', nickname: 'Alice', position: 1 } ];
+      mockStatement.all.mockReturnValue( rows );
+
+      expect( databaseService.getDjQueue() ).toEqual( rows );
+      expect( mockDatabase.prepare ).toHaveBeenCalledWith( expect.stringContaining( 'ORDER BY position' ) );
+    } );
+
+    test( 'should replace the queue when saving', () => {
+      databaseService.saveDjQueue( [
+        { uuid: 'a', nickname: 'Alice', notifiedAt: null, leftAt: null },
+        { uuid: 'b', nickname: 'Bob', notifiedAt: 123, leftAt: 456 }
+      ] );
+
+      expect( mockDatabase.prepare ).toHaveBeenCalledWith( 'DELETE FROM dj_queue' );
+      expect( mockStatement.run ).toHaveBeenCalledWith( 'a', 'Alice', 1, null, null );
+      expect( mockStatement.run ).toHaveBeenCalledWith( 'b', 'Bob', 2, 123, 456 );
+    } );
+
+    test( 'should throw if not initialized', () => {
+      databaseService.initialized = false;
+      expect( () => databaseService.getDjQueue() ).toThrow( 'DatabaseService not initialized' );
+      expect( () => databaseService.saveDjQueue( [] ) ).toThrow( 'DatabaseService not initialized' );
+    } );
+  } );
+
+  describe( 'statistics', () => {
+    beforeEach( async () => {
+      await databaseService.initialize();
+      jest.clearAllMocks();
+    } );
+
+    test( 'should get top DJs with an optional time window', () => {
+      const rows = [ { uuid: 'a', nickname: 'Alice', playCount: 3 } ];
+      mockStatement.all.mockReturnValue( rows );
+
+      expect( databaseService.getTopDJs( 5, '-7 days' ) ).toEqual( rows );
+      expect( mockStatement.all ).toHaveBeenCalledWith( '-7 days', '-7 days', 5 );
+      expect( databaseService.getTopDJs( 10 ) ).toEqual( rows );
+      expect( mockStatement.all ).toHaveBeenCalledWith( null, null, 10 );
+    } );
+
+    test( 'should group top songs by artist and track', () => {
+      mockStatement.all.mockReturnValue( [] );
+      databaseService.getTopSongs( 5 );
+      expect( mockDatabase.prepare ).toHaveBeenCalledWith( expect.stringContaining( 'GROUP BY LOWER(s.artist_name), LOWER(s.track_name)' ) );
+    } );
+
+    test( 'should filter top artists by DJ', () => {
+      mockStatement.all.mockReturnValue( [] );
+      databaseService.getTopArtists( 1, null, 'dj1' );
+      expect( mockStatement.all ).toHaveBeenCalledWith( null, null, 'dj1', 'dj1', 1 );
+    } );
+
+    test( 'should get song plays case-insensitively', () => {
+      mockStatement.all.mockReturnValue( [] );
+      databaseService.getSongPlays( 'Chic', 'Le Freak' );
+      expect( mockStatement.all ).toHaveBeenCalledWith( 'Chic', 'Le Freak' );
+      expect( mockDatabase.prepare ).toHaveBeenCalledWith( expect.stringContaining( 'LOWER(s.artist_name) = LOWER(?)' ) );
+    } );
+
+    test( 'should count an artist\'s plays case-insensitively', () => {
+      mockStatement.get.mockReturnValue( { playCount: 4 } );
+      expect( databaseService.getArtistPlayCount( 'chic' ) ).toBe( 4 );
+      expect( mockStatement.get ).toHaveBeenCalledWith( 'chic' );
+      mockStatement.get.mockReturnValue( undefined );
+      expect( databaseService.getArtistPlayCount( 'Nobody' ) ).toBe( 0 );
+    } );
+
+    test( 'should get the latest play of a track', () => {
+      const row = { timestamp: '2024-01-01 20:00:00', dj_uuid: 'dj1', nickname: 'Alice', artist_name: 'Chic' };
+      mockStatement.get.mockReturnValue( row );
+      expect( databaseService.getLastPlayOfTrack( 'le freak' ) ).toEqual( row );
+      expect( mockDatabase.prepare ).toHaveBeenCalledWith( expect.stringContaining( 'ORDER BY sp.timestamp DESC' ) );
+      mockStatement.get.mockReturnValue( undefined );
+      expect( databaseService.getLastPlayOfTrack( 'Unknown' ) ).toBeNull();
+    } );
+
+    test( 'should save conversation entries', () => {
+      databaseService.saveConversationEntry( { userUuid: 'u1', nickname: 'Alice', message: 'hi', response: 'hello' } );
+      expect( mockStatement.run ).toHaveBeenCalledWith( 'u1', 'Alice', 'hi', 'hello' );
+    } );
+
+    test( 'should get a user\'s latest conversation history oldest first', () => {
+      mockStatement.all.mockReturnValue( [] );
+      databaseService.getConversationHistory( 'u1', 3 );
+      expect( mockStatement.all ).toHaveBeenCalledWith( 'u1', 3 );
+      expect( mockDatabase.prepare ).toHaveBeenCalledWith( expect.stringContaining( 'ORDER BY id ASC' ) );
+    } );
+
+    test( 'should prune old entries and cap each user\'s history', () => {
+      mockStatement.run.mockReturnValue( { changes: 2 } );
+      const deleted = databaseService.pruneConversationHistory( { retentionDays: 7, userUuid: 'u1', maxEntriesPerUser: 20 } );
+      expect( mockStatement.run ).toHaveBeenCalledWith( '-7 days' );
+      expect( mockStatement.run ).toHaveBeenCalledWith( 'u1', 'u1', 20 );
+      expect( deleted ).toBe( 4 );
+    } );
+
+    test( 'should count conversations', () => {
+      mockStatement.get.mockReturnValue( { count: 12 } );
+      expect( databaseService.getConversationCount() ).toBe( 12 );
+    } );
+
+    test( 'should throw if not initialized', () => {
+      databaseService.initialized = false;
+      expect( () => databaseService.getTopDJs() ).toThrow( 'DatabaseService not initialized' );
+      expect( () => databaseService.getConversationCount() ).toThrow( 'DatabaseService not initialized' );
+    } );
+  } );
+
+  describe( 'AI response cache', () => {
+    beforeEach( async () => {
+      await databaseService.initialize();
+      jest.clearAllMocks();
+    } );
+
+    test( 'should create the cache table', async () => {
+      await databaseService.initialize();
+      expect( mockDatabase.exec ).toHaveBeenCalledWith( expect.stringContaining( 'CREATE TABLE IF NOT EXISTS ai_response_cache' ) );
+    } );
+
+    test( 'should only return entries younger than the max age', () => {
+      mockStatement.get.mockReturnValue( undefined );
+      expect( databaseService.getAiCacheEntry( 'key', 3600 ) ).toBeNull();
+      expect( mockStatement.get ).toHaveBeenCalledWith( 'key', '-3600 seconds' );
+    } );
+
+    test( 'should replace entries when saving', () => {
+      databaseService.saveAiCacheEntry( { cacheKey: 'key', command: 'popfacts', artistName: 'Chic', trackName: 'Le Freak', templateHash: 'abc', response: 'Facts' } );
+      expect( mockDatabase.prepare ).toHaveBeenCalledWith( expect.stringContaining( 'INSERT OR REPLACE INTO ai_response_cache' ) );
+      expect( mockStatement.run ).toHaveBeenCalledWith( 'key', 'popfacts', 'Chic', 'Le Freak', 'abc', 'Facts' );
+    } );
+
+    test( 'should clear one command or everything', () => {
+      mockStatement.run.mockReturnValue( { changes: 3 } );
+      expect( databaseService.clearAiCache( 'popfacts' ) ).toBe( 3 );
+      expect( mockStatement.run ).toHaveBeenCalledWith( 'popfacts', 'popfacts' );
+      databaseService.clearAiCache();
+      expect( mockStatement.run ).toHaveBeenCalledWith( null, null );
+    } );
+
+    test( 'should throw if not initialized', () => {
+      databaseService.initialized = false;
+      expect( () => databaseService.getAiCacheStats() ).toThrow( 'DatabaseService not initialized' );
+    } );
+  } );
+
+  describe( 'verification cache', () => {
+    beforeEach( async () => {
+      await databaseService.initialize();
+      jest.clearAllMocks();
+    } );
+
+    test( 'should create the verification cache table', async () => {
+      await databaseService.initialize();
+      expect( mockDatabase.exec ).toHaveBeenCalledWith( expect.stringContaining( 'CREATE TABLE IF NOT EXISTS verification_cache' ) );
+    } );
+
+    test( 'should only return entries that have not expired, with the data parsed', () => {
+      mockStatement.get.mockReturnValue( { cache_key: 'chic|le freak', found: 1, data: '{"track":{"title":"Le Freak"}}', created_at: '2026-03-01 20:00:00', hits: 0 } );
+      const entry = databaseService.getVerificationCacheEntry( 'chic|le freak' );
+      expect( mockDatabase.prepare ).toHaveBeenCalledWith( expect.stringContaining( "expires_at > datetime('now')" ) );
+      expect( entry.found ).toBe( true );
+      expect( entry.data ).toEqual( { track: { title: 'Le Freak' } } );
+
+      mockStatement.get.mockReturnValue( undefined );
+      expect( databaseService.getVerificationCacheEntry( 'missing' ) ).toBeNull();
+    } );
+
+    test( 'should replace entries when saving, with an expiry from the TTL', () => {
+      databaseService.saveVerificationCacheEntry( { cacheKey: 'chic|le freak', artistName: 'Chic', trackName: 'Le Freak', found: false, data: { track: {} }, ttlSeconds: 86400 } );
+      expect( mockDatabase.prepare ).toHaveBeenCalledWith( expect.stringContaining( 'INSERT OR REPLACE INTO verification_cache' ) );
+      expect( mockStatement.run ).toHaveBeenCalledWith( 'chic|le freak', 'Chic', 'Le Freak', 0, '{"track":{}}', '+86400 seconds' );
+    } );
+
+    test( 'should clear expired entries or everything', () => {
+      mockStatement.run.mockReturnValue( { changes: 2 } );
+      expect( databaseService.clearVerificationCache( true ) ).toBe( 2 );
+      expect( mockDatabase.prepare ).toHaveBeenCalledWith( expect.stringContaining( "WHERE expires_at <= datetime('now')" ) );
+      databaseService.clearVerificationCache();
+      expect( mockDatabase.prepare ).toHaveBeenLastCalledWith( 'DELETE FROM verification_cache' );
+    } );
+
+    test( 'should throw if not initialized', () => {
+      databaseService.initialized = false;
+      expect( () => databaseService.getVerificationCacheStats() ).toThrow( 'DatabaseService not initialized' );
+    } );
+  } );
+
+  describe( 'song metadata', () => {
+    beforeEach( async () => {
+      await databaseService.initialize();
+      jest.clearAllMocks();
+    } );
+
+    test( 'should create the song metadata table', async () => {
+      await databaseService.initialize();
+      expect( mockDatabase.exec ).toHaveBeenCalledWith( expect.stringContaining( 'CREATE TABLE IF NOT EXISTS song_metadata' ) );
+    } );
+
+    test( 'should parse genres when reading metadata', () => {
+      mockStatement.get.mockReturnValue( { song_id: 'short-1', release_year: 1978, genres: '["disco","funk"]' } );
+      expect( databaseService.getSongMetadata( 'short-1' ) ).toEqual( { song_id: 'short-1', release_year: 1978, genres: [ 'disco', 'funk' ] } );
+
+      mockStatement.get.mockReturnValue( undefined );
+      expect( databaseService.getSongMetadata( 'missing' ) ).toBeNull();
+    } );
+
+    test( 'should upsert metadata, keeping the first album, duration and ISRC stored', () => {
+      databaseService.saveSongMetadata( 'short-1', {
+        releaseYear: 1978,
+        releaseDate: '1978-09-21',
+        album: 'C\'est Chic',
+        genres: [ 'disco' ],
+        duration: 330,
+        musicbrainzRecordingId: 'mb-rec'
+      }, { verified: true } );
+
+      const sql = mockDatabase.prepare.mock.calls[ 0 ][ 0 ];
+      expect( sql ).toContain( 'ON CONFLICT(song_id) DO UPDATE' );
+      expect( sql ).toContain( 'album = COALESCE(album, excluded.album)' );
+      expect( sql ).toContain( 'release_year = COALESCE(excluded.release_year, release_year)' );
+      expect( mockStatement.run ).toHaveBeenCalledWith(
+        'short-1', 1978, '1978-09-21', 'C\'est Chic', '["disco"]', 330, null, 'mb-rec', null, 1, 1
+      );
+    } );
+
+    test( 'should leave genres alone when none are given', () => {
+      databaseService.saveSongMetadata( 'short-1', { album: 'C\'est Chic', genres: [] } );
+      expect( mockStatement.run ).toHaveBeenCalledWith(
+        'short-1', null, null, 'C\'est Chic', null, null, null, null, null, 0, 0
+      );
+    } );
+
+    test( 'should pick unverified songs under the attempt limit', () => {
+      mockStatement.all.mockReturnValue( [ { song_id: 'short-1', artist_name: 'Chic', track_name: 'Le Freak' } ] );
+      expect( databaseService.getSongsNeedingMetadata( 2, 3 ) ).toHaveLength( 1 );
+      expect( mockDatabase.prepare ).toHaveBeenCalledWith( expect.stringContaining( 'm.verified_at IS NULL AND m.attempts < ?' ) );
+      expect( mockStatement.all ).toHaveBeenCalledWith( 3, 2 );
+    } );
+
+    test( 'should count attempts that found nothing', () => {
+      databaseService.recordSongMetadataAttempt( 'short-1' );
+      expect( mockDatabase.prepare ).toHaveBeenCalledWith( expect.stringContaining( 'attempts = attempts + 1' ) );
+      expect( mockStatement.run ).toHaveBeenCalledWith( 'short-1' );
+    } );
+
+    test( 'should throw if not initialized', () => {
+      databaseService.initialized = false;
+      expect( () => databaseService.getSongMetadataStats() ).toThrow( 'DatabaseService not initialized' );
+    } );
+  } );
+
+  describe( 'LLM usage', () => {
+    beforeEach( async () => {
+      await databaseService.initialize();
+      jest.clearAllMocks();
+    } );
+
+    test( 'should create the usage table', async () => {
+      await databaseService.initialize();
+      expect( mockDatabase.exec ).toHaveBeenCalledWith( expect.stringContaining( 'CREATE TABLE IF NOT EXISTS llm_usage' ) );
+    } );
+
+    test( 'should record a call with nulls for missing details', () => {
+      databaseService.recordLlmUsage( { backend: 'gemma', model: 'gemma-3-27b-it', command: 'popfacts', latencyMs: 850, success: true, totalTokens: 420 } );
+      expect( mockDatabase.prepare ).toHaveBeenCalledWith( expect.stringContaining( 'INSERT INTO llm_usage' ) );
+      expect( mockStatement.run ).toHaveBeenCalledWith( 'gemma', 'gemma-3-27b-it', 'popfacts', null, 850, 1, null, null, null, 420 );
+    } );
+
+    test( 'should filter totals by period', () => {
+      mockStatement.get.mockReturnValue( { calls: 3, failures: 1, tokens: 900, avgLatencyMs: 700 } );
+      expect( databaseService.getLlmUsageTotals( 'start of day' ) ).toEqual( { calls: 3, failures: 1, tokens: 900, avgLatencyMs: 700 } );
+      expect( mockStatement.get ).toHaveBeenCalledWith( 'start of day', 'start of day' );
+    } );
+
+    test( 'should only group the breakdown by known columns', () => {
+      mockStatement.all.mockReturnValue( [] );
+      databaseService.getLlmUsageBreakdown( null, 'command' );
+      expect( mockDatabase.prepare ).toHaveBeenCalledWith( expect.stringContaining( 'GROUP BY command' ) );
+      expect( () => databaseService.getLlmUsageBreakdown( null, 'user_uuid; DROP TABLE llm_usage' ) ).toThrow( 'Invalid usage grouping' );
+    } );
+  } );
+
+  describe( 'personality revisions', () => {
+    beforeEach( async () => {
+      await databaseService.initialize();
+      jest.clearAllMocks();
+    } );
+
+    test( 'should create the revisions table', async () => {
+      await databaseService.initialize();
+      expect( mockDatabase.exec ).toHaveBeenCalledWith( expect.stringContaining( 'CREATE TABLE IF NOT EXISTS personality_revisions' ) );
+    } );
+
+    test( 'should store the next revision as a snapshot', () => {
+      databaseService.getPersonalityByName = jest.fn().mockReturnValue( {
+        name: 'Late Night DJ',
+        description: 'Mellow',
+        instructions: { MLPersonality: 'Calm' },
+        editableMessages: { welcomeMessage: 'Evening' },
+        disabledCommands: [ 'dice' ]
+      } );
+      mockStatement.get.mockReturnValue( { next: 4 } );
+
+      expect( databaseService.recordPersonalityRevision( 7, 'Late Night DJ', 'update', 'mod-uuid' ) ).toBe( 4 );
+
+      const [ personalityId, revision, action, author, snapshot ] = mockStatement.run.mock.calls[ 0 ];
+      expect( [ personalityId, revision, action, author ] ).toEqual( [ 7, 4, 'update', 'mod-uuid' ] );
+      expect( JSON.parse( snapshot ) ).toEqual( expect.objectContaining( { description: 'Mellow', mlPersonality: 'Calm', mlInstructions: '', disabledCommands: [ 'dice' ], triggers: {} } ) );
+    } );
+
+    test( 'should roll back by updating with the snapshot', () => {
+      mockStatement.get
+        .mockReturnValueOnce( { revision: 1, action: 'save', snapshot: JSON.stringify( { description: 'Mellow', mlPersonality: 'Calm' } ) } )
+        .mockReturnValueOnce( { name: 'Late Night DJ' } );
+      mockStatement.all.mockReturnValue( [ { revision: 3 } ] );
+      databaseService.updatePersonality = jest.fn();
+
+      expect( databaseService.rollbackPersonality( 'late night dj', 1, 'owner-uuid' ) ).toEqual( { name: 'Late Night DJ', revision: 3 } );
+      expect( databaseService.updatePersonality ).toHaveBeenCalledWith( {
+        name: 'Late Night DJ',
+        description: 'Mellow',
+        mlPersonality: 'Calm',
+        author: 'owner-uuid',
+        action: 'rollback to r1'
+      } );
+    } );
+
+    test( 'should delete the revision history with the personality', () => {
+      mockDatabase.transaction = jest.fn( fn => fn );
+      mockStatement.get.mockReturnValue( { id: 7, name: 'Late Night DJ' } );
+      databaseService.cleanupOrphanedContent = jest.fn().mockReturnValue( 0 );
+
+      try {
+        expect( databaseService.deletePersonality( 'late night dj' ) ).toEqual( { name: 'Late Night DJ', orphanedContentCleaned: 0 } );
+      } finally {
+        delete mockDatabase.transaction;
+      }
+
+      // Foreign keys are off, so the cascade can't be relied on to clear the history
+      const sql = mockDatabase.prepare.mock.calls.map( ( [ statement ] ) => statement );
+      expect( sql ).toContain( 'DELETE FROM personality_revisions WHERE personality_id = ?' );
+      expect( mockStatement.run ).toHaveBeenCalledWith( 7 );
+    } );
+
+    test( 'should not roll back to a revision that does not exist', () => {
+      mockStatement.get.mockReturnValue( undefined );
+      databaseService.updatePersonality = jest.fn();
+
+      expect( databaseService.rollbackPersonality( 'Late Night DJ', 99 ) ).toBeUndefined();
+      expect( databaseService.updatePersonality ).not.toHaveBeenCalled();
+    } );
+  } );
+
   describe( 'close', () => {
     test( 'should close database connection', async () => {
       await databaseService.initialize();
@@ -0,0 +1,228 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const DjQueueService = require( '../../src/services/djQueueService' );
+
+function makeServices ( { dataValues = {}, databaseService } = {} ) {
+    return {
+        databaseService: databaseService || {
+            initialized: true,
+            getDjQueue: jest.fn().mockReturnValue( [] ),
+            saveDjQueue: jest.fn()
+        },
+        dataService: {
+            getValue: jest.fn( key => dataValues[ key ] )
+        },
+        messageService: {
+            sendGroupMessage: jest.fn().mockResolvedValue( undefined ),
+            formatMention: jest.fn( uuid => `<@uid:${ uuid }>` )
+        }
+    };
+}
+
+describe( 'DjQueueService', () => {
+    let services;
+    let queue;
+
+    beforeEach( () => {
+        services = makeServices();
+        queue = new DjQueueService( services );
+    } );
+
+    describe( 'load', () => {
+        it( 'restores the queue from the database', () => {
+            services.databaseService.getDjQueue.mockReturnValue( [
+                { uuid: 'a', nickname: 'Alice', position: 1, notified_at: null, left_at: null },
+                { uuid: 'b', nickname: 'Bob', position: 2, notified_at: 123, left_at: null }
+            ] );
+            queue.load();
+            expect( queue.getQueue() ).toEqual( [
+                { uuid: 'a', nickname: 'Alice', notifiedAt: null, leftAt: null },
+                { uuid: 'b', nickname: 'Bob', notifiedAt: 123, leftAt: null }
+            ] );
+        } );
+
+        it( 'does nothing when the database is not initialized', () => {
+            services.databaseService.initialized = false;
+            queue.load();
+            expect( services.databaseService.getDjQueue ).not.toHaveBeenCalled();
+            expect( queue.getQueue() ).toEqual( [] );
+        } );
+
+        it( 'does not throw when the database read fails', () => {
+            services.databaseService.getDjQueue.mockImplementation( () => { throw new Error( 'boom' ); } );
+            expect( () => queue.load() ).not.toThrow();
+        } );
+    } );
+
+    describe( 'add / remove', () => {
+        it( 'appends users and reports their position', () => {
+            expect( queue.add( 'a', 'Alice' ) ).toEqual( { success: true, position: 1 } );
+            expect( queue.add( 'b', 'Bob' ) ).toEqual( { success: true, position: 2 } );
+            expect( services.databaseService.saveDjQueue ).toHaveBeenCalledTimes( 2 );
+        } );
+
+        it( 'rejects duplicates', () => {
+            queue.add( 'a', 'Alice' );
+            expect( queue.add( 'a', 'Alice' ) ).toEqual( { success: false, position: 1, error: 'Already queued' } );
+        } );
+
+        it( 'removes users and persists the change', () => {
+            queue.add( 'a', 'Alice' );
+            queue.add( 'b', 'Bob' );
+            expect( queue.remove( 'a' ) ).toBe( true );
+            expect( queue.getPosition( 'b' ) ).toBe( 1 );
+            expect( services.databaseService.saveDjQueue ).toHaveBeenLastCalledWith( [
+                expect.objectContaining( { uuid: 'b' } )
+            ] );
+        } );
+
+        it( 'returns false when removing someone not queued', () => {
+            expect( queue.remove( 'nobody' ) ).toBe( false );
+        } );
+    } );
+
+    describe( 'move', () => {
+        beforeEach( () => {
+            queue.add( 'a', 'Alice' );
+            queue.add( 'b', 'Bob' );
+            queue.add( 'c', 'Carol' );
+        } );
+
+        it( 'moves a user to the requested position', () => {
+            expect( queue.move( 'c', 1 ) ).toBe( 1 );
+            expect( queue.getQueue().map( e => e.uuid ) ).toEqual( [ 'c', 'a', 'b' ] );
+        } );
+
+        it( 'clamps positions past the end of the queue', () => {
+            expect( queue.move( 'a', 10 ) ).toBe( 3 );
+            expect( queue.getQueue().map( e => e.uuid ) ).toEqual( [ 'b', 'c', 'a' ] );
+        } );
+
+        it( 'returns null for users not in the queue', () => {
+            expect( queue.move( 'z', 1 ) ).toBeNull();
+        } );
+    } );
+
+    describe( 'findByName', () => {
+        it( 'prefers exact matches and falls back to partial matches', () => {
+            queue.add( 'a', 'DJ Alice' );
+            queue.add( 'b', 'Alice' );
+            expect( queue.findByName( 'alice' ).uuid ).toBe( 'b' );
+            expect( queue.findByName( 'dj' ).uuid ).toBe( 'a' );
+            expect( queue.findByName( 'zed' ) ).toBeNull();
+        } );
+    } );
+
+    describe( 'notifyNext', () => {
+        it( 'pings the head of the queue with the claim window', async () => {
+            queue.add( 'a', 'Alice' );
+            const entry = await queue.notifyNext();
+            expect( entry.uuid ).toBe( 'a' );
+            expect( services.messageService.sendGroupMessage ).toHaveBeenCalledWith(
+                expect.stringContaining( '<@uid:a>' ),
+                { services }
+            );
+            expect( services.messageService.sendGroupMessage.mock.calls[ 0 ][ 0 ] ).toContain( '60 seconds' );
+            expect( queue.getQueue()[ 0 ].notifiedAt ).toEqual( expect.any( Number ) );
+        } );
+
+        it( 'uses the configured claim window', async () => {
+            services.dataService.getValue.mockImplementation( key => key === 'djQueue.claimWindowMs' ? 30000 : undefined );
+            queue.add( 'a', 'Alice' );
+            await queue.notifyNext();
+            expect( services.messageService.sendGroupMessage.mock.calls[ 0 ][ 0 ] ).toContain( '30 seconds' );
+        } );
+
+        it( 'does not ping the same person twice', async () => {
+            queue.add( 'a', 'Alice' );
+            await queue.notifyNext();
+            expect( await queue.notifyNext() ).toBeNull();
+            expect( services.messageService.sendGroupMessage ).toHaveBeenCalledTimes( 1 );
+        } );
+
+        it( 'skips users who have left the hangout', async () => {
+            queue.add( 'a', 'Alice' );
+            queue.add( 'b', 'Bob' );
+            queue.markLeft( 'a' );
+            const entry = await queue.notifyNext();
+            expect( entry.uuid ).toBe( 'b' );
+        } );
+
+        it( 'returns null when the queue is empty', async () => {
+            expect( await queue.notifyNext() ).toBeNull();
+            expect( services.messageService.sendGroupMessage ).not.toHaveBeenCalled();
+        } );
+    } );
+
+    describe( 'processExpired', () => {
+        it( 'drops a user who missed their window and pings the next person', async () => {
+            queue.add( 'a', 'Alice' );
+            queue.add( 'b', 'Bob' );
+            await queue.notifyNext();
+            const notifiedAt = queue.getQueue()[ 0 ].notifiedAt;
+
+            const result = await queue.processExpired( notifiedAt + DjQueueService.DEFAULT_CLAIM_WINDOW_MS );
+
+            expect( result.expired.map( e => e.uuid ) ).toEqual( [ 'a' ] );
+            expect( queue.getQueue().map( e => e.uuid ) ).toEqual( [ 'b' ] );
+            expect( queue.getQueue()[ 0 ].notifiedAt ).toEqual( expect.any( Number ) );
+            expect( services.messageService.sendGroupMessage ).toHaveBeenCalledWith(
+                expect.stringContaining( 'missed their turn' ),
+                { services }
+            );
+        } );
+
+        it( 'keeps a notified user inside their window', async () => {
+            queue.add( 'a', 'Alice' );
+            await queue.notifyNext();
+            const notifiedAt = queue.getQueue()[ 0 ].notifiedAt;
+            const result = await queue.processExpired( notifiedAt + 1000 );
+            expect( result.expired ).toEqual( [] );
+            expect( queue.isQueued( 'a' ) ).toBe( true );
+        } );
+
+        it( 'drops users whose leave grace period has expired', async () => {
+            queue.add( 'a', 'Alice' );
+            queue.markLeft( 'a' );
+            const leftAt = queue.getQueue()[ 0 ].leftAt;
+
+            const early = await queue.processExpired( leftAt + 1000 );
+            expect( early.departed ).toEqual( [] );
+
+            const late = await queue.processExpired( leftAt + DjQueueService.DEFAULT_LEAVE_GRACE_MS );
+            expect( late.departed.map( e => e.uuid ) ).toEqual( [ 'a' ] );
+            expect( queue.getQueue() ).toEqual( [] );
+            expect( services.messageService.sendGroupMessage ).not.toHaveBeenCalled();
+        } );
+
+        it( 'keeps users who return within the grace period', async () => {
+            queue.add( 'a', 'Alice' );
+            queue.markLeft( 'a' );
+            const leftAt = queue.getQueue()[ 0 ].leftAt;
+            queue.markReturned( 'a' );
+            const result = await queue.processExpired( leftAt + DjQueueService.DEFAULT_LEAVE_GRACE_MS );
+            expect( result.departed ).toEqual( [] );
+            expect( queue.isQueued( 'a' ) ).toBe( true );
+        } );
+    } );
+
+    describe( 'handleDjAdded', () => {
+        it( 'removes the new DJ from the queue', () => {
+            queue.add( 'a', 'Alice' );
+            queue.handleDjAdded( 'a' );
+            expect( queue.isQueued( 'a' ) ).toBe( false );
+        } );
+    } );
+
+    describe( 'persistence', () => {
+        it( 'keeps working in memory when the database is unavailable', () => {
+            services.databaseService = null;
+            expect( queue.add( 'a', 'Alice' ).success ).toBe( true );
+            expect( queue.getPosition( 'a' ) ).toBe( 1 );
+        } );
+    } );
+} );
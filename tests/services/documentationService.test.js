@@ -610,6 +610,25 @@ describe( 'DocumentationService', () => {
             expect( htmlContent ).toContain( 'role-owner' );
         } );
 
+        it( 'should show permission overrides next to the role', () => {
+            const html = documentationService._generateCommandsHTML( {
+                'ML Commands': [ {
+                    name: 'popfacts',
+                    role: 'MODERATOR',
+                    defaultRole: 'USER',
+                    allow: [ 'helper-1' ],
+                    deny: [],
+                    description: 'Facts about the song',
+                    example: 'popfacts',
+                    hidden: false,
+                    disabled: false
+                } ]
+            }, 1 );
+
+            expect( html ).toContain( '<span class="role-badge role-moderator">MODERATOR</span>' );
+            expect( html ).toContain( '<span class="permission-note">(default USER, 1 allowed)</span>' );
+        } );
+
         it( 'should include status badge styles', async () => {
             fs.existsSync.mockReturnValue( true );
             fs.readdirSync.mockReturnValue( [] );
@@ -734,6 +753,72 @@ describe( 'DocumentationService', () => {
             expect( html ).toContain( 'DJ Cool' );
         } );
 
+        it( 'should list recent socket reconnects', async () => {
+            mockServices.stateService.getHangoutName.mockReturnValue( 'Test Hangout' );
+            mockServices.stateService._getCurrentState.mockReturnValue( {} );
+            mockServices.bot = {
+                getReconnectStatus: jest.fn().mockReturnValue( {
+                    status: 'connected',
+                    reconnects: 1,
+                    attempts: 0,
+                    connectedAt: '2026-03-01T20:05:00.000Z',
+                    lastMessageAt: '2026-03-01T20:06:00.000Z',
+                    nextAttemptAt: null,
+                    events: [
+                        { type: 'reconnected', at: '2026-03-01T20:05:00.000Z', attempts: 2, downtimeMs: 34000, missed: { joined: 2, left: 1, songs: 1 } },
+                        { type: 'failed', at: '2026-03-01T20:04:50.000Z', attempts: 1, error: 'Socket join room timeout after 60 seconds' },
+                        { type: 'disconnected', at: '2026-03-01T20:04:26.000Z', reason: 'socket closed' }
+                    ]
+                } )
+            };
+
+            const html = await documentationService.generateStatusPage();
+
+            expect( html ).toContain( 'Socket Connection' );
+            expect( html ).toContain( 'Reconnected after 2 attempts (down 34s; missed 2 joined, 1 left, 1 song)' );
+            expect( html ).toContain( 'Reconnect attempt 1 failed: Socket join room timeout after 60 seconds' );
+            expect( html ).toContain( 'Disconnected: socket closed' );
+        } );
+
+        it( 'should show how chat messages are arriving', async () => {
+            mockServices.stateService.getHangoutName.mockReturnValue( 'Test Hangout' );
+            mockServices.stateService._getCurrentState.mockReturnValue( {} );
+            mockServices.bot = {
+                getIngestionStatus: jest.fn().mockReturnValue( {
+                    transport: 'polling',
+                    pushEnabled: true,
+                    processed: 42,
+                    failed: 1,
+                    queueLength: 0,
+                    maxQueueLength: 3,
+                    lastHandledAt: '2026-03-01T20:06:00.000Z',
+                    sources: {
+                        push: {
+                            received: 40,
+                            duplicates: 0,
+                            ingestLatency: { samples: 40, avgMs: 180, p95Ms: 420, maxMs: 900 },
+                            queueLatency: { samples: 40, avgMs: 2, p95Ms: 5, maxMs: 12 }
+                        },
+                        poll: {
+                            received: 3,
+                            duplicates: 1,
+                            ingestLatency: { samples: 0, avgMs: null, p95Ms: null, maxMs: null },
+                            queueLatency: { samples: 3, avgMs: 1, p95Ms: 1, maxMs: 1 }
+                        }
+                    }
+                } )
+            };
+
+            const html = await documentationService.generateStatusPage();
+
+            expect( html ).toContain( 'Chat Messages' );
+            expect( html ).toContain( 'Polling (push disconnected)' );
+            expect( html ).toContain( '42 (1 failed)' );
+            expect( html ).toContain( '40 received, 0 duplicates dropped' );
+            expect( html ).toContain( '3 received, 1 duplicate dropped' );
+            expect( html ).toContain( 'avg 180ms, p95 420ms, max 900ms' );
+        } );
+
         it( 'should handle errors gracefully', async () => {
             mockServices.stateService.getHangoutName.mockImplementation( () => {
                 throw new Error( 'State error' );
@@ -773,6 +858,19 @@ describe( 'DocumentationService', () => {
             expect( html ).toContain( 'Custom token' );
         } );
 
+        it( 'should list computed tokens', async () => {
+            mockServices.tokenService.getTokenList.mockResolvedValue( [
+                { name: '{plays:artist}', type: 'computed', description: 'Number of times an artist has been played here' },
+                { name: '{artistPlays}', type: 'custom', description: 'Plays', valueType: 'computed', source: 'plays', param: 'artistName' }
+            ] );
+
+            const html = await documentationService.generateTokensPage();
+
+            expect( html ).toContain( 'Computed Tokens (1)' );
+            expect( html ).toContain( '{plays:artist}' );
+            expect( html ).toContain( 'Computed: <code>{plays:artistName}</code>' );
+        } );
+
         it( 'should show empty state when no custom tokens', async () => {
             mockServices.tokenService.getTokenList.mockResolvedValue( [
                 { name: '{hangoutName}', type: 'built-in', description: 'Name of the hangout' }
@@ -829,6 +927,45 @@ describe( 'DocumentationService', () => {
             expect( html ).toContain( 'A test personality' );
         } );
 
+        it( 'should show the current and next scheduled personality', async () => {
+            const PersonalityService = require( '../../src/services/personalityService' );
+            mockServices.dataService.getValue.mockImplementation( key => {
+                if ( key === 'activePersonality' ) return 'Daytime';
+                if ( key === 'personalityOptions' ) {
+                    return {
+                        schedule: [ { id: 1, expression: '0 0 * * 1', personality: 'Metal Monday' } ],
+                        switchLog: [ { personality: 'Daytime', reason: 'theme: Chill', at: '2025-11-02T12:00:00Z' } ]
+                    };
+                }
+                return undefined;
+            } );
+            mockServices.databaseService.initialized = true;
+            mockServices.databaseService.getAllPersonalities = jest.fn().mockResolvedValue( [] );
+            mockServices.personalityService = new PersonalityService( mockServices );
+
+            const html = await documentationService.generatePersonalityPage();
+
+            expect( html ).toContain( 'Personality Schedule' );
+            expect( html ).toContain( 'Metal Monday at' );
+            expect( html ).toContain( 'mondays at 00:00' );
+            expect( html ).toContain( 'Daytime (theme: Chill)' );
+        } );
+
+        it( 'should show the revision timeline', async () => {
+            mockServices.dataService.getValue.mockReturnValue( undefined );
+            mockServices.databaseService.initialized = true;
+            mockServices.databaseService.getAllPersonalities = jest.fn().mockResolvedValue( [] );
+            mockServices.databaseService.getRecentPersonalityRevisions = jest.fn().mockResolvedValue( [
+                { name: 'Late Night DJ', revision: 3, action: 'rollback to r1', author_uuid: 'abc', author: 'DJ Mod', created_at: '2026-10-19 20:15:00' }
+            ] );
+
+            const html = await documentationService.generatePersonalityPage();
+
+            expect( html ).toContain( 'Revision Timeline' );
+            expect( html ).toContain( 'r3' );
+            expect( html ).toContain( 'rollback to r1 by DJ Mod' );
+        } );
+
         it( 'should handle missing instructions', async () => {
             mockServices.dataService.getValue.mockReturnValue( undefined );
             mockServices.databaseService.initialized = true;
@@ -907,5 +1044,30 @@ describe( 'DocumentationService', () => {
             expect( html ).toContain( 'DJ Cool' );
             expect( html ).toContain( '10 songs played' );
         } );
+
+        it( 'should show LLM usage against the budget when usage is recorded', async () => {
+            mockServices.databaseService.initialized = true;
+            mockServices.databaseService.getRecentSongs.mockResolvedValue( [] );
+            mockServices.llmUsageService = {
+                isAvailable: jest.fn().mockReturnValue( true ),
+                getLimits: jest.fn().mockReturnValue( { today: { calls: 100, tokens: 0 }, month: { calls: 0, tokens: 0 } } ),
+                getTotals: jest.fn( period => ( period === 'today'
+                    ? { calls: 12, failures: 1, tokens: 3400, avgLatencyMs: 900 }
+                    : { calls: 250, failures: 4, tokens: 81000, avgLatencyMs: 950 } ) ),
+                getBreakdown: jest.fn( ( period, groupBy ) => ( groupBy === 'backend'
+                    ? [ { name: 'gemma', calls: 250, failures: 4, tokens: 81000 } ]
+                    : [ { name: 'popfacts', calls: 200, failures: 0, tokens: 60000 } ] ) ),
+                checkBudget: jest.fn().mockReturnValue( { exceeded: false } )
+            };
+
+            const html = await documentationService.generateStatsPage();
+
+            expect( html ).toContain( 'LLM Usage' );
+            expect( html ).toContain( '12 / 100' );
+            expect( html ).toContain( '81000' );
+            expect( html ).toContain( 'gemma' );
+            expect( html ).toContain( 'popfacts' );
+            delete mockServices.llmUsageService;
+        } );
     } );
 } );
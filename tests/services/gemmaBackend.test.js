@@ -273,4 +273,76 @@ describe( 'GemmaBackend', () => {
             expect( result ).toBeDefined();
         } );
     } );
+    describe( 'tool calling', () => {
+        const makeTools = ( maxCalls = 3 ) => {
+            const tools = {
+                definitions: [ { name: 'get_recent_plays', description: 'Recent plays', parameters: { type: 'object', properties: { count: { type: 'integer' } } } } ],
+                maxCalls,
+                calls: [],
+                callTool: jest.fn( async ( name ) => {
+                    tools.calls.push( name );
+                    return { plays: [] };
+                } )
+            };
+            return tools;
+        };
+
+        it( 'parses TOOL_CALL lines', () => {
+            expect( backend.parseToolCall( 'TOOL_CALL: {"name": "get_recent_plays", "arguments": {"count": 3}}' ) )
+                .toEqual( { name: 'get_recent_plays', arguments: { count: 3 } } );
+            expect( backend.parseToolCall( 'Just an answer' ) ).toBeNull();
+            expect( backend.parseToolCall( 'TOOL_CALL: {not json}' ) ).toBeNull();
+        } );
+
+        it( 'describes the tools in the prompt', () => {
+            const text = backend.formatToolInstructions( makeTools().definitions );
+            expect( text ).toContain( 'TOOL_CALL:' );
+            expect( text ).toContain( '- get_recent_plays(count (integer)): Recent plays' );
+        } );
+
+        it( 'answers tool calls and returns the final reply', async () => {
+            const tools = makeTools();
+            const sendMessage = jest.fn()
+                .mockResolvedValueOnce( { text: 'TOOL_CALL: {"name": "get_recent_plays", "arguments": {"count": 2}}' } )
+                .mockResolvedValueOnce( { text: 'Nothing played yet!' } );
+            backend.getOrCreateChat = jest.fn().mockResolvedValue( { sendMessage } );
+
+            const result = await backend.tryModel( 'gemma-4-31b-it', 'What was played?', { tools } );
+
+            expect( result ).toEqual( expect.objectContaining( { success: true, response: 'Nothing played yet!' } ) );
+            expect( tools.callTool ).toHaveBeenCalledWith( 'get_recent_plays', { count: 2 } );
+            expect( sendMessage.mock.calls[ 0 ][ 0 ].message ).toContain( '## Tools' );
+            expect( sendMessage.mock.calls[ 1 ][ 0 ].message ).toContain( 'TOOL_RESULT get_recent_plays: {"plays":[]}' );
+        } );
+
+        it( 'gives up when the model keeps asking for tools past the limit', async () => {
+            const tools = makeTools( 1 );
+            const sendMessage = jest.fn().mockResolvedValue( { text: 'TOOL_CALL: {"name": "get_recent_plays", "arguments": {}}' } );
+            backend.getOrCreateChat = jest.fn().mockResolvedValue( { sendMessage } );
+
+            const result = await backend.tryModel( 'gemma-4-31b-it', 'What was played?', { tools } );
+
+            expect( result.success ).toBe( false );
+            expect( sendMessage ).toHaveBeenCalledTimes( 3 );
+        } );
+
+        it( 'adds up token usage across tool rounds', async () => {
+            const tools = makeTools();
+            const sendMessage = jest.fn()
+                .mockResolvedValueOnce( {
+                    text: 'TOOL_CALL: {"name": "get_recent_plays", "arguments": {}}',
+                    usageMetadata: { promptTokenCount: 40, candidatesTokenCount: 10, totalTokenCount: 50 }
+                } )
+                .mockResolvedValueOnce( {
+                    text: 'Nothing played yet!',
+                    usageMetadata: { promptTokenCount: 60, candidatesTokenCount: 5, totalTokenCount: 65 }
+                } );
+            backend.getOrCreateChat = jest.fn().mockResolvedValue( { sendMessage } );
+
+            const result = await backend.tryModel( 'gemma-4-31b-it', 'What was played?', { tools } );
+
+            expect( result.tokens ).toBe( 115 );
+            expect( result.usage ).toEqual( { promptTokens: 100, completionTokens: 15, totalTokens: 115 } );
+        } );
+    } );
 } );
@@ -150,6 +150,25 @@ describe( 'groupMessageService', () => {
       } );
     } );
 
+    describe( 'formatGroupMessage', () => {
+      it( 'should take the sender from the chat message metadata when there is no sender uid', () => {
+        const result = groupMessageService.formatGroupMessage( {
+          id: '9',
+          sentAt: 1772395200,
+          data: { text: '!ping', metadata: { chatMessage: { userUuid: 'user-1' } } }
+        } );
+
+        expect( result ).toEqual( {
+          id: '9',
+          text: '!ping',
+          sender: 'user-1',
+          sentAt: 1772395200,
+          updatedAt: undefined,
+          data: { text: '!ping', metadata: { chatMessage: { userUuid: 'user-1' } } }
+        } );
+      } );
+    } );
+
     describe( 'buildCustomData', () => {
       test( 'should build custom data with all fields', async () => {
         const mockServices = {
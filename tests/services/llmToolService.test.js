@@ -0,0 +1,128 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const LlmToolService = require( '../../src/services/llmToolService' );
+const { logger } = require( '../../src/lib/logging.js' );
+
+function makeService ( config = {} ) {
+    const services = {
+        dataService: { getValue: jest.fn( key => config[ key ] ) },
+        hangoutState: {
+            nowPlaying: { song: { artistName: 'Chic', trackName: 'Le Freak' } },
+            djs: [ { uuid: 'dj1' }, { uuid: 'dj2' } ]
+        },
+        stateService: {
+            _getDjs: jest.fn().mockReturnValue( [ { uuid: 'dj1' }, { uuid: 'dj2' } ] ),
+            _getAllUserData: jest.fn().mockReturnValue( {
+                dj1: { userProfile: { nickname: 'Alice' } },
+                dj2: { userProfile: { nickname: 'Bob' } }
+            } )
+        },
+        databaseService: {
+            initialized: true,
+            getRecentSongs: jest.fn().mockReturnValue( [
+                { artist_name: 'Chic', track_name: 'Good Times', nickname: 'Bob', timestamp: '2026-03-01 20:00:00', likes: 3, dislikes: 0, stars: 1 }
+            ] )
+        },
+        statsService: {
+            isAvailable: jest.fn().mockReturnValue( true ),
+            findDj: jest.fn().mockReturnValue( { uuid: 'dj1', nickname: 'Alice' } ),
+            getDjStats: jest.fn().mockReturnValue( { playCount: 12, likes: 40, topArtist: 'Chic' } )
+        },
+        verificationService: {
+            verify: jest.fn().mockResolvedValue( { found: true, data: { track: { title: 'Le Freak', releaseDate: '1978' } } } )
+        }
+    };
+    return { service: new LlmToolService( services ), services };
+}
+
+describe( 'LlmToolService', () => {
+    beforeEach( () => jest.clearAllMocks() );
+
+    it( 'declares every tool with a JSON schema', () => {
+        const { service } = makeService();
+        const names = service.getToolDefinitions().map( d => d.name );
+        expect( names ).toEqual( [ 'get_current_song', 'list_djs', 'get_recent_plays', 'get_user_stats', 'verify_song' ] );
+        service.getToolDefinitions().forEach( d => expect( d.parameters.type ).toBe( 'object' ) );
+    } );
+
+    describe( 'tools', () => {
+        it( 'reports the current song and DJ', async () => {
+            const { service } = makeService();
+            expect( await service.runTool( 'get_current_song' ) ).toEqual( { playing: true, artistName: 'Chic', trackName: 'Le Freak', dj: 'Alice' } );
+        } );
+
+        it( 'reports when nothing is playing', async () => {
+            const { service, services } = makeService();
+            services.hangoutState.nowPlaying = null;
+            expect( await service.runTool( 'get_current_song' ) ).toEqual( { playing: false } );
+        } );
+
+        it( 'lists DJs in order', async () => {
+            const { service } = makeService();
+            expect( await service.runTool( 'list_djs' ) ).toEqual( { djs: [ { position: 1, nickname: 'Alice' }, { position: 2, nickname: 'Bob' } ] } );
+        } );
+
+        it( 'clamps the number of recent plays', async () => {
+            const { service, services } = makeService();
+            const result = await service.runTool( 'get_recent_plays', { count: 500 } );
+            expect( services.databaseService.getRecentSongs ).toHaveBeenCalledWith( 20 );
+            expect( result.plays[ 0 ] ).toEqual( expect.objectContaining( { artistName: 'Chic', trackName: 'Good Times', dj: 'Bob' } ) );
+        } );
+
+        it( 'looks up a user\'s stats by nickname', async () => {
+            const { service, services } = makeService();
+            expect( await service.runTool( 'get_user_stats', { nickname: 'alice' } ) )
+                .toEqual( expect.objectContaining( { found: true, nickname: 'Alice', playCount: 12, topArtist: 'Chic' } ) );
+            expect( services.statsService.getDjStats ).toHaveBeenCalledWith( 'dj1' );
+        } );
+
+        it( 'verifies songs through the verification service', async () => {
+            const { service, services } = makeService();
+            const result = await service.runTool( 'verify_song', { artist: 'Chic', track: 'Le Freak' } );
+            expect( services.verificationService.verify ).toHaveBeenCalledWith( 'Chic - Le Freak', { artist: 'Chic', track: 'Le Freak' } );
+            expect( result ).toEqual( { found: true, track: { title: 'Le Freak', releaseDate: '1978' } } );
+        } );
+
+        it( 'rejects unknown tools', async () => {
+            const { service } = makeService();
+            expect( await service.runTool( 'launch_rockets' ) ).toEqual( { error: 'Unknown tool: launch_rockets' } );
+        } );
+    } );
+
+    describe( 'createToolSet', () => {
+        it( 'uses the configured per-query limit', () => {
+            const { service } = makeService( { 'llmTools.maxCallsPerQuery': 5 } );
+            expect( service.createToolSet( 'intro' ).maxCalls ).toBe( 5 );
+            expect( makeService().service.createToolSet( 'intro' ).maxCalls ).toBe( LlmToolService.DEFAULT_MAX_CALLS_PER_QUERY );
+        } );
+
+        it( 'parses JSON arguments, records and logs each call', async () => {
+            const { service } = makeService();
+            const tools = service.createToolSet( 'intro' );
+            await tools.callTool( 'get_user_stats', '{"nickname":"Alice"}' );
+            expect( tools.calls ).toEqual( [ expect.objectContaining( { name: 'get_user_stats', args: { nickname: 'Alice' } } ) ] );
+            expect( logger.info ).toHaveBeenCalledWith( expect.stringContaining( 'intro: calling get_user_stats' ) );
+            expect( logger.info ).toHaveBeenCalledWith( expect.stringContaining( 'get_user_stats returned' ) );
+        } );
+
+        it( 'refuses calls once the limit is reached', async () => {
+            const { service, services } = makeService( { 'llmTools.maxCallsPerQuery': 1 } );
+            const tools = service.createToolSet( 'intro' );
+            await tools.callTool( 'list_djs', {} );
+            expect( tools.exhausted ).toBe( true );
+            expect( await tools.callTool( 'list_djs', {} ) ).toEqual( { error: expect.stringContaining( 'limit reached' ) } );
+            expect( services.stateService._getDjs ).toHaveBeenCalledTimes( 1 );
+        } );
+
+        it( 'returns tool errors to the model instead of throwing', async () => {
+            const { service, services } = makeService();
+            services.verificationService.verify.mockRejectedValue( new Error( 'offline' ) );
+            const tools = service.createToolSet( 'intro' );
+            expect( await tools.callTool( 'verify_song', { artist: 'Chic', track: 'Le Freak' } ) ).toEqual( { error: 'offline' } );
+        } );
+    } );
+} );
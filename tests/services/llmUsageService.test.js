@@ -0,0 +1,115 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const LlmUsageService = require( '../../src/services/llmUsageService' );
+
+function makeService ( { config = {}, totals = {}, databaseOverrides = {} } = {} ) {
+    const databaseService = {
+        initialized: true,
+        recordLlmUsage: jest.fn(),
+        getLlmUsageTotals: jest.fn( since => ( {
+            calls: 0, failures: 0, tokens: 0, avgLatencyMs: 0,
+            ...totals[ since ]
+        } ) ),
+        getLlmUsageBreakdown: jest.fn().mockReturnValue( [] ),
+        ...databaseOverrides
+    };
+    const dataService = { getValue: jest.fn( key => config[ key ] ) };
+    return { service: new LlmUsageService( { databaseService, dataService } ), databaseService };
+}
+
+describe( 'LlmUsageService', () => {
+    describe( 'parsePeriod', () => {
+        it( 'defaults to today and rejects unknown periods', () => {
+            expect( LlmUsageService.parsePeriod( '' ) ).toBe( 'today' );
+            expect( LlmUsageService.parsePeriod( 'MONTH' ) ).toBe( 'month' );
+            expect( LlmUsageService.parsePeriod( 'all' ) ).toBe( 'all' );
+            expect( LlmUsageService.parsePeriod( 'yesterday' ) ).toBeNull();
+        } );
+    } );
+
+    describe( 'record', () => {
+        it( 'writes the call to the database', () => {
+            const { service, databaseService } = makeService();
+            const usage = { backend: 'gemma', model: 'gemma-3-27b-it', success: true, latencyMs: 500 };
+            service.record( usage );
+            expect( databaseService.recordLlmUsage ).toHaveBeenCalledWith( usage );
+        } );
+
+        it( 'never throws', () => {
+            const { service } = makeService( {
+                databaseOverrides: { recordLlmUsage: jest.fn( () => { throw new Error( 'disk full' ); } ) }
+            } );
+            expect( () => service.record( { backend: 'gemma', success: true } ) ).not.toThrow();
+        } );
+
+        it( 'does nothing without a database', () => {
+            const { service, databaseService } = makeService();
+            databaseService.initialized = false;
+            service.record( { backend: 'gemma', success: true } );
+            expect( databaseService.recordLlmUsage ).not.toHaveBeenCalled();
+        } );
+    } );
+
+    describe( 'getTotals', () => {
+        it( 'passes the period as a datetime modifier', () => {
+            const { service, databaseService } = makeService();
+            service.getTotals( 'month' );
+            expect( databaseService.getLlmUsageTotals ).toHaveBeenCalledWith( 'start of month' );
+            service.getTotals( 'all' );
+            expect( databaseService.getLlmUsageTotals ).toHaveBeenCalledWith( null );
+        } );
+    } );
+
+    describe( 'checkBudget', () => {
+        it( 'is never exceeded without limits', () => {
+            const { service, databaseService } = makeService( { totals: { 'start of day': { calls: 5000 } } } );
+            expect( service.checkBudget() ).toEqual( { exceeded: false } );
+            expect( databaseService.getLlmUsageTotals ).not.toHaveBeenCalled();
+        } );
+
+        it( 'ignores limits that are not positive whole numbers', () => {
+            const { service } = makeService( { config: { 'llmBudget.dailyCalls': -1, 'llmBudget.monthlyTokens': 'lots' } } );
+            expect( service.getLimits() ).toEqual( { today: { calls: 0, tokens: 0 }, month: { calls: 0, tokens: 0 } } );
+        } );
+
+        it( 'reports the daily call limit once it is reached', () => {
+            const { service } = makeService( {
+                config: { 'llmBudget.dailyCalls': 50 },
+                totals: { 'start of day': { calls: 50 } }
+            } );
+            expect( service.checkBudget() ).toEqual( {
+                exceeded: true,
+                period: 'today',
+                metric: 'calls',
+                used: 50,
+                limit: 50,
+                message: LlmUsageService.BUDGET_MESSAGES.today
+            } );
+        } );
+
+        it( 'reports the monthly token limit', () => {
+            const { service } = makeService( {
+                config: { 'llmBudget.dailyCalls': 50, 'llmBudget.monthlyTokens': 100000 },
+                totals: { 'start of day': { calls: 10 }, 'start of month': { calls: 400, tokens: 100250 } }
+            } );
+            expect( service.checkBudget() ).toEqual( expect.objectContaining( {
+                exceeded: true,
+                period: 'month',
+                metric: 'tokens',
+                message: LlmUsageService.BUDGET_MESSAGES.month
+            } ) );
+        } );
+
+        it( 'stays open while under the limits', () => {
+            const { service } = makeService( {
+                config: { 'llmBudget.dailyTokens': 20000 },
+                totals: { 'start of day': { calls: 10, tokens: 19999 } }
+            } );
+            expect( service.checkBudget().exceeded ).toBe( false );
+        } );
+    } );
+} );
@@ -0,0 +1,193 @@
+jest.mock( '../../src/lib/logging', () => ( {
+    logger: {
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        info: jest.fn()
+    }
+} ) );
+
+const http = require( 'http' );
+const LocalBackend = require( '../../src/services/localBackend' );
+
+/**
+ * Minimal OpenAI-compatible server. `handler` decides the reply to each
+ * /chat/completions request; every request body is recorded.
+ */
+function startStubServer ( { models = [ 'llama3.1:8b' ], handler } = {} ) {
+    const requests = [];
+    const server = http.createServer( ( req, res ) => {
+        let body = '';
+        req.on( 'data', chunk => { body += chunk; } );
+        req.on( 'end', () => {
+            const parsed = body ? JSON.parse( body ) : null;
+            requests.push( { method: req.method, url: req.url, headers: req.headers, body: parsed } );
+
+            let status = 200;
+            let payload;
+            if ( req.url === '/v1/models' ) {
+                payload = { object: 'list', data: models.map( id => ( { id, object: 'model' } ) ) };
+            } else if ( req.url === '/v1/chat/completions' ) {
+                [ status, payload ] = handler( parsed, requests );
+            } else {
+                status = 404;
+                payload = { error: { message: 'not found' } };
+            }
+
+            res.writeHead( status, { 'Content-Type': 'application/json' } );
+            res.end( JSON.stringify( payload ) );
+        } );
+    } );
+
+    return new Promise( resolve => {
+        server.listen( 0, '127.0.0.1', () => {
+            resolve( { server, requests, baseUrl: `http://127.0.0.1:${ server.address().port }/v1` } );
+        } );
+    } );
+}
+
+const reply = ( content, extra = {} ) => [ 200, {
+    choices: [ { index: 0, message: { role: 'assistant', content, ...extra } } ],
+    usage: { prompt_tokens: 8, completion_tokens: 4, total_tokens: 12 }
+} ];
+
+describe( 'LocalBackend', () => {
+    let stub;
+    let backend;
+
+    afterEach( async () => {
+        if ( stub ) {
+            await new Promise( resolve => stub.server.close( resolve ) );
+            stub = null;
+        }
+    } );
+
+    describe( 'validateConfig', () => {
+        it( 'rejects non-http base URLs and non-list models', () => {
+            backend = new LocalBackend();
+            const result = backend.validateConfig( { baseUrl: 'localhost:11434', models: 'llama' } );
+            expect( result.valid ).toBe( false );
+            expect( result.errors ).toHaveLength( 2 );
+        } );
+
+        it( 'accepts an empty config', () => {
+            expect( new LocalBackend().validateConfig( {} ).valid ).toBe( true );
+        } );
+    } );
+
+    describe( 'against a stub server', () => {
+        it( 'initializes, lists models and reports healthy', async () => {
+            stub = await startStubServer( { models: [ 'qwen2.5', 'nomic-embed-text' ], handler: () => reply( 'hi' ) } );
+            backend = new LocalBackend();
+
+            const result = await backend.initialize( { baseUrl: stub.baseUrl, models: [ 'llama3.1:8b' ] } );
+
+            expect( result.success ).toBe( true );
+            expect( backend.availableModels ).toEqual( [ 'qwen2.5' ] );
+            expect( backend.getModelsToTry() ).toEqual( [ 'llama3.1:8b', 'qwen2.5' ] );
+
+            const health = await backend.healthCheck();
+            expect( health.healthy ).toBe( true );
+            expect( health.message ).toContain( stub.baseUrl );
+        } );
+
+        it( 'fails to initialize when the server has no models', async () => {
+            stub = await startStubServer( { models: [], handler: () => reply( 'hi' ) } );
+            backend = new LocalBackend();
+
+            const result = await backend.initialize( { baseUrl: stub.baseUrl } );
+
+            expect( result.success ).toBe( false );
+            expect( result.error ).toContain( 'No models available' );
+        } );
+
+        it( 'sends the system instruction and prompt as chat messages', async () => {
+            stub = await startStubServer( { handler: () => reply( ' Le Freak, c\'est chic! ' ) } );
+            backend = new LocalBackend();
+            await backend.initialize( { baseUrl: stub.baseUrl } );
+
+            const result = await backend.queryLLM( 'Tell me about Chic', { systemInstruction: [ 'You are a DJ', 'Be brief' ] } );
+
+            expect( result ).toEqual( {
+                success: true,
+                response: 'Le Freak, c\'est chic!',
+                model: 'llama3.1:8b',
+                tokens: 12,
+                usage: { promptTokens: 8, completionTokens: 4, totalTokens: 12 }
+            } );
+            const chatRequest = stub.requests.find( r => r.url === '/v1/chat/completions' ).body;
+            expect( chatRequest.model ).toBe( 'llama3.1:8b' );
+            expect( chatRequest.messages ).toEqual( [
+                { role: 'system', content: 'You are a DJ\n\nBe brief' },
+                { role: 'user', content: 'Tell me about Chic' }
+            ] );
+        } );
+
+        it( 'falls back to the next model when one errors', async () => {
+            stub = await startStubServer( {
+                models: [ 'bad-model', 'good-model' ],
+                handler: body => ( body.model === 'bad-model' ? [ 500, { error: { message: 'model crashed' } } ] : reply( 'from good model' ) )
+            } );
+            backend = new LocalBackend();
+            await backend.initialize( { baseUrl: stub.baseUrl } );
+
+            const result = await backend.queryLLM( 'hello' );
+
+            expect( result.success ).toBe( true );
+            expect( result.model ).toBe( 'good-model' );
+        } );
+
+        it( 'stops trying models when the server rate limits', async () => {
+            stub = await startStubServer( { models: [ 'a', 'b' ], handler: () => [ 429, { error: { message: 'slow down' } } ] } );
+            backend = new LocalBackend();
+            await backend.initialize( { baseUrl: stub.baseUrl } );
+
+            const result = await backend.queryLLM( 'hello' );
+
+            expect( result ).toEqual( { success: false, response: null, error: 'API quota exceeded' } );
+            expect( stub.requests.filter( r => r.url === '/v1/chat/completions' ) ).toHaveLength( 1 );
+        } );
+
+        it( 'runs tool calls and sends back the results', async () => {
+            stub = await startStubServer( {
+                handler: ( body ) => {
+                    if ( body.messages.some( m => m.role === 'tool' ) ) {
+                        return reply( 'Chic are on right now' );
+                    }
+                    return reply( null, { tool_calls: [ { id: 'call_1', type: 'function', function: { name: 'get_current_song', arguments: '{}' } } ] } );
+                }
+            } );
+            backend = new LocalBackend();
+            await backend.initialize( { baseUrl: stub.baseUrl } );
+
+            const tools = {
+                definitions: [ { name: 'get_current_song', description: 'Current song', parameters: { type: 'object', properties: {} } } ],
+                maxCalls: 3,
+                exhausted: false,
+                callTool: jest.fn().mockResolvedValue( { artistName: 'Chic' } )
+            };
+            const result = await backend.queryLLM( 'What is playing?', { tools } );
+
+            expect( result.response ).toBe( 'Chic are on right now' );
+            expect( result.tokens ).toBe( 24 );
+            expect( tools.callTool ).toHaveBeenCalledWith( 'get_current_song', '{}' );
+            const chatRequests = stub.requests.filter( r => r.url === '/v1/chat/completions' );
+            expect( chatRequests[ 0 ].body.tools[ 0 ].function.name ).toBe( 'get_current_song' );
+            expect( chatRequests[ 1 ].body.messages.pop() ).toEqual( {
+                role: 'tool', tool_call_id: 'call_1', name: 'get_current_song', content: '{"artistName":"Chic"}'
+            } );
+        } );
+    } );
+
+    it( 'fails queries before initialization', async () => {
+        backend = new LocalBackend();
+        const result = await backend.queryLLM( 'hello' );
+        expect( result.success ).toBe( false );
+        expect( result.error ).toContain( 'not initialized' );
+    } );
+
+    it( 'reports unhealthy before initialization', async () => {
+        const health = await new LocalBackend().healthCheck();
+        expect( health ).toEqual( expect.objectContaining( { healthy: false, status: 'not_initialized' } ) );
+    } );
+} );
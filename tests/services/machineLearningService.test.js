@@ -2,6 +2,7 @@
 jest.mock( '../../src/lib/logging', () => ( {
   logger: {
     debug: jest.fn(),
+    info: jest.fn(),
     warn: jest.fn(),
     error: jest.fn()
   }
@@ -302,130 +303,138 @@ describe( 'MachineLearningService', () => {
     } );
   } );
 
-  describe( 'conversation history', () => {
-    describe( 'loadConversationHistory', () => {
-      it( 'should return empty array when no data service available', async () => {
-        const serviceWithoutData = new MachineLearningService( {} );
-
-        const result = await serviceWithoutData.loadConversationHistory();
+  describe( 'usage accounting', () => {
+    beforeEach( () => {
+      mockServices.llmUsageService = {
+        checkBudget: jest.fn().mockReturnValue( { exceeded: false } ),
+        record: jest.fn()
+      };
+      service.activeBackend = 'gemma';
+      service.config = { fallbackOrder: [ 'gemma', 'mistral' ] };
+      service.createSystemInstruction = jest.fn().mockResolvedValue( [] );
+      service.backends = {
+        gemma: { queryLLM: jest.fn().mockResolvedValue( { success: true, response: 'Le Freak!', model: 'gemma-4-31b-it', tokens: 30, usage: { promptTokens: 20, completionTokens: 10, totalTokens: 30 } } ) },
+        mistral: { initialize: jest.fn().mockResolvedValue( { success: true } ), queryLLM: jest.fn() }
+      };
+    } );
 
-        expect( result ).toEqual( [] );
-      } );
+    it( 'records each call with the command and user it was for', async () => {
+      await service.askGoogleAI( 'What is playing?', undefined, { command: 'popfacts', userUuid: 'uuid-alice' } );
+
+      expect( mockServices.llmUsageService.record ).toHaveBeenCalledWith( expect.objectContaining( {
+        backend: 'gemma',
+        model: 'gemma-4-31b-it',
+        command: 'popfacts',
+        userUuid: 'uuid-alice',
+        success: true,
+        error: null,
+        promptTokens: 20,
+        completionTokens: 10,
+        totalTokens: 30,
+        latencyMs: expect.any( Number )
+      } ) );
+    } );
 
-      it( 'should return empty array when no conversation history exists', async () => {
-        mockServices.dataService.getValue.mockReturnValue( null );
+    it( 'records failed calls and the fallback separately', async () => {
+      service.backends.gemma.queryLLM.mockResolvedValue( { success: false, response: null, error: 'All models exhausted' } );
+      service.backends.mistral.queryLLM.mockResolvedValue( { success: true, response: 'Le Freak!', model: 'mistral-small-latest', tokens: 12 } );
 
-        const result = await service.loadConversationHistory();
+      expect( await service.askGoogleAI( 'What is playing?' ) ).toBe( 'Le Freak!' );
 
-        expect( result ).toEqual( [] );
-        expect( mockServices.dataService.loadData ).toHaveBeenCalled();
-        expect( mockServices.dataService.getValue ).toHaveBeenCalledWith( 'conversationHistory' );
-      } );
+      expect( mockServices.llmUsageService.record ).toHaveBeenCalledTimes( 2 );
+      expect( mockServices.llmUsageService.record ).toHaveBeenCalledWith( expect.objectContaining( { backend: 'gemma', success: false, error: 'All models exhausted' } ) );
+      expect( mockServices.llmUsageService.record ).toHaveBeenCalledWith( expect.objectContaining( { backend: 'mistral', success: true, totalTokens: 12 } ) );
+    } );
 
-      it( 'should filter out entries older than 60 minutes', async () => {
-        const now = Date.now();
-        const sixtyOneMinutesAgo = new Date( now - 61 * 60 * 1000 ).toISOString();
-        const twentyMinutesAgo = new Date( now - 20 * 60 * 1000 ).toISOString();
+    it( 'returns the budget message without calling a backend once the budget is spent', async () => {
+      mockServices.llmUsageService.checkBudget.mockReturnValue( { exceeded: true, period: 'today', metric: 'calls', used: 50, limit: 50, message: 'Out of AI budget' } );
 
-        const mockHistory = [
-          { timestamp: sixtyOneMinutesAgo, question: 'Old question', response: 'Old response' },
-          { timestamp: twentyMinutesAgo, question: 'Recent question', response: 'Recent response' }
-        ];
+      expect( await service.askGoogleAI( 'What is playing?' ) ).toBe( 'Out of AI budget' );
+      expect( service.backends.gemma.queryLLM ).not.toHaveBeenCalled();
+      expect( mockServices.llmUsageService.record ).not.toHaveBeenCalled();
+    } );
+  } );
 
-        mockServices.dataService.getValue.mockReturnValue( mockHistory );
+  describe( 'conversation history', () => {
+    describe( 'loadConversationHistory', () => {
+      it( 'should return empty array when no database is available', async () => {
+        const serviceWithoutData = new MachineLearningService( {} );
 
-        const result = await service.loadConversationHistory();
+        const result = await serviceWithoutData.loadConversationHistory( 'user-1' );
 
-        expect( result ).toHaveLength( 1 );
-        expect( result[ 0 ].question ).toBe( 'Recent question' );
+        expect( result ).toEqual( [] );
       } );
 
-      it( 'should return all entries from the last hour (no count limit)', async () => {
-        const now = Date.now();
-        const mockHistory = [];
-        for ( let i = 0; i < 5; i++ ) {
-          mockHistory.push( {
-            timestamp: new Date( now - i * 60 * 1000 ).toISOString(),
-            question: `Question ${ i }`,
-            response: `Response ${ i }`
-          } );
-        }
+      it( 'should load the user\'s history from the database', async () => {
+        mockServices.databaseService = {
+          initialized: true,
+          getConversationHistory: jest.fn().mockReturnValue( [
+            { timestamp: '2026-01-01 20:00:00', message: 'Hi', response: 'Hello!' }
+          ] )
+        };
+        mockServices.dataService.getValue.mockReturnValue( undefined );
+
+        const result = await service.loadConversationHistory( 'user-1' );
+
+        expect( mockServices.databaseService.getConversationHistory ).toHaveBeenCalledWith( 'user-1', 5 );
+        expect( result ).toEqual( [ { timestamp: '2026-01-01 20:00:00', question: 'Hi', response: 'Hello!' } ] );
+      } );
 
-        mockServices.dataService.getValue.mockReturnValue( mockHistory );
+      it( 'should use the configured history length', async () => {
+        mockServices.databaseService = { initialized: true, getConversationHistory: jest.fn().mockReturnValue( [] ) };
+        mockServices.dataService.getValue.mockImplementation( key => key === 'conversation.historyLength' ? 2 : undefined );
 
-        const result = await service.loadConversationHistory();
+        await service.loadConversationHistory( 'user-1' );
 
-        expect( result ).toHaveLength( 5 );
+        expect( mockServices.databaseService.getConversationHistory ).toHaveBeenCalledWith( 'user-1', 2 );
       } );
 
       it( 'should handle errors gracefully', async () => {
-        mockServices.dataService.loadData.mockRejectedValue( new Error( 'Data load error' ) );
+        mockServices.databaseService = {
+          initialized: true,
+          getConversationHistory: jest.fn( () => { throw new Error( 'locked' ); } )
+        };
 
-        const result = await service.loadConversationHistory();
+        const result = await service.loadConversationHistory( 'user-1' );
 
         expect( result ).toEqual( [] );
       } );
     } );
 
     describe( 'saveConversationEntry', () => {
-      it( 'should do nothing when no data service available', async () => {
+      it( 'should do nothing when no database is available', async () => {
         const serviceWithoutData = new MachineLearningService( {} );
 
-        await serviceWithoutData.saveConversationEntry( 'question', 'response' );
+        await serviceWithoutData.saveConversationEntry( 'question', 'response', { userUuid: 'user-1' } );
 
         // Should not throw any errors
       } );
 
-      it( 'should save new entry to conversation history', async () => {
-        const existingHistory = [
-          { timestamp: new Date().toISOString(), question: 'Old question', response: 'Old response' }
-        ];
-        mockServices.dataService.getValue.mockReturnValue( existingHistory );
-
-        await service.saveConversationEntry( 'New question', 'New response' );
-
-        expect( mockServices.dataService.loadData ).toHaveBeenCalled();
-        expect( mockServices.dataService.getValue ).toHaveBeenCalledWith( 'conversationHistory' );
-        expect( mockServices.dataService.setValue ).toHaveBeenCalledWith(
-          'conversationHistory',
-          expect.arrayContaining( [
-            expect.objectContaining( { question: 'Old question', response: 'Old response' } ),
-            expect.objectContaining( { question: 'New question', response: 'New response' } )
-          ] )
-        );
-      } );
-
-      it( 'should filter entries to keep only those from the last hour', async () => {
-        const now = Date.now();
-        const mockHistory = [];
-
-        // Add 10 entries - some old (more than 1 hour), some recent (within 1 hour)
-        for ( let i = 0; i < 10; i++ ) {
-          const minutesAgo = i < 5 ? i * 10 : ( 50 + i * 10 ); // First 5 within hour, rest older
-          mockHistory.push( {
-            timestamp: new Date( now - minutesAgo * 60 * 1000 ).toISOString(),
-            question: `Question ${ i }`,
-            response: `Response ${ i }`
-          } );
-        }
-
-        mockServices.dataService.getValue.mockReturnValue( mockHistory );
-
-        await service.saveConversationEntry( 'New question', 'New response' );
-
-        const savedHistory = mockServices.dataService.setValue.mock.calls[ 0 ][ 1 ];
-
-        // Should contain the new entry plus only the entries from the last hour (first 5 + new one = 6)
-        expect( savedHistory.length ).toBe( 6 );
-        expect( savedHistory ).toEqual( expect.arrayContaining( [
-          expect.objectContaining( { question: 'New question', response: 'New response' } )
-        ] ) );
+      it( 'should save the entry and apply retention limits', async () => {
+        mockServices.databaseService = {
+          initialized: true,
+          saveConversationEntry: jest.fn(),
+          pruneConversationHistory: jest.fn()
+        };
+        mockServices.dataService.getValue.mockImplementation( key => key === 'conversation.retentionDays' ? 3 : undefined );
+
+        await service.saveConversationEntry( 'New question', 'New response', { userUuid: 'user-1', nickname: 'Alice' } );
+
+        expect( mockServices.databaseService.saveConversationEntry ).toHaveBeenCalledWith( {
+          userUuid: 'user-1', nickname: 'Alice', message: 'New question', response: 'New response'
+        } );
+        expect( mockServices.databaseService.pruneConversationHistory ).toHaveBeenCalledWith( {
+          retentionDays: 3, userUuid: 'user-1', maxEntriesPerUser: 20
+        } );
       } );
 
       it( 'should handle errors gracefully', async () => {
-        mockServices.dataService.loadData.mockRejectedValue( new Error( 'Data load error' ) );
+        mockServices.databaseService = {
+          initialized: true,
+          saveConversationEntry: jest.fn( () => { throw new Error( 'locked' ); } )
+        };
 
-        await service.saveConversationEntry( 'question', 'response' );
+        await service.saveConversationEntry( 'question', 'response', { userUuid: 'user-1' } );
 
         // Should not throw any errors
       } );
@@ -665,4 +674,17 @@ describe( 'MachineLearningService', () => {
       } );
     } );
   } );
-} );
\ No newline at end of file
+
+  describe( 'isFailedResponse', () => {
+    it( 'should recognise the fallback messages', () => {
+      expect( MachineLearningService.isFailedResponse( 'I\'m unable to process your request at the moment. Please try again later.' ) ).toBe( true );
+      expect( MachineLearningService.isFailedResponse( 'Machine learning service is not initialized. Please check your configuration.' ) ).toBe( true );
+      expect( MachineLearningService.isFailedResponse( 'No response' ) ).toBe( true );
+      expect( MachineLearningService.isFailedResponse( null ) ).toBe( true );
+    } );
+
+    it( 'should accept real answers', () => {
+      expect( MachineLearningService.isFailedResponse( 'Le Freak came out in 1978.' ) ).toBe( false );
+    } );
+  } );
+} );
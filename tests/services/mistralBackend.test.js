@@ -295,6 +295,19 @@ describe( 'MistralBackend', () => {
             expect( result ).toHaveProperty( 'tokens' );
         } );
 
+        it( 'should report prompt and completion token usage', async () => {
+            backend.availableModels = [ 'mistral-tiny-latest' ];
+            backend.client.chat.complete.mockResolvedValue( {
+                choices: [ { message: { content: 'test response' } } ],
+                usage: { promptTokens: 120, completionTokens: 30, totalTokens: 150 }
+            } );
+
+            const result = await backend.queryLLM( 'test' );
+
+            expect( result.tokens ).toBe( 150 );
+            expect( result.usage ).toEqual( { promptTokens: 120, completionTokens: 30, totalTokens: 150 } );
+        } );
+
         it( 'should return error object on failure', async () => {
             backend.availableModels = [ 'mistral-tiny-latest' ];
             backend.client.chat.complete.mockRejectedValue( new Error( 'API error' ) );
@@ -355,4 +368,61 @@ describe( 'MistralBackend', () => {
             expect( result ).toBeDefined();
         } );
     } );
+    describe( 'tool calling', () => {
+        const makeTools = ( maxCalls = 3 ) => {
+            const tools = {
+                definitions: [ { name: 'get_current_song', description: 'Current song', parameters: { type: 'object', properties: {} } } ],
+                maxCalls,
+                calls: [],
+                callTool: jest.fn( async ( name ) => {
+                    tools.calls.push( name );
+                    return { artistName: 'Chic', trackName: 'Le Freak' };
+                } )
+            };
+            Object.defineProperty( tools, 'exhausted', { get: () => tools.calls.length >= tools.maxCalls } );
+            return tools;
+        };
+
+        const toolCallResponse = {
+            choices: [ { message: { content: '', toolCalls: [ { id: 'call1', function: { name: 'get_current_song', arguments: '{}' } } ] } } ],
+            usage: { total_tokens: 10 }
+        };
+
+        beforeEach( () => {
+            backend.client = { chat: { complete: jest.fn() } };
+        } );
+
+        it( 'runs requested tools and sends the results back', async () => {
+            const tools = makeTools();
+            backend.client.chat.complete
+                .mockResolvedValueOnce( toolCallResponse )
+                .mockResolvedValueOnce( { choices: [ { message: { content: 'Le Freak is on!' } } ], usage: { total_tokens: 20 } } );
+
+            const result = await backend.tryModel( 'mistral-tiny-latest', 'What is playing?', { tools } );
+
+            expect( result ).toEqual( expect.objectContaining( { success: true, response: 'Le Freak is on!', tokens: 30 } ) );
+            expect( tools.callTool ).toHaveBeenCalledWith( 'get_current_song', '{}' );
+            const firstRequest = backend.client.chat.complete.mock.calls[ 0 ][ 0 ];
+            expect( firstRequest.tools[ 0 ] ).toEqual( { type: 'function', function: tools.definitions[ 0 ] } );
+            const secondRequest = backend.client.chat.complete.mock.calls[ 1 ][ 0 ];
+            expect( secondRequest.messages[ secondRequest.messages.length - 1 ] ).toEqual( {
+                role: 'tool',
+                name: 'get_current_song',
+                content: JSON.stringify( { artistName: 'Chic', trackName: 'Le Freak' } ),
+                toolCallId: 'call1'
+            } );
+        } );
+
+        it( 'stops offering tools once the limit is reached', async () => {
+            const tools = makeTools( 1 );
+            backend.client.chat.complete
+                .mockResolvedValueOnce( toolCallResponse )
+                .mockResolvedValueOnce( { choices: [ { message: { content: 'Answer' } } ] } );
+
+            const result = await backend.tryModel( 'mistral-tiny-latest', 'What is playing?', { tools } );
+
+            expect( result.response ).toBe( 'Answer' );
+            expect( backend.client.chat.complete.mock.calls[ 1 ][ 0 ].tools ).toBeUndefined();
+        } );
+    } );
 } );
@@ -0,0 +1,327 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+jest.mock( 'node:fs', () => ( {
+    existsSync: jest.fn(),
+    readFileSync: jest.fn(),
+    readdirSync: jest.fn(),
+    writeFileSync: jest.fn(),
+    mkdirSync: jest.fn()
+} ) );
+
+const fs = require( 'node:fs' );
+const PersonalityService = require( '../../src/services/personalityService' );
+
+// Monday 3 November 2025 - GMT, so London time matches UTC
+const MONDAY_MIDNIGHT = new Date( '2025-11-03T00:00:10Z' );
+
+const PERSONALITIES = {
+    'metal monday': {
+        name: 'Metal Monday',
+        description: 'Heavy',
+        instructions: { MLPersonality: 'Loud', MLInstructions: '' },
+        editableMessages: { welcomeMessage: '🤘 {username}', theme: 'Metal' },
+        configuration: {},
+        mlQuestions: {},
+        disabledCommands: [],
+        disabledFeatures: [],
+        triggers: {},
+        customTokens: {}
+    },
+    'late night dj': {
+        name: 'Late Night DJ',
+        description: 'Mellow',
+        instructions: { MLPersonality: 'Mellow', MLInstructions: '' },
+        editableMessages: { welcomeMessage: 'Hey {username}' },
+        configuration: {},
+        mlQuestions: {},
+        disabledCommands: [],
+        disabledFeatures: [],
+        triggers: {},
+        customTokens: {}
+    }
+};
+
+function makeService ( { options = {}, active = null, switchMessage } = {} ) {
+    const store = {
+        personalityOptions: options,
+        activePersonality: active,
+        'configuration.timezone': 'Europe/London',
+        'editableMessages.personalitySwitchMessage': switchMessage
+    };
+
+    const services = {
+        dataService: {
+            getValue: jest.fn( key => store[ key ] ),
+            setValue: jest.fn( async ( key, value ) => {
+                store[ key ] = value;
+            } ),
+            loadData: jest.fn().mockResolvedValue()
+        },
+        databaseService: {
+            initialized: true,
+            getPersonalityByName: jest.fn( async name => PERSONALITIES[ name.toLowerCase() ] || null ),
+            savePersonality: jest.fn(),
+            updatePersonality: jest.fn()
+        },
+        messageService: {
+            sendGroupMessage: jest.fn().mockResolvedValue()
+        },
+        tokenService: {
+            replaceTokens: jest.fn( async text => text.replace( '{botName}', 'Roboto' ) )
+        },
+        hangUserService: { updateHangNickname: jest.fn() },
+        config: { HANGOUT_ID: 'hangout' }
+    };
+    return { service: new PersonalityService( services ), services, store };
+}
+
+describe( 'PersonalityService', () => {
+    beforeEach( () => {
+        jest.clearAllMocks();
+    } );
+
+    describe( 'parseTiming', () => {
+        const { service } = makeService();
+
+        test( 'should turn a day and time into a cron expression', () => {
+            expect( service.parseTiming( [ 'monday', '00:00', '"Metal', 'Monday"' ] ) ).toEqual( { expression: '0 0 * * 1', rest: [ '"Metal', 'Monday"' ] } );
+            expect( service.parseTiming( [ 'daily', '23:30' ] ).expression ).toBe( '30 23 * * *' );
+            expect( service.parseTiming( [ 'weekends', '9:05' ] ).expression ).toBe( '5 9 * * 0,6' );
+            expect( service.parseTiming( [ 'sun', '12:00' ] ).expression ).toBe( '0 12 * * 0' );
+        } );
+
+        test( 'should take a cron expression', () => {
+            expect( service.parseTiming( [ 'cron', '30', '22', '1', '*', '*', 'Name' ] ) ).toEqual( { expression: '30 22 1 * *', rest: [ 'Name' ] } );
+            expect( service.parseTiming( [ 'cron', '99', '22', '1', '*', '*' ] ).error ).toContain( 'minute' );
+        } );
+
+        test( 'should reject anything else', () => {
+            expect( service.parseTiming( [ 'someday', '00:00' ] ).error ).toBeDefined();
+            expect( service.parseTiming( [ 'monday', '24:00' ] ).error ).toBeDefined();
+        } );
+    } );
+
+    test( 'describeSchedule should read back day and time schedules', () => {
+        expect( PersonalityService.describeSchedule( { expression: '0 0 * * 1' } ) ).toBe( 'mondays at 00:00' );
+        expect( PersonalityService.describeSchedule( { expression: '30 23 * * *' } ) ).toBe( 'daily at 23:30' );
+        expect( PersonalityService.describeSchedule( { expression: '30 22 1 * *' } ) ).toBe( 'cron 30 22 1 * *' );
+    } );
+
+    describe( 'checkSchedule', () => {
+        test( 'should switch, log and announce when a schedule is due', async () => {
+            const { service, services, store } = makeService( {
+                options: { nextId: 2, schedule: [ { id: 1, expression: '0 0 * * 1', personality: 'Metal Monday' } ] },
+                active: 'Daytime',
+                switchMessage: '{botName} goes {personality} ({reason})'
+            } );
+
+            await expect( service.checkSchedule( MONDAY_MIDNIGHT ) ).resolves.toBe( 'Metal Monday' );
+
+            expect( store.activePersonality ).toBe( 'Metal Monday' );
+            expect( store[ 'Instructions.MLPersonality' ] ).toBe( 'Loud' );
+            expect( store.personalityOptions.schedule[ 0 ].lastRunKey ).toBe( '2025-11-03 00:00' );
+            expect( store.personalityOptions.switchLog[ 0 ] ).toEqual( expect.objectContaining( { personality: 'Metal Monday', reason: 'schedule' } ) );
+            expect( services.messageService.sendGroupMessage ).toHaveBeenCalledWith( 'Roboto goes Metal Monday (schedule)', expect.any( Object ) );
+        } );
+
+        test( 'should leave the room theme alone on an automatic switch', async () => {
+            const { service, store } = makeService( {
+                options: { schedule: [ { id: 1, expression: '0 0 * * 1', personality: 'Metal Monday' } ] }
+            } );
+
+            await service.checkSchedule( MONDAY_MIDNIGHT );
+
+            expect( store[ 'editableMessages.welcomeMessage' ] ).toBe( '🤘 {username}' );
+            expect( store[ 'editableMessages.theme' ] ).toBeUndefined();
+        } );
+
+        test( 'should only switch once in the same minute', async () => {
+            const { service, services } = makeService( {
+                options: { schedule: [ { id: 1, expression: '0 0 * * 1', personality: 'Metal Monday' } ] }
+            } );
+
+            await service.checkSchedule( MONDAY_MIDNIGHT );
+            await expect( service.checkSchedule( new Date( MONDAY_MIDNIGHT.getTime() + 30 * 1000 ) ) ).resolves.toBeNull();
+            expect( services.messageService.sendGroupMessage ).toHaveBeenCalledTimes( 1 );
+        } );
+
+        test( 'should not switch to the personality that is already active', async () => {
+            const { service, services } = makeService( {
+                options: { schedule: [ { id: 1, expression: '0 0 * * 1', personality: 'Metal Monday' } ] },
+                active: 'metal monday'
+            } );
+
+            await expect( service.checkSchedule( MONDAY_MIDNIGHT ) ).resolves.toBeNull();
+            expect( services.messageService.sendGroupMessage ).not.toHaveBeenCalled();
+        } );
+
+        test( 'should let the later entry win when two are due', async () => {
+            const { service } = makeService( {
+                options: {
+                    schedule: [
+                        { id: 1, expression: '0 0 * * *', personality: 'Late Night DJ' },
+                        { id: 2, expression: '0 0 * * 1', personality: 'Metal Monday' }
+                    ]
+                }
+            } );
+
+            await expect( service.checkSchedule( MONDAY_MIDNIGHT ) ).resolves.toBe( 'Metal Monday' );
+        } );
+
+        test( 'should skip a personality that has been deleted', async () => {
+            const { service, services } = makeService( {
+                options: { schedule: [ { id: 1, expression: '0 0 * * 1', personality: 'Gone' } ] }
+            } );
+
+            await expect( service.checkSchedule( MONDAY_MIDNIGHT ) ).resolves.toBeNull();
+            expect( services.messageService.sendGroupMessage ).not.toHaveBeenCalled();
+        } );
+    } );
+
+    test( 'getNextScheduled should find the soonest switch', () => {
+        const { service } = makeService( {
+            options: {
+                schedule: [
+                    { id: 1, expression: '0 0 * * 1', personality: 'Metal Monday' },
+                    { id: 2, expression: '0 0 * * *', personality: 'Late Night DJ' }
+                ]
+            }
+        } );
+
+        expect( service.getNextScheduled( MONDAY_MIDNIGHT ) ).toEqual( expect.objectContaining( { personality: 'Late Night DJ', at: '2025-11-04 00:00' } ) );
+    } );
+
+    describe( 'themes', () => {
+        test( 'should switch when a linked theme is set, matching any case', async () => {
+            const { service, services, store } = makeService();
+            await service.setThemePersonality( 'Metal', 'Metal Monday' );
+
+            await expect( service.handleThemeChange( 'metal' ) ).resolves.toBe( 'Metal Monday' );
+            expect( store.activePersonality ).toBe( 'Metal Monday' );
+            expect( services.messageService.sendGroupMessage ).toHaveBeenCalledWith( '🎭 Switching to the Metal Monday personality (theme: metal)', expect.any( Object ) );
+        } );
+
+        test( 'should do nothing for a theme without a personality', async () => {
+            const { service, services } = makeService();
+
+            await expect( service.handleThemeChange( 'Disco' ) ).resolves.toBeNull();
+            expect( services.databaseService.getPersonalityByName ).not.toHaveBeenCalled();
+        } );
+
+        test( 'should unlink a theme', async () => {
+            const { service } = makeService( { options: { themes: { Metal: 'Metal Monday' } } } );
+
+            await service.setThemePersonality( 'METAL', null );
+            expect( service.getThemePersonalities() ).toEqual( {} );
+        } );
+    } );
+
+    describe( 'packs', () => {
+        function packFile ( personality, extra = {} ) {
+            return JSON.stringify( { format: 'mrroboto-personality', version: 1, personality, ...extra } );
+        }
+
+        test( 'should export a personality as a versioned pack', async () => {
+            const { service } = makeService();
+            fs.existsSync.mockReturnValue( true );
+
+            const result = await service.exportPersonality( 'late night dj' );
+
+            expect( result ).toEqual( { success: true, file: 'late-night-dj.json', personality: 'Late Night DJ' } );
+            const [ filePath, json ] = fs.writeFileSync.mock.calls[ 0 ];
+            expect( filePath ).toMatch( /data[\\/]personalities[\\/]late-night-dj\.json$/ );
+            expect( JSON.parse( json ) ).toEqual( expect.objectContaining( {
+                format: 'mrroboto-personality',
+                version: PersonalityService.PACK_VERSION,
+                personality: expect.objectContaining( { name: 'Late Night DJ', mlPersonality: 'Mellow', editableMessages: { welcomeMessage: 'Hey {username}' } } )
+            } ) );
+        } );
+
+        test( 'should import a new personality, filling in missing sections', async () => {
+            const { service, services } = makeService();
+            fs.readFileSync.mockReturnValue( packFile( { name: 'Disco Diva', description: 'Glitter', mlPersonality: 'Sparkly', disabledCommands: [ 'dice' ] } ) );
+
+            const result = await service.importPersonality( 'disco-diva' );
+
+            expect( result ).toEqual( { success: true, personality: 'Disco Diva', replaced: false } );
+            expect( fs.readFileSync.mock.calls[ 0 ][ 0 ] ).toMatch( /disco-diva\.json$/ );
+            expect( services.databaseService.savePersonality ).toHaveBeenCalledWith( expect.objectContaining( {
+                name: 'Disco Diva',
+                mlPersonality: 'Sparkly',
+                mlInstructions: '',
+                disabledCommands: [ 'dice' ],
+                triggers: {}
+            } ) );
+        } );
+
+        test( 'should only replace an existing personality when asked', async () => {
+            const { service, services } = makeService();
+            fs.readFileSync.mockReturnValue( packFile( { name: 'metal monday', description: 'Heavier' } ) );
+
+            await expect( service.importPersonality( 'metal.json' ) ).resolves.toEqual( expect.objectContaining( { success: false, error: 'Personality "Metal Monday" already exists' } ) );
+
+            await expect( service.importPersonality( 'metal.json', { replace: true } ) ).resolves.toEqual( { success: true, personality: 'Metal Monday', replaced: true } );
+            expect( services.databaseService.updatePersonality ).toHaveBeenCalledWith( expect.objectContaining( { name: 'Metal Monday', description: 'Heavier' } ) );
+        } );
+
+        test( 'should keep imports inside the personalities folder', async () => {
+            const { service } = makeService();
+            fs.readFileSync.mockImplementation( () => {
+                throw Object.assign( new Error( 'missing' ), { code: 'ENOENT' } );
+            } );
+
+            const result = await service.importPersonality( '../botConfig.json' );
+
+            expect( result.error ).toBe( 'No personality file called botConfig.json' );
+            expect( fs.readFileSync.mock.calls[ 0 ][ 0 ] ).toMatch( /personalities[\\/]botConfig\.json$/ );
+        } );
+
+        test( 'should reject packs that fail validation', () => {
+            expect( PersonalityService.validatePack( { format: 'other' } ).errors ).toEqual( [ 'Not a mrroboto-personality file' ] );
+
+            const { valid, errors } = PersonalityService.validatePack( {
+                format: 'mrroboto-personality',
+                version: 99,
+                personality: {
+                    name: 'Broken',
+                    description: 'x'.repeat( 51 ),
+                    editableMessages: { welcomeMessage: '{if likes > 5}never closed' },
+                    disabledCommands: 'dice',
+                    triggers: { newSong: [ 42 ] }
+                }
+            } );
+
+            expect( valid ).toBe( false );
+            expect( errors ).toEqual( [
+                expect.stringContaining( 'Version 99' ),
+                expect.stringContaining( '50 characters' ),
+                expect.stringContaining( 'Editable Messages: welcomeMessage' ),
+                'Disabled Commands must be a list of names',
+                'Triggers: newSong must be a list of commands'
+            ] );
+        } );
+
+        test( 'should diff two personalities by section', async () => {
+            const { service } = makeService();
+
+            const result = await service.diffPersonalities( 'Metal Monday', 'Late Night DJ' );
+
+            expect( result.success ).toBe( true );
+            expect( result.sections ).toEqual( [
+                { section: 'AI Personality', changes: [ { type: 'changed', key: 'AI Personality' } ] },
+                { section: 'Editable Messages', changes: [ { type: 'changed', key: 'welcomeMessage' }, { type: 'removed', key: 'theme' } ] }
+            ] );
+            await expect( service.diffPersonalities( 'Metal Monday', 'Nope' ) ).resolves.toEqual( { success: false, error: 'Personality "Nope" not found' } );
+        } );
+
+        test( 'diffPacks should list added and removed list items', () => {
+            expect( PersonalityService.diffPacks( { disabledCommands: [ 'dice', 'poll' ] }, { disabledCommands: [ 'poll', 'roll' ] } ) ).toEqual( [
+                { section: 'Disabled Commands', changes: [ { type: 'added', key: 'roll' }, { type: 'removed', key: 'dice' } ] }
+            ] );
+        } );
+    } );
+} );
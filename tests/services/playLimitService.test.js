@@ -0,0 +1,97 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const PlayLimitService = require( '../../src/services/playLimitService' );
+
+function makeService ( tiers ) {
+    const data = { playLimit: { tiers } };
+    const services = {
+        dataService: {
+            getValue: jest.fn( key => key.split( '.' ).reduce( ( obj, k ) => obj?.[ k ], data ) ),
+            setValue: jest.fn( async ( key, value ) => { data.playLimit.tiers = value; } )
+        }
+    };
+    return { service: new PlayLimitService( services ), services };
+}
+
+describe( 'PlayLimitService', () => {
+    describe( 'getLimit', () => {
+        it( 'is unlimited when no tiers are configured', () => {
+            const { service } = makeService( undefined );
+            expect( service.getLimit( 5 ) ).toBe( 0 );
+        } );
+
+        it( 'is unlimited below the smallest tier', () => {
+            const { service } = makeService( [ { minDjs: 3, limit: 2 } ] );
+            expect( service.getLimit( 2 ) ).toBe( 0 );
+            expect( service.getLimit( 3 ) ).toBe( 2 );
+        } );
+
+        it( 'uses the largest tier the room qualifies for', () => {
+            const { service } = makeService( [ { minDjs: 5, limit: 1 }, { minDjs: 3, limit: 2 } ] );
+            expect( service.getLimit( 4 ) ).toBe( 2 );
+            expect( service.getLimit( 5 ) ).toBe( 1 );
+        } );
+    } );
+
+    describe( 'setTier / clearTiers', () => {
+        it( 'replaces an existing tier for the same room size', async () => {
+            const { service, services } = makeService( [ { minDjs: 3, limit: 2 } ] );
+            const tiers = await service.setTier( 3, 4 );
+            expect( tiers ).toEqual( [ { minDjs: 3, limit: 4 } ] );
+            expect( services.dataService.setValue ).toHaveBeenCalledWith( 'playLimit.tiers', [ { minDjs: 3, limit: 4 } ] );
+        } );
+
+        it( 'clears all tiers', async () => {
+            const { service } = makeService( [ { minDjs: 3, limit: 2 } ] );
+            await service.clearTiers();
+            expect( service.getTiers() ).toEqual( [] );
+        } );
+    } );
+
+    describe( 'recordPlay', () => {
+        it( 'flags the last song and queues the DJ for removal', () => {
+            const { service } = makeService( [ { minDjs: 3, limit: 2 } ] );
+            expect( service.recordPlay( 'dj1', 3 ) ).toEqual( { count: 1, limit: 2, lastSong: false } );
+            expect( service.recordPlay( 'dj1', 3 ) ).toEqual( { count: 2, limit: 2, lastSong: true } );
+            expect( service.takePendingRemovals() ).toEqual( [ 'dj1' ] );
+            expect( service.takePendingRemovals() ).toEqual( [] );
+        } );
+
+        it( 'never flags plays when the room is under the threshold', () => {
+            const { service } = makeService( [ { minDjs: 3, limit: 1 } ] );
+            expect( service.recordPlay( 'dj1', 2 ).lastSong ).toBe( false );
+            expect( service.recordPlay( 'dj1', 2 ).lastSong ).toBe( false );
+            expect( service.takePendingRemovals() ).toEqual( [] );
+        } );
+
+        it( 'never flags exempt DJs', () => {
+            const { service } = makeService( [ { minDjs: 1, limit: 1 } ] );
+            service.setExempt( 'dj1' );
+            expect( service.recordPlay( 'dj1', 3 ).lastSong ).toBe( false );
+            expect( service.isExempt( 'dj1' ) ).toBe( true );
+            service.clearExempt( 'dj1' );
+            expect( service.isExempt( 'dj1' ) ).toBe( false );
+        } );
+
+        it( 'cancels a pending removal when the DJ is exempted', () => {
+            const { service } = makeService( [ { minDjs: 1, limit: 1 } ] );
+            service.recordPlay( 'dj1', 3 );
+            service.setExempt( 'dj1' );
+            expect( service.takePendingRemovals() ).toEqual( [] );
+        } );
+    } );
+
+    describe( 'resetPlayCount', () => {
+        it( 'starts a fresh session for the DJ', () => {
+            const { service } = makeService( [ { minDjs: 1, limit: 1 } ] );
+            service.recordPlay( 'dj1', 3 );
+            service.resetPlayCount( 'dj1' );
+            expect( service.getPlayCount( 'dj1' ) ).toBe( 0 );
+            expect( service.takePendingRemovals() ).toEqual( [] );
+        } );
+    } );
+} );
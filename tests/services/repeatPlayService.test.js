@@ -0,0 +1,161 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+jest.mock( '../../src/lib/textUtils.js', () => ( {
+    normalizeText: jest.fn( text => text.normalize( 'NFKD' ).replace( /[\u0300-\u036f]/g, '' ) )
+} ) );
+
+const RepeatPlayService = require( '../../src/services/repeatPlayService' );
+
+const NOW = new Date( '2026-05-01T20:00:00Z' );
+
+function makeService ( { config = {}, plays = [] } = {} ) {
+    const data = { repeatPlay: { ...config } };
+    const services = {
+        dataService: {
+            getValue: jest.fn( key => key.split( '.' ).reduce( ( obj, k ) => obj?.[ k ], data ) ),
+            setValue: jest.fn( async ( key, value ) => { data.repeatPlay[ key.split( '.' )[ 1 ] ] = value; } )
+        },
+        databaseService: {
+            initialized: true,
+            getPlaysSince: jest.fn().mockReturnValue( plays )
+        },
+        messageService: {
+            sendGroupMessage: jest.fn().mockResolvedValue( undefined ),
+            sendPrivateMessage: jest.fn().mockResolvedValue( undefined )
+        },
+        hangSocketServices: {
+            skipSong: jest.fn().mockResolvedValue( undefined )
+        },
+        socket: { id: 'socket' }
+    };
+    return { service: new RepeatPlayService( services ), services };
+}
+
+const earlierPlay = {
+    timestamp: '2026-05-01 19:15:00',
+    song_id: 'song-1',
+    dj_uuid: 'dj-b',
+    nickname: 'Bob',
+    artist_name: 'Beyoncé',
+    track_name: 'Halo'
+};
+
+describe( 'RepeatPlayService', () => {
+    describe( 'settings', () => {
+        it( 'defaults to a 180 minute window and the warn policy', () => {
+            const { service } = makeService();
+            expect( service.getWindowMinutes() ).toBe( 180 );
+            expect( service.getPolicy() ).toBe( 'warn' );
+        } );
+
+        it( 'stores the window and policy in botConfig', async () => {
+            const { service, services } = makeService();
+            await service.setWindowMinutes( 60 );
+            await service.setPolicy( 'skip' );
+            expect( services.dataService.setValue ).toHaveBeenCalledWith( 'repeatPlay.windowMinutes', 60 );
+            expect( service.getPolicy() ).toBe( 'skip' );
+        } );
+
+        it( 'rejects unknown policies', async () => {
+            const { service } = makeService();
+            await expect( service.setPolicy( 'ban' ) ).rejects.toThrow( 'Invalid repeat policy' );
+        } );
+    } );
+
+    describe( 'songKey', () => {
+        it( 'ignores case, accents and punctuation', () => {
+            expect( RepeatPlayService.songKey( 'Beyoncé', 'Halo!' ) ).toBe( RepeatPlayService.songKey( 'beyonce', 'halo' ) );
+        } );
+
+        it( 'needs both artist and track', () => {
+            expect( RepeatPlayService.songKey( 'Beyonce', '' ) ).toBeNull();
+        } );
+    } );
+
+    describe( 'findRecentPlay', () => {
+        it( 'matches by normalized artist and track', () => {
+            const { service, services } = makeService( { plays: [ earlierPlay ] } );
+            const result = service.findRecentPlay( { artistName: 'BEYONCE', trackName: 'Halo' }, NOW );
+            expect( result ).toEqual( { nickname: 'Bob', djUuid: 'dj-b', minutesAgo: 45 } );
+            expect( services.databaseService.getPlaysSince ).toHaveBeenCalledWith( '-180 minutes' );
+        } );
+
+        it( 'matches by song id', () => {
+            const { service } = makeService( { plays: [ earlierPlay ] } );
+            expect( service.findRecentPlay( { songId: 'song-1', artistName: 'Other', trackName: 'Name' }, NOW ) ).not.toBeNull();
+        } );
+
+        it( 'returns null when the window is 0', () => {
+            const { service, services } = makeService( { config: { windowMinutes: 0 }, plays: [ earlierPlay ] } );
+            expect( service.findRecentPlay( { artistName: 'Beyonce', trackName: 'Halo' }, NOW ) ).toBeNull();
+            expect( services.databaseService.getPlaysSince ).not.toHaveBeenCalled();
+        } );
+
+        it( 'returns null when the database query fails', () => {
+            const { service, services } = makeService();
+            services.databaseService.getPlaysSince.mockImplementation( () => { throw new Error( 'locked' ); } );
+            expect( service.findRecentPlay( { artistName: 'Beyonce', trackName: 'Halo' }, NOW ) ).toBeNull();
+        } );
+    } );
+
+    describe( 'checkNextSong', () => {
+        const song = { artistName: 'Beyonce', trackName: 'Halo' };
+
+        it( 'privately warns the DJ once per queued song', async () => {
+            const { service, services } = makeService( { plays: [ earlierPlay ] } );
+            await service.checkNextSong( 'dj-a', song );
+            await service.checkNextSong( 'dj-a', song );
+            expect( services.messageService.sendPrivateMessage ).toHaveBeenCalledTimes( 1 );
+            expect( services.messageService.sendPrivateMessage ).toHaveBeenCalledWith(
+                expect.stringContaining( '**Halo** by Beyonce was played' ),
+                'dj-a',
+                services
+            );
+        } );
+
+        it( 'mentions the skip in strict mode', async () => {
+            const { service, services } = makeService( { config: { policy: 'skip' }, plays: [ earlierPlay ] } );
+            await service.checkNextSong( 'dj-a', song );
+            expect( services.messageService.sendPrivateMessage.mock.calls[ 0 ][ 0 ] ).toContain( 'will be skipped' );
+        } );
+
+        it( 'does nothing when repeats are ignored', async () => {
+            const { service, services } = makeService( { config: { policy: 'ignore' }, plays: [ earlierPlay ] } );
+            expect( await service.checkNextSong( 'dj-a', song ) ).toBeNull();
+            expect( services.databaseService.getPlaysSince ).not.toHaveBeenCalled();
+        } );
+    } );
+
+    describe( 'checkPlayedSong', () => {
+        const song = { djUuid: 'dj-a', songId: 'other', artistName: 'Beyonce', trackName: 'Halo' };
+
+        it( 'warns the room in warn mode', async () => {
+            const { service, services } = makeService( { plays: [ earlierPlay ] } );
+            expect( await service.checkPlayedSong( song ) ).toBe( 'warned' );
+            expect( services.messageService.sendGroupMessage ).toHaveBeenCalledWith( expect.stringContaining( 'Repeat alert' ), expect.any( Object ) );
+            expect( services.hangSocketServices.skipSong ).not.toHaveBeenCalled();
+        } );
+
+        it( 'skips the song in skip mode', async () => {
+            const { service, services } = makeService( { config: { policy: 'skip' }, plays: [ earlierPlay ] } );
+            expect( await service.checkPlayedSong( song ) ).toBe( 'skipped' );
+            expect( services.hangSocketServices.skipSong ).toHaveBeenCalledWith( services.socket );
+        } );
+
+        it( 'falls back to a warning if the skip fails', async () => {
+            const { service, services } = makeService( { config: { policy: 'skip' }, plays: [ earlierPlay ] } );
+            services.hangSocketServices.skipSong.mockRejectedValue( new Error( 'not allowed' ) );
+            expect( await service.checkPlayedSong( song ) ).toBe( 'warned' );
+        } );
+
+        it( 'does nothing for songs outside the window', async () => {
+            const { service, services } = makeService();
+            expect( await service.checkPlayedSong( song ) ).toBeNull();
+            expect( services.messageService.sendGroupMessage ).not.toHaveBeenCalled();
+        } );
+    } );
+} );
@@ -0,0 +1,176 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+jest.mock( 'node:fs', () => ( {
+    existsSync: jest.fn(),
+    readFileSync: jest.fn(),
+    writeFileSync: jest.fn(),
+    mkdirSync: jest.fn()
+} ) );
+
+const fs = require( 'node:fs' );
+const SchedulerService = require( '../../src/services/schedulerService' );
+
+// Friday 31 October 2025 - GMT, so London time matches UTC
+const FRIDAY_8PM = new Date( '2025-10-31T20:00:10Z' );
+
+function makeService ( { schedules = [], nextId, timezone = 'Europe/London' } = {} ) {
+    fs.existsSync.mockReturnValue( true );
+    fs.readFileSync.mockReturnValue( JSON.stringify( { schedules, nextId } ) );
+
+    const services = {
+        dataService: {
+            getValue: jest.fn( key => key === 'configuration.timezone' ? timezone : undefined )
+        },
+        messageService: {
+            sendGroupMessage: jest.fn().mockResolvedValue( undefined )
+        },
+        tokenService: {
+            replaceTokens: jest.fn( async text => text.replace( '{theme}', 'Metal' ) )
+        }
+    };
+    return { service: new SchedulerService( services ), services };
+}
+
+function savedData () {
+    const calls = fs.writeFileSync.mock.calls;
+    return JSON.parse( calls[ calls.length - 1 ][ 1 ] );
+}
+
+describe( 'SchedulerService', () => {
+    beforeEach( () => {
+        jest.clearAllMocks();
+    } );
+
+    describe( 'getLocalTime', () => {
+        test( 'should use the configured timezone', () => {
+            const { service } = makeService( { timezone: 'America/New_York' } );
+            const local = service.getLocalTime( FRIDAY_8PM );
+            expect( local ).toEqual( expect.objectContaining( { hour: 16, minute: 0, weekday: 5, key: '2025-10-31 16:00' } ) );
+        } );
+    } );
+
+    describe( 'parseTiming', () => {
+        const words = text => text.split( ' ' );
+
+        test( 'should read a cron expression and leave the message', () => {
+            const { service } = makeService();
+            expect( service.parseTiming( words( 'cron 0 20 * * fri Theme night!' ) ) ).toEqual( {
+                timing: { type: 'cron', expression: '0 20 * * fri' },
+                rest: [ 'Theme', 'night!' ]
+            } );
+            expect( service.parseTiming( words( 'cron 0 25 * * fri Hi' ) ).error ).toContain( 'hour field' );
+        } );
+
+        test( 'should read intervals in minutes, hours and days', () => {
+            const { service } = makeService();
+            expect( service.parseTiming( words( 'every 45m Rules' ) ).timing ).toEqual( { type: 'interval', minutes: 45 } );
+            expect( service.parseTiming( words( 'every 2h Rules' ) ).timing ).toEqual( { type: 'interval', minutes: 120 } );
+            expect( service.parseTiming( words( 'every 0m Rules' ) ).error ).toBeDefined();
+        } );
+
+        test( 'should place a one-off today or tomorrow', () => {
+            const { service } = makeService();
+            expect( service.parseTiming( words( 'at 21:30 Last call' ), FRIDAY_8PM ).timing ).toEqual( { type: 'once', at: '2025-10-31 21:30' } );
+            expect( service.parseTiming( words( 'at 9:00 Morning' ), FRIDAY_8PM ).timing ).toEqual( { type: 'once', at: '2025-11-01 09:00' } );
+            expect( service.parseTiming( words( 'at 2025-12-24 18:00 Party' ), FRIDAY_8PM ) ).toEqual( {
+                timing: { type: 'once', at: '2025-12-24 18:00' },
+                rest: [ 'Party' ]
+            } );
+            expect( service.parseTiming( words( 'at 2025-01-01 18:00 Party' ), FRIDAY_8PM ).error ).toContain( 'already passed' );
+        } );
+    } );
+
+    describe( 'managing schedules', () => {
+        test( 'should add schedules with increasing ids and save them', () => {
+            const { service } = makeService( { schedules: [ { id: 4, type: 'interval', minutes: 45, message: 'Old' } ] } );
+            const schedule = service.addSchedule( { type: 'cron', expression: '0 20 * * fri' }, 'Theme night', 'owner-1' );
+
+            expect( schedule.id ).toBe( 5 );
+            expect( savedData().nextId ).toBe( 6 );
+            expect( savedData().schedules[ 1 ] ).toEqual( expect.objectContaining( { message: 'Theme night', createdBy: 'owner-1', paused: false } ) );
+        } );
+
+        test( 'should pause, resume and remove schedules', () => {
+            const { service } = makeService( { schedules: [ { id: 1, type: 'cron', expression: '0 20 * * *', message: 'Hi' } ], nextId: 2 } );
+            expect( service.setPaused( 1, true ).paused ).toBe( true );
+            expect( savedData().schedules[ 0 ].paused ).toBe( true );
+            expect( service.removeSchedule( 1 ).id ).toBe( 1 );
+            expect( service.listSchedules() ).toEqual( [] );
+            expect( service.removeSchedule( 1 ) ).toBeNull();
+        } );
+    } );
+
+    describe( 'checkSchedules', () => {
+        test( 'should post a cron schedule once in its minute, with tokens replaced', async () => {
+            const { service, services } = makeService( { schedules: [ { id: 1, type: 'cron', expression: '0 20 * * fri', message: 'Theme: {theme}' } ] } );
+
+            const posted = await service.checkSchedules( FRIDAY_8PM );
+            expect( posted.map( s => s.id ) ).toEqual( [ 1 ] );
+            expect( services.messageService.sendGroupMessage ).toHaveBeenCalledWith( 'Theme: Metal', { services } );
+
+            await service.checkSchedules( new Date( FRIDAY_8PM.getTime() + 30 * 1000 ) );
+            expect( services.messageService.sendGroupMessage ).toHaveBeenCalledTimes( 1 );
+        } );
+
+        test( 'should not post again after a restart in the same minute', async () => {
+            const first = makeService( { schedules: [ { id: 1, type: 'cron', expression: '0 20 * * fri', message: 'Hi' } ] } );
+            await first.service.checkSchedules( FRIDAY_8PM );
+
+            // A new service reads back what the first one saved
+            const restarted = makeService( savedData() );
+            await restarted.service.checkSchedules( new Date( FRIDAY_8PM.getTime() + 20 * 1000 ) );
+            expect( restarted.services.messageService.sendGroupMessage ).not.toHaveBeenCalled();
+        } );
+
+        test( 'should save before sending', async () => {
+            const { service, services } = makeService( { schedules: [ { id: 1, type: 'cron', expression: '0 20 * * *', message: 'Hi' } ] } );
+            services.messageService.sendGroupMessage.mockImplementation( async () => {
+                expect( savedData().schedules[ 0 ].lastRunKey ).toBe( '2025-10-31 20:00' );
+            } );
+            await service.checkSchedules( FRIDAY_8PM );
+            expect.assertions( 1 );
+        } );
+
+        test( 'should post intervals once they have elapsed', async () => {
+            const lastRunAt = FRIDAY_8PM.getTime() - 44 * 60 * 1000;
+            const { service, services } = makeService( { schedules: [ { id: 1, type: 'interval', minutes: 45, message: 'Rules', lastRunAt } ] } );
+
+            await service.checkSchedules( FRIDAY_8PM );
+            expect( services.messageService.sendGroupMessage ).not.toHaveBeenCalled();
+
+            await service.checkSchedules( new Date( lastRunAt + 45 * 60 * 1000 ) );
+            expect( services.messageService.sendGroupMessage ).toHaveBeenCalledWith( 'Rules', { services } );
+        } );
+
+        test( 'should skip paused schedules', async () => {
+            const { service, services } = makeService( { schedules: [ { id: 1, type: 'cron', expression: '* * * * *', message: 'Hi', paused: true } ] } );
+            await service.checkSchedules( FRIDAY_8PM );
+            expect( services.messageService.sendGroupMessage ).not.toHaveBeenCalled();
+        } );
+
+        test( 'should post one-offs at their time and then remove them', async () => {
+            const { service, services } = makeService( { schedules: [ { id: 1, type: 'once', at: '2025-10-31 20:00', message: 'Party!' } ] } );
+            await service.checkSchedules( FRIDAY_8PM );
+            expect( services.messageService.sendGroupMessage ).toHaveBeenCalledWith( 'Party!', { services } );
+            expect( savedData().schedules ).toEqual( [] );
+        } );
+
+        test( 'should drop one-offs that were missed', async () => {
+            const { service, services } = makeService( { schedules: [ { id: 1, type: 'once', at: '2025-10-31 19:00', message: 'Too late' } ] } );
+            await service.checkSchedules( FRIDAY_8PM );
+            expect( services.messageService.sendGroupMessage ).not.toHaveBeenCalled();
+            expect( savedData().schedules ).toEqual( [] );
+        } );
+    } );
+
+    test( 'describeTiming should give a short summary', () => {
+        expect( SchedulerService.describeTiming( { type: 'cron', expression: '0 20 * * fri' } ) ).toBe( 'cron 0 20 * * fri' );
+        expect( SchedulerService.describeTiming( { type: 'interval', minutes: 45 } ) ).toBe( 'every 45m' );
+        expect( SchedulerService.describeTiming( { type: 'interval', minutes: 120 } ) ).toBe( 'every 2h' );
+        expect( SchedulerService.describeTiming( { type: 'once', at: '2025-10-31 20:00' } ) ).toBe( 'once at 2025-10-31 20:00' );
+    } );
+} );
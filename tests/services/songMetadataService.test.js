@@ -0,0 +1,160 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const SongMetadataService = require( '../../src/services/songMetadataService' );
+
+const verifiedData = {
+    track: {
+        title: 'Le Freak',
+        releaseDate: '1978-09-21',
+        album: { title: 'C\'est Chic', wikidata_id: 'Q30' },
+        genres: [ 'disco', 'funk' ],
+        duration: 330,
+        isrc: 'USAT20001234',
+        musicbrainzId: 'mb-rec'
+    },
+    artist: { title: 'Chic', genres: [ 'disco' ], musicbrainzId: 'mb-artist' }
+};
+
+function makeService ( { config = {}, verifyResult = { found: true, hasFacts: true, data: verifiedData }, databaseOverrides = {} } = {} ) {
+    const databaseService = {
+        initialized: true,
+        saveSongMetadata: jest.fn(),
+        recordSongMetadataAttempt: jest.fn(),
+        getSongsNeedingMetadata: jest.fn().mockReturnValue( [] ),
+        getSongMetadataStats: jest.fn().mockReturnValue( { songs: 10, withMetadata: 6, verified: 4 } ),
+        ...databaseOverrides
+    };
+    const verificationService = { verify: jest.fn().mockResolvedValue( verifyResult ) };
+    const dataService = { getValue: jest.fn( key => config[ key ] ) };
+    return {
+        service: new SongMetadataService( { databaseService, verificationService, dataService } ),
+        databaseService,
+        verificationService
+    };
+}
+
+describe( 'SongMetadataService', () => {
+    describe( 'fromNowPlaying', () => {
+        it( 'reads the hang.fm song payload', () => {
+            expect( SongMetadataService.fromNowPlaying( {
+                albumName: 'C\'est Chic',
+                releaseDate: '1978-08-11T00:00:00Z',
+                genre: 'Disco',
+                duration: 330.4,
+                isrc: 'USAT20001234'
+            } ) ).toEqual( {
+                releaseDate: '1978-08-11T00:00:00Z',
+                releaseYear: 1978,
+                album: 'C\'est Chic',
+                genres: [ 'Disco' ],
+                duration: 330,
+                isrc: 'USAT20001234'
+            } );
+        } );
+
+        it( 'leaves out what the payload does not have', () => {
+            expect( SongMetadataService.fromNowPlaying( { artistName: 'Chic' } ) ).toEqual( {
+                releaseDate: undefined, releaseYear: undefined, album: undefined, genres: [], duration: undefined, isrc: undefined
+            } );
+        } );
+    } );
+
+    describe( 'fromVerification', () => {
+        it( 'reads the verified data summary', () => {
+            expect( SongMetadataService.fromVerification( verifiedData ) ).toEqual( {
+                releaseDate: '1978-09-21',
+                releaseYear: 1978,
+                album: 'C\'est Chic',
+                genres: [ 'disco', 'funk' ],
+                duration: 330,
+                isrc: 'USAT20001234',
+                musicbrainzRecordingId: 'mb-rec',
+                musicbrainzArtistId: 'mb-artist'
+            } );
+        } );
+
+        it( 'falls back to the artist genres', () => {
+            const data = { track: { genres: [] }, artist: { genres: [ 'disco' ] } };
+            expect( SongMetadataService.fromVerification( data ).genres ).toEqual( [ 'disco' ] );
+        } );
+    } );
+
+    describe( 'enrichSong', () => {
+        it( 'stores the payload, then the verified metadata', async () => {
+            const { service, databaseService, verificationService } = makeService();
+
+            const metadata = await service.enrichSong( { songId: 'short-1', artistName: 'Chic', trackName: 'Le Freak', song: { albumName: 'C\'est Chic', duration: 330 } } );
+
+            expect( databaseService.saveSongMetadata ).toHaveBeenNthCalledWith( 1, 'short-1', expect.objectContaining( { album: 'C\'est Chic', duration: 330 } ) );
+            expect( verificationService.verify ).toHaveBeenCalledWith( 'Chic - Le Freak', { artist: 'Chic', track: 'Le Freak' } );
+            expect( databaseService.saveSongMetadata ).toHaveBeenNthCalledWith( 2, 'short-1', expect.objectContaining( { releaseYear: 1978 } ), { verified: true } );
+            expect( metadata.musicbrainzRecordingId ).toBe( 'mb-rec' );
+        } );
+
+        it( 'counts an attempt when nothing is known about the song', async () => {
+            const { service, databaseService } = makeService( { verifyResult: { found: true, hasFacts: false, data: {} } } );
+
+            expect( await service.enrichSong( { songId: 'short-1', artistName: 'Nobody', trackName: 'Nothing' } ) ).toBeNull();
+            expect( databaseService.recordSongMetadataAttempt ).toHaveBeenCalledWith( 'short-1' );
+            expect( databaseService.saveSongMetadata ).not.toHaveBeenCalled();
+        } );
+
+        it( 'does not count an attempt when no source could be reached', async () => {
+            const { service, databaseService } = makeService( { verifyResult: { found: false, error: 'offline' } } );
+
+            await service.enrichSong( { songId: 'short-1', artistName: 'Chic', trackName: 'Le Freak' } );
+
+            expect( databaseService.recordSongMetadataAttempt ).not.toHaveBeenCalled();
+        } );
+
+        it( 'does nothing without the database', async () => {
+            const { service, databaseService, verificationService } = makeService();
+            databaseService.initialized = false;
+
+            expect( await service.enrichSong( { songId: 'short-1', artistName: 'Chic', trackName: 'Le Freak' } ) ).toBeNull();
+            expect( verificationService.verify ).not.toHaveBeenCalled();
+        } );
+    } );
+
+    describe( 'runBackfill', () => {
+        it( 'verifies the next songs without metadata', async () => {
+            const { service, databaseService, verificationService } = makeService( {
+                config: { 'songMetadata.backfillPerTick': 2 },
+                databaseOverrides: {
+                    getSongsNeedingMetadata: jest.fn().mockReturnValue( [
+                        { song_id: 'short-1', artist_name: 'Chic', track_name: 'Le Freak' },
+                        { song_id: 'short-2', artist_name: 'Sister Sledge', track_name: 'We Are Family' }
+                    ] )
+                }
+            } );
+
+            expect( await service.runBackfill() ).toBe( 2 );
+            expect( databaseService.getSongsNeedingMetadata ).toHaveBeenCalledWith( 2, 3 );
+            expect( verificationService.verify ).toHaveBeenCalledTimes( 2 );
+        } );
+
+        it( 'can be turned off', async () => {
+            const { service, databaseService } = makeService( { config: { 'songMetadata.backfill': false } } );
+
+            expect( await service.runBackfill() ).toBe( 0 );
+            expect( databaseService.getSongsNeedingMetadata ).not.toHaveBeenCalled();
+        } );
+
+        it( 'does not overlap with a backfill still running', async () => {
+            const { service, databaseService } = makeService();
+            service.backfilling = true;
+
+            expect( await service.runBackfill() ).toBe( 0 );
+            expect( databaseService.getSongsNeedingMetadata ).not.toHaveBeenCalled();
+        } );
+    } );
+
+    it( 'reports how much of the library has metadata', () => {
+        const { service } = makeService();
+        expect( service.getStats() ).toEqual( { songs: 10, withMetadata: 6, verified: 4 } );
+    } );
+} );
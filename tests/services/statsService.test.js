@@ -0,0 +1,125 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+const StatsService = require( '../../src/services/statsService' );
+
+function makeService ( databaseOverrides = {} ) {
+    const databaseService = {
+        initialized: true,
+        getTopDJs: jest.fn().mockReturnValue( [] ),
+        getTopSongs: jest.fn().mockReturnValue( [] ),
+        getTopArtists: jest.fn().mockReturnValue( [] ),
+        getDjStats: jest.fn().mockReturnValue( { playCount: 0 } ),
+        getSongPlays: jest.fn().mockReturnValue( [] ),
+        findDjByNickname: jest.fn().mockReturnValue( null ),
+        ...databaseOverrides
+    };
+    return { service: new StatsService( { databaseService } ), databaseService };
+}
+
+describe( 'StatsService', () => {
+    describe( 'parsePeriod', () => {
+        it( 'defaults to all time', () => expect( StatsService.parsePeriod() ).toBe( 'all' ) );
+        it( 'accepts known periods case-insensitively', () => expect( StatsService.parsePeriod( 'Week' ) ).toBe( 'week' ) );
+        it( 'rejects unknown periods', () => expect( StatsService.parsePeriod( 'year' ) ).toBeNull() );
+    } );
+
+    describe( 'availability', () => {
+        it( 'is unavailable when the database is not initialized', () => {
+            const { service, databaseService } = makeService( { initialized: false } );
+            expect( service.isAvailable() ).toBe( false );
+            expect( service.getTopDjs() ).toEqual( [] );
+            expect( databaseService.getTopDJs ).not.toHaveBeenCalled();
+        } );
+
+        it( 'returns the fallback when a query throws', () => {
+            const { service } = makeService( { getTopSongs: jest.fn( () => { throw new Error( 'boom' ); } ) } );
+            expect( service.getTopSongs() ).toEqual( [] );
+        } );
+    } );
+
+    describe( 'leaderboards', () => {
+        it( 'passes the period modifier to the database', () => {
+            const { service, databaseService } = makeService();
+            service.getTopDjs( 'week', 5 );
+            service.getTopSongs( 'month', 3 );
+            service.getTopArtists( 'all', 5 );
+            expect( databaseService.getTopDJs ).toHaveBeenCalledWith( 5, '-7 days' );
+            expect( databaseService.getTopSongs ).toHaveBeenCalledWith( 3, '-30 days' );
+            expect( databaseService.getTopArtists ).toHaveBeenCalledWith( 5, null );
+        } );
+    } );
+
+    describe( 'getDjStats', () => {
+        it( 'returns null for DJs with no plays', () => {
+            const { service } = makeService();
+            expect( service.getDjStats( 'dj1' ) ).toBeNull();
+        } );
+
+        it( 'adds the DJ\'s most played artist', () => {
+            const { service, databaseService } = makeService( {
+                getDjStats: jest.fn().mockReturnValue( { playCount: 4, uniqueSongs: 3, likes: 10, dislikes: 1, stars: 2 } ),
+                getTopArtists: jest.fn().mockReturnValue( [ { artist_name: 'Chic', playCount: 2 } ] )
+            } );
+            expect( service.getDjStats( 'dj1' ) ).toEqual( expect.objectContaining( { playCount: 4, topArtist: 'Chic' } ) );
+            expect( databaseService.getTopArtists ).toHaveBeenCalledWith( 1, null, 'dj1' );
+        } );
+    } );
+
+    describe( 'getSongStats', () => {
+        it( 'counts plays per DJ, most frequent first', () => {
+            const { service } = makeService( {
+                getSongPlays: jest.fn().mockReturnValue( [
+                    { timestamp: '2026-03-02 20:00:00', dj_uuid: 'b', nickname: 'Bob' },
+                    { timestamp: '2026-02-01 20:00:00', dj_uuid: 'a', nickname: 'Alice' },
+                    { timestamp: '2026-01-01 20:00:00', dj_uuid: 'a', nickname: 'Alice' }
+                ] )
+            } );
+            expect( service.getSongStats( 'Chic', 'Le Freak' ) ).toEqual( {
+                playCount: 3,
+                lastPlayed: '2026-03-02 20:00:00',
+                djs: [
+                    { uuid: 'a', nickname: 'Alice', playCount: 2 },
+                    { uuid: 'b', nickname: 'Bob', playCount: 1 }
+                ]
+            } );
+        } );
+
+        it( 'leaves out the current DJ\'s newest play, which is the one in progress', () => {
+            const { service } = makeService( {
+                getSongPlays: jest.fn().mockReturnValue( [
+                    { timestamp: '2026-03-02 20:00:00', dj_uuid: 'b', nickname: 'Bob' },
+                    { timestamp: '2026-02-01 20:00:00', dj_uuid: 'a', nickname: 'Alice' }
+                ] )
+            } );
+            expect( service.getSongStats( 'Chic', 'Le Freak', 'b' ) ).toEqual( {
+                playCount: 1,
+                lastPlayed: '2026-02-01 20:00:00',
+                djs: [ { uuid: 'a', nickname: 'Alice', playCount: 1 } ]
+            } );
+            expect( service.getSongStats( 'Chic', 'Le Freak', 'a' ).playCount ).toBe( 2 );
+        } );
+
+        it( 'returns an empty result for songs never played', () => {
+            const { service } = makeService();
+            expect( service.getSongStats( 'Chic', 'Le Freak' ) ).toEqual( { playCount: 0, lastPlayed: null, djs: [] } );
+        } );
+    } );
+
+    describe( 'formatDjStats', () => {
+        it( 'includes totals, top artist and dates', () => {
+            const { service } = makeService();
+            const text = service.formatDjStats( 'Alice', {
+                playCount: 1, uniqueSongs: 1, likes: 5, dislikes: 0, stars: 1, topArtist: 'Chic',
+                firstPlayed: '2026-01-01 20:00:00', lastPlayed: '2026-01-01 20:00:00'
+            } );
+            expect( text ).toContain( '**Stats for Alice**' );
+            expect( text ).toContain( '1 play (1 different song)' );
+            expect( text ).toContain( 'Most played artist: Chic' );
+            expect( text ).toContain( 'First play: 2026-01-01' );
+        } );
+    } );
+} );
@@ -0,0 +1,221 @@
+'use strict';
+
+jest.mock( '../../src/lib/logging.js', () => ( {
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+} ) );
+
+jest.mock( 'node:fs', () => ( {
+    existsSync: jest.fn(),
+    readFileSync: jest.fn(),
+    writeFileSync: jest.fn(),
+    mkdirSync: jest.fn()
+} ) );
+
+const fs = require( 'node:fs' );
+const ThemeService = require( '../../src/services/themeService' );
+
+function makeService ( { themes = [ 'Love', 'Metal', 'Rap' ], schedule = [], config = {} } = {} ) {
+    fs.existsSync.mockReturnValue( true );
+    fs.readFileSync.mockReturnValue( JSON.stringify( { themes, schedule } ) );
+
+    const data = {
+        configuration: { timezone: 'Europe/London' },
+        editableMessages: { theme: '' },
+        ...config
+    };
+    const services = {
+        dataService: {
+            getValue: jest.fn( key => key.split( '.' ).reduce( ( obj, k ) => obj?.[ k ], data ) ),
+            setValue: jest.fn( async ( key, value ) => {
+                const keys = key.split( '.' );
+                const last = keys.pop();
+                const target = keys.reduce( ( obj, k ) => ( obj[ k ] = obj[ k ] || {} ), data );
+                target[ last ] = value;
+            } )
+        },
+        messageService: {
+            sendGroupMessage: jest.fn().mockResolvedValue( undefined ),
+            formatMention: jest.fn( uuid => `<@uid:${ uuid }>` )
+        },
+        tokenService: {
+            getReadTheme: jest.fn( () => `The theme is currently ${ data.editableMessages.theme }` ),
+            replaceTokens: jest.fn( async template => template.replace( '{theme}', data.editableMessages.theme ) )
+        }
+    };
+    return { service: new ThemeService( services ), services, data };
+}
+
+describe( 'ThemeService', () => {
+    beforeEach( () => {
+        jest.clearAllMocks();
+    } );
+
+    describe( 'theme list', () => {
+        it( 'loads themes from the data file', () => {
+            const { service } = makeService();
+            expect( service.listThemes() ).toEqual( [ 'Love', 'Metal', 'Rap' ] );
+        } );
+
+        it( 'adds themes and rejects duplicates case-insensitively', () => {
+            const { service } = makeService();
+            expect( service.addTheme( 'Disco' ) ).toBe( true );
+            expect( service.addTheme( 'disco' ) ).toBe( false );
+            expect( service.listThemes() ).toContain( 'Disco' );
+            expect( fs.writeFileSync ).toHaveBeenCalledTimes( 1 );
+        } );
+
+        it( 'removes themes by name', () => {
+            const { service } = makeService();
+            expect( service.removeTheme( 'metal' ) ).toBe( true );
+            expect( service.removeTheme( 'Polka' ) ).toBe( false );
+            expect( service.listThemes() ).toEqual( [ 'Love', 'Rap' ] );
+        } );
+
+        it( 'picks a random theme other than the current one', () => {
+            const { service, data } = makeService( { themes: [ 'Love', 'Metal' ] } );
+            data.editableMessages.theme = 'Love';
+            expect( service.pickRandomTheme() ).toBe( 'Metal' );
+        } );
+
+        it( 'returns null when there are no themes to pick from', () => {
+            const { service } = makeService( { themes: [] } );
+            expect( service.pickRandomTheme() ).toBeNull();
+        } );
+
+        it( 'tells the personality service when the theme is set', async () => {
+            const { service, services, data } = makeService();
+            services.personalityService = { handleThemeChange: jest.fn().mockRejectedValue( new Error( 'db down' ) ) };
+
+            await service.setCurrentTheme( 'Metal' );
+
+            expect( services.personalityService.handleThemeChange ).toHaveBeenCalledWith( 'Metal' );
+            expect( data.editableMessages.theme ).toBe( 'Metal' );
+        } );
+    } );
+
+    describe( 'parsing', () => {
+        it( 'parses full and short day names', () => {
+            expect( ThemeService.parseDay( 'Friday' ) ).toBe( 'friday' );
+            expect( ThemeService.parseDay( 'sat' ) ).toBe( 'saturday' );
+            expect( ThemeService.parseDay( 'someday' ) ).toBeNull();
+        } );
+
+        it( 'parses 24 hour times', () => {
+            expect( ThemeService.parseTime( '8:30' ) ).toBe( '08:30' );
+            expect( ThemeService.parseTime( '20:00' ) ).toBe( '20:00' );
+            expect( ThemeService.parseTime( '24:00' ) ).toBeNull();
+            expect( ThemeService.parseTime( '8pm' ) ).toBeNull();
+        } );
+    } );
+
+    describe( 'schedule', () => {
+        it( 'replaces an entry for the same slot and keeps entries ordered', () => {
+            const { service } = makeService();
+            service.addSchedule( 'friday', '20:00', 'Disco' );
+            service.addSchedule( 'monday', '19:00', 'Love' );
+            service.addSchedule( 'friday', '20:00', 'Metal' );
+            expect( service.getSchedule() ).toEqual( [
+                { day: 'monday', time: '19:00', theme: 'Love' },
+                { day: 'friday', time: '20:00', theme: 'Metal' }
+            ] );
+        } );
+
+        it( 'removes entries by their 1-based position', () => {
+            const { service } = makeService( { schedule: [ { day: 'friday', time: '20:00', theme: 'Disco' } ] } );
+            expect( service.removeSchedule( 2 ) ).toBeNull();
+            expect( service.removeSchedule( 1 ) ).toEqual( { day: 'friday', time: '20:00', theme: 'Disco' } );
+            expect( service.getSchedule() ).toEqual( [] );
+        } );
+
+        it( 'applies and announces a theme scheduled in the configured timezone only once', async () => {
+            const { service, services, data } = makeService( {
+                schedule: [ { day: 'friday', time: '20:00', theme: 'Disco' } ],
+                config: { configuration: { timezone: 'America/New_York' } }
+            } );
+            // Friday 20:00 in New York (EDT, UTC-4)
+            const now = new Date( '2026-06-06T00:00:30Z' );
+
+            expect( await service.checkSchedule( now ) ).toBe( 'Disco' );
+            expect( data.editableMessages.theme ).toBe( 'Disco' );
+            expect( services.messageService.sendGroupMessage ).toHaveBeenCalledWith(
+                '🎨 The theme is currently Disco',
+                expect.any( Object )
+            );
+
+            expect( await service.checkSchedule( new Date( '2026-06-06T00:00:50Z' ) ) ).toBeNull();
+            expect( services.messageService.sendGroupMessage ).toHaveBeenCalledTimes( 1 );
+        } );
+
+        it( 'does not announce a scheduled theme again after a restart in the same minute', async () => {
+            const { service, services, data } = makeService( { schedule: [ { day: 'friday', time: '20:00', theme: 'Disco' } ] } );
+            // Friday 20:00 in London (BST, UTC+1)
+            expect( await service.checkSchedule( new Date( '2026-06-05T19:00:10Z' ) ) ).toBe( 'Disco' );
+
+            const restarted = new ThemeService( services );
+            expect( await restarted.checkSchedule( new Date( '2026-06-05T19:00:40Z' ) ) ).toBeNull();
+            expect( data.themeOptions.lastScheduleKey ).toContain( 'friday 20:00' );
+            expect( services.messageService.sendGroupMessage ).toHaveBeenCalledTimes( 1 );
+        } );
+
+        it( 'does nothing outside a scheduled slot', async () => {
+            const { service, services } = makeService( { schedule: [ { day: 'friday', time: '20:00', theme: 'Disco' } ] } );
+            expect( await service.checkSchedule( new Date( '2026-06-05T12:00:00Z' ) ) ).toBeNull();
+            expect( services.dataService.setValue ).not.toHaveBeenCalled();
+        } );
+    } );
+
+    describe( 'judgeSong', () => {
+        const song = { djUuid: 'dj1', artistName: 'Chic', trackName: 'Le Freak' };
+
+        function withVerdicts ( response ) {
+            const setup = makeService( {
+                config: { themeOptions: { aiVerdict: true }, editableMessages: { theme: 'Disco' } }
+            } );
+            setup.services.machineLearningService = {
+                activeBackend: 'gemma',
+                askGoogleAI: jest.fn().mockResolvedValue( response )
+            };
+            return setup;
+        }
+
+        it( 'posts the first line of the AI verdict', async () => {
+            const { service, services } = withVerdicts( 'A perfect disco fit!\nMore detail' );
+            expect( await service.judgeSong( song ) ).toBe( 'A perfect disco fit!' );
+            expect( services.machineLearningService.askGoogleAI ).toHaveBeenCalledWith( expect.stringContaining( 'Disco' ), undefined, { command: 'themeVerdict' } );
+            expect( services.messageService.sendGroupMessage ).toHaveBeenCalledWith( '🎨 A perfect disco fit!', expect.any( Object ) );
+        } );
+
+        it( 'ignores error responses from the AI', async () => {
+            const { service, services } = withVerdicts( 'Sorry, an error occurred' );
+            expect( await service.judgeSong( song ) ).toBeNull();
+            expect( services.messageService.sendGroupMessage ).not.toHaveBeenCalled();
+        } );
+
+        it( 'does not post the AI service\'s message when no backend could answer', async () => {
+            const { service, services } = withVerdicts( "I'm unable to process your request at the moment. Please try again later." );
+            expect( await service.judgeSong( song ) ).toBeNull();
+            expect( services.messageService.sendGroupMessage ).not.toHaveBeenCalled();
+        } );
+
+        it( 'is skipped when verdicts are disabled', async () => {
+            const { service, services } = withVerdicts( 'Fits' );
+            await service.setVerdictEnabled( false );
+            expect( await service.judgeSong( song ) ).toBeNull();
+            expect( services.machineLearningService.askGoogleAI ).not.toHaveBeenCalled();
+        } );
+
+        it( 'is skipped once the AI budget is spent', async () => {
+            const { service, services } = withVerdicts( 'Fits' );
+            services.llmUsageService = { checkBudget: jest.fn().mockReturnValue( { exceeded: true } ) };
+            expect( await service.judgeSong( song ) ).toBeNull();
+            expect( services.machineLearningService.askGoogleAI ).not.toHaveBeenCalled();
+        } );
+
+        it( 'is skipped when no theme is set', async () => {
+            const { service, services } = withVerdicts( 'Fits' );
+            await service.clearCurrentTheme();
+            expect( await service.judgeSong( song ) ).toBeNull();
+            expect( services.machineLearningService.askGoogleAI ).not.toHaveBeenCalled();
+        } );
+    } );
+} );
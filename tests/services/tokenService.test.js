@@ -235,6 +235,139 @@ describe( 'TokenService', () => {
         } );
     } );
 
+    describe( 'template syntax', () => {
+        beforeEach( () => {
+            mockServices.dataService.getValue.mockImplementation( key => ( key === 'customTokens'
+                ? { '{greeting}': { value: 'Hello there' } }
+                : undefined ) );
+        } );
+
+        it( 'renders conditionals with context values before replacing plain tokens', async () => {
+            const text = '{trackName} {if likes > 5}was a hit 🔥{else}got {likes|plural:like:likes}{/if}';
+            expect( await tokenService.replaceTokens( text, { trackName: 'Le Freak', likes: 1 } ) ).toBe( 'Le Freak got 1 like' );
+            expect( await tokenService.replaceTokens( text, { trackName: 'Le Freak', likes: 9 } ) ).toBe( 'Le Freak was a hit 🔥' );
+        } );
+
+        it( 'applies filters to built-in and custom tokens', async () => {
+            const result = await tokenService.replaceTokens( '{greeting|upper} from {botName|lower}' );
+            expect( result ).toBe( 'HELLO THERE from test bot' );
+        } );
+
+        it( 'uses defaults for tokens with no value', async () => {
+            expect( await tokenService.replaceTokens( 'Thanks {username|default:someone}!', {} ) ).toBe( 'Thanks someone!' );
+        } );
+
+        it( 'picks a random option and replaces its tokens', async () => {
+            const spy = jest.spyOn( Math, 'random' ).mockReturnValue( 0 );
+            expect( await tokenService.replaceTokens( '{random:Welcome to {hangoutName}|Hi}' ) ).toBe( 'Welcome to Test Hangout' );
+            spy.mockRestore();
+        } );
+
+        it( 'still replaces plain tokens when the template syntax is broken', async () => {
+            const result = await tokenService.replaceTokens( '{if likes > 5}Hot at {hangoutName}' );
+            expect( result ).toBe( '{if likes > 5}Hot at Test Hangout' );
+        } );
+
+        it( 'validates templates', () => {
+            expect( tokenService.validateTemplate( '{if likes}x{/if}' ).valid ).toBe( true );
+            expect( tokenService.validateTemplate( '{if likes}x' ).valid ).toBe( false );
+        } );
+    } );
+
+    describe( 'chat command arguments', () => {
+        it( 'replaces argument tokens, leaving missing ones empty', async () => {
+            const context = { args: 'Bob the builder', arg1: 'Bob', arg2: 'the', arg3: 'builder', targetUsername: '<@uid:bob>' };
+            const result = await tokenService.replaceTokens( 'Hugs to {targetUsername} ({arg1}/{arg4}): {args}', context );
+            expect( result ).toBe( 'Hugs to <@uid:bob> (Bob/): Bob the builder' );
+        } );
+
+        it( 'supports arguments in conditions', async () => {
+            const text = '{if args}{targetUsername} gets a hug{else}Group hug!{/if}';
+            expect( await tokenService.replaceTokens( text, { args: '' } ) ).toBe( 'Group hug!' );
+            expect( await tokenService.replaceTokens( text, { args: 'Bob', arg1: 'Bob', targetUsername: 'Bob' } ) ).toBe( 'Bob gets a hug' );
+        } );
+
+        it( 'leaves argument tokens alone outside chat commands', async () => {
+            expect( await tokenService.replaceTokens( '{arg1}', {} ) ).toBe( '{arg1}' );
+        } );
+    } );
+
+    describe( 'computed tokens', () => {
+        beforeEach( () => {
+            mockServices.databaseService = {
+                initialized: true,
+                getArtistPlayCount: jest.fn().mockReturnValue( 7 ),
+                getLastPlayOfTrack: jest.fn().mockReturnValue( { nickname: 'Alice' } )
+            };
+            mockServices.stateService._getAllUsers = jest.fn().mockReturnValue( [ {}, {}, {} ] );
+            mockServices.stateService._getDjs = jest.fn().mockReturnValue( [ {} ] );
+            mockServices.stateService._getVibeMeter = jest.fn().mockReturnValue( 0.8 );
+            mockServices.stateService._getNowPlaying = jest.fn().mockReturnValue( {
+                song: { artistName: 'Chic', trackName: 'Le Freak', duration: 325 }
+            } );
+        } );
+
+        it( 'replaces room tokens', async () => {
+            const result = await tokenService.replaceTokens( '{userCount} here, {djCount} on stage, vibe {vibe}, {songLength} long' );
+            expect( result ).toBe( '3 here, 1 on stage, vibe 0.8, 5:25 long' );
+        } );
+
+        it( 'resolves parameters from context, then the song playing, then as plain text', async () => {
+            expect( await tokenService.replaceTokens( '{plays:artistName}', { artistName: 'Blondie' } ) ).toBe( '7' );
+            expect( mockServices.databaseService.getArtistPlayCount ).toHaveBeenCalledWith( 'Blondie' );
+
+            await tokenService.replaceTokens( '{plays:artistName} {plays}' );
+            expect( mockServices.databaseService.getArtistPlayCount ).toHaveBeenCalledWith( 'Chic' );
+
+            expect( await tokenService.replaceTokens( '{lastPlayedBy:Heart of Glass}' ) ).toBe( 'Alice' );
+            expect( mockServices.databaseService.getLastPlayOfTrack ).toHaveBeenCalledWith( 'Heart of Glass' );
+        } );
+
+        it( 'says when a track has not been played', async () => {
+            mockServices.databaseService.getLastPlayOfTrack.mockReturnValue( null );
+            expect( await tokenService.replaceTokens( 'Last played by {lastPlayedBy:trackName}' ) ).toBe( 'Last played by nobody yet' );
+        } );
+
+        it( 'formats uptime', async () => {
+            const spy = jest.spyOn( process, 'uptime' ).mockReturnValue( 93784 );
+            expect( await tokenService.replaceTokens( 'Up for {uptime}' ) ).toBe( 'Up for 1d 2h 3m' );
+            spy.mockRestore();
+        } );
+
+        it( 'works in conditions and filters', async () => {
+            const text = '{if plays:artistName > 5}{artistName} again? That\'s {plays:artistName|plural:play}!{/if}';
+            expect( await tokenService.replaceTokens( text, { artistName: 'Chic' } ) ).toBe( 'Chic again? That\'s 7 plays!' );
+        } );
+
+        it( 'resolves custom tokens built from computed tokens', async () => {
+            mockServices.dataService.getValue.mockImplementation( key => ( key === 'customTokens'
+                ? { '{artistPlays}': { type: 'computed', source: 'plays', param: 'artistName', description: 'Plays' } }
+                : undefined ) );
+            expect( await tokenService.replaceTokens( '{artistPlays} plays', { artistName: 'Chic' } ) ).toBe( '7 plays' );
+        } );
+
+        it( 'saves computed custom tokens and rejects unknown ones', async () => {
+            const result = await tokenService.setComputedToken( 'artistPlays', 'plays', 'artistName', 'Plays of the current artist' );
+            expect( result.success ).toBe( true );
+            expect( mockServices.dataService.setValue ).toHaveBeenCalledWith( 'customTokens', {
+                '{artistPlays}': expect.objectContaining( { type: 'computed', source: 'plays', param: 'artistName' } )
+            } );
+
+            const unknown = await tokenService.setComputedToken( 'x', 'nonsense' );
+            expect( unknown.success ).toBe( false );
+            expect( unknown.error ).toContain( 'Unknown computed token' );
+        } );
+
+        it( 'leaves unknown names alone', async () => {
+            expect( await tokenService.replaceTokens( '{notAToken:foo} {mystery}' ) ).toBe( '{notAToken:foo} {mystery}' );
+        } );
+
+        it( 'lists computed tokens with their parameters', async () => {
+            const computed = ( await tokenService.getTokenList() ).filter( token => token.type === 'computed' );
+            expect( computed.map( token => token.name ) ).toEqual( expect.arrayContaining( [ '{plays:artist}', '{lastPlayedBy:track}', '{uptime}' ] ) );
+        } );
+    } );
+
     describe( 'getTokenList', () => {
         it( 'should return list of built-in and custom tokens', async () => {
             const customTokens = {
@@ -573,5 +706,17 @@ describe( 'TokenService', () => {
             const result = await tokenService.replaceTokens( 'Welcome! {readTheme}', {} );
             expect( result ).toBe( 'Welcome! ' );
         } );
+
+        it( 'should replace {currentTheme} with the theme or "no theme"', async () => {
+            let theme = 'disco';
+            mockServices.dataService.getValue.mockImplementation( ( key ) => {
+                if ( key === 'editableMessages.theme' ) return theme;
+                if ( key === 'customTokens' ) return {};
+                return undefined;
+            } );
+            expect( await tokenService.replaceTokens( 'Theme: {currentTheme}', {} ) ).toBe( 'Theme: disco' );
+            theme = '';
+            expect( await tokenService.replaceTokens( 'Theme: {currentTheme}', {} ) ).toBe( 'Theme: no theme' );
+        } );
     } );
 } );
\ No newline at end of file
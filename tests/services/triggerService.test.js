@@ -40,9 +40,20 @@ describe('TriggerService', () => {
         'userJoined': 'Fires when a user joins the hangout',
         'userLeft': 'Fires when a user leaves the hangout',
         'djAdded': 'Fires when a DJ is added to the booth',
-        'djRemoved': 'Fires when a DJ is removed from the booth'
+        'djRemoved': 'Fires when a DJ is removed from the booth',
+        'songLiked': 'Fires when the current song gets a like',
+        'songStarred': 'Fires when the current song gets a star',
+        'roomSettingsChanged': 'Fires when the room settings are changed',
+        'nothingPlaying': 'Fires when the music stops and nobody is playing',
+        'afkWarning': 'Fires when a DJ is warned for being AFK'
       });
     });
+
+    it('should list the fields each trigger offers', () => {
+      expect(triggerService.getTriggerFields('userJoined')).toContain('firstVisit');
+      expect(triggerService.getTriggerFields('songLiked')).toContain('likes');
+      expect(triggerService.getTriggerFields('unknown')).toEqual([]);
+    });
   });
 
   describe('getAllTriggers', () => {
@@ -207,6 +218,136 @@ describe('TriggerService', () => {
     });
   });
 
+  describe('conditions and arguments', () => {
+    it('should only run commands whose condition matches the event', async () => {
+      mockServices.dataService.getValue.mockReturnValue({
+        'newSong': [
+          { command: 'intro', args: '', condition: 'artist matches /beatles/i' },
+          { command: 'ping', args: '', condition: 'artist == Queen' }
+        ]
+      });
+      mockServices.commandService.mockResolvedValue({ success: true });
+
+      const result = await triggerService.executeTrigger('newSong', {
+        eventData: { songInfo: { artistName: 'The Beatles', trackName: 'Help!' } }
+      });
+
+      expect(result.executed).toBe(1);
+      expect(mockServices.commandService).toHaveBeenCalledTimes(1);
+      expect(mockServices.commandService).toHaveBeenCalledWith('intro', '', mockServices, expect.any(Object));
+    });
+
+    it('should treat a bare field as a yes/no check', async () => {
+      mockServices.dataService.getValue.mockReturnValue({
+        'userJoined': [{ command: 'say', args: 'Welcome newbie', condition: 'firstVisit' }]
+      });
+      mockServices.commandService.mockResolvedValue({ success: true });
+
+      await triggerService.executeTrigger('userJoined', { eventData: { userUuid: 'u1', firstVisit: false } });
+      expect(mockServices.commandService).not.toHaveBeenCalled();
+
+      await triggerService.executeTrigger('userJoined', { eventData: { userUuid: 'u1', firstVisit: true } });
+      expect(mockServices.commandService).toHaveBeenCalledWith('say', 'Welcome newbie', mockServices, expect.any(Object));
+    });
+
+    it('should pass arguments with tokens filled from the event', async () => {
+      mockServices.tokenService = { replaceTokens: jest.fn().mockResolvedValue('Welcome <@uid:u1>') };
+      mockServices.messageService = { formatMention: jest.fn().mockReturnValue('<@uid:u1>') };
+      mockServices.dataService.getValue.mockReturnValue({
+        'userJoined': [{ command: 'say', args: 'Welcome {username}', condition: null }]
+      });
+      mockServices.commandService.mockResolvedValue({ success: true });
+
+      await triggerService.executeTrigger('userJoined', { eventData: { userUuid: 'u1' } });
+
+      expect(mockServices.tokenService.replaceTokens).toHaveBeenCalledWith(
+        'Welcome {username}', expect.objectContaining({ userUuid: 'u1', username: '<@uid:u1>' })
+      );
+      expect(mockServices.commandService).toHaveBeenCalledWith('say', 'Welcome <@uid:u1>', mockServices, expect.any(Object));
+    });
+
+    it('should split arguments from older plain-text entries', async () => {
+      mockServices.dataService.getValue.mockReturnValue({ 'newSong': ['echo welcome!'] });
+      mockServices.commandService.mockResolvedValue({ success: true });
+
+      await triggerService.executeTrigger('newSong', {});
+
+      expect(mockServices.commandService).toHaveBeenCalledWith('echo', 'welcome!', mockServices, expect.any(Object));
+    });
+
+    it('should pass the event to the command it runs', async () => {
+      mockServices.dataService.getValue.mockReturnValue({ 'afkWarning': ['intro'] });
+      mockServices.commandService.mockResolvedValue({ success: true });
+      const eventData = { userUuid: 'dj-1', warningLevel: 2, inactiveMinutes: 16 };
+
+      await triggerService.executeTrigger('afkWarning', { eventData });
+
+      expect(mockServices.commandService).toHaveBeenCalledWith('intro', '', mockServices, expect.objectContaining({
+        trigger: { name: 'afkWarning', eventData }
+      }));
+    });
+
+    it('should only fire a threshold once, as it is crossed', async () => {
+      mockServices.dataService.getValue.mockReturnValue({
+        'songLiked': [{ command: 'intro', args: '', condition: 'likes >= 5' }]
+      });
+      mockServices.commandService.mockResolvedValue({ success: true });
+
+      await triggerService.executeTrigger('songLiked', { eventData: { likes: 4 }, previousEventData: { likes: 3 } });
+      await triggerService.executeTrigger('songLiked', { eventData: { likes: 5 }, previousEventData: { likes: 4 } });
+      await triggerService.executeTrigger('songLiked', { eventData: { likes: 6 }, previousEventData: { likes: 5 } });
+
+      expect(mockServices.commandService).toHaveBeenCalledTimes(1);
+    });
+
+    it('should parse combined and negated clauses', () => {
+      const clauses = TriggerService.parseCondition('not firstVisit and nickname contains bob and likes > 2');
+
+      expect(TriggerService.evaluateCondition(clauses, { firstVisit: false, nickname: 'BobbyD', likes: 3 })).toBe(true);
+      expect(TriggerService.evaluateCondition(clauses, { firstVisit: true, nickname: 'BobbyD', likes: 3 })).toBe(false);
+      expect(TriggerService.evaluateCondition(clauses, { firstVisit: false, nickname: 'BobbyD', likes: 2 })).toBe(false);
+    });
+
+    it('should reject conditions it cannot understand', () => {
+      expect(() => TriggerService.parseCondition('artist matches /[/')).toThrow('Invalid pattern');
+      expect(() => TriggerService.parseCondition('likes >>> 5')).toThrow("Can't understand");
+      expect(() => TriggerService.parseCondition('likes is 5')).toThrow("Can't understand");
+    });
+
+    it('should store commands with arguments or a condition as entries', async () => {
+      mockServices.dataService.getValue.mockReturnValue({ 'userJoined': ['intro'] });
+      mockServices.dataService.setValue.mockResolvedValue();
+
+      const result = await triggerService.addTriggerCommand('userJoined', 'say', { args: 'Welcome newbie', condition: 'firstVisit' });
+
+      expect(result.success).toBe(true);
+      expect(result.currentCommands).toEqual(['intro', 'say Welcome newbie (if firstVisit)']);
+      expect(mockServices.dataService.setValue).toHaveBeenCalledWith('triggers', {
+        'userJoined': ['intro', { command: 'say', args: 'Welcome newbie', condition: 'firstVisit' }]
+      });
+    });
+
+    it('should not save an invalid condition', async () => {
+      const result = await triggerService.addTriggerCommand('newSong', 'intro', { condition: 'artist matches /(/' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/^Invalid condition: /);
+      expect(mockServices.dataService.setValue).not.toHaveBeenCalled();
+    });
+
+    it('should remove an entry by its position', async () => {
+      mockServices.dataService.getValue.mockReturnValue({
+        'newSong': ['intro', { command: 'intro', args: '', condition: 'artist == Queen' }]
+      });
+      mockServices.dataService.setValue.mockResolvedValue();
+
+      const result = await triggerService.removeTriggerCommand('newSong', '2');
+
+      expect(result.success).toBe(true);
+      expect(result.currentCommands).toEqual(['intro']);
+    });
+  });
+
   describe('addTriggerCommand', () => {
     it('should add command to existing trigger', async () => {
       const mockTriggers = {
@@ -0,0 +1,67 @@
+const MetadataProvider = require( '../../../src/services/verification/metadataProvider.js' );
+
+describe( 'MetadataProvider', () => {
+    let provider;
+    let originalFetch;
+
+    beforeEach( () => {
+        originalFetch = global.fetch;
+        provider = new MetadataProvider( { config: { HANGOUT_SLUG: 'i-love-the-80s' } }, { name: 'test', minIntervalMs: 50, timeoutMs: 20 } );
+    } );
+
+    afterEach( () => {
+        global.fetch = originalFetch;
+    } );
+
+    it( 'should need a name', () => {
+        expect( () => new MetadataProvider( {}, {} ) ).toThrow( 'A metadata provider needs a name' );
+    } );
+
+    it( 'should default to an enabled, available provider', () => {
+        expect( provider.enabled ).toBe( true );
+        expect( provider.isAvailable() ).toBe( true );
+        expect( provider.priority ).toBe( 100 );
+        expect( provider.maxRetries ).toBe( 1 );
+    } );
+
+    it( 'should require lookup to be implemented', async () => {
+        await expect( provider.lookup( { artist: 'Chic', track: 'Le Freak' } ) ).rejects.toThrow( 'test does not implement lookup' );
+    } );
+
+    it( 'should build the user agent from the hangout URL or slug', () => {
+        expect( provider.userAgent ).toBe( 'mrRoboto/1.4.1 (Hangout.fm i-love-the-80s)' );
+        expect( MetadataProvider.buildUserAgent( { HANGOUT_URL: 'https://hang.fm/x' } ) ).toBe( 'mrRoboto/1.4.1 (https://hang.fm/x)' );
+    } );
+
+    it( 'should space requests by the minimum interval', async () => {
+        const start = Date.now();
+        await Promise.all( [ provider.throttle(), provider.throttle(), provider.throttle() ] );
+        expect( Date.now() - start ).toBeGreaterThanOrEqual( 95 );
+    } );
+
+    it( 'should fetch JSON with the user agent', async () => {
+        global.fetch = jest.fn().mockResolvedValue( { ok: true, json: () => Promise.resolve( { hello: 'world' } ) } );
+
+        await expect( provider.fetchJson( 'https://example.com' ) ).resolves.toEqual( { hello: 'world' } );
+        expect( global.fetch ).toHaveBeenCalledWith( 'https://example.com', expect.objectContaining( {
+            headers: { 'User-Agent': 'mrRoboto/1.4.1 (Hangout.fm i-love-the-80s)' }
+        } ) );
+    } );
+
+    it( 'should attach the status to HTTP errors so retryService can decide whether to retry', async () => {
+        global.fetch = jest.fn().mockResolvedValue( { ok: false, status: 503, statusText: 'Service Unavailable' } );
+
+        const error = await provider.fetchJson( 'https://example.com' ).catch( err => err );
+
+        expect( error.message ).toBe( 'test API error: 503 Service Unavailable' );
+        expect( error.response ).toEqual( { status: 503 } );
+    } );
+
+    it( 'should report timeouts', async () => {
+        global.fetch = jest.fn( ( url, { signal } ) => new Promise( ( resolve, reject ) => {
+            signal.addEventListener( 'abort', () => reject( signal.reason ) );
+        } ) );
+
+        await expect( provider.fetchJson( 'https://example.com' ) ).rejects.toThrow( 'test request timeout after 20ms' );
+    } );
+} );
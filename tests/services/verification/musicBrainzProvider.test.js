@@ -0,0 +1,41 @@
+const MusicBrainzProvider = require( '../../../src/services/verification/musicBrainzProvider.js' );
+
+describe( 'MusicBrainzProvider', () => {
+    let provider;
+
+    beforeEach( () => {
+        provider = new MusicBrainzProvider( {} );
+    } );
+
+    it( 'should register as musicbrainz and keep to one request a second', () => {
+        expect( provider.name ).toBe( 'musicbrainz' );
+        expect( provider.priority ).toBe( 10 );
+        expect( provider.minIntervalMs ).toBeGreaterThanOrEqual( 1000 );
+    } );
+
+    it( 'should look up the recording and the artist', async () => {
+        jest.spyOn( provider, 'fetchJson' ).mockImplementation( async url => url.includes( '/recording?' )
+            ? { recordings: [ {
+                id: 'mb-rec',
+                length: 330400,
+                isrcs: [ 'USAT20001234' ],
+                tags: [ { name: 'funk', count: 2 }, { name: 'disco', count: 5 }, { name: 'spam', count: -1 } ],
+                'artist-credit': [ { artist: { name: 'CHIC' } } ],
+                'first-release-date': '1978-09-21'
+            } ] }
+            : { artists: [ { id: 'mb-artist', country: 'US', 'life-span': { begin: '1976' } } ] } );
+
+        const facts = await provider.lookup( { artist: 'Chic', track: 'Le Freak' } );
+
+        expect( provider.fetchJson ).toHaveBeenCalledWith( expect.stringContaining( encodeURIComponent( 'artist:"Chic" recording:"Le Freak"' ) ) );
+        expect( facts ).toEqual( {
+            track: { artist: 'CHIC', releaseDate: '1978-09-21', duration: 330, isrc: 'USAT20001234', genres: [ 'disco', 'funk' ], musicbrainzId: 'mb-rec' },
+            artist: { founded: '1976', country: 'US', genres: [], musicbrainzId: 'mb-artist' }
+        } );
+    } );
+
+    it( 'should return no facts when nothing matches', async () => {
+        jest.spyOn( provider, 'fetchJson' ).mockResolvedValue( {} );
+        await expect( provider.lookup( { artist: 'Nobody', track: 'Nothing' } ) ).resolves.toEqual( {} );
+    } );
+} );
@@ -0,0 +1,84 @@
+const WikidataProvider = require( '../../../src/services/verification/wikidataProvider.js' );
+
+describe( 'WikidataProvider', () => {
+    let provider;
+
+    beforeEach( () => {
+        provider = new WikidataProvider( { logger: { debug: jest.fn(), error: jest.fn() } } );
+    } );
+
+    it( 'should register as wikidata', () => {
+        expect( provider.name ).toBe( 'wikidata' );
+        expect( provider.priority ).toBe( 20 );
+    } );
+
+    it( 'should only keep music results when filtering', async () => {
+        jest.spyOn( provider, 'fetchJson' ).mockResolvedValue( {
+            search: [
+                { id: 'Q1', description: '1978 single by Chic' },
+                { id: 'Q2', description: '1978 song by Chic' },
+                { id: 'Q3', description: 'song from the film Le Freak' }
+            ]
+        } );
+
+        const results = await provider.search( 'Le Freak', { filterMusic: true } );
+
+        expect( results.map( result => result.id ) ).toEqual( [ 'Q2' ] );
+        expect( provider.fetchJson ).toHaveBeenCalledWith( expect.stringContaining( 'search=Le%20Freak' ) );
+    } );
+
+    it( 'should look up the track, its album and the artist', async () => {
+        jest.spyOn( provider, 'fetchJson' ).mockImplementation( async url => {
+            if ( url.includes( 'search=Le%20Freak' ) ) return { search: [ { id: 'Q10', description: 'song' } ] };
+            if ( url.includes( 'search=Chic' ) ) return { search: [ { id: 'Q20', description: 'band' } ] };
+            if ( url.endsWith( 'Q10.json' ) ) return { entities: { Q10: { claims: { P18: [ { mainsnak: { datavalue: { value: 'Freak.jpg' } } } ], P361: [ { mainsnak: { datavalue: { value: { id: 'Q30' } } } } ] } } } };
+            if ( url.endsWith( 'Q30.json' ) ) return { entities: { Q30: { labels: { en: { value: 'C\'est Chic' } }, claims: {} } } };
+            if ( url.endsWith( 'Q20.json' ) ) return { entities: { Q20: { claims: { P1: [], P2: [], P3: [] } } } };
+            throw new Error( `unexpected ${ url }` );
+        } );
+
+        const facts = await provider.lookup( { artist: 'Chic', track: 'Le Freak' } );
+
+        expect( facts.track.wikidata ).toEqual( { qid: 'Q10', properties: 2, imageUrl: 'https://commons.wikimedia.org/wiki/Special:FilePath/Freak.jpg' } );
+        expect( facts.track.album ).toEqual( { title: 'C\'est Chic', wikidata_id: 'Q30', imageUrl: undefined } );
+        expect( facts.artist.wikidata ).toEqual( { qid: 'Q20', properties: 3 } );
+    } );
+
+    it( 'should return no facts when nothing matches', async () => {
+        jest.spyOn( provider, 'fetchJson' ).mockResolvedValue( { search: [] } );
+        await expect( provider.lookup( { artist: 'Nobody', track: 'Nothing' } ) ).resolves.toEqual( {} );
+    } );
+
+    it( 'should fail the lookup when the search fails', async () => {
+        jest.spyOn( provider, 'fetchJson' ).mockRejectedValue( new Error( 'wikidata API error: 503' ) );
+        await expect( provider.lookup( { artist: 'Chic', track: 'Le Freak' } ) ).rejects.toThrow( '503' );
+    } );
+
+    describe( 'extractImageUrl', () => {
+        it( 'should extract image URL from Wikidata entity with P18', () => {
+            const url = WikidataProvider.extractImageUrl( { claims: { P18: [ { mainsnak: { datavalue: { value: 'Test_Image.jpg' } } } ] } } );
+
+            expect( url ).toContain( 'commons.wikimedia.org' );
+            expect( url ).toContain( 'Test_Image.jpg' );
+            expect( url ).toContain( 'Special:FilePath' );
+        } );
+
+        it( 'should return undefined if no P18 claim', () => {
+            expect( WikidataProvider.extractImageUrl( { claims: {} } ) ).toBeUndefined();
+        } );
+
+        it( 'should return undefined if P18 array is empty', () => {
+            expect( WikidataProvider.extractImageUrl( { claims: { P18: [] } } ) ).toBeUndefined();
+        } );
+
+        it( 'should return undefined if entity is undefined', () => {
+            expect( WikidataProvider.extractImageUrl( undefined ) ).toBeUndefined();
+        } );
+
+        it( 'should properly encode special characters in filenames', () => {
+            const url = WikidataProvider.extractImageUrl( { claims: { P18: [ { mainsnak: { datavalue: { value: 'File with spaces & special.jpg' } } } ] } } );
+
+            expect( url ).toContain( encodeURIComponent( 'File with spaces & special.jpg' ) );
+        } );
+    } );
+} );
@@ -0,0 +1,40 @@
+const WikipediaProvider = require( '../../../src/services/verification/wikipediaProvider.js' );
+
+describe( 'WikipediaProvider', () => {
+    let provider;
+
+    beforeEach( () => {
+        provider = new WikipediaProvider( { logger: { debug: jest.fn() } } );
+        provider.minIntervalMs = 0;
+    } );
+
+    it( 'should be available when wtf_wikipedia is installed', () => {
+        expect( provider.name ).toBe( 'wikipedia' );
+        expect( provider.isAvailable() ).toBe( true );
+    } );
+
+    it( 'should be unavailable without wtf_wikipedia', () => {
+        provider.library = null;
+        expect( provider.isAvailable() ).toBe( false );
+    } );
+
+    it( 'should return the track page categories', async () => {
+        provider.library = {
+            fetch: jest.fn().mockResolvedValue( {
+                title: () => 'Le Freak',
+                categories: () => [ '1978 singles', 'Chic songs', 'Disco songs', 'Atlantic Records singles' ],
+                infobox: () => ( {} )
+            } )
+        };
+
+        const facts = await provider.lookup( { artist: 'Chic', track: 'Le Freak' } );
+
+        expect( provider.library.fetch ).toHaveBeenCalledWith( 'Le Freak', { userAgent: provider.userAgent } );
+        expect( facts ).toEqual( { track: { categories: [ '1978 singles', 'Chic songs', 'Disco songs' ] } } );
+    } );
+
+    it( 'should return no facts when there is no page', async () => {
+        provider.library = { fetch: jest.fn().mockResolvedValue( null ) };
+        await expect( provider.lookup( { artist: 'Nobody', track: 'Nothing' } ) ).resolves.toEqual( {} );
+    } );
+} );
@@ -1,5 +1,24 @@
 const VerificationService = require( '../../src/services/verificationService.js' );
 
+function fakeProvider ( name, facts = {}, priority = 10 ) {
+    return {
+        name,
+        priority,
+        timeoutMs: 1000,
+        maxRetries: 0,
+        enabled: true,
+        isAvailable: () => true,
+        lookup: jest.fn().mockResolvedValue( facts )
+    };
+}
+
+// Swap the built-in providers for fakes so nothing goes over the network
+function useProviders ( service, ...providers ) {
+    service.providers.list().forEach( provider => service.unregisterProvider( provider.name ) );
+    providers.forEach( provider => service.registerProvider( provider ) );
+    return providers;
+}
+
 describe( 'VerificationService', () => {
     let verificationService;
     let mockLogger;
@@ -26,7 +45,7 @@ describe( 'VerificationService', () => {
         it( 'should have default configuration', () => {
             // Service with config but no HANGOUT_URL or HANGOUT_SLUG will have undefined slug
             expect( verificationService.userAgent ).toBe( 'mrRoboto/1.4.1 (Hangout.fm undefined)' );
-            expect( verificationService.delayMs ).toBe( 2000 );
+            expect( verificationService.providers.list().map( provider => provider.name ) ).toEqual( [ 'musicbrainz', 'wikidata', 'wikipedia' ] );
         } );
     } );
 
@@ -38,10 +57,7 @@ describe( 'VerificationService', () => {
         } );
 
         it( 'should parse artist - track format', async () => {
-            // Mock the private search methods
-            jest.spyOn( verificationService, '_searchWikipedia' ).mockResolvedValueOnce( { searches: {} } );
-            jest.spyOn( verificationService, '_searchWikidata' ).mockResolvedValueOnce( { searches: {} } );
-            jest.spyOn( verificationService, '_searchMusicBrainz' ).mockResolvedValueOnce( { searches: {} } );
+            useProviders( verificationService, fakeProvider( 'musicbrainz' ), fakeProvider( 'wikidata', {}, 20 ) );
 
             const result = await verificationService.verify( 'The Beatles - Hey Jude' );
 
@@ -52,10 +68,7 @@ describe( 'VerificationService', () => {
         }, 15000 );
 
         it( 'should accept artist and track as options', async () => {
-            // Mock the private search methods
-            jest.spyOn( verificationService, '_searchWikipedia' ).mockResolvedValueOnce( { searches: {} } );
-            jest.spyOn( verificationService, '_searchWikidata' ).mockResolvedValueOnce( { searches: {} } );
-            jest.spyOn( verificationService, '_searchMusicBrainz' ).mockResolvedValueOnce( { searches: {} } );
+            useProviders( verificationService, fakeProvider( 'musicbrainz' ), fakeProvider( 'wikidata', {}, 20 ) );
 
             const result = await verificationService.verify( 'query', {
                 artist: 'Pink Floyd',
@@ -67,10 +80,7 @@ describe( 'VerificationService', () => {
         }, 15000 );
 
         it( 'should return found: true when searches complete', async () => {
-            // Mock the private search methods
-            jest.spyOn( verificationService, '_searchWikipedia' ).mockResolvedValueOnce( { searches: {} } );
-            jest.spyOn( verificationService, '_searchWikidata' ).mockResolvedValueOnce( { searches: {} } );
-            jest.spyOn( verificationService, '_searchMusicBrainz' ).mockResolvedValueOnce( { searches: {} } );
+            useProviders( verificationService, fakeProvider( 'musicbrainz' ), fakeProvider( 'wikidata', {}, 20 ) );
 
             const result = await verificationService.verify( 'Test Artist - Test Track' );
 
@@ -81,7 +91,8 @@ describe( 'VerificationService', () => {
         }, 15000 );
 
         it( 'should return error object on failure', async () => {
-            jest.spyOn( verificationService, '_searchWikipedia' ).mockRejectedValueOnce( new Error( 'API error' ) );
+            const [ provider ] = useProviders( verificationService, fakeProvider( 'wikipedia' ) );
+            provider.lookup.mockRejectedValueOnce( new Error( 'API error' ) );
 
             const result = await verificationService.verify( 'Test Artist - Test Track' );
 
@@ -91,10 +102,7 @@ describe( 'VerificationService', () => {
         } );
 
         it( 'should return structured verified data', async () => {
-            // Mock the private search methods
-            jest.spyOn( verificationService, '_searchWikipedia' ).mockResolvedValueOnce( { searches: {} } );
-            jest.spyOn( verificationService, '_searchWikidata' ).mockResolvedValueOnce( { searches: {} } );
-            jest.spyOn( verificationService, '_searchMusicBrainz' ).mockResolvedValueOnce( { searches: {} } );
+            useProviders( verificationService, fakeProvider( 'musicbrainz' ), fakeProvider( 'wikidata', {}, 20 ) );
 
             const result = await verificationService.verify( 'Test Artist - Test Track' );
 
@@ -103,6 +111,7 @@ describe( 'VerificationService', () => {
             expect( result.data.track.categories ).toBeDefined();
             expect( result.data.track.wikidata ).toBeDefined();
             expect( result.data.track.album ).toBeUndefined();
+            expect( result.hasFacts ).toBe( false );
 
             expect( result.data.artist ).toBeDefined();
             expect( result.data.artist.title ).toBe( 'Test Artist' );
@@ -111,116 +120,277 @@ describe( 'VerificationService', () => {
         }, 15000 );
     } );
 
-    describe( '_extractImageUrl', () => {
-        it( 'should extract image URL from Wikidata entity with P18', () => {
-            const entity = {
-                claims: {
-                    P18: [ {
-                        mainsnak: {
-                            datavalue: {
-                                value: 'Test_Image.jpg'
-                            }
-                        }
-                    } ]
-                }
+    describe( 'cache', () => {
+        let databaseService;
+        let dataService;
+
+        let musicbrainz;
+
+        const mockSearches = ( { answered = true, releaseDate } = {} ) => {
+            if ( !answered ) {
+                musicbrainz.lookup.mockRejectedValue( new Error( 'offline' ) );
+            } else {
+                musicbrainz.lookup.mockResolvedValue( releaseDate ? { track: { releaseDate } } : {} );
+            }
+        };
+
+        beforeEach( () => {
+            databaseService = {
+                initialized: true,
+                getVerificationCacheEntry: jest.fn().mockReturnValue( null ),
+                saveVerificationCacheEntry: jest.fn(),
+                recordVerificationCacheHit: jest.fn(),
+                clearVerificationCache: jest.fn().mockReturnValue( 0 ),
+                getVerificationCacheStats: jest.fn().mockReturnValue( { entries: 3, found: 2, hits: 7, expired: 1 } )
             };
+            dataService = { getValue: jest.fn().mockReturnValue( undefined ) };
+            verificationService = new VerificationService( { logger: mockLogger, databaseService, dataService } );
+            [ musicbrainz ] = useProviders( verificationService, fakeProvider( 'musicbrainz' ) );
+        } );
+
+        it( 'should build keys that ignore case, punctuation, accents and remaster notes', () => {
+            expect( VerificationService.buildKey( 'Beyoncé', 'Crazy In Love (2011 Remaster)' ) ).toBe( 'beyonce|crazy in love' );
+            expect( VerificationService.buildKey( 'The Beatles', 'Hey Jude [Remastered 2015]' ) )
+                .toBe( VerificationService.buildKey( 'the beatles', 'Hey Jude!' ) );
+        } );
 
-            const url = verificationService._extractImageUrl( entity );
+        it( 'should return cached facts without searching', async () => {
+            databaseService.getVerificationCacheEntry.mockReturnValue( {
+                found: true, data: { track: { title: 'Le Freak', releaseDate: '1978' } }, created_at: '2026-03-01 20:00:00'
+            } );
+            const result = await verificationService.verify( 'Chic - Le Freak' );
 
-            expect( url ).toContain( 'commons.wikimedia.org' );
-            expect( url ).toContain( 'Test_Image.jpg' );
-            expect( url ).toContain( 'Special:FilePath' );
+            expect( musicbrainz.lookup ).not.toHaveBeenCalled();
+            expect( databaseService.getVerificationCacheEntry ).toHaveBeenCalledWith( 'chic|le freak' );
+            expect( databaseService.recordVerificationCacheHit ).toHaveBeenCalledWith( 'chic|le freak' );
+            expect( result ).toMatchObject( { found: true, hasFacts: true, cached: true, cachedAt: '2026-03-01 20:00:00' } );
         } );
 
-        it( 'should return undefined if no P18 claim', () => {
-            const entity = { claims: {} };
-            const url = verificationService._extractImageUrl( entity );
+        it( 'should store facts for the full TTL', async () => {
+            mockSearches( { releaseDate: '1978-09-21' } );
 
-            expect( url ).toBeUndefined();
+            const result = await verificationService.verify( 'Chic - Le Freak' );
+
+            expect( result.hasFacts ).toBe( true );
+            expect( databaseService.saveVerificationCacheEntry ).toHaveBeenCalledWith( expect.objectContaining( {
+                cacheKey: 'chic|le freak', artistName: 'Chic', trackName: 'Le Freak', found: true, ttlSeconds: 720 * 3600
+            } ) );
         } );
 
-        it( 'should return undefined if P18 array is empty', () => {
-            const entity = {
-                claims: {
-                    P18: []
-                }
-            };
-            const url = verificationService._extractImageUrl( entity );
+        it( 'should remember songs nothing is known about for the negative TTL', async () => {
+            dataService.getValue.mockImplementation( key => ( key === 'verificationCache.negativeTtlHours' ? 6 : undefined ) );
+            mockSearches();
+
+            const result = await verificationService.verify( 'Chic - Le Freak' );
+
+            expect( result.found ).toBe( true );
+            expect( result.hasFacts ).toBe( false );
+            expect( databaseService.saveVerificationCacheEntry ).toHaveBeenCalledWith( expect.objectContaining( { found: false, ttlSeconds: 6 * 3600 } ) );
+        } );
 
-            expect( url ).toBeUndefined();
+        it( 'should not cache lookups where every source failed', async () => {
+            mockSearches( { answered: false } );
+            await verificationService.verify( 'Chic - Le Freak' );
+            expect( databaseService.saveVerificationCacheEntry ).not.toHaveBeenCalled();
         } );
 
-        it( 'should return undefined if entity is undefined', () => {
-            const url = verificationService._extractImageUrl( undefined );
+        it( 'should search again on refresh', async () => {
+            databaseService.getVerificationCacheEntry.mockReturnValue( { found: false, data: {}, created_at: '2026-03-01 20:00:00' } );
+            mockSearches( { releaseDate: '1978' } );
+
+            const result = await verificationService.verify( 'Chic - Le Freak', { refresh: true } );
 
-            expect( url ).toBeUndefined();
+            expect( result.cached ).toBeUndefined();
+            expect( musicbrainz.lookup ).toHaveBeenCalled();
         } );
 
-        it( 'should properly encode special characters in filenames', () => {
-            const entity = {
-                claims: {
-                    P18: [ {
-                        mainsnak: {
-                            datavalue: {
-                                value: 'File with spaces & special.jpg'
-                            }
-                        }
-                    } ]
-                }
-            };
+        it( 'should share a lookup already in progress', async () => {
+            mockSearches( { releaseDate: '1978' } );
 
-            const url = verificationService._extractImageUrl( entity );
+            const [ first, second ] = await Promise.all( [
+                verificationService.verify( 'Chic - Le Freak' ),
+                verificationService.verify( 'chic - le freak' )
+            ] );
 
-            expect( url ).toContain( encodeURIComponent( 'File with spaces & special.jpg' ) );
+            expect( musicbrainz.lookup ).toHaveBeenCalledTimes( 1 );
+            expect( second ).toBe( first );
         } );
-    } );
 
-    describe( '_searchWikipedia', () => {
-        it( 'should handle missing wtf_wikipedia gracefully', async () => {
-            // This will be handled at runtime if module is not installed
-            const result = await verificationService._searchWikipedia( 'Test Track' );
+        it( 'should skip the cache when ttlHours is 0', async () => {
+            dataService.getValue.mockImplementation( key => ( key === 'verificationCache.ttlHours' ? 0 : undefined ) );
+            mockSearches( { releaseDate: '1978' } );
+
+            await verificationService.verify( 'Chic - Le Freak' );
+
+            expect( databaseService.getVerificationCacheEntry ).not.toHaveBeenCalled();
+            expect( databaseService.saveVerificationCacheEntry ).not.toHaveBeenCalled();
+        } );
+
+        it( 'should pre-warm uncached songs one at a time', async () => {
+            mockSearches( { releaseDate: '1978' } );
+
+            const results = await Promise.all( [
+                verificationService.prewarm( 'Chic', 'Le Freak' ),
+                verificationService.prewarm( 'Chic', 'Le Freak' ),
+                verificationService.prewarm( 'Sister Sledge', 'We Are Family' )
+            ] );
 
-            expect( result ).toHaveProperty( 'searches' );
-            expect( typeof result.searches ).toBe( 'object' );
+            expect( results ).toEqual( [ true, false, true ] );
+            expect( musicbrainz.lookup ).toHaveBeenCalledTimes( 2 );
         } );
 
-        it( 'should have correct method signature', () => {
-            expect( typeof verificationService._searchWikipedia ).toBe( 'function' );
+        it( 'should not pre-warm songs already cached', async () => {
+            databaseService.getVerificationCacheEntry.mockReturnValue( { found: true, data: {} } );
+
+            expect( await verificationService.prewarm( 'Chic', 'Le Freak' ) ).toBe( false );
+            expect( musicbrainz.lookup ).not.toHaveBeenCalled();
         } );
-    } );
 
-    describe( '_searchWikidata', () => {
-        it( 'should have correct method signature', () => {
-            expect( typeof verificationService._searchWikidata ).toBe( 'function' );
+        it( 'should not reject when a pre-warm fails', async () => {
+            jest.spyOn( verificationService, 'verify' ).mockRejectedValue( new Error( 'boom' ) );
+            await expect( verificationService.prewarm( 'Chic', 'Le Freak' ) ).resolves.toBe( false );
+            expect( mockLogger.error ).toHaveBeenCalledWith( expect.stringContaining( 'Pre-warm failed' ) );
+        } );
+
+        it( 'should remove expired entries on initialize', async () => {
+            await verificationService.initialize();
+            expect( databaseService.clearVerificationCache ).toHaveBeenCalledWith( true );
         } );
 
-        it( 'should accept filterMusic parameter', async () => {
-            const result = await verificationService._searchWikidata( 'Test Query', true );
+        it( 'should bypass the cache for lookups limited to some providers', async () => {
+            databaseService.getVerificationCacheEntry.mockReturnValue( { found: true, data: {}, created_at: '2026-03-01 20:00:00' } );
+            mockSearches( { releaseDate: '1978' } );
 
-            expect( result ).toHaveProperty( 'searches' );
+            const result = await verificationService.verify( 'Chic - Le Freak', { providers: [ 'musicbrainz' ] } );
+
+            expect( result.cached ).toBeUndefined();
+            expect( musicbrainz.lookup ).toHaveBeenCalled();
+            expect( databaseService.saveVerificationCacheEntry ).not.toHaveBeenCalled();
+        } );
+
+        it( 'should report cache stats with the TTLs', () => {
+            expect( verificationService.getCacheStats() ).toEqual( {
+                ttlHours: 720, negativeTtlHours: 24, entries: 3, found: 2, hits: 7, expired: 1
+            } );
         } );
     } );
 
-    describe( '_searchMusicBrainz', () => {
-        it( 'should have correct method signature', () => {
-            expect( typeof verificationService._searchMusicBrainz ).toBe( 'function' );
+    describe( 'providers', () => {
+        const chic = { artist: 'Chic', track: 'Le Freak' };
+
+        it( 'should merge facts from every provider, earlier priority first', async () => {
+            const [ musicbrainz, wikidata ] = useProviders(
+                verificationService,
+                fakeProvider( 'musicbrainz', { track: { artist: 'CHIC', releaseDate: '1978-09-21' }, artist: { country: 'US' } }, 10 ),
+                fakeProvider( 'wikidata', {
+                    track: { releaseDate: '1979', wikidata: { qid: 'Q1', imageUrl: 'https://example.com/a.jpg' }, album: { title: 'C\'est Chic' } },
+                    artist: { wikidata: { qid: 'Q2', properties: 40 } }
+                }, 20 )
+            );
+
+            const result = await verificationService.verify( 'Chic - Le Freak' );
+
+            expect( musicbrainz.lookup ).toHaveBeenCalledWith( chic );
+            expect( wikidata.lookup ).toHaveBeenCalledWith( chic );
+            expect( result.hasFacts ).toBe( true );
+            expect( result.data.track ).toMatchObject( {
+                title: 'Le Freak',
+                artist: 'CHIC',
+                releaseDate: '1978-09-21',
+                wikidata: { qid: 'Q1', imageUrl: 'https://example.com/a.jpg' },
+                album: { title: 'C\'est Chic' }
+            } );
+            expect( result.data.artist ).toMatchObject( { title: 'Chic', country: 'US', wikidata: { qid: 'Q2', properties: 40 } } );
+        } );
+
+        it( 'should only use the providers asked for', async () => {
+            const [ musicbrainz, wikidata ] = useProviders( verificationService, fakeProvider( 'musicbrainz' ), fakeProvider( 'wikidata', {}, 20 ) );
+
+            await verificationService.verify( 'Chic - Le Freak', { providers: [ 'musicbrainz' ] } );
+
+            expect( musicbrainz.lookup ).toHaveBeenCalled();
+            expect( wikidata.lookup ).not.toHaveBeenCalled();
+        } );
+
+        it( 'should reject unknown provider names', async () => {
+            useProviders( verificationService, fakeProvider( 'musicbrainz' ) );
+            await expect( verificationService.verify( 'Chic - Le Freak', { providers: [ 'discogs' ] } ) )
+                .rejects.toThrow( 'Unknown metadata provider: discogs' );
+        } );
+
+        it( 'should skip disabled and unavailable providers', async () => {
+            const [ disabled, unavailable, working ] = useProviders(
+                verificationService,
+                fakeProvider( 'discogs' ),
+                fakeProvider( 'catalogue' ),
+                fakeProvider( 'musicbrainz' )
+            );
+            disabled.enabled = false;
+            unavailable.isAvailable = () => false;
+
+            await verificationService.verify( 'Chic - Le Freak' );
+
+            expect( disabled.lookup ).not.toHaveBeenCalled();
+            expect( unavailable.lookup ).not.toHaveBeenCalled();
+            expect( working.lookup ).toHaveBeenCalled();
+        } );
+
+        it( 'should still answer when some providers fail', async () => {
+            const [ failing ] = useProviders(
+                verificationService,
+                fakeProvider( 'wikidata' ),
+                fakeProvider( 'musicbrainz', { artist: { country: 'US' } } )
+            );
+            failing.lookup.mockRejectedValue( new Error( 'offline' ) );
+
+            const result = await verificationService.verify( 'Chic - Le Freak' );
+
+            expect( result.found ).toBe( true );
+            expect( result.data.artist.country ).toBe( 'US' );
+        } );
+
+        it( 'should time out slow providers', async () => {
+            const [ slow ] = useProviders( verificationService, fakeProvider( 'slow' ) );
+            slow.timeoutMs = 10;
+            slow.lookup.mockReturnValue( new Promise( () => {} ) );
+
+            const result = await verificationService.verify( 'Chic - Le Freak' );
+
+            expect( result.found ).toBe( false );
+            expect( result.error ).toBe( 'slow: slow lookup timeout after 10ms' );
         } );
 
-        it( 'should accept artist and track parameters', async () => {
-            const result = await verificationService._searchMusicBrainz( 'Test Artist', 'Test Track' );
+        it( 'should run lookups through retryService with a circuit breaker per provider', async () => {
+            const retryService = { executeWithRetry: jest.fn( fn => fn() ) };
+            const service = new VerificationService( { logger: mockLogger, retryService } );
+            useProviders( service, fakeProvider( 'musicbrainz' ) );
+
+            await service.verify( 'Chic - Le Freak' );
+
+            expect( retryService.executeWithRetry ).toHaveBeenCalledWith( expect.any( Function ), { maxRetries: 0 }, 'metadata-musicbrainz' );
+        } );
+
+        it( 'should report when no providers are available', async () => {
+            useProviders( verificationService );
+            const result = await verificationService.verify( 'Chic - Le Freak' );
+            expect( result ).toEqual( { found: false, error: 'No metadata providers available' } );
+        } );
 
-            expect( result ).toHaveProperty( 'searches' );
+        it( 'should refuse providers without a name or lookup', () => {
+            expect( () => verificationService.registerProvider( { name: 'broken' } ) ).toThrow( 'needs a name and a lookup() method' );
         } );
     } );
 
     describe( 'error handling', () => {
         it( 'should catch and log search errors', async () => {
-            jest.spyOn( verificationService, '_searchWikipedia' ).mockRejectedValueOnce( new Error( 'Connection error' ) );
+            const [ provider ] = useProviders( verificationService, fakeProvider( 'wikipedia' ) );
+            provider.lookup.mockRejectedValueOnce( new Error( 'Connection error' ) );
 
             const result = await verificationService.verify( 'Test Artist - Test Track' );
 
             expect( result.found ).toBe( false );
-            expect( result.error ).toBe( 'Connection error' );
+            expect( result.error ).toBe( 'wikipedia: Connection error' );
+            expect( mockLogger.error ).toHaveBeenCalledWith( expect.stringContaining( 'Connection error' ) );
         } );
 
         it( 'should have logger available', () => {
@@ -272,13 +442,14 @@ describe( 'VerificationService', () => {
             expect( service.userAgent ).toBe( 'mrRoboto/1.4.1 (Hangout.fm i-love-the-80s)' );
         } );
 
-        it( 'should have configurable delay', () => {
+        it( 'should give each provider its own rate limit', () => {
             const service = new VerificationService( { logger: mockLogger } );
 
-            expect( service.delayMs ).toBe( 2000 );
+            expect( service.providers.get( 'musicbrainz' ).minIntervalMs ).toBe( 1100 );
+            expect( service.providers.get( 'wikidata' ).minIntervalMs ).toBe( 1500 );
 
-            service.delayMs = 1000;
-            expect( service.delayMs ).toBe( 1000 );
+            service.providers.get( 'wikidata' ).minIntervalMs = 2000;
+            expect( service.providers.get( 'wikidata' ).minIntervalMs ).toBe( 2000 );
         } );
     } );
 } );